@@ -0,0 +1,42 @@
+/**
+ * Check every problem generator from the command line:
+ *   npm run validate
+ *   npm run validate -- --samples 200 --only genFractions,genTrigEquations
+ *   npm run validate -- --json > report.json
+ *
+ * The game's modules are loaded through Vite (for the JSON imports and the
+ * import.meta.glob of the problem templates), so no browser is needed.
+ * Exits with code 1 if any generator fails.
+ */
+import { createServer } from 'vite'
+
+function option(name) {
+  const index = process.argv.indexOf(`--${name}`)
+  return index === -1 ? undefined : process.argv[index + 1]
+}
+
+const samples = Number(option('samples') ?? 50)
+const ids = option('only')?.split(',')
+const asJson = process.argv.includes('--json')
+
+const server = await createServer({
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true, include: [] }
+})
+
+try {
+  const { GeneratorValidator } = await server.ssrLoadModule('/src/game/Math/GeneratorValidator.js')
+
+  // Generators log which one they used for every problem; that's too much here
+  const log = console.log
+  console.log = () => {}
+  const report = new GeneratorValidator().validate({ samples, ids })
+  console.log = log
+
+  console.log(asJson ? JSON.stringify(report, null, 2) : GeneratorValidator.format(report))
+  process.exitCode = report.failed.length > 0 ? 1 : 0
+} finally {
+  await server.close()
+}
@@ -5,6 +5,7 @@ import BattleUI from './components/BattleUI'
 import DungeonSelection from './components/DungeonSelection'
 import { GameEngine } from './game/GameEngine'
 import { getAudioManager } from './utils/audioManager'
+import { t } from './game/Localization/Localization'
 
 function App() {
   const [gameState, setGameState] = useState('menu') // menu, map, battle, dungeon-selection
@@ -72,7 +73,7 @@ function App() {
           backgroundClip: 'text',
           fontWeight: 'bold'
         }}>
-          Math Dungeon
+          {t('menu.title')}
         </div>
         <div style={{
           width: '200px',
@@ -93,7 +94,7 @@ function App() {
           color: 'rgba(255, 255, 255, 0.5)',
           fontSize: '14px'
         }}>
-          Loading...
+          {t('common.loading')}
         </div>
         <style>{`
           @keyframes loading {
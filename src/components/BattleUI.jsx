@@ -6,6 +6,26 @@ import { getAudioManager } from '../utils/audioManager'
 import ProblemDisplay from './ProblemDisplay'
 import VisualizationPanel from './VisualizationPanel'
 import AnimatedCharacter from './AnimatedCharacter'
+import WorkedSolution from './WorkedSolution'
+import InteractiveInput from './InteractiveInput'
+import { t } from '../game/Localization/Localization'
+
+// Hint in the answer box about what kind of answer is expected
+function answerPlaceholder(problem) {
+  if (problem.answerType === 'expression') return t('placeholders.expression')
+  if (problem.answerType === 'quantity') return t('placeholders.quantity')
+  if (problem.answerType === 'point') return t('placeholders.point')
+  if (problem.answerType === 'line') return t('placeholders.line')
+  if (problem.answerType === 'time') return t('placeholders.time')
+  if (problem.answerType === 'interval') return t('placeholders.interval')
+  if (problem.answerType === 'inequality') return t('placeholders.inequality')
+  if (problem.answerType === 'set' && problem.answerSet.match === 'all') {
+    return problem.answerSet.ordered
+      ? t('placeholders.setOrdered')
+      : t('placeholders.set')
+  }
+  return t('placeholders.default')
+}
 
 function BattleUI({ gameEngine, onReturnToMap }) {
   const [battleManager, setBattleManager] = useState(null)
@@ -22,6 +42,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
   const [heroAnimation, setHeroAnimation] = useState('idle')
   const [enemyAnimation, setEnemyAnimation] = useState('idle')
   const [showVisualization, setShowVisualization] = useState(true)  // Hints visible by default!
+  const [reviewSolution, setReviewSolution] = useState(null)  // Worked steps for the last wrong answer
   const battleLogRef = useRef(null)
 
   // This runs when the battle first starts.
@@ -31,6 +52,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
     const grade = gameEngine?.selectedGrade || 1
     const unit = gameEngine?.selectedUnit || { name: 'Number Sense', topics: ['arithmetic'], difficulty: 1 }
     const difficulty = gameEngine?.selectedDifficulty || 'medium'
+    const topic = gameEngine?.selectedTopic || null  // Just one topic, or null for the whole unit
 
     // 2. Find the Hero!
     // We try to get the hero from the Map so that their progress (like Gold and EXP) is saved.
@@ -48,7 +70,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
     }
 
     // 3. Create the BattleManager (the "referee" of the fight)
-    const manager = new BattleManager(hero, grade, unit, difficulty)
+    const manager = new BattleManager(hero, grade, unit, difficulty, topic)
     manager.startBattle()
 
     // 4. Update the screen with all the new info
@@ -130,6 +152,9 @@ function BattleUI({ gameEngine, onReturnToMap }) {
     setShowResult(true)
     setTimeout(() => setShowResult(false), 1500)
 
+    // 6. If the answer was wrong, keep the worked solution on screen
+    setReviewSolution(!result.correct && (result.solution?.length > 0 || result.misconception) ? result : null)
+
     // Enemy damage animation
     setEnemyShake(true)
     setEnemyAnimation('hit')
@@ -145,6 +170,11 @@ function BattleUI({ gameEngine, onReturnToMap }) {
     setBattleState(battleManager.getBattleState())
     setAnswer('')
 
+    // 7. Multi-part problem with more parts to go? Show the next part
+    if (result.nextPart) {
+      setCurrentProblem(battleManager.getCurrentProblem())
+    }
+
     if (result.victory) {
       setHeroAnimation('victory')
       setEnemyAnimation('death')
@@ -200,12 +230,17 @@ function BattleUI({ gameEngine, onReturnToMap }) {
         background: '#1a1a2e',
         color: '#fff'
       }}>
-        <div style={{ fontSize: '24px' }}>Preparing Battle...</div>
+        <div style={{ fontSize: '24px' }}>{t('battle.preparing')}</div>
       </div>
     )
   }
 
-  const isMultipleChoice = currentProblem?.type === 'multiple-choice'
+  // The question being answered right now (one part of a multi-part problem)
+  const activePart = currentProblem?.type === 'multi-part'
+    ? currentProblem.parts[currentProblem.currentPart]
+    : currentProblem
+  const isMultipleChoice = activePart?.type === 'multiple-choice'
+  const isInteractive = activePart?.type === 'interactive'
 
   return (
     <div style={{
@@ -241,7 +276,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
           ⚔️ BATTLE
         </h1>
         <div style={{ color: '#aaa', fontSize: '12px' }}>
-          Turn {battleManager.turnSystem.turnCount} | {gameEngine?.selectedDifficulty?.toUpperCase() || 'MEDIUM'}
+          {t('battle.turn', { turn: battleManager.turnSystem.turnCount })} | {t(`difficulty.${gameEngine?.selectedDifficulty || 'medium'}`).toUpperCase()}
         </div>
         <div style={{ display: 'flex', gap: '10px' }}>
           <button
@@ -253,7 +288,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
               fontSize: '12px'
             }}
           >
-            {showVisualization ? '📊 Hide Help' : '📊 Show Help'}
+            📊 {showVisualization ? t('battle.hideHelp') : t('battle.showHelp')}
           </button>
           <button
             onClick={onReturnToMap}
@@ -264,7 +299,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
               fontSize: '12px'
             }}
           >
-            🏃 Flee
+            🏃 {t('battle.flee')}
           </button>
         </div>
       </div>
@@ -290,7 +325,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
             marginBottom: '8px',
             textTransform: 'uppercase'
           }}>
-            Hero
+            {t('battle.hero')}
           </div>
 
           {/* Hero Animated Sprite */}
@@ -314,13 +349,13 @@ function BattleUI({ gameEngine, onReturnToMap }) {
           </div>
 
           <div style={{ fontSize: '11px', color: '#4ecdc4', fontWeight: 'bold', marginBottom: '6px' }}>
-            Level {heroStats.level}
+            {t('battle.level', { level: heroStats.level })}
           </div>
 
           {/* HP Bar */}
           <div style={{ marginBottom: '6px' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '3px' }}>
-              <span style={{ color: '#aaa', fontSize: '10px' }}>HP</span>
+              <span style={{ color: '#aaa', fontSize: '10px' }}>{t('hud.hp')}</span>
               <span style={{ color: '#fff', fontSize: '10px' }}>{heroStats.currentHP}/{heroStats.maxHP}</span>
             </div>
             <div style={{
@@ -358,6 +393,17 @@ function BattleUI({ gameEngine, onReturnToMap }) {
           minWidth: 0,
           overflow: 'hidden'
         }}>
+          {/* Worked solution for the last wrong answer */}
+          {reviewSolution && battleState !== 'victory' && (
+            <WorkedSolution
+              question={reviewSolution.question}
+              correctAnswer={reviewSolution.correctAnswer}
+              steps={reviewSolution.solution}
+              mistake={reviewSolution.misconception}
+              onDismiss={() => setReviewSolution(null)}
+            />
+          )}
+
           {battleState === 'player-turn' && currentProblem && (
             <>
               {/* Problem Display */}
@@ -373,8 +419,43 @@ function BattleUI({ gameEngine, onReturnToMap }) {
                 </div>
               )}
 
+              {/* Interactive answer - click, plot, drag or set the clock, then attack */}
+              {isInteractive && (
+                <div style={{
+                  background: 'rgba(30, 30, 50, 0.95)',
+                  borderRadius: '10px',
+                  border: '1px solid #667eea',
+                  padding: '12px',
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: '10px'
+                }}>
+                  <InteractiveInput
+                    key={activePart.id}
+                    interaction={activePart.interaction}
+                    onChange={setAnswer}
+                  />
+                  <button
+                    onClick={handleSubmitAnswer}
+                    disabled={answer === ''}
+                    style={{
+                      padding: '12px 25px',
+                      fontSize: '16px',
+                      background: 'linear-gradient(135deg, #4ecdc4 0%, #44a08d 100%)',
+                      border: 'none',
+                      cursor: answer === '' ? 'not-allowed' : 'pointer',
+                      opacity: answer === '' ? 0.5 : 1,
+                      borderRadius: '8px',
+                      alignSelf: 'center'
+                    }}
+                  >
+                    ⚔️ {t('battle.attack')}
+                  </button>
+                </div>
+              )}
+
               {/* Answer Input - Only show for fill-in-blank */}
-              {!isMultipleChoice && (
+              {!isMultipleChoice && !isInteractive && (
                 <div style={{
                   background: 'rgba(30, 30, 50, 0.95)',
                   borderRadius: '10px',
@@ -389,7 +470,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
                     value={answer}
                     onChange={(e) => setAnswer(e.target.value)}
                     onKeyPress={handleKeyPress}
-                    placeholder="Type your answer..."
+                    placeholder={answerPlaceholder(activePart)}
                     style={{
                       flex: 1,
                       padding: '12px',
@@ -412,7 +493,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
                       borderRadius: '8px'
                     }}
                   >
-                    ⚔️ Attack!
+                    ⚔️ {t('battle.attack')}
                   </button>
                 </div>
               )}
@@ -427,7 +508,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
                   color: '#4ecdc4',
                   textAlign: 'center'
                 }}>
-                  👆 Click on the correct answer above to attack!
+                  👆 {t('battle.clickAnswer')}
                 </div>
               )}
             </>
@@ -449,7 +530,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
                   marginBottom: '15px',
                   animation: 'enemyAttackPulse 0.5s ease-in-out infinite'
                 }}>⚡</div>
-                <h2 style={{ color: '#ff6b6b', fontSize: '20px' }}>Enemy Attacking...</h2>
+                <h2 style={{ color: '#ff6b6b', fontSize: '20px' }}>{t('battle.enemyAttacking')}</h2>
               </div>
             </div>
           )}
@@ -470,8 +551,8 @@ function BattleUI({ gameEngine, onReturnToMap }) {
                   marginBottom: '15px',
                   animation: 'victoryBounce 0.5s ease-in-out infinite'
                 }}>🏆</div>
-                <h2 style={{ color: '#4ecdc4', fontSize: '32px', marginBottom: '10px' }}>Victory!</h2>
-                <p style={{ color: '#fff', fontSize: '16px' }}>Returning to map...</p>
+                <h2 style={{ color: '#4ecdc4', fontSize: '32px', marginBottom: '10px' }}>{t('battle.victoryTitle')}</h2>
+                <p style={{ color: '#fff', fontSize: '16px' }}>{t('battle.returning')}</p>
               </div>
             </div>
           )}
@@ -488,9 +569,9 @@ function BattleUI({ gameEngine, onReturnToMap }) {
             }}>
               <div style={{ textAlign: 'center' }}>
                 <div style={{ fontSize: '64px', marginBottom: '15px' }}>💔</div>
-                <h2 style={{ color: '#ff6b6b', fontSize: '32px', marginBottom: '10px' }}>Defeat!</h2>
+                <h2 style={{ color: '#ff6b6b', fontSize: '32px', marginBottom: '10px' }}>{t('battle.defeatTitle')}</h2>
                 <button onClick={onReturnToMap} style={{ marginTop: '15px', padding: '12px 30px' }}>
-                  Return to Map
+                  {t('battle.returnToMap')}
                 </button>
               </div>
             </div>
@@ -515,7 +596,7 @@ function BattleUI({ gameEngine, onReturnToMap }) {
             marginBottom: '8px',
             textTransform: 'uppercase'
           }}>
-            Enemy
+            {t('battle.enemy')}
           </div>
 
           {/* Enemy Animated Sprite */}
@@ -549,13 +630,13 @@ function BattleUI({ gameEngine, onReturnToMap }) {
           </div>
 
           <div style={{ fontSize: '11px', color: '#aaa', marginBottom: '6px', textAlign: 'center' }}>
-            Level {enemyStats.level}
+            {t('battle.level', { level: enemyStats.level })}
           </div>
 
           {/* HP Bar */}
           <div>
             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '3px' }}>
-              <span style={{ color: '#aaa', fontSize: '10px' }}>HP</span>
+              <span style={{ color: '#aaa', fontSize: '10px' }}>{t('hud.hp')}</span>
               <span style={{ color: '#fff', fontSize: '10px' }}>{enemyStats.currentHP}/{enemyStats.maxHP}</span>
             </div>
             <div style={{
@@ -595,11 +676,11 @@ function BattleUI({ gameEngine, onReturnToMap }) {
             <span
               key={index}
               style={{
-                color: log.includes('Correct') ? '#4ecdc4' :
-                  log.includes('Wrong') ? '#f7dc6f' :
-                    log.includes('Victory') ? '#4ecdc4' :
-                      log.includes('Defeat') ? '#ff6b6b' :
-                        log.includes('attacks') ? '#ff6b6b' : '#aaa'
+                color: log.includes(t('battle.logWords.correct')) ? '#4ecdc4' :
+                  log.includes(t('battle.logWords.wrong')) ? '#f7dc6f' :
+                    log.includes(t('battle.logWords.victory')) ? '#4ecdc4' :
+                      log.includes(t('battle.logWords.defeat')) ? '#ff6b6b' :
+                        log.includes(t('battle.logWords.attacks')) ? '#ff6b6b' : '#aaa'
               }}
             >
               {log}
@@ -629,10 +710,15 @@ function BattleUI({ gameEngine, onReturnToMap }) {
             {lastResult.correct ? '✓' : '✗'}
           </div>
           <div style={{ fontSize: '20px', fontWeight: 'bold', color: '#fff' }}>
-            {lastResult.correct ? 'Correct!' : 'Wrong!'}
+            {lastResult.correct ? t('battle.correctTitle') : t('battle.wrongTitle')}
           </div>
+          {!lastResult.correct && lastResult.misconception && (
+            <div style={{ fontSize: '14px', color: '#fff', marginTop: '6px' }}>
+              {lastResult.misconception.name}
+            </div>
+          )}
           <div style={{ fontSize: '16px', color: 'rgba(255,255,255,0.9)', marginTop: '8px' }}>
-            {lastResult.damage} damage!
+            {t('battle.damage', { damage: lastResult.damage })}
           </div>
         </div>
       )}
@@ -1,46 +1,79 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { DungeonManager } from '../game/Dungeon/DungeonManager'
+import { ProblemGenerator } from '../game/Math/ProblemGenerator'
+import { ReviewQueue } from '../game/Data/ReviewQueue'
+import { ProblemSetStore } from '../game/Data/ProblemSetStore'
 import { getAudioManager } from '../utils/audioManager'
+import { Localization, t } from '../game/Localization/Localization'
+import { ProblemTranslator } from '../game/Localization/ProblemTranslator'
 
+// Names and descriptions are in the message catalog (difficulty.<id>)
 const DIFFICULTY_MODES = [
   {
     id: 'easy',
-    name: 'Easy',
     color: '#4ecdc4',
     emoji: '🌱',
-    description: 'Perfect for practice. More time, simpler problems.',
     multiplier: 0.5
   },
   {
     id: 'medium',
-    name: 'Medium',
     color: '#f7dc6f',
     emoji: '⚔️',
-    description: 'Balanced challenge. Standard difficulty.',
     multiplier: 1.0
   },
   {
     id: 'hard',
-    name: 'Hard',
     color: '#ff6b6b',
     emoji: '🔥',
-    description: 'Tough enemies. Harder problems, more damage.',
     multiplier: 1.5
   },
   {
     id: 'nightmare',
-    name: 'Nightmare',
     color: '#9b59b6',
     emoji: '💀',
-    description: 'Only for the brave. Maximum challenge!',
     multiplier: 2.0
   }
 ]
 
+// Picking this instead of a unit starts a battle made of missed problems that are due
+const REVIEW_UNIT = {
+  name: 'Review',
+  review: true,
+  description: 'Missed problems that are due to come back',
+  topics: []
+}
+
+// A teacher's imported problem set, played like a unit (its problems are made from unit: set.id)
+function customUnit(set, grade) {
+  return {
+    name: set.id,
+    title: set.name,
+    custom: true,
+    questionCount: set.items.filter(item => item.grade === grade).length,
+    description: set.name,
+    topics: []
+  }
+}
+
+// Units, grades and topics keep their English names in the game; this is what the player reads
+// (an imported set keeps the name its teacher gave it)
+function unitName(unit) {
+  if (unit.review) return t('dungeons.review')
+  return unit.custom ? unit.title : ProblemTranslator.translateName(unit.name)
+}
+
 function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToMap }) {
   const [dungeonManager] = useState(() => new DungeonManager())
+  const [problemGenerator] = useState(() => new ProblemGenerator())
+  const [reviewQueue] = useState(() => {
+    const queue = new ReviewQueue()
+    queue.load()
+    return queue
+  })
+  const [problemSetStore] = useState(() => new ProblemSetStore().load())
   const [selectedGrade, setSelectedGrade] = useState(null)
   const [selectedUnit, setSelectedUnit] = useState(null)
+  const [selectedTopic, setSelectedTopic] = useState(null) // null = all topics in the unit
   const [selectedDifficulty, setSelectedDifficulty] = useState('medium')
   const [availableDungeons, setAvailableDungeons] = useState([])
   const [step, setStep] = useState(1) // 1: grade, 2: unit, 3: difficulty
@@ -73,6 +106,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
       } else {
         setSelectedUnit(null)
       }
+      setSelectedTopic(null)
     }
   }, [selectedGrade, dungeonManager])
 
@@ -85,6 +119,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
   // This handles choosing a Unit (like "Addition" or "Fractions")
   const handleUnitSelect = (unit) => {
     setSelectedUnit(unit)
+    setSelectedTopic(null)
     setStep(3) // Move to the final step
   }
 
@@ -99,6 +134,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
       if (gameEngine) {
         gameEngine.selectedGrade = selectedGrade
         gameEngine.selectedUnit = selectedUnit
+        gameEngine.selectedTopic = selectedTopic
         gameEngine.selectedDifficulty = selectedDifficulty
       }
 
@@ -111,6 +147,21 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
   const selectedDifficultyInfo = DIFFICULTY_MODES.find(d => d.id === selectedDifficulty)
   const selectedGradeInfo = availableDungeons.find(d => d.grade === selectedGrade)
 
+  // Imported problem sets with questions for this grade
+  const customUnits = useMemo(
+    () => selectedGrade ? problemSetStore.forGrade(selectedGrade).map(set => customUnit(set, selectedGrade)) : [],
+    [selectedGrade, problemSetStore]
+  )
+
+  // Missed problems waiting to be reviewed in this grade
+  const dueReviewCount = selectedGrade ? reviewQueue.countDue(selectedGrade) : 0
+
+  // Topics you can focus a battle on (only ones that have a problem generator)
+  const topicChoices = (selectedUnit?.topics || []).map(topic => ({
+    topic,
+    available: problemGenerator.hasGenerator({ grade: selectedGrade, topic })
+  }))
+
   return (
     <div style={{
       width: '100vw',
@@ -143,16 +194,16 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
             backgroundClip: 'text',
             margin: 0
           }}>
-            🏰 {selectedGradeInfo?.gradeName || 'Select Dungeon'}
+            🏰 {selectedGradeInfo ? ProblemTranslator.translateName(selectedGradeInfo.gradeName) : t('dungeons.selectDungeon')}
           </h1>
         </div>
 
         {/* Step indicator */}
         <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
           {[
-            { num: 1, label: 'Grade' },
-            { num: 2, label: 'Unit' },
-            { num: 3, label: 'Difficulty' }
+            { num: 1, label: t('dungeons.grade') },
+            { num: 2, label: t('dungeons.unit') },
+            { num: 3, label: t('dungeons.difficulty') }
           ].map(s => (
             <div
               key={s.num}
@@ -184,7 +235,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
             fontSize: '14px'
           }}
         >
-          ← Back to Map
+          ← {t('dungeons.backToMap')}
         </button>
       </div>
 
@@ -220,8 +271,8 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
             justifyContent: 'space-between',
             alignItems: 'center'
           }}>
-            <span>1. Select Grade</span>
-            {selectedGrade && <span style={{ color: '#4ecdc4' }}>✓ {selectedGradeInfo?.gradeName}</span>}
+            <span>1. {t('dungeons.selectGrade')}</span>
+            {selectedGrade && <span style={{ color: '#4ecdc4' }}>✓ {ProblemTranslator.translateName(selectedGradeInfo?.gradeName)}</span>}
           </div>
           <div style={{
             display: 'grid',
@@ -250,11 +301,11 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
                 }}
               >
                 <div style={{ fontWeight: selectedGrade === dungeon.grade ? 'bold' : 'normal' }}>
-                  {dungeon.gradeName}
+                  {ProblemTranslator.translateName(dungeon.gradeName)}
                 </div>
                 {step === 1 && (
                   <div style={{ fontSize: '10px', opacity: 0.7, marginTop: '4px' }}>
-                    {dungeon.unitCount} units
+                    {t('dungeons.unitCount', { count: dungeon.unitCount })}
                   </div>
                 )}
               </button>
@@ -286,7 +337,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
             justifyContent: 'space-between',
             alignItems: 'center'
           }}>
-            <span>2. Select Unit</span>
+            <span>2. {t('dungeons.selectUnit')}</span>
             {selectedUnit && <span style={{ color: '#4ecdc4' }}>✓</span>}
           </div>
           {currentGrade && unitManager ? (
@@ -297,6 +348,33 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
               overflowY: 'auto',
               flex: 1
             }}>
+              {/* Review dungeon: only shown when something is due */}
+              {dueReviewCount > 0 && (
+                <button
+                  onClick={() => handleUnitSelect(REVIEW_UNIT)}
+                  style={{
+                    padding: '10px 12px',
+                    textAlign: 'left',
+                    fontSize: '13px',
+                    background: selectedUnit === REVIEW_UNIT
+                      ? 'linear-gradient(135deg, #f7dc6f 0%, #f39c12 100%)'
+                      : 'rgba(247, 220, 111, 0.1)',
+                    border: selectedUnit === REVIEW_UNIT
+                      ? 'none'
+                      : '1px solid rgba(247, 220, 111, 0.4)',
+                    borderRadius: '8px',
+                    cursor: 'pointer',
+                    transition: 'all 0.2s ease'
+                  }}
+                >
+                  <div style={{ fontWeight: selectedUnit === REVIEW_UNIT ? 'bold' : 'normal', marginBottom: '3px' }}>
+                    🔁 {unitName(REVIEW_UNIT)}
+                  </div>
+                  <div style={{ fontSize: '10px', opacity: 0.7 }}>
+                    {t(dueReviewCount === 1 ? 'dungeons.reviewDueOne' : 'dungeons.reviewDue', { count: dueReviewCount })}
+                  </div>
+                </button>
+              )}
               {unitManager.getAllUnits().map((unit, index) => (
                 <button
                   key={index}
@@ -317,7 +395,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
                   }}
                 >
                   <div style={{ fontWeight: selectedUnit === unit ? 'bold' : 'normal', marginBottom: '3px' }}>
-                    {unit.name}
+                    {unitName(unit)}
                   </div>
                   {step === 2 && (
                     <div style={{
@@ -333,7 +411,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
                           padding: '1px 5px',
                           borderRadius: '6px'
                         }}>
-                          {topic}
+                          {ProblemTranslator.translateName(topic)}
                         </span>
                       ))}
                       {unit.topics?.length > 3 && (
@@ -343,6 +421,34 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
                   )}
                 </button>
               ))}
+              {/* 📥 Teachers' imported question sets */}
+              {customUnits.map((unit) => (
+                <button
+                  key={unit.name}
+                  onClick={() => handleUnitSelect(unit)}
+                  style={{
+                    padding: '10px 12px',
+                    textAlign: 'left',
+                    fontSize: '13px',
+                    background: selectedUnit?.name === unit.name
+                      ? 'linear-gradient(135deg, #9b59b6 0%, #764ba2 100%)'
+                      : 'rgba(155, 89, 182, 0.1)',
+                    border: selectedUnit?.name === unit.name
+                      ? 'none'
+                      : '1px solid rgba(155, 89, 182, 0.4)',
+                    borderRadius: '8px',
+                    cursor: 'pointer',
+                    transition: 'all 0.2s ease'
+                  }}
+                >
+                  <div style={{ fontWeight: selectedUnit?.name === unit.name ? 'bold' : 'normal', marginBottom: '3px' }}>
+                    📥 {unitName(unit)}
+                  </div>
+                  <div style={{ fontSize: '10px', opacity: 0.7 }}>
+                    {t('dungeons.customCount', { count: unit.questionCount })}
+                  </div>
+                </button>
+              ))}
             </div>
           ) : (
             <div style={{
@@ -353,7 +459,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
               color: '#aaa',
               fontSize: '13px'
             }}>
-              Select a grade first
+              {t('dungeons.selectGradeFirst')}
             </div>
           )}
         </div>
@@ -379,9 +485,45 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
             marginBottom: '12px',
             textTransform: 'uppercase'
           }}>
-            3. Select Difficulty
+            3. {t('dungeons.selectDifficulty')}
           </div>
 
+          {/* Focus on one topic (optional) */}
+          {step === 3 && topicChoices.length > 0 && (
+            <div style={{
+              display: 'flex',
+              flexWrap: 'wrap',
+              gap: '5px',
+              marginBottom: '12px'
+            }}>
+              {[{ topic: null, available: true }, ...topicChoices].map(({ topic, available }) => (
+                <button
+                  key={topic ?? 'all'}
+                  onClick={() => setSelectedTopic(topic)}
+                  disabled={!available}
+                  title={available ? '' : t('dungeons.noProblems')}
+                  style={{
+                    padding: '4px 10px',
+                    fontSize: '11px',
+                    color: '#fff',
+                    background: selectedTopic === topic
+                      ? 'linear-gradient(135deg, #4ecdc4 0%, #44a08d 100%)'
+                      : 'rgba(78, 205, 196, 0.1)',
+                    border: selectedTopic === topic
+                      ? 'none'
+                      : '1px solid rgba(78, 205, 196, 0.3)',
+                    borderRadius: '12px',
+                    cursor: available ? 'pointer' : 'not-allowed',
+                    opacity: available ? 1 : 0.4,
+                    transition: 'all 0.2s ease'
+                  }}
+                >
+                  {topic === null ? t('dungeons.allTopics') : ProblemTranslator.translateName(topic)}
+                </button>
+              ))}
+            </div>
+          )}
+
           <div style={{
             display: 'flex',
             flexDirection: 'column',
@@ -418,7 +560,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
                     fontWeight: 'bold',
                     color: selectedDifficulty === diff.id ? diff.color : '#fff'
                   }}>
-                    {diff.name}
+                    {t(`difficulty.${diff.id}`)}
                   </span>
                   <span style={{
                     marginLeft: 'auto',
@@ -429,7 +571,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
                     borderRadius: '10px',
                     fontWeight: 'bold'
                   }}>
-                    x{diff.multiplier}
+                    x{Localization.formatNumber(diff.multiplier)}
                   </span>
                 </div>
                 <div style={{
@@ -437,7 +579,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
                   color: '#aaa',
                   marginLeft: '30px'
                 }}>
-                  {diff.description}
+                  {t(`difficulty.descriptions.${diff.id}`)}
                 </div>
               </button>
             ))}
@@ -463,7 +605,7 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
                 transition: 'all 0.2s'
               }}
             >
-              ⚔️ Start Battle!
+              ⚔️ {t('dungeons.startBattle')}
             </button>
           </div>
         </div>
@@ -483,21 +625,21 @@ function DungeonSelection({ gameEngine, initialGrade, onStartBattle, onReturnToM
         fontSize: '13px'
       }}>
         <div>
-          <span style={{ color: '#aaa' }}>Grade: </span>
+          <span style={{ color: '#aaa' }}>{t('dungeons.summaryGrade')} </span>
           <span style={{ color: '#667eea', fontWeight: 'bold' }}>
-            {selectedGradeInfo?.gradeName || 'None'}
+            {selectedGradeInfo ? ProblemTranslator.translateName(selectedGradeInfo.gradeName) : t('dungeons.none')}
           </span>
         </div>
         <div>
-          <span style={{ color: '#aaa' }}>Unit: </span>
+          <span style={{ color: '#aaa' }}>{t('dungeons.summaryUnit')} </span>
           <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>
-            {selectedUnit?.name || 'None'}
+            {selectedUnit ? unitName(selectedUnit) : t('dungeons.none')}
           </span>
         </div>
         <div>
-          <span style={{ color: '#aaa' }}>Difficulty: </span>
+          <span style={{ color: '#aaa' }}>{t('dungeons.summaryDifficulty')} </span>
           <span style={{ color: selectedDifficultyInfo?.color, fontWeight: 'bold' }}>
-            {selectedDifficultyInfo?.emoji} {selectedDifficultyInfo?.name}
+            {selectedDifficultyInfo?.emoji} {t(`difficulty.${selectedDifficulty}`)}
           </span>
         </div>
       </div>
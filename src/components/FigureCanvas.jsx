@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react'
+import { FigureRenderer } from '../game/Visualization/FigureRenderer'
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🖼️ FIGURE CANVAS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Draws a problem's figure (a clock, a shape, a graph...) - the picture
+// IS the question, so you have to read it to find the answer!
+//
+// INPUT: figure = the figure spec from the problem (see FigureRenderer)
+
+function FigureCanvas({ figure }) {
+  const drawingCanvas = useRef(null)
+
+  useEffect(() => {
+    const canvas = drawingCanvas.current
+    if (!canvas || !figure) return
+
+    // We double the size for sharp graphics on fancy screens (retina)
+    canvas.width = canvas.offsetWidth * 2
+    canvas.height = canvas.offsetHeight * 2
+    canvas.getContext('2d').scale(2, 2)
+
+    new FigureRenderer(canvas, canvas.offsetWidth, canvas.offsetHeight).draw(figure)
+  }, [figure])
+
+  if (!figure) return null
+
+  // Clocks and coordinate grids are square; shapes and charts get more room
+  const isSquare = figure.type === 'clock' || figure.type === 'coordinate-grid'
+
+  return (
+    <canvas
+      ref={drawingCanvas}
+      style={{
+        display: 'block',
+        width: isSquare ? '240px' : '100%',
+        maxWidth: '480px',
+        height: '240px',
+        margin: '0 auto 20px',
+        borderRadius: '8px',
+        border: '1px solid rgba(102, 126, 234, 0.4)'
+      }}
+    />
+  )
+}
+
+export default FigureCanvas
@@ -2,6 +2,8 @@ import { useEffect, useRef, useState, useCallback } from 'react'
 import { MapManager } from '../game/Map/MapManager'
 import { DungeonManager } from '../game/Dungeon/DungeonManager'
 import { getAudioManager } from '../utils/audioManager'
+import { t } from '../game/Localization/Localization'
+import { ProblemTranslator } from '../game/Localization/ProblemTranslator'
 
 function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
   const canvasRef = useRef(null)
@@ -161,21 +163,21 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
           textTransform: 'uppercase',
           letterSpacing: '2px'
         }}>
-          Hero Stats
+          {t('hud.heroStats')}
         </div>
         {heroStats && (
           <>
             <div style={{ color: '#fff', marginBottom: '15px' }}>
               <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                <span style={{ color: '#aaa' }}>Level</span>
+                <span style={{ color: '#aaa' }}>{t('hud.level')}</span>
                 <span style={{ fontWeight: 'bold', color: '#4ecdc4' }}>{heroStats.level}</span>
               </div>
               <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                <span style={{ color: '#aaa' }}>Attack</span>
+                <span style={{ color: '#aaa' }}>{t('hud.attack')}</span>
                 <span style={{ fontWeight: 'bold', color: '#ff6b6b' }}>{heroStats.attack}</span>
               </div>
               <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                <span style={{ color: '#aaa' }}>Defense</span>
+                <span style={{ color: '#aaa' }}>{t('hud.defense')}</span>
                 <span style={{ fontWeight: 'bold', color: '#4a90e2' }}>{heroStats.defense}</span>
               </div>
             </div>
@@ -183,7 +185,7 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
             {/* HP Bar */}
             <div style={{ marginBottom: '10px' }}>
               <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
-                <span style={{ color: '#aaa', fontSize: '12px' }}>HP</span>
+                <span style={{ color: '#aaa', fontSize: '12px' }}>{t('hud.hp')}</span>
                 <span style={{ color: '#fff', fontSize: '12px' }}>{heroStats.currentHP} / {heroStats.maxHP}</span>
               </div>
               <div style={{
@@ -210,7 +212,7 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
             {/* EXP Bar */}
             <div>
               <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
-                <span style={{ color: '#aaa', fontSize: '12px' }}>EXP</span>
+                <span style={{ color: '#aaa', fontSize: '12px' }}>{t('hud.exp')}</span>
                 <span style={{ color: '#fff', fontSize: '12px' }}>{heroStats.experience} / {heroStats.experienceToNextLevel}</span>
               </div>
               <div style={{
@@ -249,7 +251,7 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
             background: 'rgba(30, 30, 50, 0.9)',
             border: '2px solid #667eea'
           }}
-          title="Toggle Controls (H)"
+          title={t('hud.toggleControls')}
         >
           ?
         </button>
@@ -259,7 +261,7 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
             padding: '10px 20px'
           }}
         >
-          Menu
+          {t('hud.menu')}
         </button>
       </div>
 
@@ -285,19 +287,19 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
             textTransform: 'uppercase',
             letterSpacing: '2px'
           }}>
-            Controls
+            {t('hud.controls')}
           </div>
           <div style={{ marginBottom: '8px' }}>
-            <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>WASD / Arrows</span> - Move
+            <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>{t('hud.wasdArrows')}</span> - {t('hud.move')}
           </div>
           <div style={{ marginBottom: '8px' }}>
-            <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>E</span> - Enter Dungeon
+            <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>E</span> - {t('hud.enterDungeon')}
           </div>
           <div style={{ marginBottom: '8px' }}>
-            <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>M</span> - Toggle Minimap
+            <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>M</span> - {t('hud.toggleMinimap')}
           </div>
           <div>
-            <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>H</span> - Toggle Help
+            <span style={{ color: '#4ecdc4', fontWeight: 'bold' }}>H</span> - {t('hud.toggleHelp')}
           </div>
         </div>
       )}
@@ -387,7 +389,7 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
             textTransform: 'uppercase',
             letterSpacing: '1px'
           }}>
-            Minimap
+            {t('hud.minimap')}
           </div>
         </div>
       )}
@@ -414,7 +416,7 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
             marginBottom: '8px',
             color: nearbyEntrance.color
           }}>
-            {nearbyEntrance.gradeName}
+            {ProblemTranslator.translateName(nearbyEntrance.gradeName)}
           </div>
           <div style={{
             fontSize: '16px',
@@ -423,7 +425,7 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
             justifyContent: 'center',
             gap: '8px'
           }}>
-            Press
+            {t('hud.press')}
             <span style={{
               background: nearbyEntrance.color,
               color: '#000',
@@ -431,7 +433,7 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
               borderRadius: '6px',
               fontWeight: 'bold'
             }}>E</span>
-            to Enter
+            {t('hud.toEnter')}
           </div>
         </div>
       )}
@@ -446,7 +448,7 @@ function GameHUD({ gameEngine, onEnterDungeon, onReturnToMenu }) {
         fontWeight: 'bold',
         letterSpacing: '2px'
       }}>
-        MATH DUNGEON ADVENTURE
+        {t('hud.footer')}
       </div>
 
       <style>{`
@@ -0,0 +1,272 @@
+import { useEffect, useRef, useState } from 'react'
+import { NumberLine } from '../game/Visualization/NumberLine'
+import { GraphPlotter } from '../game/Visualization/GraphPlotter'
+import { FigureRenderer } from '../game/Visualization/FigureRenderer'
+import { t } from '../game/Localization/Localization'
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🖱️ INTERACTIVE ANSWERS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Some problems are answered by doing instead of typing: click a spot on a
+// number line, plot points on a grid, drag cards into order or set the hands
+// of a clock. Each input turns what you did into an answer the
+// AnswerValidator can check, like "3/4", "(2, -1)" or "4:15".
+//
+// INPUT: interaction = the problem's interaction spec ({ type, ... })
+//        onChange    = called with the answer every time it changes
+
+// We double the size for sharp graphics on fancy screens (retina)
+function prepareCanvas(canvas) {
+  canvas.width = canvas.offsetWidth * 2
+  canvas.height = canvas.offsetHeight * 2
+  canvas.getContext('2d').scale(2, 2)
+  return [canvas.offsetWidth, canvas.offsetHeight]
+}
+
+// Where a click landed, measured from the canvas's top-left corner
+function clickPosition(event) {
+  const box = event.currentTarget.getBoundingClientRect()
+  return [event.clientX - box.left, event.clientY - box.top]
+}
+
+const canvasStyle = {
+  display: 'block',
+  background: '#1a1a2e',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  margin: '0 auto'
+}
+
+const helpStyle = {
+  color: 'rgba(255, 255, 255, 0.6)',
+  fontSize: '13px',
+  textAlign: 'center',
+  marginBottom: '8px'
+}
+
+
+// ──────────────────────────────────────────────────────────────────────────
+// 📍 Number line: click to place your answer (it snaps to the nearest mark)
+// ──────────────────────────────────────────────────────────────────────────
+function NumberLineInput({ interaction, onChange }) {
+  const { min, max, ticks = 1 } = interaction
+  const drawingCanvas = useRef(null)
+  const numberLine = useRef(null)
+  const [value, setValue] = useState(null)
+
+  // Fractions are written in the line's own parts: 6/8, not 0.75
+  const format = (number) => ticks === 1 ? `${number}` : `${Math.round(number * ticks)}/${ticks}`
+
+  useEffect(() => {
+    const [width, height] = prepareCanvas(drawingCanvas.current)
+    numberLine.current = new NumberLine(drawingCanvas.current, width, height)
+    numberLine.current.setRange(min, max, ticks)
+    numberLine.current.setValue(value, value === null ? null : format(value))
+    numberLine.current.render()
+  }, [min, max, ticks, value])
+
+  const handleClick = (event) => {
+    const [x] = clickPosition(event)
+    const picked = numberLine.current.valueAt(x)
+    setValue(picked)
+    onChange(format(picked))
+  }
+
+  return (
+    <div>
+      <div style={helpStyle}>👆 {t('interactive.numberLine')}</div>
+      <canvas ref={drawingCanvas} onClick={handleClick} style={{ ...canvasStyle, width: '100%', height: '80px' }} />
+    </div>
+  )
+}
+
+
+// ──────────────────────────────────────────────────────────────────────────
+// 📈 Grid: click to plot a point (or two points for a line)
+// ──────────────────────────────────────────────────────────────────────────
+function GridInput({ interaction, onChange }) {
+  const { range = 6 } = interaction
+  const pointsNeeded = interaction.type === 'plot-line' ? 2 : 1
+  const drawingCanvas = useRef(null)
+  const plotter = useRef(null)
+  const [points, setPoints] = useState([])
+
+  useEffect(() => {
+    const [width, height] = prepareCanvas(drawingCanvas.current)
+    plotter.current = new GraphPlotter(drawingCanvas.current, width, height)
+    plotter.current.setWindow(-range, range, -range, range)
+    plotter.current.render()
+
+    // Two points with different x values make a line through them
+    if (points.length === 2 && points[0].x !== points[1].x) {
+      const slope = (points[1].y - points[0].y) / (points[1].x - points[0].x)
+      plotter.current.plotLinear(slope, points[0].y - slope * points[0].x, '#4ecdc4')
+    }
+    points.forEach(point => plotter.current.plotPoint(point.x, point.y))
+  }, [range, points])
+
+  const handleClick = (event) => {
+    const [screenX, screenY] = clickPosition(event)
+    const spot = plotter.current.screenToWorld(screenX, screenY)
+    const point = { x: Math.round(spot.x), y: Math.round(spot.y) }
+
+    // Once the points are all placed, the next click starts over
+    const placed = points.length >= pointsNeeded ? [point] : [...points, point]
+    setPoints(placed)
+    onChange(placed.length === pointsNeeded ? placed.map(p => `(${p.x}, ${p.y})`).join(', ') : '')
+  }
+
+  return (
+    <div>
+      <div style={helpStyle}>
+        👆 {pointsNeeded === 1 ? t('interactive.point') : t('interactive.line')}
+      </div>
+      <canvas ref={drawingCanvas} onClick={handleClick} style={{ ...canvasStyle, width: '260px', height: '260px' }} />
+    </div>
+  )
+}
+
+
+// ──────────────────────────────────────────────────────────────────────────
+// ↔️ Order: drag the cards (or click one, then click where it goes)
+// ──────────────────────────────────────────────────────────────────────────
+function OrderInput({ interaction, onChange }) {
+  const [order, setOrder] = useState(interaction.items)
+  const [picked, setPicked] = useState(null)
+
+  // The cards start in some order, so that order is already an answer
+  useEffect(() => {
+    onChange(interaction.items.join(', '))
+  }, [interaction])
+
+  const move = (from, to) => {
+    const moved = [...order]
+    const [card] = moved.splice(from, 1)
+    moved.splice(to, 0, card)
+    setOrder(moved)
+    setPicked(null)
+    onChange(moved.join(', '))
+  }
+
+  const handleClick = (index) => {
+    if (picked === null) setPicked(index)
+    else if (picked === index) setPicked(null)
+    else move(picked, index)
+  }
+
+  return (
+    <div>
+      <div style={helpStyle}>👆 {t('interactive.order')}</div>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
+        {order.map((item, index) => (
+          <div
+            key={item}
+            draggable
+            onDragStart={(e) => e.dataTransfer.setData('text/plain', String(index))}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault()
+              move(Number(e.dataTransfer.getData('text/plain')), index)
+            }}
+            onClick={() => handleClick(index)}
+            style={{
+              padding: '12px 18px',
+              borderRadius: '8px',
+              fontSize: '18px',
+              color: '#fff',
+              cursor: 'grab',
+              userSelect: 'none',
+              background: picked === index ? 'rgba(78, 205, 196, 0.35)' : 'rgba(102, 126, 234, 0.2)',
+              border: picked === index ? '2px solid #4ecdc4' : '2px solid rgba(102, 126, 234, 0.5)'
+            }}
+          >
+            {item}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+
+// ──────────────────────────────────────────────────────────────────────────
+// 🕐 Clock: pick a hand, then click where it should point
+// ──────────────────────────────────────────────────────────────────────────
+function ClockInput({ interaction, onChange }) {
+  const { step = 5 } = interaction
+  const drawingCanvas = useRef(null)
+  const [time, setTime] = useState({ hour: 12, minute: 0 })
+  const [hand, setHand] = useState('minute')
+
+  const format = ({ hour, minute }) => `${hour}:${minute.toString().padStart(2, '0')}`
+
+  // The clock starts at 12:00, so that's already an answer
+  useEffect(() => {
+    onChange(format({ hour: 12, minute: 0 }))
+  }, [interaction])
+
+  useEffect(() => {
+    const [width, height] = prepareCanvas(drawingCanvas.current)
+    new FigureRenderer(drawingCanvas.current, width, height).draw({ type: 'clock', ...time })
+  }, [time])
+
+  const handleClick = (event) => {
+    const [x, y] = clickPosition(event)
+    const box = event.currentTarget.getBoundingClientRect()
+    // Angle around the clock, starting at the 12 and going clockwise (0 to 1 turn)
+    const turn = (Math.atan2(x - box.width / 2, box.height / 2 - y) / (Math.PI * 2) + 1) % 1
+
+    const next = hand === 'minute'
+      ? { ...time, minute: (Math.round(turn * 60 / step) * step) % 60 }
+      : { ...time, hour: Math.round(turn * 12) % 12 || 12 }
+    setTime(next)
+    onChange(format(next))
+  }
+
+  const handButton = (name, label) => (
+    <button
+      onClick={() => setHand(name)}
+      style={{
+        padding: '6px 12px',
+        borderRadius: '6px',
+        fontSize: '13px',
+        cursor: 'pointer',
+        color: '#fff',
+        background: hand === name ? '#667eea' : 'rgba(102, 126, 234, 0.2)',
+        border: '1px solid #667eea'
+      }}
+    >
+      {label}
+    </button>
+  )
+
+  return (
+    <div>
+      <div style={helpStyle}>👆 {t('interactive.clock')}</div>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginBottom: '8px' }}>
+        {handButton('hour', t('interactive.hourHand'))}
+        {handButton('minute', t('interactive.minuteHand'))}
+      </div>
+      <canvas ref={drawingCanvas} onClick={handleClick} style={{ ...canvasStyle, width: '200px', height: '200px' }} />
+    </div>
+  )
+}
+
+
+// Which input goes with which kind of interaction
+const INPUTS = {
+  'number-line': NumberLineInput,
+  'plot-point': GridInput,
+  'plot-line': GridInput,
+  'order': OrderInput,
+  'set-clock': ClockInput
+}
+
+function InteractiveInput({ interaction, onChange }) {
+  const Input = INPUTS[interaction?.type]
+  if (!Input) return null
+  return <Input interaction={interaction} onChange={onChange} />
+}
+
+export default InteractiveInput
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react'
 import { SaveSystem } from '../game/Data/SaveSystem'
 import { LeaderboardSorter } from '../game/Data/LeaderboardSorter'
 import { getAudioManager } from '../utils/audioManager'
+import { Localization, t } from '../game/Localization/Localization'
 
 function Leaderboard({ onBack }) {
   const [leaderboard, setLeaderboard] = useState([])
@@ -66,10 +67,10 @@ function Leaderboard({ onBack }) {
             backgroundClip: 'text',
             margin: 0
           }}>
-            🏆 Leaderboard
+            🏆 {t('leaderboard.title')}
           </h1>
           <p style={{ color: '#aaa', margin: '5px 0 0 0', fontSize: '14px' }}>
-            Top players ranked by their achievements
+            {t('leaderboard.subtitle')}
           </p>
         </div>
         <button 
@@ -79,7 +80,7 @@ function Leaderboard({ onBack }) {
             border: '2px solid #667eea'
           }}
         >
-          Back
+          {t('common.back')}
         </button>
       </div>
 
@@ -107,12 +108,12 @@ function Leaderboard({ onBack }) {
             display: 'flex',
             alignItems: 'center'
           }}>
-            Sort by:
+            {t('leaderboard.sortBy')}
           </span>
           {[
-            { key: 'score', label: 'Score' },
-            { key: 'level', label: 'Level' },
-            { key: 'completionPercentage', label: 'Completion' }
+            { key: 'score', label: t('leaderboard.score') },
+            { key: 'level', label: t('leaderboard.level') },
+            { key: 'completionPercentage', label: t('leaderboard.completion') }
           ].map(({ key, label }) => (
             <button
               key={key}
@@ -148,8 +149,8 @@ function Leaderboard({ onBack }) {
             color: '#aaa'
           }}>
             <div style={{ fontSize: '64px', marginBottom: '20px' }}>🎮</div>
-            <h3 style={{ marginBottom: '10px' }}>No entries yet!</h3>
-            <p>Play the game to appear on the leaderboard.</p>
+            <h3 style={{ marginBottom: '10px' }}>{t('leaderboard.empty')}</h3>
+            <p>{t('leaderboard.emptyHelp')}</p>
           </div>
         ) : (
           <div style={{ 
@@ -170,11 +171,11 @@ function Leaderboard({ onBack }) {
               textTransform: 'uppercase',
               letterSpacing: '1px'
             }}>
-              <div>Rank</div>
-              <div>Player</div>
-              <div style={{ textAlign: 'right' }}>Score</div>
-              <div style={{ textAlign: 'right' }}>Level</div>
-              <div style={{ textAlign: 'right' }}>Completion</div>
+              <div>{t('leaderboard.rank')}</div>
+              <div>{t('leaderboard.player')}</div>
+              <div style={{ textAlign: 'right' }}>{t('leaderboard.score')}</div>
+              <div style={{ textAlign: 'right' }}>{t('leaderboard.level')}</div>
+              <div style={{ textAlign: 'right' }}>{t('leaderboard.completion')}</div>
             </div>
 
             {/* Table rows */}
@@ -205,25 +206,25 @@ function Leaderboard({ onBack }) {
                   {getRankIcon(index)}
                 </div>
                 <div style={{ fontWeight: 'bold' }}>
-                  {entry.playerName || 'Anonymous Hero'}
+                  {entry.playerName || t('leaderboard.anonymous')}
                 </div>
                 <div style={{ 
                   textAlign: 'right',
                   color: '#4ecdc4',
                   fontWeight: 'bold'
                 }}>
-                  {(entry.score || 0).toLocaleString()}
+                  {Localization.formatNumbers((entry.score || 0).toLocaleString('en-US'))}
                 </div>
                 <div style={{ 
                   textAlign: 'right',
                   color: '#667eea'
                 }}>
-                  Lv.{entry.level || 1}
+                  {t('common.levelShort', { level: entry.level || 1 })}
                 </div>
                 <div style={{ textAlign: 'right' }}>
                   {entry.completionPercentage 
-                    ? `${entry.completionPercentage.toFixed(1)}%`
-                    : 'N/A'
+                    ? t('common.percent', { value: Localization.formatNumber(entry.completionPercentage.toFixed(1)) })
+                    : t('leaderboard.notAvailable')
                   }
                 </div>
               </div>
@@ -243,7 +244,7 @@ function Leaderboard({ onBack }) {
         }}>
           <div style={{ textAlign: 'center' }}>
             <div style={{ color: '#aaa', fontSize: '12px', marginBottom: '5px' }}>
-              Total Players
+              {t('leaderboard.totalPlayers')}
             </div>
             <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#f7dc6f' }}>
               {leaderboard.length}
@@ -251,18 +252,18 @@ function Leaderboard({ onBack }) {
           </div>
           <div style={{ textAlign: 'center' }}>
             <div style={{ color: '#aaa', fontSize: '12px', marginBottom: '5px' }}>
-              Highest Score
+              {t('leaderboard.highestScore')}
             </div>
             <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#4ecdc4' }}>
               {leaderboard.length > 0 
-                ? (leaderboard[0]?.score || 0).toLocaleString()
+                ? Localization.formatNumbers((leaderboard[0]?.score || 0).toLocaleString('en-US'))
                 : '0'
               }
             </div>
           </div>
           <div style={{ textAlign: 'center' }}>
             <div style={{ color: '#aaa', fontSize: '12px', marginBottom: '5px' }}>
-              Highest Level
+              {t('leaderboard.highestLevel')}
             </div>
             <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#667eea' }}>
               {leaderboard.length > 0 
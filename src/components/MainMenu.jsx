@@ -2,13 +2,19 @@ import { useState, useEffect } from 'react'
 import Leaderboard from './Leaderboard'
 import Settings from './Settings'
 import ShopUI from './ShopUI'
+import WorksheetExport from './WorksheetExport'
+import ProblemSetImport from './ProblemSetImport'
 import { getAudioManager } from '../utils/audioManager'
 import { CharacterStats } from '../game/Characters/CharacterStats'
+import { t } from '../game/Localization/Localization'
+import { ProblemTranslator } from '../game/Localization/ProblemTranslator'
 
 function MainMenu({ onStart }) {
   const [showLeaderboard, setShowLeaderboard] = useState(false)
   const [showSettings, setShowSettings] = useState(false)
   const [showShop, setShowShop] = useState(false)
+  const [showWorksheet, setShowWorksheet] = useState(false)
+  const [showImport, setShowImport] = useState(false)
   const [fadeIn, setFadeIn] = useState(false)
 
   // Player stats for the shop
@@ -45,6 +51,14 @@ function MainMenu({ onStart }) {
     return <Settings onBack={() => setShowSettings(false)} />
   }
 
+  if (showWorksheet) {
+    return <WorksheetExport onBack={() => setShowWorksheet(false)} />
+  }
+
+  if (showImport) {
+    return <ProblemSetImport onBack={() => setShowImport(false)} />
+  }
+
   if (showShop) {
     return <ShopUI
       playerStats={playerStats}
@@ -149,7 +163,7 @@ function MainMenu({ onStart }) {
             marginBottom: '10px',
             textTransform: 'uppercase'
           }}>
-            Alberta Curriculum
+            {t('menu.curriculum')}
           </div>
           <h1 style={{
             fontSize: '64px',
@@ -162,7 +176,7 @@ function MainMenu({ onStart }) {
             textShadow: 'none',
             letterSpacing: '2px'
           }}>
-            Math Dungeon
+            {t('menu.title')}
           </h1>
           <h2 style={{
             fontSize: '28px',
@@ -171,7 +185,7 @@ function MainMenu({ onStart }) {
             letterSpacing: '6px',
             textTransform: 'uppercase'
           }}>
-            Adventure
+            {t('menu.subtitle')}
           </h2>
         </div>
 
@@ -183,7 +197,7 @@ function MainMenu({ onStart }) {
           maxWidth: '500px',
           lineHeight: '1.6'
         }}>
-          Explore dungeons, battle monsters, and master mathematics from Grade 1 to Grade 12!
+          {t('menu.tagline')}
         </p>
 
         {/* Menu buttons */}
@@ -214,10 +228,10 @@ function MainMenu({ onStart }) {
               e.target.style.boxShadow = '0 10px 40px rgba(102, 126, 234, 0.4)'
             }}
           >
-            Start Adventure
+            {t('menu.start')}
           </button>
 
-          <div style={{ display: 'flex', gap: '15px', marginTop: '10px' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '15px', marginTop: '10px' }}>
             {/* 🏪 WEAPON SHOP BUTTON */}
             <button
               onClick={() => setShowShop(true)}
@@ -242,7 +256,7 @@ function MainMenu({ onStart }) {
                 e.target.style.boxShadow = '0 5px 15px rgba(255, 215, 0, 0.3)'
               }}
             >
-              🏪 Weapon Shop
+              🏪 {t('menu.shop')}
             </button>
 
             <button
@@ -263,7 +277,7 @@ function MainMenu({ onStart }) {
                 e.target.style.background = 'rgba(255, 255, 255, 0.1)'
               }}
             >
-              Leaderboard
+              {t('menu.leaderboard')}
             </button>
             <button
               onClick={() => setShowSettings(true)}
@@ -283,7 +297,47 @@ function MainMenu({ onStart }) {
                 e.target.style.background = 'rgba(255, 255, 255, 0.1)'
               }}
             >
-              Settings
+              {t('menu.settings')}
+            </button>
+            <button
+              onClick={() => setShowWorksheet(true)}
+              style={{
+                fontSize: '16px',
+                padding: '14px 30px',
+                background: 'rgba(255, 255, 255, 0.1)',
+                border: '2px solid #667eea',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                transition: 'all 0.3s ease'
+              }}
+              onMouseOver={(e) => {
+                e.target.style.background = 'rgba(102, 126, 234, 0.2)'
+              }}
+              onMouseOut={(e) => {
+                e.target.style.background = 'rgba(255, 255, 255, 0.1)'
+              }}
+            >
+              🖨️ {t('menu.worksheets')}
+            </button>
+            <button
+              onClick={() => setShowImport(true)}
+              style={{
+                fontSize: '16px',
+                padding: '14px 30px',
+                background: 'rgba(255, 255, 255, 0.1)',
+                border: '2px solid #667eea',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                transition: 'all 0.3s ease'
+              }}
+              onMouseOver={(e) => {
+                e.target.style.background = 'rgba(102, 126, 234, 0.2)'
+              }}
+              onMouseOut={(e) => {
+                e.target.style.background = 'rgba(255, 255, 255, 0.1)'
+              }}
+            >
+              📥 {t('menu.importQuestions')}
             </button>
           </div>
         </div>
@@ -304,7 +358,7 @@ function MainMenu({ onStart }) {
             marginBottom: '15px',
             textTransform: 'uppercase'
           }}>
-            Curriculum Coverage
+            {t('menu.coverage')}
           </div>
           <div style={{
             display: 'flex',
@@ -312,7 +366,7 @@ function MainMenu({ onStart }) {
             flexWrap: 'wrap',
             justifyContent: 'center'
           }}>
-            {['Math 1-6', 'Math 7-9', 'Math 10-1', 'Math 20-1', 'Math 30-1'].map((grade, i) => (
+            {['Math 1-6', 'Math 7-9', 'Math 10C', 'Math 20-1', 'Math 20-2', 'Math 20-3', 'Math 30-1', 'Math 30-2', 'Math 31'].map((grade, i) => (
               <span key={i} style={{
                 padding: '8px 16px',
                 background: 'rgba(102, 126, 234, 0.2)',
@@ -320,7 +374,7 @@ function MainMenu({ onStart }) {
                 fontSize: '14px',
                 color: '#fff'
               }}>
-                {grade}
+                {ProblemTranslator.translateName(grade)}
               </span>
             ))}
           </div>
@@ -336,11 +390,11 @@ function MainMenu({ onStart }) {
         textAlign: 'center'
       }}>
         <div style={{ marginBottom: '8px' }}>
-          Use <span style={{ color: '#4ecdc4' }}>WASD</span> or <span style={{ color: '#4ecdc4' }}>Arrow Keys</span> to move •
-          Press <span style={{ color: '#4ecdc4' }}>E</span> near dungeon entrances to enter
+          {t('menu.controls.use')} <span style={{ color: '#4ecdc4' }}>WASD</span> {t('menu.controls.or')} <span style={{ color: '#4ecdc4' }}>{t('menu.controls.arrowKeys')}</span> {t('menu.controls.toMove')} •
+          {t('menu.controls.press')} <span style={{ color: '#4ecdc4' }}>E</span> {t('menu.controls.toEnter')}
         </div>
         <div>
-          Serious Game for Alberta Mathematics Education
+          {t('menu.footer')}
         </div>
       </div>
 
@@ -1,3 +1,7 @@
+import FigureCanvas from './FigureCanvas'
+import { t } from '../game/Localization/Localization'
+import { ProblemTranslator } from '../game/Localization/ProblemTranslator'
+
 function ProblemDisplay({ problem, onSelectOption }) {
   if (!problem) return (
     <div style={{
@@ -8,10 +12,14 @@ function ProblemDisplay({ problem, onSelectOption }) {
       textAlign: 'center',
       color: '#aaa'
     }}>
-      No problem available
+      {t('problem.none')}
     </div>
   )
 
+  // Multi-part problems are answered one part at a time
+  const isMultiPart = problem.type === 'multi-part'
+  const activePart = isMultiPart ? problem.parts[problem.currentPart || 0] : problem
+
   return (
     <div style={{
       background: 'linear-gradient(135deg, rgba(30, 30, 50, 0.95) 0%, rgba(40, 40, 70, 0.95) 100%)',
@@ -34,7 +42,7 @@ function ProblemDisplay({ problem, onSelectOption }) {
           letterSpacing: '2px',
           textTransform: 'uppercase'
         }}>
-          Math Problem
+          {problem.isReview ? `🔁 ${t('problem.review')}` : t('problem.title')}
         </div>
         <div style={{
           background: 'rgba(102, 126, 234, 0.2)',
@@ -43,7 +51,7 @@ function ProblemDisplay({ problem, onSelectOption }) {
           fontSize: '12px',
           color: '#667eea'
         }}>
-          {problem.topic || 'General'}
+          {problem.topic ? ProblemTranslator.translateName(problem.topic) : t('problem.general')}
         </div>
       </div>
 
@@ -58,15 +66,51 @@ function ProblemDisplay({ problem, onSelectOption }) {
         {problem.question}
       </h3>
 
+      {/* The figure is part of the question: read the clock, the shape or the graph */}
+      <FigureCanvas figure={activePart.figure || problem.figure} />
+
+      {/* Parts of a multi-part problem: done ones are ticked, the current one stands out */}
+      {isMultiPart && (
+        <div style={{
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '6px'
+        }}>
+          {problem.parts.map((part, index) => {
+            const result = problem.partResults?.[index]
+            const isCurrent = index === (problem.currentPart || 0)
+            return (
+              <div key={index} style={{
+                padding: '8px 12px',
+                borderRadius: '8px',
+                fontSize: '15px',
+                color: '#fff',
+                background: isCurrent ? 'rgba(102, 126, 234, 0.25)' : 'rgba(0, 0, 0, 0.2)',
+                border: isCurrent ? '1px solid #667eea' : '1px solid transparent',
+                opacity: result === undefined && !isCurrent ? 0.5 : 1
+              }}>
+                <span style={{ marginRight: '8px' }}>
+                  {result === true ? '✅' : result === false ? '❌' : `${index + 1}.`}
+                </span>
+                {part.question}
+                {result !== undefined && (
+                  <span style={{ color: '#4ecdc4', marginLeft: '8px' }}>{part.answer}</span>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
       {/* 1. Show MULTIPLE CHOICE buttons if requested */}
-      {problem.type === 'multiple-choice' && problem.options && (
+      {activePart.type === 'multiple-choice' && activePart.options && (
         <div style={{
           display: 'grid',
           gridTemplateColumns: 'repeat(2, 1fr)',
           gap: '12px',
           marginTop: '20px'
         }}>
-          {problem.options.map((option, index) => (
+          {activePart.options.map((option, index) => (
             <button
               key={index}
               onClick={() => onSelectOption && onSelectOption(option.value)}
@@ -112,8 +156,19 @@ function ProblemDisplay({ problem, onSelectOption }) {
         </div>
       )}
 
-      {/* 2. Show a TEXT HINT if it's a fill-in-the-blank question */}
-      {problem.type === 'fill-in-blank' && (
+      {/* 2. Interactive questions are answered on the board under the problem */}
+      {activePart.type === 'interactive' && (
+        <div style={{
+          color: 'rgba(255, 255, 255, 0.6)',
+          fontSize: '14px',
+          marginTop: '15px'
+        }}>
+          🖱️ {t('problem.interactiveHint')}
+        </div>
+      )}
+
+      {/* 3. Show a TEXT HINT if it's a fill-in-the-blank question */}
+      {activePart.type === 'fill-in-blank' && (
         <div style={{
           color: 'rgba(255, 255, 255, 0.6)',
           fontSize: '14px',
@@ -134,7 +189,7 @@ function ProblemDisplay({ problem, onSelectOption }) {
           }}>
             💡
           </span>
-          Type your answer in the input field below and press Enter or click Attack
+          {t('problem.fillInHint')}
         </div>
       )}
     </div>
@@ -0,0 +1,287 @@
+import { useState } from 'react'
+import curriculum from '../game/Math/CurriculumData'
+import { ProblemImporter, ProblemImportError } from '../game/Data/ProblemImporter'
+import { ProblemSetStore } from '../game/Data/ProblemSetStore'
+import { Localization, LOCALES, t } from '../game/Localization/Localization'
+import { ProblemTranslator } from '../game/Localization/ProblemTranslator'
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📥 IMPORT QUESTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// For teachers: bring in your own questions from a spreadsheet (CSV) or an
+// LMS quiz (QTI 2.1 XML). Each file becomes a question set that shows up
+// as a unit of its own in the dungeons of its grades!
+//
+// INPUT: onBack = called when the player leaves this screen
+
+const fieldStyle = {
+  width: '100%',
+  padding: '10px',
+  fontSize: '15px',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: '#fff',
+  border: '2px solid rgba(155, 89, 182, 0.5)',
+  borderRadius: '8px',
+  boxSizing: 'border-box'
+}
+
+const labelStyle = {
+  display: 'block',
+  color: '#9b59b6',
+  fontSize: '12px',
+  fontWeight: 'bold',
+  letterSpacing: '1px',
+  marginBottom: '8px',
+  textTransform: 'uppercase'
+}
+
+const panelStyle = {
+  flex: 1,
+  background: 'linear-gradient(135deg, rgba(30, 30, 50, 0.95) 0%, rgba(40, 40, 70, 0.95) 100%)',
+  borderRadius: '16px',
+  border: '2px solid #9b59b6',
+  padding: '30px',
+  overflowY: 'auto'
+}
+
+// The option list is drawn by the browser, so it needs dark text on its light background
+const optionStyle = { color: '#000' }
+
+// How many skipped questions to list (the rest are just counted)
+const MAX_ERRORS_SHOWN = 5
+
+// "Line 4: It has no answer" - a skipped question, in the player's language
+function describeError(error) {
+  const where = error.line !== undefined
+    ? t('importer.line', { line: error.line })
+    : t('importer.item', { item: error.item })
+  return `${where}: ${t(`importer.errors.${error.code}`, error.params)}`
+}
+
+function gradeName(grade) {
+  return ProblemTranslator.translateName(curriculum.getGrade(grade)?.name || String(grade))
+}
+
+function ProblemSetImport({ onBack }) {
+  const [store] = useState(() => new ProblemSetStore().load())
+  const [sets, setSets] = useState(() => store.getAll())
+  const grades = curriculum.getGrades()
+  const [file, setFile] = useState(null)
+  const [name, setName] = useState('')
+  const [grade, setGrade] = useState(grades[0]?.grade)
+  const [locale, setLocale] = useState(Localization.getLocale())
+  const [result, setResult] = useState(null) // { imported, errors } or { failed, errors }
+
+  const handleFileChange = (e) => {
+    const picked = e.target.files[0] || null
+    setFile(picked)
+    setResult(null)
+    if (picked) setName(picked.name.replace(/\.[^.]*$/, ''))
+  }
+
+  const handleImport = async () => {
+    if (!file) return
+    try {
+      const text = await file.text()
+      const { set, errors } = ProblemImporter.fromFile(file.name, text, { name, grade, locale })
+      store.add(set)
+      setSets(store.getAll())
+      setResult({ imported: set, errors })
+    } catch (e) {
+      if (!(e instanceof ProblemImportError)) console.error('Failed to import questions:', e)
+      setResult({ failed: e.code || 'unknown-format', errors: e.errors || [] })
+    }
+  }
+
+  const handleRemove = (id) => {
+    store.remove(id)
+    setSets(store.getAll())
+  }
+
+  return (
+    <div style={{
+      width: '100vw',
+      height: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      background: 'linear-gradient(135deg, #0f0f1e 0%, #1a1a2e 50%, #16213e 100%)',
+      color: '#fff',
+      padding: '40px',
+      boxSizing: 'border-box'
+    }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '40px'
+      }}>
+        <h1 style={{
+          fontSize: '36px',
+          background: 'linear-gradient(135deg, #9b59b6 0%, #667eea 100%)',
+          WebkitBackgroundClip: 'text',
+          WebkitTextFillColor: 'transparent',
+          backgroundClip: 'text',
+          margin: 0
+        }}>
+          📥 {t('importer.title')}
+        </h1>
+        <button
+          onClick={onBack}
+          style={{
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: '2px solid #9b59b6'
+          }}
+        >
+          {t('common.back')}
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '30px', flex: 1, minHeight: 0 }}>
+        {/* Import a file */}
+        <div style={panelStyle}>
+          <p style={{ fontSize: '14px', color: '#aaa', marginTop: 0, marginBottom: '10px', lineHeight: '1.6' }}>
+            {t('importer.help')}
+          </p>
+          <p style={{ fontSize: '12px', color: '#aaa', marginTop: 0, marginBottom: '25px', lineHeight: '1.6' }}>
+            {t('importer.formats')}
+          </p>
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>{t('importer.file')}</label>
+            <input type="file" accept=".csv,.txt,.xml,.qti" onChange={handleFileChange} style={{ color: '#fff' }} />
+          </div>
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>{t('importer.name')}</label>
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} style={fieldStyle} />
+          </div>
+
+          <div style={{ display: 'flex', gap: '20px', marginBottom: '10px' }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>{t('importer.grade')}</label>
+              <select value={grade} onChange={(e) => setGrade(curriculum.toGradeId(e.target.value))} style={fieldStyle}>
+                {grades.map(g => (
+                  <option key={g.grade} value={g.grade} style={optionStyle}>{gradeName(g.grade)}</option>
+                ))}
+              </select>
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>{t('importer.language')}</label>
+              <select value={locale} onChange={(e) => setLocale(e.target.value)} style={fieldStyle}>
+                {Object.entries(LOCALES).map(([code, { name: languageName }]) => (
+                  <option key={code} value={code} style={optionStyle}>{languageName}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p style={{ fontSize: '12px', color: '#aaa', marginTop: 0, marginBottom: '25px' }}>
+            {t('importer.gradeHelp')}
+          </p>
+
+          <button
+            onClick={handleImport}
+            disabled={!file}
+            style={{
+              width: '100%',
+              padding: '14px',
+              fontSize: '16px',
+              fontWeight: 'bold',
+              background: 'linear-gradient(135deg, #9b59b6 0%, #764ba2 100%)',
+              border: 'none',
+              cursor: file ? 'pointer' : 'not-allowed',
+              opacity: file ? 1 : 0.5
+            }}
+          >
+            📥 {t('importer.import')}
+          </button>
+
+          {/* What happened */}
+          {result && (
+            <div style={{
+              marginTop: '20px',
+              padding: '15px',
+              borderRadius: '8px',
+              fontSize: '14px',
+              background: result.failed ? 'rgba(255, 107, 107, 0.1)' : 'rgba(78, 205, 196, 0.1)',
+              border: `2px solid ${result.failed ? '#ff6b6b' : '#4ecdc4'}`
+            }}>
+              <div style={{ color: result.failed ? '#ff6b6b' : '#4ecdc4', fontWeight: 'bold', marginBottom: '8px' }}>
+                {result.failed
+                  ? t(`importer.errors.${result.failed}`)
+                  : t('importer.imported', { count: result.imported.items.length, name: result.imported.name })}
+              </div>
+              {result.errors.length > 0 && (
+                <>
+                  <div style={{ color: '#f7dc6f', marginBottom: '6px' }}>
+                    {t('importer.skipped', { count: result.errors.length })}
+                  </div>
+                  <ul style={{ margin: 0, paddingLeft: '20px', color: '#ddd', fontSize: '12px', lineHeight: '1.6' }}>
+                    {result.errors.slice(0, MAX_ERRORS_SHOWN).map((error, index) => (
+                      <li key={index}>{describeError(error)}</li>
+                    ))}
+                    {result.errors.length > MAX_ERRORS_SHOWN && (
+                      <li>{t('importer.more', { count: result.errors.length - MAX_ERRORS_SHOWN })}</li>
+                    )}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* The sets already imported */}
+        <div style={panelStyle}>
+          <div style={{ ...labelStyle, marginBottom: '20px' }}>
+            {t('importer.sets')}
+          </div>
+          {sets.length === 0 && (
+            <p style={{ fontSize: '14px', color: '#aaa' }}>{t('importer.noSets')}</p>
+          )}
+          {sets.map(set => (
+            <div
+              key={set.id}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '15px',
+                padding: '12px 15px',
+                marginBottom: '10px',
+                background: 'rgba(155, 89, 182, 0.1)',
+                border: '1px solid rgba(155, 89, 182, 0.4)',
+                borderRadius: '8px'
+              }}
+            >
+              <div>
+                <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{set.name}</div>
+                <div style={{ fontSize: '12px', color: '#aaa' }}>
+                  {t('importer.setDetails', {
+                    count: set.items.length,
+                    grades: [...new Set(set.items.map(item => item.grade))].map(gradeName).join(', '),
+                    source: set.source.toUpperCase()
+                  })}
+                </div>
+              </div>
+              <button
+                onClick={() => handleRemove(set.id)}
+                style={{
+                  padding: '6px 12px',
+                  fontSize: '12px',
+                  background: 'rgba(255, 107, 107, 0.2)',
+                  border: '1px solid #ff6b6b',
+                  color: '#ff6b6b'
+                }}
+              >
+                {t('importer.remove')}
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProblemSetImport
@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react'
 import { getAudioManager } from '../utils/audioManager'
+import { Localization, LOCALES, t } from '../game/Localization/Localization'
 
 function Settings({ onBack }) {
   const [volume, setVolume] = useState(50)
   const [soundEnabled, setSoundEnabled] = useState(true)
   const [showResetConfirm, setShowResetConfirm] = useState(false)
+  const [locale, setLocale] = useState(Localization.getLocale())
 
   useEffect(() => {
     // Load saved settings
@@ -33,12 +35,19 @@ function Settings({ onBack }) {
     audioManager.setSoundEnabled(newValue)
   }
 
+  const handleLocaleChange = (newLocale) => {
+    Localization.setLocale(newLocale)
+    setLocale(newLocale) // Re-render this screen in the new language
+  }
+
   const handleResetProgress = () => {
     localStorage.removeItem('mathDungeonSave')
     localStorage.removeItem('mathDungeonProgress')
+    localStorage.removeItem('mathDungeonMastery')
+    localStorage.removeItem('mathDungeonReview')
     localStorage.removeItem('mathDungeonLeaderboard')
     setShowResetConfirm(false)
-    alert('Progress has been reset!')
+    alert(t('settings.resetDone'))
   }
 
   return (
@@ -67,7 +76,7 @@ function Settings({ onBack }) {
           backgroundClip: 'text',
           margin: 0
         }}>
-          Settings
+          {t('settings.title')}
         </h1>
         <button 
           onClick={onBack}
@@ -76,7 +85,7 @@ function Settings({ onBack }) {
             border: '2px solid #667eea'
           }}
         >
-          Back
+          {t('common.back')}
         </button>
       </div>
 
@@ -102,7 +111,7 @@ function Settings({ onBack }) {
             marginBottom: '25px',
             textTransform: 'uppercase'
           }}>
-            Audio Settings
+            {t('settings.audio')}
           </div>
           
           {/* Sound Toggle */}
@@ -113,7 +122,7 @@ function Settings({ onBack }) {
               alignItems: 'center',
               marginBottom: '10px'
             }}>
-              <span>Sound Effects</span>
+              <span>{t('settings.soundEffects')}</span>
               <button
                 onClick={handleSoundToggle}
                 style={{
@@ -142,7 +151,7 @@ function Settings({ onBack }) {
               </button>
             </div>
             <p style={{ fontSize: '12px', color: '#aaa', margin: 0 }}>
-              Enable or disable game sound effects
+              {t('settings.soundEffectsHelp')}
             </p>
           </div>
 
@@ -154,7 +163,7 @@ function Settings({ onBack }) {
               alignItems: 'center',
               marginBottom: '15px'
             }}>
-              <span>Volume</span>
+              <span>{t('settings.volume')}</span>
               <span style={{ 
                 color: '#667eea',
                 fontWeight: 'bold'
@@ -193,7 +202,7 @@ function Settings({ onBack }) {
               border: '2px solid #667eea'
             }}
           >
-            Test Sound
+            {t('settings.testSound')}
           </button>
         </div>
 
@@ -213,15 +222,38 @@ function Settings({ onBack }) {
             marginBottom: '25px',
             textTransform: 'uppercase'
           }}>
-            Game Settings
+            {t('settings.game')}
+          </div>
+
+          {/* Language */}
+          <div style={{ marginBottom: '30px' }}>
+            <h3 style={{ marginBottom: '10px' }}>{t('settings.language')}</h3>
+            <p style={{ fontSize: '14px', color: '#aaa', marginBottom: '15px' }}>
+              {t('settings.languageHelp')}
+            </p>
+            <div style={{ display: 'flex', gap: '10px' }}>
+              {Object.entries(LOCALES).map(([code, { name }]) => (
+                <button
+                  key={code}
+                  onClick={() => handleLocaleChange(code)}
+                  style={{
+                    flex: 1,
+                    padding: '10px',
+                    background: locale === code ? 'rgba(255, 107, 107, 0.3)' : 'rgba(255, 255, 255, 0.1)',
+                    border: locale === code ? '2px solid #ff6b6b' : '2px solid rgba(255, 255, 255, 0.3)'
+                  }}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
           </div>
           
           {/* Reset Progress */}
           <div style={{ marginBottom: '30px' }}>
-            <h3 style={{ marginBottom: '10px' }}>Reset Progress</h3>
+            <h3 style={{ marginBottom: '10px' }}>{t('settings.reset')}</h3>
             <p style={{ fontSize: '14px', color: '#aaa', marginBottom: '15px' }}>
-              This will delete all your saved progress, including completed grades, 
-              battle statistics, and leaderboard entries. This action cannot be undone.
+              {t('settings.resetHelp')}
             </p>
             
             {!showResetConfirm ? (
@@ -235,7 +267,7 @@ function Settings({ onBack }) {
                   color: '#ff6b6b'
                 }}
               >
-                Reset All Progress
+                {t('settings.resetAll')}
               </button>
             ) : (
               <div style={{
@@ -245,7 +277,7 @@ function Settings({ onBack }) {
                 padding: '15px'
               }}>
                 <p style={{ marginBottom: '15px', color: '#ff6b6b' }}>
-                  Are you sure? This cannot be undone!
+                  {t('settings.resetConfirm')}
                 </p>
                 <div style={{ display: 'flex', gap: '10px' }}>
                   <button
@@ -258,7 +290,7 @@ function Settings({ onBack }) {
                       color: '#fff'
                     }}
                   >
-                    Yes, Reset
+                    {t('settings.resetYes')}
                   </button>
                   <button
                     onClick={() => setShowResetConfirm(false)}
@@ -269,7 +301,7 @@ function Settings({ onBack }) {
                       border: '2px solid #fff'
                     }}
                   >
-                    Cancel
+                    {t('common.cancel')}
                   </button>
                 </div>
               </div>
@@ -293,17 +325,15 @@ function Settings({ onBack }) {
             marginBottom: '25px',
             textTransform: 'uppercase'
           }}>
-            About
+            {t('settings.about')}
           </div>
           
           <h3 style={{ color: '#4ecdc4', marginBottom: '15px' }}>
-            Math Dungeon Adventure
+            {t('settings.gameName')}
           </h3>
           
           <p style={{ fontSize: '14px', color: '#aaa', marginBottom: '20px', lineHeight: '1.6' }}>
-            A serious educational game designed to help students learn and practice 
-            mathematics according to the Alberta curriculum. Explore dungeons, battle 
-            monsters, and master math concepts from Grade 1 to Grade 12!
+            {t('settings.aboutText')}
           </p>
           
           <div style={{ 
@@ -313,10 +343,10 @@ function Settings({ onBack }) {
             marginBottom: '15px'
           }}>
             <div style={{ fontSize: '12px', color: '#4ecdc4', marginBottom: '8px' }}>
-              CURRICULUM COVERAGE
+              {t('settings.coverage')}
             </div>
             <div style={{ fontSize: '14px' }}>
-              Math 1-6, Math 7-9, Math 10-1, Math 20-1, Math 30-1
+              {t('settings.coverageList')}
             </div>
           </div>
           
@@ -326,10 +356,10 @@ function Settings({ onBack }) {
             borderRadius: '8px'
           }}>
             <div style={{ fontSize: '12px', color: '#4ecdc4', marginBottom: '8px' }}>
-              ALGORITHMS USED
+              {t('settings.algorithms')}
             </div>
             <div style={{ fontSize: '14px' }}>
-              Binary Search, Linear Search, Quicksort, Bubble Sort
+              {t('settings.algorithmList')}
             </div>
           </div>
         </div>
@@ -10,6 +10,7 @@
 
 import React, { useState } from 'react'
 import { WeaponShop, ALL_WEAPONS } from '../game/Shop/WeaponShop'
+import { t } from '../game/Localization/Localization'
 
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -82,7 +83,7 @@ function ShopUI({ playerStats, onClose, onPurchase }) {
                         margin: 0,
                         fontSize: '28px'
                     }}>
-                        🏪 Weapon Shop
+                        🏪 {t('shop.title')}
                     </h2>
                     <div style={{
                         background: '#ffd700',
@@ -92,7 +93,7 @@ function ShopUI({ playerStats, onClose, onPurchase }) {
                         fontWeight: 'bold',
                         fontSize: '18px'
                     }}>
-                        💰 {playerStats.gold || 0} Gold
+                        💰 {t('shop.gold', { gold: playerStats.gold || 0 })}
                     </div>
                 </div>
 
@@ -104,12 +105,12 @@ function ShopUI({ playerStats, onClose, onPurchase }) {
                     marginBottom: '20px'
                 }}>
                     <div style={{ color: '#aaa', fontSize: '12px', marginBottom: '5px' }}>
-                        Currently Equipped:
+                        {t('shop.equipped')}
                     </div>
                     <div style={{ color: '#fff', fontSize: '18px', fontWeight: 'bold' }}>
-                        {playerStats.equippedWeapon?.emoji || '🗡️'} {playerStats.equippedWeapon?.name || 'Wooden Sword'}
+                        {playerStats.equippedWeapon?.emoji || '🗡️'} {t(`weapons.${playerStats.equippedWeapon?.id || 'wooden_sword'}.name`)}
                         <span style={{ color: '#4ecdc4', marginLeft: '10px' }}>
-                            +{playerStats.equippedWeapon?.damageBonus || 0} damage
+                            {t('shop.damage', { bonus: playerStats.equippedWeapon?.damageBonus || 0 })}
                         </span>
                     </div>
                 </div>
@@ -160,31 +161,31 @@ function ShopUI({ playerStats, onClose, onPurchase }) {
                                         fontWeight: 'bold',
                                         marginBottom: '5px'
                                     }}>
-                                        {weapon.emoji} {weapon.name}
+                                        {weapon.emoji} {t(`weapons.${weapon.id}.name`)}
                                         {isEquipped && (
                                             <span style={{
                                                 color: '#4ecdc4',
                                                 fontSize: '12px',
                                                 marginLeft: '10px'
                                             }}>
-                                                ✅ EQUIPPED
+                                                ✅ {t('shop.equippedBadge')}
                                             </span>
                                         )}
                                     </div>
                                     <div style={{ color: '#aaa', fontSize: '14px' }}>
-                                        {weapon.description}
+                                        {t(`weapons.${weapon.id}.description`)}
                                     </div>
                                     <div style={{ color: '#4ecdc4', fontSize: '14px', marginTop: '5px' }}>
-                                        +{weapon.damageBonus} damage bonus
+                                        {t('shop.damageBonus', { bonus: weapon.damageBonus })}
                                     </div>
                                 </div>
 
                                 {/* Buy Button */}
                                 <div style={{ textAlign: 'right' }}>
                                     {weapon.price === 0 ? (
-                                        <div style={{ color: '#4ecdc4', fontWeight: 'bold' }}>FREE</div>
+                                        <div style={{ color: '#4ecdc4', fontWeight: 'bold' }}>{t('shop.free')}</div>
                                     ) : isEquipped ? (
-                                        <div style={{ color: '#4ecdc4', fontWeight: 'bold' }}>Owned</div>
+                                        <div style={{ color: '#4ecdc4', fontWeight: 'bold' }}>{t('shop.owned')}</div>
                                     ) : (
                                         <>
                                             <div style={{
@@ -211,7 +212,7 @@ function ShopUI({ playerStats, onClose, onPurchase }) {
                                                     opacity: canAfford ? 1 : 0.5
                                                 }}
                                             >
-                                                {canAfford ? 'Buy' : 'Need More Gold'}
+                                                {canAfford ? t('shop.buy') : t('shop.needGold')}
                                             </button>
                                         </>
                                     )}
@@ -237,7 +238,7 @@ function ShopUI({ playerStats, onClose, onPurchase }) {
                         cursor: 'pointer'
                     }}
                 >
-                    Close Shop
+                    {t('shop.close')}
                 </button>
             </div>
         </div>
@@ -16,6 +16,14 @@
 // ╚════════════════════════════════════════════════════════════════════════════╝
 
 import { useEffect, useRef } from 'react'
+import { Localization, t } from '../game/Localization/Localization'
+
+
+// Hints look for keywords ("perimeter", "solve") and numbers in the question,
+// so a translated problem is read from the English question it was made from
+function englishQuestion(problem) {
+  return problem.originalQuestion ?? problem.question ?? ''
+}
 
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -77,8 +85,9 @@ function VisualizationPanel({ problem }) {
     // We look at the problem topic and question to decide
     // what kind of picture to draw!
 
+    const englishProblem = { ...problem, question: englishQuestion(problem) }
     const mathTopic = (problem.topic || '').toLowerCase()
-    const questionText = (problem.question || '').toLowerCase()
+    const questionText = englishProblem.question.toLowerCase()
 
     // ────────────────────────────────────────────────────────
     // 🎨 Draw the RIGHT kind of help based on the problem type
@@ -133,28 +142,28 @@ function VisualizationPanel({ problem }) {
     // We check each type and draw the matching picture
 
     if (isMultiplication) {
-      drawMultiplicationHelp(pen, canvasWidth, canvasHeight, problem)
+      drawMultiplicationHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else if (isDivision) {
-      drawDivisionHelp(pen, canvasWidth, canvasHeight, problem)
+      drawDivisionHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else if (isFraction) {
-      drawFractionHelp(pen, canvasWidth, canvasHeight, problem)
+      drawFractionHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else if (isGeometry) {
-      drawGeometryHelp(pen, canvasWidth, canvasHeight, problem)
+      drawGeometryHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else if (isGraphing) {
-      drawGraphHelp(pen, canvasWidth, canvasHeight, problem)
+      drawGraphHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else if (isTrigonometry) {
-      drawTrigHelp(pen, canvasWidth, canvasHeight, problem)
+      drawTrigHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else if (isAlgebra) {
-      drawAlgebraHelp(pen, canvasWidth, canvasHeight, problem)
+      drawAlgebraHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else if (isExponentOrLog) {
-      drawExponentHelp(pen, canvasWidth, canvasHeight, problem)
+      drawExponentHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else if (isProbability) {
-      drawProbabilityHelp(pen, canvasWidth, canvasHeight, problem)
+      drawProbabilityHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else if (isSequence) {
-      drawSequenceHelp(pen, canvasWidth, canvasHeight, problem)
+      drawSequenceHelp(pen, canvasWidth, canvasHeight, englishProblem)
     } else {
       // Default: draw basic number help (dots, counting)
-      drawNumberHelp(pen, canvasWidth, canvasHeight, problem)
+      drawNumberHelp(pen, canvasWidth, canvasHeight, englishProblem)
     }
 
   }, [problem])  // Re-run this whenever the problem changes!
@@ -198,7 +207,7 @@ function VisualizationPanel({ problem }) {
         justifyContent: 'space-between',
         alignItems: 'center'
       }}>
-        <span>💡 HINT</span>
+        <span>💡 {t('hints.title')}</span>
         <span style={{ color: '#aaa', fontWeight: 'normal' }}>{hintMessage}</span>
       </div>
 
@@ -248,7 +257,7 @@ function getHintText(problem) {
   const mathType = (problem.topic || '').toLowerCase()
 
   // What does the question actually say? (like "5 + 3 = ?")
-  const questionText = (problem.question || '').toLowerCase()
+  const questionText = englishQuestion(problem).toLowerCase()
 
   // Find all the numbers hiding in the question!
   // This magic pattern finds numbers like: 5, -3, 2.5, 100, etc.
@@ -279,12 +288,12 @@ function getHintText(problem) {
       const isSmallNumber = secondNumber <= 5
 
       if (isSmallNumber) {
-        return `Start with ${firstNumber}, count up ${secondNumber} more!`
+        return t('hints.countUp', { first: firstNumber, second: secondNumber })
       } else {
-        return `Combine ${firstNumber} and ${secondNumber} together`
+        return t('hints.combine', { first: firstNumber, second: secondNumber })
       }
     }
-    return 'Count both groups together!'
+    return t('hints.countBoth')
   }
 
 
@@ -305,12 +314,12 @@ function getHintText(problem) {
       const isSmallNumber = numberToTakeAway <= 5
 
       if (isSmallNumber) {
-        return `Start at ${startingNumber}, count back ${numberToTakeAway}`
+        return t('hints.countBack', { start: startingNumber, takeAway: numberToTakeAway })
       } else {
-        return `Take ${numberToTakeAway} away from ${startingNumber}`
+        return t('hints.takeAway', { start: startingNumber, takeAway: numberToTakeAway })
       }
     }
-    return 'Take away the second number!'
+    return t('hints.takeAwaySecond')
   }
 
 
@@ -334,12 +343,12 @@ function getHintText(problem) {
       const areNumbersSmall = numberOfGroups <= 5 && itemsInEachGroup <= 10
 
       if (areNumbersSmall) {
-        return `${numberOfGroups} groups of ${itemsInEachGroup} = ${itemsInEachGroup}+${itemsInEachGroup}+... (${numberOfGroups} times)`
+        return t('hints.repeatedAddition', { groups: numberOfGroups, items: itemsInEachGroup })
       } else {
-        return `${numberOfGroups} groups with ${itemsInEachGroup} in each`
+        return t('hints.groupsOf', { groups: numberOfGroups, items: itemsInEachGroup })
       }
     }
-    return 'Count the groups!'
+    return t('hints.countGroups')
   }
 
 
@@ -357,9 +366,9 @@ function getHintText(problem) {
       const totalItems = numbersWeFound[0]
       const numberOfFriends = numbersWeFound[1]
 
-      return `Split ${totalItems} items between ${numberOfFriends} friends equally`
+      return t('hints.split', { total: totalItems, friends: numberOfFriends })
     }
-    return 'How many does each person get?'
+    return t('hints.eachGets')
   }
 
 
@@ -371,7 +380,7 @@ function getHintText(problem) {
     questionText.includes('/')
 
   if (isFractionProblem) {
-    return 'Think of it like pizza slices!'
+    return t('hints.pizza')
   }
 
 
@@ -379,37 +388,37 @@ function getHintText(problem) {
   // 📐 SHAPE HINTS (geometry stuff!)
   // ════════════════════════════════════════════════════════════════
 
-  if (mathType.includes('area')) return 'Area = Length × Width'
-  if (mathType.includes('perimeter')) return 'Add up all the sides!'
-  if (mathType.includes('triangle')) return 'Triangles have 3 sides'
-  if (mathType.includes('circle')) return 'Use π (that\'s about 3.14)'
+  if (mathType.includes('area')) return t('hints.area')
+  if (mathType.includes('perimeter')) return t('hints.perimeter')
+  if (mathType.includes('triangle')) return t('hints.triangle')
+  if (mathType.includes('circle')) return t('hints.circle')
 
 
   // ════════════════════════════════════════════════════════════════
   // 🔤 ALGEBRA HINTS (with x and y!)
   // ════════════════════════════════════════════════════════════════
 
-  if (mathType.includes('slope')) return 'Rise ÷ Run (how much up vs across)'
-  if (mathType.includes('equation')) return 'Get x by itself on one side!'
-  if (questionText.includes('solve')) return 'Get x by itself on one side!'
-  if (mathType.includes('quadrat')) return 'Try factoring or use the formula'
+  if (mathType.includes('slope')) return t('hints.slope')
+  if (mathType.includes('equation')) return t('hints.isolateX')
+  if (questionText.includes('solve')) return t('hints.isolateX')
+  if (mathType.includes('quadrat')) return t('hints.quadratic')
 
 
   // ════════════════════════════════════════════════════════════════
   // 🎓 ADVANCED MATH HINTS
   // ════════════════════════════════════════════════════════════════
 
-  if (mathType.includes('trig')) return 'Remember: SOH CAH TOA!'
-  if (mathType.includes('log')) return 'log means "what power?"'
-  if (mathType.includes('sequence')) return 'Find the pattern between numbers'
-  if (mathType.includes('probab')) return 'Probability = Favorable ÷ Total'
+  if (mathType.includes('trig')) return t('hints.trig')
+  if (mathType.includes('log')) return t('hints.log')
+  if (mathType.includes('sequence')) return t('hints.sequence')
+  if (mathType.includes('probab')) return t('hints.probability')
 
 
   // ════════════════════════════════════════════════════════════════
   // 🤷 DEFAULT HINT (when we're not sure what type of problem it is)
   // ════════════════════════════════════════════════════════════════
 
-  return 'Take it step by step, you got this!'
+  return t('hints.default')
 }
 
 // Number help for basic arithmetic
@@ -417,7 +426,7 @@ function drawNumberHelp(ctx, width, height, problem) {
   const numbers = problem.question.match(/-?\d+\.?\d*/g)?.map(n => parseFloat(n)) || []
 
   if (numbers.length < 2) {
-    drawCenteredText(ctx, width, height, 'Solve step by step!')
+    drawCenteredText(ctx, width, height, t('hints.draw.stepByStep'))
     return
   }
 
@@ -435,7 +444,7 @@ function drawNumberHelp(ctx, width, height, problem) {
     const maxDots = Math.min(a + b, 20)
     const dotRadius = Math.min(8, (width - 40) / (maxDots * 2.5))
 
-    ctx.fillText(`${a} + ${b} = ?`, width / 2, 20)
+    ctx.fillText(Localization.formatNumbers(`${a} + ${b} = ?`), width / 2, 20)
 
     let x = 20
     let y = height / 2
@@ -459,17 +468,17 @@ function drawNumberHelp(ctx, width, height, problem) {
     ctx.fillStyle = '#fff'
     ctx.font = '12px Arial'
     ctx.textAlign = 'left'
-    ctx.fillText(`First: ${a}`, 20, height - 30)
-    ctx.fillText(`Second: ${b}`, 20, height - 15)
+    ctx.fillText(t('hints.draw.first', { a }), 20, height - 30)
+    ctx.fillText(t('hints.draw.second', { b }), 20, height - 15)
     ctx.textAlign = 'right'
-    ctx.fillText(`Total: ${a + b}`, width - 20, height - 20)
+    ctx.fillText(t('hints.draw.total', { total: a + b }), width - 20, height - 20)
 
   } else if (operation === '-') {
-    ctx.fillText(`${a} - ${b} = ?`, width / 2, 20)
+    ctx.fillText(Localization.formatNumbers(`${a} - ${b} = ?`), width / 2, 20)
     ctx.fillStyle = '#fff'
     ctx.font = '12px Arial'
-    ctx.fillText(`Start with ${a}, take away ${b}`, width / 2, height / 2)
-    ctx.fillText(`Answer: ${a - b}`, width / 2, height / 2 + 20)
+    ctx.fillText(t('hints.draw.startWith', { a, b }), width / 2, height / 2)
+    ctx.fillText(t('hints.draw.answer', { answer: a - b }), width / 2, height / 2 + 20)
   }
 }
 
@@ -480,7 +489,7 @@ function drawMultiplicationHelp(ctx, width, height, problem) {
   const numbers = problem.question.match(/(\d+)\s*[×x]\s*(\d+)/i)
 
   if (!numbers) {
-    drawCenteredText(ctx, width, height, 'Groups × Items per group')
+    drawCenteredText(ctx, width, height, t('hints.draw.groupsTimesItems'))
     return
   }
 
@@ -510,7 +519,7 @@ function drawMultiplicationHelp(ctx, width, height, problem) {
 
   ctx.fillStyle = '#aaa'
   ctx.font = '10px Arial'
-  ctx.fillText(`${a} rows × ${b} columns = ${a * b} total`, width / 2, height - 8)
+  ctx.fillText(t('hints.draw.rowsColumns', { a, b, total: a * b }), width / 2, height - 8)
 }
 
 // This draws dots split into boxes to help with division.
@@ -519,7 +528,7 @@ function drawDivisionHelp(ctx, width, height, problem) {
   const numbers = problem.question.match(/(\d+)\s*÷\s*(\d+)/i)
 
   if (!numbers) {
-    drawCenteredText(ctx, width, height, 'Total ÷ Groups = Items per group')
+    drawCenteredText(ctx, width, height, t('hints.draw.totalOverGroups'))
     return
   }
 
@@ -556,7 +565,7 @@ function drawDivisionHelp(ctx, width, height, problem) {
 
   ctx.fillStyle = '#aaa'
   ctx.font = '10px Arial'
-  ctx.fillText(`${divisor} groups of ${result}`, width / 2, height - 8)
+  ctx.fillText(t('hints.draw.groupsOf', { groups: divisor, items: result }), width / 2, height - 8)
 }
 
 // Fraction help
@@ -564,7 +573,7 @@ function drawFractionHelp(ctx, width, height, problem) {
   const fractions = problem.question.match(/(\d+)\/(\d+)/g)
 
   if (!fractions || fractions.length === 0) {
-    drawCenteredText(ctx, width, height, 'Part of a whole')
+    drawCenteredText(ctx, width, height, t('hints.draw.partOfWhole'))
     return
   }
 
@@ -619,16 +628,16 @@ function drawGeometryHelp(ctx, width, height, problem) {
     ctx.fillStyle = '#fff'
     ctx.font = '11px Arial'
     ctx.textAlign = 'center'
-    ctx.fillText('Length', centerX, centerY + rectH / 2 + 15)
+    ctx.fillText(t('hints.draw.length'), centerX, centerY + rectH / 2 + 15)
     ctx.save()
     ctx.translate(centerX - rectW / 2 - 12, centerY)
     ctx.rotate(-Math.PI / 2)
-    ctx.fillText('Width', 0, 0)
+    ctx.fillText(t('hints.draw.width'), 0, 0)
     ctx.restore()
 
     ctx.fillStyle = '#aaa'
     ctx.font = '10px Arial'
-    ctx.fillText('Area = Length × Width', centerX, height - 8)
+    ctx.fillText(t('hints.area'), centerX, height - 8)
   } else if (question.includes('triangle')) {
     ctx.beginPath()
     ctx.moveTo(centerX, centerY - 35)
@@ -641,7 +650,7 @@ function drawGeometryHelp(ctx, width, height, problem) {
     ctx.fillStyle = '#aaa'
     ctx.font = '10px Arial'
     ctx.textAlign = 'center'
-    ctx.fillText('Area = ½ × base × height', centerX, height - 8)
+    ctx.fillText(t('hints.draw.triangleArea'), centerX, height - 8)
   } else if (question.includes('circle')) {
     ctx.beginPath()
     ctx.arc(centerX, centerY, 40, 0, Math.PI * 2)
@@ -659,9 +668,9 @@ function drawGeometryHelp(ctx, width, height, problem) {
     ctx.fillText('r', centerX + 20, centerY - 5)
 
     ctx.fillStyle = '#aaa'
-    ctx.fillText('Area = πr²', centerX, height - 8)
+    ctx.fillText(t('hints.draw.circleArea'), centerX, height - 8)
   } else {
-    drawCenteredText(ctx, width, height, 'Use geometry formulas')
+    drawCenteredText(ctx, width, height, t('hints.draw.geometryFormulas'))
   }
 }
 
@@ -707,7 +716,7 @@ function drawGraphHelp(ctx, width, height, problem) {
   ctx.textAlign = 'center'
   ctx.fillText('x', width - 15, originY + 12)
   ctx.fillText('y', originX - 10, 15)
-  ctx.fillText(`Slope = ${slope}`, width / 2, height - 5)
+  ctx.fillText(t('hints.draw.slope', { slope }), width / 2, height - 5)
 }
 
 // Trigonometry help
@@ -733,9 +742,9 @@ function drawTrigHelp(ctx, width, height, problem) {
   ctx.fillStyle = '#fff'
   ctx.font = '10px Arial'
   ctx.textAlign = 'center'
-  ctx.fillText('Opposite', centerX - size - 25, centerY - size / 2)
-  ctx.fillText('Adjacent', centerX - size / 4, centerY + 15)
-  ctx.fillText('Hypotenuse', centerX - 10, centerY - size / 2 - 5)
+  ctx.fillText(t('hints.draw.opposite'), centerX - size - 25, centerY - size / 2)
+  ctx.fillText(t('hints.draw.adjacent'), centerX - size / 4, centerY + 15)
+  ctx.fillText(t('hints.draw.hypotenuse'), centerX - 10, centerY - size / 2 - 5)
 
   // SOH CAH TOA
   ctx.fillStyle = '#667eea'
@@ -755,7 +764,7 @@ function drawAlgebraHelp(ctx, width, height, problem) {
   ctx.fillStyle = '#667eea'
   ctx.font = 'bold 12px Arial'
   ctx.textAlign = 'center'
-  ctx.fillText('Factoring Pattern', width / 2, 20)
+  ctx.fillText(t('hints.draw.factoringPattern'), width / 2, 20)
 
   ctx.fillStyle = '#fff'
   ctx.font = '11px Arial'
@@ -764,9 +773,9 @@ function drawAlgebraHelp(ctx, width, height, problem) {
 
   ctx.fillStyle = '#aaa'
   ctx.font = '10px Arial'
-  ctx.fillText('Find two numbers that:', width / 2, height - 35)
-  ctx.fillText('• Multiply to give c', width / 2, height - 20)
-  ctx.fillText('• Add to give b', width / 2, height - 5)
+  ctx.fillText(t('hints.draw.findTwoNumbers'), width / 2, height - 35)
+  ctx.fillText(`• ${t('hints.draw.multiplyToC')}`, width / 2, height - 20)
+  ctx.fillText(`• ${t('hints.draw.addToB')}`, width / 2, height - 5)
 }
 
 // Exponent/Log help
@@ -778,18 +787,18 @@ function drawExponentHelp(ctx, width, height, problem) {
   ctx.textAlign = 'center'
 
   if (question.includes('log')) {
-    ctx.fillText('Logarithm Rule', width / 2, 20)
+    ctx.fillText(t('hints.draw.logRule'), width / 2, 20)
     ctx.fillStyle = '#fff'
     ctx.font = '12px Arial'
     ctx.fillText('log_b(x) = y', width / 2, height / 2 - 10)
-    ctx.fillText('means b^y = x', width / 2, height / 2 + 10)
+    ctx.fillText(t('hints.draw.logMeans'), width / 2, height / 2 + 10)
 
     ctx.fillStyle = '#4ecdc4'
     ctx.font = '10px Arial'
-    ctx.fillText('Example: log₂(8) = 3', width / 2, height - 20)
-    ctx.fillText('because 2³ = 8', width / 2, height - 5)
+    ctx.fillText(t('hints.draw.logExample'), width / 2, height - 20)
+    ctx.fillText(t('hints.draw.logBecause'), width / 2, height - 5)
   } else {
-    ctx.fillText('Exponent Rules', width / 2, 20)
+    ctx.fillText(t('hints.draw.exponentRules'), width / 2, 20)
     ctx.fillStyle = '#fff'
     ctx.font = '10px Arial'
     ctx.fillText('a^m × a^n = a^(m+n)', width / 2, height / 2 - 15)
@@ -803,17 +812,17 @@ function drawProbabilityHelp(ctx, width, height, problem) {
   ctx.fillStyle = '#667eea'
   ctx.font = 'bold 12px Arial'
   ctx.textAlign = 'center'
-  ctx.fillText('Probability', width / 2, 18)
+  ctx.fillText(t('hints.draw.probability'), width / 2, 18)
 
   ctx.fillStyle = '#fff'
   ctx.font = '12px Arial'
-  ctx.fillText('P(event) = Favorable', width / 2, height / 2 - 15)
+  ctx.fillText(t('hints.draw.favorable'), width / 2, height / 2 - 15)
   ctx.fillText('────────────', width / 2, height / 2)
-  ctx.fillText('Total outcomes', width / 2, height / 2 + 15)
+  ctx.fillText(t('hints.draw.totalOutcomes'), width / 2, height / 2 + 15)
 
   ctx.fillStyle = '#aaa'
   ctx.font = '10px Arial'
-  ctx.fillText('0 ≤ P ≤ 1 (or 0% to 100%)', width / 2, height - 8)
+  ctx.fillText(t('hints.draw.probabilityRange'), width / 2, height - 8)
 }
 
 // Sequence help
@@ -825,27 +834,27 @@ function drawSequenceHelp(ctx, width, height, problem) {
   ctx.textAlign = 'center'
 
   if (question.includes('geometric')) {
-    ctx.fillText('Geometric Sequence', width / 2, 18)
+    ctx.fillText(t('hints.draw.geometricSequence'), width / 2, 18)
     ctx.fillStyle = '#fff'
     ctx.font = '11px Arial'
     ctx.fillText('aₙ = a₁ × r^(n-1)', width / 2, height / 2 - 5)
     ctx.fillStyle = '#aaa'
     ctx.font = '10px Arial'
-    ctx.fillText('Each term = previous × ratio', width / 2, height / 2 + 15)
+    ctx.fillText(t('hints.draw.geometricTerm'), width / 2, height / 2 + 15)
   } else {
-    ctx.fillText('Arithmetic Sequence', width / 2, 18)
+    ctx.fillText(t('hints.draw.arithmeticSequence'), width / 2, 18)
     ctx.fillStyle = '#fff'
     ctx.font = '11px Arial'
     ctx.fillText('aₙ = a₁ + (n-1)d', width / 2, height / 2 - 5)
     ctx.fillStyle = '#aaa'
     ctx.font = '10px Arial'
-    ctx.fillText('Each term = previous + difference', width / 2, height / 2 + 15)
+    ctx.fillText(t('hints.draw.arithmeticTerm'), width / 2, height / 2 + 15)
   }
 
   // Show example pattern
   ctx.fillStyle = '#4ecdc4'
   ctx.font = '10px Arial'
-  ctx.fillText('Pattern: 2, 4, 6, 8, ... (+2 each time)', width / 2, height - 8)
+  ctx.fillText(t('hints.draw.pattern'), width / 2, height - 8)
 }
 
 // Helper function for centered text
@@ -0,0 +1,97 @@
+import { t } from '../game/Localization/Localization'
+
+// Shows the step-by-step solution for a problem the player got wrong,
+// so they can see HOW to solve it before trying the next one.
+// If the wrong answer matched a common mistake, that mistake is explained first.
+function WorkedSolution({ question, correctAnswer, steps = [], mistake, onDismiss }) {
+  if (steps.length === 0 && !mistake) return null
+
+  return (
+    <div style={{
+      flex: '0 0 auto',
+      maxHeight: '200px',
+      overflowY: 'auto',
+      background: 'rgba(247, 220, 111, 0.1)',
+      borderRadius: '10px',
+      border: '1px solid #f7dc6f',
+      padding: '12px 15px'
+    }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '8px'
+      }}>
+        <div style={{
+          color: '#f7dc6f',
+          fontSize: '12px',
+          fontWeight: 'bold',
+          letterSpacing: '1px',
+          textTransform: 'uppercase'
+        }}>
+          📖 {t('solution.title')}
+        </div>
+        {onDismiss && (
+          <button
+            onClick={onDismiss}
+            style={{
+              background: 'rgba(247, 220, 111, 0.2)',
+              border: '1px solid #f7dc6f',
+              padding: '4px 10px',
+              fontSize: '11px'
+            }}
+          >
+            {t('solution.gotIt')}
+          </button>
+        )}
+      </div>
+
+      {question && (
+        <div style={{ color: '#fff', fontSize: '14px', marginBottom: '8px' }}>
+          {question}
+        </div>
+      )}
+
+      {/* The mistake we think was made */}
+      {mistake && (
+        <div style={{
+          background: 'rgba(255, 107, 107, 0.15)',
+          borderRadius: '6px',
+          padding: '6px 10px',
+          marginBottom: '8px',
+          fontSize: '13px',
+          color: '#fff'
+        }}>
+          <strong style={{ color: '#ff6b6b' }}>{t('solution.mistake', { name: mistake.name })}</strong> {mistake.feedback}
+        </div>
+      )}
+
+      {/* The steps, in order */}
+      <ol style={{ margin: 0, paddingLeft: '20px', color: '#ddd', fontSize: '13px', lineHeight: '1.5' }}>
+        {steps.map((step, index) => (
+          <li key={index} style={{ marginBottom: '4px' }}>
+            {step.text}
+            {step.math && (
+              <div style={{
+                fontFamily: 'monospace',
+                color: '#4ecdc4',
+                fontSize: '14px'
+              }}>
+                {step.math}
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {correctAnswer !== undefined && (
+        <div style={{ marginTop: '8px', color: '#f7dc6f', fontSize: '13px', fontWeight: 'bold' }}>
+          {t('solution.answer', { answer: String(correctAnswer) })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default WorkedSolution
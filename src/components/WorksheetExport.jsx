@@ -0,0 +1,241 @@
+import { useState } from 'react'
+import curriculum from '../game/Math/CurriculumData'
+import { ProblemGenerator } from '../game/Math/ProblemGenerator'
+import { WorksheetExporter, MAX_PROBLEMS } from '../game/Math/WorksheetExporter'
+import { t } from '../game/Localization/Localization'
+import { ProblemTranslator } from '../game/Localization/ProblemTranslator'
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🖨️ WORKSHEET EXPORT
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// For teachers: pick a grade, a unit, a difficulty and how many problems,
+// and get a worksheet to print (or save as a PDF from the print dialog).
+// The answer key is on its own page, so it can be kept back!
+//
+// INPUT: onBack = called when the player leaves this screen
+
+const fieldStyle = {
+  width: '100%',
+  padding: '10px',
+  fontSize: '15px',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: '#fff',
+  border: '2px solid rgba(102, 126, 234, 0.5)',
+  borderRadius: '8px',
+  boxSizing: 'border-box'
+}
+
+const labelStyle = {
+  display: 'block',
+  color: '#667eea',
+  fontSize: '12px',
+  fontWeight: 'bold',
+  letterSpacing: '1px',
+  marginBottom: '8px',
+  textTransform: 'uppercase'
+}
+
+// The option list is drawn by the browser, so it needs dark text on its light background
+const optionStyle = { color: '#000' }
+
+function WorksheetExport({ onBack }) {
+  const [problemGenerator] = useState(() => new ProblemGenerator())
+  const grades = curriculum.getGrades()
+  const [grade, setGrade] = useState(grades[0]?.grade)
+  const [difficulty, setDifficulty] = useState(5)
+  const [count, setCount] = useState(10)
+  const [seed, setSeed] = useState('')
+  const [solutions, setSolutions] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Only units we can make problems for
+  const units = curriculum.getUnits(grade).filter(unit => problemGenerator.hasGenerator({ grade, unit: unit.name }))
+  const [unit, setUnit] = useState(units[0]?.name)
+
+  const handleGradeChange = (e) => {
+    const newGrade = curriculum.toGradeId(e.target.value)
+    setGrade(newGrade)
+    const firstUnit = curriculum.getUnits(newGrade).find(u => problemGenerator.hasGenerator({ grade: newGrade, unit: u.name }))
+    setUnit(firstUnit?.name)
+  }
+
+  const handlePrint = () => {
+    setError(null)
+    let html
+    try {
+      const worksheet = WorksheetExporter.build({
+        grade,
+        unit,
+        difficulty,
+        count,
+        // A typed number is used as that number, anything else as text
+        seed: seed.trim() === '' ? undefined : (/^\d+$/.test(seed.trim()) ? Number(seed.trim()) : seed.trim())
+      })
+      html = WorksheetExporter.toHTML(worksheet, { solutions })
+      setSeed(String(worksheet.seed)) // So the same worksheet can be made again
+    } catch (e) {
+      console.error('Failed to make worksheet:', e)
+      setError(t('worksheet.noProblems'))
+      return
+    }
+
+    // 🖨️ Open the worksheet in its own window and bring up the print dialog
+    const page = window.open('', '_blank')
+    if (!page) {
+      setError(t('worksheet.popupBlocked'))
+      return
+    }
+    page.document.open()
+    page.document.write(html)
+    page.document.close()
+    page.focus()
+
+    // Wait for the figures to be ready so they're on the printout
+    const figures = [...page.document.images].map(image => image.decode().catch(() => {}))
+    Promise.all(figures).then(() => page.print())
+  }
+
+  return (
+    <div style={{
+      width: '100vw',
+      height: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      background: 'linear-gradient(135deg, #0f0f1e 0%, #1a1a2e 50%, #16213e 100%)',
+      color: '#fff',
+      padding: '40px',
+      boxSizing: 'border-box'
+    }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '40px'
+      }}>
+        <h1 style={{
+          fontSize: '36px',
+          background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+          WebkitBackgroundClip: 'text',
+          WebkitTextFillColor: 'transparent',
+          backgroundClip: 'text',
+          margin: 0
+        }}>
+          🖨️ {t('worksheet.title')}
+        </h1>
+        <button
+          onClick={onBack}
+          style={{
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: '2px solid #667eea'
+          }}
+        >
+          {t('common.back')}
+        </button>
+      </div>
+
+      {/* Worksheet options */}
+      <div style={{
+        maxWidth: '640px',
+        width: '100%',
+        margin: '0 auto',
+        background: 'linear-gradient(135deg, rgba(30, 30, 50, 0.95) 0%, rgba(40, 40, 70, 0.95) 100%)',
+        borderRadius: '16px',
+        border: '2px solid #667eea',
+        padding: '30px',
+        boxSizing: 'border-box'
+      }}>
+        <p style={{ fontSize: '14px', color: '#aaa', marginTop: 0, marginBottom: '25px', lineHeight: '1.6' }}>
+          {t('worksheet.help')}
+        </p>
+
+        <div style={{ display: 'flex', gap: '20px', marginBottom: '20px' }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>{t('worksheet.grade')}</label>
+            <select value={grade} onChange={handleGradeChange} style={fieldStyle}>
+              {grades.map(g => (
+                <option key={g.grade} value={g.grade} style={optionStyle}>{ProblemTranslator.translateName(g.name)}</option>
+              ))}
+            </select>
+          </div>
+          <div style={{ flex: 2 }}>
+            <label style={labelStyle}>{t('worksheet.unit')}</label>
+            <select value={unit ?? ''} onChange={(e) => setUnit(e.target.value)} style={fieldStyle}>
+              {units.map(u => (
+                <option key={u.name} value={u.name} style={optionStyle}>{ProblemTranslator.translateName(u.name)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '20px', marginBottom: '20px' }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>{t('worksheet.difficulty')}</label>
+            <input
+              type="number"
+              min="1"
+              max="10"
+              value={difficulty}
+              onChange={(e) => setDifficulty(Number(e.target.value))}
+              style={fieldStyle}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>{t('worksheet.count')}</label>
+            <input
+              type="number"
+              min="1"
+              max={MAX_PROBLEMS}
+              value={count}
+              onChange={(e) => setCount(Number(e.target.value))}
+              style={fieldStyle}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>{t('worksheet.seed')}</label>
+            <input
+              type="text"
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+              style={fieldStyle}
+            />
+          </div>
+        </div>
+        <p style={{ fontSize: '12px', color: '#aaa', marginTop: 0, marginBottom: '20px' }}>
+          {t('worksheet.seedHelp')}
+        </p>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '25px', cursor: 'pointer' }}>
+          <input type="checkbox" checked={solutions} onChange={(e) => setSolutions(e.target.checked)} />
+          <span>{t('worksheet.solutions')}</span>
+        </label>
+
+        {error && (
+          <p style={{ color: '#ff6b6b', fontSize: '14px', marginTop: 0, marginBottom: '15px' }}>
+            {error}
+          </p>
+        )}
+
+        <button
+          onClick={handlePrint}
+          disabled={!unit}
+          style={{
+            width: '100%',
+            padding: '14px',
+            fontSize: '16px',
+            fontWeight: 'bold',
+            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            border: 'none',
+            cursor: unit ? 'pointer' : 'not-allowed',
+            opacity: unit ? 1 : 0.5
+          }}
+        >
+          🖨️ {t('worksheet.print')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default WorksheetExport
@@ -22,11 +22,18 @@
 // AttackSystem = calculates damage when someone attacks
 // Enemy = creates the bad guys we fight
 // ProblemGenerator = makes math problems for us to solve
+// MasteryModel = remembers how well the player knows each topic
+// ReviewQueue = remembers missed problems so they come back later
+// Localization = the player's language (battle messages, problems)
 
 import { TurnSystem } from './TurnSystem'
 import { AttackSystem } from './AttackSystem'
 import { Enemy } from '../Characters/Enemy'
 import { ProblemGenerator } from '../Math/ProblemGenerator'
+import curriculum from '../Math/CurriculumData'
+import { MasteryModel } from '../Data/MasteryModel'
+import { ReviewQueue } from '../Data/ReviewQueue'
+import { Localization, t } from '../Localization/Localization'
 
 
 // ╔════════════════════════════════════════════════════════════════════════════╗
@@ -41,6 +48,7 @@ import { ProblemGenerator } from '../Math/ProblemGenerator'
 // ║   • playerDamageMultiplier = How much damage the player does               ║
 // ║   • experienceMultiplier = How much EXP you get for winning                ║
 // ║   • wrongAnswerPenalty = How much damage you still do if you're wrong      ║
+// ║   • targetSuccessRate = How often the math should go right (0.75 = 3 in 4) ║
 // ║                                                                             ║
 // ╚════════════════════════════════════════════════════════════════════════════╝
 
@@ -54,7 +62,8 @@ const GAME_DIFFICULTY_SETTINGS = {
     playerDamageMultiplier: 1.5,    // You do 150% damage (stronger)
     experienceMultiplier: 0.8,      // You get 80% EXP (better than before!)
     goldMultiplier: 1.0,            // Normal gold rewards
-    wrongAnswerPenalty: 0.3         // Wrong answers still do 30% damage
+    wrongAnswerPenalty: 0.3,        // Wrong answers still do 30% damage
+    targetSuccessRate: 0.85         // Math you get right about 85% of the time
   },
 
   // ⚔️ MEDIUM MODE - The default balance!
@@ -65,7 +74,8 @@ const GAME_DIFFICULTY_SETTINGS = {
     playerDamageMultiplier: 1.0,    // You do 100% damage (normal)
     experienceMultiplier: 1.2,      // You get 120% EXP (slight bonus!)
     goldMultiplier: 1.5,            // 150% gold rewards
-    wrongAnswerPenalty: 0.5         // Wrong answers still do 50% damage
+    wrongAnswerPenalty: 0.5,        // Wrong answers still do 50% damage
+    targetSuccessRate: 0.75         // Math you get right about 75% of the time
   },
 
   // 🔥 HARD MODE - For experienced players!
@@ -76,7 +86,8 @@ const GAME_DIFFICULTY_SETTINGS = {
     playerDamageMultiplier: 0.8,    // You do 80% damage (weaker)
     experienceMultiplier: 2.5,      // 250% EXP! Huge reward for playing hard mode!
     goldMultiplier: 3.0,            // 300% gold! Harder = Richer!
-    wrongAnswerPenalty: 0.3         // Wrong answers still do 30% damage
+    wrongAnswerPenalty: 0.3,        // Wrong answers still do 30% damage
+    targetSuccessRate: 0.65         // Math you get right about 65% of the time
   },
 
   // 💀 NIGHTMARE MODE - Ultimate challenge!
@@ -87,11 +98,21 @@ const GAME_DIFFICULTY_SETTINGS = {
     playerDamageMultiplier: 0.6,    // You do 60% damage (weak)
     experienceMultiplier: 5.0,      // 500% EXP! Insane rewards for the brave!
     goldMultiplier: 6.0,            // 600% gold! HUGE rewards for nightmare!
-    wrongAnswerPenalty: 0.2         // Wrong answers still do 20% damage
+    wrongAnswerPenalty: 0.2,        // Wrong answers still do 20% damage
+    targetSuccessRate: 0.55         // Math you get right about 55% of the time
   }
 }
 
 
+// How many times we try to find a problem the player hasn't seen yet
+// before deciding the unit has run out of new problems
+const MAX_NEW_PROBLEM_ATTEMPTS = 25
+
+// How often a missed problem that's due for review is mixed into a normal battle
+// (0.3 = about 1 problem in 3, as long as there's something due)
+const REVIEW_MIX_CHANCE = 0.3
+
+
 // ╔════════════════════════════════════════════════════════════════════════════╗
 // ║                                                                             ║
 // ║   🎮 THE BATTLE MANAGER CLASS 🎮                                            ║
@@ -110,8 +131,10 @@ export class BattleManager {
   // - Put the hero piece on the board
   // - Decide what grade level math to use
   // - Pick the difficulty setting
+  // - Maybe focus on just one topic from the unit
+  // - Or, for a Review battle (unit with review: true), go over missed problems
 
-  constructor(theHero, mathGradeLevel, mathUnit, difficultyLevel = 'medium') {
+  constructor(theHero, mathGradeLevel, mathUnit, difficultyLevel = 'medium', focusTopic = null) {
 
     // ──────────────────────────────────────────────────────────────
     // 👤 Save the hero (that's you, the player!)
@@ -121,8 +144,10 @@ export class BattleManager {
     // ──────────────────────────────────────────────────────────────
     // 📚 Save the math settings
     // ──────────────────────────────────────────────────────────────
-    this.grade = mathGradeLevel              // What grade level? (1-12)
+    this.grade = mathGradeLevel              // What grade? (1-9, or a course like '20-2')
     this.unit = mathUnit                     // What topic? (addition, fractions, etc.)
+    this.focusTopic = focusTopic             // Just one topic from the unit? (null = all of them)
+    this.isReviewBattle = Boolean(mathUnit?.review)  // Going over missed problems on purpose?
 
     // ──────────────────────────────────────────────────────────────
     // 🎚️ Save the difficulty settings
@@ -132,6 +157,14 @@ export class BattleManager {
     // Get the actual numbers for this difficulty (or use medium if invalid)
     this.difficultySettings = GAME_DIFFICULTY_SETTINGS[difficultyLevel] || GAME_DIFFICULTY_SETTINGS.medium
 
+    // How hard the math itself is (1-10): bigger numbers, more steps and
+    // closer wrong answers on harder modes and harder units
+    this.mathDifficulty = ProblemGenerator.difficultyFor({
+      mode: difficultyLevel,
+      unitDifficulty: mathUnit?.difficulty,
+      grade: mathGradeLevel
+    })
+
     // ──────────────────────────────────────────────────────────────
     // 👾 The enemy (boss) - we'll create one when battle starts
     // ──────────────────────────────────────────────────────────────
@@ -141,12 +174,39 @@ export class BattleManager {
     // 🎲 Create helper tools
     // ──────────────────────────────────────────────────────────────
     this.turnSystem = new TurnSystem()             // Keeps track of whose turn
-    this.mathProblemMaker = new ProblemGenerator() // Creates math problems
+    this.mathProblemMaker = new ProblemGenerator({ locale: Localization.getLocale() }) // Creates math problems (in the player's language)
+
+    // Remembers how well the player knows each topic (saved between games!)
+    // so we can pick what to practise next and how hard to make it
+    this.mastery = new MasteryModel()
+    this.mastery.load()
+
+    // Problems the player missed before, waiting to come back (also saved!)
+    this.reviewQueue = new ReviewQueue()
+    this.reviewQueue.load()
+
+    // In a Review battle, once every due problem is done we keep practising
+    // the topics they came from (one entry per topic or unit, as long as
+    // we can still make problems for it - an imported set may have been removed)
+    this.reviewSources = this.isReviewBattle
+      ? [...new Map(this.reviewQueue.getDue(mathGradeLevel)
+        .map(({ grade, topic, unit }) => [topic ?? unit, { grade, topic, unit }])).values()]
+        .filter(source => this.mathProblemMaker.hasGenerator(source))
+      : []
 
     // ──────────────────────────────────────────────────────────────
     // 📝 Battle status tracking
     // ──────────────────────────────────────────────────────────────
     this.currentMathProblem = null  // The current problem to solve
+    this.currentTopic = null        // Which topic it was made for
+    this.currentSource = null       // What it was made from: { grade, topic } or { grade, unit }
+
+    // Multi-part problems ("find x, then find y") are answered one part at a time
+    this.currentPartIndex = 0       // Which part we're on
+    this.partResults = []           // true/false for each part answered so far
+
+    // IDs of every problem shown this battle (so we don't repeat them!)
+    this.seenProblemIds = new Set()
 
     // What's happening in the battle right now?
     // Can be: 'waiting', 'player-turn', 'enemy-turn', 'victory', 'defeat'
@@ -171,9 +231,13 @@ export class BattleManager {
     // 👾 STEP 1: Figure out how tough the enemy should be
     // ──────────────────────────────────────────────────────────────
 
+    // How far along the grade is: 1-9 for grades, 10-31 for high school courses
+    // ("20-2" is a course ID, so it has to be looked up)
+    const gradeLevel = curriculum.getLevel(this.grade)
+
     // Start with a base difficulty from the math unit (1 to 5)
     // If we don't have that info, use the grade level to guess
-    const startingDifficulty = this.unit?.difficulty || Math.min(5, Math.ceil(this.grade / 2)) || 1
+    const startingDifficulty = this.unit?.difficulty || Math.min(5, Math.ceil(gradeLevel / 2)) || 1
 
     // Make the enemy even tougher on hard/nightmare modes!
     let enemyDifficultyLevel = startingDifficulty
@@ -194,7 +258,7 @@ export class BattleManager {
 
     // This creates a monster based on the grade level and difficulty
     // Grade 1-3 = slimes, Grade 4-6 = goblins, etc.
-    this.enemy = Enemy.createForGrade(this.grade, enemyDifficultyLevel)
+    this.enemy = Enemy.createForGrade(gradeLevel, enemyDifficultyLevel)
 
     // ──────────────────────────────────────────────────────────────
     // 📊 STEP 3: Apply difficulty multipliers to enemy stats
@@ -237,9 +301,9 @@ export class BattleManager {
     const emoji = difficultyEmojis[this.difficulty]
 
     // Create the opening message like "🔥 HARD Mode - Goblin Chief appeared!"
-    const difficultyName = this.difficulty.toUpperCase()
+    const difficultyName = t(`difficulty.${this.difficulty}`).toUpperCase()
     const enemyName = this.enemy.name
-    const openingMessage = `${emoji} ${difficultyName} Mode - ${enemyName} appeared!`
+    const openingMessage = `${emoji} ${t('battle.opening', { difficulty: difficultyName, enemy: enemyName })}`
 
     this.battleMessageHistory = [openingMessage]
 
@@ -256,13 +320,96 @@ export class BattleManager {
   // ═══════════════════════════════════════════════════════════════
   //
   // This picks a random math problem based on the grade and unit.
+  // It remembers every problem ID from this battle, so you never
+  // see the same question twice until the unit runs out of new ones!
+  // Sometimes it brings back a problem you missed before instead.
 
   createNewMathProblem() {
+    const previousProblemId = this.currentMathProblem?.id
+
+    // A new problem starts at its first part
+    this.currentPartIndex = 0
+    this.partResults = []
+
+    if (this.tryReviewProblem()) {
+      return
+    }
+
+    const foundNewProblem = this.tryToFindUnseenProblem()
+
+    if (foundNewProblem === false) {
+      // Every try gave us a repeat - the unit has run out of new problems!
+      // Start a fresh history, but still don't show the same one twice in a row
+      console.log('No new problems left - starting a fresh history')
+      this.seenProblemIds.clear()
+      if (previousProblemId) {
+        this.seenProblemIds.add(previousProblemId)
+      }
+      this.tryToFindUnseenProblem()
+    }
+
+    if (this.currentMathProblem?.id) {
+      this.seenProblemIds.add(this.currentMathProblem.id)
+    }
+  }
+
+  /**
+   * 🔁 Maybe bring back a missed problem that's due for review
+   * (every time in a Review battle, now and then in a normal one)
+   * Returns true if we picked one
+   */
+  tryReviewProblem() {
+    const reviewChance = this.isReviewBattle ? 1 : REVIEW_MIX_CHANCE
+    if (!this.grade || Math.random() >= reviewChance) {
+      return false
+    }
+
+    // The most overdue one we haven't shown yet (and can still make - an
+    // imported set it came from may have been removed)
+    const dueProblem = this.reviewQueue.getDue(this.grade)
+      .find(item => !this.seenProblemIds.has(item.id) && this.mathProblemMaker.hasGenerator(item))
+    if (!dueProblem) {
+      return false
+    }
+
+    // The same seed and difficulty make the exact same problem again
+    const { grade, topic, unit, seed, difficulty } = dueProblem
+    this.useSource({ grade, topic, unit }, { seed, difficulty })
+    this.currentMathProblem.isReview = true
+    this.seenProblemIds.add(this.currentMathProblem.id)
+    console.log('Review problem:', this.currentMathProblem)
+    return true
+  }
+
+  /**
+   * 🔍 Generate problems until we get one that isn't in the history
+   * Returns true if we found a new one, false if every try was a repeat
+   */
+  tryToFindUnseenProblem() {
+    for (let attempt = 0; attempt < MAX_NEW_PROBLEM_ATTEMPTS; attempt++) {
+      this.generateMathProblem()
+
+      const problemId = this.currentMathProblem?.id
+      if (!problemId || !this.seenProblemIds.has(problemId)) {
+        return true
+      }
+    }
+    return false
+  }
+
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🎲 GENERATE ONE MATH PROBLEM (might be a repeat!)
+  // ═══════════════════════════════════════════════════════════════
+
+  generateMathProblem() {
 
     // Debug messages (for developers to see what's happening)
     console.log('=== Creating a new math problem! ===')
     console.log('Grade level:', this.grade)
     console.log('Math unit:', this.unit)
+    console.log('Focus topic:', this.focusTopic)
+    console.log('Math difficulty:', this.mathDifficulty)
 
     // ──────────────────────────────────────────────────────────────
     // Check if we have enough info to make a good problem
@@ -273,40 +420,71 @@ export class BattleManager {
     if (haveEnoughInfo === false) {
       // We don't have unit/grade info, so make a simple addition problem
       console.log('Not enough info - making a simple addition problem')
-      const gradeToUse = this.grade || 1
-      this.currentMathProblem = this.mathProblemMaker.generateProblem(gradeToUse, 'addition')
+      this.useSource({ grade: this.grade || 1, topic: 'addition' }, { difficulty: this.mathDifficulty })
       return  // We're done!
     }
 
     // ──────────────────────────────────────────────────────────────
-    // Try to make a problem based on the unit name
+    // Review battle with nothing left to review? Keep practising
+    // the topics the review problems came from
     // ──────────────────────────────────────────────────────────────
 
-    const unitName = this.unit.name || ''
-    console.log('Unit name:', unitName)
-
-    // Try making a problem based on the unit name first
-    this.currentMathProblem = this.mathProblemMaker.generateProblemByUnit(this.grade, unitName)
+    if (this.isReviewBattle) {
+      const source = this.reviewSources[Math.floor(Math.random() * this.reviewSources.length)]
+        || { grade: this.grade, topic: 'addition' }
+      this.useSource(source, { difficulty: this.adaptiveDifficulty(source.topic ?? source.unit) })
+      return
+    }
 
     // ──────────────────────────────────────────────────────────────
-    // If that didn't work, try using a random topic from the unit
+    // Pick a topic: the focus topic, or one from the unit - topics
+    // the player hasn't got the hang of yet come up more often!
+    // (only topics that actually have a generator)
     // ──────────────────────────────────────────────────────────────
 
-    const problemWasCreated = this.currentMathProblem && this.currentMathProblem.question
+    const topicsToPractise = this.focusTopic
+      ? [this.focusTopic]
+      : (this.unit.topics || []).filter(topic => this.mathProblemMaker.hasGenerator({ grade: this.grade, topic }))
+    console.log('Available topics:', topicsToPractise)
 
-    if (problemWasCreated === false) {
-      // Get the list of math topics in this unit (or default to addition)
-      const topicsInThisUnit = this.unit.topics || ['addition']
-      console.log('Available topics:', topicsInThisUnit)
+    // No topics with generators? Then make problems for the whole unit instead
+    const pickedTopic = this.mastery.pickTopic(this.grade, topicsToPractise)
+    const source = pickedTopic
+      ? { grade: this.grade, topic: pickedTopic }
+      : { grade: this.grade, unit: this.unit.name || '' }
+    console.log('Picked:', source)
 
-      // Pick a random topic from the list
-      const randomIndex = Math.floor(Math.random() * topicsInThisUnit.length)
-      const randomTopic = topicsInThisUnit[randomIndex]
-      console.log('Randomly picked:', randomTopic)
+    this.useSource(source, { difficulty: this.adaptiveDifficulty(pickedTopic ?? source.unit) })
+  }
 
-      // Create a problem for that topic
-      this.currentMathProblem = this.mathProblemMaker.generateProblem(this.grade, randomTopic)
-    }
+  /**
+   * 📈 How hard to make the next problem on a topic
+   * Just hard enough that the player gets it right about as often as the
+   * game mode wants (like 3 out of 4 times on medium). A topic we know
+   * nothing about yet starts at the mode's level.
+   */
+  adaptiveDifficulty(topic) {
+    const difficulty = this.mastery.suggestDifficulty(
+      this.grade,
+      topic,
+      this.difficultySettings.targetSuccessRate,
+      this.mathDifficulty
+    )
+    console.log('Difficulty for this topic:', difficulty)
+    return difficulty
+  }
+
+  /**
+   * 🛠️ Make the current problem from a topic or a whole unit
+   * source = { grade, topic } or { grade, unit }
+   * options = { difficulty } and, to make a problem again, its { seed }
+   */
+  useSource(source, options) {
+    this.currentSource = source
+    this.currentTopic = source.topic ?? source.unit
+    this.currentMathProblem = source.topic !== undefined
+      ? this.mathProblemMaker.generateProblem(source.grade, source.topic, options)
+      : this.mathProblemMaker.generateProblemByUnit(source.grade, source.unit, options)
 
     console.log('Created problem:', this.currentMathProblem)
   }
@@ -331,7 +509,7 @@ export class BattleManager {
       // Oops! It's not the player's turn!
       return {
         success: false,
-        message: 'Not your turn!'
+        message: t('battle.notYourTurn')
       }
     }
 
@@ -347,13 +525,39 @@ export class BattleManager {
     // ✅ STEP 1: Check if the answer is correct!
     // ──────────────────────────────────────────────────────────────
 
+    // Multi-part problem? Then we're only checking the part we're on
+    const isMultiPart = this.currentMathProblem.type === 'multi-part'
+    const questionToCheck = this.getCurrentPart()
+    const partCount = isMultiPart ? this.currentMathProblem.parts.length : 1
+
     console.log('=== Checking the players answer! ===')
     console.log('Player typed:', playerAnswer)
-    console.log('Correct answer is:', this.currentMathProblem.answer)
+    console.log('Correct answer is:', questionToCheck.answer)
 
-    const isAnswerCorrect = this.mathProblemMaker.validateAnswer(this.currentMathProblem, playerAnswer)
+    const isAnswerCorrect = this.mathProblemMaker.validateAnswer(questionToCheck, playerAnswer)
     console.log('Is it correct?', isAnswerCorrect)
 
+    this.partResults.push(isAnswerCorrect)
+    const isLastPart = this.partResults.length >= partCount
+
+    // Once every part is answered, remember how it went
+    if (isLastPart) {
+      // How much of the problem was right? (1 = all of it, 0.5 = half the parts...)
+      const partsRight = this.partResults.filter(result => result).length / partCount
+
+      // Update how well the player knows this topic (so the next problem fits them!)
+      this.mastery.record(this.grade || 1, this.currentTopic, this.currentMathProblem.difficulty, partsRight)
+
+      // Missed it (or any part of it)? It goes in the review queue to come back later.
+      // Got a review problem right? It waits longer before coming back.
+      this.reviewQueue.record(this.currentMathProblem, partsRight === 1, this.currentSource)
+    }
+
+    // If it's wrong, was it a common mistake? (like forgetting to carry)
+    const misconception = isAnswerCorrect
+      ? null
+      : this.mathProblemMaker.findMisconception(questionToCheck, playerAnswer)
+
     // ──────────────────────────────────────────────────────────────
     // 💥 STEP 2: Calculate how much damage to deal
     // ──────────────────────────────────────────────────────────────
@@ -379,6 +583,12 @@ export class BattleManager {
       damageToEnemy = Math.max(1, Math.floor(damageToEnemy * wrongAnswerPenalty))
     }
 
+    // Each part of a multi-part problem lands its own (smaller) hit,
+    // so getting every part right adds up to one full hit
+    if (isMultiPart) {
+      damageToEnemy = Math.max(1, Math.round(damageToEnemy / partCount))
+    }
+
     console.log('Damage to deal:', damageToEnemy)
     console.log('Enemy HP before hit:', this.enemy.stats.currentHP)
 
@@ -398,10 +608,15 @@ export class BattleManager {
 
     let resultMessage
 
+    // Say which part it was, like "Part 2/3: "
+    const partLabel = isMultiPart ? t('battle.partLabel', { part: this.currentPartIndex + 1, count: partCount }) : ''
+
     if (isAnswerCorrect) {
-      resultMessage = `✓ Correct! You dealt ${damageToEnemy} damage to ${this.enemy.name}!`
+      resultMessage = partLabel + t('battle.correct', { damage: damageToEnemy, enemy: this.enemy.name })
+    } else if (misconception) {
+      resultMessage = partLabel + t('battle.wrongMisconception', { damage: damageToEnemy, misconception: misconception.name })
     } else {
-      resultMessage = `✗ Wrong! You dealt ${damageToEnemy} damage (reduced).`
+      resultMessage = partLabel + t('battle.wrong', { damage: damageToEnemy })
     }
 
     // Add to the battle history
@@ -411,12 +626,31 @@ export class BattleManager {
     const battleResult = {
       success: true,
       correct: isAnswerCorrect,
+      problemId: this.currentMathProblem.id,
+      topic: this.currentTopic,
+      review: Boolean(this.currentMathProblem.isReview),
       damage: damageToEnemy,
       enemyHP: this.enemy.stats.currentHP,
       enemyMaxHP: this.enemy.stats.maxHP,
       message: resultMessage
     }
 
+    if (isMultiPart) {
+      battleResult.part = this.currentPartIndex + 1
+      battleResult.partCount = partCount
+    }
+
+    // If the answer was wrong, send back the worked solution
+    // so the player can see HOW to solve it next time!
+    if (isAnswerCorrect === false) {
+      battleResult.question = isMultiPart
+        ? `${this.currentMathProblem.question} ${questionToCheck.question}`
+        : questionToCheck.question
+      battleResult.correctAnswer = questionToCheck.answer
+      battleResult.solution = questionToCheck.solution || []
+      battleResult.misconception = misconception
+    }
+
     // ──────────────────────────────────────────────────────────────
     // 🏆 STEP 5: Did we defeat the enemy?
     // ──────────────────────────────────────────────────────────────
@@ -451,13 +685,18 @@ export class BattleManager {
       battleResult.leveledUp = didHeroLevelUp
 
       // Add victory messages
-      this.battleMessageHistory.push(`Victory! Gained ${experienceEarned} EXP and ${goldEarned} gold! 💰`)
+      this.battleMessageHistory.push(t('battle.victory', { exp: experienceEarned, gold: goldEarned }))
 
       if (didHeroLevelUp) {
         const newLevel = this.hero.stats.level
-        this.battleMessageHistory.push(`Level up! Now level ${newLevel}!`)
+        this.battleMessageHistory.push(t('battle.levelUp', { level: newLevel }))
       }
 
+    } else if (isLastPart === false) {
+      // More parts to go - the player keeps going with the next part!
+      this.currentPartIndex++
+      battleResult.nextPart = true
+
     } else {
       // Enemy is still alive - now it's the enemy's turn!
       this.turnSystem.endTurn()
@@ -631,7 +870,7 @@ export class BattleManager {
     // We keep a log so the player can see what's going on!
 
     const bossName = this.enemy.name
-    const attackMessage = `${bossName} attacks! ${finalDamage} damage!`
+    const attackMessage = t('battle.enemyAttacks', { enemy: bossName, damage: finalDamage })
     this.battleMessageHistory.push(attackMessage)
 
 
@@ -642,7 +881,7 @@ export class BattleManager {
     if (isHeroStillAlive === false) {
       // 😢 Oh no! The hero was knocked out!
       this.battleState = 'defeat'
-      this.battleMessageHistory.push('Defeat! You were knocked out!')
+      this.battleMessageHistory.push(t('battle.defeat'))
     } else {
       // 🎉 Hero survived! Now it's the player's turn again!
       this.turnSystem.endTurn()
@@ -664,6 +903,26 @@ export class BattleManager {
    * Returns the problem object, or null if there isn't one
    */
   getCurrentProblem() {
+    // Multi-part problems come with how far along we are
+    if (this.currentMathProblem?.type === 'multi-part') {
+      return {
+        ...this.currentMathProblem,
+        currentPart: this.currentPartIndex,
+        partResults: [...this.partResults]
+      }
+    }
+
+    return this.currentMathProblem
+  }
+
+  /**
+   * 🧩 Get the question the player is answering right now
+   * For a multi-part problem that's the current part, otherwise the whole problem
+   */
+  getCurrentPart() {
+    if (this.currentMathProblem?.type === 'multi-part') {
+      return this.currentMathProblem.parts[this.currentPartIndex]
+    }
     return this.currentMathProblem
   }
 
@@ -1,5 +1,6 @@
 import { CharacterStats } from './CharacterStats'
 import { generateEnemySpriteSheet } from '../../utils/assetGenerator'
+import { t } from '../Localization/Localization'
 
 /**
  * Enemy Character Class
@@ -7,7 +8,7 @@ import { generateEnemySpriteSheet } from '../../utils/assetGenerator'
  */
 export class Enemy {
   constructor(config = {}) {
-    this.name = config.name || 'Monster'
+    this.name = config.name || t('enemies.monster')
     this.type = config.type || 'slime'
     this.grade = config.grade || 1 // Math grade level
     this.difficulty = config.difficulty || 1 // 1-5 scale
@@ -104,17 +105,17 @@ export class Enemy {
    * Get enemy name based on type and difficulty
    * @param {string} type - Enemy type
    * @param {number} difficulty - Difficulty level
-   * @returns {string} Enemy name
+   * @returns {string} Enemy name (in the game's language)
    */
   static getNameForType(type, difficulty) {
     const names = {
-      slime: ['Baby Slime', 'Slime', 'Giant Slime', 'Elite Slime', 'Slime King'],
-      goblin: ['Goblin Scout', 'Goblin Warrior', 'Goblin Chief', 'Goblin Shaman', 'Goblin Lord'],
-      skeleton: ['Skeleton', 'Skeleton Warrior', 'Dark Skeleton', 'Bone Knight', 'Skeleton King'],
-      dragon: ['Whelpling', 'Drake', 'Dragon', 'Elder Dragon', 'Dragon Lord']
+      slime: ['babySlime', 'slime', 'giantSlime', 'eliteSlime', 'slimeKing'],
+      goblin: ['goblinScout', 'goblinWarrior', 'goblinChief', 'goblinShaman', 'goblinLord'],
+      skeleton: ['skeleton', 'skeletonWarrior', 'darkSkeleton', 'boneKnight', 'skeletonKing'],
+      dragon: ['whelpling', 'drake', 'dragon', 'elderDragon', 'dragonLord']
     }
     const nameList = names[type] || names.slime
-    return nameList[Math.min(difficulty - 1, nameList.length - 1)]
+    return t(`enemies.${nameList[Math.min(difficulty - 1, nameList.length - 1)]}`)
   }
 
   /**
@@ -229,7 +230,7 @@ export class Enemy {
 
     // Draw level
     ctx.font = '10px Arial'
-    ctx.fillText(`Lv.${this.stats.level}`, x + this.width / 2, y - 5)
+    ctx.fillText(t('common.levelShort', { level: this.stats.level }), x + this.width / 2, y - 5)
   }
 
   /**
@@ -286,7 +287,7 @@ export class Enemy {
 
   /**
    * Create an enemy for a specific grade and unit
-   * @param {number} grade - Grade level
+   * @param {number} grade - Grade level (1-9, or a course's level: 10, 20, 30 or 31)
    * @param {number} difficulty - Difficulty level (1-5)
    * @returns {Enemy}
    */
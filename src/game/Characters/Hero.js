@@ -1,5 +1,6 @@
 import { CharacterStats } from './CharacterStats'
 import { generateHeroSpriteSheet } from '../../utils/assetGenerator'
+import { t } from '../Localization/Localization'
 
 /**
  * Hero Character Class
@@ -209,7 +210,7 @@ export class Hero {
     ctx.fillStyle = '#fff'
     ctx.font = '10px Arial'
     ctx.textAlign = 'center'
-    ctx.fillText(`Lv.${this.stats.level}`, screenX + this.width / 2, screenY - 5)
+    ctx.fillText(t('common.levelShort', { level: this.stats.level }), screenX + this.width / 2, screenY - 5)
   }
 
   /**
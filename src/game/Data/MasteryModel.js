@@ -0,0 +1,215 @@
+import curriculum from '../Math/CurriculumData'
+import { DIFFICULTY_RANGE, DEFAULT_DIFFICULTY } from '../Math/GeneratorRegistry'
+
+/**
+ * Mastery Model
+ * Estimates how well a student knows each topic, Elo-style.
+ *
+ * Every topic has a skill rating on the same 1-10 scale as problem difficulty.
+ * The chance of getting a problem right depends on how far the rating is
+ * above (or below) the problem's difficulty:
+ *   P(correct) = 1 / (1 + 10^((difficulty - rating) / RATING_SPREAD))
+ * After each answer the rating moves toward what happened - up more for a
+ * right answer that was unlikely, down more for a wrong one that was expected.
+ * New topics move fast; ones with lots of answers settle down.
+ *
+ * Ratings are kept per student and per grade + topic, and saved in localStorage.
+ */
+
+// A student this many levels above a problem gets it right about 10 times out of 11
+const RATING_SPREAD = 2
+
+// Rating for a topic with no answers yet (about 3 in 4 right at the usual level)
+const STARTING_RATING = 6
+
+// How far one answer can move the rating: big at first, smaller with practice
+const STARTING_STEP = 1
+const SMALLEST_STEP = 0.3
+const ANSWERS_TO_SETTLE = 5
+
+// A topic counts as mastered once it's usually right at the usual level
+const MASTERED_CHANCE = 0.9
+const MASTERED_ANSWERS = 5
+
+// Even mastered topics come up now and then, so they stay fresh
+const SMALLEST_PRACTICE_WEIGHT = 0.1
+
+const STORAGE_KEY = 'mathDungeonMastery'
+
+/**
+ * Mastery Model
+ */
+export class MasteryModel {
+  /**
+   * @param {string} [studentId] - Whose ratings these are (each student is saved separately)
+   */
+  constructor(studentId = 'player') {
+    this.studentId = studentId
+    this.topics = new Map() // "grade:topic" -> { rating, attempts, correct, lastPracticed }
+  }
+
+  /**
+   * Key for one grade's topic (topic names ignore case)
+   * @param {number|string} grade - Grade ID
+   * @param {string} topic - Topic name
+   * @returns {string}
+   */
+  static key(grade, topic) {
+    return `${grade}:${String(topic).toLowerCase().trim().replace(/\s+/g, ' ')}`
+  }
+
+  /**
+   * Chance of a right answer for a rating and a problem difficulty
+   * @param {number} rating - Skill rating
+   * @param {number} difficulty - Problem difficulty (1-10)
+   * @returns {number} 0 to 1
+   */
+  static expectedSuccess(rating, difficulty) {
+    return 1 / (1 + Math.pow(10, (difficulty - rating) / RATING_SPREAD))
+  }
+
+  /**
+   * Everything known about one topic
+   * @param {number|string} grade - Grade ID
+   * @param {string} topic - Topic name
+   * @returns {Object} { rating, attempts, correct, lastPracticed }
+   */
+  getTopic(grade, topic) {
+    return this.topics.get(MasteryModel.key(grade, topic)) ||
+      { rating: STARTING_RATING, attempts: 0, correct: 0, lastPracticed: null }
+  }
+
+  /**
+   * Update a topic after an answer
+   * @param {number|string} grade - Grade ID
+   * @param {string} topic - Topic name
+   * @param {number} difficulty - Difficulty of the problem (1-10)
+   * @param {boolean|number} correct - Whether the answer was right (or the fraction of parts right, 0 to 1)
+   * @returns {Object} The topic's new { rating, attempts, correct, lastPracticed }
+   */
+  record(grade, topic, difficulty, correct) {
+    const outcome = Number(correct)
+    const current = this.getTopic(grade, topic)
+    const expected = MasteryModel.expectedSuccess(current.rating, difficulty)
+    const step = Math.max(SMALLEST_STEP, STARTING_STEP / (1 + current.attempts / ANSWERS_TO_SETTLE))
+
+    const updated = {
+      rating: current.rating + step * (outcome - expected),
+      attempts: current.attempts + 1,
+      correct: current.correct + outcome,
+      lastPracticed: Date.now()
+    }
+    this.topics.set(MasteryModel.key(grade, topic), updated)
+    this.save()
+    return updated
+  }
+
+  /**
+   * How well a topic is known
+   * @param {number|string} grade - Grade ID
+   * @param {string} topic - Topic name
+   * @returns {Object} { rating, attempts, chance (of a right answer at the usual level), mastered }
+   */
+  getMastery(grade, topic) {
+    const { rating, attempts } = this.getTopic(grade, topic)
+    const chance = MasteryModel.expectedSuccess(rating, DEFAULT_DIFFICULTY)
+    return {
+      rating,
+      attempts,
+      chance,
+      mastered: attempts >= MASTERED_ANSWERS && chance >= MASTERED_CHANCE
+    }
+  }
+
+  /**
+   * The difficulty that gives the target chance of a right answer
+   * @param {number|string} grade - Grade ID
+   * @param {string} topic - Topic name
+   * @param {number} targetSuccess - Wanted chance of a right answer (like 0.75)
+   * @param {number} [fallback] - Difficulty to use before the topic has any answers
+   * @returns {number} Difficulty level (1-10)
+   */
+  suggestDifficulty(grade, topic, targetSuccess, fallback = DEFAULT_DIFFICULTY) {
+    const { rating, attempts } = this.getTopic(grade, topic)
+    if (attempts === 0) return fallback
+
+    // Solve expectedSuccess(rating, difficulty) = targetSuccess for the difficulty
+    const difficulty = rating - RATING_SPREAD * Math.log10(targetSuccess / (1 - targetSuccess))
+    return Math.min(DIFFICULTY_RANGE[1], Math.max(DIFFICULTY_RANGE[0], Math.round(difficulty)))
+  }
+
+  /**
+   * Pick the next topic to practise: weaker topics (and new ones) come up more often
+   * @param {number|string} grade - Grade ID
+   * @param {Array<string>} topics - Topics to choose from
+   * @param {Function} [random] - Returns a float in [0, 1)
+   * @returns {string|null} A topic, or null if the list is empty
+   */
+  pickTopic(grade, topics, random = Math.random) {
+    if (topics.length === 0) return null
+
+    const weights = topics.map(topic => {
+      const { attempts, chance } = this.getMastery(grade, topic)
+      return attempts === 0 ? 1 : Math.max(SMALLEST_PRACTICE_WEIGHT, 1 - chance)
+    })
+    let pick = random() * weights.reduce((sum, weight) => sum + weight, 0)
+    for (let i = 0; i < topics.length; i++) {
+      pick -= weights[i]
+      if (pick < 0) return topics[i]
+    }
+    return topics[topics.length - 1]
+  }
+
+  /**
+   * Get mastery data for serialization
+   * @returns {Object} Topic data by "grade:topic" key
+   */
+  toJSON() {
+    return Object.fromEntries(this.topics)
+  }
+
+  /**
+   * Load mastery from data
+   * @param {Object} data - Topic data by "grade:topic" key
+   */
+  fromJSON(data) {
+    // Keys saved before the courses had their own IDs start with 20 for Math 20-1
+    this.topics = new Map(Object.entries(data || {}).map(([key, topic]) => {
+      const [, grade, name] = key.match(/^([^:]*):(.*)$/) || [null, '', key]
+      return [`${curriculum.toGradeId(grade) ?? grade}:${name}`, topic]
+    }))
+  }
+
+  /**
+   * Save this student's mastery to localStorage (other students' are kept)
+   */
+  save() {
+    try {
+      const students = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+      students[this.studentId] = this.toJSON()
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(students))
+    } catch (e) {
+      console.error('Failed to save mastery:', e)
+    }
+  }
+
+  /**
+   * Load this student's mastery from localStorage
+   */
+  load() {
+    try {
+      const students = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+      this.fromJSON(students[this.studentId])
+    } catch (e) {
+      console.error('Failed to load mastery:', e)
+    }
+  }
+
+  /**
+   * Forget everything for this student
+   */
+  reset() {
+    this.topics.clear()
+    this.save()
+  }
+}
@@ -0,0 +1,381 @@
+import curriculum from '../Math/CurriculumData'
+import { Localization } from '../Localization/Localization'
+
+/**
+ * Problem Importer
+ * Reads a teacher's own questions into a problem set that can be played as a
+ * unit of its own. Two formats are read:
+ *
+ * CSV (a spreadsheet saved as CSV), with a header row naming the columns:
+ *   question, answer            required
+ *   options                     wrong and right choices separated by "|" (2 to 4 of them),
+ *                               for a multiple-choice question; the answer is added if missing
+ *   topic                       default: the set's name
+ *   grade                       a grade from the curriculum: 5, 20-2, Math 31... (default: the one picked when importing)
+ *   tolerance                   how close a number answer must be: 0.1 (within 0.1),
+ *                               5% (within 5%), 2dp (2 decimal places) or 3sf (3 significant figures)
+ * Columns can be in any order and others are ignored. A spreadsheet that
+ * separates columns with ";" (as French ones do) is read too.
+ *
+ * IMS QTI 2.1 XML (one or more assessmentItems, as exported by an LMS), with a
+ * choiceInteraction (multiple choice) or a textEntryInteraction (typed answer)
+ * and one right answer. A numeric tolerance in the response processing is kept.
+ *
+ * A question that can't be read is skipped and listed in errors, so one bad
+ * row doesn't stop the rest. Each error is { line or item, code, params, message };
+ * the code is the key under importer.errors in the message catalogs.
+ *
+ * A set is { id, name, locale, source, items, importedAt }, where each item is
+ * what createProblem needs: { question, answer, options, topic, grade, tolerance }.
+ * The ProblemGenerator turns the items into problems (see registerProblemSet).
+ */
+
+// The most options a multiple-choice question can show
+export const MAX_OPTIONS = 4
+
+// Separates the choices in a CSV options cell
+const OPTION_SEPARATOR = '|'
+
+/**
+ * Thrown when a file can't be imported at all (not just a bad row)
+ */
+export class ProblemImportError extends Error {
+  /**
+   * @param {string} code - Key under importer.errors ('no-header', 'no-items', 'no-grade', 'bad-xml', 'unknown-format')
+   * @param {string} message - What went wrong, in English
+   * @param {Array} [errors] - The rows that were skipped, if any
+   */
+  constructor(code, message, errors = []) {
+    super(message)
+    this.name = 'ProblemImportError'
+    this.code = code
+    this.errors = errors
+  }
+}
+
+/**
+ * Split CSV text into rows of cells (quotes, "" inside quotes and line breaks inside quotes are handled)
+ * @param {string} text
+ * @param {string} delimiter - "," or ";"
+ * @returns {Array} [{ line, cells }] with the line each row starts on, blank rows left out
+ */
+function parseCSV(text, delimiter) {
+  const rows = []
+  let cells = []
+  let cell = ''
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+
+  const endRow = () => {
+    cells.push(cell)
+    if (cells.some(c => c.trim() !== '')) rows.push({ line: rowLine, cells })
+    cells = []
+    cell = ''
+    rowLine = line
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === '\n') line++
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      cells.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      line++
+      endRow()
+    } else {
+      cell += char
+    }
+  }
+  endRow()
+  return rows
+}
+
+/**
+ * Every element with a tag name, whatever its namespace prefix
+ * @param {Node} node
+ * @param {string} name - Local name like 'assessmentItem'
+ * @returns {Element[]}
+ */
+function elements(node, name) {
+  return Array.from(node.getElementsByTagNameNS('*', name))
+}
+
+/**
+ * Collapse runs of spaces and line breaks into one space
+ * @param {string} text
+ * @returns {string}
+ */
+function tidy(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Problem Importer
+ */
+export class ProblemImporter {
+  /**
+   * Import a file, picking the format from its name (or its content)
+   * @param {string} fileName - Like 'fractions.csv' or 'quiz.xml'
+   * @param {string} text - The file's content
+   * @param {Object} [options] - See fromCSV
+   * @returns {{ set: Object, errors: Array }}
+   * @throws {ProblemImportError} If nothing could be imported
+   */
+  static fromFile(fileName, text, options = {}) {
+    const name = options.name || fileName.replace(/\.[^.]*$/, '')
+    if (/\.(xml|qti)$/i.test(fileName) || (!/\.(csv|txt)$/i.test(fileName) && /^\s*</.test(text))) {
+      return this.fromQTI(text, { ...options, name })
+    }
+    if (/\.(csv|txt)$/i.test(fileName)) {
+      return this.fromCSV(text, { ...options, name })
+    }
+    throw new ProblemImportError('unknown-format', `Can't tell what kind of file ${fileName} is (use .csv or .xml)`)
+  }
+
+  /**
+   * Import questions from a CSV spreadsheet
+   * @param {string} text - CSV with a header row
+   * @param {Object} [options]
+   * @param {string} [options.name] - The set's name, shown as its unit (default 'Imported questions')
+   * @param {number|string} [options.grade] - Grade ID for rows that don't give one
+   * @param {string} [options.locale] - Language the questions are written in (default: the game's locale)
+   * @returns {{ set: Object, errors: Array }} The set and the rows that were skipped
+   * @throws {ProblemImportError} If there's no header row or no row could be read
+   */
+  static fromCSV(text, options = {}) {
+    const content = String(text).replace(/^\uFEFF/, '')
+    const [firstLine = ''] = content.split(/\r?\n/)
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+    const [header, ...rows] = parseCSV(content, delimiter)
+
+    const columns = (header?.cells || []).map(cell => tidy(cell).toLowerCase())
+    if (!columns.includes('question') || !columns.includes('answer')) {
+      throw new ProblemImportError('no-header', 'The first row must name the columns, including question and answer')
+    }
+
+    const items = []
+    const errors = []
+    for (const { line, cells } of rows) {
+      const row = Object.fromEntries(columns.map((column, i) => [column, tidy(cells[i])]))
+      const choices = row.options ? row.options.split(OPTION_SEPARATOR).map(tidy).filter(Boolean) : []
+      const result = this.makeItem(row, choices)
+      if (result.error) {
+        errors.push({ line, ...result.error })
+      } else {
+        items.push(result.item)
+      }
+    }
+    return this.makeSet(items, errors, 'csv', options)
+  }
+
+  /**
+   * Import questions from IMS QTI 2.1 XML
+   * @param {string} xml - One or more assessmentItems
+   * @param {Object} [options] - See fromCSV
+   * @returns {{ set: Object, errors: Array }} The set and the items that were skipped
+   * @throws {ProblemImportError} If the XML can't be read or no item could be
+   */
+  static fromQTI(xml, options = {}) {
+    let document = null
+    try {
+      document = new DOMParser().parseFromString(String(xml), 'application/xml')
+    } catch (e) {
+      console.error('Failed to read QTI XML:', e)
+    }
+    if (!document?.documentElement || elements(document, 'parsererror').length > 0) {
+      throw new ProblemImportError('bad-xml', 'The file isn\'t valid XML')
+    }
+
+    const items = []
+    const errors = []
+    for (const element of elements(document, 'assessmentItem')) {
+      const item = element.getAttribute('identifier') || element.getAttribute('title') || String(items.length + errors.length + 1)
+      const result = this.readQTIItem(element)
+      if (result.error) {
+        errors.push({ item, ...result.error })
+        continue
+      }
+      const made = this.makeItem(result.row, result.options)
+      if (made.error) {
+        errors.push({ item, ...made.error })
+      } else {
+        items.push(made.item)
+      }
+    }
+    return this.makeSet(items, errors, 'qti', options)
+  }
+
+  /**
+   * Read one QTI assessmentItem's question, answer, options and tolerance
+   * @param {Element} element - The assessmentItem
+   * @returns {{ row: Object, options: string[] }|{ error: Object }}
+   */
+  static readQTIItem(element) {
+    const [body] = elements(element, 'itemBody')
+    if (!body) return { error: this.error('no-question', 'It has no question') }
+    if (elements(body, 'img').length > 0 || elements(body, 'object').length > 0) {
+      return { error: this.error('has-picture', 'Questions with pictures can\'t be imported yet') }
+    }
+
+    const interactions = Array.from(body.getElementsByTagNameNS('*', '*'))
+      .filter(node => /Interaction$/.test(node.localName))
+    const [interaction] = interactions
+    if (interactions.length !== 1 || !['choiceInteraction', 'inlineChoiceInteraction', 'textEntryInteraction'].includes(interaction.localName)) {
+      return { error: this.error('unsupported-interaction', 'Only multiple-choice and typed-answer questions with one answer can be imported') }
+    }
+
+    // The right answer is in the response the interaction fills in
+    const responseId = interaction.getAttribute('responseIdentifier')
+    const declaration = elements(element, 'responseDeclaration').find(d => d.getAttribute('identifier') === responseId)
+    const correct = declaration ? elements(declaration, 'correctResponse').flatMap(r => elements(r, 'value')).map(v => tidy(v.textContent)) : []
+    if (correct.length !== 1) {
+      return { error: this.error('multiple-answers', 'It needs exactly one right answer', { count: correct.length }) }
+    }
+
+    const row = { question: this.questionText(body), answer: correct[0] }
+    let options = []
+
+    if (interaction.localName !== 'textEntryInteraction') {
+      const choices = [...elements(interaction, 'simpleChoice'), ...elements(interaction, 'inlineChoice')]
+      const right = choices.find(choice => choice.getAttribute('identifier') === correct[0])
+      if (!right) return { error: this.error('no-answer', 'Its right answer isn\'t one of its choices') }
+      row.answer = tidy(right.textContent)
+      options = choices.map(choice => tidy(choice.textContent))
+    }
+
+    // <equal toleranceMode="absolute" tolerance="0.1"> (relative tolerances are in percent)
+    const [equal] = elements(element, 'equal')
+    const mode = equal?.getAttribute('toleranceMode')
+    const [amount] = (equal?.getAttribute('tolerance') || '').trim().split(/\s+/)
+    if ((mode === 'absolute' || mode === 'relative') && amount) {
+      row.tolerance = mode === 'absolute' ? amount : `${amount}%`
+    }
+    return { row, options }
+  }
+
+  /**
+   * The words of a QTI question: the item body without its choices, with "?" for a blank to fill in
+   * @param {Element} body - The itemBody
+   * @returns {string}
+   */
+  static questionText(body) {
+    const read = (node) => {
+      if (node.nodeType === 3) return node.data
+      if (node.nodeType !== 1) return ''
+      if (node.localName === 'textEntryInteraction') return ' ? '
+      if (node.localName === 'simpleChoice' || node.localName === 'inlineChoice') return ''
+      return ` ${Array.from(node.childNodes).map(read).join('')} `
+    }
+    return tidy(read(body))
+  }
+
+  /**
+   * Check one question and turn it into a set item
+   * @param {Object} row - { question, answer, topic, grade, tolerance } as text
+   * @param {string[]} options - The choices (empty for a typed answer)
+   * @returns {{ item: Object }|{ error: Object }}
+   */
+  static makeItem(row, options) {
+    if (!row.question) return { error: this.error('no-question', 'It has no question') }
+    if (!row.answer) return { error: this.error('no-answer', 'It has no answer') }
+
+    const item = { question: row.question, answer: row.answer }
+    if (row.topic) item.topic = row.topic
+
+    if (row.grade) {
+      const grade = curriculum.toGradeId(row.grade)
+      if (grade === null) {
+        return { error: this.error('bad-grade', `${row.grade} isn't a grade in the curriculum`, { grade: row.grade }) }
+      }
+      item.grade = grade
+    }
+
+    if (row.tolerance) {
+      const tolerance = this.parseTolerance(row.tolerance)
+      if (!tolerance) {
+        return { error: this.error('bad-tolerance', `Can't read the tolerance "${row.tolerance}"`, { tolerance: row.tolerance }) }
+      }
+      item.tolerance = tolerance
+    }
+
+    if (options.length > 0) {
+      // The answer is always one of the choices
+      const choices = options.includes(row.answer) ? options : [row.answer, ...options]
+      if (choices.length > MAX_OPTIONS) {
+        return { error: this.error('too-many-options', `It has ${choices.length} choices (at most ${MAX_OPTIONS})`, { count: choices.length, max: MAX_OPTIONS }) }
+      }
+      if (choices.length >= 2) item.options = choices
+    }
+    return { item }
+  }
+
+  /**
+   * Read a tolerance: "0.1" (within 0.1), "5%" (within 5%), "2dp" or "3sf"
+   * @param {string} text
+   * @returns {Object|null} A tolerance for AnswerValidator.withinTolerance, or null if it can't be read
+   */
+  static parseTolerance(text) {
+    const [, amount, kind = ''] = tidy(text).replace(',', '.').toLowerCase().match(/^(\d*\.?\d+)\s*(%|dp|sf)?$/) || []
+    if (amount === undefined) return null
+    const value = Number(amount)
+    switch (kind) {
+      case '%': return { type: 'relative', value: value / 100 }
+      case 'dp': return { type: 'decimals', value }
+      case 'sf': return { type: 'sigfigs', value }
+      default: return { type: 'absolute', value }
+    }
+  }
+
+  /**
+   * Put the items read into a set, filling in each item's grade and topic
+   * @param {Array} items
+   * @param {Array} errors - Questions that were skipped
+   * @param {string} source - 'csv' or 'qti'
+   * @param {Object} options - See fromCSV
+   * @returns {{ set: Object, errors: Array }}
+   * @throws {ProblemImportError} If there are no items
+   */
+  static makeSet(items, errors, source, { name = 'Imported questions', grade, locale = Localization.getLocale() } = {}) {
+    const grades = items.map(item => item.grade ?? grade)
+    if (items.length === 0 || grades.includes(undefined)) {
+      const message = items.length === 0 ? 'No questions could be read' : 'Pick a grade for the questions that don\'t have one'
+      throw new ProblemImportError(items.length === 0 ? 'no-items' : 'no-grade', message, errors)
+    }
+
+    const now = Date.now()
+    const set = {
+      id: `set-${now.toString(36)}`,
+      name: tidy(name) || 'Imported questions',
+      locale,
+      source,
+      items: items.map((item, i) => ({ topic: tidy(name), ...item, grade: grades[i] })),
+      importedAt: now
+    }
+    return { set, errors }
+  }
+
+  /**
+   * A skipped question's error
+   * @param {string} code - Key under importer.errors
+   * @param {string} message - In English
+   * @param {Object} [params] - Values for the message's placeholders
+   * @returns {{ code: string, message: string, params: Object }}
+   */
+  static error(code, message, params = {}) {
+    return { code, message, params }
+  }
+}
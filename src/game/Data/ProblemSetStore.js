@@ -0,0 +1,106 @@
+import curriculum from '../Math/CurriculumData'
+
+/**
+ * Problem Set Store
+ * Keeps the problem sets teachers have imported (see ProblemImporter) in
+ * localStorage, so they stay in the game as units of their own.
+ *
+ * Sets aren't anyone's progress, so resetting progress leaves them; they're
+ * only removed one at a time.
+ */
+
+const STORAGE_KEY = 'mathDungeonProblemSets'
+
+/**
+ * Problem Set Store
+ */
+export class ProblemSetStore {
+  constructor() {
+    this.sets = new Map() // set ID -> { id, name, locale, source, items, importedAt }
+  }
+
+  /**
+   * Add (or replace) a set and save
+   * @param {Object} set - From ProblemImporter
+   * @returns {Object} The set
+   */
+  add(set) {
+    this.sets.set(set.id, set)
+    this.save()
+    return set
+  }
+
+  /**
+   * Remove a set and save
+   * @param {string} id - Set ID
+   * @returns {boolean} false if there was no such set
+   */
+  remove(id) {
+    const removed = this.sets.delete(id)
+    if (removed) this.save()
+    return removed
+  }
+
+  /**
+   * Every set, oldest first
+   * @returns {Array}
+   */
+  getAll() {
+    return [...this.sets.values()].sort((a, b) => a.importedAt - b.importedAt)
+  }
+
+  /**
+   * The sets with questions for a grade
+   * @param {number|string} grade - Grade ID
+   * @returns {Array}
+   */
+  forGrade(grade) {
+    return this.getAll().filter(set => set.items.some(item => item.grade === grade))
+  }
+
+  /**
+   * Get the sets for serialization
+   * @returns {Array}
+   */
+  toJSON() {
+    return this.getAll()
+  }
+
+  /**
+   * Load the sets from data
+   * @param {Array} data - Saved sets
+   */
+  fromJSON(data) {
+    // Questions saved before the courses had their own IDs have grade 20 for Math 20-1
+    this.sets = new Map((data || []).map(set => [set.id, {
+      ...set,
+      items: set.items.map(item => ({ ...item, grade: curriculum.toGradeId(item.grade) ?? item.grade }))
+    }]))
+  }
+
+  /**
+   * Save every set to localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()))
+    } catch (e) {
+      console.error('Failed to save problem sets:', e)
+    }
+  }
+
+  /**
+   * Load the saved sets from localStorage
+   * @returns {ProblemSetStore} This store (so it can be loaded as it's made)
+   */
+  load() {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        this.fromJSON(JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'))
+      }
+    } catch (e) {
+      console.error('Failed to load problem sets:', e)
+    }
+    return this
+  }
+}
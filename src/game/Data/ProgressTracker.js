@@ -1,3 +1,5 @@
+import curriculum from '../Math/CurriculumData'
+
 /**
  * Progress Tracker
  * Tracks player progress through grades, units, and problems
@@ -20,7 +22,7 @@ export class ProgressTracker {
 
   /**
    * Mark a grade as completed
-   * @param {number} grade - Grade number
+   * @param {number|string} grade - Grade ID
    */
   completeGrade(grade) {
     this.completedGrades.add(grade)
@@ -29,7 +31,7 @@ export class ProgressTracker {
 
   /**
    * Mark a unit as completed
-   * @param {number} grade - Grade number
+   * @param {number|string} grade - Grade ID
    * @param {string} unitName - Unit name
    */
   completeUnit(grade, unitName) {
@@ -42,7 +44,7 @@ export class ProgressTracker {
 
   /**
    * Mark a problem as completed
-   * @param {number} grade - Grade number
+   * @param {number|string} grade - Grade ID
    * @param {string} problemId - Problem ID
    * @param {boolean} correct - Whether answer was correct
    */
@@ -79,7 +81,7 @@ export class ProgressTracker {
 
   /**
    * Check if grade is completed
-   * @param {number} grade - Grade number
+   * @param {number|string} grade - Grade ID
    * @returns {boolean}
    */
   isGradeCompleted(grade) {
@@ -88,7 +90,7 @@ export class ProgressTracker {
 
   /**
    * Check if unit is completed
-   * @param {number} grade - Grade number
+   * @param {number|string} grade - Grade ID
    * @param {string} unitName - Unit name
    * @returns {boolean}
    */
@@ -99,7 +101,7 @@ export class ProgressTracker {
 
   /**
    * Get completion percentage for a grade
-   * @param {number} grade - Grade number
+   * @param {number|string} grade - Grade ID
    * @param {number} totalUnits - Total number of units in grade
    * @returns {number} Completion percentage (0-100)
    */
@@ -147,17 +149,20 @@ export class ProgressTracker {
    * @param {Object} data - Progress data
    */
   fromJSON(data) {
+    // JSON keys are text ("5", "20-2"), and grades saved before the courses
+    // had their own IDs are 10, 20 and 30 (Math 10C, 20-1 and 30-1)
+    const gradeId = (grade) => curriculum.toGradeId(grade) ?? grade
     if (data.completedGrades) {
-      this.completedGrades = new Set(data.completedGrades)
+      this.completedGrades = new Set(data.completedGrades.map(gradeId))
     }
     if (data.completedUnits) {
       this.completedUnits = new Map(
-        Object.entries(data.completedUnits).map(([k, v]) => [parseInt(k), new Set(v)])
+        Object.entries(data.completedUnits).map(([k, v]) => [gradeId(k), new Set(v)])
       )
     }
     if (data.completedProblems) {
       this.completedProblems = new Map(
-        Object.entries(data.completedProblems).map(([k, v]) => [parseInt(k), new Set(v)])
+        Object.entries(data.completedProblems).map(([k, v]) => [gradeId(k), new Set(v)])
       )
     }
     if (data.stats) {
@@ -0,0 +1,171 @@
+import curriculum from '../Math/CurriculumData'
+
+/**
+ * Review Queue
+ * Spaced repetition (Leitner boxes) for problems the student got wrong.
+ *
+ * A missed problem goes into box 1 and comes back soon. Each time it's
+ * answered right when it's due, it moves up a box and waits longer before
+ * coming back; after the last box it's learned and leaves the queue.
+ * Getting it wrong again sends it back to box 1.
+ *
+ * Problems aren't stored whole - just what's needed to make them again
+ * (grade, topic or unit, seed and difficulty), since the same seed always
+ * builds the same problem.
+ */
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+// How long a problem waits in each box before it's due again
+const BOX_WAITS = [10 * MINUTE, DAY, 3 * DAY, 7 * DAY, 14 * DAY]
+
+const STORAGE_KEY = 'mathDungeonReview'
+
+/**
+ * Review Queue
+ */
+export class ReviewQueue {
+  /**
+   * @param {string} [studentId] - Whose queue this is (each student is saved separately)
+   */
+  constructor(studentId = 'player') {
+    this.studentId = studentId
+    this.items = new Map() // problem ID -> { id, grade, topic, unit, seed, difficulty, question, box, due }
+  }
+
+  /**
+   * Put a missed problem in box 1 (or back in box 1 if it's already queued)
+   * @param {Object} problem - Problem object (needs id and seed)
+   * @param {Object} source - What it was made from: { grade, topic } or { grade, unit }
+   * @param {number} [now] - Current time in ms
+   * @returns {Object|null} The queued item, or null if the problem can't be made again
+   */
+  add(problem, { grade, topic, unit }, now = Date.now()) {
+    if (!problem?.id || problem.seed === undefined) return null
+
+    const item = {
+      id: problem.id,
+      grade,
+      topic,
+      unit,
+      seed: problem.seed,
+      difficulty: problem.difficulty,
+      question: problem.question,
+      box: 1,
+      due: now + BOX_WAITS[0]
+    }
+    this.items.set(item.id, item)
+    this.save()
+    return item
+  }
+
+  /**
+   * Update the queue after an answer
+   * Wrong answers go (back) into box 1; a right answer to a due problem moves it up a box.
+   * @param {Object} problem - Problem object
+   * @param {boolean} correct - Whether the answer was right
+   * @param {Object} source - What it was made from: { grade, topic } or { grade, unit }
+   * @param {number} [now] - Current time in ms
+   * @returns {Object|null} The item after the update (box 0 = learned), or null if it isn't queued
+   */
+  record(problem, correct, source, now = Date.now()) {
+    if (!correct) return this.add(problem, source, now)
+
+    const item = this.items.get(problem?.id)
+    if (!item || item.due > now) return null
+
+    item.box++
+    if (item.box > BOX_WAITS.length) {
+      this.items.delete(item.id)
+      item.box = 0
+    } else {
+      item.due = now + BOX_WAITS[item.box - 1]
+    }
+    this.save()
+    return item
+  }
+
+  /**
+   * Every problem due for a grade, most overdue first
+   * @param {number|string} grade - Grade ID
+   * @param {number} [now] - Current time in ms
+   * @returns {Array} Due items
+   */
+  getDue(grade, now = Date.now()) {
+    return [...this.items.values()]
+      .filter(item => item.grade === grade && item.due <= now)
+      .sort((a, b) => a.due - b.due)
+  }
+
+  /**
+   * The most overdue problem for a grade
+   * @param {number|string} grade - Grade ID
+   * @param {Set<string>} [skip] - Problem IDs to leave out (like ones already shown this battle)
+   * @param {number} [now] - Current time in ms
+   * @returns {Object|null} Due item, or null if nothing is due
+   */
+  nextDue(grade, skip = new Set(), now = Date.now()) {
+    return this.getDue(grade, now).find(item => !skip.has(item.id)) || null
+  }
+
+  /**
+   * How many problems are due for a grade
+   * @param {number|string} grade - Grade ID
+   * @param {number} [now] - Current time in ms
+   * @returns {number}
+   */
+  countDue(grade, now = Date.now()) {
+    return this.getDue(grade, now).length
+  }
+
+  /**
+   * Get queue data for serialization
+   * @returns {Array} Queued items
+   */
+  toJSON() {
+    return [...this.items.values()]
+  }
+
+  /**
+   * Load the queue from data
+   * @param {Array} data - Queued items
+   */
+  fromJSON(data) {
+    // Items saved before the courses had their own IDs have grade 20 for Math 20-1
+    this.items = new Map((data || []).map(item => [item.id, { ...item, grade: curriculum.toGradeId(item.grade) ?? item.grade }]))
+  }
+
+  /**
+   * Save this student's queue to localStorage (other students' are kept)
+   */
+  save() {
+    try {
+      const students = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+      students[this.studentId] = this.toJSON()
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(students))
+    } catch (e) {
+      console.error('Failed to save review queue:', e)
+    }
+  }
+
+  /**
+   * Load this student's queue from localStorage
+   */
+  load() {
+    try {
+      const students = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+      this.fromJSON(students[this.studentId])
+    } catch (e) {
+      console.error('Failed to load review queue:', e)
+    }
+  }
+
+  /**
+   * Empty the queue for this student
+   */
+  reset() {
+    this.items.clear()
+    this.save()
+  }
+}
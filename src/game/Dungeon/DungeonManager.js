@@ -16,7 +16,7 @@ export class DungeonManager {
 
   /**
    * Load a dungeon by grade number
-   * @param {number} gradeNumber - Grade number to load
+   * @param {number|string} gradeNumber - Grade ID to load
    * @returns {boolean} True if loaded successfully
    */
   loadDungeon(gradeNumber) {
@@ -105,7 +105,7 @@ export class DungeonManager {
 
   /**
    * Get units for a specific grade
-   * @param {number} gradeNumber - Grade number
+   * @param {number|string} gradeNumber - Grade ID
    * @returns {Array} Array of unit objects
    */
   getUnitsForGrade(gradeNumber) {
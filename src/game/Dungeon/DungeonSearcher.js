@@ -7,14 +7,16 @@
  * - Linear Search: O(n) for finding problems by topic
  */
 
+import { compareGrades } from '../Math/CurriculumData'
+
 /**
  * Binary Search Algorithm (Recursive)
  * Finds a specific grade in a sorted array of grades using recursion
  * Time Complexity: O(log n)
  * Space Complexity: O(log n) - due to recursive call stack
  * 
- * @param {Array} sortedGrades - Sorted array of grade objects
- * @param {number} targetGrade - Grade number to find
+ * @param {Array} sortedGrades - Grade objects sorted with compareGrades
+ * @param {number|string} targetGrade - Grade ID to find
  * @param {number} left - Left boundary index (default: 0)
  * @param {number} right - Right boundary index (default: array length - 1)
  * @returns {Object|null} Found grade object or null
@@ -34,7 +36,7 @@ export function binarySearchGrade(sortedGrades, targetGrade, left = 0, right = s
   }
 
   // Recursive cases: search in appropriate half
-  if (midGrade.grade < targetGrade) {
+  if (compareGrades(midGrade.grade, targetGrade) < 0) {
     // Target is in right half - recurse right
     return binarySearchGrade(sortedGrades, targetGrade, mid + 1, right)
   } else {
@@ -155,12 +157,12 @@ export class DungeonSearcher {
   constructor(curriculumData) {
     this.curriculumData = curriculumData
     // Ensure grades are sorted for binary search
-    this.sortedGrades = [...curriculumData.grades].sort((a, b) => a.grade - b.grade)
+    this.sortedGrades = [...curriculumData.grades].sort((a, b) => compareGrades(a.grade, b.grade))
   }
 
   /**
    * Find a grade by number using binary search
-   * @param {number} gradeNumber - Grade number to find
+   * @param {number|string} gradeNumber - Grade ID to find
    * @returns {Object|null} Grade object or null
    */
   findGrade(gradeNumber) {
@@ -169,7 +171,7 @@ export class DungeonSearcher {
 
   /**
    * Find a unit within a grade using binary search
-   * @param {number} gradeNumber - Grade number
+   * @param {number|string} gradeNumber - Grade ID
    * @param {string} unitName - Unit name to find
    * @returns {Object|null} Unit object or null
    */
@@ -183,7 +185,7 @@ export class DungeonSearcher {
 
   /**
    * Find problems by topic using linear search
-   * @param {number} gradeNumber - Grade number
+   * @param {number|string} gradeNumber - Grade ID
    * @param {string} topic - Topic to search for
    * @returns {Array} Array of matching problems
    */
@@ -212,7 +214,7 @@ export class DungeonSearcher {
 
   /**
    * Find problems by difficulty range
-   * @param {number} gradeNumber - Grade number
+   * @param {number|string} gradeNumber - Grade ID
    * @param {number} minDifficulty - Minimum difficulty
    * @param {number} maxDifficulty - Maximum difficulty
    * @returns {Array} Array of matching problems
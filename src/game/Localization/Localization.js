@@ -0,0 +1,150 @@
+import enMessages from './en/messages'
+import frMessages from './fr/messages'
+
+/**
+ * Localization
+ * Picks the language the game is played in and looks up its words.
+ *
+ * UI copy (menus, buttons, battle messages, hints) lives in message catalogs,
+ * one per locale, looked up by key: t('settings.title'). A key missing from a
+ * catalog falls back to English, so a half-finished catalog still works.
+ *
+ * Numbers are written the locale's way too. French uses a decimal comma
+ * ("3,5"), so lists and points use a semicolon instead ("(2 ; -1)") and
+ * thousands are split with a thin space ("1 000"). readNumbers() turns all of
+ * that back into the "3.5" and "(2, -1)" the math code reads.
+ *
+ * The chosen locale is saved in localStorage.
+ */
+
+// Every locale the game can be played in, with the name shown in Settings
+export const LOCALES = {
+  en: { name: 'English', messages: enMessages },
+  fr: { name: 'Français', messages: frMessages }
+}
+
+export const DEFAULT_LOCALE = 'en'
+
+const STORAGE_KEY = 'mathDungeonLocale'
+
+// French splits thousands with a narrow no-break space: 1 000 000
+const THIN_SPACE = '\u202f'
+
+let currentLocale = null
+
+/**
+ * Find a message in a catalog by its dotted key ("battle.correct")
+ * @param {Object} catalog - Nested message catalog
+ * @param {string} key - Dotted key
+ * @returns {string|undefined}
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog)
+}
+
+/**
+ * Localization
+ */
+export class Localization {
+  /**
+   * The locale the game is played in (loaded from localStorage the first time)
+   * @returns {string} Locale code like 'en' or 'fr'
+   */
+  static getLocale() {
+    if (currentLocale === null) {
+      let saved = null
+      try {
+        saved = typeof localStorage === 'undefined' ? null : localStorage.getItem(STORAGE_KEY)
+      } catch (e) {
+        console.error('Failed to load locale:', e)
+      }
+      currentLocale = LOCALES[saved] ? saved : DEFAULT_LOCALE
+    }
+    return currentLocale
+  }
+
+  /**
+   * Switch the game's locale and remember it
+   * @param {string} locale - Locale code from LOCALES
+   * @throws {Error} If the locale isn't one of LOCALES
+   */
+  static setLocale(locale) {
+    if (!LOCALES[locale]) {
+      throw new Error(`Unknown locale: ${locale}`)
+    }
+    currentLocale = locale
+    try {
+      localStorage.setItem(STORAGE_KEY, locale)
+    } catch (e) {
+      console.error('Failed to save locale:', e)
+    }
+  }
+
+  /**
+   * Look up a UI message and fill in its {placeholders}
+   * @param {string} key - Dotted key like 'battle.correct'
+   * @param {Object} [params] - Values for the placeholders (numbers are written the locale's way)
+   * @param {string} [locale] - Locale to use (default: the game's locale)
+   * @returns {string} The message (the key itself if no catalog has it)
+   */
+  static t(key, params = {}, locale = this.getLocale()) {
+    const message = lookup(LOCALES[locale]?.messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key) ?? key
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder
+      const value = params[name]
+      return typeof value === 'number' ? this.formatNumber(value, locale) : String(value)
+    })
+  }
+
+  /**
+   * Write a number the locale's way: 3.5 → "3,5" in French
+   * @param {number} value
+   * @param {string} [locale] - Default: the game's locale
+   * @returns {string}
+   */
+  static formatNumber(value, locale = this.getLocale()) {
+    return this.formatNumbers(String(value), locale)
+  }
+
+  /**
+   * Rewrite every number in a text the locale's way.
+   * French: "3.5" → "3,5", "1,000" → "1 000", "(2, -1)" → "(2 ; -1)"
+   * @param {string} text - Text written with English numbers
+   * @param {string} [locale] - Default: the game's locale
+   * @returns {string}
+   */
+  static formatNumbers(text, locale = this.getLocale()) {
+    if (locale !== 'fr') return String(text)
+    return String(text)
+      // Thousands first, while "1,000" still means a thousand
+      .replace(/(\d),(?=\d{3}(?!\d))/g, `$1${THIN_SPACE}`)
+      // A comma between two numbers separates them (a list or a point), and so does one next to "..." in a list
+      .replace(/([\d)\]%°∞]|\.\.\.)\s*,\s+(?=[-−+]?(?:\d|\.\d|\.\.\.|\(|√|π|∞))/g, '$1 ; ')
+      .replace(/(\d)\.(?=\d)/g, '$1,')
+  }
+
+  /**
+   * Read numbers written the locale's way back into the English way the math code uses.
+   * French: "3,5" → "3.5", "1 000" → "1000", "(2 ; -1)" → "(2, -1)"
+   * @param {string|number} text - An answer (typed, clicked or from a localized problem)
+   * @param {string} [locale] - Default: the game's locale
+   * @returns {string|number} Numbers are returned as they are
+   */
+  static readNumbers(text, locale = this.getLocale()) {
+    if (locale !== 'fr' || typeof text !== 'string') return text
+    return text
+      .replace(/\s*;\s*/g, ', ')
+      .replace(/(\d),(?=\d)/g, '$1.')
+      .replace(/(\d)[ \u00a0\u202f](?=\d{3}(?![\d/]))/g, '$1')
+  }
+}
+
+/**
+ * Shortcut for Localization.t(), for UI code
+ * @param {string} key - Dotted key like 'battle.correct'
+ * @param {Object} [params] - Values for the placeholders
+ * @returns {string}
+ */
+export function t(key, params) {
+  return Localization.t(key, params)
+}
@@ -0,0 +1,249 @@
+import { Localization, DEFAULT_LOCALE } from './Localization'
+import * as frProblems from './fr/problems'
+import frCurriculum from './fr/curriculum'
+import { WordProblemEngine } from '../Math/WordProblemEngine'
+
+/**
+ * Problem Translator
+ * Turns a generated problem into another language.
+ *
+ * Generators always write their problems in English. Each locale has a
+ * catalog of the English templates with their translations, gettext style:
+ *   'Which is bigger: {a} or {b}?': 'Quel nombre est le plus grand : {a} ou {b} ?'
+ * A template is matched against the whole text; whatever filled each
+ * {placeholder} is translated too (so a shape name or a day of the week
+ * inside a question comes out in the same language) and its numbers are
+ * written the locale's way. Fixed words and phrases ("Tuesday", "circle")
+ * are looked up in the catalog's TERMS, and lists of them ("square, circle")
+ * are translated a piece at a time.
+ *
+ * A translation can put an article in front of a filled-in word that agrees
+ * with it: {shape|un} gives "un carré" but "une sphère". The catalog's
+ * ARTICLES say how each one is made.
+ *
+ * Text that matches nothing keeps its English words (with the numbers still
+ * rewritten), so a new question never breaks - it just isn't translated yet.
+ *
+ * Word problems bring their own text in each language (problem.story, see
+ * WordProblemEngine), so their question is told again instead of translated.
+ *
+ * Catalogs: { QUESTIONS, STEPS, TERMS, ARTICLES, MISCONCEPTIONS, CURRICULUM }
+ * (QUESTIONS and STEPS are both templates; they're only kept apart to make the
+ * catalog easier to read. CURRICULUM names the grades, units and topics.)
+ */
+
+const CATALOGS = {
+  fr: { ...frProblems, CURRICULUM: frCurriculum }
+}
+
+// Compiled templates for each locale, made the first time the locale is used
+const compiled = new Map()
+
+// What separates the pieces of a list, a sequence or a comparison
+const LIST_SEPARATORS = /(, | → | < | > | = )/
+
+/**
+ * Turn an English template into a regex that matches the whole text
+ * @param {string} template - Like 'Which is bigger: {a} or {b}?'
+ * @returns {{ pattern: RegExp, names: string[], literalLength: number }}
+ */
+function compileTemplate(template) {
+  const names = []
+  let literalLength = 0
+  const source = template.split(/(\{\w+\})/).map(piece => {
+    const placeholder = piece.match(/^\{(\w+)\}$/)
+    if (placeholder) {
+      names.push(placeholder[1])
+      return '(.+?)'
+    }
+    literalLength += piece.length
+    return piece.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }).join('')
+  return { pattern: new RegExp(`^${source}$`, 's'), names, literalLength }
+}
+
+/**
+ * The compiled templates for a locale, most specific (most fixed text) first
+ * @param {string} locale
+ * @returns {Array} [{ pattern, names, translation }]
+ */
+function templatesFor(locale) {
+  if (!compiled.has(locale)) {
+    const catalog = CATALOGS[locale] || {}
+    const entries = Object.entries({ ...catalog.QUESTIONS, ...catalog.STEPS })
+      .map(([template, translation]) => ({ ...compileTemplate(template), translation }))
+      .sort((a, b) => b.literalLength - a.literalLength)
+    compiled.set(locale, entries)
+  }
+  return compiled.get(locale)
+}
+
+/**
+ * Problem Translator
+ */
+export class ProblemTranslator {
+  /**
+   * Translate one piece of problem text (a question, an option, a step...)
+   * @param {string|number} text - English text
+   * @param {string} [locale] - Default: the game's locale
+   * @returns {string|number} The translation (whole numbers are returned as they are)
+   */
+  static translate(text, locale = Localization.getLocale()) {
+    if (locale === DEFAULT_LOCALE || text === null || text === undefined) return text
+    if (typeof text === 'number') {
+      return Number.isInteger(text) ? text : Localization.formatNumber(text, locale)
+    }
+
+    const catalog = CATALOGS[locale] || {}
+    if (catalog.TERMS && Object.hasOwn(catalog.TERMS, text)) return catalog.TERMS[text]
+
+    const pieces = text.split(LIST_SEPARATORS)
+    const knownPieces = () => pieces.filter((piece, index) => index % 2 === 0 && this.hasTranslation(piece, locale)).length
+
+    for (const { pattern, names, translation } of templatesFor(locale)) {
+      const match = text.match(pattern)
+      if (!match) continue
+      // A template whose blank swallowed a list ("book (14 cubes long), shoe (3 cubes long)")
+      // gives way when every piece of the list is known on its own
+      const swallowed = match.slice(1).some(value => LIST_SEPARATORS.test(value))
+      if (swallowed && knownPieces() === (pieces.length + 1) / 2) {
+        return this.translateList(pieces, locale)
+      }
+      const values = Object.fromEntries(names.map((name, index) => [name, match[index + 1]]))
+      return translation.replace(/\{(\w+)(?:\|(\w+))?\}/g, (placeholder, name, article) => {
+        if (!(name in values)) return placeholder
+        const value = String(this.translate(values[name], locale))
+        return article && catalog.ARTICLES?.[article] ? catalog.ARTICLES[article](value) : value
+      })
+    }
+
+    // A list of things we know, like "square, circle, triangle"
+    if (pieces.length > 1 && knownPieces() > 0) {
+      return this.translateList(pieces, locale)
+    }
+    return Localization.formatNumbers(text, locale)
+  }
+
+  /**
+   * Translate a list a piece at a time, keeping its separators
+   * @param {string[]} pieces - The text split on LIST_SEPARATORS (separators at odd indexes)
+   * @param {string} locale
+   * @returns {string}
+   */
+  static translateList(pieces, locale) {
+    return pieces.map((piece, index) => index % 2 === 0 ? this.translate(piece, locale) : piece).join('')
+  }
+
+  /**
+   * Translate a grade, unit or topic name ("Grade 4", "Box Plots", "sorting shapes").
+   * The curriculum keeps its English names everywhere else; this is only for showing them.
+   * @param {string} name - English name, in any case
+   * @param {string} [locale] - Default: the game's locale
+   * @returns {string} The translation, with the same case for its first letter
+   */
+  static translateName(name, locale = Localization.getLocale()) {
+    if (locale === DEFAULT_LOCALE || typeof name !== 'string') return name
+    const translation = CATALOGS[locale]?.CURRICULUM?.[name.toLowerCase()]
+    if (translation === undefined) return this.translate(name, locale)
+    const first = name.charAt(0)
+    // Acronyms like "PEDMAS" keep their capitals
+    if (first === first.toUpperCase() || /^[A-Z]{2}/.test(translation)) {
+      return translation.charAt(0).toUpperCase() + translation.slice(1)
+    }
+    return translation.charAt(0).toLowerCase() + translation.slice(1)
+  }
+
+  /**
+   * Check whether a text has a translation in a locale's catalog
+   * @param {string} text - English text
+   * @param {string} locale
+   * @returns {boolean}
+   */
+  static hasTranslation(text, locale) {
+    const catalog = CATALOGS[locale]
+    if (!catalog) return false
+    return Object.hasOwn(catalog.TERMS, text) || templatesFor(locale).some(({ pattern }) => pattern.test(text))
+  }
+
+  /**
+   * Translate a whole problem: question, answer, options, mistakes, worked
+   * solution, figure labels and parts. The id and seed stay the same, so a
+   * problem is the same problem in every language. Answers and options are
+   * translated the same way, so clicking an option still matches the answer
+   * (AnswerValidator reads the numbers back with problem.locale).
+   * A problem that already has a locale (like a teacher's imported question)
+   * is written in that language and is left as it is.
+   * @param {Object} problem - Problem from ProblemGenerator (in English)
+   * @param {string} locale - Locale to translate to
+   * @returns {Object} A translated copy with problem.locale set
+   */
+  static localizeProblem(problem, locale) {
+    if (!problem || locale === DEFAULT_LOCALE || problem.locale) return problem
+    const translate = (text) => this.translate(text, locale)
+
+    const localized = {
+      ...problem,
+      locale,
+      // Hints look for keywords like "perimeter" in the English question
+      originalQuestion: problem.question,
+      question: (problem.story && WordProblemEngine.render(problem.story, locale)) ?? translate(problem.question),
+      answer: translate(problem.answer)
+    }
+    if (problem.options) {
+      localized.options = problem.options.map(option => ({ ...option, value: translate(option.value) }))
+    }
+    if (problem.distractors) {
+      localized.distractors = problem.distractors.map(d => ({ ...d, value: translate(d.value) }))
+    }
+    if (problem.answerSet) {
+      localized.answerSet = { ...problem.answerSet, values: problem.answerSet.values.map(translate) }
+    }
+    if (problem.solution) {
+      localized.solution = problem.solution.map(step => step.math === undefined
+        ? { text: translate(step.text) }
+        : { text: translate(step.text), math: translate(step.math) })
+    }
+    if (problem.figure) {
+      localized.figure = this.localizeFigure(problem.figure, locale)
+    }
+    if (problem.interaction?.items) {
+      localized.interaction = { ...problem.interaction, items: problem.interaction.items.map(translate) }
+    }
+    if (problem.parts) {
+      localized.parts = problem.parts.map(part => this.localizeProblem(part, locale))
+    }
+    return localized
+  }
+
+  /**
+   * Translate the words drawn on a figure (titles, bar labels, side lengths)
+   * @param {Object} figure - Figure spec (see FigureRenderer)
+   * @param {string} locale
+   * @returns {Object} A translated copy
+   */
+  static localizeFigure(figure, locale) {
+    const translate = (text) => this.translate(text, locale)
+    const localized = { ...figure }
+    for (const key of ['title', 'key']) {
+      if (figure[key]) localized[key] = translate(figure[key])
+    }
+    for (const key of ['labels', 'sideLabels']) {
+      if (figure[key]) localized[key] = figure[key].map(label => label === null ? null : translate(label))
+    }
+    if (figure.points) {
+      localized.points = figure.points.map(point => point.label ? { ...point, label: translate(point.label) } : point)
+    }
+    return localized
+  }
+
+  /**
+   * Translate a misconception's name and feedback (from DistractorEngine.describe)
+   * @param {{ id: string, name: string, feedback: string }|null} misconception
+   * @param {string} locale
+   * @returns {{ id: string, name: string, feedback: string }|null}
+   */
+  static localizeMisconception(misconception, locale) {
+    const translation = CATALOGS[locale]?.MISCONCEPTIONS?.[misconception?.id]
+    return translation ? { ...misconception, ...translation } : misconception
+  }
+}
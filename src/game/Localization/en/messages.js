@@ -0,0 +1,402 @@
+/**
+ * English UI messages
+ *
+ * Looked up with t('section.key'). {name} is filled in from the params;
+ * numbers are written the locale's way.
+ */
+export default {
+  common: {
+    back: 'Back',
+    cancel: 'Cancel',
+    loading: 'Loading...',
+    levelShort: 'Lv.{level}',
+    percent: '{value}%'
+  },
+
+  menu: {
+    title: 'Math Dungeon',
+    subtitle: 'Adventure',
+    curriculum: 'Alberta Curriculum',
+    tagline: 'Explore dungeons, battle monsters, and master mathematics from Grade 1 to Grade 12!',
+    start: 'Start Adventure',
+    shop: 'Weapon Shop',
+    leaderboard: 'Leaderboard',
+    settings: 'Settings',
+    worksheets: 'Worksheets',
+    importQuestions: 'Import Questions',
+    coverage: 'Curriculum Coverage',
+    controls: {
+      use: 'Use',
+      or: 'or',
+      arrowKeys: 'Arrow Keys',
+      toMove: 'to move',
+      press: 'Press',
+      toEnter: 'near dungeon entrances to enter'
+    },
+    footer: 'Serious Game for Alberta Mathematics Education'
+  },
+
+  settings: {
+    title: 'Settings',
+    audio: 'Audio Settings',
+    soundEffects: 'Sound Effects',
+    soundEffectsHelp: 'Enable or disable game sound effects',
+    volume: 'Volume',
+    testSound: 'Test Sound',
+    game: 'Game Settings',
+    language: 'Language',
+    languageHelp: 'The language for menus, problems and hints. Numbers are written the same way: 3.5 in English, 3,5 in French.',
+    reset: 'Reset Progress',
+    resetHelp: 'This will delete all your saved progress, including completed grades, battle statistics, and leaderboard entries. This action cannot be undone.',
+    resetAll: 'Reset All Progress',
+    resetConfirm: 'Are you sure? This cannot be undone!',
+    resetYes: 'Yes, Reset',
+    resetDone: 'Progress has been reset!',
+    about: 'About',
+    gameName: 'Math Dungeon Adventure',
+    aboutText: 'A serious educational game designed to help students learn and practice mathematics according to the Alberta curriculum. Explore dungeons, battle monsters, and master math concepts from Grade 1 to Grade 12!',
+    coverage: 'CURRICULUM COVERAGE',
+    coverageList: 'Math 1-6, Math 7-9, Math 10C, Math 20-1, Math 20-2, Math 20-3, Math 30-1, Math 30-2, Math 31',
+    algorithms: 'ALGORITHMS USED',
+    algorithmList: 'Binary Search, Linear Search, Quicksort, Bubble Sort'
+  },
+
+  shop: {
+    title: 'Weapon Shop',
+    gold: '{gold} Gold',
+    equipped: 'Currently Equipped:',
+    equippedBadge: 'EQUIPPED',
+    damage: '+{bonus} damage',
+    damageBonus: '+{bonus} damage bonus',
+    free: 'FREE',
+    owned: 'Owned',
+    buy: 'Buy',
+    needGold: 'Need More Gold',
+    close: 'Close Shop',
+    noSuchWeapon: "That weapon doesn't exist!",
+    notEnoughGold: 'Not enough gold! You need {needMore} more.',
+    bought: 'You bought the {weapon}! +{bonus} damage!'
+  },
+
+  weapons: {
+    wooden_sword: { name: 'Wooden Sword', description: 'A basic training sword. Better than nothing!' },
+    iron_blade: { name: 'Iron Blade', description: 'A sturdy iron blade. +5 damage per hit!' },
+    steel_sword: { name: 'Steel Sword', description: 'Forged from fine steel. +10 damage per hit!' },
+    flame_sword: { name: 'Flame Sword', description: 'Burns with magical fire! +18 damage per hit!' },
+    dragon_slayer: { name: 'Dragon Slayer', description: 'Legendary blade of heroes! +30 damage per hit!' }
+  },
+
+  enemies: {
+    monster: 'Monster',
+    babySlime: 'Baby Slime',
+    slime: 'Slime',
+    giantSlime: 'Giant Slime',
+    eliteSlime: 'Elite Slime',
+    slimeKing: 'Slime King',
+    goblinScout: 'Goblin Scout',
+    goblinWarrior: 'Goblin Warrior',
+    goblinChief: 'Goblin Chief',
+    goblinShaman: 'Goblin Shaman',
+    goblinLord: 'Goblin Lord',
+    skeleton: 'Skeleton',
+    skeletonWarrior: 'Skeleton Warrior',
+    darkSkeleton: 'Dark Skeleton',
+    boneKnight: 'Bone Knight',
+    skeletonKing: 'Skeleton King',
+    whelpling: 'Whelpling',
+    drake: 'Drake',
+    dragon: 'Dragon',
+    elderDragon: 'Elder Dragon',
+    dragonLord: 'Dragon Lord'
+  },
+
+  leaderboard: {
+    title: 'Leaderboard',
+    subtitle: 'Top players ranked by their achievements',
+    sortBy: 'Sort by:',
+    rank: 'Rank',
+    player: 'Player',
+    score: 'Score',
+    level: 'Level',
+    completion: 'Completion',
+    empty: 'No entries yet!',
+    emptyHelp: 'Play the game to appear on the leaderboard.',
+    anonymous: 'Anonymous Hero',
+    notAvailable: 'N/A',
+    totalPlayers: 'Total Players',
+    highestScore: 'Highest Score',
+    highestLevel: 'Highest Level'
+  },
+
+  hud: {
+    heroStats: 'Hero Stats',
+    level: 'Level',
+    attack: 'Attack',
+    defense: 'Defense',
+    hp: 'HP',
+    exp: 'EXP',
+    menu: 'Menu',
+    toggleControls: 'Toggle Controls (H)',
+    controls: 'Controls',
+    wasdArrows: 'WASD / Arrows',
+    move: 'Move',
+    enterDungeon: 'Enter Dungeon',
+    toggleMinimap: 'Toggle Minimap',
+    toggleHelp: 'Toggle Help',
+    minimap: 'Minimap',
+    press: 'Press',
+    toEnter: 'to Enter',
+    pressEToEnter: 'Press E to Enter',
+    nearEntrance: 'Near {grade} - Press E to Enter',
+    footer: 'MATH DUNGEON ADVENTURE'
+  },
+
+  difficulty: {
+    easy: 'Easy',
+    medium: 'Medium',
+    hard: 'Hard',
+    nightmare: 'Nightmare',
+    descriptions: {
+      easy: 'Perfect for practice. More time, simpler problems.',
+      medium: 'Balanced challenge. Standard difficulty.',
+      hard: 'Tough enemies. Harder problems, more damage.',
+      nightmare: 'Only for the brave. Maximum challenge!'
+    }
+  },
+
+  dungeons: {
+    selectDungeon: 'Select Dungeon',
+    grade: 'Grade',
+    unit: 'Unit',
+    difficulty: 'Difficulty',
+    backToMap: 'Back to Map',
+    selectGrade: 'Select Grade',
+    unitCount: '{count} units',
+    selectUnit: 'Select Unit',
+    review: 'Review',
+    reviewDueOne: '{count} missed problem due',
+    reviewDue: '{count} missed problems due',
+    selectGradeFirst: 'Select a grade first',
+    selectDifficulty: 'Select Difficulty',
+    noProblems: 'No problems for this topic yet',
+    allTopics: 'All topics',
+    startBattle: 'Start Battle!',
+    summaryGrade: 'Grade:',
+    summaryUnit: 'Unit:',
+    summaryDifficulty: 'Difficulty:',
+    none: 'None',
+    customCount: '{count} imported questions'
+  },
+
+  worksheet: {
+    title: 'Printable Worksheet',
+    help: 'Make a worksheet to print or save as a PDF, with the answer key on its own page.',
+    grade: 'Grade',
+    unit: 'Unit',
+    difficulty: 'Difficulty (1-10)',
+    count: 'Problems',
+    seed: 'Seed',
+    seedHelp: 'Leave blank for new problems. The same seed makes the same worksheet again.',
+    solutions: 'Worked solutions in the answer key',
+    print: 'Print Worksheet',
+    popupBlocked: 'The worksheet window was blocked. Allow pop-ups for this page and try again.',
+    noProblems: 'No problems can be made for this unit yet.',
+    heading: '{grade}: {unit}',
+    details: 'Difficulty {difficulty} · {count} problems · Seed {seed}',
+    name: 'Name:',
+    date: 'Date:',
+    answerKey: 'Answer Key',
+    answer: 'Answer: {answer}',
+    figureMissing: 'Figure',
+    paper: {
+      numberLine: 'Mark your answer on the number line.',
+      plotPoint: 'Plot the point on the grid.',
+      plotLine: 'Draw the line on the grid.',
+      setClock: 'Draw the hands on the clock.',
+      order: 'Write them in order: {items}'
+    }
+  },
+
+  importer: {
+    title: 'Import Questions',
+    help: 'Bring in your own questions from a spreadsheet or an LMS quiz. Each file becomes a question set you can pick as a unit in the dungeons of its grades.',
+    formats: 'CSV: a header row with question and answer, and optionally options (choices separated by |), topic, grade (5, 20-2, Math 31...) and tolerance (0.1, 5%, 2dp or 3sf). QTI 2.1: multiple-choice and typed-answer items with one right answer.',
+    file: 'File (.csv or .xml)',
+    name: 'Set Name',
+    grade: 'Grade',
+    language: 'Language',
+    gradeHelp: 'Questions without a grade of their own go in this grade. Pick the language the questions are written in.',
+    import: 'Import',
+    imported: 'Imported {count} questions into "{name}".',
+    skipped: '{count} questions were skipped:',
+    more: 'and {count} more',
+    line: 'Line {line}',
+    item: 'Item {item}',
+    sets: 'Imported Sets',
+    noSets: 'No question sets yet.',
+    setDetails: '{count} questions · {grades} · {source}',
+    remove: 'Remove',
+    errors: {
+      'no-header': 'The first row must name the columns, including question and answer.',
+      'no-items': 'No questions could be read from this file.',
+      'no-grade': "Pick a grade for the questions that don't have one.",
+      'bad-xml': "This file isn't valid XML.",
+      'unknown-format': "This file can't be read. Use a .csv or .xml file.",
+      'no-question': 'It has no question',
+      'no-answer': 'It has no answer',
+      'bad-grade': "{grade} isn't a grade in the curriculum",
+      'bad-tolerance': 'The tolerance "{tolerance}" can\'t be read',
+      'too-many-options': 'It has {count} choices (at most {max})',
+      'unsupported-interaction': 'Only multiple-choice and typed-answer questions can be imported',
+      'multiple-answers': 'It needs exactly one right answer',
+      'has-picture': "Questions with pictures can't be imported yet"
+    }
+  },
+
+  battle: {
+    opening: '{difficulty} Mode - {enemy} appeared!',
+    notYourTurn: 'Not your turn!',
+    partLabel: 'Part {part}/{count}: ',
+    correct: '✓ Correct! You dealt {damage} damage to {enemy}!',
+    wrong: '✗ Wrong! You dealt {damage} damage (reduced).',
+    wrongMisconception: '✗ Wrong! ({misconception}) You dealt {damage} damage (reduced).',
+    victory: 'Victory! Gained {exp} EXP and {gold} gold! 💰',
+    levelUp: 'Level up! Now level {level}!',
+    enemyAttacks: '{enemy} attacks! {damage} damage!',
+    defeat: 'Defeat! You were knocked out!',
+    // Words that pick the colour of a line in the battle log
+    logWords: {
+      correct: 'Correct',
+      wrong: 'Wrong',
+      victory: 'Victory',
+      defeat: 'Defeat',
+      attacks: 'attacks'
+    },
+    preparing: 'Preparing Battle...',
+    turn: 'Turn {turn}',
+    showHelp: 'Show Help',
+    hideHelp: 'Hide Help',
+    flee: 'Flee',
+    hero: 'Hero',
+    enemy: 'Enemy',
+    level: 'Level {level}',
+    attack: 'Attack!',
+    clickAnswer: 'Click on the correct answer above to attack!',
+    enemyAttacking: 'Enemy Attacking...',
+    victoryTitle: 'Victory!',
+    returning: 'Returning to map...',
+    defeatTitle: 'Defeat!',
+    returnToMap: 'Return to Map',
+    correctTitle: 'Correct!',
+    wrongTitle: 'Wrong!',
+    damage: '{damage} damage!'
+  },
+
+  placeholders: {
+    expression: 'Type an expression, like (x+2)(x-5) or x^2-4',
+    quantity: 'Type the amount and unit, like 150 cm',
+    point: 'Type a point, like (3, -2)',
+    line: 'Type the equation, like y = 2x + 1',
+    time: 'Type a time, like 3:45',
+    interval: 'Type an interval, like [2, ∞) or (-1, 4]',
+    inequality: 'Type an inequality, like x > 3 or x <= -1',
+    setOrdered: 'Type the answers in order, separated by commas',
+    set: 'Separate answers with commas, like 2, -3',
+    default: 'Type your answer...'
+  },
+
+  problem: {
+    none: 'No problem available',
+    review: 'Review Problem',
+    title: 'Math Problem',
+    general: 'General',
+    interactiveHint: 'Answer on the board below, then click Attack',
+    fillInHint: 'Type your answer in the input field below and press Enter or click Attack'
+  },
+
+  solution: {
+    title: 'How to solve it',
+    gotIt: 'Got it!',
+    mistake: '{name}:',
+    answer: 'Answer: {answer}'
+  },
+
+  interactive: {
+    numberLine: 'Click the number line to place your answer',
+    point: 'Click the grid to plot your point',
+    line: 'Click two points on the grid to draw your line',
+    order: 'Drag the cards into order (least on the left)',
+    clock: 'Pick a hand, then click where it should point',
+    hourHand: 'Short hand (hours)',
+    minuteHand: 'Long hand (minutes)'
+  },
+
+  hints: {
+    title: 'HINT',
+    countUp: 'Start with {first}, count up {second} more!',
+    combine: 'Combine {first} and {second} together',
+    countBoth: 'Count both groups together!',
+    countBack: 'Start at {start}, count back {takeAway}',
+    takeAway: 'Take {takeAway} away from {start}',
+    takeAwaySecond: 'Take away the second number!',
+    repeatedAddition: '{groups} groups of {items} = {items}+{items}+... ({groups} times)',
+    groupsOf: '{groups} groups with {items} in each',
+    countGroups: 'Count the groups!',
+    split: 'Split {total} items between {friends} friends equally',
+    eachGets: 'How many does each person get?',
+    pizza: 'Think of it like pizza slices!',
+    area: 'Area = Length × Width',
+    perimeter: 'Add up all the sides!',
+    triangle: 'Triangles have 3 sides',
+    circle: "Use π (that's about 3.14)",
+    slope: 'Rise ÷ Run (how much up vs across)',
+    isolateX: 'Get x by itself on one side!',
+    quadratic: 'Try factoring or use the formula',
+    trig: 'Remember: SOH CAH TOA!',
+    log: 'log means "what power?"',
+    sequence: 'Find the pattern between numbers',
+    probability: 'Probability = Favorable ÷ Total',
+    default: 'Take it step by step, you got this!',
+    // Words drawn on the hint pictures
+    draw: {
+      stepByStep: 'Solve step by step!',
+      first: 'First: {a}',
+      second: 'Second: {b}',
+      total: 'Total: {total}',
+      startWith: 'Start with {a}, take away {b}',
+      answer: 'Answer: {answer}',
+      groupsTimesItems: 'Groups × Items per group',
+      rowsColumns: '{a} rows × {b} columns = {total} total',
+      totalOverGroups: 'Total ÷ Groups = Items per group',
+      groupsOf: '{groups} groups of {items}',
+      partOfWhole: 'Part of a whole',
+      length: 'Length',
+      width: 'Width',
+      triangleArea: 'Area = ½ × base × height',
+      circleArea: 'Area = πr²',
+      geometryFormulas: 'Use geometry formulas',
+      slope: 'Slope = {slope}',
+      opposite: 'Opposite',
+      adjacent: 'Adjacent',
+      hypotenuse: 'Hypotenuse',
+      factoringPattern: 'Factoring Pattern',
+      findTwoNumbers: 'Find two numbers that:',
+      multiplyToC: 'Multiply to give c',
+      addToB: 'Add to give b',
+      logRule: 'Logarithm Rule',
+      logMeans: 'means b^y = x',
+      logExample: 'Example: log₂(8) = 3',
+      logBecause: 'because 2³ = 8',
+      exponentRules: 'Exponent Rules',
+      probability: 'Probability',
+      favorable: 'P(event) = Favorable',
+      totalOutcomes: 'Total outcomes',
+      probabilityRange: '0 ≤ P ≤ 1 (or 0% to 100%)',
+      geometricSequence: 'Geometric Sequence',
+      geometricTerm: 'Each term = previous × ratio',
+      arithmeticSequence: 'Arithmetic Sequence',
+      arithmeticTerm: 'Each term = previous + difference',
+      pattern: 'Pattern: 2, 4, 6, 8, ... (+2 each time)'
+    }
+  }
+}
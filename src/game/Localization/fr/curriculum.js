@@ -0,0 +1,515 @@
+/**
+ * French curriculum names (see ProblemTranslator.translateName)
+ *
+ * The grades, units, topics and unit descriptions of alberta_curriculum.json,
+ * and the topic every generated problem is labelled with. The game keeps
+ * using the English names to find generators and save progress; these are
+ * only what the player reads.
+ *
+ * Keys are lowercase, so "Box Plots" and "box plots" share an entry.
+ */
+export default {
+  // Grades
+  'grade 1': '1re année',
+  'grade 2': '2e année',
+  'grade 3': '3e année',
+  'grade 4': '4e année',
+  'grade 5': '5e année',
+  'grade 6': '6e année',
+  'grade 7': '7e année',
+  'grade 8': '8e année',
+  'grade 9': '9e année',
+  'math 1': 'Mathématiques 1',
+  'math 2': 'Mathématiques 2',
+  'math 3': 'Mathématiques 3',
+  'math 4': 'Mathématiques 4',
+  'math 5': 'Mathématiques 5',
+  'math 6': 'Mathématiques 6',
+  'math 7': 'Mathématiques 7',
+  'math 8': 'Mathématiques 8',
+  'math 9': 'Mathématiques 9',
+  'math 1-6': 'Mathématiques 1-6',
+  'math 7-9': 'Mathématiques 7-9',
+  'math 10c': 'Mathématiques 10C',
+  'math 20-1': 'Mathématiques 20-1',
+  'math 20-2': 'Mathématiques 20-2',
+  'math 20-3': 'Mathématiques 20-3',
+  'math 30-1': 'Mathématiques 30-1',
+  'math 30-2': 'Mathématiques 30-2',
+  'math 31': 'Mathématiques 31',
+
+  // Units, topics and descriptions
+  '2d and 3d shapes': 'Figures 2D et solides 3D',
+  '2d shapes': 'figures 2D',
+  '3d shapes': 'solides 3D',
+  'absolute value': 'valeur absolue',
+  'absolute value equations': 'équations avec valeur absolue',
+  'absolute value inequalities': 'inéquations avec valeur absolue',
+  'adding and subtracting fractions with common denominators': 'Additionner et soustraire des fractions de même dénominateur',
+  'adding and subtracting numbers within 1,000 using standard algorithms': 'Additionner et soustraire des nombres jusqu’à 1000 avec les algorithmes usuels',
+  'adding and subtracting numbers within 1,000,000, including decimals': 'Additionner et soustraire des nombres jusqu’à 1 000 000, y compris des nombres décimaux',
+  'adding and subtracting numbers within 10,000, including decimals': 'Additionner et soustraire des nombres jusqu’à 10 000, y compris des nombres décimaux',
+  'adding and subtracting numbers within 100': 'Additionner et soustraire des nombres jusqu’à 100',
+  'adding decimals': 'additionner des nombres décimaux',
+  'adding fractions': 'additionner des fractions',
+  'adding integers': 'additionner des entiers',
+  'adding millions': 'additionner des millions',
+  'adding rational expressions': 'additionner des expressions rationnelles',
+  'adding rationals': 'additionner des nombres rationnels',
+  'adding to 1000': 'additionner jusqu’à 1000',
+  'adding to 10000': 'additionner jusqu’à 10 000',
+  'adding within 100': 'additionner jusqu’à 100',
+  'adding, subtracting, multiplying, and dividing integers': 'Additionner, soustraire, multiplier et diviser des entiers',
+  'adding, subtracting, multiplying, and dividing rational numbers': 'Additionner, soustraire, multiplier et diviser des nombres rationnels',
+  'addition': 'addition',
+  'addition & subtraction to 100': 'Addition et soustraction jusqu’à 100',
+  'addition & subtraction to 1000': 'Addition et soustraction jusqu’à 1000',
+  'addition & subtraction to 20': 'Addition et soustraction jusqu’à 20',
+  'addition to 100': 'addition jusqu’à 100',
+  'addition to 1000': 'addition jusqu’à 1000',
+  'addition to 20': 'addition jusqu’à 20',
+  'algebraic equations': 'équations algébriques',
+  'algebraic expressions': 'expressions algébriques',
+  'algebraic manipulation': 'manipulation algébrique',
+  'analog clocks': 'horloges analogiques',
+  'analyzing and graphing polynomial functions': 'Analyser et représenter graphiquement des fonctions polynomiales',
+  'angle measurement': 'mesure des angles',
+  'angles in standard position': 'angles en position standard',
+  'antiderivatives': 'primitives',
+  'antiderivatives, definite integrals and the area under a curve': 'Primitives, intégrales définies et aire sous une courbe',
+  'area': 'aire',
+  'area & volume': 'Aire et volume',
+  'area comparison': 'comparaison d’aires',
+  'area of circles': 'aire des cercles',
+  'area of parallelograms': 'aire des parallélogrammes',
+  'area of rectangles': 'aire des rectangles',
+  'area of triangles': 'aire des triangles',
+  'area under a curve': 'aire sous une courbe',
+  'arithmetic and geometric sequences and series': 'Suites et séries arithmétiques et géométriques',
+  'arithmetic sequences': 'suites arithmétiques',
+  'arithmetic series': 'séries arithmétiques',
+  'arrays': 'matrices',
+  'balancing equations': 'équilibrer des équations',
+  'bar graphs': 'diagrammes à bandes',
+  'bedmas': 'PEDMAS',
+  'biconditional statements': 'énoncés biconditionnels',
+  'bigger': 'plus grand',
+  'binomial theorem': 'théorème du binôme',
+  'box plots': 'diagrammes à surface',
+  'box plots & statistics': 'Diagrammes à surface et statistiques',
+  'budgets': 'budgets',
+  'calculating area and perimeter of rectangles': 'Calculer l’aire et le périmètre de rectangles',
+  'calculating area and volume': 'Calculer l’aire et le volume',
+  'calculating theoretical and experimental probability': 'Calculer la probabilité théorique et expérimentale',
+  'calendar': 'calendrier',
+  'capacity comparison': 'comparaison de capacités',
+  'cast rule': 'règle CAST',
+  'centimeters': 'centimètres',
+  'chain rule': 'dérivation en chaîne',
+  'change of base': 'changement de base',
+  'circles': 'cercles',
+  'circles & cylinders': 'Cercles et cylindres',
+  'circumference': 'circonférence',
+  'classifying and simplifying polynomials': 'Classer et simplifier des polynômes',
+  'classifying angles': 'classer des angles',
+  'classifying polynomials': 'classer des polynômes',
+  'classifying quadrilaterals': 'classer des quadrilatères',
+  'classifying quadrilaterals and triangles using angle and side measurements': 'Classer des quadrilatères et des triangles selon la mesure de leurs angles et de leurs côtés',
+  'classifying shapes': 'classer des figures',
+  'classifying shapes using symmetry': 'Classer des figures selon leur symétrie',
+  'classifying triangles': 'classer des triangles',
+  'collecting and graphing data': 'Recueillir des données et les représenter',
+  'collecting data': 'recueillir des données',
+  'collecting, graphing, and interpreting data': 'Recueillir, représenter et interpréter des données',
+  'combinations': 'combinaisons',
+  'common denominators': 'dénominateurs communs',
+  'common factors': 'facteurs communs',
+  'comparing and sorting 2-d and 3-d shapes': 'Comparer et trier des figures 2D et des solides 3D',
+  'comparing fractions': 'comparer des fractions',
+  'comparing lengths': 'comparer des longueurs',
+  'comparing shapes': 'comparer des figures',
+  'comparing unit prices, working out pay after deductions and planning a budget': 'Comparer des prix unitaires, calculer la paie après les déductions et planifier un budget',
+  'comparing unit rates and using scale factors for lengths, areas and volumes': 'Comparer des taux unitaires et utiliser des facteurs d’échelle pour les longueurs, les aires et les volumes',
+  'comparison': 'comparaison',
+  'complements': 'compléments',
+  'completing the square': 'complétion du carré',
+  'composite figures': 'figures composées',
+  'composite shapes': 'figures composées',
+  'compound events': 'évènements composés',
+  'compound interest': 'intérêt composé',
+  'compressions': 'compressions',
+  'conditional statements': 'énoncés conditionnels',
+  'conditional statements, their converse, inverse and contrapositive, and biconditional statements': 'Les énoncés conditionnels, leur réciproque, leur inverse et leur contraposée, et les énoncés biconditionnels',
+  'converse and contrapositive': 'réciproque et contraposée',
+  'corners': 'coins',
+  'cosine': 'cosinus',
+  'counterexamples': 'contre-exemples',
+  'counting': 'dénombrement',
+  'counting principle': 'principe de dénombrement',
+  'counting principles': 'principes de dénombrement',
+  'cylinders': 'cylindres',
+  'daily routines': 'routines quotidiennes',
+  'data & graphing': 'Données et diagrammes',
+  'data analysis': 'analyse de données',
+  'data distributions': 'distributions de données',
+  'data interpretation': 'interprétation de données',
+  'data representation': 'représentation de données',
+  'data spread': 'dispersion des données',
+  'days': 'jours',
+  'decimal operations': 'opérations sur les nombres décimaux',
+  'decimals': 'nombres décimaux',
+  'decimals addition': 'addition de nombres décimaux',
+  'decimals subtraction': 'soustraction de nombres décimaux',
+  'deductive reasoning': 'raisonnement déductif',
+  'definite integrals': 'intégrales définies',
+  'degrees': 'degrés',
+  'depreciation': 'dépréciation',
+  'derivatives': 'dérivées',
+  'describing durations of time in days, weeks, months, or years': 'Décrire des durées en jours, en semaines, en mois ou en années',
+  'describing sets and using venn diagrams, unions, intersections and complements': 'Décrire des ensembles et utiliser les diagrammes de Venn, les unions, les intersections et les compléments',
+  'determining probability of mutually exclusive and non-mutually exclusive events': 'Déterminer la probabilité d’évènements mutuellement exclusifs et non mutuellement exclusifs',
+  'difference of squares': 'différence de carrés',
+  'differentiating polynomials and finding the slope of a tangent': 'Dériver des polynômes et trouver la pente d’une tangente',
+  'digital clocks': 'horloges numériques',
+  'discriminant': 'discriminant',
+  'distance': 'distance',
+  'distribution shape': 'forme d’une distribution',
+  'distributive property': 'distributivité',
+  'divide 3-digit': 'diviser des nombres à 3 chiffres',
+  'dividing 3-digit numbers': 'diviser des nombres à 3 chiffres',
+  'dividing fractions': 'diviser des fractions',
+  'dividing integers': 'diviser des entiers',
+  'dividing rational expressions': 'diviser des expressions rationnelles',
+  'dividing rationals': 'diviser des nombres rationnels',
+  'division': 'division',
+  'division facts': 'faits de division',
+  'domain': 'domaine',
+  'doubles': 'doubles',
+  'elapsed time': 'temps écoulé',
+  'elimination': 'élimination',
+  'end behavior': 'comportement aux extrémités',
+  'end behaviour': 'comportement aux extrémités',
+  'equal sides': 'côtés égaux',
+  'equation solving': 'résolution d’équations',
+  'equivalent fractions': 'fractions équivalentes',
+  'estimating length': 'estimer une longueur',
+  'estimating roots': 'estimer des racines',
+  'evaluating expressions': 'évaluer des expressions',
+  'expanding and factoring polynomials': 'Développer et factoriser des polynômes',
+  'expanding polynomials': 'développer des polynômes',
+  'experimental probability': 'probabilité expérimentale',
+  'exploring surface area of 3-d shapes using 2-d models': 'Explorer l’aire totale de solides 3D à l’aide de développements 2D',
+  'exponential decay': 'décroissance exponentielle',
+  'exponential functions': 'fonctions exponentielles',
+  'exponential functions and their applications': 'Fonctions exponentielles et leurs applications',
+  'exponential growth': 'croissance exponentielle',
+  'fact families': 'familles de nombres',
+  'factor completely': 'factoriser complètement',
+  'factor theorem': 'théorème de factorisation',
+  'factorial': 'factorielle',
+  'factoring': 'factorisation',
+  'factoring polynomials': 'factoriser des polynômes',
+  'factoring polynomials including trinomials and special products': 'Factoriser des polynômes, y compris des trinômes et des produits remarquables',
+  'factoring quadratics': 'factoriser des expressions du second degré',
+  'financial math': 'Mathématiques financières',
+  'finding limits by substitution, by factoring and as x grows without bound': 'Trouver des limites par substitution, par factorisation et quand x croît sans borne',
+  'foil': 'distributivité double',
+  'four operations mastery': 'Maîtrise des quatre opérations',
+  'fraction multiplication': 'multiplication de fractions',
+  'fraction of whole': 'fraction d’un tout',
+  'fraction operations': 'opérations sur les fractions',
+  'fraction word problem': 'problème écrit avec des fractions',
+  'fractions': 'fractions',
+  'fractions on a number line': 'fractions sur une droite numérique',
+  'fractions times whole numbers': 'fractions multipliées par des nombres entiers',
+  'function analysis': 'analyse de fonctions',
+  'function notation': 'notation fonctionnelle',
+  'function transformations': 'transformations de fonctions',
+  'functions': 'fonctions',
+  'functions intro': 'introduction aux fonctions',
+  'general solutions': 'solutions générales',
+  'general term': 'terme général',
+  'geometric sequences': 'suites géométriques',
+  'geometry lines': 'droites en géométrie',
+  'geometry lines & shapes': 'Droites et figures',
+  'graphing data': 'représenter des données',
+  'graphing inequalities': 'représenter des inéquations',
+  'graphing lines': 'tracer des droites',
+  'graphing systems': 'résoudre des systèmes graphiquement',
+  'gross and net pay': 'paie brute et paie nette',
+  'histograms': 'histogrammes',
+  'hours': 'heures',
+  'identifying cycles of time from nature and calendars': 'Reconnaître les cycles du temps dans la nature et les calendriers',
+  'imperial system': 'système impérial',
+  'inductive reasoning': 'raisonnement inductif',
+  'inequalities': 'inéquations',
+  'input output': 'entrée et sortie',
+  'integer operations': 'opérations sur les entiers',
+  'integers on a number line': 'entiers sur une droite numérique',
+  'integration': 'Intégration',
+  'interpreting data': 'interpréter des données',
+  'interpreting domain and range of functions': 'Interpréter le domaine et l’image de fonctions',
+  'interpreting graphs': 'interpréter des diagrammes',
+  'inverse functions': 'fonctions réciproques',
+  'investigating circles and volume of prisms and cylinders': 'Explorer les cercles et le volume de prismes et de cylindres',
+  'investigating slope of linear functions': 'Explorer la pente de fonctions linéaires',
+  'irrational numbers': 'nombres irrationnels',
+  'kilometers': 'kilomètres',
+  'large number operations': 'opérations sur de grands nombres',
+  'large numbers': 'grands nombres',
+  'length comparison': 'comparaison de longueurs',
+  'like terms': 'termes semblables',
+  'limits': 'Limites',
+  'limits at infinity': 'limites à l’infini',
+  'limits by factoring': 'limites par factorisation',
+  'limits by substitution': 'limites par substitution',
+  'line plots': 'diagrammes à points',
+  'line symmetry': 'symétrie axiale',
+  'linear equations': 'équations linéaires',
+  'linear functions': 'fonctions linéaires',
+  'linear inequalities': 'inéquations linéaires',
+  'linear relations': 'relations linéaires',
+  'log laws': 'lois des logarithmes',
+  'logarithmic equations': 'équations logarithmiques',
+  'logarithmic functions': 'fonctions logarithmiques',
+  'logarithmic functions and solving logarithmic equations': 'Fonctions logarithmiques et résolution d’équations logarithmiques',
+  'logarithms': 'logarithmes',
+  'logical reasoning': 'Raisonnement logique',
+  'making conjectures from patterns, disproving them with counterexamples and proving them deductively': 'Formuler des conjectures à partir de régularités, les réfuter avec des contre-exemples et les démontrer par déduction',
+  'mean': 'moyenne',
+  'mean (average)': 'moyenne',
+  'measurement & conversions': 'Mesure et conversions',
+  'measurement and unit conversions between metric and imperial systems': 'Mesure et conversions d’unités entre le système métrique et le système impérial',
+  'measurement basics': 'Notions de mesure',
+  'measuring': 'mesurer',
+  'measuring and calculating the area of rectangles': 'Mesurer et calculer l’aire de rectangles',
+  'measuring area': 'mesurer l’aire',
+  'measuring length': 'Mesurer la longueur',
+  'measuring length in centimeters': 'Mesurer la longueur en centimètres',
+  'measuring length using metric units': 'Mesurer la longueur avec des unités métriques',
+  'measuring tools': 'instruments de mesure',
+  'median': 'médiane',
+  'mental math': 'calcul mental',
+  'meters': 'mètres',
+  'metric measurement': 'mesure métrique',
+  'metric system': 'système métrique',
+  'metric units': 'unités métriques',
+  'minutes': 'minutes',
+  'missing number': 'nombre manquant',
+  'mixed numbers': 'nombres fractionnaires',
+  'mode': 'mode',
+  'months': 'mois',
+  'multi-digit multiplication': 'multiplication de nombres à plusieurs chiffres',
+  'multi-step equations': 'équations à plusieurs étapes',
+  'multiplication': 'multiplication',
+  'multiplication & division': 'Multiplication et division',
+  'multiplication facts': 'faits de multiplication',
+  'multiplication to 10x10': 'multiplication jusqu’à 10 × 10',
+  'multiplication word problem': 'problème écrit de multiplication',
+  'multiply 3-digit': 'multiplier des nombres à 3 chiffres',
+  'multiply 3-digit by 2-digit': 'multiplier un nombre à 3 chiffres par un nombre à 2 chiffres',
+  'multiplying 3-digit numbers': 'multiplier des nombres à 3 chiffres',
+  'multiplying 3-digit numbers by two-digit numbers': 'multiplier des nombres à 3 chiffres par des nombres à 2 chiffres',
+  'multiplying and dividing 3-digit numbers by one-digit numbers': 'Multiplier et diviser des nombres à 3 chiffres par des nombres à 1 chiffre',
+  'multiplying and dividing fractions': 'Multiplier et diviser des fractions',
+  'multiplying fractions': 'multiplier des fractions',
+  'multiplying fractions by natural numbers': 'Multiplier des fractions par des nombres naturels',
+  'multiplying integers': 'multiplier des entiers',
+  'multiplying rational expressions': 'multiplier des expressions rationnelles',
+  'multiplying rationals': 'multiplier des nombres rationnels',
+  'mutually exclusive': 'évènements mutuellement exclusifs',
+  'natural logarithm': 'logarithme naturel',
+  'negative numbers': 'nombres négatifs',
+  'nets': 'développements',
+  'non-mutually exclusive': 'évènements non mutuellement exclusifs',
+  'non-mutually exclusive events': 'évènements non mutuellement exclusifs',
+  'nth term': 'n-ième terme',
+  'number bonds': 'liens entre les nombres',
+  'number line': 'droite numérique',
+  'number sets': 'ensembles de nombres',
+  'one-digit divisor': 'diviseur à un chiffre',
+  'one-step equations': 'équations à une étape',
+  'operations to 1,000,000': 'Opérations jusqu’à 1 000 000',
+  'operations to 10,000': 'Opérations jusqu’à 10 000',
+  'operations with radical expressions': 'Opérations sur des expressions avec radicaux',
+  'operations with rational expressions and equations': 'Opérations sur des expressions et des équations rationnelles',
+  'operations with rationals': 'Opérations sur les nombres rationnels',
+  'order of operations': 'priorité des opérations',
+  'ordering fractions': 'ordonner des fractions',
+  'ordering integers': 'ordonner des entiers',
+  'ordering objects': 'ordonner des objets',
+  'ordering objects by length, area, and capacity': 'Ordonner des objets selon leur longueur, leur aire et leur capacité',
+  'outcomes': 'résultats',
+  'outliers': 'valeurs aberrantes',
+  'parallel lines': 'droites parallèles',
+  'partial products': 'produits partiels',
+  'percents': 'pourcentages',
+  'performing all four operations using standard algorithms': 'Effectuer les quatre opérations avec les algorithmes usuels',
+  'perimeter': 'périmètre',
+  'perimeter & area': 'Périmètre et aire',
+  'permutations': 'permutations',
+  'permutations & combinations': 'Permutations et combinaisons',
+  'permutations, combinations, and counting principles': 'Permutations, combinaisons et principes de dénombrement',
+  'perpendicular lines': 'droites perpendiculaires',
+  'personal finance': 'Finances personnelles',
+  'pictographs': 'pictogrammes',
+  'polynomial functions': 'fonctions polynomiales',
+  'polynomial operations': 'opérations sur les polynômes',
+  'polynomial operations (foil)': 'opérations sur les polynômes (distributivité double)',
+  'polynomial zeros': 'zéros d’un polynôme',
+  'polynomials': 'polynômes',
+  'polynomials intro': 'introduction aux polynômes',
+  'power rule': 'règle de la puissance',
+  'prisms': 'prismes',
+  'probability': 'probabilité',
+  'probability events': 'évènements et probabilité',
+  'probability rules': 'règles de probabilité',
+  'product rule': 'règle du produit',
+  'proportional reasoning': 'Raisonnement proportionnel',
+  'proving identities': 'démontrer des identités',
+  'quadratic equations': 'équations du second degré',
+  'quadratic equations intro': 'introduction aux équations du second degré',
+  'quadratic formula': 'formule quadratique',
+  'quadrilaterals': 'quadrilatères',
+  'quartiles': 'quartiles',
+  'radical operations': 'opérations sur les radicaux',
+  'radicals': 'radicaux',
+  'range': 'étendue',
+  'rate of change': 'taux de variation',
+  'rational coefficients': 'coefficients rationnels',
+  'rational expressions': 'expressions rationnelles',
+  'rational numbers': 'nombres rationnels',
+  'rationalizing denominators': 'rationaliser des dénominateurs',
+  'real numbers': 'nombres réels',
+  'recalling addition facts up to 20 and related subtraction facts': 'Se rappeler les faits d’addition jusqu’à 20 et les faits de soustraction reliés',
+  'recalling multiplication facts up to 10×10 and related division facts': 'Se rappeler les faits de multiplication jusqu’à 10 × 10 et les faits de division reliés',
+  'reciprocals': 'inverses',
+  'recognizing parallel, perpendicular, and equal sides in 2-d shapes': 'Reconnaître les côtés parallèles, perpendiculaires et égaux dans des figures 2D',
+  'rectangles': 'rectangles',
+  'rectangular prisms': 'prismes à base rectangulaire',
+  'reference angles': 'angles de référence',
+  'reflections': 'réflexions',
+  'regrouping': 'regroupement',
+  'remainder theorem': 'théorème du reste',
+  'representing and interpreting data in various graphs': 'Représenter et interpréter des données dans divers diagrammes',
+  'representing sets of real numbers': 'Représenter des ensembles de nombres réels',
+  'right triangle trigonometry': 'Trigonométrie du triangle rectangle',
+  'right triangles': 'triangles rectangles',
+  'rise over run': 'variation verticale sur variation horizontale',
+  'rotational symmetry': 'symétrie de rotation',
+  'sample space': 'espace échantillonnal',
+  'scale factors': 'facteurs d’échelle',
+  'seasons': 'saisons',
+  'sequences': 'suites',
+  'sequences & series': 'Suites et séries',
+  'series': 'séries',
+  'set theory': 'Théorie des ensembles',
+  'set-builder notation': 'notation en compréhension',
+  'sets and subsets': 'ensembles et sous-ensembles',
+  'shape attributes': 'attributs des figures',
+  'shape id': 'reconnaître les figures',
+  'shape properties': 'propriétés des figures',
+  'shape sorting': 'Tri de figures',
+  'shapes': 'figures',
+  'side measurement': 'mesure des côtés',
+  'simple and compound interest, and how things lose value over time': 'L’intérêt simple et composé, et la perte de valeur au fil du temps',
+  'simple interest': 'intérêt simple',
+  'simplifying fractions': 'simplifier des fractions',
+  'simplifying polynomials': 'simplifier des polynômes',
+  'simplifying radicals': 'simplifier des radicaux',
+  'simplifying rationals': 'simplifier des nombres rationnels',
+  'sine': 'sinus',
+  'skip counting': 'compter par bonds',
+  'slope': 'pente',
+  'slope of a tangent': 'pente d’une tangente',
+  'slope of lines': 'pente des droites',
+  'slope-intercept form': 'forme pente-ordonnée à l’origine',
+  'soh cah toa': 'SOH CAH TOA',
+  'solution types': 'types de solutions',
+  'solving algebraic equations': 'Résoudre des équations algébriques',
+  'solving equations': 'résoudre des équations',
+  'solving equations with algebraic terms on both sides': 'Résoudre des équations avec des termes algébriques des deux côtés',
+  'solving inequalities': 'résoudre des inéquations',
+  'solving linear equations involving rational numbers': 'Résoudre des équations linéaires avec des nombres rationnels',
+  'solving linear inequalities': 'Résoudre des inéquations linéaires',
+  'solving quadratic equations using multiple methods': 'Résoudre des équations du second degré de plusieurs façons',
+  'solving simple quadratic equations': 'Résoudre des équations du second degré simples',
+  'solving systems of linear equations using multiple methods': 'Résoudre des systèmes d’équations linéaires de plusieurs façons',
+  'solving triangles': 'résoudre des triangles',
+  'solving trigonometric equations and proving identities': 'Résoudre des équations trigonométriques et démontrer des identités',
+  'sorting rules': 'règles de tri',
+  'sorting shapes': 'trier des figures',
+  'sorting shapes and describing sorting rules': 'Trier des figures et décrire des règles de tri',
+  'square units': 'unités carrées',
+  'standard algorithm': 'algorithme usuel',
+  'stretches': 'étirements',
+  'substitution': 'substitution',
+  'subtracting decimals': 'soustraire des nombres décimaux',
+  'subtracting fractions': 'soustraire des fractions',
+  'subtracting integers': 'soustraire des entiers',
+  'subtracting millions': 'soustraire des millions',
+  'subtracting to 1000': 'soustraire jusqu’à 1000',
+  'subtracting to 10000': 'soustraire jusqu’à 10 000',
+  'subtracting within 100': 'soustraire jusqu’à 100',
+  'subtraction': 'soustraction',
+  'subtraction from 20': 'soustraction à partir de 20',
+  'subtraction to 10,000': 'soustraction jusqu’à 10 000',
+  'subtraction to 100': 'soustraction jusqu’à 100',
+  'subtraction to 1000': 'soustraction jusqu’à 1000',
+  'summation': 'notation sigma',
+  'surface area': 'aire totale',
+  'surface area of cylinders': 'aire totale des cylindres',
+  'symmetry': 'symétrie',
+  'symmetry & shapes': 'Symétrie et figures',
+  'symmetry patterns': 'régularités et symétrie',
+  'systems of equations': 'systèmes d’équations',
+  'tangent': 'tangente',
+  'telling time': 'lire l’heure',
+  'telling time using analog and digital clocks': 'Lire l’heure sur des horloges analogiques et numériques',
+  'theoretical probability': 'probabilité théorique',
+  'time': 'temps',
+  'time concepts': 'Notions de temps',
+  'time cycles': 'cycles du temps',
+  'time duration': 'Durée',
+  'time facts': 'faits sur le temps',
+  'times tables': 'tables de multiplication',
+  'transformations': 'transformations',
+  'transformations of functions including inverse functions': 'Transformations de fonctions, y compris les réciproques',
+  'translations': 'translations',
+  'triangles': 'triangles',
+  'trig equations': 'équations trigonométriques',
+  'trigonometric equations': 'équations trigonométriques',
+  'trigonometric functions': 'fonctions trigonométriques',
+  'trigonometric identities': 'identités trigonométriques',
+  'trigonometric ratios in right triangles': 'Rapports trigonométriques dans le triangle rectangle',
+  'trigonometry': 'trigonométrie',
+  'trigonometry - unit circle': 'Trigonométrie : cercle unitaire',
+  'trigonometry using the unit circle and degree measure': 'Trigonométrie avec le cercle unitaire et les degrés',
+  'trinomials': 'trinômes',
+  'two-sided equations': 'équations avec des termes des deux côtés',
+  'understanding and graphing linear relations and functions': 'Comprendre et représenter des relations et des fonctions linéaires',
+  'understanding and solving absolute value expressions and equations': 'Comprendre et résoudre des expressions et des équations avec valeur absolue',
+  'union and intersection': 'union et intersection',
+  'unit circle': 'cercle unitaire',
+  'unit conversions': 'conversions d’unités',
+  'unit pricing': 'prix unitaires',
+  'unit rates': 'taux unitaires',
+  'using bar graphs and histograms to represent data distributions': 'Représenter des distributions de données avec des diagrammes à bandes et des histogrammes',
+  'using box plots to represent the spread of a distribution': 'Représenter la dispersion d’une distribution avec des diagrammes à surface',
+  'using function and set-builder notations to define linear functions': 'Définir des fonctions linéaires avec la notation fonctionnelle et la notation en compréhension',
+  'variables': 'variables',
+  'variables both sides': 'variables des deux côtés',
+  'variables on both sides': 'variables des deux côtés',
+  'venn diagrams': 'diagrammes de Venn',
+  'vertex form': 'forme canonique',
+  'volume': 'volume',
+  'volume of cylinders': 'volume des cylindres',
+  'volume of prisms': 'volume des prismes',
+  'weeks': 'semaines',
+  'word problem': 'problème écrit',
+  'writing and evaluating algebraic expressions': 'Écrire et évaluer des expressions algébriques',
+  'writing expressions': 'écrire des expressions',
+  'years': 'années',
+  'zero product property': 'propriété du produit nul',
+  'zeros': 'zéros'
+}
@@ -0,0 +1,399 @@
+/**
+ * French UI messages (same keys as en/messages.js)
+ *
+ * French typography: a space before ? ! : ; and typographic apostrophes (’).
+ */
+export default {
+  common: {
+    back: 'Retour',
+    cancel: 'Annuler',
+    loading: 'Chargement...',
+    levelShort: 'Niv. {level}',
+    percent: '{value} %'
+  },
+
+  menu: {
+    title: 'Donjon des maths',
+    subtitle: 'L’aventure',
+    curriculum: 'Programme de l’Alberta',
+    tagline: 'Explore des donjons, combats des monstres et maîtrise les mathématiques de la 1re à la 12e année !',
+    start: 'Commencer l’aventure',
+    shop: 'Armurerie',
+    leaderboard: 'Classement',
+    settings: 'Paramètres',
+    worksheets: 'Fiches',
+    importQuestions: 'Importer des questions',
+    coverage: 'Programmes couverts',
+    controls: {
+      use: 'Utilise',
+      or: 'ou',
+      arrowKeys: 'les flèches',
+      toMove: 'pour te déplacer',
+      press: 'Appuie sur',
+      toEnter: 'près de l’entrée d’un donjon pour y entrer'
+    },
+    footer: 'Jeu sérieux pour l’enseignement des mathématiques en Alberta'
+  },
+
+  settings: {
+    title: 'Paramètres',
+    audio: 'Son',
+    soundEffects: 'Effets sonores',
+    soundEffectsHelp: 'Activer ou désactiver les effets sonores du jeu',
+    volume: 'Volume',
+    testSound: 'Tester le son',
+    game: 'Jeu',
+    language: 'Langue',
+    languageHelp: 'La langue des menus, des problèmes et des indices. Les nombres s’écrivent aussi dans cette langue : 3.5 en anglais, 3,5 en français.',
+    reset: 'Réinitialiser la progression',
+    resetHelp: 'Toute ta progression sauvegardée sera effacée, y compris les années réussies, les statistiques de combat et le classement. Cette action est irréversible.',
+    resetAll: 'Tout réinitialiser',
+    resetConfirm: 'Es-tu sûr ? C’est irréversible !',
+    resetYes: 'Oui, réinitialiser',
+    resetDone: 'La progression a été réinitialisée !',
+    about: 'À propos',
+    gameName: 'Donjon des maths : l’aventure',
+    aboutText: 'Un jeu éducatif sérieux pour aider les élèves à apprendre et à pratiquer les mathématiques selon le programme de l’Alberta. Explore des donjons, combats des monstres et maîtrise les notions de la 1re à la 12e année !',
+    coverage: 'PROGRAMMES COUVERTS',
+    coverageList: 'Mathématiques 1-6, 7-9, 10C, 20-1, 20-2, 20-3, 30-1, 30-2, 31',
+    algorithms: 'ALGORITHMES UTILISÉS',
+    algorithmList: 'Recherche dichotomique, recherche linéaire, tri rapide, tri à bulles'
+  },
+
+  shop: {
+    title: 'Armurerie',
+    gold: '{gold} pièces d’or',
+    equipped: 'Arme équipée :',
+    equippedBadge: 'ÉQUIPÉE',
+    damage: '+{bonus} dégâts',
+    damageBonus: '+{bonus} dégâts en bonus',
+    free: 'GRATUIT',
+    owned: 'Possédée',
+    buy: 'Acheter',
+    needGold: 'Pas assez d’or',
+    close: 'Quitter l’armurerie',
+    noSuchWeapon: 'Cette arme n’existe pas !',
+    notEnoughGold: 'Pas assez d’or ! Il te manque {needMore} pièces.',
+    bought: 'Tu as acheté : {weapon} ! +{bonus} dégâts !'
+  },
+
+  weapons: {
+    wooden_sword: { name: 'Épée de bois', description: 'Une simple épée d’entraînement. Mieux que rien !' },
+    iron_blade: { name: 'Lame de fer', description: 'Une solide lame de fer. +5 dégâts par coup !' },
+    steel_sword: { name: 'Épée d’acier', description: 'Forgée dans un acier de qualité. +10 dégâts par coup !' },
+    flame_sword: { name: 'Épée de feu', description: 'Brûle d’un feu magique ! +18 dégâts par coup !' },
+    dragon_slayer: { name: 'Tueuse de dragons', description: 'La lame légendaire des héros ! +30 dégâts par coup !' }
+  },
+
+  enemies: {
+    monster: 'Monstre',
+    babySlime: 'Bébé gluant',
+    slime: 'Gluant',
+    giantSlime: 'Gluant géant',
+    eliteSlime: 'Gluant d’élite',
+    slimeKing: 'Roi gluant',
+    goblinScout: 'Éclaireur gobelin',
+    goblinWarrior: 'Guerrier gobelin',
+    goblinChief: 'Chef gobelin',
+    goblinShaman: 'Chaman gobelin',
+    goblinLord: 'Seigneur gobelin',
+    skeleton: 'Squelette',
+    skeletonWarrior: 'Guerrier squelette',
+    darkSkeleton: 'Squelette sombre',
+    boneKnight: 'Chevalier d’os',
+    skeletonKing: 'Roi squelette',
+    whelpling: 'Dragonnet',
+    drake: 'Vouivre',
+    dragon: 'Dragon',
+    elderDragon: 'Dragon ancien',
+    dragonLord: 'Seigneur dragon'
+  },
+
+  leaderboard: {
+    title: 'Classement',
+    subtitle: 'Les meilleurs joueurs selon leurs exploits',
+    sortBy: 'Trier par :',
+    rank: 'Rang',
+    player: 'Joueur',
+    score: 'Score',
+    level: 'Niveau',
+    completion: 'Progression',
+    empty: 'Aucune entrée pour l’instant !',
+    emptyHelp: 'Joue pour apparaître dans le classement.',
+    anonymous: 'Héros anonyme',
+    notAvailable: 'S. O.',
+    totalPlayers: 'Joueurs',
+    highestScore: 'Meilleur score',
+    highestLevel: 'Niveau le plus haut'
+  },
+
+  hud: {
+    heroStats: 'Héros',
+    level: 'Niveau',
+    attack: 'Attaque',
+    defense: 'Défense',
+    hp: 'PV',
+    exp: 'EXP',
+    menu: 'Menu',
+    toggleControls: 'Afficher les commandes (H)',
+    controls: 'Commandes',
+    wasdArrows: 'WASD / flèches',
+    move: 'Se déplacer',
+    enterDungeon: 'Entrer dans le donjon',
+    toggleMinimap: 'Afficher la mini-carte',
+    toggleHelp: 'Afficher l’aide',
+    minimap: 'Mini-carte',
+    press: 'Appuie sur',
+    toEnter: 'pour entrer',
+    pressEToEnter: 'Appuie sur E pour entrer',
+    nearEntrance: '{grade} - Appuie sur E pour entrer',
+    footer: 'DONJON DES MATHS : L’AVENTURE'
+  },
+
+  difficulty: {
+    easy: 'Facile',
+    medium: 'Moyen',
+    hard: 'Difficile',
+    nightmare: 'Cauchemar',
+    descriptions: {
+      easy: 'Parfait pour s’exercer. Plus de temps, des problèmes plus simples.',
+      medium: 'Un défi équilibré. Difficulté normale.',
+      hard: 'Des ennemis coriaces. Des problèmes plus durs, plus de dégâts.',
+      nightmare: 'Pour les braves seulement. Défi maximal !'
+    }
+  },
+
+  dungeons: {
+    selectDungeon: 'Choisis un donjon',
+    grade: 'Année',
+    unit: 'Module',
+    difficulty: 'Difficulté',
+    backToMap: 'Retour à la carte',
+    selectGrade: 'Choisis l’année',
+    unitCount: '{count} modules',
+    selectUnit: 'Choisis le module',
+    review: 'Révision',
+    reviewDueOne: '{count} problème raté à revoir',
+    reviewDue: '{count} problèmes ratés à revoir',
+    selectGradeFirst: 'Choisis d’abord une année',
+    selectDifficulty: 'Choisis la difficulté',
+    noProblems: 'Pas encore de problèmes pour ce sujet',
+    allTopics: 'Tous les sujets',
+    startBattle: 'Au combat !',
+    summaryGrade: 'Année :',
+    summaryUnit: 'Module :',
+    summaryDifficulty: 'Difficulté :',
+    none: 'Aucun',
+    customCount: '{count} questions importées'
+  },
+
+  worksheet: {
+    title: 'Fiche d’exercices à imprimer',
+    help: 'Crée une fiche à imprimer ou à enregistrer en PDF, avec le corrigé sur une page à part.',
+    grade: 'Année',
+    unit: 'Module',
+    difficulty: 'Difficulté (1 à 10)',
+    count: 'Problèmes',
+    seed: 'Graine',
+    seedHelp: 'Laisse vide pour de nouveaux problèmes. La même graine refait la même fiche.',
+    solutions: 'Solutions détaillées dans le corrigé',
+    print: 'Imprimer la fiche',
+    popupBlocked: 'La fenêtre de la fiche a été bloquée. Autorise les fenêtres surgissantes pour cette page et réessaie.',
+    noProblems: 'Aucun problème ne peut encore être créé pour ce module.',
+    heading: '{grade} : {unit}',
+    details: 'Difficulté {difficulty} · {count} problèmes · Graine {seed}',
+    name: 'Nom :',
+    date: 'Date :',
+    answerKey: 'Corrigé',
+    answer: 'Réponse : {answer}',
+    figureMissing: 'Figure',
+    paper: {
+      numberLine: 'Marque ta réponse sur la droite numérique.',
+      plotPoint: 'Place le point sur le quadrillage.',
+      plotLine: 'Trace la droite sur le quadrillage.',
+      setClock: 'Dessine les aiguilles sur l’horloge.',
+      order: 'Écris-les dans l’ordre : {items}'
+    }
+  },
+
+  importer: {
+    title: 'Importer des questions',
+    help: 'Ajoute tes propres questions à partir d’un tableur ou d’un questionnaire de ton environnement d’apprentissage. Chaque fichier devient une série de questions à choisir comme module dans les donjons de ses années.',
+    formats: 'CSV : une ligne d’en-tête avec question et answer, et au besoin options (choix séparés par |), topic, grade (5, 20-2, Math 31...) et tolerance (0,1, 5%, 2dp ou 3sf). QTI 2.1 : questions à choix multiple ou à réponse écrite, avec une seule bonne réponse.',
+    file: 'Fichier (.csv ou .xml)',
+    name: 'Nom de la série',
+    grade: 'Année',
+    language: 'Langue',
+    gradeHelp: 'Les questions sans année vont dans celle-ci. Choisis la langue dans laquelle les questions sont écrites.',
+    import: 'Importer',
+    imported: '{count} questions importées dans « {name} ».',
+    skipped: '{count} questions ont été ignorées :',
+    more: 'et {count} de plus',
+    line: 'Ligne {line}',
+    item: 'Question {item}',
+    sets: 'Séries importées',
+    noSets: 'Aucune série de questions pour l’instant.',
+    setDetails: '{count} questions · {grades} · {source}',
+    remove: 'Supprimer',
+    errors: {
+      'no-header': 'La première ligne doit nommer les colonnes, dont question et answer.',
+      'no-items': 'Aucune question n’a pu être lue dans ce fichier.',
+      'no-grade': 'Choisis une année pour les questions qui n’en ont pas.',
+      'bad-xml': 'Ce fichier n’est pas un XML valide.',
+      'unknown-format': 'Ce fichier ne peut pas être lu. Utilise un fichier .csv ou .xml.',
+      'no-question': 'Il n’y a pas de question',
+      'no-answer': 'Il n’y a pas de réponse',
+      'bad-grade': '{grade} n’est pas une année du programme',
+      'bad-tolerance': 'La tolérance « {tolerance} » ne peut pas être lue',
+      'too-many-options': 'Il y a {count} choix (au plus {max})',
+      'unsupported-interaction': 'Seules les questions à choix multiple ou à réponse écrite peuvent être importées',
+      'multiple-answers': 'Il faut exactement une bonne réponse',
+      'has-picture': 'Les questions avec des images ne peuvent pas encore être importées'
+    }
+  },
+
+  battle: {
+    opening: 'Mode {difficulty} - {enemy} apparaît !',
+    notYourTurn: 'Ce n’est pas ton tour !',
+    partLabel: 'Partie {part}/{count} : ',
+    correct: '✓ Bonne réponse ! Tu infliges {damage} dégâts à {enemy} !',
+    wrong: '✗ Mauvaise réponse ! Tu infliges {damage} dégâts (réduits).',
+    wrongMisconception: '✗ Mauvaise réponse ! ({misconception}) Tu infliges {damage} dégâts (réduits).',
+    victory: 'Victoire ! Tu gagnes {exp} EXP et {gold} pièces d’or ! 💰',
+    levelUp: 'Niveau supérieur ! Tu es maintenant au niveau {level} !',
+    enemyAttacks: '{enemy} attaque ! {damage} dégâts !',
+    defeat: 'Défaite ! Tu es K.-O. !',
+    logWords: {
+      correct: 'Bonne réponse',
+      wrong: 'Mauvaise réponse',
+      victory: 'Victoire',
+      defeat: 'Défaite',
+      attacks: 'attaque'
+    },
+    preparing: 'Préparation du combat...',
+    turn: 'Tour {turn}',
+    showHelp: 'Afficher l’aide',
+    hideHelp: 'Masquer l’aide',
+    flee: 'Fuir',
+    hero: 'Héros',
+    enemy: 'Ennemi',
+    level: 'Niveau {level}',
+    attack: 'Attaque !',
+    clickAnswer: 'Clique sur la bonne réponse ci-dessus pour attaquer !',
+    enemyAttacking: 'L’ennemi attaque...',
+    victoryTitle: 'Victoire !',
+    returning: 'Retour à la carte...',
+    defeatTitle: 'Défaite !',
+    returnToMap: 'Retour à la carte',
+    correctTitle: 'Bonne réponse !',
+    wrongTitle: 'Mauvaise réponse !',
+    damage: '{damage} dégâts !'
+  },
+
+  placeholders: {
+    expression: 'Écris une expression, comme (x+2)(x-5) ou x^2-4',
+    quantity: 'Écris la quantité et l’unité, comme 150 cm',
+    point: 'Écris un point, comme (3 ; -2)',
+    line: 'Écris l’équation, comme y = 2x + 1',
+    time: 'Écris une heure, comme 3:45',
+    interval: 'Écris un intervalle, comme [2 ; ∞) ou (-1 ; 4]',
+    inequality: 'Écris une inéquation, comme x > 3 ou x <= -1',
+    setOrdered: 'Écris les réponses dans l’ordre, séparées par des points-virgules',
+    set: 'Sépare les réponses par des points-virgules, comme 2 ; -3',
+    default: 'Écris ta réponse...'
+  },
+
+  problem: {
+    none: 'Aucun problème disponible',
+    review: 'Problème à revoir',
+    title: 'Problème de maths',
+    general: 'Général',
+    interactiveHint: 'Réponds sur le tableau ci-dessous, puis clique sur Attaque',
+    fillInHint: 'Écris ta réponse dans le champ ci-dessous, puis appuie sur Entrée ou clique sur Attaque'
+  },
+
+  solution: {
+    title: 'Comment le résoudre',
+    gotIt: 'Compris !',
+    mistake: '{name} :',
+    answer: 'Réponse : {answer}'
+  },
+
+  interactive: {
+    numberLine: 'Clique sur la droite numérique pour placer ta réponse',
+    point: 'Clique sur la grille pour placer ton point',
+    line: 'Clique sur deux points de la grille pour tracer ta droite',
+    order: 'Glisse les cartes dans l’ordre (la plus petite à gauche)',
+    clock: 'Choisis une aiguille, puis clique là où elle doit pointer',
+    hourHand: 'Petite aiguille (heures)',
+    minuteHand: 'Grande aiguille (minutes)'
+  },
+
+  hints: {
+    title: 'INDICE',
+    countUp: 'Commence à {first} et compte encore {second} !',
+    combine: 'Réunis {first} et {second}',
+    countBoth: 'Compte les deux groupes ensemble !',
+    countBack: 'Commence à {start} et recule de {takeAway}',
+    takeAway: 'Enlève {takeAway} à {start}',
+    takeAwaySecond: 'Enlève le deuxième nombre !',
+    repeatedAddition: '{groups} groupes de {items} = {items}+{items}+... ({groups} fois)',
+    groupsOf: '{groups} groupes avec {items} dans chacun',
+    countGroups: 'Compte les groupes !',
+    split: 'Partage {total} objets également entre {friends} amis',
+    eachGets: 'Combien chaque personne en reçoit-elle ?',
+    pizza: 'Pense à des pointes de pizza !',
+    area: 'Aire = longueur × largeur',
+    perimeter: 'Additionne tous les côtés !',
+    triangle: 'Un triangle a 3 côtés',
+    circle: 'Utilise π (environ 3,14)',
+    slope: 'Montée ÷ course (combien on monte pour combien on avance)',
+    isolateX: 'Isole x d’un côté de l’égalité !',
+    quadratic: 'Essaie de factoriser ou utilise la formule',
+    trig: 'Souviens-toi : SOH CAH TOA !',
+    log: 'log veut dire « quel exposant ? »',
+    sequence: 'Trouve la régularité entre les nombres',
+    probability: 'Probabilité = cas favorables ÷ total',
+    default: 'Vas-y étape par étape, tu es capable !',
+    draw: {
+      stepByStep: 'Résous étape par étape !',
+      first: 'Premier : {a}',
+      second: 'Deuxième : {b}',
+      total: 'Total : {total}',
+      startWith: 'Commence à {a}, enlève {b}',
+      answer: 'Réponse : {answer}',
+      groupsTimesItems: 'Groupes × objets par groupe',
+      rowsColumns: '{a} rangées × {b} colonnes = {total} en tout',
+      totalOverGroups: 'Total ÷ groupes = objets par groupe',
+      groupsOf: '{groups} groupes de {items}',
+      partOfWhole: 'Une partie d’un tout',
+      length: 'Longueur',
+      width: 'Largeur',
+      triangleArea: 'Aire = ½ × base × hauteur',
+      circleArea: 'Aire = πr²',
+      geometryFormulas: 'Utilise les formules de géométrie',
+      slope: 'Pente = {slope}',
+      opposite: 'Opposé',
+      adjacent: 'Adjacent',
+      hypotenuse: 'Hypoténuse',
+      factoringPattern: 'Modèle de factorisation',
+      findTwoNumbers: 'Trouve deux nombres qui :',
+      multiplyToC: 'donnent c en se multipliant',
+      addToB: 'donnent b en s’additionnant',
+      logRule: 'Règle des logarithmes',
+      logMeans: 'veut dire b^y = x',
+      logExample: 'Exemple : log₂(8) = 3',
+      logBecause: 'parce que 2³ = 8',
+      exponentRules: 'Lois des exposants',
+      probability: 'Probabilité',
+      favorable: 'P(événement) = cas favorables',
+      totalOutcomes: 'nombre total de cas',
+      probabilityRange: '0 ≤ P ≤ 1 (ou de 0 % à 100 %)',
+      geometricSequence: 'Suite géométrique',
+      geometricTerm: 'Chaque terme = précédent × raison',
+      arithmeticSequence: 'Suite arithmétique',
+      arithmeticTerm: 'Chaque terme = précédent + différence',
+      pattern: 'Régularité : 2 ; 4 ; 6 ; 8 ; ... (+2 chaque fois)'
+    }
+  }
+}
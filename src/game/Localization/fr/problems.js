@@ -0,0 +1,1852 @@
+/**
+ * French problem catalog (see ProblemTranslator)
+ *
+ * QUESTIONS and STEPS map an English template to its French one. {name}
+ * matches whatever the generator filled in there; {name|un}, {name|le} and
+ * {name|de} and {name|dun} put the right article in front ("une sphère", "l’hiver",
+ * "d’arêtes", "d’une règle"), and {name|Un} / {name|Le} start a sentence with one.
+ * TERMS are the fixed words and phrases that fill templates in (shape
+ * names, days, answer words...).
+ *
+ * French typography: a space before ? ! : ; and typographic apostrophes (’).
+ */
+
+// Nouns that take "une" / "la" (everything else takes "un" / "le")
+const FEMININE = new Set([
+  'sphère', 'pyramide à base carrée', 'pyramide à base triangulaire', 'serviette', 'couverture',
+  'affiche', 'bouteille', 'tasse', 'règle', 'cuillère', 'nuit', 'balance', 'horloge', 'tasse à mesurer', 'porte', 'natation'
+])
+
+const startsWithVowel = (word) => /^[aeiouyhàâäéèêëîïôöûüù]/i.test(word)
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1)
+
+export const ARTICLES = {
+  un: (word) => `${FEMININE.has(word) ? 'une' : 'un'} ${word}`,
+  Un: (word) => capitalize(ARTICLES.un(word)),
+  le: (word) => startsWithVowel(word) ? `l’${word}` : `${FEMININE.has(word) ? 'la' : 'le'} ${word}`,
+  Le: (word) => capitalize(ARTICLES.le(word)),
+  de: (word) => startsWithVowel(word) ? `d’${word}` : `de ${word}`,
+  dun: (word) => `d’${ARTICLES.un(word)}`
+}
+
+export const TERMS = {
+  // ===== Shapes =====
+  'square': 'carré',
+  'rectangle': 'rectangle',
+  'triangle': 'triangle',
+  'circle': 'cercle',
+  'pentagon': 'pentagone',
+  'hexagon': 'hexagone',
+  'octagon': 'octogone',
+  'quadrilateral': 'quadrilatère',
+  'diamond': 'losange',
+  'rhombus': 'losange',
+  'trapezoid': 'trapèze',
+  'parallelogram': 'parallélogramme',
+  'kite': 'cerf-volant',
+  'cube': 'cube',
+  'rectangular prism': 'prisme à base rectangulaire',
+  'triangular prism': 'prisme à base triangulaire',
+  'square pyramid': 'pyramide à base carrée',
+  'triangular pyramid': 'pyramide à base triangulaire',
+  'cylinder': 'cylindre',
+  'cone': 'cône',
+  'sphere': 'sphère',
+  'faces': 'faces',
+  'edges': 'arêtes',
+  'vertices': 'sommets',
+  'sides': 'côtés',
+  'corners': 'coins',
+  'like a dice - top, bottom and 4 around': 'comme un dé : le dessus, le dessous et 4 autour',
+  'like a can - a flat top and a flat bottom': 'comme une conserve : un dessus plat et un dessous plat',
+  'like an ice cream cone - just the flat circle on the bottom': 'comme un cornet de crème glacée : seulement le cercle plat du dessous',
+  'like a ball - curved all over': 'comme un ballon : courbe partout',
+
+  // ===== Measuring =====
+  'bigger': 'plus grand',
+  'smaller': 'plus petit',
+  'same': 'pareil',
+  'rug': 'tapis',
+  'towel': 'serviette',
+  'placemat': 'napperon',
+  'blanket': 'couverture',
+  'poster': 'affiche',
+  'jug': 'pichet',
+  'bottle': 'bouteille',
+  'bucket': 'seau',
+  'pot': 'chaudron',
+  'cup': 'tasse',
+  'more': 'le plus',
+  'less': 'le moins',
+  'pencil': 'crayon',
+  'crayon': 'crayon de cire',
+  'ruler': 'règle',
+  'spoon': 'cuillère',
+  'shoe': 'soulier',
+  'book': 'livre',
+
+  // ===== Time =====
+  'morning': 'matin',
+  'afternoon': 'après-midi',
+  'evening': 'soir',
+  'night': 'nuit',
+  'Monday': 'lundi',
+  'Tuesday': 'mardi',
+  'Wednesday': 'mercredi',
+  'Thursday': 'jeudi',
+  'Friday': 'vendredi',
+  'Saturday': 'samedi',
+  'Sunday': 'dimanche',
+  'January': 'janvier',
+  'February': 'février',
+  'March': 'mars',
+  'April': 'avril',
+  'May': 'mai',
+  'June': 'juin',
+  'July': 'juillet',
+  'August': 'août',
+  'September': 'septembre',
+  'October': 'octobre',
+  'November': 'novembre',
+  'December': 'décembre',
+  'winter': 'hiver',
+  'spring': 'printemps',
+  'summer': 'été',
+  'fall': 'automne',
+  'snow covers the ground and ponds freeze': 'la neige couvre le sol et les étangs gèlent',
+  'snow melts and plants start to grow': 'la neige fond et les plantes commencent à pousser',
+  'days are longest and school is out': 'les jours sont les plus longs et l’école est finie',
+  'leaves change colour and fall off the trees': 'les feuilles changent de couleur et tombent des arbres',
+  'sleeping at night': 'dormir la nuit',
+  'brushing teeth': 'se brosser les dents',
+  'eating a snack': 'manger une collation',
+  'wake up': 'se réveiller',
+  'eat lunch': 'dîner',
+  'eat supper': 'souper',
+  'go to bed': 'aller au lit',
+  'apples': 'pommes',
+  'oranges': 'oranges',
+  'Fruit we ate': 'Les fruits que nous avons mangés',
+  'number of sides': 'le nombre de côtés',
+  'curved or straight sides': 'les côtés courbes ou droits',
+  'colour': 'la couleur',
+  'size': 'la taille',
+  'oval': 'ovale',
+  'red square': 'carré rouge',
+  'red circle': 'cercle rouge',
+  'red triangle': 'triangle rouge',
+  'blue square': 'carré bleu',
+  'blue circle': 'cercle bleu',
+  'blue triangle': 'triangle bleu',
+  'big square': 'grand carré',
+  'big circle': 'grand cercle',
+  'big triangle': 'grand triangle',
+  'small square': 'petit carré',
+  'small circle': 'petit cercle',
+  'small triangle': 'petit triangle',
+  'Group 1 all have 3 sides': 'Les figures du groupe 1 ont toutes 3 côtés',
+  'Group 1 all have curved sides': 'Les figures du groupe 1 ont toutes des côtés courbes',
+  'Group 1 are all red and Group 2 are all blue, even though the shapes match': 'Le groupe 1 est tout rouge et le groupe 2 tout bleu, même si les figures sont les mêmes',
+  'Group 1 are all big and Group 2 are all small, even though the shapes match': 'Le groupe 1 est tout grand et le groupe 2 tout petit, même si les figures sont les mêmes',
+  'vertices (corners)': 'sommets (coins)',
+  'I have 3 straight sides and 3 vertices.': 'J’ai 3 côtés droits et 3 sommets.',
+  'I have 4 sides that are all the same length and 4 square corners.': 'J’ai 4 côtés de la même longueur et 4 coins carrés.',
+  'I have 4 square corners, and 2 of my sides are longer than the other 2.': 'J’ai 4 coins carrés, et 2 de mes côtés sont plus longs que les 2 autres.',
+  'I have 5 straight sides and 5 vertices.': 'J’ai 5 côtés droits et 5 sommets.',
+  'I have 6 straight sides and 6 vertices.': 'J’ai 6 côtés droits et 6 sommets.',
+  'I have 8 straight sides, like a stop sign.': 'J’ai 8 côtés droits, comme un panneau d’arrêt.',
+  'how long a pencil is': 'la longueur d’un crayon',
+  'how heavy a bag of apples is': 'la masse d’un sac de pommes',
+  'how much water a jug holds': 'la quantité d’eau que contient un pichet',
+  'how hot it is outside': 'la température dehors',
+  'how long recess lasts': 'la durée de la récréation',
+  'scale': 'balance',
+  'measuring cup': 'tasse à mesurer',
+  'thermometer': 'thermomètre',
+  'clock': 'horloge',
+  'paper clip': 'trombone',
+  'school desk': 'pupitre',
+  'door': 'porte',
+  'cats': 'chats',
+  'dogs': 'chiens',
+  'fish': 'poissons',
+  'birds': 'oiseaux',
+  'Pets in our class': 'Les animaux de notre classe',
+  'hockey': 'hockey',
+  'soccer': 'soccer',
+  'basketball': 'basketball',
+  'swimming': 'natation',
+  'Favourite sports': 'Sports préférés',
+  'popcorn': 'maïs soufflé',
+  'crackers': 'craquelins',
+  'yogurt': 'yogourt',
+  'Favourite snacks': 'Collations préférées',
+  'most': 'le plus souvent',
+  'least': 'le moins souvent',
+  'tallest': 'la plus haute',
+  'shortest': 'la plus basse',
+  'biggest': 'le plus grand',
+  'smallest': 'le plus petit',
+  'intersecting': 'sécantes',
+  'parallel': 'parallèles',
+  'perpendicular': 'perpendiculaires',
+  'adjacent': 'adjacentes',
+  'diagonal': 'diagonales',
+  'slanted': 'obliques',
+  'curved': 'courbes',
+  'top and bottom, left and right': 'le haut et le bas, la gauche et la droite',
+  'only the top and bottom are parallel': 'seuls le haut et le bas sont parallèles',
+  'every side meets both of the others': 'chaque côté rencontre les deux autres',
+  'each side is parallel to the side across from it': 'chaque côté est parallèle au côté d’en face',
+  'regular hexagon': 'hexagone régulier',
+  'regular pentagon': 'pentagone régulier',
+  'equilateral triangle': 'triangle équilatéral',
+  'isosceles triangle': 'triangle isocèle',
+  'parallel sides': 'des côtés parallèles',
+  'square corners (right angles)': 'des coins carrés (angles droits)',
+  'all sides equal': 'tous ses côtés égaux',
+  'yes': 'oui',
+  'no': 'non',
+  'the length of an ant': 'la longueur d’une fourmi',
+  'the length of a pencil': 'la longueur d’un crayon',
+  'the height of a classroom door': 'la hauteur d’une porte de classe',
+  'the distance from Calgary to Edmonton': 'la distance entre Calgary et Edmonton',
+  'the width of your fingernail': 'la largeur de ton ongle',
+  'the length of a hockey rink': 'la longueur d’une patinoire de hockey',
+  'ones': 'unités',
+  'tens': 'dizaines',
+  'hundreds': 'centaines',
+  'thousands': 'milliers',
+  'ten thousands': 'dizaines de mille',
+  'hundred thousands': 'centaines de mille',
+  'millions': 'millions',
+  'acute': 'aigu',
+  'right': 'droit',
+  'obtuse': 'obtus',
+  'equilateral': 'équilatéral',
+  'isosceles': 'isocèle',
+  'scalene': 'scalène',
+  'less than': 'plus petit que',
+  'exactly': 'exactement',
+  'more than': 'plus grand que',
+  'all 3 sides are EQUAL': 'les 3 côtés sont ÉGAUX',
+  'exactly 2 sides are EQUAL': 'exactement 2 côtés sont ÉGAUX',
+  'NO sides are equal': 'AUCUN côté n’est égal à un autre',
+  'all 3 sides are equal': 'les 3 côtés égaux',
+  'exactly 2 sides are equal': 'exactement 2 côtés égaux',
+  'no sides are equal': 'aucun côté égal à un autre',
+  'one angle is exactly 90°': 'un angle mesure exactement 90°',
+  'one angle is more than 90°': 'un angle mesure plus de 90°',
+  'all three angles are less than 90°': 'les trois angles mesurent moins de 90°',
+  '4 equal sides AND 4 right angles': '4 côtés égaux ET 4 angles droits',
+  'opposite sides equal AND 4 right angles': 'des côtés opposés égaux ET 4 angles droits',
+  '4 equal sides but angles are NOT 90°': '4 côtés égaux, mais des angles qui NE mesurent PAS 90°',
+  'exactly ONE pair of parallel sides': 'exactement UNE paire de côtés parallèles',
+  'TWO pairs of parallel sides, no right angles, and sides NOT all equal': 'DEUX paires de côtés parallèles, aucun angle droit et des côtés qui ne sont PAS tous égaux',
+  '4 equal sides and 4 right angles': '4 côtés égaux et 4 angles droits',
+  'opposite sides equal and 4 right angles': 'des côtés opposés égaux et 4 angles droits',
+  '4 equal sides but angles are not 90°': '4 côtés égaux, mais des angles qui ne mesurent pas 90°',
+  'exactly one pair of parallel sides': 'exactement une paire de côtés parallèles',
+  'two pairs of parallel sides, no right angles, and sides not all equal': 'deux paires de côtés parallèles, aucun angle droit et des côtés qui ne sont pas tous égaux',
+  'a sticky note': 'un papillon adhésif',
+  'a page of a notebook': 'une page de cahier',
+  'the classroom floor': 'le plancher de la classe',
+  'a soccer field': 'un terrain de soccer',
+  'Banff National Park': 'le parc national Banff',
+  'line graph': 'diagramme à ligne brisée',
+  'bar graph': 'diagramme à bandes',
+  'circle graph': 'diagramme circulaire',
+  'line plot': 'diagramme à points',
+  'the temperature outside every hour for a day': 'la température extérieure à chaque heure pendant une journée',
+  'how many students chose each favourite sport': 'combien d’élèves ont choisi chaque sport préféré',
+  'what fraction of a budget goes to food, rent and fun': 'quelle fraction d’un budget va à la nourriture, au loyer et aux loisirs',
+  'the number of pets each student in a small class has': 'le nombre d’animaux de compagnie de chaque élève d’une petite classe',
+  'Line graphs show how something changes over time': 'Les diagrammes à ligne brisée montrent comment quelque chose change avec le temps',
+  'Bar graphs compare amounts in different categories': 'Les diagrammes à bandes comparent des quantités dans différentes catégories',
+  'Circle graphs show the parts of one whole': 'Les diagrammes circulaires montrent les parties d’un tout',
+  'Line plots show how often each value appears in a small set of numbers': 'Les diagrammes à points montrent combien de fois chaque valeur revient dans un petit ensemble de nombres',
+  'vertical': 'vertical',
+  'horizontal': 'horizontal',
+  'flip a coin and roll a 6-sided die': 'lances une pièce de monnaie et un dé à 6 faces',
+  'spin a spinner with 4 colours and flip a coin': 'fais tourner une roulette à 4 couleurs et lances une pièce de monnaie',
+  'pick one of 3 shirts and one of 4 pairs of pants': 'choisis un chandail parmi 3 et un pantalon parmi 4',
+  'roll two 6-sided dice': 'lances deux dés à 6 faces',
+  'pick one of 5 sandwiches and one of 3 drinks': 'choisis un sandwich parmi 5 et une boisson parmi 3',
+  'add': 'additionne',
+  'subtract': 'soustrais',
+  'monomial': 'monôme',
+  'binomial': 'binôme',
+  'trinomial': 'trinôme',
+  '6 equal squares': '6 carrés égaux',
+  '2 circles and 1 rectangle': '2 cercles et 1 rectangle',
+  '1 square and 4 triangles': '1 carré et 4 triangles',
+  '2 triangles and 3 rectangles': '2 triangles et 3 rectangles',
+  '6 rectangles, in 3 matching pairs': '6 rectangles, en 3 paires identiques',
+  '4 equal triangles': '4 triangles égaux',
+  'Add': 'Additionne',
+  'Subtract': 'Soustrais',
+  'week': 'semaine',
+  'minute': 'minute',
+  'hour': 'heure',
+  'frequency': 'fréquence',
+  'mean': 'moyenne',
+  'range': 'étendue',
+  'mode': 'mode',
+  'median': 'médiane',
+  'histogram': 'histogramme',
+  'pie chart': 'diagramme circulaire',
+  'pictograph': 'pictogramme',
+  'skewed or symmetric': 'asymétrique ou symétrique',
+  'tall or short': 'haute ou basse',
+  'wide or narrow': 'large ou étroite',
+  'positive or negative': 'positive ou négative',
+  'the tallest bars are on the left and a long tail stretches to the right': 'les bandes les plus hautes sont à gauche et une longue queue s’étire vers la droite',
+  'the tallest bars are on the right and a long tail stretches to the left': 'les bandes les plus hautes sont à droite et une longue queue s’étire vers la gauche',
+  'the tallest bar is in the middle and both sides match': 'la bande la plus haute est au milieu et les deux côtés sont pareils',
+  'skewed right': 'asymétrique à droite',
+  'skewed left': 'asymétrique à gauche',
+  'symmetric': 'symétrique',
+  'rational': 'rationnel',
+  'irrational': 'irrationnel',
+  'integer': 'entier',
+  'whole number': 'nombre entier positif',
+  'natural number': 'nombre naturel',
+  'Q1 (first quartile)': 'Q1 (premier quartile)',
+  'Q3 (third quartile)': 'Q3 (troisième quartile)',
+  'minimum': 'minimum',
+  'maximum': 'maximum',
+  'minimum and maximum': 'minimum et maximum',
+  'Q1 and Q3': 'Q1 et Q3',
+  'mean and median': 'moyenne et médiane',
+  'outliers only': 'valeurs aberrantes seulement',
+  'Max - Min': 'Max - Min',
+  'Mean - Median': 'Moyenne - Médiane',
+  'mutually exclusive': 'mutuellement exclusifs',
+  'independent': 'indépendants',
+  'dependent': 'dépendants',
+  'complementary': 'complémentaires',
+  'natural numbers': 'nombres naturels',
+  'whole numbers': 'entiers positifs',
+  'integers': 'entiers',
+  'rational numbers': 'nombres rationnels',
+  'irrational numbers': 'nombres irrationnels',
+  'closed circle, arrow right': 'cercle fermé, flèche vers la droite',
+  'closed circle, arrow left': 'cercle fermé, flèche vers la gauche',
+  'open circle, arrow right': 'cercle ouvert, flèche vers la droite',
+  'open circle, arrow left': 'cercle ouvert, flèche vers la gauche',
+  'increasing': 'croissante',
+  'decreasing': 'décroissante',
+  'constant': 'constante',
+  'an even number': 'un nombre pair',
+  'a number greater than 4': 'un nombre plus grand que 4',
+  'a 6': 'un 6',
+  'a number less than 5': 'un nombre plus petit que 5',
+  'one solution': 'une solution',
+  'no solution': 'aucune solution',
+  'infinitely many solutions': 'une infinité de solutions',
+  '2 real roots': '2 racines réelles',
+  '1 real root': '1 racine réelle',
+  'no real roots': 'aucune racine réelle',
+  'Quadrant I': 'Quadrant I',
+  'Quadrant II': 'Quadrant II',
+  'Quadrant III': 'Quadrant III',
+  'Quadrant IV': 'Quadrant IV',
+  'positive': 'positif',
+  'negative': 'négatif',
+  'I: 0°-90°, II: 90°-180°, III: 180°-270°, IV: 270°-360°': 'I : 0°-90° ; II : 90°-180° ; III : 180°-270° ; IV : 270°-360°',
+  'Quadrant III to Quadrant I': 'du quadrant III au quadrant I',
+  'Quadrant II to Quadrant IV': 'du quadrant II au quadrant IV',
+  'Quadrant II to Quadrant I': 'du quadrant II au quadrant I',
+  'Quadrant III to Quadrant IV': 'du quadrant III au quadrant IV',
+  'volleyball': 'volleyball',
+  'Only hockey': 'Seulement le hockey',
+  'Only soccer': 'Seulement le soccer',
+  'Only basketball': 'Seulement le basketball',
+  'Only volleyball': 'Seulement le volleyball',
+  'Job A': 'Emploi A',
+  'Job B': 'Emploi B',
+  'First': 'Premier',
+  'Second': 'Deuxième',
+  'converse': 'réciproque',
+  'inverse': 'proposition inverse',
+  'contrapositive': 'contraposée',
+  'is even': 'est pair',
+  'is not even': 'n’est pas pair',
+  'ends in 0': 'se termine par 0',
+  'does not end in 0': 'ne se termine pas par 0',
+  'is a square': 'est un carré',
+  'is not a square': 'n’est pas un carré',
+  'has four sides': 'a quatre côtés',
+  'does not have four sides': 'n’a pas quatre côtés',
+  'is a triangle': 'est un triangle',
+  'is not a triangle': 'n’est pas un triangle',
+  'has exactly three sides': 'a exactement trois côtés',
+  'does not have exactly three sides': 'n’a pas exactement trois côtés',
+  'is a right angle': 'est un angle droit',
+  'is not a right angle': 'n’est pas un angle droit',
+  'is acute': 'est aigu',
+  'is not acute': 'n’est pas aigu',
+  'is a dog': 'est un chien',
+  'is not a dog': 'n’est pas un chien',
+  'is a mammal': 'est un mammifère',
+  'is not a mammal': 'n’est pas un mammifère'
+}
+
+export const QUESTIONS = {
+  // ===== GRADE 1 =====
+  'Which is bigger: {a} or {b}?': 'Quel nombre est le plus grand : {a} ou {b} ?',
+  'Start at {a}. Count {b} more. What number?': 'Commence à {a}. Compte {b} de plus. Quel nombre obtiens-tu ?',
+  'How many sides does this shape have?': 'Combien de côtés cette figure a-t-elle ?',
+  'How many corners does a {shape} have?': 'Combien de coins a {shape|un} ?',
+  'Which shape is round?': 'Quelle figure est ronde ?',
+  'The table is {n} hands long. If you use smaller hands, will the number be bigger or smaller?': 'La table mesure {n} mains de long. Si tu utilises de plus petites mains, le nombre sera-t-il plus grand ou plus petit ?',
+  'The fact family for {a}, {b} and {c} has {d}. What is {e}?': 'La famille de nombres {a}, {b} et {c} contient {d}. Combien fait {e} ?',
+  'How many flat faces does a {shape} have?': 'Combien de faces planes a {shape|un} ?',
+  'How many {part} does a {shape} have?': 'Combien {part|de} a {shape|un} ?',
+  'Which shape has more {part}: a {a} or a {b}?': 'Quelle figure a le plus {part|de} : {a|un} ou {b|un} ?',
+  'These shapes are sorted into a group with 4 sides: {group}. Which shape does NOT belong in that group?': 'Ces figures sont classées dans un groupe à 4 côtés : {group}. Quelle figure N’appartient PAS à ce groupe ?',
+  'Which is longer: {a}cm or {b}cm?': 'Quelle longueur est la plus grande : {a} cm ou {b} cm ?',
+  'A {a} covers {m} square tiles. A {b} covers {n} square tiles. Which one covers more area?': '{a|Un} couvre {m} tuiles carrées. {b|Un} couvre {n} tuiles carrées. Quel objet couvre la plus grande aire ?',
+  'the {thing}': '{thing|le}',
+  'It takes {m} scoops of water to fill a {a} and {n} scoops to fill a {b}. Which holds {ask}?': 'Il faut {m} pelles d’eau pour remplir {a|un} et {n} pelles pour remplir {b|un}. Quel contenant contient {ask} ?',
+  'Put these in order from shortest to longest: {objects}': 'Place-les en ordre du plus court au plus long : {objects}',
+  '{name} ({n} cubes long)': '{name} ({n} cubes de long)',
+  'What part of the day comes after {part}?': 'Quel moment de la journée vient après {part|le} ?',
+  'How many months are in one year?': 'Combien y a-t-il de mois dans une année ?',
+  'How many days are in a week?': 'Combien y a-t-il de jours dans une semaine ?',
+  'What day comes after {day}?': 'Quel jour vient après {day} ?',
+  'Which season comes after {season}?': 'Quelle saison vient après {season|le} ?',
+  'In Alberta, which season is it when {clue}?': 'En Alberta, quelle saison est-ce quand {clue} ?',
+  'Which takes longer?': 'Qu’est-ce qui prend le plus de temps ?',
+  'Which do you usually do first in a day: {a} or {b}?': 'Que fais-tu d’habitude en premier dans une journée : {a} ou {b} ?',
+
+  // ===== GRADE 2 =====
+  'A shape with {n} sides is called a...?': 'Une figure à {n} côtés s’appelle un... ?',
+  'A pencil is {n} cm long. How many centimeters is that?': 'Un crayon mesure {n} cm de long. Combien de centimètres est-ce ?',
+  'How many days are in {n} week(s)?': 'Combien y a-t-il de jours dans {n} semaine(s) ?',
+  'The pictograph shows the fruit we ate. How many fruits in total?': 'Le pictogramme montre les fruits que nous avons mangés. Combien de fruits en tout ?',
+  'Group 1: {a}. Group 2: {b}. What was the sorting rule?': 'Groupe 1 : {a}. Groupe 2 : {b}. Quelle était la règle de classement ?',
+  '{clue} What shape am I?': '{clue} Quelle figure suis-je ?',
+  'A crayon is lined up on a ruler. One end is at {a} cm and the other end is at {b} cm. How long is the crayon?': 'Un crayon de cire est placé le long d’une règle. Un bout est à {a} cm et l’autre bout est à {b} cm. Quelle est la longueur du crayon ?',
+  'Which tool would you use to measure {task}?': 'Quel outil utiliserais-tu pour mesurer {task} ?',
+  'About how long is a {thing}?': 'Environ quelle est la longueur {thing|dun} ?',
+  'Today is {day}. What day will it be in {n} days?': 'Aujourd’hui, c’est {day}. Quel jour sera-t-il dans {n} jours ?',
+  'Which month comes after {month}?': 'Quel mois vient après {month} ?',
+  '{month} is which month of the year (1st, 2nd, 3rd...)? Give the number.': 'Quel mois de l’année est {month} (1er, 2e, 3e...) ? Donne le nombre.',
+  'About how many days are in one year?': 'Environ combien y a-t-il de jours dans une année ?',
+  'How many weeks are in one year?': 'Combien y a-t-il de semaines dans une année ?',
+  'Sam is {a} years old. How old will Sam be in {b} years?': 'Sam a {a} ans. Quel âge aura Sam dans {b} ans ?',
+  'A class made tally marks for their favourite fruit. Apples got: {tally}. How many votes is that?': 'Une classe a fait des traits pour son fruit préféré. Les pommes ont obtenu : {tally}. Combien de votes est-ce ?',
+  'The pictograph shows the pets in our class. How many {animal} are there?': 'Le pictogramme montre les animaux de notre classe. Combien y a-t-il {animal|de} ?',
+  'The bar graph shows favourite sports. How many more students chose {a} than {b}?': 'Le diagramme à bandes montre les sports préférés. Combien d’élèves de plus ont choisi {a|le} que {b|le} ?',
+  'The bar graph shows favourite snacks. Which snack was chosen the {which}?': 'Le diagramme à bandes montre les collations préférées. Quelle collation a été choisie {which} ?',
+
+  // ===== GRADE 3 =====
+  '{a} rows × {b} columns = how many squares?': '{a} rangées × {b} colonnes = combien de carrés ?',
+  'Count by {a}s: What is the {b}th number?': 'Compte par {a} : quel est le {b}e nombre ?',
+  'Two lines that cross each other are called...?': 'Deux droites qui se croisent sont appelées... ?',
+  'How many centimeters are in {n} meter(s)?': 'Combien de centimètres y a-t-il dans {n} mètre(s) ?',
+  'Lines that NEVER meet (even if extended forever) are called...?': 'Des droites qui ne se rencontrent JAMAIS (même prolongées à l’infini) sont appelées... ?',
+  'How many pairs of parallel sides does a {shape} have?': 'Combien de paires de côtés parallèles a {shape|un} ?',
+  'Lines that meet at exactly 90° (a right angle) are called...?': 'Des droites qui se rencontrent à exactement 90° (un angle droit) sont appelées... ?',
+  'Which capital letter has perpendicular lines?': 'Quelle lettre majuscule a des droites perpendiculaires ?',
+  'How many equal sides does {art} {shape} have?': 'Combien de côtés égaux a {shape|un} ?',
+  'A {shape} has one side that is {n} cm long. What is the total length of all its sides?': '{shape|Un} a un côté de {n} cm. Quelle est la longueur totale de tous ses côtés ?',
+  'Does {art} {shape} have {property}?': '{shape|Un} a-t-il {property} ?',
+  'How many meters are in {n} kilometer(s)?': 'Combien de mètres y a-t-il dans {n} kilomètre(s) ?',
+  'Which unit is best for measuring {what}?': 'Quelle unité convient le mieux pour mesurer {what} ?',
+  "A clock shows {h} o'clock and {m} minutes. What time is it?": 'Une horloge indique {h} heures et {m} minutes. Quelle heure est-il ?',
+  'A digital clock shows {time}. How many minutes until {next}?': 'Une horloge numérique indique {time}. Combien de minutes reste-t-il avant {next} ?',
+  "It's {h}:00. In {n} hour(s), what time will it be?": 'Il est {h}:00. Dans {n} heure(s), quelle heure sera-t-il ?',
+  'Recess starts at {a} and ends at {b}. How many minutes long is recess?': 'La récréation commence à {a} et finit à {b}. Combien de minutes dure la récréation ?',
+  'How many minutes are in 1 hour?': 'Combien de minutes y a-t-il dans 1 heure ?',
+  'How many minutes are in {n} hours?': 'Combien de minutes y a-t-il dans {n} heures ?',
+  'How many hours are in one day?': 'Combien d’heures y a-t-il dans une journée ?',
+  'School starts at {a}:00 in the morning. Soccer practice starts at {b}:00 in the afternoon. How many hours apart are they?': 'L’école commence à {a}:00 le matin. L’entraînement de soccer commence à {b}:00 l’après-midi. Combien d’heures les séparent ?',
+  'How many minutes past the hour does the clock show?': 'Combien de minutes après l’heure l’horloge indique-t-elle ?',
+  'What time does the clock show?': 'Quelle heure l’horloge indique-t-elle ?',
+  'Set the clock to {time}.': 'Règle l’horloge à {time}.',
+  'What time is "half past {h}"?': 'Quelle heure est « {h} heures et demie » ?',
+  'What time is "quarter past {h}"?': 'Quelle heure est « {h} heures et quart » ?',
+  'What time is "quarter to {h}"?': 'Quelle heure est « {h} heures moins le quart » ?',
+  'Area of rectangle: length={l}, width={w}': 'Aire du rectangle : longueur = {l}, largeur = {w}',
+  'Bar graph shows: {list}. Total?': 'Le diagramme à bandes montre : {list}. Total ?',
+  'Right triangle ABC has ∠C = 90°. From angle A, the opposite side is {o}, the adjacent side is {a} and the hypotenuse is {h}. Find {f} A as a fraction.': 'Le triangle rectangle ABC a ∠C = 90°. Par rapport à l’angle A, le côté opposé mesure {o}, le côté adjacent mesure {a} et l’hypoténuse mesure {h}. Trouve {f} A sous forme de fraction.',
+  '{a} ÷ {b} = ? Give the quotient and the remainder (like "5, 2").': '{a} ÷ {b} = ? Donne le quotient et le reste (comme « 5 ; 2 »).',
+  'An angle measuring {a}° is classified as...?': 'Un angle de {a}° est... ?',
+  'At {h}:00, what angle do the hands of a clock make?': 'À {h}:00, quel angle les aiguilles d’une horloge forment-elles ?',
+  'A triangle where {desc} is called...?': 'Un triangle dont {desc} s’appelle... ?',
+  'A triangle where {desc} is called a(n) ___ triangle.': 'Dans un triangle où {desc}, le plus grand angle est ___.',
+  'A quadrilateral with {desc} is called...?': 'Un quadrilatère qui a {desc} s’appelle... ?',
+  'A triangle has sides of {a} cm and {b} cm. Its perimeter is {p} cm. How long is the third side?': 'Un triangle a des côtés de {a} cm et de {b} cm. Son périmètre est de {p} cm. Quelle est la longueur du troisième côté ?',
+  'A rectangle has an area of {a} cm² and a length of {l} cm. How wide is it?': 'Un rectangle a une aire de {a} cm² et une longueur de {l} cm. Quelle est sa largeur ?',
+  'A rectangle is covered by {r} rows of 1 cm × 1 cm squares, with {c} squares in each row. What is its area?': 'Un rectangle est recouvert de {r} rangées de carrés de 1 cm × 1 cm, avec {c} carrés dans chaque rangée. Quelle est son aire ?',
+  'Which unit is best for measuring the area of {what}?': 'Quelle unité convient le mieux pour mesurer l’aire {what|de} ?',
+  'A line plot shows how many pets students have: {plot}. How many students have {n} or more pets?': 'Un diagramme à points montre combien d’animaux de compagnie ont les élèves : {plot}. Combien d’élèves ont {n} animaux ou plus ?',
+  'What is 1/{d} of {w}?': 'Combien font 1/{d} de {w} ?',
+  'Click where {f} goes on the number line.': 'Clique à l’endroit où se trouve {f} sur la droite numérique.',
+  'Drag the fractions into order from least to greatest.': 'Glisse les fractions pour les placer en ordre croissant.',
+  'If x = {x}, what is {e}?': 'Si x = {x}, combien vaut {e} ?',
+  'How many lines of symmetry does a {shape} have?': 'Combien d’axes de symétrie a {shape|un} ?',
+  'What is the perimeter of this rectangle?': 'Quel est le périmètre de ce rectangle ?',
+  'What is the value of the digit {d} in {n}?': 'Quelle est la valeur du chiffre {d} dans {n} ?',
+  'Write as one number: {parts}': 'Écris sous forme d’un seul nombre : {parts}',
+  'What is the lowest common denominator of {a} and {b}?': 'Quel est le plus petit dénominateur commun de {a} et {b} ?',
+  'Write an expression for: {words}': 'Écris une expression pour : {words}',
+  'What is the order of rotational symmetry of {art} {shape}?': 'Quel est l’ordre de symétrie de rotation {shape|dun} ?',
+  'A {shape} has rotational symmetry of order {n}. What is the smallest turn that makes it look the same?': '{shape|Un} a une symétrie de rotation d’ordre {n}. Quelle est la plus petite rotation qui le fait paraître identique ?',
+  'Which capital letter has a vertical (up and down) line of symmetry?': 'Quelle lettre majuscule a un axe de symétrie vertical (de haut en bas) ?',
+  'Which capital letter has a horizontal (side to side) line of symmetry?': 'Quelle lettre majuscule a un axe de symétrie horizontal (de gauche à droite) ?',
+  '{k} more than a number n': '{k} de plus qu’un nombre n',
+  '{k} less than a number n': '{k} de moins qu’un nombre n',
+  '{k} times a number n': '{k} fois un nombre n',
+  'a number n divided by {k}': 'un nombre n divisé par {k}',
+  'double a number n, then add {k}': 'le double d’un nombre n, plus {k}',
+  'A house shape is a {w} cm by {h} cm rectangle with a triangle roof on top. The roof has a base of {b} cm and a height of {r} cm. What is the total area?': 'Une figure en forme de maison est un rectangle de {w} cm sur {h} cm surmonté d’un toit triangulaire. Le toit a une base de {b} cm et une hauteur de {r} cm. Quelle est l’aire totale ?',
+  'An L-shaped garden is made of a {a} m by {b} m rectangle and a {c} m by {d} m rectangle. What is its total area?': 'Un jardin en forme de L est formé d’un rectangle de {a} m sur {b} m et d’un rectangle de {c} m sur {d} m. Quelle est son aire totale ?',
+  '{e} = ? (Write it as a mixed number in simplest form)': '{e} = ? (Écris-le sous forme de nombre fractionnaire simplifié)',
+  'Volume: length={l} cm, width={w} cm, height={h} cm': 'Volume : longueur = {l} cm, largeur = {w} cm, hauteur = {h} cm',
+  'Solve: {eq}': 'Résous : {eq}',
+  'Write {f} in simplest form': 'Écris {f} sous sa forme la plus simple',
+  'A parallelogram has a base of {b} cm and a height of {h} cm. What is its area?': 'Un parallélogramme a une base de {b} cm et une hauteur de {h} cm. Quelle est son aire ?',
+  'A triangle has a base of {b} cm and a height of {h} cm. What is its area?': 'Un triangle a une base de {b} cm et une hauteur de {h} cm. Quelle est son aire ?',
+  'What number makes this true? {eq}': 'Quel nombre rend cette égalité vraie ? {eq}',
+  'Which graph would best show {data}?': 'Quel diagramme montrerait le mieux {data} ?',
+  'Find the mean of: {list}': 'Trouve la moyenne de : {list}',
+  'Find the median of: {list}': 'Trouve la médiane de : {list}',
+  'Find the mode of: {list}': 'Trouve le mode de : {list}',
+  'Circumference of circle with radius {r}? (Exact answer, in terms of π)': 'Circonférence d’un cercle de rayon {r} ? (Réponse exacte, en fonction de π)',
+  'Circumference of circle with radius {r}? (Use π=3.14, round to 1 decimal)': 'Circonférence d’un cercle de rayon {r} ? (Utilise π = 3,14 et arrondis à 1 décimale)',
+  'If f(x) = {e}, find f({x})': 'Si f(x) = {e}, trouve f({x})',
+  'P(red) if {a} red out of {b} total? Answer as fraction.': 'P(rouge) s’il y a {a} rouges sur {b} au total ? Réponds avec une fraction.',
+  'It is {t}°C in Edmonton. Overnight the temperature drops {d} degrees. What is the new temperature (in °C)?': 'Il fait {t} °C à Edmonton. Pendant la nuit, la température baisse de {d} degrés. Quelle est la nouvelle température (en °C) ?',
+  'Which is colder: {a}°C or {b}°C?': 'Où fait-il le plus froid : {a} °C ou {b} °C ?',
+  'Click where {e} lands on the number line.': 'Clique à l’endroit où {e} arrive sur la droite numérique.',
+  'Drag the numbers into order from least to greatest.': 'Glisse les nombres pour les placer en ordre croissant.',
+  'What is the reciprocal of {f}?': 'Quel est l’inverse de {f} ?',
+  'What is the reciprocal of {w} {f}?': 'Quel est l’inverse de {w} {f} ?',
+  'Simplify: {e}': 'Simplifie : {e}',
+  'Area of a circle with radius {r} cm? (Use π=3.14, round to 1 decimal)': 'Aire d’un cercle de rayon {r} cm ? (Utilise π = 3,14 et arrondis à 1 décimale)',
+  'A triangular prism has a triangle base {b} cm wide and {h} cm tall. The prism is {l} cm long. What is its volume?': 'Un prisme à base triangulaire a un triangle de base de {b} cm de large et de {h} cm de haut. Le prisme mesure {l} cm de long. Quel est son volume ?',
+  'Volume of a cylinder with radius {r} cm and height {h} cm? (Use π=3.14, round to 1 decimal)': 'Volume d’un cylindre de rayon {r} cm et de hauteur {h} cm ? (Utilise π = 3,14 et arrondis à 1 décimale)',
+  'What is the domain of {set}?': 'Quel est le domaine de {set} ?',
+  'What is the range of {set}?': 'Quelle est l’image de {set} ?',
+  'An input/output machine gives: {table}. What is the output for {n}?': 'Une machine à entrées et sorties donne : {table}. Quelle est la sortie pour {n} ?',
+  'A coin was flipped {n} times and landed on heads {h} times. What is the experimental probability of heads?': 'On a lancé une pièce de monnaie {n} fois et elle est tombée sur pile {h} fois. Quelle est la probabilité expérimentale d’obtenir pile ?',
+  'A spinner landed on red {r} times in {n} spins. About how many reds would you expect in {f} spins?': 'Une roulette s’est arrêtée sur le rouge {r} fois en {n} tours. Environ combien de rouges t’attendrais-tu à obtenir en {f} tours ?',
+  'You {text}. How many outcomes are in the sample space?': 'Tu {text}. Combien de résultats y a-t-il dans l’espace échantillonnal ?',
+  'Surface area of box: {l} m × {w} m × {h} m': 'Aire totale de la boîte : {l} m × {w} m × {h} m',
+  'Slope of y = {e}?': 'Pente de y = {e} ?',
+  'Plot the y-intercept of y = {e}.': 'Place l’ordonnée à l’origine de y = {e}.',
+  'Graph y = {e}: click two points on the line.': 'Trace y = {e} : clique sur deux points de la droite.',
+  'Classify {p} by its number of terms': 'Classe {p} selon son nombre de termes',
+  'What is the degree of {p}?': 'Quel est le degré de {p} ?',
+  'A net is made of {net}. What 3D shape does it fold into?': 'Un développement est formé de {net}. En quel solide se plie-t-il ?',
+  'Surface area of a cylinder with radius {r} cm and height {h} cm? (Use π=3.14, round to 1 decimal)': 'Aire totale d’un cylindre de rayon {r} cm et de hauteur {h} cm ? (Utilise π = 3,14 et arrondis à 1 décimale)',
+  'What is the slope of the line through {p} and {q}?': 'Quelle est la pente de la droite qui passe par {p} et {q} ?',
+  'A table of values shows {table}. Complete the rule: y = ?': 'Une table de valeurs montre {table}. Complète la règle : y = ?',
+  'In a histogram, the HEIGHT of each bar represents...?': 'Dans un histogramme, la HAUTEUR de chaque bande représente... ?',
+  'Which graph is best for showing continuous data (like heights)?': 'Quel diagramme convient le mieux pour montrer des données continues (comme des tailles) ?',
+  'The SHAPE of a distribution can be described as...?': 'La FORME d’une distribution peut être décrite comme... ?',
+  'In a histogram, {picture}. How is the distribution shaped?': 'Dans un histogramme, {picture}. Quelle est la forme de la distribution ?',
+  'Is √{n} a rational or irrational number?': '√{n} est-il un nombre rationnel ou irrationnel ?',
+  '√{n} is between which two consecutive integers?': '√{n} est entre quels deux entiers consécutifs ?',
+  '{a} and {b}': '{a} et {b}',
+  'Expand: {e}': 'Développe : {e}',
+  'Solve: {eq}. Write the answer in interval notation.': 'Résous : {eq}. Écris la réponse en notation d’intervalle.',
+  'Solve: {eq}. Write the answer as an inequality.': 'Résous : {eq}. Écris la réponse sous forme d’inégalité.',
+  'Largest integer x where {eq}?': 'Plus grand entier x tel que {eq} ?',
+  'f(x) = {e}. Find f({x}).': 'f(x) = {e}. Trouve f({x}).',
+  'What is the median of the data in this box plot?': 'Quelle est la médiane des données de ce diagramme à surface ?',
+  'What is the interquartile range (IQR) of the data in this box plot?': 'Quel est l’écart interquartile (EI) des données de ce diagramme à surface ?',
+  'What is the range of the data in this box plot?': 'Quelle est l’étendue des données de ce diagramme à surface ?',
+  'Data: {d}': 'Données : {d}',
+  'Find Q1 (the first quartile).': 'Trouve Q1 (le premier quartile).',
+  'Find Q3 (the third quartile).': 'Trouve Q3 (le troisième quartile).',
+  'Find the interquartile range (IQR).': 'Trouve l’écart interquartile (EI).',
+  'In a box plot, the LINE inside the box represents...?': 'Dans un diagramme à surface, la LIGNE dans la boîte représente... ?',
+  'The LEFT edge of the box in a box plot represents...?': 'Dans un diagramme à surface, le bord GAUCHE de la boîte représente... ?',
+  'The WHISKERS on a box plot extend to...?': 'Dans un diagramme à surface, les MOUSTACHES vont jusqu’à... ?',
+  'The Interquartile Range (IQR) is calculated as...?': 'L’écart interquartile (EI) se calcule comme... ?',
+  'P(A) = {a}, P(B) = {b}. If A and B are MUTUALLY EXCLUSIVE, P(A or B) = ?': 'P(A) = {a}, P(B) = {b}. Si A et B sont MUTUELLEMENT EXCLUSIFS, P(A ou B) = ?',
+  'Two events that CANNOT happen at the same time are called...?': 'Deux évènements qui NE PEUVENT PAS se produire en même temps sont dits... ?',
+  'What is the SMALLEST number set that contains {n}?': 'Quel est le PLUS PETIT ensemble de nombres qui contient {n} ?',
+  'Factor completely: {e}': 'Factorise complètement : {e}',
+  'A number line has a closed (filled-in) circle at {v} and an arrow pointing right. Which inequality does it show?': 'Une droite numérique a un cercle fermé (plein) à {v} et une flèche vers la droite. Quelle inégalité montre-t-elle ?',
+  'A number line has a closed (filled-in) circle at {v} and an arrow pointing left. Which inequality does it show?': 'Une droite numérique a un cercle fermé (plein) à {v} et une flèche vers la gauche. Quelle inégalité montre-t-elle ?',
+  'A number line has an open circle at {v} and an arrow pointing right. Which inequality does it show?': 'Une droite numérique a un cercle ouvert à {v} et une flèche vers la droite. Quelle inégalité montre-t-elle ?',
+  'A number line has an open circle at {v} and an arrow pointing left. Which inequality does it show?': 'Une droite numérique a un cercle ouvert à {v} et une flèche vers la gauche. Quelle inégalité montre-t-elle ?',
+  'To graph x {op} {v} on a number line, what do you draw at {w}?': 'Pour représenter x {op} {v} sur une droite numérique, que dessines-tu à {w} ?',
+  'Solve: {e} = 0. Give both solutions.': 'Résous : {e} = 0. Donne les deux solutions.',
+  'Write { x | x {op} {v}, x ∈ R } in interval notation.': 'Écris { x | x {op} {v}, x ∈ R } en notation d’intervalle.',
+  'Is f(x) = {e} increasing, decreasing or constant?': 'La fonction f(x) = {e} est-elle croissante, décroissante ou constante ?',
+  'f(x) = {e}. For what value of x is f(x) = {t}?': 'f(x) = {e}. Pour quelle valeur de x a-t-on f(x) = {t} ?',
+  'Data: {d}. Find Q3 (the third quartile).': 'Données : {d}. Trouve Q3 (le troisième quartile).',
+  'Data: {d}. Find Q1 (the first quartile).': 'Données : {d}. Trouve Q1 (le premier quartile).',
+  'A box plot shows {s}. What is the interquartile range (IQR)?': 'Un diagramme à surface montre {s}. Quel est l’écart interquartile (EI) ?',
+  'A box plot shows {s}. What is the range?': 'Un diagramme à surface montre {s}. Quelle est l’étendue ?',
+  'Data: {d}. Which value is an outlier?': 'Données : {d}. Quelle valeur est aberrante ?',
+  'P(A) = {a}, P(B) = {b} and P(A and B) = {c}. Find P(A or B).': 'P(A) = {a}, P(B) = {b} et P(A et B) = {c}. Trouve P(A ou B).',
+  'A spinner has {n} equal sections and one is red. You spin it and roll a die. What is P(red AND {e})?': 'Une roulette a {n} sections égales et l’une d’elles est rouge. Tu la fais tourner et tu lances un dé. Quelle est P(rouge ET {e}) ?',
+  'P(rain) = {p}. What is P(no rain)?': 'P(pluie) = {p}. Quelle est P(pas de pluie) ?',
+  'A bag has only red, blue and green marbles. P(red) = {r} and P(blue) = {b}. What is P(green)?': 'Un sac contient seulement des billes rouges, bleues et vertes. P(rouge) = {r} et P(bleue) = {b}. Quelle est P(verte) ?',
+  '{e} = (x + ?)(x + ?). What are the two numbers?': '{e} = (x + ?)(x + ?). Quels sont les deux nombres ?',
+  'Factor: {e}': 'Factorise : {e}',
+  'y-intercept of y = {e}?': 'Ordonnée à l’origine de y = {e} ?',
+  'x + y = {a}, x - y = {b}. Solve and give the point (x, y).': 'x + y = {a}, x - y = {b}. Résous et donne le point (x, y).',
+  'Solve the system: x + y = {a}, x - y = {b}': 'Résous le système : x + y = {a}, x - y = {b}',
+  'Find x.': 'Trouve x.',
+  'Now find y.': 'Trouve maintenant y.',
+  'x + y = {a}, x - y = {b}. Find x.': 'x + y = {a}, x - y = {b}. Trouve x.',
+  'Triangle ABC has a right angle at C. The side opposite angle A is BC = {a}, and AC = {b}.': 'Le triangle ABC a un angle droit en C. Le côté opposé à l’angle A est BC = {a}, et AC = {b}.',
+  'Find the hypotenuse AB.': 'Trouve l’hypoténuse AB.',
+  'Find sin A (2 decimals).': 'Trouve sin A (2 décimales).',
+  'Find angle A to the nearest degree.': 'Trouve l’angle A au degré près.',
+  '{f}({a}°) = ? (2 decimals)': '{f}({a}°) = ? (2 décimales)',
+  '{n} meters = ? centimeters': '{n} mètres = ? centimètres',
+  '{n} kilometers = ? meters': '{n} kilomètres = ? mètres',
+  '{n} feet = ? inches': '{n} pieds = ? pouces',
+  '{n} inches ≈ ? cm (use 1 inch = 2.54 cm)': '{n} pouces ≈ ? cm (utilise 1 pouce = 2,54 cm)',
+  'Find the surface area of {s}. (Round to 1 decimal)': 'Trouve l’aire totale d’{s}. (Arrondis à 1 décimale)',
+  'Find the volume of {s}. (Round to 1 decimal)': 'Trouve le volume d’{s}. (Arrondis à 1 décimale)',
+  'a sphere with radius {r} cm': 'une sphère de rayon {r} cm',
+  'a cone with radius {r} cm and slant height {s} cm': 'un cône de rayon {r} cm et d’apothème {s} cm',
+  'a square pyramid with base side {b} cm and slant height {s} cm': 'une pyramide à base carrée de côté {b} cm et d’apothème {s} cm',
+  'a cone with radius {r} cm and height {h} cm': 'un cône de rayon {r} cm et de hauteur {h} cm',
+  'a square pyramid with base side {b} cm and height {h} cm': 'une pyramide à base carrée de côté {b} cm et de hauteur {h} cm',
+  'What is the slope of the line {e}?': 'Quelle est la pente de la droite {e} ?',
+  'A line has slope {m} and passes through {p}. Complete its equation: y = ?': 'Une droite a une pente de {m} et passe par {p}. Complète son équation : y = ?',
+  'What is the equation of the line on the grid? y = ?': 'Quelle est l’équation de la droite sur la grille ? y = ?',
+  'Which point is on the line y = {e}?': 'Quel point est sur la droite y = {e} ?',
+  'What is the slope of any line parallel to y = {e}?': 'Quelle est la pente de toute droite parallèle à y = {e} ?',
+  'A line has slope {m}. What is the slope of a line perpendicular to it?': 'Une droite a une pente de {m}. Quelle est la pente d’une droite qui lui est perpendiculaire ?',
+  'Solve by substitution: y = {a} and {b}. Give the point (x, y).': 'Résous par substitution : y = {a} et {b}. Donne le point (x, y).',
+  'The lines y = {a} and y = {b} are graphed. At what point do they cross?': 'Les droites y = {a} et y = {b} sont tracées. En quel point se coupent-elles ?',
+  'How many solutions does the system {a} and {b} have?': 'Combien de solutions le système {a} et {b} a-t-il ?',
+  'A right triangle has legs {a} cm and {b} cm. How long is the hypotenuse?': 'Un triangle rectangle a des cathètes de {a} cm et {b} cm. Quelle est la longueur de l’hypoténuse ?',
+  'A right triangle has a hypotenuse of {c} cm and one leg of {a} cm. How long is the other leg?': 'Un triangle rectangle a une hypoténuse de {c} cm et une cathète de {a} cm. Quelle est la longueur de l’autre cathète ?',
+  'In a right triangle, one angle is {a}° and the hypotenuse is {h} cm. Find the side opposite the {b}° angle. (1 decimal)': 'Dans un triangle rectangle, un angle mesure {a}° et l’hypoténuse mesure {h} cm. Trouve le côté opposé à l’angle de {b}°. (1 décimale)',
+  'In a right triangle, one angle is {a}° and the hypotenuse is {h} cm. Find the side adjacent the {b}° angle. (1 decimal)': 'Dans un triangle rectangle, un angle mesure {a}° et l’hypoténuse mesure {h} cm. Trouve le côté adjacent à l’angle de {b}°. (1 décimale)',
+  'A right triangle has sides {o} cm opposite angle A and {a} cm adjacent to angle A. Find angle A to the nearest degree.': 'Un triangle rectangle a un côté de {o} cm opposé à l’angle A et un côté de {a} cm adjacent à l’angle A. Trouve l’angle A au degré près.',
+  '√{n} = ?': '√{n} = ?',
+  '{e} = 0. Find all roots (separate with commas).': '{e} = 0. Trouve toutes les racines (sépare-les par des points-virgules).',
+  '{e} = 0. Find one root.': '{e} = 0. Trouve une racine.',
+  'Arithmetic: {s}... What are the next 3 terms?': 'Suite arithmétique : {s}... Quels sont les 3 termes suivants ?',
+  'Arithmetic: {s}... Term {n}?': 'Suite arithmétique : {s}... Terme {n} ?',
+  'Geometric: {s}... Term {n}?': 'Suite géométrique : {s}... Terme {n} ?',
+  'Solve: {e}. Give both solutions.': 'Résous : {e}. Donne les deux solutions.',
+  'What is the distance between {a} and {b} on a number line?': 'Quelle est la distance entre {a} et {b} sur une droite numérique ?',
+  'Rationalize the denominator: {e}': 'Rationalise le dénominateur : {e}',
+  'What is the vertex of y = {e}?': 'Quel est le sommet de y = {e} ?',
+  'Use the quadratic formula to solve {e} = 0. Give both solutions.': 'Utilise la formule quadratique pour résoudre {e} = 0. Donne les deux solutions.',
+  'Find the discriminant of {e} = 0.': 'Trouve le discriminant de {e} = 0.',
+  'How many real roots does {e} = 0 have?': 'Combien de racines réelles {e} = 0 a-t-elle ?',
+  'Complete the square to find the vertex of y = {e}.': 'Complète le carré pour trouver le sommet de y = {e}.',
+  'Find the sum of the first {n} terms of {s} + ...': 'Trouve la somme des {n} premiers termes de {s} + ...',
+  'Evaluate: Σ ({e}) for k = 1 to {n}': 'Évalue : Σ ({e}) pour k = 1 à {n}',
+  'Write the general term tₙ for {s}, ... (in terms of n)': 'Écris le terme général tₙ de {s}, ... (en fonction de n)',
+  'An angle of {a}° is drawn in standard position. Where does its terminal arm lie?': 'Un angle de {a}° est tracé en position standard. Où se trouve son côté terminal ?',
+  'What positive angle less than 360° is coterminal with -{a}°?': 'Quel angle positif plus petit que 360° est coterminal avec -{a}° ?',
+  'What is the reference angle of {a}°?': 'Quel est l’angle de référence de {a}° ?',
+  'The point {p} is on the terminal arm of angle θ. Find {f} θ as a fraction.': 'Le point {p} est sur le côté terminal de l’angle θ. Trouve {f} θ sous forme de fraction.',
+  'Angle θ ends in Quadrant {q}. Is {f} θ positive or negative?': 'L’angle θ se termine dans le quadrant {q}. {f} θ est-il positif ou négatif ?',
+  '{a} θ > 0 but {b} θ < 0 and {c} θ < 0. Which quadrant is θ in?': '{a} θ > 0 mais {b} θ < 0 et {c} θ < 0. Dans quel quadrant se trouve θ ?',
+  'f(x) = x². Vertex of f(x-{h}) + {k}? Answer as a point (x, y).': 'f(x) = x². Sommet de f(x-{h}) + {k} ? Réponds par un point (x, y).',
+  '{b}^{e} = ?': '{b}^{e} = ?',
+  '{q} = ?': '{q} = ?',
+  'log({a}) + log({b}) = log(?)': 'log({a}) + log({b}) = log(?)',
+  'Degree of {p}?': 'Degré de {p} ?',
+  'Solve: {f}(x) = {v} for {r}': 'Résous : {f}(x) = {v} pour {r}',
+  'Solve: {f}(x) = {v} for {r}. Give both solutions.': 'Résous : {f}(x) = {v} pour {r}. Donne les deux solutions.',
+  'P({n},{r}) = Arrange {k} from {m} items?': 'P({n},{r}) = Arranger {k} éléments parmi {m} ?',
+  'C({n},{r}) = Choose {k} from {m} items?': 'C({n},{r}) = Choisir {k} éléments parmi {m} ?',
+  '(x+1)^{n}: coefficient of x²?': '(x+1)^{n} : coefficient de x² ?',
+  'The point {p} is on y = f(x). What point is on y = {e}?': 'Le point {p} est sur y = f(x). Quel point est sur y = {e} ?',
+  'f(x) = {e}. Find f⁻¹({y}).': 'f(x) = {e}. Trouve f⁻¹({y}).',
+  'f(x) = {e}. Find f⁻¹(x).': 'f(x) = {e}. Trouve f⁻¹(x).',
+  'A culture starts with {n} bacteria and doubles every {d} hours. How many are there after {h} hours?': 'Une culture commence avec {n} bactéries et double toutes les {d} heures. Combien y en a-t-il après {h} heures ?',
+  'A {n} mg sample has a half-life of {h} days. How many mg are left after {t} days?': 'Un échantillon de {n} mg a une demi-vie de {h} jours. Combien de mg reste-t-il après {t} jours ?',
+  '${p} is invested at {r}% per year, compounded annually. What is it worth after {y} years? (Nearest cent)': 'On place {p} $ à {r} % par année, capitalisé annuellement. Combien vaut le placement après {y} ans ? (Au cent près)',
+  'Solve: {e} = {n}': 'Résous : {e} = {n}',
+  'ln(e^{k}) = ?': 'ln(e^{k}) = ?',
+  'Solve: e^x = {v} (2 decimals)': 'Résous : e^x = {v} (2 décimales)',
+  'Evaluate {e} using change of base. (2 decimals)': 'Évalue {e} à l’aide du changement de base. (2 décimales)',
+  'Describe the end behaviour of y = {e}.': 'Décris le comportement aux extrémités de y = {e}.',
+  'Find all the zeros of P(x) = {e}.': 'Trouve tous les zéros de P(x) = {e}.',
+  'Which is a factor of P(x) = {e}?': 'Lequel est un facteur de P(x) = {e} ?',
+  'Find the remainder when P(x) = {e} is divided by {d}.': 'Trouve le reste quand P(x) = {e} est divisé par {d}.',
+  'What is the general solution of {e}?': 'Quelle est la solution générale de {e} ?',
+  'When proving an identity, {e} can be replaced with...?': 'Pour démontrer une identité, {e} peut être remplacé par... ?',
+  'You have {a} shirts, {b} pairs of pants and {c} pairs of shoes. How many different outfits can you make?': 'Tu as {a} chandails, {b} pantalons et {c} paires de souliers. Combien de tenues différentes peux-tu faire ?',
+  'Sam had some stickers and got {b} more. Now Sam has {c}. How many stickers did Sam start with?': 'Sam avait des autocollants et en a reçu {b} de plus. Sam en a maintenant {c}. Combien d’autocollants Sam avait-il au départ ?',
+  'What is {n}/{d} of {w}?': 'Combien font {n}/{d} de {w} ?',
+  'Write {w} {n}/{d} as an improper fraction.': 'Écris {w} {n}/{d} sous forme de fraction impropre.',
+  'What is {p}% of {n}?': 'Combien font {p} % de {n} ?',
+  'Look at the pattern: {a}. Use it to find the sum of the first {n} odd numbers.': 'Observe la régularité : {a}. Utilise-la pour trouver la somme des {n} premiers nombres impairs.',
+  'Look at the pattern: {a}. Use it to find {e}.': 'Observe la régularité : {a}. Utilise-la pour trouver {e}.',
+  'The first four figures of a tile pattern have {a} tiles. How many tiles are in figure {n}?': 'Les quatre premières figures d’une suite de tuiles ont {a} tuiles. Combien de tuiles y a-t-il dans la figure {n} ?',
+  'Conjecture: {s} Which number is a counterexample?': 'Conjecture : {s} Quel nombre est un contre-exemple ?',
+  'Every odd number greater than 1 is prime.': 'Tout nombre impair plus grand que 1 est premier.',
+  'Every number divisible by {a} is also divisible by {b}.': 'Tout nombre divisible par {a} est aussi divisible par {b}.',
+  'The square of a whole number is always greater than the number.': 'Le carré d’un nombre entier est toujours plus grand que ce nombre.',
+  'Every number that ends in 4 is divisible by 4.': 'Tout nombre qui se termine par 4 est divisible par 4.',
+  'Pick any number n. Add {a}, multiply by {b}, subtract {c}, divide by {d}, then subtract n. Deductive reasoning shows you always end with the same number. What is it?': 'Choisis n’importe quel nombre n. Additionne {a}, multiplie par {b}, soustrais {c}, divise par {d}, puis soustrais n. Le raisonnement déductif montre qu’on obtient toujours le même nombre. Quel est-il ?',
+  'A car travels {d} km in {t} hours. What is its average speed in km/h?': 'Une voiture parcourt {d} km en {t} heures. Quelle est sa vitesse moyenne en km/h ?',
+  'Job A pays ${a} for {b} hours. Job B pays ${c} for {d} hours. How many dollars more per hour does the better-paying job pay?': 'L’emploi A paie {a} $ pour {b} heures. L’emploi B paie {c} $ pour {d} heures. Combien de dollars de plus par heure l’emploi le mieux payé rapporte-t-il ?',
+  'A rectangle with an area of {a} cm² is enlarged by a scale factor of {k}. What is the area of the new rectangle in cm²?': 'Un rectangle d’une aire de {a} cm² est agrandi selon un facteur d’échelle de {k}. Quelle est l’aire du nouveau rectangle en cm² ?',
+  'A box with a volume of {v} cm³ is enlarged by a scale factor of {k}. What is the volume of the new box in cm³?': 'Une boîte d’un volume de {v} cm³ est agrandie selon un facteur d’échelle de {k}. Quel est le volume de la nouvelle boîte en cm³ ?',
+  'Two similar triangles have a scale factor of {k}. The bigger one has an area of {a} cm². What is the area of the smaller one in cm²?': 'Deux triangles semblables ont un facteur d’échelle de {k}. Le plus grand a une aire de {a} cm². Quelle est l’aire du plus petit en cm² ?',
+  'Store A sells {a} kg of rice for ${p}. Store B sells {b} kg of rice for ${q}. What is the lower price per kilogram? (Nearest cent)': 'Le magasin A vend {a} kg de riz pour {p} $. Le magasin B vend {b} kg de riz pour {q} $. Quel est le prix le plus bas par kilogramme ? (Au cent près)',
+  'A pack of {a} granola bars costs ${p} and a pack of {b} granola bars costs ${q}. What is the lower price per bar? (Nearest cent)': 'Un paquet de {a} barres granola coûte {p} $ et un paquet de {b} barres granola coûte {q} $. Quel est le prix le plus bas par barre ? (Au cent près)',
+  'You work {h} hours at ${w} an hour. {r}% of your gross pay is taken off for deductions. What is your net pay? (Nearest cent)': 'Tu travailles {h} heures à {w} $ l’heure. On retient {r} % de ta paie brute pour les déductions. Quelle est ta paie nette ? (Au cent près)',
+  'Your monthly income is ${i}. You spend ${a} on rent, ${b} on food and ${c} on transportation, and save the rest. What percent of your income do you save?': 'Ton revenu mensuel est de {i} $. Tu dépenses {a} $ pour le loyer, {b} $ pour la nourriture et {c} $ pour le transport, et tu épargnes le reste. Quel pourcentage de ton revenu épargnes-tu ?',
+  'How many subsets does the set {s} have?': 'Combien de sous-ensembles l’ensemble {s} a-t-il ?',
+  'How many proper subsets does the set {s} have?': 'Combien de sous-ensembles propres l’ensemble {s} a-t-il ?',
+  'U = {u}. A is the set of multiples of {a} in U and B is the set of multiples of {b} in U. What is n(A ∩ B)?': 'U = {u}. A est l’ensemble des multiples de {a} dans U et B est l’ensemble des multiples de {b} dans U. Que vaut n(A ∩ B) ?',
+  'U = {u}. A is the set of multiples of {a} in U and B is the set of multiples of {b} in U. What is n(A ∪ B)?': 'U = {u}. A est l’ensemble des multiples de {a} dans U et B est l’ensemble des multiples de {b} dans U. Que vaut n(A ∪ B) ?',
+  'In a class of {t} students, {a} play {x}, {b} play {y} and {c} play both. How many play neither?': 'Dans une classe de {t} élèves, {a} jouent au {x}, {b} jouent au {y} et {c} jouent aux deux. Combien ne jouent à aucun des deux ?',
+  'In a class of {t} students, {a} play {x}, {b} play {y} and {c} play both. How many play only one of the two sports?': 'Dans une classe de {t} élèves, {a} jouent au {x}, {b} jouent au {y} et {c} jouent aux deux. Combien jouent à un seul des deux sports ?',
+  'U = {u} and A is the set of multiples of {k} in U. What is n(A′)?': 'U = {u} et A est l’ensemble des multiples de {k} dans U. Que vaut n(A′) ?',
+  'Statement: {s} What is its {f}?': 'Énoncé : {s} Quelle est sa {f} ?',
+  'If a number {x}, then it {y}.': 'Si un nombre {x}, alors il {y}.',
+  'If a polygon {x}, then it {y}.': 'Si un polygone {x}, alors il {y}.',
+  'If an angle {x}, then it {y}.': 'Si un angle {x}, alors il {y}.',
+  'If an animal {x}, then it {y}.': 'Si un animal {x}, alors il {y}.',
+  'is a multiple of {n}': 'est un multiple de {n}',
+  'is not a multiple of {n}': 'n’est pas un multiple de {n}',
+  'is divisible by {n}': 'est divisible par {n}',
+  'is not divisible by {n}': 'n’est pas divisible par {n}',
+  'measures {a}°': 'mesure {a}°',
+  'does not measure {a}°': 'ne mesure pas {a}°',
+  'Which statement has a true converse, so it can be written as a biconditional ("if and only if")?': 'Quel énoncé a une réciproque vraie, de sorte qu’on peut l’écrire comme une biconditionnelle (« si et seulement si ») ?',
+  'You invest ${p} at {r}% simple interest per year. How much interest do you earn in {y} years? (Nearest cent)': 'Tu places {p} $ à {r} % d’intérêt simple par année. Combien d’intérêts gagnes-tu en {y} ans ? (Au cent près)',
+  'You invest ${p} at {r}% simple interest per year. What is the investment worth after {y} years? (Nearest cent)': 'Tu places {p} $ à {r} % d’intérêt simple par année. Combien vaut le placement après {y} ans ? (Au cent près)',
+  'A car bought for ${p} loses {r}% of its value each year. What is it worth after {y} years? (Nearest dollar)': 'Une voiture achetée {p} $ perd {r} % de sa valeur chaque année. Combien vaut-elle après {y} ans ? (Au dollar près)',
+  'Find the limit of {e} as x → {a}.': 'Trouve la limite de {e} quand x → {a}.',
+  'f(x) = {e}. Find f′({a}).': 'f(x) = {e}. Trouve f′({a}).',
+  'What is the slope of the tangent to y = {e} at the point where x = {a}?': 'Quelle est la pente de la tangente à y = {e} au point où x = {a} ?',
+  'f(x) = {e}. Use the product rule to find f′({a}).': 'f(x) = {e}. Utilise la règle du produit pour trouver f′({a}).',
+  'f(x) = {e}. Use the chain rule to find f′({a}).': 'f(x) = {e}. Utilise la dérivation en chaîne pour trouver f′({a}).',
+  'F′(x) = {e} and F(0) = {c}. Find F({a}).': 'F′(x) = {e} et F(0) = {c}. Trouve F({a}).',
+  'Evaluate ∫ from {a} to {b} of ({e}) dx.': 'Évalue ∫ de {a} à {b} de ({e}) dx.',
+  'Find the area between y = {e} and the x-axis from x = {a} to x = {b}.': 'Trouve l’aire entre y = {e} et l’axe des x, de x = {a} à x = {b}.'
+}
+
+export const STEPS = {
+  // ===== GRADE 1 =====
+  'The missing number is the difference between the total and the part': 'Le nombre manquant est la différence entre le total et la partie',
+  'Subtract {a} from {b}': 'Soustrais {a} de {b}',
+  'Check by adding': 'Vérifie en additionnant',
+  'Getting more means we add': 'En recevoir plus veut dire qu’on additionne',
+  'Taking some away means we subtract': 'En enlever veut dire qu’on soustrait',
+  'Add {a} to {b}': 'Ajoute {a} à {b}',
+  'The bigger number comes later when you count': 'Le plus grand nombre vient plus tard quand on compte',
+  '{a} is the bigger number': '{a} est le plus grand nombre',
+  'Start at {a} and count {b} more': 'Commence à {a} et compte {b} de plus',
+  'You stop at {a}': 'Tu t’arrêtes à {a}',
+  'A double means two groups of {a}': 'Un double, c’est deux groupes de {a}',
+  'Add them together': 'Additionne-les',
+  'Count the straight edges around the shape': 'Compte les côtés droits autour de la figure',
+  'It is a {shape}, so it has {n} sides': 'C’est {shape|un}, donc il a {n} côtés',
+  'A corner is where two sides meet': 'Un coin est l’endroit où deux côtés se rencontrent',
+  'A circle has no straight sides, so it has no corners': 'Un cercle n’a pas de côtés droits, donc il n’a pas de coins',
+  'A {shape} has {n} corners': '{shape|Un} a {n} coins',
+  'Squares, triangles and rectangles all have straight sides and corners': 'Les carrés, les triangles et les rectangles ont tous des côtés droits et des coins',
+  'A circle is curved all the way around, so it is round': 'Un cercle est courbe tout autour, donc il est rond',
+  'Smaller hands cover less of the table each time': 'De plus petites mains couvrent moins de la table à chaque fois',
+  'So you need MORE hands to cover the same table - the number gets bigger': 'Il faut donc PLUS de mains pour couvrir la même table : le nombre devient plus grand',
+  'Start at {a}': 'Commence à {a}',
+  'Count up {a} more': 'Compte {a} de plus',
+  'Count back {a}': 'Recule de {a}',
+  'Find the number that makes 10 with {a}': 'Trouve le nombre qui fait 10 avec {a}',
+  'A fact family uses the same three numbers': 'Une famille de nombres utilise les trois mêmes nombres',
+  'The two parts {a} and {b} make the whole {c}': 'Les deux parties {a} et {b} forment le tout {c}',
+  'Take one part away from the whole to get the other part': 'Enlève une partie du tout pour trouver l’autre partie',
+  '{a} groups of {b} make {c}': '{a} groupes de {b} font {c}',
+  'So sharing {a} into {b} groups gives {c}': 'Donc partager {a} en {b} groupes donne {c}',
+  'A flat face is a flat side you could stand the shape on': 'Une face plane est un côté plat sur lequel on peut poser le solide',
+  'A {shape} is {hint}': '{shape|Un} est {hint}',
+  '{n} flat face': '{n} face plane',
+  '{n} flat faces': '{n} faces planes',
+  'Faces are the flat surfaces, edges are where two faces meet, vertices are the corners': 'Les faces sont les surfaces planes, les arêtes sont là où deux faces se rencontrent et les sommets sont les coins',
+  'A {shape} has {f} faces, {e} edges and {v} vertices': '{shape|Un} a {f} faces, {e} arêtes et {v} sommets',
+  "Check with Euler's rule: faces + vertices - edges = 2": 'Vérifie avec la règle d’Euler : faces + sommets - arêtes = 2',
+  'Count the {part} of each shape': 'Compte les {part} de chaque figure',
+  'A flat shape has as many corners as sides': 'Une figure plane a autant de coins que de côtés',
+  '{a} is more than {b}': '{a} est plus grand que {b}',
+  'The {shape} has more {part}': '{shape|Le} a plus {part|de}',
+  'Count the sides of each shape': 'Compte les côtés de chaque figure',
+  '{group} all have 4 sides': '{group} ont tous 4 côtés',
+  'A circle has no straight sides, so it does not belong': 'Un cercle n’a pas de côtés droits, donc il n’appartient pas au groupe',
+  'A {shape} does not have 4 sides, so it does not belong': '{shape|Un} n’a pas 4 côtés, donc il n’appartient pas au groupe',
+  'Both lengths use the same unit, so compare the numbers': 'Les deux longueurs utilisent la même unité, alors compare les nombres',
+  '{a} is more than {b}, so {c}cm is longer': '{a} est plus grand que {b}, donc {c} cm est plus long',
+  'Area is how much space something covers - count the tiles': 'L’aire, c’est l’espace que couvre un objet : compte les tuiles',
+  'More tiles means more area': 'Plus de tuiles veut dire une plus grande aire',
+  'So the {thing} covers more area': 'Donc {thing|le} couvre la plus grande aire',
+  'Capacity is how much a container holds - count the scoops': 'La capacité, c’est ce que peut contenir un contenant : compte les pelles',
+  'The {a} holds {m} scoops and the {b} holds {n} scoops': '{a|Le} contient {m} pelles et {b|le} contient {n} pelles',
+  'So the {a} holds {ask}': 'Donc {a|le} contient {ask}',
+  'Compare how many cubes long each one is': 'Compare combien de cubes de long mesure chaque objet',
+  'Start with the fewest cubes and end with the most': 'Commence par le moins de cubes et finis par le plus',
+  'So the order is {order}': 'Donc l’ordre est {order}',
+  'Every day goes in the same cycle': 'Chaque journée suit le même cycle',
+  'After night a new day starts with morning': 'Après la nuit, une nouvelle journée commence avec le matin',
+  'After {a} comes {b}': 'Après {a|le} vient {b|le}',
+  'Count the months: January, February, March, April, May, June': 'Compte les mois : janvier, février, mars, avril, mai, juin',
+  'July, August, September, October, November, December': 'juillet, août, septembre, octobre, novembre, décembre',
+  'That makes 12 months': 'Ça fait 12 mois',
+  'Count the days: Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday': 'Compte les jours : lundi, mardi, mercredi, jeudi, vendredi, samedi, dimanche',
+  'That makes 7 days': 'Ça fait 7 jours',
+  'Say the days of the week in order': 'Dis les jours de la semaine dans l’ordre',
+  'After Sunday the week starts again with Monday': 'Après dimanche, la semaine recommence avec lundi',
+  'The seasons go around in the same order every year': 'Les saisons reviennent dans le même ordre chaque année',
+  'Think about what the weather and plants are like in each season': 'Pense au temps qu’il fait et aux plantes à chaque saison',
+  'When {clue}, it is {season}': 'Quand {clue}, c’est {season|le}',
+  'Brushing teeth and eating a snack take a few minutes': 'Se brosser les dents et manger une collation prennent quelques minutes',
+  'Sleeping at night takes many hours, so it takes the longest': 'Dormir la nuit prend plusieurs heures, donc c’est le plus long',
+  'We {a} in the {t} and {b} in the {u}': 'On doit {a} {t|le} et {b} {u|le}',
+  'The day goes morning → afternoon → evening → night': 'La journée va matin → après-midi → soir → nuit',
+  'So we {a} first': 'Donc on doit {a} en premier',
+
+  // ===== GRADE 2 =====
+  'Shapes are named by how many sides they have': 'Les figures sont nommées selon leur nombre de côtés',
+  '3 = triangle, 4 = quadrilateral, 5 = pentagon, 6 = hexagon': '3 = triangle, 4 = quadrilatère, 5 = pentagone, 6 = hexagone',
+  'So a shape with {n} sides is a {shape}': 'Donc une figure à {n} côtés est {shape|un}',
+  'The length is already given in centimeters': 'La longueur est déjà donnée en centimètres',
+  'So the pencil is {n} cm long': 'Donc le crayon mesure {n} cm de long',
+  'Every week has 7 days': 'Chaque semaine a 7 jours',
+  'Multiply {n} week(s) by 7': 'Multiplie {n} semaine(s) par 7',
+  'Read each row of the pictograph': 'Lis chaque rangée du pictogramme',
+  'Add the rows to get the total': 'Additionne les rangées pour trouver le total',
+  'Add the tens': 'Additionne les dizaines',
+  'Add the ones': 'Additionne les unités',
+  'Put them together': 'Mets-les ensemble',
+  'Take away the tens of {n}': 'Enlève les dizaines de {n}',
+  'Take away the ones of {n}': 'Enlève les unités de {n}',
+  'Adding {n} only changes the tens digit': 'Ajouter {n} change seulement le chiffre des dizaines',
+  'Count on by tens from {n}': 'Compte par dizaines à partir de {n}',
+  'Taking away {n} only changes the tens digit': 'Enlever {n} change seulement le chiffre des dizaines',
+  'Count back by tens from {n}': 'Compte à rebours par dizaines à partir de {n}',
+  'Split {b} so part of it makes {a} a friendly ten': 'Décompose {b} pour qu’une partie fasse de {a} une dizaine ronde',
+  'Make the ten': 'Forme la dizaine',
+  'Add the rest': 'Ajoute le reste',
+  'Look for something every shape in Group 1 shares that Group 2 does not': 'Cherche ce que toutes les figures du groupe 1 ont en commun et que le groupe 2 n’a pas',
+  'So the rule is {rule}': 'Donc la règle est {rule}',
+  'Count the straight sides': 'Compte les côtés droits',
+  'A vertex is a corner where two sides meet - a flat shape has as many as it has sides': 'Un sommet est un coin où deux côtés se rencontrent : une figure plane en a autant que de côtés',
+  'A {shape} has {n} sides': '{shape|Un} a {n} côtés',
+  'A {shape} has {n} vertices (corners)': '{shape|Un} a {n} sommets (coins)',
+  'Check each clue: the number of sides, the corners and the side lengths': 'Vérifie chaque indice : le nombre de côtés, les coins et la longueur des côtés',
+  'Only a {shape} fits every clue': 'Seul {shape|un} correspond à tous les indices',
+  "The crayon doesn't start at 0, so the end mark isn't the length": 'Le crayon ne commence pas à 0, donc la marque du bout n’est pas la longueur',
+  'Count the centimeters from one end to the other': 'Compte les centimètres d’un bout à l’autre',
+  'The crayon is {n} cm long': 'Le crayon mesure {n} cm de long',
+  'Think about what is being measured: length, mass, capacity, temperature or time': 'Pense à ce qu’on mesure : la longueur, la masse, la capacité, la température ou le temps',
+  'To measure {task}, use a {tool}': 'Pour mesurer {task}, utilise {tool|un}',
+  'Think of a centimeter as about the width of your finger': 'Un centimètre, c’est environ la largeur de ton doigt',
+  'A {thing} is about {n} finger widths long': '{thing|Un} mesure environ {n} largeurs de doigt',
+  'Count {n} days forward from {day}': 'Compte {n} jours à partir de {day}',
+  'The last day counted is {day}': 'Le dernier jour compté est {day}',
+  'Say the months in order': 'Dis les mois dans l’ordre',
+  'After December a new year starts with January': 'Après décembre, une nouvelle année commence avec janvier',
+  'Count the months starting with January as 1': 'Compte les mois en commençant par janvier = 1',
+  '{n} January': '{n} janvier',
+  '{n} February': '{n} février',
+  '{n} March': '{n} mars',
+  '{n} April': '{n} avril',
+  '{n} May': '{n} mai',
+  '{n} June': '{n} juin',
+  '{n} July': '{n} juillet',
+  '{n} August': '{n} août',
+  '{n} September': '{n} septembre',
+  '{n} October': '{n} octobre',
+  '{n} November': '{n} novembre',
+  '{n} December': '{n} décembre',
+  '{month} is month number {n}': '{month} est le mois numéro {n}',
+  'A year is one trip of the Earth around the Sun': 'Une année, c’est un tour de la Terre autour du Soleil',
+  'That takes 365 days (366 in a leap year)': 'Cela prend 365 jours (366 dans une année bissextile)',
+  'A year has 365 days and a week has 7 days': 'Une année a 365 jours et une semaine a 7 jours',
+  'That makes 52 weeks (and 1 day left over)': 'Ça fait 52 semaines (et il reste 1 jour)',
+  'Every year Sam gets one year older': 'Chaque année, Sam vieillit d’un an',
+  'Add the years': 'Additionne les années',
+  'Each bundle ||||/ is 5 marks (4 lines crossed by 1)': 'Chaque paquet ||||/ vaut 5 traits (4 traits barrés par 1)',
+  'Count the bundles by 5s, then add the single marks': 'Compte les paquets par 5, puis ajoute les traits seuls',
+  'Count the stars in the {animal} row: there are {n}': 'Compte les étoiles dans la rangée des {animal} : il y en a {n}',
+  'Each star means {a}, so skip count by {b}s': 'Chaque étoile vaut {a}, alors compte par bonds de {b}',
+  'Read the two bars': 'Lis les deux bandes',
+  '"How many more" means find the difference': '« Combien de plus » veut dire trouver la différence',
+  'Find the {which} bar (the {size} number)': 'Trouve la bande {which} ({size} nombre)',
+  'That bar is {thing}': 'Cette bande, c’est : {thing}',
+  'There are {a} equal groups of {b}, so multiply': 'Il y a {a} groupes égaux de {b}, alors multiplie',
+  'Multiply the number of groups by how many are in each group': 'Multiplie le nombre de groupes par le nombre dans chaque groupe',
+  'Sharing {a} equally into {b} groups means we divide': 'Partager {a} également en {b} groupes veut dire qu’on divise',
+  'Each row has {a} squares and there are {b} rows': 'Chaque rangée a {a} carrés et il y a {b} rangées',
+  'Multiply rows by columns': 'Multiplie les rangées par les colonnes',
+  'Count by {n}s': 'Compte par {n}',
+  'Number {a} in the count is {b}': 'Le nombre numéro {a} du compte est {b}',
+  '"Intersect" means to cross or meet': '« Sécantes » veut dire qui se croisent ou se rencontrent',
+  'Lines that cross each other are intersecting lines': 'Des droites qui se croisent sont des droites sécantes',
+  'There are 100 centimeters in 1 meter': 'Il y a 100 centimètres dans 1 mètre',
+  'Multiply {a} by {b}': 'Multiplie {a} par {b}',
+  '{a} × {b} means {c} groups of {d}': '{a} × {b} veut dire {c} groupes de {d}',
+  'Skip count by {a}, {b} times': 'Compte par bonds de {a}, {b} fois',
+  'The last number is the answer': 'Le dernier nombre est la réponse',
+  'Think: {a} times what number makes {b}?': 'Pense : {a} fois quel nombre donne {b} ?',
+  '{a}, so the answer is {b}': '{a}, donc la réponse est {b}',
+  'Parallel lines stay the same distance apart, like train tracks': 'Les droites parallèles restent toujours à la même distance, comme des rails de train',
+  'Because they never get closer, they never meet - they are parallel': 'Comme elles ne se rapprochent jamais, elles ne se rencontrent jamais : elles sont parallèles',
+  'Parallel sides point the same way and never meet': 'Les côtés parallèles vont dans la même direction et ne se rencontrent jamais',
+  'A {shape} has {n}: {why}': '{shape|Un} en a {n} : {why}',
+  'A 90° angle is a square corner, like the corner of a page': 'Un angle de 90° est un coin carré, comme le coin d’une page',
+  'Lines that meet at a square corner are perpendicular': 'Des droites qui se rencontrent en formant un coin carré sont perpendiculaires',
+  'Perpendicular lines meet at a square corner (90°)': 'Des droites perpendiculaires se rencontrent en formant un coin carré (90°)',
+  'In {letter} the straight up-and-down line meets a side-to-side line at a square corner': 'Dans le {letter}, la ligne verticale rencontre une ligne horizontale en formant un coin carré',
+  '{letters} are curved or meet at slanted angles': '{letters} sont courbes ou ont des lignes qui se rencontrent en biais',
+  'All the sides of this shape are the same length': 'Tous les côtés de cette figure ont la même longueur',
+  'An isosceles triangle has exactly 2 sides the same length': 'Un triangle isocèle a exactement 2 côtés de la même longueur',
+  'So {art} {shape} has {n} equal sides': 'Donc {shape|un} a {n} côtés égaux',
+  'All {n} sides of {art} {shape} are equal, so each side is {m} cm': 'Les {n} côtés {shape|dun} sont égaux, donc chaque côté mesure {m} cm',
+  'Add the sides (or multiply)': 'Additionne les côtés (ou multiplie)',
+  'Picture {art} {shape} and check for {property}': 'Imagine {shape|un} et vérifie s’il a {property}',
+  'A {shape} has {property}': '{shape|Un} a {property}',
+  'A {shape} does not have {property}': '{shape|Un} n’a pas {property}',
+  'There are 1000 meters in 1 kilometer': 'Il y a 1000 mètres dans 1 kilomètre',
+  'Every 1000 meters makes 1 kilometer': 'Chaque groupe de 1000 mètres fait 1 kilomètre',
+  'Divide {a} by {b}': 'Divise {a} par {b}',
+  'mm for tiny things, cm for small things, m for big things, km for long distances': 'mm pour les toutes petites choses, cm pour les petites choses, m pour les grandes choses, km pour les longues distances',
+  'For {what}, use {unit}': 'Pour {what}, utilise le {unit}',
+  'Write the hour first, then a colon, then the minutes': 'Écris d’abord l’heure, puis un deux-points, puis les minutes',
+  'Minutes always use two digits': 'Les minutes s’écrivent toujours avec deux chiffres',
+  'There are 60 minutes in an hour': 'Il y a 60 minutes dans une heure',
+  'Count on from {a} minutes to 60 minutes': 'Compte de {a} minutes jusqu’à 60 minutes',
+  'Start at {h}:00 and move the hour hand forward {n} hour(s)': 'Commence à {h}:00 et avance la petite aiguille de {n} heure(s)',
+  'Add the hours': 'Additionne les heures',
+  'The time will be {t}': 'Il sera {t}',
+  'The hour stays the same, so compare the minutes': 'L’heure ne change pas, alors compare les minutes',
+  'Count on from the start to the end': 'Compte à partir du début jusqu’à la fin',
+  'The minute hand goes all the way around the clock in 1 hour': 'La grande aiguille fait le tour complet de l’horloge en 1 heure',
+  'One trip around is 60 minutes': 'Un tour complet, c’est 60 minutes',
+  'Every hour has 60 minutes': 'Chaque heure a 60 minutes',
+  'Multiply {a} by 60': 'Multiplie {a} par 60',
+  'The hour hand goes around the clock twice in a day - once for a.m. and once for p.m.': 'La petite aiguille fait deux fois le tour de l’horloge dans une journée : une fois le matin et une fois l’après-midi',
+  '12 hours twice is 24 hours': '2 fois 12 heures, c’est 24 heures',
+  'From {a}:00 to 12:00 noon': 'De {a}:00 à 12:00 (midi)',
+  'From 12:00 noon to {a}:00': 'De 12:00 (midi) à {a}:00',
+  '{n} hours': '{n} heures',
+  'Add the two parts': 'Additionne les deux parties',
+  'The long minute hand points to the {n}': 'La grande aiguille des minutes pointe vers le {n}',
+  'Each number on the clock is 5 minutes for the minute hand': 'Pour la grande aiguille, chaque nombre de l’horloge vaut 5 minutes',
+  'Count by 5s up to {n}': 'Compte par bonds de 5 jusqu’à {n}',
+  'The short hour hand points right at the {h}, so the hour is {n}': 'La petite aiguille des heures pointe exactement vers le {h}, donc l’heure est {n}',
+  'The short hour hand has passed the {h} but not the next number, so the hour is {n}': 'La petite aiguille des heures a dépassé le {h} mais pas le nombre suivant, donc l’heure est {n}',
+  'The long minute hand counts minutes: 5 for each number': 'La grande aiguille compte les minutes : 5 pour chaque nombre',
+  'Put the hour and minutes together': 'Mets ensemble l’heure et les minutes',
+  'Point the long minute hand at the 12': 'Pointe la grande aiguille des minutes vers le 12',
+  'Point the long minute hand at {m} minutes (the {n})': 'Pointe la grande aiguille des minutes vers {m} minutes (le {n})',
+  'Point the short hour hand at the {h}': 'Pointe la petite aiguille des heures vers le {h}',
+  'Point the short hour hand at the {h} (it moves a little past as the minutes go by)': 'Pointe la petite aiguille des heures vers le {h} (elle avance un peu à mesure que les minutes passent)',
+  '"Quarter to {h}" means 15 minutes before {h2}:00': '« {h} heures moins le quart » veut dire 15 minutes avant {h2}:00',
+  '15 minutes before the hour is 45 minutes past the hour before': '15 minutes avant l’heure, c’est 45 minutes après l’heure d’avant',
+  '"half past" means {n} minutes after the hour': '« et demie » veut dire {n} minutes après l’heure',
+  '"quarter past" means {n} minutes after the hour': '« et quart » veut dire {n} minutes après l’heure',
+  'So it is {n} minutes after {h}:00': 'Il est donc {n} minutes après {h}:00',
+  'Split {a} into tens and ones': 'Sépare {a} en dizaines et en unités',
+  'Multiply the tens': 'Multiplie les dizaines',
+  'Multiply the ones': 'Multiplie les unités',
+  'Area of a rectangle = length × width': 'Aire d’un rectangle = longueur × largeur',
+  'A = l × w': 'A = L × l',
+  'Substitute the length and width': 'Remplace la longueur et la largeur par leurs valeurs',
+  'A = {a} × {b} = {c}': 'A = {a} × {b} = {c}',
+  'Read the height of each bar': 'Lis la hauteur de chaque bande',
+  'Add all the bars together': 'Additionne toutes les bandes',
+  'Line up the decimal points, so tenths add to tenths and hundredths to hundredths': 'Aligne les virgules, pour additionner les dixièmes avec les dixièmes et les centièmes avec les centièmes',
+  'Write a 0 so both numbers have the same number of decimal places': 'Écris un 0 pour que les deux nombres aient le même nombre de décimales',
+  'Add like whole numbers and keep the decimal point in line': 'Additionne comme des nombres entiers et garde la virgule alignée',
+  'Line up the decimal points, so tenths are under tenths and hundredths under hundredths': 'Aligne les virgules, pour que les dixièmes soient sous les dixièmes et les centièmes sous les centièmes',
+  'Subtract like whole numbers and keep the decimal point in line': 'Soustrais comme des nombres entiers et garde la virgule alignée',
+  // ===== HELPERS =====
+  'Line the numbers up by place value and add one column at a time, starting with the ones': 'Aligne les nombres selon la valeur de position et additionne une colonne à la fois, en commençant par les unités',
+  'Add the {place}: write {d} and carry 1': 'Additionne les {place} : écris {d} et retiens 1',
+  'Add the {place}': 'Additionne les {place}',
+  '{a} + {b} + {c} (carried) = {d}': '{a} + {b} + {c} (retenue) = {d}',
+  'Write the last carried 1 at the front': 'Écris la dernière retenue de 1 devant',
+  'Read the answer': 'Lis la réponse',
+  'Line the numbers up by place value and subtract one column at a time, starting with the ones': 'Aligne les nombres selon la valeur de position et soustrais une colonne à la fois, en commençant par les unités',
+  'Subtract the {place}: {a} is less than {b}, so borrow 1 from the {next}': 'Soustrais les {place} : {a} est plus petit que {b}, alors emprunte 1 aux {next}',
+  'Subtract the {place}': 'Soustrais les {place}',
+  'Find two numbers that multiply to {p} and add to {s}': 'Trouve deux nombres dont le produit est {p} et la somme est {s}',
+  'List the factor pairs of {p}': 'Fais la liste des paires de facteurs de {p}',
+  'Check the sums: {a} + {b} = {c}': 'Vérifie les sommes : {a} + {b} = {c}',
+  'Write the factors': 'Écris les facteurs',
+  'SOH: sine = opposite ÷ hypotenuse': 'SOH : sinus = opposé ÷ hypoténuse',
+  'CAH: cosine = adjacent ÷ hypotenuse': 'CAH : cosinus = adjacent ÷ hypoténuse',
+  'TOA: tangent = opposite ÷ adjacent': 'TOA : tangente = opposé ÷ adjacent',
+  'Substitute the sides': 'Remplace les côtés par leurs valeurs',
+  'Simplify': 'Simplifie',
+  'Split {a} by place value': 'Décompose {a} selon la valeur de position',
+  'Add the partial products': 'Additionne les produits partiels',
+  'Split {a} into parts that {b} divides easily': 'Décompose {a} en parties faciles à diviser par {b}',
+  'Add the answers': 'Additionne les réponses',
+  'Find the biggest multiple of {d} that fits into {n}': 'Trouve le plus grand multiple de {d} qui entre dans {n}',
+  'What is left over is the remainder': 'Ce qui reste, c’est le reste',
+  'The remainder must be less than the divisor': 'Le reste doit être plus petit que le diviseur',
+  'So {a} ÷ {b} = {q} R{r}': 'Donc {a} ÷ {b} = {q} R{r}',
+  'Acute angles are less than 90°, right angles are exactly 90°, obtuse angles are more than 90°': 'Les angles aigus mesurent moins de 90°, les angles droits exactement 90° et les angles obtus plus de 90°',
+  '{a}° is {cmp} 90°, so it is {type}': '{a}° est {cmp} 90°, donc l’angle est {type}',
+  'A full turn is 360° and the clock has 12 numbers': 'Un tour complet fait 360° et l’horloge a 12 nombres',
+  'At {h}:00 the hands are {n} number(s) apart': 'À {h}:00, les aiguilles sont séparées de {n} nombre(s)',
+  'Equilateral = 3 equal sides, isosceles = 2 equal sides, scalene = no equal sides': 'Équilatéral = 3 côtés égaux, isocèle = 2 côtés égaux, scalène = aucun côté égal',
+  'This triangle has {desc}, so it is {name}': 'Ce triangle a {desc}, donc il est {name}',
+  'Triangles can also be named by their biggest angle': 'On peut aussi nommer les triangles selon leur plus grand angle',
+  'Right = one 90° angle, obtuse = one angle over 90°, acute = every angle under 90°': 'Droit = un angle de 90°, obtus = un angle de plus de 90°, aigu = tous les angles de moins de 90°',
+  'So it is a(n) {name} triangle': 'Le plus grand angle est donc {name}',
+  'Check the sides, the angles and the parallel sides': 'Vérifie les côtés, les angles et les côtés parallèles',
+  'A quadrilateral with {desc} is a {name}': 'Un quadrilatère qui a {desc} est {name|un}',
+  'The perimeter is all three sides added together': 'Le périmètre, c’est la somme des trois côtés',
+  'Add the two sides you know': 'Additionne les deux côtés que tu connais',
+  'Take that away from the perimeter': 'Soustrais ce total du périmètre',
+  'Fill in what you know': 'Remplace ce que tu connais',
+  '{a} = {b} × w': '{a} = {b} × l',
+  'w = {a} ÷ {b} = {c}': 'l = {a} ÷ {b} = {c}',
+  'Divide the area by the length': 'Divise l’aire par la longueur',
+  'Each square is 1 square centimeter (1 cm²)': 'Chaque carré mesure 1 centimètre carré (1 cm²)',
+  'Count the squares: rows × squares in each row': 'Compte les carrés : rangées × carrés par rangée',
+  'Area is measured in square units': 'L’aire se mesure en unités carrées',
+  'Area is measured in SQUARE units': 'L’aire se mesure en unités CARRÉES',
+  'cm² for small things, m² for rooms and fields, km² for huge places': 'cm² pour les petites choses, m² pour les pièces et les terrains, km² pour les endroits immenses',
+  'Each X is one student, sitting above how many pets they have': 'Chaque X est un élève, placé au-dessus du nombre d’animaux qu’il a',
+  "Count the X's for {n} pets and more": 'Compte les X pour {n} animaux et plus',
+  'Multiply {a} by the ones': 'Multiplie {a} par les unités',
+  'Multiply {a} by the tens': 'Multiplie {a} par les dizaines',
+  'Both fractions have {d} equal parts, so compare the numerators': 'Les deux fractions ont {d} parties égales, alors compare les numérateurs',
+  '{a} parts is more than {b} parts': '{a} parties, c’est plus que {b} parties',
+  '{a} is bigger': '{a} est plus grand',
+  '1/{d} of a number means splitting it into {n} equal parts': '1/{d} d’un nombre veut dire le partager en {n} parties égales',
+  'The whole is {n} equal parts - that is the denominator': 'Le tout compte {n} parties égales : c’est le dénominateur',
+  'The question asks about {n} of them - that is the numerator': 'La question porte sur {n} de ces parties : c’est le numérateur',
+  'Write part over whole': 'Écris la partie sur le tout',
+  'The space from 0 to 1 is split into {d} equal parts, so each part is 1/{d2}': 'L’espace de 0 à 1 est partagé en {d} parties égales, donc chaque partie vaut 1/{d2}',
+  'Start at 0 and count {n} part to the right': 'Commence à 0 et compte {n} partie vers la droite',
+  'Start at 0 and count {n} parts to the right': 'Commence à 0 et compte {n} parties vers la droite',
+  'Change each fraction to a decimal to compare their sizes': 'Change chaque fraction en nombre décimal pour comparer leurs grandeurs',
+  'Put them from least to greatest': 'Place-les du plus petit au plus grand',
+  '{a}x means {a2} × x': '{a}x veut dire {a2} × x',
+  'Substitute x = {x}': 'Remplace x par {x}',
+  'A line of symmetry folds the shape into two matching halves': 'Un axe de symétrie plie la figure en deux moitiés identiques',
+  'Count every fold line that works for a {shape}': 'Compte toutes les lignes de pliage qui fonctionnent pour {shape|un}',
+  '{n} line(s)': '{n} axe(s)',
+  'Perimeter is the distance all the way around': 'Le périmètre, c’est la distance tout autour',
+  'P = 2 × (l + w)': 'P = 2 × (L + l)',
+  'Add the length and width': 'Additionne la longueur et la largeur',
+  'Double it for both pairs of sides': 'Double le résultat pour les deux paires de côtés',
+  'The {d} is in the {place} place': 'Le {d} est à la position des {place}',
+  'So its value is {d} × {v}': 'Sa valeur est donc {d} × {v}',
+  'Each part fills one place value': 'Chaque partie remplit une position',
+  'Write a 0 in any place that has no part': 'Écris un 0 dans chaque position qui n’a pas de partie',
+  'Line up the decimal points and fill empty places with 0': 'Aligne les virgules et remplis les positions vides avec des 0',
+  'Add like whole numbers': 'Additionne comme des nombres entiers',
+  'Subtract like whole numbers': 'Soustrais comme des nombres entiers',
+  'Multiplying by {p} moves every digit {z} place to the left': 'Multiplier par {p} déplace chaque chiffre de {z} position vers la gauche',
+  'Multiplying by {p} moves every digit {z} places to the left': 'Multiplier par {p} déplace chaque chiffre de {z} positions vers la gauche',
+  'So the decimal point moves {z} place to the right': 'La virgule se déplace donc de {z} position vers la droite',
+  'So the decimal point moves {z} places to the right': 'La virgule se déplace donc de {z} positions vers la droite',
+  'Multiply {a} by the tens (write a 0 in the ones place first)': 'Multiplie {a} par les dizaines (écris d’abord un 0 à la position des unités)',
+  'List the multiples of {d}': 'Fais la liste des multiples de {d}',
+  'The first number on both lists is the lowest common denominator': 'Le premier nombre qui est dans les deux listes est le plus petit dénominateur commun',
+  'Rewrite both fractions with it': 'Réécris les deux fractions avec ce dénominateur',
+  'The denominators are the same ({d}), so keep the denominator': 'Les dénominateurs sont les mêmes ({d}), alors garde le dénominateur',
+  'Add the numerators': 'Additionne les numérateurs',
+  'Write the sum over the denominator': 'Écris la somme sur le dénominateur',
+  'Subtract the numerators': 'Soustrais les numérateurs',
+  'Write the difference over the denominator': 'Écris la différence sur le dénominateur',
+  'Find what the denominator was multiplied by': 'Trouve par quel nombre le dénominateur a été multiplié',
+  'Multiply the numerator by the same number': 'Multiplie le numérateur par le même nombre',
+  'So the fractions are equivalent': 'Les fractions sont donc équivalentes',
+  'Use the letter n for the number': 'Utilise la lettre n pour le nombre',
+  '"More than" means add': '« De plus que » veut dire additionner',
+  '"{k} less than n" means start at n and take {k2} away': '« {k} de moins que n » veut dire partir de n et enlever {k2}',
+  '"Times" means multiply, and we write the number in front of the letter': '« Fois » veut dire multiplier, et on écrit le nombre devant la lettre',
+  '"Divided by" means n is shared into {k} equal groups': '« Divisé par » veut dire que n est partagé en {k} groupes égaux',
+  '"Double" means multiply by 2, then add': '« Le double » veut dire multiplier par 2, puis additionner',
+  'Turn the shape one full turn and count how many times it looks exactly the same': 'Fais faire un tour complet à la figure et compte combien de fois elle paraît exactement pareille',
+  'A {shape} matches itself {n} times in one full turn': '{shape|Un} se superpose à lui-même {n} fois en un tour complet',
+  'order {n}': 'ordre {n}',
+  'A full turn is 360°, shared equally between the matching positions': 'Un tour complet fait 360°, partagé également entre les positions identiques',
+  'Divide 360° by the order': 'Divise 360° par l’ordre',
+  'Imagine folding each letter along a vertical line': 'Imagine que tu plies chaque lettre le long d’une ligne verticale',
+  'Imagine folding each letter along a horizontal line': 'Imagine que tu plies chaque lettre le long d’une ligne horizontale',
+  '{l} folds into two matching halves': 'Le {l} se plie en deux moitiés identiques',
+  '{list} have no line of symmetry at all': '{list} n’ont aucun axe de symétrie',
+  'Split the shape into a rectangle and a triangle': 'Sépare la figure en un rectangle et un triangle',
+  'Area of the rectangle': 'Aire du rectangle',
+  'Area of the triangle is half of base × height': 'L’aire du triangle est la moitié de base × hauteur',
+  'Add the two areas': 'Additionne les deux aires',
+  'Split the L-shape into its two rectangles': 'Sépare le L en ses deux rectangles',
+  'Area of the first rectangle': 'Aire du premier rectangle',
+  'Area of the second rectangle': 'Aire du deuxième rectangle',
+  'Add the areas': 'Additionne les aires',
+  'BEDMAS: multiply first, then add and subtract from left to right': 'PEDMAS : multiplie d’abord, puis additionne et soustrais de gauche à droite',
+  'Multiply first': 'Multiplie d’abord',
+  'Then add': 'Puis additionne',
+  'Then subtract': 'Puis soustrais',
+  'BEDMAS: multiply before you add': 'PEDMAS : multiplie avant d’additionner',
+  'BEDMAS: brackets come first': 'PEDMAS : les parenthèses d’abord',
+  'Work out the brackets': 'Calcule ce qui est entre parenthèses',
+  'Then multiply': 'Puis multiplie',
+  'BEDMAS: divide before you subtract': 'PEDMAS : divise avant de soustraire',
+  'Divide first': 'Divise d’abord',
+  'Multiply the numerator by the whole number': 'Multiplie le numérateur par le nombre entier',
+  '{n}/{d} of {w} means {n2}/{d2} × {w2}': '{n}/{d} de {w} veut dire {n2}/{d2} × {w2}',
+  'Divide by {d} to find 1/{d2} of {w}': 'Divise par {d} pour trouver 1/{d2} de {w}',
+  'Multiply by {n} to get {n2}/{d}': 'Multiplie par {n} pour obtenir {n2}/{d}',
+  'How many whole {d}s fit in {n}?': 'Combien de fois {d} entre-t-il dans {n} ?',
+  '{a} ÷ {b} = {q} remainder {r}': '{a} ÷ {b} = {q} reste {r}',
+  'Write the wholes, then the leftover part in lowest terms': 'Écris les entiers, puis la partie qui reste sous sa forme la plus simple',
+  'Write {w} as a fraction': 'Écris {w} sous forme de fraction',
+  'Multiply the numerators': 'Multiplie les numérateurs',
+  'Multiply the denominators': 'Multiplie les dénominateurs',
+  'Write the result': 'Écris le résultat',
+  'Volume of a rectangular prism = length × width × height': 'Volume d’un prisme à base rectangulaire = longueur × largeur × hauteur',
+  'V = l × w × h': 'V = L × l × h',
+  'Multiply the length and width (the base)': 'Multiplie la longueur et la largeur (la base)',
+  'Multiply by the height': 'Multiplie par la hauteur',
+  'cm × cm × cm gives cubic centimeters': 'cm × cm × cm donne des centimètres cubes',
+  'Divide both sides by {a} to get x by itself': 'Divise les deux côtés par {a} pour isoler x',
+  'Check': 'Vérifie',
+  'Find the greatest common factor of {a} and {b}': 'Trouve le plus grand facteur commun de {a} et {b}',
+  'GCF = {n}': 'PGFC = {n}',
+  'Divide the numerator and denominator by it': 'Divise le numérateur et le dénominateur par ce nombre',
+  'The only common factor left is 1, so it is in simplest form': 'Le seul facteur commun qui reste est 1, donc la fraction est sous sa forme la plus simple',
+  'Cut the triangle off one end and move it to the other - it makes a rectangle': 'Découpe le triangle à un bout et déplace-le à l’autre bout : ça forme un rectangle',
+  'So the area is base × height': 'L’aire est donc base × hauteur',
+  'Substitute': 'Remplace par les valeurs',
+  'A triangle is half of a parallelogram with the same base and height': 'Un triangle est la moitié d’un parallélogramme de même base et de même hauteur',
+  'Multiply the base and height': 'Multiplie la base et la hauteur',
+  'Take half': 'Prends la moitié',
+  'The = sign means both sides must have the same value': 'Le signe = veut dire que les deux côtés doivent avoir la même valeur',
+  'Work out the left side': 'Calcule le côté gauche',
+  'What plus {c} makes {s}?': 'Quel nombre plus {c} donne {s} ?',
+  'Think about what the data shows: change over time, categories, parts of a whole, or single values': 'Pense à ce que montrent les données : un changement avec le temps, des catégories, les parties d’un tout ou des valeurs isolées',
+  'So use a {g}': 'Utilise donc un {g}',
+  'Add all the values': 'Additionne toutes les valeurs',
+  'Divide by how many values there are ({n})': 'Divise par le nombre de valeurs ({n})',
+  'Put the values in order': 'Place les valeurs en ordre',
+  'With {n} values, the middle one is value number {m}': 'Avec {n} valeurs, celle du milieu est la valeur numéro {m}',
+  'median = {m}': 'médiane = {m}',
+  'With an even number of values, take the mean of the two middle values': 'Avec un nombre pair de valeurs, prends la moyenne des deux valeurs du milieu',
+  'Count how many times each value appears': 'Compte combien de fois chaque valeur apparaît',
+  '{m} appears {n} times - more than any other value': '{m} apparaît {n} fois, plus que toute autre valeur',
+  'mode = {m}': 'mode = {m}',
+  'To multiply fractions, multiply straight across': 'Pour multiplier des fractions, multiplie en ligne droite',
+  'Subtract {b} from both sides to keep the equation balanced': 'Soustrais {b} des deux côtés pour garder l’équation en équilibre',
+  'Simplify both sides': 'Simplifie les deux côtés',
+  'Divide both sides by {a}': 'Divise les deux côtés par {a}',
+  'Check by substituting back': 'Vérifie en remplaçant',
+  'Circumference = 2 × π × radius': 'Circonférence = 2 × π × rayon',
+  'Substitute r = {r} and leave π as a symbol': 'Remplace r par {r} et garde π comme symbole',
+  'Substitute r = {r} and π = 3.14': 'Remplace r par {r} et π par 3,14',
+  'Multiply and round to 1 decimal': 'Multiplie et arrondis à 1 décimale',
+  'Replace x with {x}': 'Remplace x par {x}',
+  'Multiply': 'Multiplie',
+  'Add': 'Additionne',
+  'Probability = favourable outcomes ÷ total outcomes': 'Probabilité = résultats favorables ÷ nombre total de résultats',
+  'There are {a} red out of {b}': 'Il y a {a} rouges sur {b}',
+  'P(red) = {f}': 'P(rouge) = {f}',
+  'Adding {b} moves {n} to the right on the number line': 'Additionner {b}, c’est avancer de {n} vers la droite sur la droite numérique',
+  'Adding {b} moves {n} to the left on the number line': 'Additionner {b}, c’est reculer de {n} vers la gauche sur la droite numérique',
+  'Start at {a} and move': 'Commence à {a} et déplace-toi',
+  'Subtracting a number is the same as adding its opposite': 'Soustraire un nombre revient à additionner son opposé',
+  'Multiply the sizes': 'Multiplie les valeurs absolues',
+  'Divide the sizes': 'Divise les valeurs absolues',
+  'Anything times zero is zero': 'N’importe quel nombre fois zéro donne zéro',
+  'Same signs give a positive answer': 'Des signes pareils donnent une réponse positive',
+  'Different signs give a negative answer': 'Des signes différents donnent une réponse négative',
+  'A drop in temperature means subtract': 'Une baisse de température veut dire soustraire',
+  'Start at {a} and count down {b}': 'Commence à {a} et compte à rebours de {b}',
+  'On a number line, numbers get smaller as you go left': 'Sur une droite numérique, les nombres deviennent plus petits vers la gauche',
+  '{a} is further below zero than {b}': '{a} est plus loin sous zéro que {b}',
+  'So {a}°C is colder': 'Il fait donc plus froid à {a} °C',
+  'Adding {b} moves {n} to the right': 'Additionner {b}, c’est avancer de {n} vers la droite',
+  'Adding {b} moves {n} to the left': 'Additionner {b}, c’est reculer de {n} vers la gauche',
+  'On a number line, numbers get bigger as you go right': 'Sur une droite numérique, les nombres deviennent plus grands vers la droite',
+  'Negative numbers come first - the one furthest from zero is the least': 'Les nombres négatifs viennent d’abord : celui qui est le plus loin de zéro est le plus petit',
+  'Read them from left to right': 'Lis-les de gauche à droite',
+  'Dividing by a fraction is the same as multiplying by its reciprocal': 'Diviser par une fraction revient à multiplier par son inverse',
+  'Flip the second fraction and multiply': 'Inverse la deuxième fraction et multiplie',
+  'Multiply straight across': 'Multiplie en ligne droite',
+  'Simplify by dividing top and bottom by {n}': 'Simplifie en divisant le haut et le bas par {n}',
+  'The reciprocal swaps the numerator and denominator': 'L’inverse échange le numérateur et le dénominateur',
+  'Check: a number times its reciprocal is 1': 'Vérifie : un nombre fois son inverse donne 1',
+  'Swap the numerator and denominator': 'Échange le numérateur et le dénominateur',
+  'Change the mixed number to an improper fraction first': 'Change d’abord le nombre fractionnaire en fraction impropre',
+  'Subtract {t} from both sides so x is on one side only': 'Soustrais {t} des deux côtés pour que x soit d’un seul côté',
+  'Add {n} to both sides': 'Additionne {n} des deux côtés',
+  'Subtract {n} from both sides': 'Soustrais {n} des deux côtés',
+  '{a} = {b} and {c} = {d}': '{a} = {b} et {c} = {d}',
+  'Multiply {a} by BOTH terms in the brackets': 'Multiplie {a} par LES DEUX termes entre parenthèses',
+  'Collect the like terms': 'Regroupe les termes semblables',
+  'Write the simplified expression': 'Écris l’expression simplifiée',
+  'Area of a circle = π × radius × radius': 'Aire d’un cercle = π × rayon × rayon',
+  'Square the radius': 'Élève le rayon au carré',
+  'Multiply by π and round': 'Multiplie par π et arrondis',
+  'Volume of a prism = area of the base × length': 'Volume d’un prisme = aire de la base × longueur',
+  'V = A × l': 'V = A × L',
+  'The base is a triangle: half of base × height': 'La base est un triangle : la moitié de base × hauteur',
+  'Multiply by the length': 'Multiplie par la longueur',
+  'Volume of a cylinder = area of the circle base × height': 'Volume d’un cylindre = aire de la base circulaire × hauteur',
+  'Area of the base': 'Aire de la base',
+  'Multiply by the height and round': 'Multiplie par la hauteur et arrondis',
+  'The domain is the set of all first numbers (x-values, the inputs)': 'Le domaine est l’ensemble de tous les premiers nombres (les valeurs de x, les entrées)',
+  'List each x once': 'Écris chaque x une seule fois',
+  'The range is the set of all second numbers (y-values, the outputs)': 'L’image est l’ensemble de tous les deuxièmes nombres (les valeurs de y, les sorties)',
+  'List each y once': 'Écris chaque y une seule fois',
+  'Each time the input goes up by 1, the output goes up by {m} - so multiply by {m2}': 'Chaque fois que l’entrée augmente de 1, la sortie augmente de {m} : multiplie donc par {m2}',
+  'Then {op} {n} to match the table': 'Puis {op} {n} pour correspondre à la table',
+  'output = {m} × input {op} {n}': 'sortie = {m} × entrée {op} {n}',
+  'Use the rule with {n}': 'Utilise la règle avec {n}',
+  'Experimental probability = times it happened ÷ total trials': 'Probabilité expérimentale = nombre de fois où c’est arrivé ÷ nombre total d’essais',
+  'Fill in the results': 'Remplace par les résultats',
+  'P(heads) = {f}': 'P(pile) = {f}',
+  'The theoretical probability is 1/2, but real results are usually a little different': 'La probabilité théorique est 1/2, mais les vrais résultats sont habituellement un peu différents',
+  'Find the experimental probability of red': 'Trouve la probabilité expérimentale du rouge',
+  'Multiply by the number of spins': 'Multiplie par le nombre de tours',
+  'Make a table: each outcome of the first event pairs with every outcome of the second': 'Fais un tableau : chaque résultat du premier événement s’associe à chaque résultat du deuxième',
+  'Multiply the number of outcomes': 'Multiplie les nombres de résultats',
+  'Line up the decimal points': 'Aligne les virgules',
+  'Adding a negative number is the same as subtracting': 'Additionner un nombre négatif revient à soustraire',
+  'Add the whole parts and the halves': 'Additionne les parties entières et les demies',
+  '{a} and {b} are like terms (both have x), so they can be combined': '{a} et {b} sont des termes semblables (les deux ont x), donc on peut les regrouper',
+  'Add the coefficients and keep the x': 'Additionne les coefficients et garde le x',
+  'A box has 3 pairs of matching faces': 'Une boîte a 3 paires de faces identiques',
+  'SA = 2(lw + wh + lh)': 'AT = 2(Ll + lh + Lh)',
+  'Find the area of each kind of face': 'Trouve l’aire de chaque sorte de face',
+  'lw = {a}, wh = {b}, lh = {c}': 'Ll = {a}, lh = {b}, Lh = {c}',
+  'Add them up': 'Additionne-les',
+  'Double it for both faces of each pair': 'Double le résultat pour les deux faces de chaque paire',
+  'SA = {n} m²': 'AT = {n} m²',
+  'In y = mx + b, the slope is m (the number in front of x)': 'Dans y = mx + b, la pente est m (le nombre devant x)',
+  'Here the number in front of x is {m}': 'Ici, le nombre devant x est {m}',
+  'In y = mx + b, b is where the line crosses the y-axis': 'Dans y = mx + b, b est l’endroit où la droite coupe l’axe des y',
+  'The y-axis is where x = 0': 'L’axe des y est là où x = 0',
+  'Start at the y-intercept': 'Commence à l’ordonnée à l’origine',
+  'The slope is {m}: go right 1 and up {n}': 'La pente est {m} : va de 1 vers la droite et de {n} vers le haut',
+  'The slope is {m}: go right 1 and down {n}': 'La pente est {m} : va de 1 vers la droite et de {n} vers le bas',
+  'The slope is {m}: go left 1 and up {n}': 'La pente est {m} : va de 1 vers la gauche et de {n} vers le haut',
+  'The slope is {m}: go left 1 and down {n}': 'La pente est {m} : va de 1 vers la gauche et de {n} vers le bas',
+  'Those two points are on the line': 'Ces deux points sont sur la droite',
+  'Same signs: add the sizes and keep the sign': 'Signes pareils : additionne les valeurs absolues et garde le signe',
+  'Different signs: subtract the sizes and keep the sign of the bigger one': 'Signes différents : soustrais les valeurs absolues et garde le signe de la plus grande',
+  'Write the answer': 'Écris la réponse',
+  'Multiply the sizes as if there were no decimal point, then put it back': 'Multiplie les valeurs absolues comme s’il n’y avait pas de virgule, puis remets-la',
+  'Find a common denominator': 'Trouve un dénominateur commun',
+  'Rewrite both fractions': 'Réécris les deux fractions',
+  '{op} the numerators and keep the denominator': '{op} les numérateurs et garde le dénominateur',
+  'BEDMAS: multiply and divide before you add': 'PEDMAS : multiplie et divise avant d’additionner',
+  'Divide': 'Divise',
+  'Terms are separated by + and - signs': 'Les termes sont séparés par des signes + et -',
+  '{p} has {n} term': '{p} a {n} terme',
+  '{p} has {n} terms': '{p} a {n} termes',
+  '{n} term = {name}': '{n} terme = {name}',
+  '{n} terms = {name}': '{n} termes = {name}',
+  'The degree is the highest exponent on the variable (a constant has degree 0)': 'Le degré est le plus grand exposant de la variable (une constante est de degré 0)',
+  'The highest power of x in {p} is {n}': 'La plus grande puissance de x dans {p} est {n}',
+  'degree {n}': 'degré {n}',
+  'Subtracting a polynomial means subtracting EVERY term - change all the signs in the second bracket': 'Soustraire un polynôme veut dire soustraire CHAQUE terme : change tous les signes dans la deuxième parenthèse',
+  'Remove the brackets': 'Enlève les parenthèses',
+  'x²: {a}, x: {b}, numbers: {c}': 'x² : {a}, x : {b}, constantes : {c}',
+  'Write the simplified polynomial': 'Écris le polynôme simplifié',
+  'Multiply both sides by {a} to undo the division': 'Multiplie les deux côtés par {a} pour annuler la division',
+  'Multiply {a} by both terms in the brackets': 'Multiplie {a} par les deux termes entre parenthèses',
+  'Combine the numbers on the left': 'Regroupe les nombres à gauche',
+  'Add {n} on both sides': 'Additionne {n} des deux côtés',
+  'Subtract {n} on both sides': 'Soustrais {n} des deux côtés',
+  'Each shape in the net becomes one face of the solid': 'Chaque figure du développement devient une face du solide',
+  'A {solid} has faces made of {net}': '{solid|Un} a des faces formées de {net}',
+  'A cylinder unrolls into 2 circles and a rectangle': 'Un cylindre se déroule en 2 cercles et un rectangle',
+  'SA = 2πr² + 2πrh': 'AT = 2πr² + 2πrh',
+  'Area of the two circles': 'Aire des deux cercles',
+  'The rectangle is as long as the circumference and as tall as the cylinder': 'Le rectangle est aussi long que la circonférence et aussi haut que le cylindre',
+  'Add and round': 'Additionne et arrondis',
+  'SA ≈ {n}': 'AT ≈ {n}',
+  'Slope = rise ÷ run = change in y ÷ change in x': 'Pente = déplacement vertical ÷ déplacement horizontal = variation de y ÷ variation de x',
+  'Find the rise': 'Trouve le déplacement vertical',
+  'Find the run': 'Trouve le déplacement horizontal',
+  'Each time x goes up by 1, y goes up by the same amount - that is the slope': 'Chaque fois que x augmente de 1, y augmente de la même quantité : c’est la pente',
+  'Find y when x = 0 (work back from the table) - that is the y-intercept': 'Trouve y quand x = 0 (remonte la table) : c’est l’ordonnée à l’origine',
+  'Put them into y = mx + b': 'Place-les dans y = mx + b',
+  'Rate of change = change in amount ÷ change in time': 'Taux de variation = variation de la quantité ÷ variation du temps',
+  'Change in amount': 'Variation de la quantité',
+  'Divide by the {t} {per}s': 'Divise par les {t} {per}s',
+  '{a} ÷ {b} = {c} {unit} per {per}': '{a} ÷ {b} = {c} {unit} par {per}',
+  'Each bar of a histogram covers a range of values': 'Chaque bande d’un histogramme couvre un intervalle de valeurs',
+  'Its height shows how many data values fall in that range - the frequency': 'Sa hauteur montre combien de données tombent dans cet intervalle : la fréquence',
+  'Continuous data can take any value in a range, like 152.3 cm': 'Des données continues peuvent prendre n’importe quelle valeur dans un intervalle, comme 152,3 cm',
+  'A histogram groups the values into touching intervals, so it suits continuous data': 'Un histogramme regroupe les valeurs en intervalles qui se touchent, donc il convient aux données continues',
+  'Look at whether the two sides of the graph match': 'Regarde si les deux côtés du diagramme sont pareils',
+  'If they match it is symmetric; if one side has a long tail it is skewed': 'S’ils sont pareils, la distribution est symétrique ; si un côté a une longue queue, elle est asymétrique',
+  'A skewed distribution is named after the side its long tail points to': 'Une distribution asymétrique est nommée d’après le côté vers lequel pointe sa longue queue',
+  'Here the data is {shape}': 'Ici, les données sont {shape}',
+  '{n} is a perfect square': '{n} est un carré parfait',
+  'So √{n} = {r}, which can be written as a fraction - it is rational': 'Donc √{n} = {r}, qui peut s’écrire sous forme de fraction : c’est un nombre rationnel',
+  '{n} is not a perfect square, so √{n2} is not a whole number': '{n} n’est pas un carré parfait, donc √{n2} n’est pas un nombre entier',
+  'Its decimal goes on forever without repeating - it is irrational': 'Ses décimales continuent à l’infini sans se répéter : c’est un nombre irrationnel',
+  'Find the perfect squares on either side of {n}': 'Trouve les carrés parfaits de chaque côté de {n}',
+  'FOIL: First, Outer, Inner, Last': 'Distributivité : premiers, extrêmes, moyens, derniers',
+  'Combine the like terms in the middle': 'Regroupe les termes semblables du milieu',
+  "Divide both sides by {a} - it's negative, so flip the sign": 'Divise les deux côtés par {a} : il est négatif, alors inverse le signe',
+  'The end IS included, so use [ ]; the other side goes on forever': 'La borne EST incluse, alors utilise [ ] ; l’autre côté continue à l’infini',
+  'The end is NOT included, so use ( ); the other side goes on forever': 'La borne N’EST PAS incluse, alors utilise ( ) ; l’autre côté continue à l’infini',
+  'x must be less than {n}, so the largest integer is {m}': 'x doit être plus petit que {n}, donc le plus grand entier est {m}',
+  'The largest integer below {n} is {m}': 'Le plus grand entier sous {n} est {m}',
+  'Look for two numbers that multiply to {p} and add to {s}': 'Cherche deux nombres dont le produit est {p} et la somme est {s}',
+  'Factor (it is a perfect square)': 'Factorise (c’est un carré parfait)',
+  'Set the factor to zero': 'Pose le facteur égal à zéro',
+  'f({x}) means replace x with {x2}': 'f({x}) veut dire remplacer x par {x2}',
+  'Evaluate': 'Évalue',
+  'The line inside the box marks the median': 'La ligne dans la boîte marque la médiane',
+  'Read where it sits on the number line': 'Lis où elle se trouve sur la droite numérique',
+  'The box runs from Q1 to Q3': 'La boîte va de Q1 à Q3',
+  'Subtract Q1 from Q3': 'Soustrais Q1 de Q3',
+  'IQR = {e}': 'EI = {e}',
+  'The whiskers reach the minimum and maximum': 'Les moustaches vont jusqu’au minimum et au maximum',
+  'Subtract the minimum from the maximum': 'Soustrais le minimum du maximum',
+  'range = {e}': 'étendue = {e}',
+  'Put the data in order': 'Place les données en ordre',
+  'The median is the middle value, {m}. The lower half is the values before it': 'La médiane est la valeur du milieu, {m}. La moitié inférieure, ce sont les valeurs avant elle',
+  'Q1 is the middle of the lower half': 'Q1 est le milieu de la moitié inférieure',
+  'Q1 = {n}': 'Q1 = {n}',
+  'The upper half is the values after the median': 'La moitié supérieure, ce sont les valeurs après la médiane',
+  'Q3 is the middle of the upper half': 'Q3 est le milieu de la moitié supérieure',
+  'Q3 = {n}': 'Q3 = {n}',
+  'A box plot shows the 5-number summary: min, Q1, median, Q3, max': 'Un diagramme à surface montre le résumé en 5 nombres : min, Q1, médiane, Q3, max',
+  'The line inside the box marks the middle value - the median': 'La ligne dans la boîte marque la valeur du milieu : la médiane',
+  'The box holds the middle 50% of the data': 'La boîte contient les 50 % du milieu des données',
+  'It starts at the first quartile (Q1) and ends at the third quartile (Q3)': 'Elle commence au premier quartile (Q1) et finit au troisième quartile (Q3)',
+  'The whiskers show the spread outside the box': 'Les moustaches montrent la dispersion hors de la boîte',
+  'They reach out to the smallest and largest values - the minimum and maximum': 'Elles vont jusqu’à la plus petite et la plus grande valeur : le minimum et le maximum',
+  'The IQR measures the spread of the middle 50% of the data': 'L’EI mesure la dispersion des 50 % du milieu des données',
+  'Subtract the lower quartile from the upper quartile': 'Soustrais le quartile inférieur du quartile supérieur',
+  'Mutually exclusive events cannot both happen, so there is no overlap to remove': 'Des évènements mutuellement exclusifs ne peuvent pas se produire tous les deux, alors il n’y a pas de chevauchement à enlever',
+  'Add the probabilities': 'Additionne les probabilités',
+  'P(A or B) = {e}': 'P(A ou B) = {e}',
+  '"Exclusive" means they shut each other out': '« Exclusifs » veut dire qu’ils s’excluent l’un l’autre',
+  'Events that cannot happen together are mutually exclusive': 'Des évènements qui ne peuvent pas se produire ensemble sont mutuellement exclusifs',
+  'P(A and B) = 0': 'P(A et B) = 0',
+  'Natural ⊂ Whole ⊂ Integers ⊂ Rational; irrational numbers are the real numbers that are not rational': 'Naturels ⊂ Entiers positifs ⊂ Entiers ⊂ Rationnels ; les nombres irrationnels sont les nombres réels qui ne sont pas rationnels',
+  'It is a counting number (1, 2, 3, ...)': 'C’est un nombre pour compter (1, 2, 3, ...)',
+  'Zero is not a counting number, but it is a whole number': 'Zéro n’est pas un nombre pour compter, mais c’est un entier positif',
+  'Negative whole numbers are integers': 'Les nombres entiers négatifs sont des entiers',
+  'It is a fraction of two integers': 'C’est une fraction de deux entiers',
+  'A terminating decimal can be written as a fraction': 'Un nombre décimal fini peut s’écrire sous forme de fraction',
+  'The root of a non-perfect square never ends or repeats': 'La racine d’un nombre qui n’est pas un carré parfait ne se termine jamais et ne se répète pas',
+  'π never ends or repeats': 'π ne se termine jamais et ne se répète pas',
+  '{n} is in the {set}': '{n} fait partie des {set}',
+  'Multiply {a} by the first term': 'Multiplie {a} par le premier terme',
+  'Multiply {a} by the second term': 'Multiplie {a} par le deuxième terme',
+  'Write the expanded expression': 'Écris l’expression développée',
+  'Find the greatest factor both terms share': 'Trouve le plus grand facteur commun aux deux termes',
+  'GCF of {a} and {b} = {c}': 'PGFC de {a} et {b} = {c}',
+  'Divide each term by the GCF': 'Divise chaque terme par le PGFC',
+  'Write the GCF outside the brackets': 'Écris le PGFC devant les parenthèses',
+  'A closed circle means the number itself is included: use ≤ or ≥': 'Un cercle fermé veut dire que le nombre lui-même est inclus : utilise ≤ ou ≥',
+  'An open circle means the number itself is NOT included: use < or >': 'Un cercle ouvert veut dire que le nombre lui-même N’EST PAS inclus : utilise < ou >',
+  'The arrow points right, toward bigger numbers: x is greater': 'La flèche pointe vers la droite, vers les plus grands nombres : x est plus grand',
+  'The arrow points left, toward smaller numbers: x is less': 'La flèche pointe vers la gauche, vers les plus petits nombres : x est plus petit',
+  '{op} includes {v}, so fill in the circle': '{op} inclut {v}, alors remplis le cercle',
+  '{op} leaves {v} out, so leave the circle open': '{op} exclut {v}, alors laisse le cercle ouvert',
+  'x is greater, so shade to the right': 'x est plus grand, alors colorie vers la droite',
+  'x is less, so shade to the left': 'x est plus petit, alors colorie vers la gauche',
+  'If two factors multiply to 0, one of them must be 0': 'Si le produit de deux facteurs est 0, l’un d’eux doit valoir 0',
+  'Set the first factor to zero': 'Pose le premier facteur égal à zéro',
+  'Set the second factor to zero': 'Pose le deuxième facteur égal à zéro',
+  '{e} = 0 → x = {x}': '{e} = 0 → x = {x}',
+  'Read it as "all real numbers x such that x {op} {v}"': 'Lis « tous les nombres réels x tels que x {op} {v} »',
+  '{v} is included, so use a square bracket': '{v} est inclus, alors utilise un crochet',
+  '{v} is not included, so use a round bracket': '{v} n’est pas inclus, alors utilise une parenthèse',
+  'It keeps going up forever, to ∞': 'Ça monte à l’infini, jusqu’à ∞',
+  'It keeps going down forever, to -∞': 'Ça descend à l’infini, jusqu’à -∞',
+  'Look at the slope (the number in front of x)': 'Regarde la pente (le nombre devant x)',
+  'm = {m}': 'm = {m}',
+  'A positive slope goes up from left to right': 'Une pente positive monte de gauche à droite',
+  'A negative slope goes down from left to right': 'Une pente négative descend de gauche à droite',
+  'Set the rule equal to the output': 'Pose la règle égale à la sortie',
+  'The median is the middle value': 'La médiane est la valeur du milieu',
+  'Take the upper half (not counting the median)': 'Prends la moitié supérieure (sans compter la médiane)',
+  'Take the lower half (not counting the median)': 'Prends la moitié inférieure (sans compter la médiane)',
+  'Its middle value is Q3': 'Sa valeur du milieu est Q3',
+  'Its middle value is Q1': 'Sa valeur du milieu est Q1',
+  'The IQR is the spread of the middle half of the data': 'L’EI est la dispersion de la moitié centrale des données',
+  'IQR = Q3 - Q1': 'EI = Q3 - Q1',
+  'The range is the spread of ALL the data': 'L’étendue est la dispersion de TOUTES les données',
+  'range = max - min': 'étendue = max - min',
+  'Find the quartiles and the IQR': 'Trouve les quartiles et l’EI',
+  'Q1 = {a}, Q3 = {b}, IQR = {c}': 'Q1 = {a}, Q3 = {b}, EI = {c}',
+  'A value more than 1.5 × IQR above Q3 is an outlier': 'Une valeur à plus de 1,5 × EI au-dessus de Q3 est aberrante',
+  '{a} is above {b}, so it is an outlier': '{a} est au-dessus de {b}, donc c’est une valeur aberrante',
+  'A and B can happen together, so the overlap gets counted twice if you just add': 'A et B peuvent se produire ensemble, alors le chevauchement est compté deux fois si tu additionnes simplement',
+  'Subtract the overlap once': 'Soustrais le chevauchement une fois',
+  'P(A or B) = P(A) + P(B) - P(A and B)': 'P(A ou B) = P(A) + P(B) - P(A et B)',
+  'The spin does not change the roll, so the events are independent: multiply': 'La roulette ne change pas le lancer, alors les évènements sont indépendants : multiplie',
+  'P(A and B) = P(A) × P(B)': 'P(A et B) = P(A) × P(B)',
+  'Find each probability': 'Trouve chaque probabilité',
+  'P(red) = {a}, P({e}) = {b}': 'P(rouge) = {a}, P({e}) = {b}',
+  'An event and its complement add up to 1': 'Un évènement et son complément donnent 1 au total',
+  'P(not A) = 1 - P(A)': 'P(non A) = 1 - P(A)',
+  'The probabilities of all the outcomes add up to 1': 'Les probabilités de tous les résultats donnent 1 au total',
+  'Subtract the ones you know from 1': 'Soustrais de 1 celles que tu connais',
+  'The y-intercept is where the line crosses the y-axis, when x = 0': 'L’ordonnée à l’origine est l’endroit où la droite coupe l’axe des y, quand x = 0',
+  'Substitute x = 0': 'Remplace x par 0',
+  'Add the two equations so the y terms cancel': 'Additionne les deux équations pour que les termes en y s’annulent',
+  '2x = {a}, so x = {b}': '2x = {a}, donc x = {b}',
+  'Put x back into the first equation': 'Remplace x dans la première équation',
+  '{e}, so y = {y}': '{e}, donc y = {y}',
+  'Write the solution as a point': 'Écris la solution sous forme de point',
+  'Use the Pythagorean theorem': 'Utilise le théorème de Pythagore',
+  'Take the square root': 'Prends la racine carrée',
+  'sin A = {e}': 'sin A = {e}',
+  'TOA: tan A = opposite ÷ adjacent': 'TOA : tan A = opposé ÷ adjacent',
+  'Use the inverse tangent and round': 'Utilise la tangente inverse et arrondis',
+  'SOH CAH TOA: {f} = {r}': 'SOH CAH TOA : {f} = {r}',
+  'opposite ÷ hypotenuse': 'opposé ÷ hypoténuse',
+  'adjacent ÷ hypotenuse': 'adjacent ÷ hypoténuse',
+  'opposite ÷ adjacent': 'opposé ÷ adjacent',
+  'In a 45-45-90 triangle the sides are 1, 1, √2': 'Dans un triangle 45-45-90, les côtés mesurent 1, 1, √2',
+  'In a 30-60-90 triangle the sides are 1, √3, 2': 'Dans un triangle 30-60-90, les côtés mesurent 1, √3, 2',
+  'Divide the sides and round to 2 decimals': 'Divise les côtés et arrondis à 2 décimales',
+  'There are 12 inches in 1 foot': 'Il y a 12 pouces dans 1 pied',
+  '1 ft = 12 in': '1 pi = 12 po',
+  'Each inch is 2.54 cm': 'Chaque pouce mesure 2,54 cm',
+  '1 in = 2.54 cm': '1 po = 2,54 cm',
+  'Round to 1 decimal': 'Arrondis à 1 décimale',
+  'Surface area of a sphere': 'Aire totale d’une sphère',
+  'SA = {e}': 'AT = {e}',
+  'A cone is a circle base plus a curved side': 'Un cône, c’est une base circulaire plus une surface courbe',
+  'A square base plus 4 triangles, each ½ × base × slant height': 'Une base carrée plus 4 triangles, chacun ½ × base × apothème',
+  'Work it out and round': 'Calcule et arrondis',
+  'A cone holds one third of the cylinder around it': 'Un cône contient le tiers du cylindre qui l’entoure',
+  'A pyramid holds one third of the prism around it': 'Une pyramide contient le tiers du prisme qui l’entoure',
+  'V = ⅓ × base area × h': 'V = ⅓ × aire de la base × h',
+  'Volume of a sphere': 'Volume d’une sphère',
+  'Both terms are perfect squares with a minus between them': 'Les deux termes sont des carrés parfaits séparés par un moins',
+  'A difference of squares factors into a sum times a difference': 'Une différence de carrés se factorise en une somme fois une différence',
+  'Every term shares a factor - take it out first': 'Tous les termes ont un facteur commun : mets-le en évidence d’abord',
+  'Factor the trinomial and keep the common factor in front': 'Factorise le trinôme et garde le facteur commun devant',
+  'Get y by itself: move the x term to the other side': 'Isole y : déplace le terme en x de l’autre côté',
+  'Divide everything by {n}': 'Divise tout par {n}',
+  'The slope is the number in front of x': 'La pente est le nombre devant x',
+  'Put the slope and the point into y = mx + b': 'Place la pente et le point dans y = mx + b',
+  'Solve for b': 'Résous pour b',
+  'Write the equation': 'Écris l’équation',
+  'The line crosses the y-axis at the y-intercept': 'La droite coupe l’axe des y à l’ordonnée à l’origine',
+  'From {a} to {b}: rise over run': 'De {a} à {b} : la variation verticale sur la variation horizontale',
+  'A point is on the line if its x and y make the equation true': 'Un point est sur la droite si son x et son y rendent l’équation vraie',
+  'Try {p}': 'Essaie {p}',
+  'Parallel lines never meet, so they rise at exactly the same rate': 'Des droites parallèles ne se rencontrent jamais, alors elles montent exactement au même rythme',
+  'Parallel lines have EQUAL slopes': 'Des droites parallèles ont des pentes ÉGALES',
+  'Perpendicular slopes are negative reciprocals: flip the fraction AND change the sign': 'Des pentes perpendiculaires sont des inverses opposés : renverse la fraction ET change le signe',
+  'Flip it': 'Renverse-la',
+  'Change the sign': 'Change le signe',
+  'Replace y in the second equation with the first equation': 'Remplace y dans la deuxième équation par la première équation',
+  'Collect the x terms and solve': 'Regroupe les termes en x et résous',
+  'Where the lines cross, both have the same y - set them equal': 'Là où les droites se coupent, elles ont le même y : pose-les égales',
+  'Solve for x': 'Résous pour x',
+  'Find y from either line': 'Trouve y avec l’une ou l’autre droite',
+  'The lines cross at': 'Les droites se coupent en',
+  'Compare the slopes and y-intercepts of the two lines': 'Compare les pentes et les ordonnées à l’origine des deux droites',
+  'The slopes are different, so the lines cross exactly once': 'Les pentes sont différentes, alors les droites se coupent une seule fois',
+  'The slopes are the same but the y-intercepts are different: the lines are parallel and never meet': 'Les pentes sont les mêmes mais les ordonnées à l’origine sont différentes : les droites sont parallèles et ne se rencontrent jamais',
+  'Divide the second equation by {k}: it is the same line, so every point on it is a solution': 'Divise la deuxième équation par {k} : c’est la même droite, alors chacun de ses points est une solution',
+  'Pythagorean Theorem': 'Théorème de Pythagore',
+  'The hypotenuse is the longest side, so subtract to find a leg': 'L’hypoténuse est le plus long côté, alors soustrais pour trouver une cathète',
+  'The opposite side and the hypotenuse are known or wanted, so use SOH': 'Le côté opposé et l’hypoténuse sont connus ou cherchés, alors utilise SOH',
+  'The adjacent side and the hypotenuse are known or wanted, so use CAH': 'Le côté adjacent et l’hypoténuse sont connus ou cherchés, alors utilise CAH',
+  '{f}({a}°) = opposite ÷ {h}': '{f}({a}°) = opposé ÷ {h}',
+  '{f}({a}°) = adjacent ÷ {h}': '{f}({a}°) = adjacent ÷ {h}',
+  'Multiply both sides by {n}': 'Multiplie les deux côtés par {n}',
+  'opposite = {e}': 'opposé = {e}',
+  'adjacent = {e}': 'adjacent = {e}',
+  'opposite ≈ {e}': 'opposé ≈ {e}',
+  'adjacent ≈ {e}': 'adjacent ≈ {e}',
+  'Use a calculator and round': 'Utilise une calculatrice et arrondis',
+  'Opposite and adjacent are known, so use TOA': 'L’opposé et l’adjacent sont connus, alors utilise TOA',
+  'Use the inverse tangent': 'Utilise la tangente inverse',
+  'Round to the nearest degree': 'Arrondis au degré près',
+  'Absolute value is the distance from 0, so it is never negative': 'La valeur absolue est la distance à partir de 0, alors elle n’est jamais négative',
+  '{a} is {n} steps from 0': '{a} est à {n} pas de 0',
+  'Find the number that multiplies by itself to make {n}': 'Trouve le nombre qui, multiplié par lui-même, donne {n}',
+  'The numerator and denominator share a factor of {a}': 'Le numérateur et le dénominateur ont un facteur commun de {a}',
+  'Cancel the common factor ({e})': 'Simplifie le facteur commun ({e})',
+  'Factor the numerator as a difference of squares': 'Factorise le numérateur comme une différence de carrés',
+  'Cancel the common factor ({e}), remembering x ≠ {k}': 'Simplifie le facteur commun ({e}), en te rappelant que x ≠ {k}',
+  'Factor the numerator: find two numbers that multiply to {p} and add to {s}': 'Factorise le numérateur : trouve deux nombres dont le produit est {p} et la somme est {s}',
+  'Factor': 'Factorise',
+  'Set each factor to zero': 'Pose chaque facteur égal à zéro',
+  'x = {a} or x = {b}': 'x = {a} ou x = {b}',
+  'Find the common difference': 'Trouve la raison',
+  'Keep adding {d}': 'Continue d’additionner {d}',
+  'Use the general term formula': 'Utilise la formule du terme général',
+  'Substitute n = {n}': 'Remplace n par {n}',
+  'Find the common ratio': 'Trouve la raison',
+  'On the unit circle, sin(θ) is the y-coordinate of the point at angle θ': 'Sur le cercle unitaire, sin(θ) est l’ordonnée du point à l’angle θ',
+  'Find the point at {a}° and read its y-coordinate': 'Trouve le point à {a}° et lis son ordonnée',
+  'The inside is either the positive or the negative of the right side': 'L’intérieur est soit le positif, soit le négatif du côté droit',
+  'Positive case': 'Cas positif',
+  'Negative case': 'Cas négatif',
+  '|x - a| {op} b means x is at most b away from a': '|x - a| {op} b veut dire que x est à au plus b de a',
+  'Subtract {n} from all three parts': 'Soustrais {n} des trois parties',
+  'Add {n} to all three parts': 'Additionne {n} aux trois parties',
+  'Distance = |difference|, so it is never negative': 'Distance = |différence|, alors elle n’est jamais négative',
+  'Subtract and take the absolute value': 'Soustrais et prends la valeur absolue',
+  'Find the biggest perfect square that divides {n}': 'Trouve le plus grand carré parfait qui divise {n}',
+  'Split the root': 'Sépare la racine',
+  'Both terms have √{n}, so they are like terms': 'Les deux termes ont √{n}, alors ce sont des termes semblables',
+  'Subtract the numbers in front and keep √{n}': 'Soustrais les nombres devant et garde √{n}',
+  'Add the numbers in front and keep √{n}': 'Additionne les nombres devant et garde √{n}',
+  'Multiply under one root': 'Multiplie sous une seule racine',
+  'Pull out the perfect square': 'Sors le carré parfait',
+  'Multiply the top and bottom by √{n}': 'Multiplie le numérateur et le dénominateur par √{n}',
+  'Simplify {e}': 'Simplifie {e}',
+  'Factor everything you can': 'Factorise tout ce que tu peux',
+  'Cancel the common factors, remembering x ≠ {e}': 'Simplifie les facteurs communs, en te rappelant que x ≠ {e}',
+  'Dividing is multiplying by the reciprocal: flip the second fraction': 'Diviser, c’est multiplier par l’inverse : renverse la deuxième fraction',
+  'Cancel ({e}), remembering x ≠ {r}': 'Simplifie ({e}), en te rappelant que x ≠ {r}',
+  'The common denominator is {e}': 'Le dénominateur commun est {e}',
+  'Multiply the top and bottom of {a} by {b}': 'Multiplie le numérateur et le dénominateur de {a} par {b}',
+  'Add the numerators (x ≠ 0)': 'Additionne les numérateurs (x ≠ 0)',
+  'In vertex form y = a(x - p)² + q, the vertex is (p, q)': 'Sous la forme canonique y = a(x - p)² + q, le sommet est (p, q)',
+  'The number inside the brackets has the opposite sign': 'Le nombre entre parenthèses a le signe opposé',
+  'p = {p}': 'p = {p}',
+  'The number added at the end is q': 'Le nombre ajouté à la fin est q',
+  'q = {q}': 'q = {q}',
+  'Vertex': 'Sommet',
+  'Quadratic formula': 'Formule quadratique',
+  'Find the discriminant': 'Trouve le discriminant',
+  'Work out both signs': 'Calcule avec les deux signes',
+  'The discriminant is the part under the root in the quadratic formula': 'Le discriminant est la partie sous la racine dans la formule quadratique',
+  'The discriminant is positive, so there are two real roots': 'Le discriminant est positif, alors il y a deux racines réelles',
+  'The discriminant is zero, so there is exactly one real root': 'Le discriminant est nul, alors il y a exactement une racine réelle',
+  'The discriminant is negative, so there are no real roots': 'Le discriminant est négatif, alors il n’y a aucune racine réelle',
+  'Take half of {n} and square it': 'Prends la moitié de {n} et élève-la au carré',
+  'Add and subtract it': 'Additionne-le et soustrais-le',
+  'The first three terms make a perfect square': 'Les trois premiers termes forment un carré parfait',
+  'Read the vertex (opposite sign inside the brackets)': 'Lis le sommet (signe opposé entre parenthèses)',
+  'Find the last term': 'Trouve le dernier terme',
+  'Sum = number of terms × average of the first and last term': 'Somme = nombre de termes × moyenne du premier et du dernier terme',
+  'Work it out': 'Calcule',
+  'Put k = 1, 2, ... {n} into {e}': 'Remplace k par 1, 2, ... {n} dans {e}',
+  'Use tₙ = t₁ + (n - 1)d': 'Utilise tₙ = t₁ + (n - 1)d',
+  'Expand and simplify': 'Développe et simplifie',
+  'Start on the positive x-axis and turn counterclockwise': 'Pars de la partie positive de l’axe des x et tourne dans le sens antihoraire',
+  '{a}° ends in {q}': '{a}° se termine dans le {q}',
+  'Coterminal angles share the same terminal arm - they differ by 360°': 'Des angles coterminaux ont le même côté terminal : ils diffèrent de 360°',
+  'Add 360°': 'Additionne 360°',
+  '{a}° is in Quadrant {q}': '{a}° est dans le quadrant {q}',
+  'The reference angle is the angle to the nearest x-axis: {r}': 'L’angle de référence est l’angle avec l’axe des x le plus proche : {r}',
+  'Find r, the distance from the origin': 'Trouve r, la distance à partir de l’origine',
+  'sin θ = y/r, cos θ = x/r, tan θ = y/x': 'sin θ = y/r, cos θ = x/r, tan θ = y/x',
+  'Substitute (keep the signs of x and y)': 'Remplace par les valeurs (garde les signes de x et de y)',
+  'CAST, counterclockwise from Quadrant IV: Cos, All, Sin, Tan are positive': 'CAST, dans le sens antihoraire à partir du quadrant IV : Cos, Tous (All), Sin, Tan sont positifs',
+  'In Quadrant {q}, all three are positive': 'Dans le quadrant {q}, les trois sont positifs',
+  'In Quadrant {q}, only {f} is positive': 'Dans le quadrant {q}, seul {f} est positif',
+  '{f} θ is {s}': '{f} θ est {s}',
+  'Only {f} is positive in Quadrant {q}': 'Seul {f} est positif dans le quadrant {q}',
+  'The vertex of y = x² is (0, 0)': 'Le sommet de y = x² est (0, 0)',
+  'x - {h} inside the function shifts the graph {n} units right': 'x - {h} dans la fonction déplace le graphique de {n} unités vers la droite',
+  '+ {k} outside the function shifts the graph {n} units up': '+ {k} hors de la fonction déplace le graphique de {n} unités vers le haut',
+  'The exponent {e} means multiply {b} by itself {n} times': 'L’exposant {e} veut dire multiplier {b} par lui-même {n} fois',
+  'A logarithm asks: what power of {b} gives {v}?': 'Un logarithme demande : quelle puissance de {b} donne {v} ?',
+  '{b} to the power of {e} is {v}': '{b} à la puissance {e} donne {v}',
+  'So the logarithm is the exponent': 'Donc le logarithme est l’exposant',
+  'Product law: adding logs multiplies what is inside': 'Loi du produit : additionner des logarithmes multiplie ce qu’il y a à l’intérieur',
+  'The degree is the highest power of x in the polynomial': 'Le degré est la plus grande puissance de x dans le polynôme',
+  'degree = {n}': 'degré = {n}',
+  'Take {f}⁻¹ of both sides': 'Applique {f}⁻¹ aux deux côtés',
+  'Remember the exact values at 30°, 45° and 60°': 'Rappelle-toi les valeurs exactes à 30°, 45° et 60°',
+  '{a}° is between 0° and 90°': '{a}° est entre 0° et 90°',
+  'Find the reference angle: {f}({a}°) = {v}': 'Trouve l’angle de référence : {f}({a}°) = {v}',
+  '{f} is {s} in Quadrants {q} and {q2}': '{f} est {s} dans les quadrants {q} et {q2}',
+  'Put {a}° in those quadrants': 'Place {a}° dans ces quadrants',
+  'Order matters, so use the permutation formula': 'L’ordre compte, alors utilise la formule des permutations',
+  'There are {n} choices for the first spot, {m} for the next, and so on for {r} spots': 'Il y a {n} choix pour la première place, {m} pour la suivante, et ainsi de suite pour {r} places',
+  'Order does not matter, so use the combination formula': 'L’ordre ne compte pas, alors utilise la formule des combinaisons',
+  'Count the ordered arrangements first': 'Compte d’abord les arrangements ordonnés',
+  'Divide by the {n} ways to order each group of {r}': 'Divise par les {n} façons d’ordonner chaque groupe de {r}',
+  'By the binomial theorem, the coefficient of x^k in (x + 1)^n is C(n, k)': 'Selon le théorème du binôme, le coefficient de x^k dans (x + 1)^n est C(n, k)',
+  'Use n = {n} and k = 2': 'Utilise n = {n} et k = 2',
+  'The minus sign is OUTSIDE f, so it changes the y-values: a reflection in the x-axis': 'Le signe moins est À L’EXTÉRIEUR de f, alors il change les valeurs de y : une réflexion par rapport à l’axe des x',
+  'The minus sign is INSIDE with x, so it changes the x-values: a reflection in the y-axis': 'Le signe moins est À L’INTÉRIEUR avec x, alors il change les valeurs de x : une réflexion par rapport à l’axe des y',
+  'Apply it to the point': 'Applique-la au point',
+  '{a} is outside f, so it is a vertical stretch by a factor of {b}': '{a} est à l’extérieur de f, alors c’est un étirement vertical d’un facteur {b}',
+  '{a} is inside with x, so it is a horizontal compression by a factor of {b}': '{a} est à l’intérieur avec x, alors c’est une compression horizontale d’un facteur {b}',
+  'f⁻¹({y}) is the x that makes f(x) = {v}': 'f⁻¹({y}) est le x qui donne f(x) = {v}',
+  'Divide by {a}': 'Divise par {a}',
+  'Write y = f(x), then swap x and y': 'Écris y = f(x), puis échange x et y',
+  'Solve for y': 'Résous pour y',
+  'Growth model': 'Modèle de croissance',
+  'Count the doublings': 'Compte les doublements',
+  'Decay model': 'Modèle de décroissance',
+  'Count the half-lives': 'Compte les demi-vies',
+  'Compound interest formula': 'Formule de l’intérêt composé',
+  'Work it out and round to the cent': 'Calcule et arrondis au cent près',
+  'A ≈ ${a}': 'A ≈ {a} $',
+  'Rewrite in exponential form': 'Réécris sous forme exponentielle',
+  'Work out the power': 'Calcule la puissance',
+  'ln is the logarithm with base e, so it undoes e^x': 'ln est le logarithme de base e, alors il défait e^x',
+  'Take ln of both sides': 'Prends le ln des deux côtés',
+  'Change of base': 'Changement de base',
+  'Use a calculator': 'Utilise une calculatrice',
+  'Round': 'Arrondis',
+  'Only the leading term matters at the ends': 'Aux extrémités, seul le terme dominant compte',
+  'The degree {n} is odd, so the ends go opposite ways': 'Le degré {n} est impair, alors les extrémités vont dans des directions opposées',
+  'The degree {n} is even, so both ends go the same way': 'Le degré {n} est pair, alors les deux extrémités vont dans la même direction',
+  'The leading coefficient is positive, so the right end goes up': 'Le coefficient dominant est positif, alors l’extrémité droite monte',
+  'The leading coefficient is negative, so the right end goes down': 'Le coefficient dominant est négatif, alors l’extrémité droite descend',
+  'P(x) = 0 when any factor is 0': 'P(x) = 0 quand l’un des facteurs vaut 0',
+  '(x - a) is a factor exactly when P(a) = 0': '(x - a) est un facteur exactement quand P(a) = 0',
+  'Test x = {a}': 'Essaie x = {a}',
+  'So {f} is a factor': 'Donc {f} est un facteur',
+  'Dividing by {d} leaves the remainder P({a})': 'Diviser par {d} laisse le reste P({a})',
+  'Find the solutions in one turn of the unit circle, then add whole turns': 'Trouve les solutions sur un tour du cercle unitaire, puis ajoute des tours complets',
+  'sin x = 0 at 0, π, 2π, ... - every π': 'sin x = 0 à 0, π, 2π, ... : à chaque π',
+  'sin x = 1 only at π/2 in each full turn': 'sin x = 1 seulement à π/2 dans chaque tour complet',
+  'sin x = -1 only at 3π/2 in each full turn': 'sin x = -1 seulement à 3π/2 dans chaque tour complet',
+  'cos x = 0 at π/2, 3π/2, ... - every π': 'cos x = 0 à π/2, 3π/2, ... : à chaque π',
+  'cos x = 1 only at 0 in each full turn': 'cos x = 1 seulement à 0 dans chaque tour complet',
+  'cos x = -1 only at π in each full turn': 'cos x = -1 seulement à π dans chaque tour complet',
+  'Pythagorean identity': 'Identité de Pythagore',
+  'tan x = sin x / cos x, and the cos x cancels': 'tan x = sin x / cos x, et le cos x se simplifie',
+  'Dividing by sin x / cos x is multiplying by cos x / sin x': 'Diviser par sin x / cos x, c’est multiplier par cos x / sin x',
+  'Rearrange sin²x + cos²x = 1': 'Réarrange sin²x + cos²x = 1',
+  'Quotient identity': 'Identité du quotient',
+  'To prove an identity, rewrite one side in sines and cosines until it matches the other': 'Pour démontrer une identité, réécris un côté en sinus et en cosinus jusqu’à ce qu’il soit pareil à l’autre',
+  'Write {a}! so that {b}! shows': 'Écris {a}! de façon à faire paraître {b}!',
+  'Cancel the {a}!': 'Simplifie le {a}!',
+  'Each choice can go with every other choice, so multiply': 'Chaque choix peut aller avec tous les autres, alors multiplie',
+  'Multiply the choices': 'Multiplie les choix',
+  'Start at {a} and count up {b}': 'Commence à {a} et compte {b} de plus',
+  'Start at {a} and count back {b}': 'Commence à {a} et recule de {b}',
+  'Check by adding back': 'Vérifie en additionnant',
+  'Skip count or use your times tables': 'Compte par bonds ou utilise tes tables de multiplication',
+  'Think: what times {b} makes {c}?': 'Pense : {b} fois quoi donne {c} ?',
+  'Use the matching times fact': 'Utilise le fait de multiplication correspondant',
+  '{e}, so {f}': '{e}, donc {f}',
+  '{n} in': '{n} po',
+  'Call the starting number s and write an equation': 'Appelle s le nombre de départ et écris une équation',
+  'Split {w} into {d} equal groups': 'Sépare {w} en {d} groupes égaux',
+  'Take {n} of those groups': 'Prends {n} de ces groupes',
+  'Each whole is {d}/{d2}, so {w} wholes are {a}/{b}': 'Chaque entier vaut {d}/{d2}, donc {w} entiers valent {a}/{b}',
+  'Add the {n}/{d} part': 'Additionne la partie {n}/{d}',
+  'Keep the denominator': 'Garde le dénominateur',
+  '{p}% means {q} out of 100': '{p} % veut dire {q} sur 100',
+  'Multiply by {n}': 'Multiplie par {n}',
+  'Each sum is a square: 1², 2², 3², 4²': 'Chaque somme est un carré : 1², 2², 3² et 4²',
+  'Conjecture: the sum of the first n odd numbers is n²': 'Conjecture : la somme des n premiers nombres impairs est n²',
+  'Use the conjecture with n = {n}': 'Utilise la conjecture avec n = {n}',
+  'Each answer is a row of 1s, one more 1 than the number of digits multiplied by 9': 'Chaque réponse est une suite de 1, avec un 1 de plus que le nombre de chiffres multiplié par 9',
+  '{a} has {n} digits, so the answer has {m} ones': '{a} a {n} chiffres, donc la réponse a {m} fois le chiffre 1',
+  'Each figure has {n} more tiles than the one before': 'Chaque figure a {n} tuiles de plus que la précédente',
+  'Conjecture: figure n has {e} tiles': 'Conjecture : la figure n a {e} tuiles',
+  'A counterexample fits the conjecture\'s starting condition but not its conclusion': 'Un contre-exemple respecte la condition de départ de la conjecture, mais pas sa conclusion',
+  '{n} is odd but not prime': '{n} est impair, mais pas premier',
+  '{n} is divisible by {a} but not by {b}': '{n} est divisible par {a}, mais pas par {b}',
+  '{a}² = {b}, which is not greater than {c}': '{a}² = {b}, qui n’est pas plus grand que {c}',
+  '{n} ends in 4, but {e}': '{n} se termine par 4, mais {e}',
+  'One counterexample is enough to show the conjecture is false': 'Un seul contre-exemple suffit pour montrer que la conjecture est fausse',
+  'Follow the steps with n instead of a number': 'Suis les étapes avec n au lieu d’un nombre',
+  'Subtract {n}': 'Soustrais {n}',
+  'Divide by {n}': 'Divise par {n}',
+  'Subtract n: the n is gone, so every number ends the same way': 'Soustrais n : le n disparaît, donc tous les nombres donnent le même résultat',
+  'Speed is the distance for one hour: divide the distance by the time': 'La vitesse est la distance parcourue en une heure : divise la distance par le temps',
+  'Find each hourly rate: divide the pay by the hours': 'Trouve chaque taux horaire : divise la paie par les heures',
+  '${a} ÷ {b} = ${c} per hour': '{a} $ ÷ {b} = {c} $ l’heure',
+  'Subtract the rates': 'Soustrais les taux',
+  '${a} - ${b} = ${c}': '{a} $ - {b} $ = {c} $',
+  'Every length is multiplied by k, so the area is multiplied by k²': 'Chaque longueur est multipliée par k, donc l’aire est multipliée par k²',
+  'Multiply the area': 'Multiplie l’aire',
+  'Length, width and height are all multiplied by k, so the volume is multiplied by k³': 'La longueur, la largeur et la hauteur sont toutes multipliées par k, donc le volume est multiplié par k³',
+  'Multiply the volume': 'Multiplie le volume',
+  'Areas of similar shapes differ by k²': 'Les aires de figures semblables diffèrent d’un facteur k²',
+  'Divide the bigger area': 'Divise la plus grande aire',
+  'Divide each price by its size to get the unit price': 'Divise chaque prix par sa quantité pour obtenir le prix unitaire',
+  '${a} ÷ {b} = ${c}': '{a} $ ÷ {b} = {c} $',
+  'The lower unit price is the better buy': 'Le prix unitaire le plus bas est le meilleur achat',
+  '${a}': '{a} $',
+  'Gross pay = hours × hourly wage': 'Paie brute = heures × salaire horaire',
+  '{a} × ${b} = ${c}': '{a} × {b} $ = {c} $',
+  'Work out the deductions': 'Calcule les déductions',
+  '{a}% × ${b} = ${c}': '{a} % × {b} $ = {c} $',
+  'Net pay = gross pay - deductions': 'Paie nette = paie brute - déductions',
+  'Add up the spending': 'Additionne les dépenses',
+  '${a} + ${b} + ${c} = ${d}': '{a} $ + {b} $ + {c} $ = {d} $',
+  'The savings are what is left': 'L’épargne est ce qui reste',
+  'Write the savings as a percent of the income': 'Écris l’épargne en pourcentage du revenu',
+  'Each element is either in a subset or not: 2 choices per element': 'Chaque élément est dans un sous-ensemble ou non : 2 choix par élément',
+  'The set has {n} elements': 'L’ensemble a {n} éléments',
+  'A proper subset can\'t be the whole set, so take that one away': 'Un sous-ensemble propre ne peut pas être l’ensemble au complet, alors enlève celui-là',
+  'A ∩ B holds the numbers that are multiples of both {a} and {b}: the multiples of {c}': 'A ∩ B contient les nombres qui sont multiples de {a} et de {b} : les multiples de {c}',
+  'Count the multiples of {a} up to {b}': 'Compte les multiples de {a} jusqu’à {b}',
+  'Count each set': 'Compte chaque ensemble',
+  'The multiples of {a} are in both sets': 'Les multiples de {a} sont dans les deux ensembles',
+  'Take away the overlap so it is only counted once': 'Enlève la partie commune pour ne la compter qu’une fois',
+  'Start with the overlap': 'Commence par la partie commune',
+  'Both: {n}': 'Les deux : {n}',
+  'Neither is everyone outside the circles': 'Aucun des deux : tous ceux à l’extérieur des cercles',
+  'Add the two "only" parts': 'Additionne les deux parties « seulement »',
+  'A′ is everything in U that is not in A': 'A′ contient tout ce qui est dans U, mais pas dans A',
+  '"If p, then q." Here p: it {p}; q: it {q}': '« Si p, alors q. » Ici, p : il {p} ; q : il {q}',
+  'The converse swaps the two parts': 'La réciproque échange les deux parties',
+  'The inverse negates both parts': 'La proposition inverse nie les deux parties',
+  'The contrapositive swaps the two parts and negates both': 'La contraposée échange les deux parties et les nie toutes les deux',
+  'Write the converse of each statement and check if it is always true': 'Écris la réciproque de chaque énoncé et vérifie si elle est toujours vraie',
+  'Only one converse holds': 'Une seule réciproque est vraie',
+  'So it can be written as a biconditional': 'On peut donc l’écrire comme une biconditionnelle',
+  'A number {x} if and only if it {y}.': 'Un nombre {x} si et seulement s’il {y}.',
+  'A polygon {x} if and only if it {y}.': 'Un polygone {x} si et seulement s’il {y}.',
+  'An angle {x} if and only if it {y}.': 'Un angle {x} si et seulement s’il {y}.',
+  'An animal {x} if and only if it {y}.': 'Un animal {x} si et seulement s’il {y}.',
+  'Simple interest formula': 'Formule de l’intérêt simple',
+  'I = {a} × {b} × {c} = ${d}': 'I = {a} × {b} × {c} = {d} $',
+  'Add the interest to the amount invested': 'Ajoute les intérêts au montant placé',
+  'A = {a} + {b} = ${c}': 'A = {a} + {b} = {c} $',
+  'Each year the car keeps {r}% of its value': 'Chaque année, la voiture garde {r} % de sa valeur',
+  'Depreciation formula': 'Formule de la dépréciation',
+  'Work it out and round to the dollar': 'Calcule et arrondis au dollar près',
+  'A polynomial has no breaks, so its limit is its value: substitute': 'Un polynôme n’a pas de coupure, donc sa limite est sa valeur : remplace x',
+  'Substituting x = {a} gives 0/0, so factor the top': 'Remplacer x par {a} donne 0/0, alors factorise le numérateur',
+  'Cancel the common factor {f}': 'Simplifie le facteur commun {f}',
+  'Divide the top and bottom by the highest power of x, {p}': 'Divise le numérateur et le dénominateur par la plus grande puissance de x, {p}',
+  'Every term on top shrinks to 0, but the bottom goes to the leading coefficient': 'Chaque terme du numérateur tend vers 0, mais le dénominateur tend vers son coefficient dominant',
+  'Every term but the leading ones shrinks to 0': 'Tous les termes sauf les termes dominants tendent vers 0',
+  'Power rule: bring the power down, then take one off it': 'Règle de la puissance : descends l’exposant devant, puis enlève 1 à l’exposant',
+  'Differentiate each term': 'Dérive chaque terme',
+  'The slope of the tangent is the derivative at that point': 'La pente de la tangente est la dérivée en ce point',
+  'Differentiate': 'Dérive',
+  'Product rule': 'Règle du produit',
+  'Differentiate each factor': 'Dérive chaque facteur',
+  'Chain rule: differentiate the outside, then multiply by the derivative of the inside': 'Dérivation en chaîne : dérive l’extérieur, puis multiplie par la dérivée de l’intérieur',
+  'Add one to each power, then divide by the new power': 'Ajoute 1 à chaque exposant, puis divise par le nouvel exposant',
+  'F(0) is the constant of integration': 'F(0) est la constante d’intégration',
+  'Find an antiderivative': 'Trouve une primitive',
+  'Subtract the value at the lower limit from the value at the upper limit': 'Soustrais la valeur à la borne inférieure de la valeur à la borne supérieure',
+  'y = {e} is above the x-axis the whole way, so the area is the definite integral': 'y = {e} est au-dessus de l’axe des x tout le long, donc l’aire est l’intégrale définie'
+}
+
+export const MISCONCEPTIONS = {
+  'forgot-to-carry': { name: 'Oubli de la retenue', feedback: 'Quand une colonne donne 10 ou plus, reporte la dizaine en trop dans la colonne suivante.' },
+  'subtracted-smaller-digit': { name: 'Petit chiffre soustrait du grand', feedback: 'Si le chiffre du haut est plus petit, emprunte à la colonne suivante au lieu d’inverser les chiffres.' },
+  'added-instead-of-subtracted': { name: 'Addition au lieu d’une soustraction', feedback: 'Vérifie le signe : enlever ou trouver une partie manquante, c’est soustraire.' },
+  'added-instead-of-multiplied': { name: 'Addition au lieu d’une multiplication', feedback: 'Des groupes égaux (ou « fois ») veulent dire multiplier, pas additionner.' },
+  'found-only-one-part': { name: 'Une seule partie trouvée', feedback: 'Diviser par le dénominateur donne UNE partie. Multiplie par le numérateur pour avoir toutes les parties demandées.' },
+  'multiplied-instead-of-added': { name: 'Multiplication au lieu d’une addition', feedback: 'Réunir des quantités, c’est les additionner.' },
+  'multiplied-instead-of-divided': { name: 'Multiplication au lieu d’une division', feedback: 'Partager ou séparer en parts égales, c’est diviser.' },
+  'off-by-one': { name: 'Décalé de un', feedback: 'Compte avec soin : cette réponse a un pas de trop ou de moins.' },
+  'forgot-placeholder-zero': { name: 'Oubli du zéro', feedback: 'Quand tu multiplies par le chiffre des dizaines, tu multiplies en fait par des dizaines : mets d’abord un 0 à la position des unités.' },
+  'ignored-order-of-operations': { name: 'Calcul de gauche à droite', feedback: 'Utilise PEDMAS : parenthèses, exposants, puis multiplier/diviser, puis additionner/soustraire.' },
+  'ignored-brackets': { name: 'Parenthèses ignorées', feedback: 'Calcule toujours d’abord ce qui est entre parenthèses.' },
+  'not-lowest-common-denominator': { name: 'Pas le plus petit dénominateur commun', feedback: 'Multiplier les dénominateurs donne toujours un dénominateur commun, mais pas toujours le plus petit. Fais la liste des multiples pour trouver le plus petit qu’ils partagent.' },
+  'added-denominators': { name: 'Dénominateurs additionnés', feedback: 'Le dénominateur est la taille des morceaux : il ne s’additionne pas.' },
+  'multiplied-both-parts': { name: 'Haut et bas multipliés', feedback: 'Multiplier le haut et le bas par le même nombre donne une fraction équivalente, pas une plus grande. Multiplie seulement le numérateur.' },
+  'added-to-top-and-bottom': { name: 'Addition au lieu d’une mise à l’échelle', feedback: 'Pour une fraction équivalente, on multiplie le haut et le bas par le même nombre : additionner change la valeur.' },
+  'part-to-part': { name: 'Partie comparée à une partie', feedback: 'Une fraction compare la partie au TOUT, donc le dénominateur est le total.' },
+  'flipped-fraction': { name: 'Fraction inversée', feedback: 'La partie va en haut et le tout va en bas.' },
+  'forgot-to-flip': { name: 'Oubli d’inverser la deuxième fraction', feedback: 'Pour diviser par une fraction, multiplie par son inverse : inverse la DEUXIÈME fraction, puis multiplie.' },
+  'flipped-only-the-fraction': { name: 'Seule la partie fractionnaire inversée', feedback: 'Change un nombre fractionnaire en fraction impropre avant de l’inverser.' },
+  'ordered-by-denominator': { name: 'Classé selon le nombre du bas', feedback: 'Un plus grand dénominateur veut dire des morceaux PLUS PETITS. Compare la taille des fractions, pas celle de leurs dénominateurs.' },
+  'counted-the-marks': { name: 'Traits comptés au lieu des espaces', feedback: 'Commence à 0 et compte les ESPACES égaux entre les traits : le trait à 0 n’en fait pas partie.' },
+  'sign-error': { name: 'Erreur de signe', feedback: 'Vérifie les signes positifs et négatifs à chaque étape.' },
+  'moved-wrong-way': { name: 'Déplacement dans le mauvais sens', feedback: 'Sur une droite numérique, ajouter un nombre positif fait aller à DROITE et ajouter un nombre négatif fait aller à GAUCHE.' },
+  'ordered-ignoring-signs': { name: 'Signes négatifs ignorés', feedback: 'Les nombres négatifs sont plus petits que zéro : plus un nombre négatif est loin de zéro, plus il est PETIT.' },
+  'forgot-to-divide': { name: 'Arrêt avant la division', feedback: 'Continue jusqu’à ce que x soit seul : divise les deux côtés par le nombre devant x.' },
+  'coefficient-as-digit': { name: 'Nombres écrits côte à côte', feedback: 'Un nombre à côté de x veut dire multiplier : 3x avec x = 5, c’est 3 × 5, pas 35.' },
+  'reversed-subtraction': { name: 'Soustraction dans le mauvais ordre', feedback: '« 5 de moins que n » commence par n et enlève 5 : n - 5. L’ordre compte dans une soustraction.' },
+  'equals-means-answer': { name: '= lu comme « la réponse est »', feedback: 'Le signe = veut dire que les deux côtés ont la MÊME valeur. Calcule un côté, puis fais correspondre l’autre.' },
+  'distributed-to-first-term-only': { name: 'Seul le premier terme multiplié', feedback: 'Le nombre devant les parenthèses multiplie CHAQUE terme à l’intérieur : 3(x + 2) = 3x + 6.' },
+  'divided-instead-of-multiplied': { name: 'Division au lieu d’une multiplication', feedback: 'Pour annuler une division par un nombre, MULTIPLIE les deux côtés par ce nombre.' },
+  'forgot-negative-case': { name: 'Oubli du cas négatif', feedback: '|A| = b veut dire A = b OU A = -b. Résous les deux équations pour trouver les deux réponses.' },
+  'solved-for-wrong-variable': { name: 'Mauvaise variable isolée', feedback: 'Relis la question pour voir quelle variable elle demande.' },
+  'included-the-boundary': { name: 'Borne dépassée', feedback: 'Avec <, la borne elle-même ne fonctionne pas : vérifie ta réponse dans l’inéquation.' },
+  'perimeter-instead-of-area': { name: 'Périmètre au lieu de l’aire', feedback: 'L’aire est l’espace à l’intérieur : longueur × largeur. Le périmètre est la distance autour.' },
+  'area-instead-of-perimeter': { name: 'Aire au lieu du périmètre', feedback: 'Le périmètre est la distance autour : additionne tous les côtés. L’aire, c’est longueur × largeur.' },
+  'forgot-to-halve': { name: 'Oubli de diviser par 2', feedback: 'Un triangle est la moitié d’un rectangle (ou d’un parallélogramme) de même base et de même hauteur : divise par 2.' },
+  'forgot-to-double': { name: 'Oubli de doubler', feedback: 'Les figures ont des paires de côtés (ou de faces) identiques : compte les deux de chaque paire.' },
+  'doubled-instead-of-squared': { name: 'Doublé au lieu d’être mis au carré', feedback: 'r² veut dire r × r, pas r × 2.' },
+  'forgot-a-circle': { name: 'Un seul cercle compté', feedback: 'Un cylindre fermé a un cercle en haut ET en bas : compte les deux.' },
+  'forgot-one-third': { name: 'Oubli du tiers', feedback: 'Un cône ou une pyramide contient seulement ⅓ du cylindre ou du prisme qui l’entoure : divise par 3.' },
+  'forgot-square-root': { name: 'Oubli de la racine carrée', feedback: 'a² + b² = c² donne le CARRÉ du côté. Prends la racine carrée pour trouver le côté lui-même.' },
+  'area-instead-of-circumference': { name: 'Formule de l’aire utilisée', feedback: 'La circonférence est la distance autour : C = 2πr. La formule de l’aire est A = πr².' },
+  'wrong-conversion-factor': { name: 'Mauvais nombre de conversion', feedback: 'Vérifie combien de petites unités il y a dans une grande unité avant de multiplier.' },
+  'used-school-week': { name: 'Jours d’école seulement', feedback: 'Une semaine complète a 7 jours, en comptant la fin de semaine.' },
+  'quarter-to-as-quarter-past': { name: '« Moins quart » et « et quart » confondus', feedback: '« Moins quart », c’est 15 minutes AVANT l’heure ; « et quart », c’est 15 minutes APRÈS.' },
+  'read-clock-number-as-minutes': { name: 'Chiffre lu comme des minutes', feedback: 'Pour la grande aiguille, chaque chiffre de l’horloge vaut 5 minutes : compte par bonds de 5.' },
+  'swapped-clock-hands': { name: 'Aiguilles confondues', feedback: 'La PETITE aiguille montre l’heure et la GRANDE aiguille montre les minutes.' },
+  'read-next-hour': { name: 'Heure suivante lue', feedback: 'Tant que la petite aiguille n’a pas atteint un chiffre, c’est encore l’heure d’avant : lis le chiffre qu’elle vient de dépasser.' },
+  'read-ruler-end': { name: 'Trait de la fin lu', feedback: 'L’objet ne commence pas à 0 sur la règle : soustrais le trait de départ du trait de la fin.' },
+  'scaled-area-like-length': { name: 'Aire ou volume agrandi comme une longueur', feedback: 'Un facteur d’échelle k multiplie les longueurs par k, les aires par k² et les volumes par k³.' },
+  'median-without-sorting': { name: 'Milieu pris avant de classer', feedback: 'Place les valeurs en ordre de la plus petite à la plus grande avant de trouver celle du milieu.' },
+  'counted-overlap-twice': { name: 'Chevauchement compté deux fois', feedback: 'Ce qui est à la fois dans A et dans B est compté dans A, puis encore dans B : soustrais le chevauchement pour ne le compter qu’une fois.' },
+  'used-sum-instead-of-mean': { name: 'Oubli de diviser', feedback: 'La moyenne est le total divisé par le nombre de valeurs.' },
+  'range-instead-of-iqr': { name: 'Étendue au lieu de l’écart interquartile', feedback: 'L’écart interquartile est Q3 - Q1, l’étalement de la moitié du milieu. Maximum - minimum, c’est l’étendue.' },
+  'ignored-the-key': { name: 'Images comptées sans la légende', feedback: 'Regarde la légende : chaque image peut valoir plus que un. Multiplie le nombre d’images par la légende.' },
+  'counted-bundle-as-four': { name: 'Paquet de traits compté comme 4', feedback: 'Un paquet de traits, c’est 4 traits avec un 5e trait en travers, donc chaque paquet vaut 5.' },
+  'domain-range-swapped': { name: 'Domaine et image confondus', feedback: 'Le domaine, ce sont les entrées (valeurs de x, en premier dans chaque paire) ; l’image, ce sont les sorties (valeurs de y, en second).' },
+  'subtracted-only-first-term': { name: 'Seul le premier terme soustrait', feedback: 'Le signe moins devant une parenthèse change le signe de CHAQUE terme à l’intérieur.' },
+  'run-over-rise': { name: 'Course sur montée', feedback: 'La pente, c’est la montée sur la course : la variation de y va en haut, la variation de x en bas.' },
+  'used-perpendicular-slope': { name: 'Pente perpendiculaire utilisée', feedback: 'Des droites parallèles ont la MÊME pente. L’inverse négatif, c’est pour les droites perpendiculaires.' },
+  'reciprocal-without-sign': { name: 'Inversée sans changer le signe', feedback: 'Les pentes perpendiculaires sont des inverses NÉGATIFS : inverse la fraction et change le signe.' },
+  'swapped-slope-intercept': { name: 'Pente et ordonnée à l’origine confondues', feedback: 'Dans y = mx + b, m (avec le x) est la pente et b (seul) est l’ordonnée à l’origine.' },
+  'multiplied-like-terms': { name: 'Termes semblables multipliés', feedback: 'Pour réduire des termes semblables, additionne les coefficients et garde la même variable.' },
+  'added-exponents-when-adding': { name: 'Exposant changé', feedback: 'Additionner des termes semblables ne change jamais l’exposant : x + x = 2x, pas x².' },
+  'sum-only-factor-pair': { name: 'Seule la somme vérifiée', feedback: 'Les deux nombres doivent DONNER le nombre du milieu en s’additionnant ET le dernier nombre en se multipliant.' },
+  'product-only-factor-pair': { name: 'Seul le produit vérifié', feedback: 'Les deux nombres doivent DONNER le dernier nombre en se multipliant ET le nombre du milieu en s’additionnant.' },
+  'difference-as-perfect-square': { name: 'Carré parfait écrit', feedback: 'a² - b² se factorise en (a + b)(a - b) : un plus et un moins. (a - b)² a un terme du milieu.' },
+  'forgot-common-factor': { name: 'Facteur commun oublié', feedback: 'Le facteur commun mis en évidence au début fait partie de la réponse : garde-le devant les parenthèses.' },
+  'flipped-root-signs': { name: 'Signes des racines inversés', feedback: 'Si (x - 3) est un facteur, la racine est +3 : pose chaque facteur égal à zéro et résous.' },
+  'forgot-middle-term': { name: 'Oubli du terme du milieu', feedback: 'La distributivité donne quatre produits : les deux du milieu forment le terme en x.' },
+  'wrong-answer-form': { name: 'Bonne valeur, mauvaise forme', feedback: 'Ton nombre est égal à la réponse, mais la question le demande écrit autrement. Relis la question.' },
+  'not-simplest-form': { name: 'Pas sous la forme la plus simple', feedback: 'Ton nombre est égal à la réponse, mais il peut encore être simplifié. Divise par les facteurs communs (ou sors les facteurs carrés de la racine).' },
+  'open-or-closed-end': { name: 'Borne ouverte ou fermée confondue', feedback: '< et > excluent la borne : utilise ( ) en notation d’intervalle. ≤ et ≥ l’incluent : utilise [ ].' },
+  'flipped-inequality': { name: 'Oubli d’inverser l’inégalité', feedback: 'Multiplier ou diviser les deux côtés par un nombre NÉGATIF inverse le signe d’inégalité.' },
+  'swapped-coordinates': { name: 'x et y inversés', feedback: 'Les points s’écrivent (x ; y) : la valeur de x (gauche/droite) vient toujours en premier.' },
+  'wrong-kind-of-unit': { name: 'Mauvaise sorte d’unité', feedback: 'Une longueur est en unités comme les cm, une aire en unités carrées comme les cm² et un volume en unités cubes comme les cm³. Vérifie ce que la question mesure.' },
+  'unit-not-asked-for': { name: 'Pas l’unité demandée', feedback: 'Ta quantité est peut-être juste, mais la question demande une unité précise. Convertis ta réponse dans cette unité.' },
+  'rounded-incorrectly': { name: 'Bonne valeur, mal arrondie', feedback: 'Ton calcul est fait, mais vérifie l’arrondi : arrondis à la position demandée et regarde le chiffre suivant. 5 ou plus, on arrondit vers le haut ; moins de 5, vers le bas.' },
+  'cancelled-terms': { name: 'Termes simplifiés au lieu de facteurs', feedback: 'On ne peut simplifier que des FACTEURS (ce qui est multiplié), pas des termes additionnés. Factorise d’abord, puis simplifie.' },
+  'used-n-instead-of-n-minus-1': { name: 'n au lieu de n - 1', feedback: 'Le premier terme n’a encore fait aucun pas, donc le terme n n’a fait que n - 1 pas.' },
+  'shifted-the-wrong-way': { name: 'Translation dans le mauvais sens', feedback: 'f(x - h) déplace le graphique de h vers la DROITE : le signe dans les parenthèses est l’inverse.' },
+  'reflected-in-wrong-axis': { name: 'Réflexion par rapport au mauvais axe', feedback: 'y = -f(x) change le signe des valeurs de y (par rapport à l’axe des x). y = f(-x) change le signe des valeurs de x (par rapport à l’axe des y).' },
+  'stretched-the-wrong-way': { name: 'Mauvaise coordonnée changée', feedback: 'Un nombre à l’extérieur de f change les valeurs de y. Un nombre à l’intérieur avec x change les valeurs de x, et à l’envers : f(2x) les divise par 2.' },
+  'inverse-as-reciprocal': { name: '1/f(x) utilisé comme réciproque', feedback: 'f⁻¹ n’est pas 1/f. La réciproque annule f : trouve le x qui donne f(x) égal au nombre.' },
+  'substituted-wrong-sign': { name: 'Mauvais signe substitué', feedback: 'Diviser par (x - a), c’est substituer x = a : le signe opposé à celui du nombre dans la parenthèse.' },
+  'counted-terms-for-degree': { name: 'Termes comptés', feedback: 'Le degré est le plus grand exposant, pas le nombre de termes.' },
+  'multiplied-base-by-exponent': { name: 'Base multipliée par l’exposant', feedback: 'Un exposant veut dire une multiplication répétée : 2³ = 2 × 2 × 2, pas 2 × 3.' },
+  'added-the-radicands': { name: 'Addition sous le radical', feedback: 'Les radicaux semblables s’additionnent comme des termes semblables : additionne les nombres devant et garde le même radical.' },
+  'halved-instead-of-square-root': { name: 'Moitié au lieu de la racine carrée', feedback: 'Une racine carrée est le nombre qui, multiplié par LUI-MÊME, donne la valeur, pas sa moitié.' },
+  'linear-instead-of-exponential': { name: 'Croissance par addition au lieu de multiplication', feedback: 'Doubler multiplie par 2 à chaque fois : on n’ajoute pas encore la quantité de départ.' },
+  'used-simple-interest': { name: 'Intérêt simple utilisé', feedback: 'L’intérêt composé rapporte aussi de l’intérêt sur l’intérêt : A = P(1 + i)ⁿ, pas P(1 + in).' },
+  'log-as-division': { name: 'Division au lieu de trouver l’exposant', feedback: 'Un logarithme demande « quel exposant ? » : log₂(8) = 3 parce que 2³ = 8.' },
+  'swapped-sin-and-cos': { name: 'Sinus et cosinus confondus', feedback: 'SOH CAH TOA : le sinus utilise le côté opposé, le cosinus utilise le côté adjacent.' },
+  'flipped-tangent': { name: 'Adjacent sur opposé utilisé', feedback: 'TOA : la tangente est le côté opposé divisé par le côté adjacent.' },
+  'ignored-negative-sign': { name: 'Quadrants d’une valeur positive utilisés', feedback: 'Une valeur négative veut dire que l’angle est dans les quadrants où la fonction est négative. Utilise CAST pour les trouver.' },
+  'divided-the-factorials': { name: 'Nombres divisés avant le !', feedback: 'n! ÷ r! n’est pas (n ÷ r)!. Écris la plus grande factorielle jusqu’à voir apparaître la plus petite, puis simplifie.' },
+  'permutation-for-combination': { name: 'Ordre compté', feedback: 'Quand l’ordre ne compte pas, divise par le nombre de façons de placer chaque groupe : C(n, r) = n! ÷ (r!(n - r)!).' },
+  'combination-for-permutation': { name: 'Ordre ignoré', feedback: 'Quand l’ordre compte, chaque arrangement compte : P(n, r) = n! ÷ (n - r)!.' },
+  'used-power-as-coefficient': { name: 'Exposant utilisé comme coefficient', feedback: 'Les coefficients du binôme viennent de C(n, k) (triangle de Pascal), pas de l’exposant seul.' },
+  'doubled-for-subsets': { name: 'Doublé au lieu d’une puissance de 2', feedback: 'Chaque élément est dans un sous-ensemble ou non, donc n éléments donnent 2 × 2 × ... = 2ⁿ sous-ensembles, pas 2n.' },
+  'counted-set-not-complement': { name: 'Ensemble compté au lieu de son complément', feedback: 'Le complément A′ contient tout ce qui est dans l’ensemble universel, mais PAS dans A : n(A′) = n(U) - n(A).' },
+  'example-not-counterexample': { name: 'Exemple au lieu d’un contre-exemple', feedback: 'Ce nombre respecte la conjecture. Un contre-exemple respecte la condition, mais PAS la conclusion.' },
+  'mixed-up-statement-forms': { name: 'Réciproque, inverse et contraposée confondues', feedback: 'Réciproque : échange les parties. Inverse : nie les deux parties. Contraposée : échange ET nie.' },
+  'assumed-converse-true': { name: 'Réciproque supposée vraie', feedback: 'Un énoncé vrai peut avoir une réciproque fausse. Cherche un contre-exemple à la réciproque avant d’écrire « si et seulement si ».' },
+  'used-compound-interest': { name: 'Intérêt composé utilisé', feedback: 'L’intérêt simple est calculé seulement sur le montant placé : I = Prt. Il ne rapporte pas d’intérêt sur l’intérêt.' },
+  'depreciated-linearly': { name: 'Même montant enlevé chaque année', feedback: 'Perdre un pourcentage chaque année multiplie la valeur par (1 - i) chaque année : A = P(1 - i)ⁿ.' },
+  'compared-totals-not-rates': { name: 'Totaux comparés au lieu des taux', feedback: 'On ne peut pas comparer des quantités différentes par leurs totaux. Divise d’abord pour obtenir le taux pour une unité.' },
+  'gave-gross-pay': { name: 'Paie brute donnée', feedback: 'La paie nette est ce qui reste après les déductions : soustrais-les de la paie brute.' },
+  'gave-amount-not-percent': { name: 'Montant donné au lieu du pourcentage', feedback: 'La question demande un pourcentage : divise la partie par le tout et multiplie par 100.' },
+  'found-value-not-derivative': { name: 'Valeur trouvée au lieu de la pente', feedback: 'Remplacer x dans f(x) donne la hauteur de la courbe. Dérive d’abord, puis remplace x dans f′(x).' },
+  'multiplied-the-derivatives': { name: 'Dérivées multipliées', feedback: 'La dérivée d’un produit n’est pas le produit des dérivées : (fg)′ = f′g + fg′.' },
+  'forgot-inner-derivative': { name: 'Dérivée intérieure oubliée', feedback: 'Dérivation en chaîne : après avoir dérivé l’extérieur, multiplie par la dérivée de ce qui est entre parenthèses.' },
+  'used-the-constant-terms': { name: 'Termes constants utilisés', feedback: 'Quand x devient très grand, les plus grandes puissances l’emportent. Compare les termes dominants, pas les constantes.' },
+  'zero-over-zero-is-zero': { name: '0/0 pris pour zéro', feedback: '0/0 ne donne pas la limite. Factorise, simplifie le facteur commun, puis remplace x de nouveau.' },
+  'forgot-constant-of-integration': { name: 'Constante d’intégration oubliée', feedback: 'Chaque primitive a un + C. Utilise le point donné pour trouver C avant de remplacer x.' },
+  'subtracted-limits-backwards': { name: 'Bornes soustraites à l’envers', feedback: 'Une intégrale définie vaut F(borne supérieure) - F(borne inférieure), dans cet ordre.' }
+}
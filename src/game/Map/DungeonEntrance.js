@@ -1,3 +1,6 @@
+import { t } from '../Localization/Localization'
+import { ProblemTranslator } from '../Localization/ProblemTranslator'
+
 /**
  * Dungeon Entrance
  * Represents an entrance to a grade-specific dungeon
@@ -14,26 +17,29 @@ export class DungeonEntrance {
   }
 
   /**
-   * Get color based on grade level
+   * Get color based on grade
    * @returns {string} Color hex code
    */
   getGradeColor() {
-    const colors = [
-      '#ff6b6b', // Math 1 - Red
-      '#4ecdc4', // Math 2 - Teal
-      '#45b7d1', // Math 3 - Blue
-      '#96ceb4', // Math 4 - Green
-      '#ffeaa7', // Math 5 - Yellow
-      '#dda0dd', // Math 6 - Plum
-      '#98d8c8', // Math 7 - Mint
-      '#f7dc6f', // Math 8 - Gold
-      '#bb8fce', // Math 9 - Purple
-      '#85c1e2', // Math 10-1 - Sky Blue
-      '#f8b739', // Math 20-1 - Orange
-      '#e74c3c'  // Math 30-1 - Dark Red
-    ]
-    const index = Math.min(this.grade - 1, colors.length - 1)
-    return colors[index] || '#888'
+    const colors = {
+      1: '#ff6b6b', // Math 1 - Red
+      2: '#4ecdc4', // Math 2 - Teal
+      3: '#45b7d1', // Math 3 - Blue
+      4: '#96ceb4', // Math 4 - Green
+      5: '#ffeaa7', // Math 5 - Yellow
+      6: '#dda0dd', // Math 6 - Plum
+      7: '#98d8c8', // Math 7 - Mint
+      8: '#f7dc6f', // Math 8 - Gold
+      9: '#bb8fce', // Math 9 - Purple
+      '10C': '#85c1e2', // Math 10C - Sky Blue
+      '20-1': '#f8b739', // Math 20-1 - Orange
+      '20-2': '#f0a35e', // Math 20-2 - Apricot
+      '20-3': '#e8c07d', // Math 20-3 - Sand
+      '30-1': '#e74c3c', // Math 30-1 - Dark Red
+      '30-2': '#e67e73', // Math 30-2 - Salmon
+      '31': '#5d6dbe' // Math 31 - Indigo
+    }
+    return colors[this.grade] || '#888'
   }
 
   /**
@@ -72,8 +78,8 @@ export class DungeonEntrance {
     ctx.fillStyle = '#fff'
     ctx.font = 'bold 14px Arial'
     ctx.textAlign = 'center'
-    ctx.fillText(this.gradeName, screenX + this.width / 2, screenY + this.height / 2 - 5)
+    ctx.fillText(ProblemTranslator.translateName(this.gradeName), screenX + this.width / 2, screenY + this.height / 2 - 5)
     ctx.font = '10px Arial'
-    ctx.fillText('Press E to Enter', screenX + this.width / 2, screenY + this.height / 2 + 10)
+    ctx.fillText(t('hud.pressEToEnter'), screenX + this.width / 2, screenY + this.height / 2 + 10)
   }
 }
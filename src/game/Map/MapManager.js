@@ -3,6 +3,8 @@ import { PlayerController } from './PlayerController'
 import { DungeonEntrance } from './DungeonEntrance'
 import { Hero } from '../Characters/Hero'
 import { generateTileSprite } from '../../utils/assetGenerator'
+import { t } from '../Localization/Localization'
+import { ProblemTranslator } from '../Localization/ProblemTranslator'
 
 /**
  * Map Manager
@@ -69,15 +71,20 @@ export class MapManager {
       { grade: 7, name: 'Math 7' },
       { grade: 8, name: 'Math 8' },
       { grade: 9, name: 'Math 9' },
-      { grade: 10, name: 'Math 10-1' },
-      { grade: 20, name: 'Math 20-1' },
-      { grade: 30, name: 'Math 30-1' }
+      { grade: '10C', name: 'Math 10C' },
+      { grade: '20-1', name: 'Math 20-1' },
+      { grade: '20-2', name: 'Math 20-2' },
+      { grade: '20-3', name: 'Math 20-3' },
+      { grade: '30-1', name: 'Math 30-1' },
+      { grade: '30-2', name: 'Math 30-2' },
+      { grade: '31', name: 'Math 31' }
     ]
 
     // Arrange entrances in a circle around the lobby
+    // (wide enough that 16 of them are as far apart as the labels need)
     const centerX = this.mapWidth / 2
     const centerY = this.mapHeight / 2
-    const radius = 250
+    const radius = 340
     const angleStep = (Math.PI * 2) / grades.length
 
     grades.forEach((gradeInfo, index) => {
@@ -202,7 +209,7 @@ export class MapManager {
       ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
       ctx.font = 'bold 16px Arial'
       ctx.textAlign = 'center'
-      ctx.fillText(`Near ${nearbyEntrance.gradeName} - Press E to Enter`, this.canvasWidth / 2, 50)
+      ctx.fillText(t('hud.nearEntrance', { grade: ProblemTranslator.translateName(nearbyEntrance.gradeName) }), this.canvasWidth / 2, 50)
     }
   }
 
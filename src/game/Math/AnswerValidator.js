@@ -1,3 +1,35 @@
+import { ExpressionParser } from './ExpressionParser'
+import { NumberFormats } from './NumberFormats'
+import { SolutionSets } from './SolutionSets'
+import { Units } from './Units'
+import { Localization } from '../Localization/Localization'
+
+// Leeway for floating point noise when a value must match exactly
+const EPSILON = 1e-9
+
+/**
+ * Round to a number of decimal places (negative places round to tens, hundreds...)
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+function roundTo(value, places) {
+  const factor = 10 ** places
+  // toPrecision clears noise like 1.005 * 100 = 100.49999999999999
+  return Math.sign(value) * Math.round(Number((Math.abs(value) * factor).toPrecision(12))) / factor
+}
+
+/**
+ * Round to a number of significant figures
+ * @param {number} value
+ * @param {number} figures
+ * @returns {number}
+ */
+function roundToSigFigs(value, figures) {
+  if (value === 0) return 0
+  return roundTo(value, figures - 1 - Math.floor(Math.log10(Math.abs(value))))
+}
+
 /**
  * Answer Validator
  * Validates answers to math problems with tolerance for floating point errors
@@ -17,29 +49,105 @@ export class AnswerValidator {
       return false
     }
 
+    // Multi-part problems: every part has to be right
+    if (problem.type === 'multi-part') {
+      return this.scoreParts(problem, userAnswer) === 1
+    }
+
+    // A problem in another language writes its numbers that language's way ("3,5")
+    if (problem.locale) {
+      return this.validate(...this.delocalize(problem, userAnswer))
+    }
+
+    // Algebra answers: any equivalent expression is correct (x^2-4 = (x+2)(x-2))
+    if (problem.answerType === 'expression') {
+      return this.compareExpressions(problem, userAnswer)
+    }
+
+    // Measurements: "150 cm" and "1.5 m" are the same length
+    if (problem.answerType === 'quantity') {
+      return this.compareQuantities(problem, userAnswer)
+    }
+
+    // Points: "(3, -2)"
+    if (problem.answerType === 'point') {
+      return this.comparePoints(problem, userAnswer)
+    }
+
+    // Lines: two points on the line, like "(0, 1), (2, 5)", or its equation
+    if (problem.answerType === 'line') {
+      return this.compareLines(problem, userAnswer)
+    }
+
+    // Clock times: "3:05" (12:00 and 0:00 are the same on a clock face)
+    if (problem.answerType === 'time') {
+      return this.compareTimes(problem, userAnswer)
+    }
+
+    // Solution sets: "[2, ∞)" or "x ≥ 2" (and "2 ≤ x")
+    if (problem.answerType === 'interval' || problem.answerType === 'inequality') {
+      return this.compareIntervals(problem, userAnswer)
+    }
+
+    // Several values, like both roots of a quadratic
+    if (problem.answerType === 'set') {
+      return this.compareSets(problem.answerSet, userAnswer)
+    }
+
+    // "Write it as a mixed number in simplest form"
+    if (problem.acceptedForms || problem.simplestForm) {
+      return this.formIssue(problem, userAnswer) === null && this.compareAnswers(correctAnswer, userAnswer, problem.tolerance)
+    }
+
     // For multiple choice, the user answer is the actual value they clicked
     if (problem.type === 'multiple-choice') {
-      return this.compareAnswers(correctAnswer, userAnswer)
+      return this.compareAnswers(correctAnswer, userAnswer, problem.tolerance)
     }
 
     // For fill-in-blank, parse and compare
-    return this.compareAnswers(correctAnswer, userAnswer)
+    return this.compareAnswers(correctAnswer, userAnswer, problem.tolerance)
+  }
+
+  /**
+   * Read a translated problem and an answer to it back into English numbers,
+   * so "3,5" and "(2 ; -1)" are checked like "3.5" and "(2, -1)"
+   * @param {Object} problem - Problem with problem.locale set
+   * @param {string|number} userAnswer - User's answer, written the locale's way
+   * @returns {Array} [problem, userAnswer] with English numbers (and no locale)
+   */
+  static delocalize(problem, userAnswer) {
+    const read = (value) => Localization.readNumbers(value, problem.locale)
+    const englishProblem = { ...problem, locale: undefined, answer: read(problem.answer) }
+    if (problem.answerSet) {
+      englishProblem.answerSet = { ...problem.answerSet, values: problem.answerSet.values.map(read) }
+    }
+    if (problem.distractors) {
+      englishProblem.distractors = problem.distractors.map(d => ({ ...d, value: read(d.value) }))
+    }
+    return [englishProblem, read(userAnswer)]
   }
 
   /**
    * Compare two answers with tolerance for numbers
    * @param {any} correct - Correct answer
    * @param {any} user - User's answer
+   * @param {Object} [tolerance] - How close a number must be (see withinTolerance)
    * @returns {boolean} True if they match
    */
-  static compareAnswers(correct, user) {
+  static compareAnswers(correct, user, tolerance) {
     const correctNum = this.parseToNumber(correct)
     const userNum = this.parseToNumber(user)
 
     // If both can be parsed as numbers, compare numerically
     if (correctNum !== null && userNum !== null) {
-      const tolerance = 0.01
-      return Math.abs(userNum - correctNum) < tolerance
+      if (this.withinTolerance(correctNum, userNum, tolerance)) return true
+
+      // A percent sign added or left off: "50" and "50%" both answer "what percent?"
+      const percentFigure = (value) => NumberFormats.parse(value)?.form === 'percent' ? parseFloat(value) : null
+      const correctFigure = percentFigure(correct)
+      const userFigure = percentFigure(user)
+      return (correctFigure !== null) !== (userFigure !== null) &&
+        this.withinTolerance(correctFigure ?? correctNum, userFigure ?? userNum, tolerance)
     }
 
     // Otherwise, compare as strings (case-insensitive)
@@ -54,6 +162,294 @@ export class AnswerValidator {
     return correctStr === userStr
   }
 
+  /**
+   * Check whether a number is close enough to the correct one
+   * @param {number} correct - Correct value
+   * @param {number} user - User's value
+   * @param {Object} [tolerance] - { type, value }:
+   *   absolute = within `value` of the answer
+   *   relative = within `value` × the answer (0.01 = 1%)
+   *   decimals = the same once both are rounded to `value` decimal places
+   *   sigfigs  = the same once both are rounded to `value` significant figures
+   *   Left out: whole numbers must be exact, anything else within 0.01
+   * @returns {boolean} True if close enough
+   */
+  static withinTolerance(correct, user, tolerance) {
+    const { type = 'absolute', value = Number.isInteger(correct) ? 0 : 0.01 } = tolerance ?? {}
+    switch (type) {
+      case 'absolute':
+        return Math.abs(user - correct) <= value + EPSILON
+      case 'relative':
+        return Math.abs(user - correct) <= value * Math.abs(correct) + EPSILON
+      case 'decimals':
+        return Math.abs(roundTo(user, value) - roundTo(correct, value)) < EPSILON
+      case 'sigfigs':
+        return Math.abs(roundToSigFigs(user, value) - roundToSigFigs(correct, value)) <= EPSILON * Math.max(1, Math.abs(correct))
+      default:
+        throw new Error(`Unknown tolerance type: ${type}`)
+    }
+  }
+
+  /**
+   * Was a wrong answer the right value, just rounded incorrectly? (0.86 for 0.866 to 2 decimals)
+   * @param {Object} problem - Problem object (tolerance, with optional exact unrounded value)
+   * @param {string|number} user - User's answer
+   * @returns {boolean} True if it's within one rounding step of the exact value
+   */
+  static roundingIssue(problem, user) {
+    const { type, value, exact } = problem.tolerance ?? {}
+    if (type !== 'decimals' && type !== 'sigfigs') return false
+
+    const userNum = this.parseToNumber(user)
+    const target = exact ?? this.parseToNumber(problem.answer)
+    if (userNum === null || target === null || this.validate(problem, user)) return false
+
+    // One step in the last place that counts
+    const step = type === 'decimals'
+      ? 10 ** -value
+      : 10 ** (Math.floor(Math.log10(Math.abs(target))) - value + 1)
+    return Math.abs(userNum - target) < step
+  }
+
+  /**
+   * Compare a typed measurement with the problem's answer ("150 cm")
+   * A number typed without a unit is read as being in the answer's unit.
+   * @param {Object} problem - Problem object (answer with unit, optional unitRequired)
+   * @param {string|number} user - User's answer
+   * @returns {boolean} True if it's the same amount (in the required unit, if any)
+   */
+  static compareQuantities(problem, user) {
+    const expected = Units.parse(String(problem.answer))
+    if (expected === null) {
+      return this.compareAnswers(problem.answer, user, problem.tolerance)
+    }
+    if (this.unitIssue(problem, user) !== null) return false
+
+    const given = Units.parse(String(user))
+    const value = given === null
+      ? this.parseToNumber(user)
+      : Units.convert(given.value, given.unit, expected.unit)
+    return value !== null && this.withinTolerance(expected.value, value, problem.tolerance)
+  }
+
+  /**
+   * Check the unit of a typed measurement
+   * @param {Object} problem - Problem object (answer with unit, optional unitRequired)
+   * @param {string|number} user - User's answer
+   * @returns {'wrong-dimension'|'wrong-unit'|null} What's wrong with the unit, or null if it's fine
+   *   wrong-dimension = a different kind of unit (cm for an area)
+   *   wrong-unit      = the right kind, but not the unit the question asked for
+   */
+  static unitIssue(problem, user) {
+    const expected = Units.parse(String(problem.answer))
+    const given = Units.parse(String(user))
+    if (expected === null || given === null) return null
+    if (given.dimension !== expected.dimension) return 'wrong-dimension'
+    if (problem.unitRequired && given.unit !== expected.unit) return 'wrong-unit'
+    return null
+  }
+
+  /**
+   * Compare a typed point with the problem's answer point
+   * @param {Object} problem - Problem object (answer like "(3, -2)")
+   * @param {string} user - User's point
+   * @returns {boolean} True if every coordinate matches
+   */
+  static comparePoints(problem, user) {
+    const expected = SolutionSets.parsePoint(problem.answer)
+    const given = SolutionSets.parsePoint(user)
+    if (expected === null || given === null || expected.length !== given.length) return false
+    return expected.every((coordinate, index) => this.withinTolerance(coordinate, given[index], problem.tolerance))
+  }
+
+  /**
+   * Check a drawn line against the problem's answer line
+   * The answer is the right side of y = ..., like "2x + 1". A student can give
+   * two (or more) points on the line, or type the equation itself.
+   * @param {Object} problem - Problem object (answer like "2x + 1")
+   * @param {string} user - Points like "(0, 1), (2, 5)", or an expression like "y = 2x + 1"
+   * @returns {boolean} True if the points pin down the same line (or the equation is equivalent)
+   */
+  static compareLines(problem, user) {
+    const points = String(user).match(/\([^()]*,[^()]*\)/g)
+    if (points === null) {
+      return this.compareExpressions(problem, String(user).replace(/^\s*y\s*=/i, ''))
+    }
+
+    const line = ExpressionParser.tryParse(problem.answer)
+    const coordinates = points.map(point => SolutionSets.parsePoint(point))
+    if (line === null || coordinates.some(point => point === null || point.length !== 2)) return false
+
+    // One point fits lots of lines - it takes two different ones to pin a line down
+    if (new Set(coordinates.map(([x]) => x)).size < 2) return false
+    return coordinates.every(([x, y]) => this.withinTolerance(ExpressionParser.evaluate(line, { x }), y, problem.tolerance))
+  }
+
+  /**
+   * Compare a clock time with the problem's answer time
+   * @param {Object} problem - Problem object (answer like "3:05")
+   * @param {string} user - User's time, like "3:05" or "15:05"
+   * @returns {boolean} True if the hands would be in the same place
+   */
+  static compareTimes(problem, user) {
+    const parseTime = (text) => {
+      const match = String(text).trim().match(/^(\d{1,2}):(\d{2})$/)
+      return match && { hour: Number(match[1]) % 12, minute: Number(match[2]) }
+    }
+    const expected = parseTime(problem.answer)
+    const given = parseTime(user)
+    return expected !== null && given !== null && expected.hour === given.hour && expected.minute === given.minute
+  }
+
+  /**
+   * Compare a typed interval or inequality with the problem's answer
+   * 'interval' problems need interval notation, 'inequality' problems an inequality.
+   * @param {Object} problem - Problem object (answer like "[2, ∞)" or "x ≥ 2")
+   * @param {string} user - User's answer
+   * @returns {boolean} True if it describes the same numbers
+   */
+  static compareIntervals(problem, user) {
+    const expected = SolutionSets.parse(problem.answer)
+    const given = problem.answerType === 'interval'
+      ? SolutionSets.parseInterval(user)
+      : SolutionSets.parseInequality(user)
+    return expected !== null && given !== null && this.sameInterval(expected, given, problem.tolerance)
+  }
+
+  /**
+   * Do two intervals hold the same numbers?
+   * @param {Object} a - Interval from SolutionSets
+   * @param {Object} b - Interval from SolutionSets
+   * @param {Object} [tolerance] - How close the ends must be
+   * @param {boolean} [checkEnds=true] - false to ignore whether the ends are open or closed
+   * @returns {boolean}
+   */
+  static sameInterval(a, b, tolerance, checkEnds = true) {
+    const sameEnd = (x, y) => Number.isFinite(x) ? Number.isFinite(y) && this.withinTolerance(x, y, tolerance) : x === y
+    if (!sameEnd(a.low, b.low) || !sameEnd(a.high, b.high)) return false
+    if (a.variable && b.variable && a.variable !== b.variable) return false
+    return !checkEnds || (a.lowClosed === b.lowClosed && a.highClosed === b.highClosed)
+  }
+
+  /**
+   * Check a typed interval or inequality for a near miss
+   * @param {Object} problem - Problem object (answerType 'interval' or 'inequality')
+   * @param {string} user - User's answer
+   * @returns {'wrong-notation'|'wrong-endpoint'|null}
+   *   wrong-notation = the right numbers, written as an inequality instead of an interval (or back)
+   *   wrong-endpoint = the right ends, but an end included that shouldn't be (or left out)
+   */
+  static intervalIssue(problem, user) {
+    if (problem.answerType !== 'interval' && problem.answerType !== 'inequality') return null
+    const expected = SolutionSets.parse(problem.answer)
+    const given = SolutionSets.parse(user)
+    if (expected === null || given === null || this.validate(problem, user)) return null
+
+    if (this.sameInterval(expected, given, problem.tolerance)) return 'wrong-notation'
+    if (this.sameInterval(expected, given, problem.tolerance, false)) return 'wrong-endpoint'
+    return null
+  }
+
+  /**
+   * Check a typed number against the forms a problem accepts
+   * @param {Object} problem - Problem object (acceptedForms, simplestForm)
+   * @param {string|number} user - User's answer
+   * @returns {'wrong-form'|'not-simplest'|null} What's wrong with the form, or null if it's fine
+   */
+  static formIssue(problem, user) {
+    const parsed = NumberFormats.parse(user)
+    if (parsed === null) return null
+    if (problem.acceptedForms && !problem.acceptedForms.includes(parsed.form)) return 'wrong-form'
+    if (problem.simplestForm && !parsed.simplest) return 'not-simplest'
+    return null
+  }
+
+  /**
+   * Compare a typed expression with the problem's answer expression
+   * @param {Object} problem - Problem object (answer, and optional form: 'factored')
+   * @param {string} user - User's expression
+   * @returns {boolean} True if equivalent (and in the required form)
+   */
+  static compareExpressions(problem, user) {
+    if (!ExpressionParser.equivalent(problem.answer, user)) {
+      return false
+    }
+
+    // "Factor ..." questions need the factored form, not just an equal expression
+    if (problem.form === 'factored') {
+      const tree = ExpressionParser.tryParse(user)
+      return tree !== null && ExpressionParser.isFactored(tree)
+    }
+
+    return true
+  }
+
+  /**
+   * Check each part of a multi-part problem on its own
+   * @param {Object} problem - Multi-part problem (type 'multi-part', with parts)
+   * @param {Array|string} answers - One answer per part, as a list or separated by ";"
+   * @returns {number} Fraction of the parts answered correctly (0 to 1)
+   */
+  static scoreParts(problem, answers) {
+    const given = Array.isArray(answers) ? answers : String(answers).split(';').map(answer => answer.trim())
+    const correct = problem.parts.filter((part, index) => this.validate(part, given[index])).length
+    return correct / problem.parts.length
+  }
+
+  /**
+   * Split a typed list like "2, -3", "x = 2 or x = -3" or "{4; 5}" into its values
+   * @param {string|number} text - User's answer
+   * @returns {string[]} The separate values
+   */
+  static parseList(text) {
+    return String(text)
+      .trim()
+      .replace(/^\{(.*)\}$/, '$1')
+      .split(/\s*(?:,|;|&|\band\b|\bor\b)\s*/i)
+      .map(item => item.replace(/^[a-z]\s*=\s*/i, '').trim())
+      .filter(item => item !== '')
+  }
+
+  /**
+   * Compare a typed list against an answer set
+   * @param {Object} answerSet - { values, ordered, match: 'all' | 'any' }
+   *   ordered = the values must come in this order
+   *   match   = 'all' needs every value; 'any' accepts one (or more) correct values
+   * @param {string|number} user - User's answer
+   * @returns {boolean} True if the list satisfies the set
+   */
+  static compareSets(answerSet, user) {
+    const { ordered = false, match = 'all' } = answerSet
+    const items = this.parseList(user)
+    if (items.length === 0) return false
+
+    // A repeated value (like a double root) only needs to be given once
+    const values = answerSet.values.filter((value, index) =>
+      answerSet.values.findIndex(other => this.compareAnswers(other, value)) === index)
+
+    if (match === 'any') {
+      return items.every(item => values.some(value => this.compareAnswers(value, item)))
+    }
+
+    if (ordered) {
+      return items.length === values.length &&
+        items.every((item, index) => this.compareAnswers(values[index], item))
+    }
+
+    // Unordered: typing a value twice counts once, then each value must pair with a different correct value
+    const given = items.filter((item, index) =>
+      items.findIndex(other => this.compareAnswers(other, item)) === index)
+    if (given.length !== values.length) return false
+
+    const unused = [...values]
+    for (const item of given) {
+      const index = unused.findIndex(value => this.compareAnswers(value, item))
+      if (index === -1) return false
+      unused.splice(index, 1)
+    }
+    return true
+  }
+
   /**
    * Parse a value to a number, returning null if not possible
    * @param {any} value - Value to parse
@@ -63,6 +459,12 @@ export class AnswerValidator {
     if (typeof value === 'number' && !isNaN(value)) {
       return value
     }
+
+    // Mixed numbers, percents, scientific notation, repeating decimals, radicals, π
+    const parsed = NumberFormats.parse(value)
+    if (parsed !== null) {
+      return parsed.value
+    }
     
     if (typeof value === 'string') {
       // Handle fractions like "3/4"
@@ -77,8 +479,10 @@ export class AnswerValidator {
         }
       }
       
+      // A number with a unit or word after it ("30°", "5 cm"), but not two numbers ("5 and 6")
       const num = parseFloat(value)
-      if (!isNaN(num)) {
+      const rest = value.trim().replace(/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i, '')
+      if (!isNaN(num) && !/\d/.test(rest)) {
         return num
       }
     }
@@ -120,6 +524,7 @@ export class AnswerValidator {
       return true // Accept any answer for multiple choice
     } else if (problemType === 'fill-in-blank') {
       // Fill in blank should be a number or fraction
+      if (NumberFormats.parse(answer) !== null) return true
       const str = String(answer).trim()
       if (str.includes('/')) {
         const parts = str.split('/')
@@ -1,9 +1,27 @@
 /**
  * Curriculum Data Manager
  * Provides access to Alberta curriculum structure
+ *
+ * Grades 1-9 are numbers. The high school courses are named by their course
+ * code, so every stream has an ID of its own: '10C', '20-1', '20-2', '20-3',
+ * '30-1', '30-2' and '31'. A course's level is its course number (10, 20,
+ * 30 or 31), for anything that needs to know how far along it is.
  */
 import curriculumData from '../../data/curriculum/alberta_curriculum.json'
 
+// Grades saved before the courses had their own IDs (10 was Math 10C, 20 was 20-1, 30 was 30-1)
+const LEGACY_GRADES = { '10': '10C', '10-1': '10C', '20': '20-1', '30': '30-1' }
+
+/**
+ * Sort order for grade IDs: grades 1-9, then the courses by course code
+ * @param {number|string} a - Grade ID
+ * @param {number|string} b - Grade ID
+ * @returns {number} Negative if a comes first
+ */
+export function compareGrades(a, b) {
+  return String(a).localeCompare(String(b), 'en', { numeric: true })
+}
+
 export class CurriculumData {
   constructor() {
     this.data = curriculumData
@@ -18,35 +36,57 @@ export class CurriculumData {
   }
 
   /**
-   * Get grade by number
-   * @param {number} gradeNumber - Grade number
+   * Get grade by ID
+   * @param {number|string} gradeId - Grade number (1-9) or course code ('20-2')
    * @returns {Object|null} Grade object or null
    */
-  getGrade(gradeNumber) {
-    return this.data.grades.find(g => g.grade === gradeNumber) || null
+  getGrade(gradeId) {
+    return this.data.grades.find(g => g.grade === gradeId) || null
   }
 
   /**
    * Get units for a grade
-   * @param {number} gradeNumber - Grade number
+   * @param {number|string} gradeId - Grade ID
    * @returns {Array} Array of unit objects
    */
-  getUnits(gradeNumber) {
-    const grade = this.getGrade(gradeNumber)
+  getUnits(gradeId) {
+    const grade = this.getGrade(gradeId)
     return grade ? (grade.units || []) : []
   }
 
   /**
    * Get topics for a unit
-   * @param {number} gradeNumber - Grade number
+   * @param {number|string} gradeId - Grade ID
    * @param {string} unitName - Unit name
    * @returns {Array} Array of topic strings
    */
-  getTopics(gradeNumber, unitName) {
-    const units = this.getUnits(gradeNumber)
+  getTopics(gradeId, unitName) {
+    const units = this.getUnits(gradeId)
     const unit = units.find(u => u.name === unitName)
     return unit ? (unit.topics || []) : []
   }
+
+  /**
+   * How far along a grade is: the grade number for grades 1-9, the course number for a course
+   * @param {number|string} gradeId - Grade ID
+   * @returns {number} Level (1 if the grade isn't in the curriculum)
+   */
+  getLevel(gradeId) {
+    return this.getGrade(gradeId)?.level ?? (Number.isFinite(gradeId) ? gradeId : 1)
+  }
+
+  /**
+   * Find the grade ID for a value typed in a form or file ("20-2", "Math 31", "5")
+   * or saved before the courses had their own IDs (20 is Math 20-1)
+   * @param {number|string} value
+   * @returns {number|string|null} Grade ID, or null if no grade matches
+   */
+  toGradeId(value) {
+    const text = String(value ?? '').trim().replace(/^math\s+/i, '').toUpperCase()
+    const code = LEGACY_GRADES[text] ?? text
+    const grade = this.getGrades().find(g => String(g.grade).toUpperCase() === code)
+    return grade ? grade.grade : null
+  }
 }
 
 export default new CurriculumData()
@@ -0,0 +1,768 @@
+import { AnswerValidator } from './AnswerValidator'
+import { SolutionSets } from './SolutionSets'
+
+/**
+ * Distractor Engine
+ * Builds wrong answers out of common mistakes instead of random numbers.
+ *
+ * Every misconception in the catalog has a short name, a tip explaining the
+ * right way, and (usually) an apply() transform that turns the problem's own
+ * numbers into the answer a student making that mistake would give.
+ * Generators declare which mistakes fit their problem, and because each wrong
+ * option stays tagged with its misconception, a wrong pick can be reported as
+ * that exact error.
+ */
+
+/**
+ * Add two whole numbers column by column, dropping every carry
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number}
+ */
+function addWithoutCarrying(a, b) {
+  const digitsA = String(a).split('').reverse().map(Number)
+  const digitsB = String(b).split('').reverse().map(Number)
+  let result = 0
+  for (let i = 0, place = 1; i < Math.max(digitsA.length, digitsB.length); i++, place *= 10) {
+    result += (((digitsA[i] || 0) + (digitsB[i] || 0)) % 10) * place
+  }
+  return result
+}
+
+/**
+ * Subtract column by column, always taking the smaller digit from the bigger one
+ * @param {number} a - Number to subtract from
+ * @param {number} b - Number being subtracted
+ * @returns {number}
+ */
+function subtractSmallerDigits(a, b) {
+  const digitsA = String(a).split('').reverse().map(Number)
+  const digitsB = String(b).split('').reverse().map(Number)
+  let result = 0
+  for (let i = 0, place = 1; i < digitsA.length; i++, place *= 10) {
+    result += Math.abs(digitsA[i] - (digitsB[i] || 0)) * place
+  }
+  return result
+}
+
+/**
+ * Work out an expression strictly from left to right, ignoring BEDMAS
+ * @param {Array} tokens - Numbers and operators, e.g. [3, '+', 4, '×', 2]
+ * @returns {number}
+ */
+function evaluateLeftToRight(tokens) {
+  const operations = {
+    '+': (x, y) => x + y,
+    '-': (x, y) => x - y,
+    '×': (x, y) => x * y,
+    '÷': (x, y) => x / y
+  }
+  let result = tokens[0]
+  for (let i = 1; i < tokens.length; i += 2) {
+    result = operations[tokens[i]](result, tokens[i + 1])
+  }
+  return Math.round(result * 100) / 100
+}
+
+const factorial = (x) => x <= 1 ? 1 : x * factorial(x - 1)
+
+/**
+ * The catalog of common mistakes, keyed by misconception ID.
+ * Entries without apply() take the wrong answer directly from the generator
+ * (for example, when it comes from a lookup table like trig values).
+ */
+export const MISCONCEPTIONS = {
+  // ===== WHOLE NUMBER OPERATIONS =====
+  'forgot-to-carry': {
+    name: 'Forgot to carry',
+    feedback: 'When a column adds up to 10 or more, carry the extra ten into the next column.',
+    apply: addWithoutCarrying
+  },
+  'subtracted-smaller-digit': {
+    name: 'Subtracted the smaller digit',
+    feedback: 'If the top digit is smaller, borrow from the next column instead of flipping the digits.',
+    apply: subtractSmallerDigits
+  },
+  'added-instead-of-subtracted': {
+    name: 'Added instead of subtracted',
+    feedback: 'Check the sign - taking away or finding a missing part means subtracting.',
+    apply: (a, b) => a + b
+  },
+  'added-instead-of-multiplied': {
+    name: 'Added instead of multiplied',
+    feedback: 'Equal groups (or "times") means multiply, not add.',
+    apply: (...numbers) => numbers.reduce((sum, n) => sum + n, 0)
+  },
+  'found-only-one-part': {
+    name: 'Found only one part',
+    feedback: 'Dividing by the denominator gives ONE part. Multiply by the numerator to get all the parts you need.',
+    apply: (whole, denominator) => whole / denominator
+  },
+  'multiplied-instead-of-added': {
+    name: 'Multiplied instead of added',
+    feedback: 'Combining amounts means adding them together.',
+    apply: (a, b) => a * b
+  },
+  'multiplied-instead-of-divided': {
+    name: 'Multiplied instead of divided',
+    feedback: 'Sharing or splitting into equal parts means dividing.',
+    apply: (a, b) => a * b
+  },
+  'off-by-one': {
+    name: 'Off by one',
+    feedback: 'Count carefully - that answer is one step too many or too few.',
+    apply: (value, step = 1) => value + step
+  },
+  'forgot-placeholder-zero': {
+    name: 'Forgot the placeholder zero',
+    feedback: 'When you multiply by the tens digit, you are really multiplying by tens - put a 0 in the ones place first.',
+    apply: (a, b) => a * (b % 10) + a * Math.floor(b / 10)
+  },
+  'ignored-order-of-operations': {
+    name: 'Worked left to right',
+    feedback: 'Use BEDMAS: brackets, exponents, then multiply/divide, then add/subtract.',
+    apply: (...tokens) => evaluateLeftToRight(tokens)
+  },
+  'ignored-brackets': {
+    name: 'Ignored the brackets',
+    feedback: 'Always work out what is inside the brackets first.',
+    apply: (a, b, c) => a + b * c
+  },
+
+  // ===== FRACTIONS =====
+  'not-lowest-common-denominator': {
+    name: 'Not the lowest common denominator',
+    feedback: 'Multiplying the denominators always gives a common denominator, but not always the lowest. List the multiples to find the smallest one they share.',
+    apply: (denom1, denom2) => denom1 * denom2
+  },
+  'added-denominators': {
+    name: 'Added the denominators',
+    feedback: 'The denominator is the size of the pieces - it does not get added.',
+    apply: (numerator, denom1, denom2) => `${numerator}/${denom1 + denom2}`
+  },
+  'multiplied-both-parts': {
+    name: 'Multiplied the top and bottom',
+    feedback: 'Multiplying the top and bottom by the same number makes an equivalent fraction, not a bigger one. Multiply only the numerator.',
+    apply: (numerator, denominator, whole) => `${numerator * whole}/${denominator * whole}`
+  },
+  'added-to-top-and-bottom': {
+    name: 'Added instead of scaled',
+    feedback: 'Equivalent fractions multiply the top and bottom by the same number - adding changes the value.',
+    apply: (numerator, denominator, newDenominator) => numerator + (newDenominator - denominator)
+  },
+  'part-to-part': {
+    name: 'Compared part to part',
+    feedback: 'A fraction compares the part to the WHOLE, so the denominator is the total.',
+    apply: (part, total) => `${part}/${total - part}`
+  },
+  'flipped-fraction': {
+    name: 'Flipped the fraction',
+    feedback: 'The part goes on top and the whole goes on the bottom.',
+    apply: (part, total) => `${total}/${part}`
+  },
+  'forgot-to-flip': {
+    name: 'Forgot to flip the second fraction',
+    feedback: 'To divide by a fraction, multiply by its reciprocal - flip the SECOND fraction, then multiply.',
+    apply: (n1, d1, n2, d2) => `${n1 * n2}/${d1 * d2}`
+  },
+  'flipped-only-the-fraction': {
+    name: 'Flipped only the fraction part',
+    feedback: 'Change a mixed number to an improper fraction before you flip it.',
+    apply: (whole, numerator, denominator) => `${whole} ${denominator}/${numerator}`
+  },
+  'ordered-by-denominator': {
+    name: 'Ordered by the bottom number',
+    feedback: 'A bigger denominator means SMALLER pieces. Compare how big the fractions are, not how big their denominators are.',
+    apply: (fractions) => [...fractions].sort((a, b) => Number(a.split('/')[1]) - Number(b.split('/')[1])).join(', ')
+  },
+  'counted-the-marks': {
+    name: 'Counted the marks instead of the spaces',
+    feedback: 'Start at 0 and count the equal SPACES between the marks - the mark at 0 isn\'t one of them.',
+    apply: (numerator, denominator) => `${numerator - 1}/${denominator}`
+  },
+
+  // ===== SIGNS & EQUATIONS =====
+  'sign-error': {
+    name: 'Sign error',
+    feedback: 'Double-check the positive and negative signs at every step.',
+    apply: (value) => -value
+  },
+  'moved-wrong-way': {
+    name: 'Moved the wrong way',
+    feedback: 'On a number line, adding a positive number moves RIGHT and adding a negative number moves LEFT.',
+    apply: (start, change) => start - change
+  },
+  'ordered-ignoring-signs': {
+    name: 'Ignored the negative signs',
+    feedback: 'Negative numbers are less than zero: the further a negative number is from zero, the SMALLER it is.',
+    apply: (values) => [...values].sort((a, b) => Math.abs(a) - Math.abs(b)).join(', ')
+  },
+  'forgot-to-divide': {
+    name: 'Stopped before dividing',
+    feedback: 'Keep going until x is by itself - divide both sides by the number in front of x.',
+    apply: (coefficient, x) => coefficient * x
+  },
+  'coefficient-as-digit': {
+    name: 'Wrote the numbers side by side',
+    feedback: 'A number next to x means multiply: 3x with x = 5 is 3 × 5, not 35.',
+    apply: (coefficient, x, plus = 0) => Number(`${coefficient}${x}`) + plus
+  },
+  'reversed-subtraction': {
+    name: 'Subtracted in the wrong order',
+    feedback: '"5 less than n" starts with n and takes 5 away: n - 5. Order matters in subtraction.',
+    apply: (variable, amount) => `${amount} - ${variable}`
+  },
+  'equals-means-answer': {
+    name: 'Read = as "the answer is"',
+    feedback: 'The = sign means both sides have the SAME value. Work out one side, then make the other side match.',
+    apply: (a, b) => a + b
+  },
+  'distributed-to-first-term-only': {
+    name: 'Multiplied only the first term',
+    feedback: 'The number outside the brackets multiplies EVERY term inside: 3(x + 2) = 3x + 6.',
+    apply: (xCoefficient, constant) => `${xCoefficient}x + ${constant}`
+  },
+  'divided-instead-of-multiplied': {
+    name: 'Divided instead of multiplied',
+    feedback: 'To undo dividing by a number, MULTIPLY both sides by it.',
+    apply: (value, divisor) => Math.round(value / divisor * 100) / 100
+  },
+  'forgot-negative-case': {
+    name: 'Forgot the negative case',
+    feedback: '|A| = b means A = b OR A = -b. Solve both equations to find both answers.',
+    apply: (solution) => solution
+  },
+  'solved-for-wrong-variable': {
+    name: 'Solved for the wrong variable',
+    feedback: 'Read the question again to see which variable it asks for.'
+  },
+  'included-the-boundary': {
+    name: 'Crossed the boundary',
+    feedback: 'With < the boundary value itself does not work - check your answer in the inequality.',
+    apply: (a, b) => Math.ceil(b / a)
+  },
+
+  // ===== MEASUREMENT & GEOMETRY =====
+  'perimeter-instead-of-area': {
+    name: 'Found the perimeter instead of the area',
+    feedback: 'Area is the space inside: length × width. Perimeter is the distance around.',
+    apply: (length, width) => 2 * (length + width)
+  },
+  'area-instead-of-perimeter': {
+    name: 'Found the area instead of the perimeter',
+    feedback: 'Perimeter is the distance around: add up all the sides. Area is length × width.',
+    apply: (length, width) => length * width
+  },
+  'forgot-to-halve': {
+    name: 'Forgot to halve',
+    feedback: 'A triangle is half of a rectangle (or parallelogram) with the same base and height - divide by 2.',
+    apply: (product) => product
+  },
+  'forgot-to-double': {
+    name: 'Forgot to double',
+    feedback: 'Shapes have matching pairs of sides (or faces) - count both of each pair.',
+    apply: (total) => total / 2
+  },
+  'doubled-instead-of-squared': {
+    name: 'Doubled instead of squared',
+    feedback: 'r² means r × r, not r × 2.',
+    apply: (radius, height = 1) => Math.round(3.14 * radius * 2 * height * 10) / 10
+  },
+  'forgot-a-circle': {
+    name: 'Counted only one circle',
+    feedback: 'A closed cylinder has a circle on the top AND the bottom - count both.',
+    apply: (surfaceArea) => surfaceArea
+  },
+  'forgot-one-third': {
+    name: 'Forgot the one third',
+    feedback: 'A cone or pyramid holds only ⅓ of the cylinder or prism around it - divide by 3.',
+    apply: (volume) => Math.round(volume * 3 * 10) / 10
+  },
+  'forgot-square-root': {
+    name: 'Forgot the square root',
+    feedback: 'a² + b² = c² gives the SQUARE of the side. Take the square root to find the side itself.',
+    apply: (square) => square
+  },
+  'area-instead-of-circumference': {
+    name: 'Used the area formula',
+    feedback: 'Circumference is the distance around: C = 2πr. The area formula is A = πr².',
+    apply: (radius) => Math.round(3.14 * radius * radius * 10) / 10
+  },
+  'wrong-conversion-factor': {
+    name: 'Used the wrong conversion number',
+    feedback: 'Check how many small units are in one big unit before you multiply.',
+    apply: (amount, factor) => Math.round(amount * factor * 10) / 10
+  },
+  'used-school-week': {
+    name: 'Counted only school days',
+    feedback: 'A full week has 7 days, including the weekend.',
+    apply: (weeks) => weeks * 5
+  },
+  'quarter-to-as-quarter-past': {
+    name: 'Mixed up "quarter to" and "quarter past"',
+    feedback: '"Quarter to" is 15 minutes BEFORE the hour; "quarter past" is 15 minutes AFTER.',
+    apply: (hour) => `${hour}:15`
+  },
+  'read-clock-number-as-minutes': {
+    name: 'Read the number as minutes',
+    feedback: 'For the minute hand, each number on the clock means 5 minutes - count by 5s.',
+    apply: (number) => number
+  },
+  'swapped-clock-hands': {
+    name: 'Mixed up the hands',
+    feedback: 'The SHORT hand shows the hour and the LONG hand shows the minutes.',
+    apply: (hour, minute) => `${minute / 5 || 12}:${String((hour % 12) * 5).padStart(2, '0')}`
+  },
+  'read-next-hour': {
+    name: 'Read the hour the hand is heading to',
+    feedback: 'Before the hour hand reaches a number, it is still the hour before - read the number it just passed.',
+    apply: (hour, minute) => `${hour % 12 + 1}:${String(minute).padStart(2, '0')}`
+  },
+  'read-ruler-end': {
+    name: 'Read the end mark',
+    feedback: 'The object doesn\'t start at 0 on the ruler - subtract the starting mark from the end mark.',
+    apply: (start, end) => end
+  },
+  'scaled-area-like-length': {
+    name: 'Scaled an area or volume like a length',
+    feedback: 'A scale factor k multiplies lengths by k, areas by k² and volumes by k³.',
+    apply: (value, k) => value * k
+  },
+
+  // ===== DATA =====
+  'median-without-sorting': {
+    name: 'Took the middle before sorting',
+    feedback: 'Put the values in order from least to greatest before finding the middle one.',
+    apply: (...values) => values.length % 2 === 1
+      ? values[(values.length - 1) / 2]
+      : (values[values.length / 2 - 1] + values[values.length / 2]) / 2
+  },
+  'counted-overlap-twice': {
+    name: 'Counted the overlap twice',
+    feedback: 'Whatever is in both A and B gets counted once in A and again in B - subtract the overlap so it is only counted once.',
+    apply: (pA, pB) => pA + pB
+  },
+  'used-sum-instead-of-mean': {
+    name: 'Forgot to divide',
+    feedback: 'The mean is the total divided by how many values there are.',
+    apply: (...values) => values.reduce((sum, n) => sum + n, 0)
+  },
+  'range-instead-of-iqr': {
+    name: 'Found the range, not the IQR',
+    feedback: 'The IQR is Q3 - Q1, the spread of the middle half. Maximum - minimum is the range.',
+    apply: (max, min) => max - min
+  },
+  'ignored-the-key': {
+    name: 'Counted the pictures, not what they stand for',
+    feedback: 'Check the key - each picture can stand for more than one. Multiply the pictures by the key.',
+    apply: (pictures) => pictures
+  },
+  'counted-bundle-as-four': {
+    name: 'Counted a tally bundle as 4',
+    feedback: 'A tally bundle is 4 lines with a 5th line across them, so each bundle is 5.',
+    apply: (count) => count - Math.floor(count / 5)
+  },
+
+  // ===== ALGEBRA & FUNCTIONS =====
+  'domain-range-swapped': {
+    name: 'Mixed up domain and range',
+    feedback: 'The domain is the inputs (x-values, first in each pair); the range is the outputs (y-values, second).',
+    apply: (values) => `{${values.join(', ')}}`
+  },
+  'subtracted-only-first-term': {
+    name: 'Subtracted only the first term',
+    feedback: 'The minus sign in front of a bracket changes the sign of EVERY term inside it.',
+    apply: (result) => result
+  },
+  'run-over-rise': {
+    name: 'Used run over rise',
+    feedback: 'Slope is rise over run: the change in y goes on top, the change in x on the bottom.',
+    apply: (rise, run) => `${run}/${rise}`
+  },
+  'used-perpendicular-slope': {
+    name: 'Used the perpendicular slope',
+    feedback: 'Parallel lines have the SAME slope. The negative reciprocal is for perpendicular lines.',
+    apply: (slope) => slope
+  },
+  'reciprocal-without-sign': {
+    name: 'Flipped but kept the sign',
+    feedback: 'Perpendicular slopes are NEGATIVE reciprocals: flip the fraction and change the sign.',
+    apply: (slope) => slope
+  },
+  'swapped-slope-intercept': {
+    name: 'Mixed up slope and y-intercept',
+    feedback: 'In y = mx + b, m (with the x) is the slope and b (on its own) is the y-intercept.',
+    apply: (otherCoefficient) => otherCoefficient
+  },
+  'multiplied-like-terms': {
+    name: 'Multiplied like terms',
+    feedback: 'To combine like terms, add the coefficients and keep the variable the same.',
+    apply: (a, b) => `${a * b}x`
+  },
+  'added-exponents-when-adding': {
+    name: 'Changed the exponent',
+    feedback: 'Adding like terms never changes the exponent: x + x = 2x, not x².',
+    apply: (a, b) => `${a + b}x²`
+  },
+  'sum-only-factor-pair': {
+    name: 'Only checked the sum',
+    feedback: 'The two numbers must ADD to the middle number AND MULTIPLY to the last number.',
+    apply: (sum, asPair = false) => asPair ? `${sum - 1}, 1` : `(x + ${sum - 1})(x + 1)`
+  },
+  'product-only-factor-pair': {
+    name: 'Only checked the product',
+    feedback: 'The two numbers must MULTIPLY to the last number AND ADD to the middle number.',
+    apply: (product, asPair = false) => asPair ? `${product}, 1` : `(x + ${product})(x + 1)`
+  },
+  'difference-as-perfect-square': {
+    name: 'Wrote a perfect square',
+    feedback: 'a² - b² factors into (a + b)(a - b): one plus and one minus. (a - b)² has a middle term.',
+    apply: (first, b) => `(${first} - ${b})²`
+  },
+  'forgot-common-factor': {
+    name: 'Dropped the common factor',
+    feedback: 'The common factor you took out first is part of the answer - keep it in front of the brackets.',
+    apply: (factors) => factors
+  },
+  'flipped-root-signs': {
+    name: 'Flipped the signs of the roots',
+    feedback: 'If (x - 3) is a factor, the root is +3: set each factor equal to zero and solve.',
+    apply: (...roots) => roots.map(r => -r).join(', ')
+  },
+  'forgot-middle-term': {
+    name: 'Forgot the middle term',
+    feedback: 'FOIL makes four products - the Outer and Inner ones make the middle x term.',
+    apply: (a, b) => `x² ${a * b < 0 ? '-' : '+'} ${Math.abs(a * b)}`
+  },
+  'wrong-answer-form': {
+    name: 'Right value, wrong form',
+    feedback: 'Your number is equal to the answer, but the question asks for it written a different way. Read the question again.'
+  },
+  'not-simplest-form': {
+    name: 'Not in simplest form',
+    feedback: 'Your number is equal to the answer, but it can still be simplified. Divide out common factors (or pull square factors out of the root).'
+  },
+  'open-or-closed-end': {
+    name: 'Open or closed end mixed up',
+    feedback: '< and > leave the end number out: use ( ) in interval notation. ≤ and ≥ include it: use [ ].'
+  },
+  'flipped-inequality': {
+    name: 'Forgot to flip the inequality',
+    feedback: 'Multiplying or dividing both sides by a NEGATIVE number flips the inequality sign.',
+    apply: (op, value, notation = 'inequality') => {
+      const wrong = SolutionSets.fromComparison(SolutionSets.flip(op), value)
+      return notation === 'interval' ? SolutionSets.formatInterval(wrong) : SolutionSets.formatInequality(wrong)
+    }
+  },
+  'swapped-coordinates': {
+    name: 'Swapped x and y',
+    feedback: 'Points are written (x, y): the x-value (left/right) always comes first.',
+    apply: (x, y) => `(${y}, ${x})`
+  },
+  'wrong-kind-of-unit': {
+    name: 'Wrong kind of unit',
+    feedback: 'Length is in units like cm, area in square units like cm², and volume in cubic units like cm³. Check what the question is measuring.'
+  },
+  'unit-not-asked-for': {
+    name: 'Not the unit asked for',
+    feedback: 'Your amount may be right, but the question asks for a specific unit. Convert your answer to that unit.'
+  },
+  'rounded-incorrectly': {
+    name: 'Right value, rounded incorrectly',
+    feedback: 'You worked it out, but check the rounding: round to the places asked for, and look at the next digit - 5 or more rounds up, less than 5 rounds down.'
+  },
+  'cancelled-terms': {
+    name: 'Cancelled terms instead of factors',
+    feedback: 'You can only cancel FACTORS (things multiplied), not terms that are added. Factor first, then cancel.'
+  },
+  'used-n-instead-of-n-minus-1': {
+    name: 'Used n instead of n - 1',
+    feedback: 'The first term has had no steps yet, so term n has had only n - 1 steps.',
+    apply: (first, change, n, geometric = false) => geometric ? first * Math.pow(change, n) : first + change * n
+  },
+  'shifted-the-wrong-way': {
+    name: 'Shifted the wrong way',
+    feedback: 'f(x - h) moves the graph RIGHT by h - the sign inside the brackets is the opposite.',
+    apply: (h, k) => `(${-h}, ${k})`
+  },
+  'reflected-in-wrong-axis': {
+    name: 'Reflected in the wrong axis',
+    feedback: 'y = -f(x) flips the y-values (over the x-axis). y = f(-x) flips the x-values (over the y-axis).',
+    apply: (point) => point
+  },
+  'stretched-the-wrong-way': {
+    name: 'Changed the wrong coordinate',
+    feedback: 'A number outside f changes the y-values. A number inside with x changes the x-values - and works backwards: f(2x) halves them.',
+    apply: (point) => point
+  },
+  'inverse-as-reciprocal': {
+    name: 'Used 1/f(x) for the inverse',
+    feedback: 'f⁻¹ is not 1/f. The inverse undoes f: find the x that makes f(x) equal the number.',
+    apply: (value, a, b) => Math.round(1 / (a * value + b) * 100) / 100
+  },
+  'substituted-wrong-sign': {
+    name: 'Substituted the wrong sign',
+    feedback: 'Dividing by (x - a) means substituting x = a - the opposite sign of the number in the bracket.',
+    apply: (value) => value
+  },
+  'counted-terms-for-degree': {
+    name: 'Counted the terms',
+    feedback: 'The degree is the highest exponent, not the number of terms.',
+    apply: (...terms) => terms.length
+  },
+
+  // ===== EXPONENTS, ROOTS & LOGS =====
+  'multiplied-base-by-exponent': {
+    name: 'Multiplied the base by the exponent',
+    feedback: 'An exponent means repeated multiplication: 2³ = 2 × 2 × 2, not 2 × 3.',
+    apply: (base, exponent) => base * exponent
+  },
+  'added-the-radicands': {
+    name: 'Added inside the root',
+    feedback: 'Like radicals add like like terms: add the numbers in front and keep the root the same.',
+    apply: (coefficient, radicand) => `${coefficient}√${radicand * 2}`
+  },
+  'halved-instead-of-square-root': {
+    name: 'Halved instead of square rooting',
+    feedback: 'A square root is the number that times ITSELF gives the value, not half of it.',
+    apply: (value) => value / 2
+  },
+  'linear-instead-of-exponential': {
+    name: 'Grew by adding instead of multiplying',
+    feedback: 'Doubling multiplies by 2 each time - it does not add the starting amount again.',
+    apply: (start, doublings) => start * (doublings + 1)
+  },
+  'used-simple-interest': {
+    name: 'Used simple interest',
+    feedback: 'Compound interest earns interest on the interest too: A = P(1 + i)ⁿ, not P(1 + in).',
+    apply: (principal, rate, years) => Math.round(principal * (1 + rate * years) * 100) / 100
+  },
+  'log-as-division': {
+    name: 'Divided instead of finding the exponent',
+    feedback: 'A logarithm asks "what power?" - log₂(8) = 3 because 2³ = 8.',
+    apply: (value, base) => value / base
+  },
+
+  // ===== TRIGONOMETRY =====
+  'swapped-sin-and-cos': {
+    name: 'Mixed up sine and cosine',
+    feedback: 'SOH CAH TOA: sine uses the opposite side, cosine uses the adjacent side.'
+  },
+
+  'flipped-tangent': {
+    name: 'Used adjacent over opposite',
+    feedback: 'TOA: tangent is the opposite side divided by the adjacent side.',
+    apply: (value) => value
+  },
+  'ignored-negative-sign': {
+    name: 'Used the quadrants for a positive value',
+    feedback: 'A negative value means the angle is in the quadrants where the function is negative. Use CAST to find them.',
+    apply: (...angles) => angles.join(', ')
+  },
+
+  // ===== COUNTING =====
+  'divided-the-factorials': {
+    name: 'Divided the numbers before the !',
+    feedback: 'n! ÷ r! is not (n ÷ r)!. Write out the bigger factorial until the smaller one appears, then cancel.',
+    apply: (n, r) => n / r
+  },
+  'permutation-for-combination': {
+    name: 'Counted the order',
+    feedback: 'When order does not matter, divide by the ways to arrange each group: C(n, r) = n! ÷ (r!(n - r)!).',
+    apply: (n, r) => factorial(n) / factorial(n - r)
+  },
+  'combination-for-permutation': {
+    name: 'Ignored the order',
+    feedback: 'When order matters, every arrangement counts: P(n, r) = n! ÷ (n - r)!.',
+    apply: (n, r) => factorial(n) / (factorial(r) * factorial(n - r))
+  },
+  'used-power-as-coefficient': {
+    name: 'Used the power as the coefficient',
+    feedback: 'Binomial coefficients come from C(n, k) (Pascal\'s triangle), not from the exponent alone.',
+    apply: (n) => n
+  },
+  'doubled-for-subsets': {
+    name: 'Doubled instead of using a power of 2',
+    feedback: 'Each element is in or out of a subset, so n elements give 2 × 2 × ... = 2ⁿ subsets, not 2n.',
+    apply: (n) => 2 * n
+  },
+  'counted-set-not-complement': {
+    name: 'Counted the set, not its complement',
+    feedback: 'The complement A′ is everything in the universal set that is NOT in A: n(A′) = n(U) - n(A).'
+  },
+
+  // ===== LOGIC =====
+  'example-not-counterexample': {
+    name: 'Picked an example, not a counterexample',
+    feedback: 'That number fits the conjecture. A counterexample meets the condition but NOT the conclusion.'
+  },
+  'mixed-up-statement-forms': {
+    name: 'Mixed up converse, inverse and contrapositive',
+    feedback: 'Converse: swap the parts. Inverse: negate both parts. Contrapositive: swap AND negate.'
+  },
+  'assumed-converse-true': {
+    name: 'Assumed the converse is true',
+    feedback: 'A true statement can have a false converse. Look for a counterexample to the converse before writing "if and only if".'
+  },
+
+  // ===== MONEY =====
+  'used-compound-interest': {
+    name: 'Used compound interest',
+    feedback: 'Simple interest is only earned on the amount invested: I = Prt. It does not earn interest on the interest.',
+    apply: (principal, rate, years, interestOnly = false) => {
+      const total = Math.round(principal * (1 + rate) ** years * 100) / 100
+      return interestOnly ? Math.round((total - principal) * 100) / 100 : total
+    }
+  },
+  'depreciated-linearly': {
+    name: 'Took the same amount off every year',
+    feedback: 'Losing a percent each year multiplies the value by (1 - i) each year: A = P(1 - i)ⁿ.',
+    apply: (price, rate, years) => Math.round(price * (1 - rate * years))
+  },
+  'compared-totals-not-rates': {
+    name: 'Compared the totals, not the rates',
+    feedback: 'Different amounts can\'t be compared by their totals. Divide to get the rate for one unit first.'
+  },
+  'gave-gross-pay': {
+    name: 'Gave the gross pay',
+    feedback: 'Net pay is what is left after the deductions: subtract them from the gross pay.'
+  },
+  'gave-amount-not-percent': {
+    name: 'Gave the amount, not the percent',
+    feedback: 'The question asks for a percent: divide the part by the whole and multiply by 100.'
+  },
+
+  // ===== CALCULUS =====
+  'found-value-not-derivative': {
+    name: 'Found the value, not the slope',
+    feedback: 'Substituting into f(x) gives the height of the curve. Differentiate first, then substitute into f′(x).'
+  },
+  'multiplied-the-derivatives': {
+    name: 'Multiplied the derivatives',
+    feedback: 'The derivative of a product is not the product of the derivatives: (fg)′ = f′g + fg′.'
+  },
+  'forgot-inner-derivative': {
+    name: 'Forgot the inside derivative',
+    feedback: 'Chain rule: after differentiating the outside, multiply by the derivative of what is inside the brackets.',
+    apply: (n, a, b, x) => n * (a * x + b) ** (n - 1)
+  },
+  'used-the-constant-terms': {
+    name: 'Used the constant terms',
+    feedback: 'As x grows, the highest powers take over. Compare the leading terms, not the constants.'
+  },
+  'zero-over-zero-is-zero': {
+    name: 'Called 0/0 zero',
+    feedback: '0/0 doesn\'t tell you the limit. Factor, cancel the common factor, then substitute again.',
+    apply: () => 0
+  },
+  'forgot-constant-of-integration': {
+    name: 'Forgot the constant of integration',
+    feedback: 'Every antiderivative has a + C. Use the given point to find C before substituting.',
+    apply: (value, constant) => value - constant
+  },
+  'subtracted-limits-backwards': {
+    name: 'Subtracted the limits backwards',
+    feedback: 'A definite integral is F(upper limit) - F(lower limit), in that order.',
+    apply: (value) => -value
+  }
+}
+
+export class DistractorEngine {
+  /**
+   * Build a wrong answer tagged with the misconception that produces it
+   * @param {string} misconception - ID from the MISCONCEPTIONS catalog
+   * @param {...any} args - The problem's numbers (or the wrong answer itself when the entry has no apply())
+   * @returns {{ value: any, misconception: string }}
+   */
+  static make(misconception, ...args) {
+    const entry = MISCONCEPTIONS[misconception]
+    if (!entry) {
+      throw new Error(`Unknown misconception: ${misconception}`)
+    }
+    const value = entry.apply ? entry.apply(...args) : args[0]
+    // Round away floating point noise (0.1 × 0.3 = 0.030000000000000002)
+    return {
+      value: typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value,
+      misconception
+    }
+  }
+
+  /**
+   * Look up the display info for a misconception
+   * @param {string} misconception - ID from the MISCONCEPTIONS catalog
+   * @returns {{ id: string, name: string, feedback: string }|null}
+   */
+  static describe(misconception) {
+    const entry = MISCONCEPTIONS[misconception]
+    if (!entry) return null
+    return { id: misconception, name: entry.name, feedback: entry.feedback }
+  }
+
+  /**
+   * Drop distractors that are broken, equal to the correct answer, or repeats
+   * @param {Array} distractors - Tagged distractors from make()
+   * @param {Object} problem - The problem they belong to (answer, answerType...)
+   * @returns {Array} Usable distractors
+   */
+  static clean(distractors, problem) {
+    const kept = []
+    for (const distractor of distractors || []) {
+      const { value } = distractor
+      if (value === null || value === undefined) continue
+      if (typeof value === 'number' && !Number.isFinite(value)) continue
+      if (AnswerValidator.validate(problem, value)) continue
+      if (kept.some(k => String(k.value) === String(value))) continue
+      kept.push(distractor)
+    }
+    return kept
+  }
+
+  /**
+   * Find which misconception (if any) explains a wrong answer
+   * @param {Object} problem - Problem object (uses problem.distractors)
+   * @param {string|number} userAnswer - What the player picked or typed
+   * @returns {{ id: string, name: string, feedback: string }|null}
+   */
+  static findMisconception(problem, userAnswer) {
+    if (!problem || userAnswer === null || userAnswer === undefined || userAnswer === '') {
+      return null
+    }
+    if (problem.locale) {
+      return this.findMisconception(...AnswerValidator.delocalize(problem, userAnswer))
+    }
+
+    // Right number, written the wrong way
+    const formIssue = AnswerValidator.formIssue(problem, userAnswer)
+    if (formIssue !== null && AnswerValidator.compareAnswers(problem.answer, userAnswer, problem.tolerance)) {
+      return this.describe(formIssue === 'not-simplest' ? 'not-simplest-form' : 'wrong-answer-form')
+    }
+
+    // Measured in the wrong kind of unit, or not the unit asked for
+    const unitIssue = AnswerValidator.unitIssue(problem, userAnswer)
+    if (unitIssue !== null) {
+      return this.describe(unitIssue === 'wrong-dimension' ? 'wrong-kind-of-unit' : 'unit-not-asked-for')
+    }
+
+    // Right numbers written the wrong way, or an end included that shouldn't be
+    const intervalIssue = AnswerValidator.intervalIssue(problem, userAnswer)
+    if (intervalIssue !== null) {
+      return this.describe(intervalIssue === 'wrong-notation' ? 'wrong-answer-form' : 'open-or-closed-end')
+    }
+
+    // Right value, rounded the wrong way
+    if (AnswerValidator.roundingIssue(problem, userAnswer)) {
+      return this.describe('rounded-incorrectly')
+    }
+
+    if (!problem.distractors) {
+      return null
+    }
+    // Check the answer against each mistake the same way it's checked against the real answer,
+    // except for the form it must be written in ("12/15" is the mistake even if the answer must be simplest)
+    const asAnswer = (d) => problem.answerSet
+      ? { ...problem, answer: d.value, answerSet: { ...problem.answerSet, values: AnswerValidator.parseList(d.value) } }
+      : { ...problem, answer: d.value, acceptedForms: undefined, simplestForm: false }
+    const match = problem.distractors.find(d => AnswerValidator.validate(asAnswer(d), userAnswer))
+    return match ? this.describe(match.misconception) : null
+  }
+}
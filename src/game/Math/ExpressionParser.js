@@ -0,0 +1,418 @@
+import { SeededRandom, hashString } from './SeededRandom'
+
+/**
+ * Expression Parser
+ * Reads typed algebra answers like "2x+3", "(x+2)(x-5)" or "x^2-4" into a
+ * small expression tree that can be evaluated, and decides whether two
+ * expressions are equivalent.
+ *
+ * Supported: numbers, single-letter variables, + - * / ^ (also × · ÷ − ² ³),
+ * brackets, |absolute value|, implicit multiplication (2x, 3(x+1), (x+1)(x-1)),
+ * π, and the functions sqrt (√), abs, sin, cos, tan, log, ln.
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log
+}
+
+const CONSTANTS = {
+  pi: Math.PI,
+  'π': Math.PI
+}
+
+// Characters that mean the same thing as a plain ASCII operator
+const SYMBOLS = {
+  '×': '*',
+  '·': '*',
+  '÷': '/',
+  '−': '-',
+  '–': '-'
+}
+
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4',
+  '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9'
+}
+
+/**
+ * Thrown when a typed expression can't be read
+ */
+export class ExpressionSyntaxError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ExpressionSyntaxError'
+  }
+}
+
+/**
+ * Split text into tokens: { type: 'num' | 'id' | 'op' | 'lparen' | 'rparen' | 'bar', value }
+ * @param {string} text - Expression text
+ * @returns {Array} Tokens
+ */
+function tokenize(text) {
+  const tokens = []
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i]
+
+    if (/\s/.test(char)) {
+      i++
+    } else if (/[0-9.]/.test(char)) {
+      let number = ''
+      while (i < text.length && /[0-9.]/.test(text[i])) number += text[i++]
+      if (number === '.' || number.split('.').length > 2) {
+        throw new ExpressionSyntaxError(`Bad number "${number}"`)
+      }
+      tokens.push({ type: 'num', value: parseFloat(number) })
+    } else if (/[a-zA-Zπ]/.test(char)) {
+      let name = ''
+      while (i < text.length && /[a-zA-Zπ]/.test(text[i])) name += text[i++]
+      tokens.push(...splitIdentifier(name.toLowerCase()))
+    } else if (SUPERSCRIPTS[char]) {
+      let power = ''
+      while (i < text.length && SUPERSCRIPTS[text[i]]) power += SUPERSCRIPTS[text[i++]]
+      tokens.push({ type: 'op', value: '^' }, { type: 'num', value: parseFloat(power) })
+    } else if (char === '√') {
+      tokens.push({ type: 'id', value: 'sqrt' })
+      i++
+    } else if ('+-*/^'.includes(char) || SYMBOLS[char]) {
+      tokens.push({ type: 'op', value: SYMBOLS[char] || char })
+      i++
+    } else if (char === '(' || char === '[') {
+      tokens.push({ type: 'lparen' })
+      i++
+    } else if (char === ')' || char === ']') {
+      tokens.push({ type: 'rparen' })
+      i++
+    } else if (char === '|') {
+      tokens.push({ type: 'bar' })
+      i++
+    } else {
+      throw new ExpressionSyntaxError(`Unexpected "${char}"`)
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Break a run of letters into function names, constants and single-letter
+ * variables, so "xy" is x·y and "sinx" is sin(x)
+ * @param {string} name - Lowercase letters
+ * @returns {Array} Tokens
+ */
+function splitIdentifier(name) {
+  const known = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)].sort((a, b) => b.length - a.length)
+  const tokens = []
+  let rest = name
+
+  while (rest.length > 0) {
+    const word = known.find(k => rest.startsWith(k))
+    if (word) {
+      tokens.push({ type: 'id', value: word })
+      rest = rest.slice(word.length)
+    } else {
+      tokens.push({ type: 'id', value: rest[0] })
+      rest = rest.slice(1)
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Recursive-descent parser over the token list
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens
+    this.position = 0
+    this.insideBars = 0
+  }
+
+  peek() {
+    return this.tokens[this.position]
+  }
+
+  next() {
+    return this.tokens[this.position++]
+  }
+
+  isOp(token, ops) {
+    return token && token.type === 'op' && ops.includes(token.value)
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new ExpressionSyntaxError('Empty expression')
+    }
+    const tree = this.parseSum()
+    if (this.position < this.tokens.length) {
+      throw new ExpressionSyntaxError('Unexpected symbol after the end of the expression')
+    }
+    return tree
+  }
+
+  // sum := product (('+' | '-') product)*
+  parseSum() {
+    let left = this.parseProduct()
+    while (this.isOp(this.peek(), '+-')) {
+      const op = this.next().value
+      left = { type: 'op', op, left, right: this.parseProduct() }
+    }
+    return left
+  }
+
+  // product := unary (('*' | '/') unary | unary)*   (the last form is implicit multiplication)
+  parseProduct() {
+    let left = this.parseUnary()
+    while (true) {
+      const token = this.peek()
+      if (this.isOp(token, '*/')) {
+        const op = this.next().value
+        left = { type: 'op', op, left, right: this.parseUnary() }
+      } else if (this.startsImplicitFactor(token)) {
+        left = { type: 'op', op: '*', left, right: this.parsePower() }
+      } else {
+        return left
+      }
+    }
+  }
+
+  // Can this token start a factor written right after another one (like the x in 2x)?
+  startsImplicitFactor(token) {
+    if (!token) return false
+    if (token.type === 'num' || token.type === 'id' || token.type === 'lparen') return true
+    // An opening bar starts |x| - but inside bars, a bar closes them
+    return token.type === 'bar' && this.insideBars === 0
+  }
+
+  // unary := ('-' | '+') unary | power
+  parseUnary() {
+    if (this.isOp(this.peek(), '+-')) {
+      const op = this.next().value
+      const arg = this.parseUnary()
+      return op === '-' ? { type: 'neg', arg } : arg
+    }
+    return this.parsePower()
+  }
+
+  // power := atom ('^' unary)?   (right-associative, so 2^3^2 = 2^9)
+  parsePower() {
+    const base = this.parseAtom()
+    if (this.isOp(this.peek(), '^')) {
+      this.next()
+      return { type: 'op', op: '^', left: base, right: this.parseUnary() }
+    }
+    return base
+  }
+
+  // atom := number | variable | constant | function atom | '(' sum ')' | '|' sum '|'
+  parseAtom() {
+    const token = this.next()
+    if (!token) {
+      throw new ExpressionSyntaxError('Expression ends too early')
+    }
+
+    if (token.type === 'num') {
+      return { type: 'num', value: token.value }
+    }
+
+    if (token.type === 'id') {
+      if (FUNCTIONS[token.value]) {
+        // sin(x)^2 squares the sine, but sin x^2 takes the sine of x²
+        const arg = this.peek()?.type === 'lparen' ? this.parseAtom() : this.parsePower()
+        return { type: 'call', name: token.value, arg }
+      }
+      if (CONSTANTS[token.value] !== undefined) {
+        return { type: 'const', name: token.value }
+      }
+      return { type: 'var', name: token.value }
+    }
+
+    if (token.type === 'lparen') {
+      const inner = this.parseSum()
+      if (!this.peek() || this.next().type !== 'rparen') {
+        throw new ExpressionSyntaxError('Missing closing bracket')
+      }
+      return inner
+    }
+
+    if (token.type === 'bar') {
+      this.insideBars++
+      const inner = this.parseSum()
+      this.insideBars--
+      if (!this.peek() || this.next().type !== 'bar') {
+        throw new ExpressionSyntaxError('Missing closing |')
+      }
+      return { type: 'call', name: 'abs', arg: inner }
+    }
+
+    throw new ExpressionSyntaxError('Unexpected symbol')
+  }
+}
+
+export class ExpressionParser {
+  /**
+   * Parse expression text into a tree
+   * @param {string} text - Expression like "(x+2)(x-5)"
+   * @returns {Object} Expression tree
+   * @throws {ExpressionSyntaxError} If the text isn't a valid expression
+   */
+  static parse(text) {
+    return new Parser(tokenize(String(text))).parse()
+  }
+
+  /**
+   * Parse without throwing
+   * @param {string} text - Expression text
+   * @returns {Object|null} Expression tree, or null if it can't be read
+   */
+  static tryParse(text) {
+    try {
+      return this.parse(text)
+    } catch (error) {
+      if (error instanceof ExpressionSyntaxError) return null
+      throw error
+    }
+  }
+
+  /**
+   * Work out the value of an expression tree
+   * @param {Object} tree - Expression tree from parse()
+   * @param {Object} [variables] - Values for each variable, e.g. { x: 2 }
+   * @returns {number} Value (NaN if a variable is missing)
+   */
+  static evaluate(tree, variables = {}) {
+    switch (tree.type) {
+      case 'num':
+        return tree.value
+      case 'const':
+        return CONSTANTS[tree.name]
+      case 'var':
+        return tree.name in variables ? variables[tree.name] : NaN
+      case 'neg':
+        return -this.evaluate(tree.arg, variables)
+      case 'call':
+        return FUNCTIONS[tree.name](this.evaluate(tree.arg, variables))
+      case 'op': {
+        const left = this.evaluate(tree.left, variables)
+        const right = this.evaluate(tree.right, variables)
+        if (tree.op === '+') return left + right
+        if (tree.op === '-') return left - right
+        if (tree.op === '*') return left * right
+        if (tree.op === '/') return left / right
+        return Math.pow(left, right)
+      }
+      default:
+        return NaN
+    }
+  }
+
+  /**
+   * List the variable names used in an expression tree
+   * @param {Object} tree - Expression tree
+   * @returns {Set<string>}
+   */
+  static variables(tree, found = new Set()) {
+    if (tree.type === 'var') found.add(tree.name)
+    if (tree.arg) this.variables(tree.arg, found)
+    if (tree.left) this.variables(tree.left, found)
+    if (tree.right) this.variables(tree.right, found)
+    return found
+  }
+
+  /**
+   * Write a tree back out in one standard spelling (fully bracketed)
+   * @param {Object} tree - Expression tree
+   * @returns {string}
+   */
+  static normalize(tree) {
+    switch (tree.type) {
+      case 'num': return String(tree.value)
+      case 'const': return 'pi'
+      case 'var': return tree.name
+      case 'neg': return `(-${this.normalize(tree.arg)})`
+      case 'call': return `${tree.name}(${this.normalize(tree.arg)})`
+      default: return `(${this.normalize(tree.left)}${tree.op}${this.normalize(tree.right)})`
+    }
+  }
+
+  /**
+   * Is the expression written as a product of factors, like (x+2)(x-5) or 3(x+1)²?
+   * @param {Object} tree - Expression tree
+   * @returns {boolean}
+   */
+  static isFactored(tree) {
+    const isSum = (node) => node.type === 'op' && (node.op === '+' || node.op === '-')
+    const root = tree.type === 'neg' ? tree.arg : tree
+
+    if (root.type === 'op' && root.op === '*') {
+      const factors = []
+      const collect = (node) => {
+        if (node.type === 'op' && node.op === '*') {
+          collect(node.left)
+          collect(node.right)
+        } else {
+          factors.push(node.type === 'op' && node.op === '^' ? node.left : node)
+        }
+      }
+      collect(root)
+      return factors.some(isSum) && factors.every(f => !(f.type === 'op' && f.op === '/'))
+    }
+
+    return root.type === 'op' && root.op === '^' && isSum(root.left)
+  }
+
+  /**
+   * Decide whether two expressions are the same, like "x^2-4" and "(x+2)(x-2)".
+   * First compares the normalized spellings, then plugs the same random values
+   * into both and checks the results agree every time.
+   * @param {string} expected - The stored answer
+   * @param {string} given - The typed answer
+   * @param {Object} [options]
+   * @param {number} [options.trials=8] - How many random points must agree
+   * @param {number} [options.tolerance=1e-6] - Relative tolerance per point
+   * @returns {boolean}
+   */
+  static equivalent(expected, given, options = {}) {
+    const { trials = 8, tolerance = 1e-6 } = options
+    const expectedTree = this.tryParse(expected)
+    const givenTree = this.tryParse(given)
+    if (!expectedTree || !givenTree) return false
+
+    if (this.normalize(expectedTree) === this.normalize(givenTree)) return true
+
+    const names = [...new Set([...this.variables(expectedTree), ...this.variables(givenTree)])]
+    // Seeded from both answers, so the same pair always gets the same verdict
+    const rng = new SeededRandom(hashString(`${expected}|${given}`))
+    let agreed = 0
+
+    for (let attempt = 0; attempt < trials * 4 && agreed < trials; attempt++) {
+      const point = {}
+      for (const name of names) {
+        // Avoid whole numbers so coincidences (like x² = 2x at x = 2) are unlikely
+        point[name] = (rng.next() * 6 + 0.25) * (rng.next() < 0.5 ? -1 : 1)
+      }
+
+      const a = this.evaluate(expectedTree, point)
+      const b = this.evaluate(givenTree, point)
+      // Outside the domain (like √ of a negative) - try another point
+      if (!Number.isFinite(a) || !Number.isFinite(b)) continue
+
+      if (Math.abs(a - b) > tolerance * Math.max(1, Math.abs(a), Math.abs(b))) {
+        return false
+      }
+      agreed++
+    }
+
+    return agreed >= Math.min(trials, 3)
+  }
+}
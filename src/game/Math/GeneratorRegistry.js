@@ -0,0 +1,146 @@
+/**
+ * Generator Registry
+ * Keeps track of every problem generator and what it covers, so problems are
+ * looked up by exact unit or topic name instead of guessed.
+ *
+ * A generator is registered with:
+ *   {
+ *     id: 'genFractions',                  unique name (also used in problem IDs)
+ *     grades: [5],                         grades it's written for
+ *     units: ['fractions'],                curriculum unit names it makes problems for
+ *     topics: ['fractions', 'adding fractions'],  topic keywords it makes problems for
+ *     difficultyRange: [1, 10],            easiest and hardest difficulty it can make
+ *     fn: (grade, generator, difficulty) => problem    builds one problem
+ *     recompute: (problem) => answer       optional, works the answer out again (for GeneratorValidator)
+ *     minVariety: 3                        optional, how many different problems it can make (at least)
+ *   }
+ */
+
+// Difficulty levels go from 1 (easiest) to 10 (hardest)
+export const DIFFICULTY_RANGE = [1, 10]
+
+// The level that gives a grade's usual numbers
+export const DEFAULT_DIFFICULTY = 5
+
+/**
+ * Thrown when no generator covers the unit or topic asked for
+ */
+export class NoGeneratorError extends Error {
+  /**
+   * @param {Object} request - What was asked for: { grade, unit } or { grade, topic }
+   */
+  constructor({ grade, unit, topic }) {
+    const what = unit !== undefined ? `unit "${unit}"` : `topic "${topic}"`
+    super(`No problem generator for ${what} in grade ${grade}`)
+    this.name = 'NoGeneratorError'
+    this.grade = grade
+    this.unit = unit
+    this.topic = topic
+  }
+}
+
+/**
+ * Lower-case and trim a unit or topic name so lookups ignore case and spacing
+ * @param {string} name
+ * @returns {string}
+ */
+function normalize(name) {
+  return String(name).toLowerCase().trim().replace(/\s+/g, ' ')
+}
+
+/**
+ * Generator Registry
+ */
+export class GeneratorRegistry {
+  constructor() {
+    // id -> registered generator
+    this.generators = new Map()
+  }
+
+  /**
+   * Add a generator
+   * @param {Object} spec - { id, grades, units, topics, difficultyRange, fn, recompute, minVariety }
+   * @returns {Object} The registered generator
+   * @throws {Error} If the id is missing or taken, or fn isn't a function
+   */
+  register({ id, grades = [], units = [], topics = [], difficultyRange = DIFFICULTY_RANGE, fn, recompute, minVariety }) {
+    if (!id) throw new Error('A generator needs an id')
+    if (this.generators.has(id)) throw new Error(`Generator "${id}" is already registered`)
+    if (typeof fn !== 'function') throw new Error(`Generator "${id}" needs a fn that builds a problem`)
+    if (units.length === 0 && topics.length === 0) {
+      throw new Error(`Generator "${id}" needs at least one unit or topic`)
+    }
+
+    const generator = {
+      id,
+      grades: [...grades],
+      units: units.map(normalize),
+      topics: topics.map(normalize),
+      difficultyRange: [...difficultyRange],
+      fn
+    }
+    if (typeof recompute === 'function') generator.recompute = recompute
+    if (minVariety !== undefined) generator.minVariety = minVariety
+    this.generators.set(id, generator)
+    return generator
+  }
+
+  /**
+   * Remove a generator
+   * @param {string} id
+   * @returns {boolean} true if it was registered
+   */
+  unregister(id) {
+    return this.generators.delete(id)
+  }
+
+  /**
+   * Every generator for a unit or topic.
+   * Generators written for the grade are preferred; if there are none, ones for
+   * other grades are used, since they still make problems on the right topic.
+   * With a difficulty, generators whose difficultyRange includes it are preferred too.
+   * @param {Object} request - { grade, unit } or { grade, topic }, plus an optional difficulty
+   * @returns {Array} Matching generators (empty if nothing covers it)
+   */
+  find({ grade, unit, topic, difficulty }) {
+    const [field, name] = unit !== undefined ? ['units', normalize(unit)] : ['topics', normalize(topic)]
+    const matches = [...this.generators.values()].filter(g => g[field].includes(name))
+    const forGrade = matches.filter(g => g.grades.includes(grade))
+    const candidates = forGrade.length > 0 ? forGrade : matches
+    if (difficulty === undefined) return candidates
+
+    const forDifficulty = candidates.filter(g => g.difficultyRange[0] <= difficulty && difficulty <= g.difficultyRange[1])
+    return forDifficulty.length > 0 ? forDifficulty : candidates
+  }
+
+  /**
+   * Every generator for a unit or topic, or an error if there are none
+   * @param {Object} request - { grade, unit } or { grade, topic }
+   * @returns {Array} Matching generators
+   * @throws {NoGeneratorError} If nothing covers it
+   */
+  require(request) {
+    const matches = this.find(request)
+    if (matches.length === 0) throw new NoGeneratorError(request)
+    return matches
+  }
+
+  /**
+   * Describe the registered generators (everything but the functions), for listing what's covered
+   * @param {Object} [filter] - Only include ones for this { grade, unit, topic }
+   * @returns {Array} [{ id, grades, units, topics, difficultyRange }]
+   */
+  list({ grade, unit, topic } = {}) {
+    return [...this.generators.values()]
+      .filter(g => grade === undefined || g.grades.includes(grade))
+      .filter(g => unit === undefined || g.units.includes(normalize(unit)))
+      .filter(g => topic === undefined || g.topics.includes(normalize(topic)))
+      .map(({ fn, recompute, ...metadata }) => ({
+        ...metadata,
+        grades: [...metadata.grades],
+        units: [...metadata.units],
+        topics: [...metadata.topics],
+        difficultyRange: [...metadata.difficultyRange]
+      }))
+  }
+}
@@ -0,0 +1,306 @@
+import { AnswerValidator } from './AnswerValidator'
+import { DistractorEngine } from './DistractorEngine'
+import { ExpressionParser } from './ExpressionParser'
+import { DIFFICULTY_RANGE } from './GeneratorRegistry'
+import { ProblemGenerator } from './ProblemGenerator'
+
+/**
+ * Generator Validator
+ * Samples problems from every registered generator and checks each one
+ * against a list of invariants, so a generator that always asks the same
+ * question or marks the wrong option as right is caught before a student
+ * sees it. Runs without a browser: `npm run validate` prints the report.
+ *
+ * Each sample is made at one of the generator's grades and a difficulty from
+ * 1 to 10, with its own seed (the sample number), so a failing problem can be
+ * made again with sample(generator, grade, { seed, difficulty }).
+ *
+ * A generator can declare more about itself when it's registered:
+ *   recompute: (problem) => answer   works the answer out again from the question
+ *   minVariety: 3                    how many different problems N samples must have
+ * Built-in gen* methods that don't declare recompute use RECOMPUTE below, and
+ * any "12 + 7 = ?" question is worked out with the ExpressionParser.
+ */
+
+// Leeway for floating point noise when a recomputed value must be exactly 0
+const EPSILON = 1e-9
+
+// What every sampled problem is checked for
+export const INVARIANTS = {
+  'runs': 'The generator makes a problem without throwing',
+  'finite-numbers': 'No NaN, Infinity or undefined anywhere in the problem',
+  'answer-in-options': 'The answer is accepted, and for multiple choice it is the only right option',
+  'unique-options': 'No two options are the same',
+  'recomputed': 'The answer matches one worked out again from the question',
+  'distractors-explained': 'Every tagged wrong answer is explained by its misconception',
+  'variety': 'The samples have enough different problems and answers'
+}
+
+// Different problems (and answers) a generator's samples need, unless it declares its own
+export const DEFAULT_MIN_VARIETY = 3
+
+/**
+ * Whole numbers from low to high
+ * @param {number} low
+ * @param {number} high
+ * @returns {number[]}
+ */
+function range(low, high) {
+  return Array.from({ length: high - low + 1 }, (_, i) => low + i)
+}
+
+/**
+ * Work out a plain arithmetic question ("12 + 7 = ?", "3/4 × 2 = ?")
+ * @param {Object} problem
+ * @returns {number|null} The value, or null if the question isn't plain arithmetic
+ */
+function arithmetic(problem) {
+  const [, expression] = String(problem.question).match(/^([\d\s.+\-×÷()/]+)=\s*\?$/) || []
+  // Mixed numbers ("3 1/2") would be read as 3 × 1/2
+  if (!expression || /\d\s+\d/.test(expression)) return null
+  // A written fraction is one number: 1/6 ÷ 4/5 is (1/6) ÷ (4/5)
+  const tree = ExpressionParser.tryParse(expression.replace(/(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)/g, '($1/$2)'))
+  if (!tree) return null
+  const value = ExpressionParser.evaluate(tree)
+  return Number.isFinite(value) ? value : null
+}
+
+// Independent answers for built-in generators, worked out from the question text
+export const RECOMPUTE = {
+  // "x² - x - 6 = 0. Find all roots." -> every whole number that makes the left side 0
+  genQuadraticEquations: (problem) => {
+    const [, left] = problem.question.match(/^(.+) = 0\./) || []
+    const tree = left && ExpressionParser.tryParse(left)
+    if (!tree) return null
+    const roots = range(-20, 20).filter(x => Math.abs(ExpressionParser.evaluate(tree, { x })) < EPSILON)
+    return /Find one root/.test(problem.question) ? roots[0] : roots.join(', ')
+  },
+
+  // "sin(x) = √3/2 for 0° ≤ x < 360°" -> every whole degree in the range that works
+  genTrigEquations: (problem) => {
+    const [, name, value, low, closed, high] = problem.question.match(/(sin|cos|tan)\(x\) = (\S+) for (\d+)° ≤ x (≤|<) (\d+)°/) || []
+    const tree = value && ExpressionParser.tryParse(value)
+    if (!tree) return null
+    const target = ExpressionParser.evaluate(tree)
+    const angles = range(Number(low), closed === '≤' ? Number(high) : Number(high) - 1)
+      .filter(x => Math.abs(Math[name](x * Math.PI / 180) - target) < EPSILON)
+    return angles.join(', ')
+  },
+
+  // "Degree of 2x⁴ - x + 5?" -> the highest power of x written
+  genPolynomialFunctions: (problem) => {
+    const [, polynomial] = problem.question.match(/^Degree of (.+)\?$/) || []
+    if (!polynomial) return null
+    const superscripts = { '²': 2, '³': 3 }
+    const powers = [...polynomial.matchAll(/x(?:\^(\d+)|([²³]))?/g)]
+      .map(([, power, superscript]) => power ? Number(power) : superscripts[superscript] ?? 1)
+    return Math.max(0, ...powers)
+  }
+}
+
+/**
+ * Generator Validator
+ */
+export class GeneratorValidator {
+  /**
+   * @param {Object} [options]
+   * @param {ProblemGenerator} [options.generator] - The generator to check (default: a new English one)
+   */
+  constructor(options = {}) {
+    this.generator = options.generator || new ProblemGenerator()
+  }
+
+  /**
+   * Sample every registered generator (or some of them) and check the problems
+   * @param {Object} [options]
+   * @param {number} [options.samples] - Problems to make per generator (default 50)
+   * @param {string[]} [options.ids] - Only check these generators
+   * @returns {{ samples: number, passed: string[], failed: string[], generators: Array }}
+   *   One entry per generator: { id, samples, problems, answers, failures }, where
+   *   failures lists { invariant, count, message, example } (example: { grade, difficulty, seed, question, answer })
+   */
+  validate({ samples = 50, ids } = {}) {
+    const generators = [...this.generator.registry.generators.values()]
+      .filter(g => !ids || ids.includes(g.id))
+    const report = { samples, passed: [], failed: [], generators: [] }
+
+    for (const generator of generators) {
+      const result = this.validateGenerator(generator, samples)
+      report.generators.push(result)
+      report[result.failures.length === 0 ? 'passed' : 'failed'].push(result.id)
+    }
+    return report
+  }
+
+  /**
+   * Sample one generator and check its problems
+   * @param {Object} generator - A registered generator from the registry
+   * @param {number} samples - Problems to make
+   * @returns {{ id: string, samples: number, problems: number, answers: number, failures: Array }}
+   */
+  validateGenerator(generator, samples) {
+    const failures = new Map()
+    const fail = (invariant, message, example) => {
+      const failure = failures.get(invariant)
+      if (failure) {
+        failure.count++
+      } else {
+        failures.set(invariant, { invariant, count: 1, message, example })
+      }
+    }
+
+    const grades = generator.grades.length > 0 ? generator.grades : [undefined]
+    const [easiest, hardest] = DIFFICULTY_RANGE
+    const different = new Set()
+    const answers = new Set()
+
+    for (let seed = 1; seed <= samples; seed++) {
+      const grade = grades[(seed - 1) % grades.length]
+      const difficulty = easiest + (seed - 1) % (hardest - easiest + 1)
+      const where = { grade, difficulty, seed }
+
+      let problem
+      try {
+        problem = this.sample(generator, grade, { seed, difficulty })
+      } catch (error) {
+        fail('runs', error.message, where)
+        continue
+      }
+
+      const example = { ...where, question: problem?.question, answer: problem?.answer }
+      // The same question about a different picture, list or letter is a different problem
+      different.add(JSON.stringify([problem?.question, problem?.figure, problem?.interaction, problem?.answer]))
+      answers.add(String(problem?.answer))
+      for (const [invariant, message] of this.checkProblem(problem, generator)) {
+        fail(invariant, message, example)
+      }
+    }
+
+    // Enough different problems and answers (capped at the number of samples)
+    const minVariety = Math.min(generator.minVariety ?? DEFAULT_MIN_VARIETY, samples)
+    if (different.size < minVariety) {
+      fail('variety', `only ${different.size} different problem(s) in ${samples} samples`)
+    } else if (answers.size < Math.min(2, minVariety)) {
+      fail('variety', `every one of ${samples} samples has the answer ${[...answers][0]}`)
+    }
+
+    return { id: generator.id, samples, problems: different.size, answers: answers.size, failures: [...failures.values()] }
+  }
+
+  /**
+   * Make one problem with a generator, the same way generateProblem would
+   * @param {Object} generator - A registered generator
+   * @param {number|string} grade
+   * @param {Object} options - { seed, difficulty }
+   * @returns {Object} Problem
+   */
+  sample(generator, grade, options) {
+    const problems = this.generator
+    return problems.withSeed(options, () => {
+      const previous = problems.currentGenerator
+      problems.currentGenerator = generator.id
+      try {
+        return generator.fn(grade, problems, problems.activeDifficulty)
+      } finally {
+        problems.currentGenerator = previous
+      }
+    })
+  }
+
+  /**
+   * Check one problem against the invariants
+   * @param {Object} problem
+   * @param {Object} generator - The registered generator that made it
+   * @returns {Array} [invariant, message] for every broken invariant
+   */
+  checkProblem(problem, generator) {
+    const broken = []
+    if (!problem) return [['runs', 'returned no problem']]
+
+    const bad = this.findBadValue(problem)
+    if (bad) broken.push(['finite-numbers', `${bad.path} is ${bad.value}`])
+
+    // A multi-part problem is checked part by part (except for recomputing the whole answer)
+    for (const part of problem.type === 'multi-part' ? problem.parts : [problem]) {
+      if (!AnswerValidator.validate(part, String(part.answer))) {
+        broken.push(['answer-in-options', `its own answer ${part.answer} is marked wrong`])
+      }
+
+      if (part.options) {
+        const values = part.options.map(o => String(o.value))
+        const right = values.filter(value => AnswerValidator.validate(part, value))
+        if (right.length !== 1) {
+          broken.push(['answer-in-options', `${right.length} of the options [${values.join(' | ')}] are right`])
+        }
+        const repeated = values.find((value, i) => values.indexOf(value) !== i)
+        if (repeated !== undefined) broken.push(['unique-options', `"${repeated}" is an option twice`])
+      }
+
+      const unexplained = (part.distractors || []).find(d => !DistractorEngine.findMisconception(part, String(d.value)))
+      if (unexplained) {
+        broken.push(['distractors-explained', `${unexplained.value} (${unexplained.misconception}) isn't recognized`])
+      }
+    }
+
+    const recompute = generator.recompute || RECOMPUTE[generator.id] || arithmetic
+    const expected = recompute(problem)
+    if (expected !== null && expected !== undefined && expected !== '') {
+      // Only the value matters here, not the form it's written in
+      const anyForm = { ...problem, acceptedForms: undefined, simplestForm: false }
+      if (!AnswerValidator.validate(anyForm, String(expected))) {
+        broken.push(['recomputed', `the answer is ${problem.answer} but the question works out to ${expected}`])
+      }
+    }
+    return broken
+  }
+
+  /**
+   * Find a NaN, Infinity or undefined anywhere in a problem (numbers or text)
+   * @param {any} value - The problem, or a part of it
+   * @param {string} [path] - Where value is in the problem
+   * @returns {{ path: string, value: string }|null} The first one found
+   */
+  findBadValue(value, path = 'problem') {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? null : { path, value: String(value) }
+    }
+    if (typeof value === 'string') {
+      const [word] = value.match(/\b(NaN|Infinity|undefined)\b/) || []
+      return word ? { path, value: `"${value}"` } : null
+    }
+    if (value && typeof value === 'object') {
+      for (const [key, inner] of Object.entries(value)) {
+        if (key === 'topic') continue // A fixed name ("Limits at Infinity"), not worked out
+        const bad = this.findBadValue(inner, `${path}.${key}`)
+        if (bad) return bad
+      }
+    }
+    return null
+  }
+
+  /**
+   * Write a report as text, one line per generator plus a line per failed invariant
+   * @param {Object} report - From validate()
+   * @returns {string}
+   */
+  static format(report) {
+    const lines = []
+    for (const result of report.generators) {
+      if (result.failures.length === 0) {
+        lines.push(`✓ ${result.id} (${result.problems} different problems in ${result.samples} samples)`)
+        continue
+      }
+      lines.push(`✗ ${result.id}`)
+      for (const { invariant, count, message, example } of result.failures) {
+        lines.push(`    ${invariant} (${count}×): ${message}`)
+        if (example?.question !== undefined) {
+          lines.push(`      grade ${example.grade}, difficulty ${example.difficulty}, seed ${example.seed}: ${example.question} → ${example.answer}`)
+        } else if (example) {
+          lines.push(`      grade ${example.grade}, difficulty ${example.difficulty}, seed ${example.seed}`)
+        }
+      }
+    }
+    lines.push('', `${report.passed.length} passed, ${report.failed.length} failed (${report.samples} samples each)`)
+    return lines.join('\n')
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * Number Formats
+ * Reads the many ways students write a number - "1 1/2", "50%", "3.2e4",
+ * "-3/4", "0.333…", "√2", "2√3", "3π/4" - into its value, which form it was
+ * written in, and whether that form is fully simplified.
+ *
+ * Forms: integer, decimal, fraction, mixed, percent, scientific, repeating,
+ * radical, pi.
+ */
+
+// Characters that mean the same thing as a plain ASCII one
+const SYMBOLS = {
+  '−': '-',
+  '–': '-',
+  '⁄': '/',
+  '…': '...'
+}
+
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4',
+  '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+'
+}
+
+// A combining overline drawn over repeating digits: 0.3̅
+const OVERLINE = '̅'
+
+const NUMBER = '(?:\\d+\\.?\\d*|\\.\\d+)'
+
+function gcd(a, b) {
+  a = Math.abs(a)
+  b = Math.abs(b)
+  while (b) [a, b] = [b, a % b]
+  return a
+}
+
+function signOf(text) {
+  return text === '-' ? -1 : 1
+}
+
+// Largest square that divides n (so √n = √square · √(n / square))
+function largestSquareFactor(n) {
+  for (let root = Math.floor(Math.sqrt(n)); root > 1; root--) {
+    if (n % (root * root) === 0) return root * root
+  }
+  return 1
+}
+
+/**
+ * Value of a decimal whose digits after `prefix` repeat forever
+ * @param {string} sign - '-' or ''
+ * @param {string} whole - Digits before the decimal point
+ * @param {string} prefix - Digits after the point that don't repeat
+ * @param {string} block - The repeating digits
+ * @returns {number}
+ */
+function repeatingValue(sign, whole, prefix, block) {
+  // 0.1(6) = (16 - 1) / 90
+  const numerator = Number(prefix + block) - Number(prefix || '0')
+  const denominator = (10 ** block.length - 1) * 10 ** prefix.length
+  return signOf(sign) * (Number(whole || '0') + numerator / denominator)
+}
+
+/**
+ * Split the digits of "0.1666..." into a non-repeating prefix and a repeating block
+ * @param {string} digits - Digits after the decimal point
+ * @returns {{ prefix: string, block: string }}
+ */
+function findRepeatingBlock(digits) {
+  // The shortest block that shows up at least twice at the end
+  for (let size = 1; size * 2 <= digits.length; size++) {
+    const block = digits.slice(-size)
+    if (digits.slice(-2 * size, -size) === block) {
+      let prefix = digits.slice(0, -size)
+      while (prefix.endsWith(block)) prefix = prefix.slice(0, -size)
+      return { prefix, block }
+    }
+  }
+  // Only one copy written ("0.3..."): the last digit repeats
+  return { prefix: digits.slice(0, -1), block: digits.slice(-1) }
+}
+
+// Each form: the pattern it's written in, its value and whether it's in simplest form.
+// Order matters - mixed numbers must be tried before plain fractions, etc.
+const FORMS = [
+  {
+    form: 'integer',
+    pattern: /^[+-]?\d+$/,
+    value: (m) => Number(m[0]),
+    simplest: () => true
+  },
+  {
+    form: 'decimal',
+    pattern: /^[+-]?(?:\d+\.\d*|\.\d+)$/,
+    value: (m) => Number(m[0]),
+    simplest: () => true
+  },
+  {
+    // 1 1/2, -2 3/4
+    form: 'mixed',
+    pattern: /^([+-]?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/,
+    value: (m) => Number(m[4]) === 0 ? null : signOf(m[1]) * (Number(m[2]) + Number(m[3]) / Number(m[4])),
+    simplest: (m) => Number(m[3]) > 0 && Number(m[3]) < Number(m[4]) && gcd(m[3], m[4]) === 1
+  },
+  {
+    // 3/4, -3/4, 3/-4
+    form: 'fraction',
+    pattern: /^([+-]?\d+)\s*\/\s*([+-]?\d+)$/,
+    value: (m) => Number(m[2]) === 0 ? null : Number(m[1]) / Number(m[2]),
+    simplest: (m) => Number(m[2]) > 1 && gcd(m[1], m[2]) === 1
+  },
+  {
+    form: 'percent',
+    pattern: new RegExp(`^([+-]?${NUMBER})\\s*%$`),
+    value: (m) => Number(m[1]) / 100,
+    simplest: () => true
+  },
+  {
+    // 3.2e4, 3.2 × 10^4, 3.2x10^-4, 3.2·10⁴ (superscripts are already ^digits here)
+    form: 'scientific',
+    pattern: new RegExp(`^([+-]?${NUMBER})\\s*(?:e\\s*([+-]?\\d+)|[x×·*]\\s*10\\s*(?:\\^|\\*\\*)\\s*\\(?([+-]?\\d+)\\)?)$`, 'i'),
+    value: (m) => Number(m[1]) * 10 ** Number(m[2] ?? m[3]),
+    simplest: (m) => Math.abs(Number(m[1])) >= 1 && Math.abs(Number(m[1])) < 10
+  },
+  {
+    // 0.333..., 0.1666...
+    form: 'repeating',
+    pattern: /^([+-]?)(\d*)\.(\d+)\.\.\.$/,
+    value: (m) => {
+      const { prefix, block } = findRepeatingBlock(m[3])
+      return repeatingValue(m[1], m[2], prefix, block)
+    },
+    simplest: () => true
+  },
+  {
+    // 0.(3), 0.1(6)
+    form: 'repeating',
+    pattern: /^([+-]?)(\d*)\.(\d*)\((\d+)\)$/,
+    value: (m) => repeatingValue(m[1], m[2], m[3], m[4]),
+    simplest: () => true
+  },
+  {
+    // 0.3̅, 0.16̅ (the overline was turned into brackets before matching)
+    form: 'repeating',
+    pattern: /^([+-]?)(\d*)\.(\d*)\[(\d+)\]$/,
+    value: (m) => repeatingValue(m[1], m[2], m[3], m[4]),
+    simplest: () => true
+  },
+  {
+    // √2, 2√3, -√5, 3√2/2, sqrt(8)
+    form: 'radical',
+    pattern: /^([+-]?)(\d*)\s*(?:√|sqrt)\s*\(?(\d+)\)?(?:\s*\/\s*(\d+))?$/i,
+    value: (m) => {
+      const denominator = Number(m[4] || 1)
+      if (denominator === 0) return null
+      return signOf(m[1]) * Number(m[2] || 1) * Math.sqrt(Number(m[3])) / denominator
+    },
+    simplest: (m) => {
+      const radicand = Number(m[3])
+      return radicand > 1 && largestSquareFactor(radicand) === 1 &&
+        m[2] !== '1' && m[4] !== '1' && gcd(m[2] || 1, m[4] || 1) === 1
+    }
+  },
+  {
+    // π, 2π, -π/2, 3pi/4
+    form: 'pi',
+    pattern: /^([+-]?)(\d*)\s*(?:π|pi)(?:\s*\/\s*(\d+))?$/i,
+    value: (m) => {
+      const denominator = Number(m[3] || 1)
+      if (denominator === 0) return null
+      return signOf(m[1]) * Number(m[2] || 1) * Math.PI / denominator
+    },
+    simplest: (m) => m[2] !== '1' && m[3] !== '1' && gcd(m[2] || 1, m[3] || 1) === 1
+  }
+]
+
+/**
+ * Number Formats
+ */
+export class NumberFormats {
+  /**
+   * Every form name a problem can list in its accepted forms
+   */
+  static get FORMS() {
+    return [...new Set(FORMS.map(f => f.form))]
+  }
+
+  /**
+   * Read a typed number
+   * @param {string|number} text - What the student typed
+   * @returns {{ value: number, form: string, simplest: boolean }|null} null if it isn't a number
+   */
+  static parse(text) {
+    if (typeof text === 'number') {
+      if (!Number.isFinite(text)) return null
+      return { value: text, form: Number.isInteger(text) ? 'integer' : 'decimal', simplest: true }
+    }
+    if (typeof text !== 'string') return null
+
+    // 10⁴ → 10^4
+    let clean = ''
+    let inSuperscript = false
+    for (const ch of text.trim()) {
+      if (SUPERSCRIPTS[ch]) {
+        clean += (inSuperscript ? '' : '^') + SUPERSCRIPTS[ch]
+        inSuperscript = true
+      } else {
+        clean += SYMBOLS[ch] ?? ch
+        inSuperscript = false
+      }
+    }
+    // 0.16̅ → 0.1[6] so the overlined digits can be matched as a group
+    clean = clean.replace(new RegExp(`((?:\\d${OVERLINE})+)$`), (digits) => `[${digits.replaceAll(OVERLINE, '')}]`)
+
+    for (const { form, pattern, value, simplest } of FORMS) {
+      const match = clean.match(pattern)
+      if (!match) continue
+      const result = value(match)
+      if (result === null || !Number.isFinite(result)) return null
+      return { value: result, form, simplest: simplest(match) }
+    }
+    return null
+  }
+
+  /**
+   * Write a fraction in lowest terms ("6/4" → "3/2", "4/2" → "2")
+   * @param {number} numerator
+   * @param {number} denominator
+   * @returns {string}
+   */
+  static formatFraction(numerator, denominator) {
+    const divisor = gcd(numerator, denominator) * Math.sign(denominator)
+    const n = numerator / divisor
+    const d = denominator / divisor
+    return d === 1 ? `${n}` : `${n}/${d}`
+  }
+
+  /**
+   * Write a fraction as a mixed number in simplest form ("7/2" → "3 1/2")
+   * @param {number} numerator
+   * @param {number} denominator
+   * @returns {string}
+   */
+  static formatMixed(numerator, denominator) {
+    const sign = numerator * denominator < 0 ? '-' : ''
+    const n = Math.abs(numerator)
+    const d = Math.abs(denominator)
+    const whole = Math.floor(n / d)
+    if (n % d === 0) return `${sign}${whole}`
+    const part = this.formatFraction(n % d, d)
+    return whole === 0 ? `${sign}${part}` : `${sign}${whole} ${part}`
+  }
+
+  /**
+   * Simplify √n by pulling out square factors (√12 → 2√3)
+   * @param {number} n - The number under the root
+   * @returns {{ outside: number, inside: number }} √n = outside√inside
+   */
+  static simplifyRadical(n) {
+    const square = largestSquareFactor(n)
+    return { outside: Math.sqrt(square), inside: n / square }
+  }
+}
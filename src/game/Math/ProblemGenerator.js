@@ -1,194 +1,658 @@
 import { AnswerValidator } from './AnswerValidator'
+import { DistractorEngine } from './DistractorEngine'
+import { GeneratorRegistry, DIFFICULTY_RANGE, DEFAULT_DIFFICULTY } from './GeneratorRegistry'
+import { NumberFormats } from './NumberFormats'
+import { SolutionSets } from './SolutionSets'
+import { TemplateEngine } from './TemplateEngine'
+import { Units } from './Units'
+import { WordProblemEngine } from './WordProblemEngine'
+import { SeededRandom, hashString } from './SeededRandom'
+import { DEFAULT_LOCALE } from '../Localization/Localization'
+import { ProblemSetStore } from '../Data/ProblemSetStore'
+import { ProblemTranslator } from '../Localization/ProblemTranslator'
+import curriculumData from '../../data/curriculum/alberta_curriculum.json'
+
+// Every grade in the curriculum
+const ALL_GRADES = curriculumData.grades.map(g => g.grade)
+
+// Difficulty level for each game mode (medium gives a grade's usual numbers)
+const MODE_DIFFICULTY = { easy: 3, medium: DEFAULT_DIFFICULTY, hard: 7, nightmare: 9 }
+
+// How far a unit that's harder or easier than the rest of its grade moves the level
+const MAX_UNIT_ADJUSTMENT = 2
+
+// The built-in gen* methods and the curriculum units / topic keywords they cover.
+// Unit generators mix several topics; topic generators make one kind of problem,
+// so a battle can focus on a single curriculum topic.
+const BUILT_IN_GENERATORS = [
+  // ===== GRADE 1 =====
+  { id: 'genAddSubTo20', grades: [1], units: ['addition & subtraction to 20'] },
+  { id: 'genAdditionTo20', grades: [1], topics: ['addition to 20'] },
+  { id: 'genSubtractionFrom20', grades: [1], topics: ['subtraction from 20'] },
+  { id: 'genNumberBonds', grades: [1], topics: ['number bonds'] },
+  { id: 'genFactFamilies', grades: [1, 3], units: ['addition & subtraction to 20', 'multiplication facts'], topics: ['fact families'] },
+  { id: 'genShapes', grades: [1], units: ['2d and 3d shapes'], topics: ['2d shapes'] },
+  { id: 'genThreeDShapes', grades: [1, 8], units: ['2d and 3d shapes'], topics: ['3d shapes'] },
+  { id: 'genComparingShapes', grades: [1], units: ['2d and 3d shapes'], topics: ['comparing shapes'] },
+  { id: 'genSortingShapes', grades: [1, 2], units: ['2d and 3d shapes', 'shape sorting'], topics: ['sorting shapes'] },
+  { id: 'genMeasurementBasics', grades: [1], units: ['measurement basics'] },
+  { id: 'genLengthComparison', grades: [1, 2], topics: ['length comparison', 'comparing lengths'] },
+  { id: 'genAreaComparison', grades: [1], units: ['measurement basics'], topics: ['area comparison'] },
+  { id: 'genCapacityComparison', grades: [1], units: ['measurement basics'], topics: ['capacity comparison'] },
+  { id: 'genOrderingObjects', grades: [1], units: ['measurement basics'], topics: ['ordering objects'] },
+  { id: 'genTimeConcepts', grades: [1], units: ['time concepts'] },
+  { id: 'genTimeCycles', grades: [1], topics: ['time cycles'] },
+  { id: 'genCalendar', grades: [1], topics: ['calendar'] },
+  { id: 'genSeasons', grades: [1], topics: ['seasons'] },
+  { id: 'genDailyRoutines', grades: [1], topics: ['daily routines'] },
+
+  // ===== GRADE 2 =====
+  { id: 'genAddSubTo100', grades: [2], units: ['addition & subtraction to 100'] },
+  { id: 'genAddingWithin100', grades: [2], topics: ['adding within 100'] },
+  { id: 'genSubtractingWithin100', grades: [2], topics: ['subtracting within 100'] },
+  { id: 'genRegrouping', grades: [2, 3], units: ['addition & subtraction to 100', 'addition & subtraction to 1000'], topics: ['regrouping'] },
+  { id: 'genMentalMath', grades: [2], units: ['addition & subtraction to 100'], topics: ['mental math'] },
+  { id: 'genShapeSorting', grades: [2], units: ['shape sorting'], topics: ['classifying shapes'] },
+  { id: 'genSortingRules', grades: [2], units: ['shape sorting'], topics: ['sorting rules'] },
+  { id: 'genShapeAttributes', grades: [2], units: ['shape sorting'], topics: ['shape attributes'] },
+  { id: 'genMeasuringLength', grades: [2], units: ['measuring length'] },
+  { id: 'genCentimeters', grades: [2, 3], units: ['measuring length', 'metric measurement'], topics: ['centimeters'] },
+  { id: 'genMeasuringTools', grades: [2], units: ['measuring length'], topics: ['measuring tools'] },
+  { id: 'genEstimatingLength', grades: [2], units: ['measuring length'], topics: ['estimating length'] },
+  { id: 'genTimeDuration', grades: [2], units: ['time duration'], topics: ['weeks', 'time duration'] },
+  { id: 'genDays', grades: [2], units: ['time duration'], topics: ['days'] },
+  { id: 'genMonths', grades: [2], units: ['time duration'], topics: ['months'] },
+  { id: 'genYears', grades: [2], units: ['time duration'], topics: ['years'] },
+  { id: 'genDataGraphing', grades: [2], units: ['data & graphing'] },
+  { id: 'genCollectingData', grades: [2, 6], units: ['data & graphing', 'data interpretation'], topics: ['collecting data'] },
+  { id: 'genPictographs', grades: [2, 4], units: ['data & graphing', 'data representation'], topics: ['pictographs'] },
+  { id: 'genBarGraphs', grades: [2, 4, 8], units: ['data & graphing', 'data representation'], topics: ['bar graphs'] },
+  { id: 'genInterpretingGraphs', grades: [2, 6], units: ['data & graphing', 'data interpretation'], topics: ['interpreting graphs'] },
+
+  // ===== GRADE 3 =====
+  { id: 'genAddSubTo1000', grades: [3], units: ['addition & subtraction to 1000'], topics: ['adding to 1000', 'standard algorithm'] },
+  { id: 'genSubtractingTo1000', grades: [3], units: ['addition & subtraction to 1000'], topics: ['subtracting to 1000'] },
+  { id: 'genMultiplicationFacts', grades: [3], units: ['multiplication facts'], topics: ['multiplication to 10x10'] },
+  { id: 'genTimesTables', grades: [3], topics: ['times tables'] },
+  { id: 'genDivisionFacts', grades: [3], topics: ['division facts'] },
+  { id: 'genGeometryLines', grades: [3], units: ['geometry lines & shapes'] },
+  { id: 'genParallelLines', grades: [3], topics: ['parallel lines'] },
+  { id: 'genPerpendicularLines', grades: [3], topics: ['perpendicular lines'] },
+  { id: 'genEqualSides', grades: [3], units: ['geometry lines & shapes'], topics: ['equal sides'] },
+  { id: 'genShapeProperties', grades: [3], units: ['geometry lines & shapes'], topics: ['shape properties'] },
+  { id: 'genMetricMeasurement', grades: [3], units: ['metric measurement'], topics: ['meters'] },
+  { id: 'genKilometers', grades: [3], units: ['metric measurement'], topics: ['kilometers'] },
+  { id: 'genMetricUnits', grades: [3], units: ['metric measurement'], topics: ['metric units'] },
+  { id: 'genTellingTime', grades: [3], units: ['telling time'] },
+  { id: 'genAnalogClocks', grades: [3], topics: ['analog clocks'] },
+  { id: 'genDigitalClocks', grades: [3], topics: ['digital clocks'] },
+  { id: 'genMinutes', grades: [3], topics: ['minutes'] },
+  { id: 'genElapsedTime', grades: [3], topics: ['elapsed time'] },
+  { id: 'genHours', grades: [3], units: ['telling time'], topics: ['hours'] },
+
+  // ===== GRADE 4 =====
+  { id: 'genOperationsTo10000', grades: [4], units: ['operations to 10,000'], topics: ['adding to 10000'] },
+  { id: 'genSubtractingTo10000', grades: [4], units: ['operations to 10,000'], topics: ['subtracting to 10000'] },
+  { id: 'genDecimalsAddition', grades: [4], units: ['operations to 10,000'], topics: ['decimals addition'] },
+  { id: 'genDecimalsSubtraction', grades: [4], units: ['operations to 10,000'], topics: ['decimals subtraction'] },
+  { id: 'genMultDiv', grades: [4], units: ['multiplication & division'] },
+  { id: 'genMultiply3Digit', grades: [4], units: ['multiplication & division'], topics: ['multiply 3-digit', 'standard algorithm'] },
+  { id: 'genDivide3Digit', grades: [4], units: ['multiplication & division'], topics: ['divide 3-digit'] },
+  { id: 'genDivisionWithRemainder', grades: [4], units: ['multiplication & division'], topics: ['one-digit divisor'] },
+  { id: 'genClassifyShapes', grades: [4, 5], units: ['classifying shapes'], topics: ['classifying shapes'] },
+  { id: 'genAngleMeasurement', grades: [4], topics: ['angle measurement'] },
+  { id: 'genTriangles', grades: [4], topics: ['triangles'] },
+  { id: 'genQuadrilaterals', grades: [4], topics: ['quadrilaterals'] },
+  { id: 'genSideMeasurement', grades: [4], units: ['classifying shapes'], topics: ['side measurement'] },
+  { id: 'genAreaRectangles', grades: [4, 5], units: ['area of rectangles'], topics: ['area'] },
+  { id: 'genRectangles', grades: [4, 5], units: ['area of rectangles', 'perimeter & area'], topics: ['rectangles'] },
+  { id: 'genSquareUnits', grades: [4], units: ['area of rectangles'], topics: ['square units'] },
+  { id: 'genMeasuringArea', grades: [4], units: ['area of rectangles'], topics: ['measuring area'] },
+  { id: 'genDataRepresentation', grades: [4], units: ['data representation'], topics: ['interpreting data'] },
+  { id: 'genLinePlots', grades: [4], units: ['data representation'], topics: ['line plots'] },
+
+  // ===== GRADE 5 =====
+  { id: 'genOperationsMillion', grades: [5], units: ['operations to 1,000,000'], topics: ['adding millions'] },
+  { id: 'genLargeNumbers', grades: [5], units: ['operations to 1,000,000'], topics: ['large numbers'] },
+  { id: 'genSubtractingMillions', grades: [5], units: ['operations to 1,000,000'], topics: ['subtracting millions'] },
+  { id: 'genDecimalOperations', grades: [5], units: ['operations to 1,000,000'], topics: ['decimal operations'] },
+  { id: 'genMultiDigitMult', grades: [5], units: ['multi-digit multiplication'], topics: ['partial products', 'standard algorithm'] },
+  { id: 'genMultiply3By2', grades: [5], units: ['multi-digit multiplication'], topics: ['multiply 3-digit by 2-digit'] },
+  { id: 'genFractions', grades: [5], units: ['fractions'], topics: ['fractions'] },
+  { id: 'genFractionsOnNumberLine', grades: [5], units: ['fractions'], topics: ['fractions on a number line'] },
+  { id: 'genOrderingFractions', grades: [5], units: ['fractions'], topics: ['ordering fractions'] },
+  { id: 'genCommonDenominators', grades: [5], units: ['fractions'], topics: ['common denominators'] },
+  { id: 'genAddingFractions', grades: [5], topics: ['adding fractions'] },
+  { id: 'genSubtractingFractions', grades: [5], topics: ['subtracting fractions'] },
+  { id: 'genEquivalentFractions', grades: [5], topics: ['equivalent fractions'] },
+  { id: 'genAlgebraicExpressions', grades: [5], units: ['algebraic expressions'], topics: ['variables', 'evaluating expressions'] },
+  { id: 'genWritingExpressions', grades: [5], units: ['algebraic expressions'], topics: ['writing expressions'] },
+  { id: 'genSymmetry', grades: [5], units: ['symmetry & shapes'], topics: ['line symmetry'] },
+  { id: 'genRotationalSymmetry', grades: [5], units: ['symmetry & shapes'], topics: ['rotational symmetry'] },
+  { id: 'genSymmetryPatterns', grades: [5], units: ['symmetry & shapes'], topics: ['symmetry patterns'] },
+  { id: 'genPerimeterArea', grades: [5], units: ['perimeter & area'], topics: ['perimeter'] },
+  { id: 'genCompositeShapes', grades: [5, 6], units: ['perimeter & area', 'area & volume'], topics: ['composite shapes', 'composite figures'] },
+
+  // ===== GRADE 6 =====
+  { id: 'genFourOperations', grades: [5, 6], units: ['four operations mastery'], topics: ['order of operations'] },
+  { id: 'genMultiplyingFractions', grades: [6], units: ['multiplying fractions'], topics: ['fractions times whole numbers', 'multiplying fractions'] },
+  { id: 'genSimplifyingFractions', grades: [6], units: ['multiplying fractions'], topics: ['simplifying fractions'] },
+  { id: 'genAreaVolume', grades: [6], units: ['area & volume'], topics: ['volume', 'rectangular prisms'] },
+  { id: 'genAreaTrianglesParallelograms', grades: [6], units: ['area & volume'], topics: ['area'] },
+  { id: 'genAlgebraicEquations', grades: [6], units: ['algebraic equations'], topics: ['solving equations', 'one-step equations', 'variables'] },
+  { id: 'genBalancingEquations', grades: [6], units: ['algebraic equations'], topics: ['balancing equations'] },
+  { id: 'genDataInterpretation', grades: [6], units: ['data interpretation'] },
+  { id: 'genGraphingData', grades: [6], units: ['data interpretation'], topics: ['graphing data'] },
+  { id: 'genMean', grades: [6], topics: ['mean'] },
+  { id: 'genMedian', grades: [6, 9], topics: ['median'] },
+  { id: 'genMode', grades: [6], topics: ['mode'] },
+
+  // ===== GRADE 7 =====
+  { id: 'genIntegerOperations', grades: [7], units: ['integer operations'], topics: ['integers'] },
+  { id: 'genAddingIntegers', grades: [7], topics: ['adding integers'] },
+  { id: 'genSubtractingIntegers', grades: [7], topics: ['subtracting integers'] },
+  { id: 'genMultiplyingIntegers', grades: [7], topics: ['multiplying integers'] },
+  { id: 'genDividingIntegers', grades: [7], units: ['integer operations'], topics: ['dividing integers'] },
+  { id: 'genNegativeNumbers', grades: [7], units: ['integer operations'], topics: ['negative numbers'] },
+  { id: 'genIntegersOnNumberLine', grades: [7], units: ['integer operations'], topics: ['integers on a number line'] },
+  { id: 'genOrderingIntegers', grades: [7], units: ['integer operations'], topics: ['ordering integers'] },
+  { id: 'genFractionOperations', grades: [6, 7], units: ['fraction operations'], topics: ['fraction multiplication', 'multiplying fractions'] },
+  { id: 'genDividingFractions', grades: [7], units: ['fraction operations'], topics: ['dividing fractions'] },
+  { id: 'genReciprocals', grades: [7], units: ['fraction operations'], topics: ['reciprocals'] },
+  { id: 'genTwoSidedEquations', grades: [7], units: ['two-sided equations'], topics: ['solving equations', 'equation solving'] },
+  { id: 'genVariablesBothSides', grades: [7], units: ['two-sided equations'], topics: ['variables both sides'] },
+  { id: 'genAlgebraicManipulation', grades: [7], units: ['two-sided equations'], topics: ['algebraic manipulation'] },
+  { id: 'genCirclesCylinders', grades: [7], units: ['circles & cylinders'], topics: ['circles', 'circumference'] },
+  { id: 'genAreaOfCircles', grades: [7], units: ['circles & cylinders'], topics: ['area of circles'] },
+  { id: 'genPrismVolume', grades: [7], units: ['circles & cylinders'], topics: ['prisms', 'volume'] },
+  { id: 'genCylinderVolume', grades: [7], units: ['circles & cylinders'], topics: ['cylinders', 'volume'] },
+  { id: 'genFunctionsIntro', grades: [7], units: ['functions intro'], topics: ['function notation'] },
+  { id: 'genDomain', grades: [7], units: ['functions intro'], topics: ['domain'] },
+  { id: 'genRange', grades: [7], units: ['functions intro'], topics: ['range'] },
+  { id: 'genInputOutput', grades: [7], units: ['functions intro'], topics: ['input output'] },
+  { id: 'genProbability', grades: [7], units: ['probability'], topics: ['probability', 'theoretical probability', 'outcomes'] },
+  { id: 'genExperimentalProbability', grades: [7], units: ['probability'], topics: ['experimental probability'] },
+  { id: 'genSampleSpace', grades: [7], units: ['probability'], topics: ['sample space'] },
+
+  // ===== GRADE 8 =====
+  { id: 'genRationalNumbers', grades: [8], units: ['rational numbers'], topics: ['rational numbers'] },
+  { id: 'genDecimals', grades: [8], units: ['rational numbers'], topics: ['decimals'] },
+  { id: 'genRationalFractions', grades: [8], units: ['rational numbers'], topics: ['fractions', 'operations with rationals'] },
+  { id: 'genRationalBedmas', grades: [8], units: ['rational numbers'], topics: ['bedmas'] },
+  { id: 'genPolynomialsIntro', grades: [8], units: ['polynomials intro'], topics: ['polynomials', 'like terms'] },
+  { id: 'genClassifyingPolynomials', grades: [8], units: ['polynomials intro'], topics: ['classifying polynomials'] },
+  { id: 'genSimplifyingPolynomials', grades: [8], units: ['polynomials intro'], topics: ['simplifying polynomials'] },
+  { id: 'genLinearEquations', grades: [8], units: ['linear equations'], topics: ['equations', 'linear equations', 'solving equations'] },
+  { id: 'genRationalCoefficients', grades: [8], units: ['linear equations'], topics: ['rational coefficients'] },
+  { id: 'genMultiStepEquations', grades: [8], units: ['linear equations'], topics: ['multi-step equations'] },
+  { id: 'genSurfaceArea', grades: [8], units: ['surface area'], topics: ['surface area', 'prisms'] },
+  { id: 'genNets', grades: [8], units: ['surface area'], topics: ['nets'] },
+  { id: 'genCylinderSurfaceArea', grades: [8], units: ['surface area'], topics: ['cylinders'] },
+  { id: 'genSlopeOfLines', grades: [8], units: ['slope of lines'], topics: ['slope'] },
+  { id: 'genGraphingEquations', grades: [8], units: ['slope of lines'], topics: ['graphing equations'] },
+  { id: 'genRiseOverRun', grades: [8], units: ['slope of lines'], topics: ['rise over run'] },
+  { id: 'genLinearFunctionTable', grades: [8, 9], units: ['slope of lines', 'function notation'], topics: ['linear functions'] },
+  { id: 'genRateOfChange', grades: [8], units: ['slope of lines'], topics: ['rate of change'] },
+  { id: 'genDataDistributions', grades: [8], units: ['data distributions'], topics: ['data analysis'] },
+  // Only two questions, both about what a histogram is for
+  { id: 'genHistograms', grades: [8], topics: ['histograms'], minVariety: 2 },
+  { id: 'genDistributionShape', grades: [8], topics: ['distribution shape'] },
+
+  // ===== GRADE 9 =====
+  { id: 'genRealNumbers', grades: [9], units: ['real numbers'], topics: ['real numbers', 'rational numbers', 'irrational numbers'] },
+  { id: 'genNumberSets', grades: [9], units: ['real numbers'], topics: ['number sets'] },
+  { id: 'genPolynomialOperations', grades: [9], units: ['polynomial operations'], topics: ['expanding polynomials', 'foil'] },
+  { id: 'genDistributiveProperty', grades: [9], units: ['polynomial operations'], topics: ['distributive property'] },
+  { id: 'genCommonFactors', grades: [9, '10C'], units: ['polynomial operations', 'factoring polynomials'], topics: ['factoring polynomials', 'common factors'] },
+  { id: 'genLinearInequalities', grades: [9], units: ['linear inequalities'], topics: ['inequalities', 'solving inequalities'] },
+  { id: 'genGraphingInequalities', grades: [9], units: ['linear inequalities'], topics: ['graphing inequalities'] },
+  { id: 'genNumberLine', grades: [9], units: ['linear inequalities'], topics: ['number line'] },
+  { id: 'genQuadraticIntro', grades: [9], units: ['quadratic equations intro'], topics: ['quadratic equations', 'factoring quadratics'] },
+  { id: 'genZeroProduct', grades: [9], units: ['quadratic equations intro'], topics: ['zero product property'] },
+  { id: 'genFunctionNotation', grades: [9], units: ['function notation'], topics: ['function notation'] },
+  { id: 'genSetBuilder', grades: [9], units: ['function notation'], topics: ['set-builder notation'] },
+  { id: 'genFunctionAnalysis', grades: [9], units: ['function notation'], topics: ['function analysis'] },
+  { id: 'genBoxPlots', grades: [9], units: ['box plots & statistics'], topics: ['box plots'] },
+  { id: 'genQuartiles', grades: [9], units: ['box plots & statistics'], topics: ['quartiles'] },
+  { id: 'genDataSpread', grades: [9], units: ['box plots & statistics'], topics: ['data spread'] },
+  { id: 'genOutliers', grades: [9], units: ['box plots & statistics'], topics: ['outliers'] },
+  { id: 'genProbabilityEvents', grades: [9], units: ['probability events'], topics: ['mutually exclusive'] },
+  { id: 'genNonMutuallyExclusive', grades: [9], units: ['probability events'], topics: ['non-mutually exclusive'] },
+  { id: 'genCompoundEvents', grades: [9], units: ['probability events'], topics: ['compound events'] },
+  { id: 'genProbabilityRules', grades: [9], units: ['probability events'], topics: ['probability rules'] },
+
+  // ===== MATH 10C =====
+  { id: 'genMeasurementConversions', grades: ['10C', '20-3'], units: ['measurement & conversions'], topics: ['unit conversions'] },
+  { id: 'genMetricConversions', grades: ['10C', '20-3'], topics: ['metric system'] },
+  { id: 'genImperialConversions', grades: ['10C', '20-3'], topics: ['imperial system'] },
+  { id: 'genSurfaceAreaOfSolids', grades: ['10C', '20-3'], units: ['measurement & conversions'], topics: ['surface area'] },
+  { id: 'genVolumeOfSolids', grades: ['10C', '20-3'], units: ['measurement & conversions'], topics: ['volume'] },
+  { id: 'genFactoringPolynomials', grades: ['10C'], units: ['factoring polynomials'], topics: ['factoring', 'trinomials'] },
+  { id: 'genDifferenceOfSquares', grades: ['10C'], units: ['factoring polynomials'], topics: ['difference of squares'] },
+  { id: 'genFactorCompletely', grades: ['10C'], units: ['factoring polynomials'], topics: ['factor completely'] },
+  { id: 'genLinearRelations', grades: ['10C'], units: ['linear relations'], topics: ['linear functions'] },
+  { id: 'genSlopeIntercept', grades: ['10C'], units: ['linear relations'], topics: ['slope-intercept form'] },
+  { id: 'genGraphingLines', grades: ['10C'], units: ['linear relations'], topics: ['graphing lines'] },
+  { id: 'genParallelSlopes', grades: ['10C'], units: ['linear relations'], topics: ['parallel lines'] },
+  { id: 'genPerpendicularSlopes', grades: ['10C'], units: ['linear relations'], topics: ['perpendicular lines'] },
+  { id: 'genSystemsOfEquations', grades: ['10C'], units: ['systems of equations'], topics: ['systems', 'systems of equations', 'elimination'] },
+  { id: 'genSubstitution', grades: ['10C'], units: ['systems of equations'], topics: ['substitution'] },
+  { id: 'genGraphingSystems', grades: ['10C'], units: ['systems of equations'], topics: ['graphing systems'] },
+  { id: 'genSolutionTypes', grades: ['10C'], units: ['systems of equations'], topics: ['solution types'] },
+  { id: 'genRightTriangleTrig', grades: ['10C', '20-3'], units: ['right triangle trigonometry'], topics: ['soh cah toa'] },
+  { id: 'genSine', grades: ['10C', '20-3'], topics: ['sine'] },
+  { id: 'genCosine', grades: ['10C', '20-3'], topics: ['cosine'] },
+  { id: 'genTangent', grades: ['10C', '20-3'], topics: ['tangent'] },
+  { id: 'genRightTriangles', grades: ['10C', '20-3'], units: ['right triangle trigonometry'], topics: ['right triangles'] },
+  { id: 'genSolvingTriangles', grades: ['10C', '20-3'], units: ['right triangle trigonometry'], topics: ['solving triangles'] },
+
+  // ===== MATH 20-1 =====
+  { id: 'genAbsoluteValue', grades: ['20-1'], units: ['absolute value'], topics: ['absolute value'] },
+  { id: 'genAbsoluteValueEquations', grades: ['20-1'], units: ['absolute value'], topics: ['absolute value equations'] },
+  { id: 'genAbsoluteValueInequalities', grades: ['20-1'], units: ['absolute value'], topics: ['absolute value inequalities'] },
+  { id: 'genDistanceOnNumberLine', grades: ['20-1'], units: ['absolute value'], topics: ['distance'] },
+  { id: 'genRadicals', grades: ['20-1', '20-2'], units: ['radicals'], topics: ['radicals'] },
+  { id: 'genSimplifyingRadicals', grades: ['20-1', '20-2'], topics: ['simplifying radicals'] },
+  { id: 'genRadicalOperations', grades: ['20-1', '20-2'], units: ['radicals'], topics: ['radical operations'] },
+  { id: 'genRationalizing', grades: ['20-1'], units: ['radicals'], topics: ['rationalizing denominators'] },
+  { id: 'genRationalExpressions', grades: ['20-1'], units: ['rational expressions'], topics: ['rational expressions', 'simplifying rationals'] },
+  { id: 'genMultiplyingRationals', grades: ['20-1'], units: ['rational expressions'], topics: ['multiplying rationals'] },
+  { id: 'genDividingRationals', grades: ['20-1'], units: ['rational expressions'], topics: ['dividing rationals'] },
+  { id: 'genAddingRationals', grades: ['20-1'], units: ['rational expressions'], topics: ['adding rationals'] },
+  { id: 'genQuadraticEquations', grades: ['20-1'], units: ['quadratic equations'], topics: ['quadratic', 'quadratics', 'factoring quadratics'] },
+  { id: 'genVertexForm', grades: ['20-1'], units: ['quadratic equations'], topics: ['vertex form'] },
+  { id: 'genQuadraticFormula', grades: ['20-1'], units: ['quadratic equations'], topics: ['quadratic formula'] },
+  { id: 'genDiscriminant', grades: ['20-1'], units: ['quadratic equations'], topics: ['discriminant'] },
+  { id: 'genCompletingSquare', grades: ['20-1'], units: ['quadratic equations'], topics: ['completing the square'] },
+  { id: 'genSequencesSeries', grades: ['20-1'], units: ['sequences & series'], topics: ['sequences', 'arithmetic sequences'] },
+  { id: 'genGeometricSequence', grades: ['20-1'], topics: ['geometric sequences'] },
+  { id: 'genArithmeticSeries', grades: ['20-1'], units: ['sequences & series'], topics: ['series'] },
+  { id: 'genSummation', grades: ['20-1'], units: ['sequences & series'], topics: ['summation'] },
+  { id: 'genNthTerm', grades: ['20-1'], units: ['sequences & series'], topics: ['nth term'] },
+  { id: 'genUnitCircleTrig', grades: ['20-1'], units: ['trigonometry - unit circle'], topics: ['unit circle'] },
+  { id: 'genStandardPosition', grades: ['20-1'], units: ['trigonometry - unit circle'], topics: ['degrees'] },
+  { id: 'genReferenceAngles', grades: ['20-1'], units: ['trigonometry - unit circle'], topics: ['reference angles'] },
+  { id: 'genTrigFunctions', grades: ['20-1'], units: ['trigonometry - unit circle'], topics: ['trigonometric functions'] },
+  { id: 'genCastRule', grades: ['20-1'], units: ['trigonometry - unit circle'], topics: ['cast rule'] },
+
+  // ===== MATH 20-2 =====
+  { id: 'genInductiveReasoning', grades: ['20-2'], units: ['logical reasoning'], topics: ['inductive reasoning'] },
+  { id: 'genCounterexamples', grades: ['20-2'], units: ['logical reasoning'], topics: ['counterexamples'] },
+  { id: 'genDeductiveReasoning', grades: ['20-2'], units: ['logical reasoning'], topics: ['deductive reasoning'] },
+  { id: 'genUnitRates', grades: ['20-2'], units: ['proportional reasoning'], topics: ['unit rates'] },
+  { id: 'genScaleFactors', grades: ['20-2'], units: ['proportional reasoning'], topics: ['scale factors'] },
+
+  // ===== MATH 20-3 =====
+  { id: 'genUnitPricing', grades: ['20-3'], units: ['personal finance'], topics: ['unit pricing'] },
+  { id: 'genGrossAndNetPay', grades: ['20-3'], units: ['personal finance'], topics: ['gross and net pay'] },
+  { id: 'genBudgets', grades: ['20-3'], units: ['personal finance'], topics: ['budgets'] },
+
+  // ===== MATH 30-1 =====
+  { id: 'genFunctionTransformations', grades: ['30-1'], units: ['function transformations'], topics: ['transformations', 'translations'] },
+  { id: 'genReflections', grades: ['30-1'], units: ['function transformations'], topics: ['reflections'] },
+  { id: 'genStretches', grades: ['30-1'], units: ['function transformations'], topics: ['stretches'] },
+  { id: 'genCompressions', grades: ['30-1'], units: ['function transformations'], topics: ['compressions'] },
+  { id: 'genInverseFunctions', grades: ['30-1'], units: ['function transformations'], topics: ['inverse functions'] },
+  { id: 'genExponentialFunctions', grades: ['30-1'], units: ['exponential functions'], topics: ['exponential', 'exponential functions'] },
+  { id: 'genExponentialGrowth', grades: ['30-1'], units: ['exponential functions'], topics: ['exponential growth'] },
+  { id: 'genExponentialDecay', grades: ['30-1'], units: ['exponential functions'], topics: ['exponential decay'] },
+  { id: 'genCompoundInterest', grades: ['30-1', '30-2'], units: ['exponential functions', 'financial math'], topics: ['compound interest'] },
+  { id: 'genLogarithmicFunctions', grades: ['30-1'], units: ['logarithmic functions'], topics: ['logarithms'] },
+  { id: 'genLogLaws', grades: ['30-1'], topics: ['log laws'] },
+  { id: 'genLogEquations', grades: ['30-1'], units: ['logarithmic functions'], topics: ['logarithmic equations'] },
+  { id: 'genNaturalLog', grades: ['30-1'], units: ['logarithmic functions'], topics: ['natural logarithm'] },
+  { id: 'genChangeOfBase', grades: ['30-1'], units: ['logarithmic functions'], topics: ['change of base'] },
+  { id: 'genPolynomialFunctions', grades: ['30-1'], units: ['polynomial functions'], topics: ['polynomial functions'] },
+  { id: 'genEndBehavior', grades: ['30-1'], units: ['polynomial functions'], topics: ['end behavior'] },
+  { id: 'genPolynomialZeros', grades: ['30-1'], units: ['polynomial functions'], topics: ['zeros'] },
+  { id: 'genFactorTheorem', grades: ['30-1'], units: ['polynomial functions'], topics: ['factor theorem'] },
+  { id: 'genRemainderTheorem', grades: ['30-1'], units: ['polynomial functions'], topics: ['remainder theorem'] },
+  { id: 'genTrigEquations', grades: ['30-1'], units: ['trigonometric equations'], topics: ['trigonometric', 'trig equations'] },
+  { id: 'genGeneralSolutions', grades: ['30-1'], units: ['trigonometric equations'], topics: ['general solutions'] },
+  { id: 'genTrigIdentities', grades: ['30-1'], units: ['trigonometric equations'], topics: ['trigonometric identities'] },
+  { id: 'genProvingIdentities', grades: ['30-1'], units: ['trigonometric equations'], topics: ['proving identities'] },
+  { id: 'genPermutationsCombinations', grades: ['30-1'], units: ['permutations & combinations'] },
+  { id: 'genPermutations', grades: ['30-1'], topics: ['permutations'] },
+  { id: 'genCombinations', grades: ['30-1'], topics: ['combinations'] },
+  { id: 'genBinomial', grades: ['30-1'], topics: ['binomial', 'binomial theorem'] },
+  { id: 'genFactorial', grades: ['30-1'], units: ['permutations & combinations'], topics: ['factorial'] },
+  { id: 'genCountingPrinciple', grades: ['30-1'], units: ['permutations & combinations'], topics: ['counting principles'] },
+
+  // ===== MATH 30-2 =====
+  { id: 'genSetsAndSubsets', grades: ['30-2'], units: ['set theory'], topics: ['sets and subsets'] },
+  { id: 'genUnionAndIntersection', grades: ['30-2'], units: ['set theory'], topics: ['union and intersection'] },
+  { id: 'genVennDiagrams', grades: ['30-2'], units: ['set theory'], topics: ['venn diagrams'] },
+  { id: 'genComplements', grades: ['30-2'], units: ['set theory'], topics: ['complements'] },
+  { id: 'genConditionalStatements', grades: ['30-2'], units: ['logical reasoning'], topics: ['conditional statements', 'converse and contrapositive'] },
+  { id: 'genBiconditionals', grades: ['30-2'], units: ['logical reasoning'], topics: ['biconditional statements'] },
+  { id: 'genSimpleInterest', grades: ['30-2'], units: ['financial math'], topics: ['simple interest'] },
+  { id: 'genDepreciation', grades: ['30-2'], units: ['financial math'], topics: ['depreciation'] },
+
+  // ===== MATH 31 =====
+  { id: 'genLimitBySubstitution', grades: ['31'], units: ['limits'], topics: ['limits by substitution'] },
+  { id: 'genLimitByFactoring', grades: ['31'], units: ['limits'], topics: ['limits by factoring'] },
+  { id: 'genLimitAtInfinity', grades: ['31'], units: ['limits'], topics: ['limits at infinity'] },
+  { id: 'genPowerRule', grades: ['31'], units: ['derivatives'], topics: ['power rule'] },
+  { id: 'genTangentSlope', grades: ['31'], units: ['derivatives'], topics: ['slope of a tangent'] },
+  { id: 'genProductRule', grades: ['31'], units: ['derivatives'], topics: ['product rule'] },
+  { id: 'genChainRule', grades: ['31'], units: ['derivatives'], topics: ['chain rule'] },
+  { id: 'genAntiderivatives', grades: ['31'], units: ['integration'], topics: ['antiderivatives'] },
+  { id: 'genDefiniteIntegrals', grades: ['31'], units: ['integration'], topics: ['definite integrals'] },
+  { id: 'genAreaUnderCurve', grades: ['31'], units: ['integration'], topics: ['area under a curve'] },
+
+  // ===== ANY GRADE =====
+  { id: 'genAddition', grades: ALL_GRADES, topics: ['addition'] },
+  { id: 'genSubtraction', grades: ALL_GRADES, topics: ['subtraction'] },
+  { id: 'genMultiplication', grades: ALL_GRADES, topics: ['multiplication'] },
+  { id: 'genDivision', grades: ALL_GRADES, topics: ['division'] }
+]
+
+/**
+ * Keep a difficulty level a whole number from 1 to 10
+ * @param {number} level
+ * @returns {number}
+ */
+function clampDifficulty(level) {
+  if (!Number.isFinite(level)) return DEFAULT_DIFFICULTY
+  return Math.min(DIFFICULTY_RANGE[1], Math.max(DIFFICULTY_RANGE[0], Math.round(level)))
+}
 
 /**
  * Problem Generator
  * Generates math problems aligned with Alberta curriculum
  * Uses direct unit name mapping for accurate problem generation
+ *
+ * All randomness comes from a seeded PRNG, so every problem carries a `seed`
+ * and generateProblemByUnit(grade, unit, { seed }) regenerates it exactly.
+ *
+ * Generators are looked up by exact unit or topic name in a GeneratorRegistry;
+ * if nothing covers what was asked for, a NoGeneratorError is thrown.
+ *
+ * Problems are made at a difficulty level from 1 to 10 ({ difficulty } option,
+ * default 5). Generators use it for operand size, number of steps, negatives,
+ * fractions and how close the wrong options are; every gen* method also takes
+ * it as an optional second argument: genAddition(3, 8).
+ *
+ * Some problems have several parts ("find x, then find y"), made with
+ * createMultiPartProblem. Each part is checked on its own (type 'multi-part').
+ *
+ * Some are answered on screen instead of typed (type 'interactive'): placing a
+ * number on a number line, plotting a point or a line, dragging cards into
+ * order or setting clock hands. The interaction spec says which.
+ *
+ * Word problems tell a generator's numbers as a story from the WordProblemEngine
+ * (a hockey team, a Stampede breakfast, a road trip through the Rockies), written
+ * for the grade's reading level.
+ *
+ * Teachers' own questions, imported from a spreadsheet or an LMS quiz by the
+ * ProblemImporter, are units of their own (registerProblemSet).
+ *
+ * Problems are built in English and then translated to the generator's
+ * locale ({ locale } option, default 'en') by ProblemTranslator. A translated
+ * problem keeps its id and seed, and carries problem.locale so its answers
+ * are read with the right decimal separator.
  */
 export class ProblemGenerator {
-  constructor() {
-    // Map of unit names to generator functions
-    this.unitGenerators = this.initializeUnitGenerators()
-    // Map of topic keywords to generator functions
-    this.topicGenerators = this.initializeTopicGenerators()
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Seed for the generator's own PRNG
+   * @param {Object} [options.rng] - Injected PRNG with next() and nextSeed() (overrides seed)
+   * @param {Array} [options.templates] - Problem templates to use (default: src/data/problems/*.json)
+   * @param {string} [options.locale] - Language to write problems in (default 'en')
+   * @param {Object} [options.wordProblems] - Names, words and scenarios for word problems
+   *   (default: src/data/wordProblems/scenarios.json)
+   * @param {Array} [options.problemSets] - Teachers' imported problem sets (default: the saved ones)
+   */
+  constructor(options = {}) {
+    // The master PRNG only hands out one seed per problem;
+    // each problem is then built from its own PRNG seeded with that value
+    this.rng = options.rng || new SeededRandom(options.seed)
+    this.activeRng = this.rng
+
+    // Difficulty level (1-10) of the problem being built
+    this.activeDifficulty = DEFAULT_DIFFICULTY
+
+    // Language problems are written in
+    this.locale = options.locale || DEFAULT_LOCALE
+
+    // Name of the gen* method currently running (used for problem IDs)
+    this.currentGenerator = null
+    this.trackGeneratorNames()
+
+    // Question types written as JSON templates, used alongside the gen* methods
+    this.templateEngine = new TemplateEngine(options.templates)
+
+    // Stories that word problems are told with
+    this.wordProblems = new WordProblemEngine(options.wordProblems)
+
+    // Every generator, looked up by unit name or topic keyword
+    this.registry = new GeneratorRegistry()
+    this.registerBuiltInGenerators()
+
+    // Each imported problem set is a unit of its own
+    for (const set of options.problemSets ?? new ProblemSetStore().load().getAll()) {
+      this.registerProblemSet(set)
+    }
+  }
+
+  /**
+   * Register the built-in gen* methods and the JSON templates
+   */
+  registerBuiltInGenerators() {
+    for (const spec of BUILT_IN_GENERATORS) {
+      this.registerGenerator({ ...spec, fn: (grade, generator, difficulty) => this[spec.id](grade, difficulty) })
+    }
+    // Templates take turns with the gen* methods for the same unit or topic
+    for (const template of this.templateEngine.templates) {
+      this.registerGenerator({
+        id: `template-${template.id}`,
+        grades: template.grades || ALL_GRADES,
+        units: template.units,
+        topics: template.topics,
+        difficultyRange: template.difficultyRange,
+        fn: (grade) => this.templateEngine.build(template, this, grade)
+      })
+    }
+  }
+
+  /**
+   * Add a problem generator
+   * @param {Object} spec - { id, grades, units, topics, difficultyRange, fn }
+   *   fn(grade, generator, difficulty) builds one problem, using generator.random() and generator.createProblem()
+   * @returns {Object} The registered generator
+   */
+  registerGenerator(spec) {
+    return this.registry.register(spec)
+  }
+
+  /**
+   * Add a teacher's imported problem set (see ProblemImporter) as a unit of its own.
+   * The unit's name is the set's ID, so it never mixes with a curriculum unit.
+   * @param {Object} set - { id, name, locale, items }
+   * @returns {Object} The registered generator
+   */
+  registerProblemSet(set) {
+    return this.registerGenerator({
+      id: set.id,
+      grades: [...new Set(set.items.map(item => item.grade))],
+      units: [set.id],
+      fn: (grade) => this.buildImportedProblem(set, grade)
+    })
+  }
+
+  /**
+   * Make a problem from one of a set's questions (one for the grade, if it has any)
+   * @param {Object} set - An imported problem set
+   * @param {number|string} grade - Grade ID
+   * @returns {Object} Problem, already in the set's language
+   */
+  buildImportedProblem(set, grade) {
+    const forGrade = set.items.filter(item => item.grade === grade)
+    const items = forGrade.length > 0 ? forGrade : set.items
+    const item = items[Math.floor(this.random() * items.length)]
+
+    const problem = this.createProblem(item.question, item.answer, item.topic || set.name, item.grade, Boolean(item.options), item.options, {
+      tolerance: item.tolerance
+    })
+    // Written by the teacher in one language, so it isn't translated
+    problem.locale = set.locale || DEFAULT_LOCALE
+    return problem
+  }
+
+  /**
+   * Describe the registered generators, so the UI can show what's covered
+   * @param {Object} [filter] - Only include ones for this { grade, unit, topic }
+   * @returns {Array} [{ id, grades, units, topics, difficultyRange }]
+   */
+  listGenerators(filter) {
+    return this.registry.list(filter)
+  }
+
+  /**
+   * Check whether any generator covers a unit or topic
+   * @param {Object} request - { grade, unit } or { grade, topic }
+   * @returns {boolean}
+   */
+  hasGenerator(request) {
+    return this.registry.find(request).length > 0
+  }
+
+  /**
+   * Work out the difficulty level (1-10) for a battle
+   * @param {Object} settings
+   * @param {string} [settings.mode] - Game mode: 'easy', 'medium', 'hard' or 'nightmare'
+   * @param {number} [settings.unitDifficulty] - The unit's difficulty field from the curriculum
+   * @param {number|string} [settings.grade] - Grade the unit is in
+   * @returns {number} Difficulty level
+   */
+  static difficultyFor({ mode = 'medium', unitDifficulty, grade } = {}) {
+    let level = MODE_DIFFICULTY[mode] ?? DEFAULT_DIFFICULTY
+
+    // A unit harder (or easier) than the grade's usual units moves the level up (or down)
+    const units = curriculumData.grades.find(g => g.grade === grade)?.units || []
+    if (Number.isFinite(unitDifficulty) && units.length > 0) {
+      const usual = units.reduce((sum, unit) => sum + (unit.difficulty || 0), 0) / units.length
+      const adjustment = Math.max(-MAX_UNIT_ADJUSTMENT, Math.min(MAX_UNIT_ADJUSTMENT, unitDifficulty - usual))
+      level += adjustment
+    }
+    return clampDifficulty(level)
+  }
+
+  /**
+   * Check every topic in the curriculum for a generator written for its grade
+   * (other grades' generators don't count, since they'd be too easy or too hard)
+   * @param {Object} [curriculum] - Curriculum data (default: alberta_curriculum.json)
+   * @returns {{ covered: Array, missing: Array }} Lists of { grade, unit, topic }
+   */
+  coverageReport(curriculum = curriculumData) {
+    const report = { covered: [], missing: [] }
+    for (const { grade, units } of curriculum.grades) {
+      for (const unit of units) {
+        for (const topic of unit.topics || []) {
+          const entry = { grade, unit: unit.name, topic }
+          const covered = this.listGenerators({ grade, topic }).length > 0
+          report[covered ? 'covered' : 'missing'].push(entry)
+        }
+      }
+    }
+    return report
+  }
+
+  /**
+   * Wrap every gen* method so createProblem knows which generator built the problem.
+   * Nested calls (genPermutationsCombinations -> genPermutations) report the innermost one.
+   * The wrapper also takes an optional difficulty: genFractions(5, 8). Left out, the
+   * current level is kept, so nested calls make problems at the same difficulty.
+   */
+  trackGeneratorNames() {
+    for (const name of Object.getOwnPropertyNames(ProblemGenerator.prototype)) {
+      if (!/^gen[A-Z]/.test(name)) continue
+
+      const generatorFn = this[name]
+      this[name] = (grade, difficulty) => {
+        const previous = this.currentGenerator
+        const previousDifficulty = this.activeDifficulty
+        this.currentGenerator = name
+        if (difficulty !== undefined) this.activeDifficulty = clampDifficulty(difficulty)
+        try {
+          return generatorFn.call(this, grade)
+        } finally {
+          this.currentGenerator = previous
+          this.activeDifficulty = previousDifficulty
+        }
+      }
+    }
+  }
+
+  /**
+   * Build a deterministic ID from the generator name and the problem's parameters.
+   * The same question always gets the same ID, no matter how its options are shuffled.
+   * @param {string} question - The question text
+   * @param {any} answer - The correct answer
+   * @param {Object} [figure] - The figure spec, for questions asked about a picture
+   * @returns {string} ID like "genAddSubTo20-1x9k2f"
+   */
+  createProblemId(question, answer, figure = null) {
+    const generatorName = this.currentGenerator || 'custom'
+    const parameters = figure ? [generatorName, question, answer, figure] : [generatorName, question, answer]
+    const fingerprint = hashString(JSON.stringify(parameters))
+    return `${generatorName}-${fingerprint.toString(36)}`
+  }
+
+  /**
+   * Draw a random number from the active PRNG
+   * @returns {number} Float in the range [0, 1)
+   */
+  random() {
+    return this.activeRng.next()
   }
 
   /**
-   * Initialize generators mapped by UNIT NAME from curriculum
+   * Run a generator with a PRNG seeded for this one problem, at the requested difficulty,
+   * then translate the problem
+   * @param {Object} options - Per-call options ({ seed, rng, difficulty, locale })
+   * @param {Function} build - Function that builds the problem
+   * @returns {Object} Problem object with its seed attached
    */
-  initializeUnitGenerators() {
-    return {
-      // ===== GRADE 1 =====
-      'addition & subtraction to 20': (g) => this.genAddSubTo20(g),
-      '2d and 3d shapes': (g) => this.genShapes(g),
-      'measurement basics': (g) => this.genMeasurementBasics(g),
-      'time concepts': (g) => this.genTimeConcepts(g),
-
-      // ===== GRADE 2 =====
-      'addition & subtraction to 100': (g) => this.genAddSubTo100(g),
-      'shape sorting': (g) => this.genShapeSorting(g),
-      'measuring length': (g) => this.genMeasuringLength(g),
-      'time duration': (g) => this.genTimeDuration(g),
-      'data & graphing': (g) => this.genDataGraphing(g),
-
-      // ===== GRADE 3 =====
-      'addition & subtraction to 1000': (g) => this.genAddSubTo1000(g),
-      'multiplication facts': (g) => this.genMultiplicationFacts(g),
-      'geometry lines & shapes': (g) => this.genGeometryLines(g),
-      'metric measurement': (g) => this.genMetricMeasurement(g),
-      'telling time': (g) => this.genTellingTime(g),
-
-      // ===== GRADE 4 =====
-      'operations to 10,000': (g) => this.genOperationsTo10000(g),
-      'multiplication & division': (g) => this.genMultDiv(g),
-      'classifying shapes': (g) => this.genClassifyShapes(g),
-      'area of rectangles': (g) => this.genAreaRectangles(g),
-      'data representation': (g) => this.genDataRepresentation(g),
-
-      // ===== GRADE 5 =====
-      'operations to 1,000,000': (g) => this.genOperationsMillion(g),
-      'multi-digit multiplication': (g) => this.genMultiDigitMult(g),
-      'fractions': (g) => this.genFractions(g),
-      'algebraic expressions': (g) => this.genAlgebraicExpressions(g),
-      'symmetry & shapes': (g) => this.genSymmetry(g),
-      'perimeter & area': (g) => this.genPerimeterArea(g),
-
-      // ===== GRADE 6 =====
-      'four operations mastery': (g) => this.genFourOperations(g),
-      'multiplying fractions': (g) => this.genMultiplyingFractions(g),
-      'area & volume': (g) => this.genAreaVolume(g),
-      'algebraic equations': (g) => this.genAlgebraicEquations(g),
-      'data interpretation': (g) => this.genDataInterpretation(g),
-
-      // ===== GRADE 7 =====
-      'integer operations': (g) => this.genIntegerOperations(g),
-      'fraction operations': (g) => this.genFractionOperations(g),
-      'two-sided equations': (g) => this.genTwoSidedEquations(g),
-      'circles & cylinders': (g) => this.genCirclesCylinders(g),
-      'functions intro': (g) => this.genFunctionsIntro(g),
-      'probability': (g) => this.genProbability(g),
-
-      // ===== GRADE 8 =====
-      'rational numbers': (g) => this.genRationalNumbers(g),
-      'polynomials intro': (g) => this.genPolynomialsIntro(g),
-      'linear equations': (g) => this.genLinearEquations(g),
-      'surface area': (g) => this.genSurfaceArea(g),
-      'slope of lines': (g) => this.genSlopeOfLines(g),
-      'data distributions': (g) => this.genDataDistributions(g),
-
-      // ===== GRADE 9 =====
-      'real numbers': (g) => this.genRealNumbers(g),
-      'polynomial operations': (g) => this.genPolynomialOperations(g),
-      'linear inequalities': (g) => this.genLinearInequalities(g),
-      'quadratic equations intro': (g) => this.genQuadraticIntro(g),
-      'function notation': (g) => this.genFunctionNotation(g),
-      'box plots & statistics': (g) => this.genBoxPlots(g),
-      'probability events': (g) => this.genProbabilityEvents(g),
-
-      // ===== GRADE 10-1 =====
-      'measurement & conversions': (g) => this.genMeasurementConversions(g),
-      'factoring polynomials': (g) => this.genFactoringPolynomials(g),
-      'linear relations': (g) => this.genLinearRelations(g),
-      'systems of equations': (g) => this.genSystemsOfEquations(g),
-      'right triangle trigonometry': (g) => this.genRightTriangleTrig(g),
-
-      // ===== GRADE 20-1 =====
-      'absolute value': (g) => this.genAbsoluteValue(g),
-      'radicals': (g) => this.genRadicals(g),
-      'rational expressions': (g) => this.genRationalExpressions(g),
-      'quadratic equations': (g) => this.genQuadraticEquations(g),
-      'sequences & series': (g) => this.genSequencesSeries(g),
-      'trigonometry - unit circle': (g) => this.genUnitCircleTrig(g),
-
-      // ===== GRADE 30-1 =====
-      'function transformations': (g) => this.genFunctionTransformations(g),
-      'exponential functions': (g) => this.genExponentialFunctions(g),
-      'logarithmic functions': (g) => this.genLogarithmicFunctions(g),
-      'polynomial functions': (g) => this.genPolynomialFunctions(g),
-      'trigonometric equations': (g) => this.genTrigEquations(g),
-      'permutations & combinations': (g) => this.genPermutationsCombinations(g),
+  withSeed(options, build) {
+    const seed = options.seed ?? this.rng.nextSeed()
+    const previousRng = this.activeRng
+    const previousDifficulty = this.activeDifficulty
+    this.activeRng = options.rng || new SeededRandom(seed)
+    this.activeDifficulty = clampDifficulty(options.difficulty ?? DEFAULT_DIFFICULTY)
+
+    try {
+      const problem = build()
+      if (problem) {
+        problem.seed = seed
+      }
+      return ProblemTranslator.localizeProblem(problem, options.locale ?? this.locale)
+    } finally {
+      this.activeRng = previousRng
+      this.activeDifficulty = previousDifficulty
     }
   }
 
   /**
-   * Initialize generators by topic keyword
+   * Pick one of the generators that cover a unit or topic and build a problem with it.
+   * Each generator (and template) is equally likely.
+   * @param {Array} generators - Registered generators from the registry
+   * @param {number|string} grade - Grade ID
+   * @returns {Object} Problem object
    */
-  initializeTopicGenerators() {
-    return {
-      // Basic operations
-      'addition': (g) => this.genAddition(g),
-      'subtraction': (g) => this.genSubtraction(g),
-      'multiplication': (g) => this.genMultiplication(g),
-      'division': (g) => this.genDivision(g),
-      'times tables': (g) => this.genMultiplicationFacts(g),
-
-      // Fractions & Decimals
-      'fractions': (g) => this.genFractions(g),
-      'adding fractions': (g) => this.genFractions(g),
-      'multiplying fractions': (g) => this.genMultiplyingFractions(g),
-      'dividing fractions': (g) => this.genFractionOperations(g),
-
-      // Integers
-      'integers': (g) => this.genIntegerOperations(g),
-      'adding integers': (g) => this.genIntegerOperations(g),
-      'negative numbers': (g) => this.genIntegerOperations(g),
-
-      // Algebra
-      'equations': (g) => this.genLinearEquations(g),
-      'solving equations': (g) => this.genLinearEquations(g),
-      'variables': (g) => this.genAlgebraicExpressions(g),
-      'polynomials': (g) => this.genPolynomialsIntro(g),
-      'factoring': (g) => this.genFactoringPolynomials(g),
-      'FOIL': (g) => this.genPolynomialOperations(g),
-
-      // Geometry
-      'area': (g) => this.genAreaRectangles(g),
-      'perimeter': (g) => this.genPerimeterArea(g),
-      'volume': (g) => this.genAreaVolume(g),
-      'circles': (g) => this.genCirclesCylinders(g),
-
-      // Linear
-      'slope': (g) => this.genSlopeOfLines(g),
-      'linear functions': (g) => this.genLinearRelations(g),
-      'systems': (g) => this.genSystemsOfEquations(g),
-
-      // Trigonometry
-      'sine': (g) => this.genRightTriangleTrig(g),
-      'cosine': (g) => this.genRightTriangleTrig(g),
-      'tangent': (g) => this.genRightTriangleTrig(g),
-      'SOH CAH TOA': (g) => this.genRightTriangleTrig(g),
-      'trigonometric': (g) => this.genTrigEquations(g),
-      'unit circle': (g) => this.genUnitCircleTrig(g),
-
-      // Advanced
-      'quadratic': (g) => this.genQuadraticEquations(g),
-      'quadratics': (g) => this.genQuadraticEquations(g),
-      'radicals': (g) => this.genRadicals(g),
-      'absolute value': (g) => this.genAbsoluteValue(g),
-
-      // Sequences
-      'sequences': (g) => this.genSequencesSeries(g),
-      'arithmetic sequences': (g) => this.genSequencesSeries(g),
-      'geometric sequences': (g) => this.genGeometricSequence(g),
-      'series': (g) => this.genSequencesSeries(g),
-
-      // Exponential & Log
-      'exponential': (g) => this.genExponentialFunctions(g),
-      'logarithms': (g) => this.genLogarithmicFunctions(g),
-      'log laws': (g) => this.genLogLaws(g),
-
-      // Probability & Stats
-      'probability': (g) => this.genProbability(g),
-      'theoretical probability': (g) => this.genProbability(g),
-      'outcomes': (g) => this.genProbability(g),
-
-      // Permutations & Combinations
-      'permutations': (g) => this.genPermutations(g),
-      'combinations': (g) => this.genCombinations(g),
-      'factorial': (g) => this.genPermutations(g),
-      'counting principles': (g) => this.genPermutations(g),
-      'binomial': (g) => this.genBinomial(g),
-      'binomial theorem': (g) => this.genBinomial(g),
+  runGenerator(generators, grade) {
+    const generator = generators.length === 1
+      ? generators[0]
+      : generators[Math.floor(this.random() * generators.length)]
+    console.log(`Using generator: ${generator.id}`)
+
+    // Problem IDs use the generator's id (gen* methods set their own name)
+    const previous = this.currentGenerator
+    this.currentGenerator = generator.id
+    try {
+      return generator.fn(grade, this, this.activeDifficulty)
+    } finally {
+      this.currentGenerator = previous
     }
   }
 
@@ -201,130 +665,573 @@ export class ProblemGenerator {
     // 1 = Simple Addition (5 + 3 = ?)
     // 2 = Simple Subtraction (10 - 4 = ?)
     // 3 = Missing Number (5 + ? = 8)
-    // 4 = Word Problem (Apples!)
+    // 4 = Word Problem (a story about getting more or taking away)
     // 5 = Comparison (Which is bigger?)
     // 6 = Counting On (Start at 7, count 3 more)
     // 7 = Number Bonds (What adds to 10?)
     // 8 = Doubles (5 + 5 = ?)
-    const problemType = Math.floor(Math.random() * 8) + 1
+    const problemType = Math.floor(this.random() * 8) + 1
 
     if (problemType === 1) {
-      // ➕ Simple Addition
-      const num1 = Math.floor(Math.random() * 10) + 1
-      const num2 = Math.floor(Math.random() * 10) + 1
-      return this.createProblem(`${num1} + ${num2} = ?`, num1 + num2, 'Addition', grade, true)
+      return this.genAdditionTo20(grade)
 
     } else if (problemType === 2) {
-      // ➖ Simple Subtraction
-      const num1 = Math.floor(Math.random() * 10) + 5
-      const num2 = Math.floor(Math.random() * 5) + 1
-      return this.createProblem(`${num1} - ${num2} = ?`, num1 - num2, 'Subtraction', grade, true)
+      return this.genSubtractionFrom20(grade)
 
     } else if (problemType === 3) {
       // ❓ Missing Number
-      const total = Math.floor(Math.random() * 10) + 5
-      const part = Math.floor(Math.random() * 5) + 1
+      const total = Math.floor(this.random() * 10) + 5
+      const part = Math.floor(this.random() * 5) + 1
       const answer = total - part
-      return this.createProblem(`${part} + ? = ${total}`, answer, 'Missing Number', grade, true)
+      return this.createProblem(`${part} + ? = ${total}`, answer, 'Missing Number', grade, true, null, {
+        distractors: [
+          this.mistake('added-instead-of-subtracted', total, part)
+        ],
+        solution: [
+          this.step('The missing number is the difference between the total and the part'),
+          this.step(`Subtract ${part} from ${total}`, `${total} - ${part} = ${answer}`),
+          this.step('Check by adding', `${part} + ${answer} = ${total}`)
+        ]
+      })
 
     } else if (problemType === 4) {
-      // 🍎 Word Problem
-      const apples = Math.floor(Math.random() * 5) + 3
-      const moreApples = Math.floor(Math.random() * 4) + 1
-      const totalApples = apples + moreApples
-      const question = `You have ${apples} apples. You get ${moreApples} more. How many apples do you have?`
-      return this.createProblem(question, totalApples, 'Word Problem', grade, true)
+      // 📖 Word Problem
+      const start = Math.floor(this.random() * 5) + 3
+      if (this.random() < 0.5) {
+        const more = Math.floor(this.random() * 4) + 1
+        const { question, story } = this.story('join', { start, more }, grade)
+        return this.createProblem(question, start + more, 'Word Problem', grade, true, null, {
+          story,
+          distractors: [
+            this.mistake('multiplied-instead-of-added', start, more)
+          ],
+          solution: [
+            this.step('Getting more means we add'),
+            this.step(`Add ${more} to ${start}`, `${start} + ${more} = ${start + more}`)
+          ]
+        })
+      }
+
+      const gone = Math.floor(this.random() * (start - 1)) + 1
+      const { question, story } = this.story('separate', { start, gone }, grade)
+      return this.createProblem(question, start - gone, 'Word Problem', grade, true, null, {
+        story,
+        distractors: [
+          this.mistake('added-instead-of-subtracted', start, gone)
+        ],
+        solution: [
+          this.step('Taking some away means we subtract'),
+          this.step(`Subtract ${gone} from ${start}`, `${start} - ${gone} = ${start - gone}`)
+        ]
+      })
 
     } else if (problemType === 5) {
       // 📊 Comparison
-      const num1 = Math.floor(Math.random() * 15) + 3
-      const num2 = Math.floor(Math.random() * 15) + 3
+      const num1 = Math.floor(this.random() * 15) + 3
+      const num2 = Math.floor(this.random() * 15) + 3
       const bigger = Math.max(num1, num2)
-      return this.createProblem(`Which is bigger: ${num1} or ${num2}?`, bigger, 'Comparison', grade, true, [num1, num2])
+      return this.createProblem(`Which is bigger: ${num1} or ${num2}?`, bigger, 'Comparison', grade, true, [num1, num2], {
+        solution: [
+          this.step('The bigger number comes later when you count'),
+          this.step(`${bigger} is the bigger number`, num1 === num2 ? `${num1} = ${num2}` : `${bigger} > ${Math.min(num1, num2)}`)
+        ]
+      })
 
     } else if (problemType === 6) {
       // 🔢 Counting On
-      const start = Math.floor(Math.random() * 10) + 3
-      const countMore = Math.floor(Math.random() * 5) + 1
-      return this.createProblem(`Start at ${start}. Count ${countMore} more. What number?`, start + countMore, 'Counting', grade, true)
+      const start = Math.floor(this.random() * 10) + 3
+      const countMore = Math.floor(this.random() * 5) + 1
+      const countedNumbers = Array.from({ length: countMore }, (_, i) => start + i + 1)
+      return this.createProblem(`Start at ${start}. Count ${countMore} more. What number?`, start + countMore, 'Counting', grade, true, null, {
+        distractors: [
+          this.mistake('off-by-one', start + countMore, -1)
+        ],
+        solution: [
+          this.step(`Start at ${start} and count ${countMore} more`, countedNumbers.join(', ')),
+          this.step(`You stop at ${start + countMore}`, `${start} + ${countMore} = ${start + countMore}`)
+        ]
+      })
 
     } else if (problemType === 7) {
-      // 🔗 Number Bonds to 10
-      const part = Math.floor(Math.random() * 9) + 1
-      return this.createProblem(`${part} + ? = 10`, 10 - part, 'Number Bonds', grade, true)
+      return this.genNumberBonds(grade)
 
     } else {
       // 👯 Doubles
-      const num = Math.floor(Math.random() * 10) + 1
-      return this.createProblem(`${num} + ${num} = ?`, num + num, 'Doubles', grade, true)
+      const num = Math.floor(this.random() * 10) + 1
+      return this.createProblem(`${num} + ${num} = ?`, num + num, 'Doubles', grade, true, null, {
+        distractors: [
+          this.mistake('multiplied-instead-of-added', num, num)
+        ],
+        solution: [
+          this.step(`A double means two groups of ${num}`),
+          this.step('Add them together', `${num} + ${num} = ${num + num}`)
+        ]
+      })
     }
   }
 
   genShapes(grade) {
     // 🔷 Shape Questions
-    const questionType = Math.floor(Math.random() * 3) + 1
+    const questionType = Math.floor(this.random() * 3) + 1
 
     if (questionType === 1) {
-      const shapes = ['square', 'rectangle', 'triangle']
-      const shape = shapes[Math.floor(Math.random() * shapes.length)]
-      const sides = { 'square': 4, 'rectangle': 4, 'triangle': 3 }
-      return this.createProblem(`How many sides does a ${shape} have?`, sides[shape], 'Shapes', grade, true)
+      // Count the sides of the shape in the picture (more kinds of shapes at higher levels)
+      const shapes = ['square', 'rectangle', 'triangle', 'pentagon', 'hexagon'].slice(0, this.scaled(3, 4, 5))
+      const shape = shapes[Math.floor(this.random() * shapes.length)]
+      const sides = { 'square': 4, 'rectangle': 4, 'triangle': 3, 'pentagon': 5, 'hexagon': 6 }
+      return this.createProblem('How many sides does this shape have?', sides[shape], 'Shapes', grade, true, null, {
+        figure: { type: 'polygon', vertices: this.shapeVertices(shape) },
+        solution: [
+          this.step('Count the straight edges around the shape'),
+          this.step(`It is a ${shape}, so it has ${sides[shape]} sides`)
+        ]
+      })
 
     } else if (questionType === 2) {
       const corners = { 'triangle': 3, 'square': 4, 'circle': 0 }
-      const shape = ['triangle', 'square', 'circle'][Math.floor(Math.random() * 3)]
-      return this.createProblem(`How many corners does a ${shape} have?`, corners[shape], 'Corners', grade, true)
+      const shape = ['triangle', 'square', 'circle'][Math.floor(this.random() * 3)]
+      return this.createProblem(`How many corners does a ${shape} have?`, corners[shape], 'Corners', grade, true, null, {
+        solution: [
+          this.step('A corner is where two sides meet'),
+          this.step(shape === 'circle' ? 'A circle has no straight sides, so it has no corners' : `A ${shape} has ${corners[shape]} corners`)
+        ]
+      })
 
     } else {
-      return this.createProblem('Which shape is round?', 'circle', 'Shape ID', grade, false, ['square', 'triangle', 'circle', 'rectangle'])
+      return this.createProblem('Which shape is round?', 'circle', 'Shape ID', grade, false, ['square', 'triangle', 'circle', 'rectangle'], {
+        solution: [
+          this.step('Squares, triangles and rectangles all have straight sides and corners'),
+          this.step('A circle is curved all the way around, so it is round')
+        ]
+      })
     }
   }
 
   genMeasurementBasics(grade) {
     // 📏 Measurement Fun
-    const type = Math.floor(Math.random() * 2)
+    const type = Math.floor(this.random() * 2)
 
     if (type === 0) {
-      // Compare lengths
-      const length1 = Math.floor(Math.random() * 10) + 2
-      const length2 = Math.floor(Math.random() * 10) + 15
-      return this.createProblem(`Which is longer: ${length1}cm or ${length2}cm?`, length2, 'Measuring', grade, true)
+      return this.genLengthComparison(grade)
     } else {
       // How many hands? (Non-standard units)
-      const hands = Math.floor(Math.random() * 5) + 3
-      return this.createProblem(`The table is ${hands} hands long. If you use smaller hands, will the number be bigger or smaller?`, 'bigger', 'Measuring', grade, false, ['bigger', 'smaller', 'same'])
+      const hands = Math.floor(this.random() * 5) + 3
+      return this.createProblem(`The table is ${hands} hands long. If you use smaller hands, will the number be bigger or smaller?`, 'bigger', 'Measuring', grade, false, ['bigger', 'smaller', 'same'], {
+        solution: [
+          this.step('Smaller hands cover less of the table each time'),
+          this.step('So you need MORE hands to cover the same table - the number gets bigger')
+        ]
+      })
     }
   }
 
   genTimeConcepts(grade) {
     // ⏰ Time Questions
-    const type = Math.floor(Math.random() * 3)
+    const type = Math.floor(this.random() * 4)
 
     if (type === 0) {
-      return this.createProblem('How many months are in one year?', 12, 'Calendar', grade, true)
+      return this.genCalendar(grade)
     } else if (type === 1) {
-      return this.createProblem('How many days are in a week?', 7, 'Calendar', grade, true)
+      return this.genTimeCycles(grade)
+    } else if (type === 2) {
+      return this.genSeasons(grade)
     } else {
-      return this.createProblem('Which takes longer?', 'sleeping at night', 'Time', grade, false, ['brushing teeth', 'sleeping at night', 'eating a snack'])
+      return this.genDailyRoutines(grade)
+    }
+  }
+
+  // Grade 1 - topic generators
+  genAdditionTo20(grade) {
+    // ➕ Simple Addition
+    // Easy levels keep the numbers small; hard levels make every sum cross 10
+    const max = this.scaled(5, 10, 10)
+    const min = this.activeDifficulty >= 8 ? 5 : 1
+    const num1 = Math.floor(this.random() * (max - min + 1)) + min
+    const num2 = Math.floor(this.random() * (max - min + 1)) + min
+    return this.createProblem(`${num1} + ${num2} = ?`, num1 + num2, 'Addition', grade, true, null, {
+      distractors: [
+        this.mistake('multiplied-instead-of-added', num1, num2),
+        this.mistake('off-by-one', num1 + num2, -1)
+      ],
+      solution: [
+        this.step(`Start at ${num1}`),
+        this.step(`Count up ${num2} more`, `${num1} + ${num2} = ${num1 + num2}`)
+      ]
+    })
+  }
+
+  genSubtractionFrom20(grade) {
+    // ➖ Simple Subtraction
+    const num1 = Math.floor(this.random() * this.scaled(5, 10, 15)) + 5
+    const num2 = Math.floor(this.random() * Math.min(this.scaled(3, 5, 9), num1)) + 1
+    return this.createProblem(`${num1} - ${num2} = ?`, num1 - num2, 'Subtraction', grade, true, null, {
+      distractors: [
+        this.mistake('added-instead-of-subtracted', num1, num2),
+        this.mistake('off-by-one', num1 - num2)
+      ],
+      solution: [
+        this.step(`Start at ${num1}`),
+        this.step(`Count back ${num2}`, `${num1} - ${num2} = ${num1 - num2}`)
+      ]
+    })
+  }
+
+  genNumberBonds(grade) {
+    // 🔗 Number Bonds to 10
+    const part = Math.floor(this.random() * 9) + 1
+    return this.createProblem(`${part} + ? = 10`, 10 - part, 'Number Bonds', grade, true, null, {
+      distractors: [
+        this.mistake('added-instead-of-subtracted', 10, part)
+      ],
+      solution: [
+        this.step(`Find the number that makes 10 with ${part}`),
+        this.step(`Subtract ${part} from 10`, `10 - ${part} = ${10 - part}`)
+      ]
+    })
+  }
+
+  genFactFamilies(grade) {
+    // 👨‍👩‍👧 Fact Families: three numbers that make an addition and subtraction
+    // family (grades 1-2) or a multiplication and division family (grade 3+)
+    if (grade <= 2) {
+      const a = Math.floor(this.random() * 9) + 1
+      const b = Math.floor(this.random() * 9) + 1
+      const whole = a + b
+      return this.createProblem(`The fact family for ${a}, ${b} and ${whole} has ${a} + ${b} = ${whole}. What is ${whole} - ${a}?`, b, 'Fact Families', grade, true, null, {
+        distractors: [
+          this.mistake('added-instead-of-subtracted', whole, a)
+        ],
+        solution: [
+          this.step('A fact family uses the same three numbers'),
+          this.step(`The two parts ${a} and ${b} make the whole ${whole}`, `${a} + ${b} = ${whole}`),
+          this.step(`Take one part away from the whole to get the other part`, `${whole} - ${a} = ${b}`)
+        ]
+      })
+    }
+
+    const a = Math.floor(this.random() * 8) + 2
+    const b = Math.floor(this.random() * 8) + 2
+    const product = a * b
+    return this.createProblem(`The fact family for ${a}, ${b} and ${product} has ${a} × ${b} = ${product}. What is ${product} ÷ ${a}?`, b, 'Fact Families', grade, true, null, {
+      distractors: [
+        this.mistake('multiplied-instead-of-divided', product, a)
+      ],
+      solution: [
+        this.step('A fact family uses the same three numbers'),
+        this.step(`${a} groups of ${b} make ${product}`, `${a} × ${b} = ${product}`),
+        this.step(`So sharing ${product} into ${a} groups gives ${b}`, `${product} ÷ ${a} = ${b}`)
+      ]
+    })
+  }
+
+  genThreeDShapes(grade) {
+    // 🧊 3D Shapes: faces, edges and corners (vertices)
+    const solids = [
+      { name: 'cube', faces: 6, edges: 12, vertices: 8 },
+      { name: 'rectangular prism', faces: 6, edges: 12, vertices: 8 },
+      { name: 'triangular prism', faces: 5, edges: 9, vertices: 6 },
+      { name: 'square pyramid', faces: 5, edges: 8, vertices: 5 },
+      { name: 'triangular pyramid', faces: 4, edges: 6, vertices: 4 }
+    ]
+
+    if (grade <= 2) {
+      // Flat faces of everyday solids
+      const shapes = [
+        { name: 'cube', faces: 6, hint: 'like a dice - top, bottom and 4 around' },
+        { name: 'cylinder', faces: 2, hint: 'like a can - a flat top and a flat bottom' },
+        { name: 'cone', faces: 1, hint: 'like an ice cream cone - just the flat circle on the bottom' },
+        { name: 'sphere', faces: 0, hint: 'like a ball - curved all over' }
+      ]
+      const shape = shapes[Math.floor(this.random() * shapes.length)]
+      return this.createProblem(`How many flat faces does a ${shape.name} have?`, shape.faces, '3D Shapes', grade, true, null, {
+        solution: [
+          this.step('A flat face is a flat side you could stand the shape on'),
+          this.step(`A ${shape.name} is ${shape.hint}`, `${shape.faces} flat face${shape.faces === 1 ? '' : 's'}`)
+        ]
+      })
+    }
+
+    const solid = solids[Math.floor(this.random() * solids.length)]
+    const part = ['faces', 'edges', 'vertices'][Math.floor(this.random() * 3)]
+    return this.createProblem(`How many ${part} does a ${solid.name} have?`, solid[part], '3D Shapes', grade, true, null, {
+      distractors: [
+        this.mistake('off-by-one', solid[part], part === 'edges' ? -solid.vertices : 2)
+      ],
+      solution: [
+        this.step('Faces are the flat surfaces, edges are where two faces meet, vertices are the corners'),
+        this.step(`A ${solid.name} has ${solid.faces} faces, ${solid.edges} edges and ${solid.vertices} vertices`),
+        this.step('Check with Euler\'s rule: faces + vertices - edges = 2', `${solid.faces} + ${solid.vertices} - ${solid.edges} = 2`)
+      ]
+    })
+  }
+
+  genComparingShapes(grade) {
+    // ⚖️ Comparing Shapes by sides or corners
+    const shapes = [
+      { name: 'triangle', sides: 3 },
+      { name: 'square', sides: 4 },
+      { name: 'pentagon', sides: 5 },
+      { name: 'hexagon', sides: 6 }
+    ]
+    const first = Math.floor(this.random() * shapes.length)
+    const second = (first + Math.floor(this.random() * (shapes.length - 1)) + 1) % shapes.length
+    const [a, b] = [shapes[first], shapes[second]]
+    const part = this.random() < 0.5 ? 'sides' : 'corners'
+    const more = a.sides > b.sides ? a : b
+    return this.createProblem(`Which shape has more ${part}: a ${a.name} or a ${b.name}?`, more.name, 'Comparing Shapes', grade, true, [a.name, b.name], {
+      solution: [
+        this.step(`Count the ${part} of each shape`, `${a.name} = ${a.sides}, ${b.name} = ${b.sides}`),
+        part === 'corners' ? this.step('A flat shape has as many corners as sides') : this.step(`${Math.max(a.sides, b.sides)} is more than ${Math.min(a.sides, b.sides)}`),
+        this.step(`The ${more.name} has more ${part}`)
+      ]
+    })
+  }
+
+  genSortingShapes(grade) {
+    // 🗂️ Sorting Shapes: find the shape that doesn't belong in the group
+    const foursided = grade <= 1 ? ['square', 'rectangle', 'diamond'] : ['square', 'rectangle', 'rhombus', 'trapezoid']
+    const others = ['triangle', 'circle', 'pentagon', 'hexagon']
+    const group = this.shuffle(foursided).slice(0, 3)
+    const odd = others[Math.floor(this.random() * others.length)]
+    return this.createProblem(`These shapes are sorted into a group with 4 sides: ${group.join(', ')}. Which shape does NOT belong in that group?`, odd, 'Sorting Shapes', grade, true, [...group, odd], {
+      solution: [
+        this.step('Count the sides of each shape'),
+        this.step(`${group.join(', ')} all have 4 sides`),
+        this.step(odd === 'circle' ? 'A circle has no straight sides, so it does not belong' : `A ${odd} does not have 4 sides, so it does not belong`)
+      ]
+    })
+  }
+
+  genLengthComparison(grade) {
+    // 📏 Compare lengths
+    const length1 = Math.floor(this.random() * 10) + 2
+    const length2 = Math.floor(this.random() * 10) + 15
+    return this.createProblem(`Which is longer: ${length1}cm or ${length2}cm?`, length2, 'Measuring', grade, true, [length1, length2], {
+      solution: [
+        this.step('Both lengths use the same unit, so compare the numbers'),
+        this.step(`${length2} is more than ${length1}, so ${length2}cm is longer`, `${length2} > ${length1}`)
+      ]
+    })
+  }
+
+  genAreaComparison(grade) {
+    // 🟩 Area Comparison: which covers more, counted in square tiles
+    const things = ['rug', 'towel', 'placemat', 'blanket', 'poster']
+    const first = Math.floor(this.random() * things.length)
+    const second = (first + Math.floor(this.random() * (things.length - 1)) + 1) % things.length
+    const tilesA = Math.floor(this.random() * 12) + 3
+    const tilesB = (tilesA - 3 + Math.floor(this.random() * 11) + 1) % 12 + 3
+    const [a, b] = [things[first], things[second]]
+    const bigger = tilesA > tilesB ? a : b
+    return this.createProblem(
+      `A ${a} covers ${tilesA} square tiles. A ${b} covers ${tilesB} square tiles. Which one covers more area?`,
+      `the ${bigger}`,
+      'Area Comparison',
+      grade,
+      true,
+      [`the ${a}`, `the ${b}`],
+      {
+        solution: [
+          this.step('Area is how much space something covers - count the tiles'),
+          this.step(`More tiles means more area`, `${Math.max(tilesA, tilesB)} > ${Math.min(tilesA, tilesB)}`),
+          this.step(`So the ${bigger} covers more area`)
+        ]
+      }
+    )
+  }
+
+  genCapacityComparison(grade) {
+    // 🥛 Capacity Comparison: which container holds more
+    const containers = ['jug', 'bottle', 'bucket', 'pot', 'cup']
+    const first = Math.floor(this.random() * containers.length)
+    const second = (first + Math.floor(this.random() * (containers.length - 1)) + 1) % containers.length
+    const scoopsA = Math.floor(this.random() * 10) + 2
+    const scoopsB = scoopsA + Math.floor(this.random() * 6) + 1
+    const swap = this.random() < 0.5
+    const [a, b] = swap ? [containers[second], containers[first]] : [containers[first], containers[second]]
+    const [amountA, amountB] = swap ? [scoopsB, scoopsA] : [scoopsA, scoopsB]
+    const bigger = amountA > amountB ? a : b
+    const ask = this.random() < 0.5 ? 'more' : 'less'
+    const answer = ask === 'more' ? bigger : (bigger === a ? b : a)
+    return this.createProblem(
+      `It takes ${amountA} scoops of water to fill a ${a} and ${amountB} scoops to fill a ${b}. Which holds ${ask}?`,
+      `the ${answer}`,
+      'Capacity Comparison',
+      grade,
+      true,
+      [`the ${a}`, `the ${b}`],
+      {
+        solution: [
+          this.step('Capacity is how much a container holds - count the scoops'),
+          this.step(`The ${a} holds ${amountA} scoops and the ${b} holds ${amountB} scoops`),
+          this.step(`So the ${answer} holds ${ask}`)
+        ]
+      }
+    )
+  }
+
+  genOrderingObjects(grade) {
+    // 📐 Ordering Objects from shortest to longest
+    const names = ['pencil', 'crayon', 'ruler', 'spoon', 'shoe', 'book']
+    const picked = this.shuffle(names).slice(0, 3)
+    const lengths = []
+    while (lengths.length < 3) {
+      const length = Math.floor(this.random() * 14) + 2
+      if (!lengths.includes(length)) lengths.push(length)
+    }
+    const objects = picked.map((name, i) => ({ name, length: lengths[i] }))
+    const sorted = [...objects].sort((x, y) => x.length - y.length)
+    return this.createProblem(
+      `Put these in order from shortest to longest: ${objects.map(o => `${o.name} (${o.length} cubes long)`).join(', ')}`,
+      sorted.map(o => o.name).join(', '),
+      'Ordering Objects',
+      grade,
+      false,
+      null,
+      {
+        answerSet: { values: sorted.map(o => o.name), ordered: true },
+        solution: [
+          this.step('Compare how many cubes long each one is'),
+          this.step('Start with the fewest cubes and end with the most', sorted.map(o => o.length).join(' < ')),
+          this.step(`So the order is ${sorted.map(o => o.name).join(', ')}`)
+        ]
+      }
+    )
+  }
+
+  genTimeCycles(grade) {
+    // 🔄 Time Cycles: parts of the day come around again every day
+    const parts = ['morning', 'afternoon', 'evening', 'night']
+    const index = Math.floor(this.random() * parts.length)
+    const next = parts[(index + 1) % parts.length]
+    return this.createProblem(`What part of the day comes after ${parts[index]}?`, next, 'Time Cycles', grade, true, parts.filter(p => p !== parts[index]), {
+      solution: [
+        this.step('Every day goes in the same cycle', parts.join(' → ')),
+        this.step(parts[index] === 'night' ? 'After night a new day starts with morning' : `After ${parts[index]} comes ${next}`)
+      ]
+    })
+  }
+
+  genCalendar(grade) {
+    // 📅 Calendar
+    const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    const type = Math.floor(this.random() * 3)
+
+    if (type === 0) {
+      return this.createProblem('How many months are in one year?', 12, 'Calendar', grade, true, null, {
+        solution: [
+          this.step('Count the months: January, February, March, April, May, June'),
+          this.step('July, August, September, October, November, December'),
+          this.step('That makes 12 months')
+        ]
+      })
+    } else if (type === 1) {
+      return this.createProblem('How many days are in a week?', 7, 'Calendar', grade, true, null, {
+        solution: [
+          this.step('Count the days: Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday'),
+          this.step('That makes 7 days')
+        ]
+      })
+    }
+
+    const index = Math.floor(this.random() * days.length)
+    const next = days[(index + 1) % days.length]
+    const options = [next, days[(index + 2) % days.length], days[(index + 6) % days.length], days[index]]
+    return this.createProblem(`What day comes after ${days[index]}?`, next, 'Calendar', grade, true, options, {
+      solution: [
+        this.step('Say the days of the week in order', days.join(', ')),
+        this.step(days[index] === 'Sunday' ? 'After Sunday the week starts again with Monday' : `After ${days[index]} comes ${next}`)
+      ]
+    })
+  }
+
+  genSeasons(grade) {
+    // 🍂 Seasons
+    const seasons = ['winter', 'spring', 'summer', 'fall']
+    if (this.random() < 0.5) {
+      const index = Math.floor(this.random() * seasons.length)
+      const next = seasons[(index + 1) % seasons.length]
+      return this.createProblem(`Which season comes after ${seasons[index]}?`, next, 'Seasons', grade, true, seasons.filter(s => s !== seasons[index]), {
+        solution: [
+          this.step('The seasons go around in the same order every year', seasons.join(' → ')),
+          this.step(`After ${seasons[index]} comes ${next}`)
+        ]
+      })
+    }
+
+    const clues = [
+      { clue: 'snow covers the ground and ponds freeze', season: 'winter' },
+      { clue: 'snow melts and plants start to grow', season: 'spring' },
+      { clue: 'days are longest and school is out', season: 'summer' },
+      { clue: 'leaves change colour and fall off the trees', season: 'fall' }
+    ]
+    const { clue, season } = clues[Math.floor(this.random() * clues.length)]
+    return this.createProblem(`In Alberta, which season is it when ${clue}?`, season, 'Seasons', grade, true, seasons, {
+      solution: [
+        this.step('Think about what the weather and plants are like in each season'),
+        this.step(`When ${clue}, it is ${season}`)
+      ]
+    })
+  }
+
+  genDailyRoutines(grade) {
+    // 🪥 Daily Routines
+    if (this.random() < 0.5) {
+      return this.createProblem('Which takes longer?', 'sleeping at night', 'Time', grade, false, ['brushing teeth', 'sleeping at night', 'eating a snack'], {
+        solution: [
+          this.step('Brushing teeth and eating a snack take a few minutes'),
+          this.step('Sleeping at night takes many hours, so it takes the longest')
+        ]
+      })
     }
+
+    const routine = [
+      { activity: 'wake up', time: 'morning' },
+      { activity: 'eat lunch', time: 'afternoon' },
+      { activity: 'eat supper', time: 'evening' },
+      { activity: 'go to bed', time: 'night' }
+    ]
+    const first = Math.floor(this.random() * routine.length)
+    const second = (first + Math.floor(this.random() * (routine.length - 1)) + 1) % routine.length
+    const [a, b] = this.shuffle([routine[first], routine[second]])
+    const earlier = routine.indexOf(a) < routine.indexOf(b) ? a : b
+    return this.createProblem(`Which do you usually do first in a day: ${a.activity} or ${b.activity}?`, earlier.activity, 'Daily Routines', grade, true, [a.activity, b.activity], {
+      solution: [
+        this.step(`We ${a.activity} in the ${a.time} and ${b.activity} in the ${b.time}`),
+        this.step('The day goes morning → afternoon → evening → night'),
+        this.step(`So we ${earlier.activity} first`)
+      ]
+    })
   }
 
   // Grade 2
   genAddSubTo100(grade) {
-    const op = Math.random() > 0.5 ? '+' : '-'
-    if (op === '+') {
-      const a = Math.floor(Math.random() * 50) + 10
-      const b = Math.floor(Math.random() * (50 - a % 50)) + 10
-      return this.createProblem(`${a} + ${b} = ?`, a + b, 'Addition to 100', grade, true)
-    } else {
-      const a = Math.floor(Math.random() * 50) + 50
-      const b = Math.floor(Math.random() * 40) + 5
-      return this.createProblem(`${a} - ${b} = ?`, a - b, 'Subtraction to 100', grade, true)
+    const type = Math.floor(this.random() * 3)
+    if (type === 0) {
+      return this.genAddingWithin100(grade)
+    } else if (type === 1) {
+      return this.genSubtractingWithin100(grade)
     }
+
+    // 📖 Word problem: how many more?
+    const big = Math.floor(this.random() * 50) + 30
+    const small = Math.floor(this.random() * 25) + 5
+    const { question, story } = this.story('compare', { big, small }, grade)
+    return this.createProblem(question, big - small, 'Word Problem', grade, true, null, {
+      story,
+      distractors: [
+        this.mistake('added-instead-of-subtracted', big, small),
+        this.mistake('subtracted-smaller-digit', big, small)
+      ],
+      solution: [
+        this.step('"How many more" means find the difference'),
+        this.step(`Subtract ${small} from ${big}`, `${big} - ${small} = ${big - small}`)
+      ]
+    })
   }
 
   genShapeSorting(grade) {
-    const sides = Math.floor(Math.random() * 4) + 3
+    const sides = Math.floor(this.random() * 4) + 3
     const shapes = { 3: 'triangle', 4: 'quadrilateral', 5: 'pentagon', 6: 'hexagon' }
     const correct = shapes[sides]
 
@@ -332,12 +1239,21 @@ export class ProblemGenerator {
       `A shape with ${sides} sides is called a...?`,
       correct,
       'Shape Sorting',
-      grade
+      grade,
+      false,
+      null,
+      {
+        solution: [
+          this.step('Shapes are named by how many sides they have'),
+          this.step('3 = triangle, 4 = quadrilateral, 5 = pentagon, 6 = hexagon'),
+          this.step(`So a shape with ${sides} sides is a ${correct}`)
+        ]
+      }
     )
   }
 
   genMeasuringLength(grade) {
-    const cm = Math.floor(Math.random() * 50) + 10
+    const cm = Math.floor(this.random() * 50) + 10
     // For numbers, auto-generation works fine, but let's be explicit for consistency
     const wrong1 = cm + 10
     const wrong2 = Math.floor(cm / 2)
@@ -348,12 +1264,18 @@ export class ProblemGenerator {
       'Measuring Length',
       grade,
       true,
-      [cm, wrong1, wrong2, wrong3]
+      [cm, wrong1, wrong2, wrong3],
+      {
+        solution: [
+          this.step('The length is already given in centimeters'),
+          this.step(`So the pencil is ${cm} cm long`)
+        ]
+      }
     )
   }
 
   genTimeDuration(grade) {
-    const weeks = Math.floor(Math.random() * 4) + 1
+    const weeks = Math.floor(this.random() * 4) + 1
     const days = weeks * 7
     return this.createProblem(
       `How many days are in ${weeks} week(s)?`,
@@ -361,58 +1283,503 @@ export class ProblemGenerator {
       'Time Duration',
       grade,
       true,
-      [days, days + 2, days - 1, weeks * 5] // Smart distractors
+      [days, days + 2, days - 1, this.mistake('used-school-week', weeks)], // Smart distractors
+      {
+        solution: [
+          this.step('Every week has 7 days'),
+          this.step(`Multiply ${weeks} week(s) by 7`, `${weeks} × 7 = ${days}`)
+        ]
+      }
     )
   }
 
   genDataGraphing(grade) {
-    const a = Math.floor(Math.random() * 10) + 2
-    const b = Math.floor(Math.random() * 10) + 2
-    return this.createProblem(`A pictograph shows ${a} apples and ${b} oranges. How many fruits in total?`, a + b, 'Data & Graphing', grade, true)
+    const a = Math.floor(this.random() * 10) + 2
+    const b = Math.floor(this.random() * 10) + 2
+    return this.createProblem('The pictograph shows the fruit we ate. How many fruits in total?', a + b, 'Data & Graphing', grade, true, null, {
+      figure: { type: 'pictograph', title: 'Fruit we ate', labels: ['apples', 'oranges'], values: [a, b], symbol: '🍎', key: 1 },
+      distractors: [
+        this.mistake('multiplied-instead-of-added', a, b)
+      ],
+      solution: [
+        this.step('Read each row of the pictograph', `apples = ${a}, oranges = ${b}`),
+        this.step('Add the rows to get the total', `${a} + ${b} = ${a + b}`)
+      ]
+    })
+  }
+
+  // Grade 2 - topic generators
+  genAddingWithin100(grade) {
+    const a = Math.floor(this.random() * 50) + 10
+    const b = Math.floor(this.random() * (50 - a % 50)) + 10
+    return this.createProblem(`${a} + ${b} = ?`, a + b, 'Addition to 100', grade, true, null, {
+      distractors: [
+        this.mistake('forgot-to-carry', a, b),
+        this.mistake('off-by-one', a + b, 10)
+      ],
+      solution: [
+        this.step('Add the tens', `${a - a % 10} + ${b - b % 10} = ${a - a % 10 + b - b % 10}`),
+        this.step('Add the ones', `${a % 10} + ${b % 10} = ${a % 10 + b % 10}`),
+        this.step('Put them together', `${a - a % 10 + b - b % 10} + ${a % 10 + b % 10} = ${a + b}`)
+      ]
+    })
+  }
+
+  genSubtractingWithin100(grade) {
+    const a = Math.floor(this.random() * 50) + 50
+    const b = Math.floor(this.random() * 40) + 5
+    return this.createProblem(`${a} - ${b} = ?`, a - b, 'Subtraction to 100', grade, true, null, {
+      distractors: [
+        this.mistake('subtracted-smaller-digit', a, b),
+        this.mistake('added-instead-of-subtracted', a, b)
+      ],
+      solution: [
+        this.step(`Take away the tens of ${b}`, `${a} - ${b - b % 10} = ${a - (b - b % 10)}`),
+        this.step(`Take away the ones of ${b}`, `${a - (b - b % 10)} - ${b % 10} = ${a - b}`)
+      ]
+    })
+  }
+
+  genRegrouping(grade) {
+    // 🔁 Regrouping: the ones (or tens) column makes a new ten (or hundred),
+    // or has to borrow one
+    const size = grade <= 2 ? 10 : 100
+    if (this.random() < 0.5) {
+      // Adding where the ones add up to 10 or more
+      const onesA = Math.floor(this.random() * 5) + 5
+      const onesB = Math.floor(this.random() * (9 - (10 - onesA) + 1)) + (10 - onesA)
+      const a = (Math.floor(this.random() * (size === 10 ? 4 : 40)) + 1) * 10 + onesA
+      const b = (Math.floor(this.random() * (size === 10 ? 4 : 40)) + 1) * 10 + onesB
+      return this.createProblem(`${a} + ${b} = ?`, a + b, 'Regrouping', grade, true, null, {
+        distractors: [
+          this.mistake('forgot-to-carry', a, b)
+        ],
+        solution: this.columnAdditionSteps(a, b)
+      })
+    }
+
+    // Subtracting where the top ones digit is too small
+    const onesB = Math.floor(this.random() * 8) + 2
+    const onesA = Math.floor(this.random() * onesB)
+    const b = (Math.floor(this.random() * (size === 10 ? 4 : 40)) + 1) * 10 + onesB
+    const a = b + (Math.floor(this.random() * (size === 10 ? 4 : 40)) + 1) * 10 + onesA - onesB
+    return this.createProblem(`${a} - ${b} = ?`, a - b, 'Regrouping', grade, true, null, {
+      distractors: [
+        this.mistake('subtracted-smaller-digit', a, b),
+        this.mistake('added-instead-of-subtracted', a, b)
+      ],
+      solution: this.columnSubtractionSteps(a, b)
+    })
+  }
+
+  genMentalMath(grade) {
+    // 🧠 Mental Math: add or take away tens, or make a friendly ten first
+    const type = Math.floor(this.random() * 3)
+
+    if (type === 0) {
+      const a = Math.floor(this.random() * 60) + 10
+      const tens = (Math.floor(this.random() * 3) + 1) * 10
+      return this.createProblem(`${a} + ${tens} = ?`, a + tens, 'Mental Math', grade, true, null, {
+        distractors: [
+          this.mistake('off-by-one', a + tens, -10)
+        ],
+        solution: [
+          this.step(`Adding ${tens} only changes the tens digit`),
+          this.step(`Count on by tens from ${a}`, Array.from({ length: tens / 10 + 1 }, (_, i) => a + 10 * i).join(', '))
+        ]
+      })
+    } else if (type === 1) {
+      const a = Math.floor(this.random() * 60) + 40
+      const tens = (Math.floor(this.random() * 3) + 1) * 10
+      return this.createProblem(`${a} - ${tens} = ?`, a - tens, 'Mental Math', grade, true, null, {
+        distractors: [
+          this.mistake('added-instead-of-subtracted', a, tens)
+        ],
+        solution: [
+          this.step(`Taking away ${tens} only changes the tens digit`),
+          this.step(`Count back by tens from ${a}`, Array.from({ length: tens / 10 + 1 }, (_, i) => a - 10 * i).join(', '))
+        ]
+      })
+    }
+
+    // Make a ten: 38 + 7 = 38 + 2 + 5
+    const a = (Math.floor(this.random() * 7) + 1) * 10 + Math.floor(this.random() * 4) + 6
+    const b = Math.floor(this.random() * 4) + 6
+    const toTen = 10 - a % 10
+    return this.createProblem(`${a} + ${b} = ?`, a + b, 'Mental Math', grade, true, null, {
+      distractors: [
+        this.mistake('forgot-to-carry', a, b)
+      ],
+      solution: [
+        this.step(`Split ${b} so part of it makes ${a} a friendly ten`, `${b} = ${toTen} + ${b - toTen}`),
+        this.step('Make the ten', `${a} + ${toTen} = ${a + toTen}`),
+        this.step('Add the rest', `${a + toTen} + ${b - toTen} = ${a + b}`)
+      ]
+    })
+  }
+
+  genSortingRules(grade) {
+    // 🧺 Sorting Rules: what rule was used to sort the shapes?
+    const rules = [
+      { rule: 'number of sides', yes: ['triangle', 'triangle', 'triangle'], no: ['square', 'circle', 'hexagon'], detail: 'Group 1 all have 3 sides' },
+      { rule: 'curved or straight sides', yes: ['circle', 'oval', 'circle'], no: ['square', 'triangle', 'rectangle'], detail: 'Group 1 all have curved sides' },
+      { rule: 'colour', yes: ['red square', 'red circle', 'red triangle'], no: ['blue square', 'blue circle', 'blue triangle'], detail: 'Group 1 are all red and Group 2 are all blue, even though the shapes match' },
+      { rule: 'size', yes: ['big square', 'big circle', 'big triangle'], no: ['small square', 'small circle', 'small triangle'], detail: 'Group 1 are all big and Group 2 are all small, even though the shapes match' }
+    ]
+    const chosen = rules[Math.floor(this.random() * rules.length)]
+    return this.createProblem(
+      `Group 1: ${chosen.yes.join(', ')}. Group 2: ${chosen.no.join(', ')}. What was the sorting rule?`,
+      chosen.rule,
+      'Sorting Rules',
+      grade,
+      true,
+      rules.map(r => r.rule),
+      {
+        solution: [
+          this.step('Look for something every shape in Group 1 shares that Group 2 does not'),
+          this.step(chosen.detail),
+          this.step(`So the rule is ${chosen.rule}`)
+        ]
+      }
+    )
+  }
+
+  genShapeAttributes(grade) {
+    // 📐 Shape Attributes: sides and corners (vertices)
+    const shapes = [
+      { name: 'triangle', sides: 3 },
+      { name: 'square', sides: 4 },
+      { name: 'rectangle', sides: 4 },
+      { name: 'pentagon', sides: 5 },
+      { name: 'hexagon', sides: 6 },
+      { name: 'octagon', sides: 8 }
+    ]
+    if (this.random() < 0.5) {
+      const shape = shapes[Math.floor(this.random() * shapes.length)]
+      const part = this.random() < 0.5 ? 'sides' : 'vertices (corners)'
+      return this.createProblem(`How many ${part} does a ${shape.name} have?`, shape.sides, 'Shape Attributes', grade, true, null, {
+        distractors: [
+          this.mistake('off-by-one', shape.sides)
+        ],
+        solution: [
+          this.step(part === 'sides' ? 'Count the straight sides' : 'A vertex is a corner where two sides meet - a flat shape has as many as it has sides'),
+          this.step(`A ${shape.name} has ${shape.sides} ${part}`)
+        ]
+      })
+    }
+
+    // Shape riddle: the clues fit exactly one shape
+    const riddles = [
+      { name: 'triangle', clue: 'I have 3 straight sides and 3 vertices.' },
+      { name: 'square', clue: 'I have 4 sides that are all the same length and 4 square corners.' },
+      { name: 'rectangle', clue: 'I have 4 square corners, and 2 of my sides are longer than the other 2.' },
+      { name: 'pentagon', clue: 'I have 5 straight sides and 5 vertices.' },
+      { name: 'hexagon', clue: 'I have 6 straight sides and 6 vertices.' },
+      { name: 'octagon', clue: 'I have 8 straight sides, like a stop sign.' }
+    ]
+    const riddle = riddles[Math.floor(this.random() * riddles.length)]
+    const others = this.shuffle(riddles.filter(r => r !== riddle)).slice(0, 3).map(r => r.name)
+    return this.createProblem(`${riddle.clue} What shape am I?`, riddle.name, 'Shape Attributes', grade, true, [riddle.name, ...others], {
+      solution: [
+        this.step('Check each clue: the number of sides, the corners and the side lengths'),
+        this.step(`Only a ${riddle.name} fits every clue`)
+      ]
+    })
+  }
+
+  genCentimeters(grade) {
+    // 📏 Centimeters: read a ruler that doesn't start at 0
+    const start = Math.floor(this.random() * 5) + 1
+    const length = Math.floor(this.random() * 10) + 3
+    const end = start + length
+    return this.createProblem(
+      `A crayon is lined up on a ruler. One end is at ${start} cm and the other end is at ${end} cm. How long is the crayon?`,
+      `${length} cm`,
+      'Centimeters',
+      grade,
+      true,
+      null,
+      {
+        answerType: 'quantity',
+        distractors: [
+          this.mistake('read-ruler-end', start, end)
+        ],
+        solution: [
+          this.step('The crayon doesn\'t start at 0, so the end mark isn\'t the length'),
+          this.step('Count the centimeters from one end to the other', `${end} - ${start} = ${length}`),
+          this.step(`The crayon is ${length} cm long`)
+        ]
+      }
+    )
+  }
+
+  genMeasuringTools(grade) {
+    // 🧰 Measuring Tools: which tool measures what
+    const tools = [
+      { task: 'how long a pencil is', tool: 'ruler' },
+      { task: 'how heavy a bag of apples is', tool: 'scale' },
+      { task: 'how much water a jug holds', tool: 'measuring cup' },
+      { task: 'how hot it is outside', tool: 'thermometer' },
+      { task: 'how long recess lasts', tool: 'clock' }
+    ]
+    const chosen = tools[Math.floor(this.random() * tools.length)]
+    const others = this.shuffle(tools.filter(t => t !== chosen)).slice(0, 3).map(t => t.tool)
+    return this.createProblem(`Which tool would you use to measure ${chosen.task}?`, chosen.tool, 'Measuring Tools', grade, true, [chosen.tool, ...others], {
+      solution: [
+        this.step('Think about what is being measured: length, mass, capacity, temperature or time'),
+        this.step(`To measure ${chosen.task}, use a ${chosen.tool}`)
+      ]
+    })
+  }
+
+  genEstimatingLength(grade) {
+    // 🤔 Estimating Length: pick the most reasonable measurement
+    const objects = [
+      { name: 'pencil', cm: 15 },
+      { name: 'paper clip', cm: 3 },
+      { name: 'school desk', cm: 60 },
+      { name: 'door', cm: 200 },
+      { name: 'crayon', cm: 8 }
+    ]
+    const chosen = objects[Math.floor(this.random() * objects.length)]
+    const options = [chosen, ...this.shuffle(objects.filter(o => o !== chosen)).slice(0, 3)].map(o => `${o.cm} cm`)
+    return this.createProblem(`About how long is a ${chosen.name}?`, `${chosen.cm} cm`, 'Estimating Length', grade, true, options, {
+      solution: [
+        this.step('Think of a centimeter as about the width of your finger'),
+        this.step(`A ${chosen.name} is about ${chosen.cm} finger widths long`, `${chosen.cm} cm`)
+      ]
+    })
+  }
+
+  genDays(grade) {
+    // 📆 Days: counting days forward
+    const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    const start = Math.floor(this.random() * days.length)
+    const later = Math.floor(this.random() * 5) + 2
+    const answer = days[(start + later) % 7]
+    return this.createProblem(
+      `Today is ${days[start]}. What day will it be in ${later} days?`,
+      answer,
+      'Days',
+      grade,
+      true,
+      [answer, days[(start + later + 1) % 7], days[(start + later + 6) % 7], days[(start + later + 2) % 7]],
+      {
+        solution: [
+          this.step(`Count ${later} days forward from ${days[start]}`, Array.from({ length: later }, (_, i) => days[(start + i + 1) % 7]).join(', ')),
+          this.step(`The last day counted is ${answer}`)
+        ]
+      }
+    )
+  }
+
+  genMonths(grade) {
+    // 🗓️ Months: the order of the months
+    const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+    const index = Math.floor(this.random() * months.length)
+    if (this.random() < 0.5) {
+      const next = months[(index + 1) % 12]
+      return this.createProblem(`Which month comes after ${months[index]}?`, next, 'Months', grade, true, [next, months[(index + 11) % 12], months[(index + 2) % 12], months[index]], {
+        solution: [
+          this.step('Say the months in order', months.join(', ')),
+          this.step(months[index] === 'December' ? 'After December a new year starts with January' : `After ${months[index]} comes ${next}`)
+        ]
+      })
+    }
+
+    return this.createProblem(`${months[index]} is which month of the year (1st, 2nd, 3rd...)? Give the number.`, index + 1, 'Months', grade, true, null, {
+      distractors: [
+        this.mistake('off-by-one', index + 1)
+      ],
+      solution: [
+        this.step('Count the months starting with January as 1', months.slice(0, index + 1).map((m, i) => `${i + 1} ${m}`).join(', ')),
+        this.step(`${months[index]} is month number ${index + 1}`)
+      ]
+    })
+  }
+
+  genYears(grade) {
+    // 🎂 Years: days, weeks and months in a year, and counting years
+    const type = Math.floor(this.random() * 3)
+    if (type === 0) {
+      return this.createProblem('About how many days are in one year?', 365, 'Years', grade, true, [365, 100, 52, 12], {
+        solution: [
+          this.step('A year is one trip of the Earth around the Sun'),
+          this.step('That takes 365 days (366 in a leap year)')
+        ]
+      })
+    } else if (type === 1) {
+      return this.createProblem('How many weeks are in one year?', 52, 'Years', grade, true, [52, 12, 365, 7], {
+        solution: [
+          this.step('A year has 365 days and a week has 7 days'),
+          this.step('That makes 52 weeks (and 1 day left over)', '52 × 7 = 364')
+        ]
+      })
+    }
+
+    const age = Math.floor(this.random() * 5) + 6
+    const later = Math.floor(this.random() * 5) + 2
+    return this.createProblem(`Sam is ${age} years old. How old will Sam be in ${later} years?`, age + later, 'Years', grade, true, null, {
+      distractors: [
+        this.mistake('off-by-one', age + later)
+      ],
+      solution: [
+        this.step('Every year Sam gets one year older'),
+        this.step(`Add the years`, `${age} + ${later} = ${age + later}`)
+      ]
+    })
+  }
+
+  genCollectingData(grade) {
+    // ✋ Collecting Data: read tally marks
+    const count = Math.floor(this.random() * 15) + 4
+    const fives = Math.floor(count / 5)
+    const tally = [...Array(fives).fill('||||/'), '|'.repeat(count % 5)].join(' ').trim()
+    return this.createProblem(`A class made tally marks for their favourite fruit. Apples got: ${tally}. How many votes is that?`, count, 'Collecting Data', grade, true, null, {
+      distractors: [
+        this.mistake('counted-bundle-as-four', count)
+      ],
+      solution: [
+        this.step('Each bundle ||||/ is 5 marks (4 lines crossed by 1)'),
+        this.step(`Count the bundles by 5s, then add the single marks`, `${fives} × 5 + ${count % 5} = ${count}`)
+      ]
+    })
+  }
+
+  genPictographs(grade) {
+    // 🖼️ Pictographs where each picture stands for more than one
+    const per = grade <= 2 ? 2 : [2, 5, 10][Math.floor(this.random() * 3)]
+    const animals = ['cats', 'dogs', 'fish', 'birds']
+    const rows = animals.map(() => Math.floor(this.random() * 6) + 2)
+    const chosen = Math.floor(this.random() * animals.length)
+    const [animal, pictures] = [animals[chosen], rows[chosen]]
+    return this.createProblem(`The pictograph shows the pets in our class. How many ${animal} are there?`, pictures * per, 'Pictographs', grade, true, null, {
+      figure: { type: 'pictograph', title: 'Pets in our class', labels: animals, values: rows.map(r => r * per), symbol: '⭐', key: per },
+      distractors: [
+        this.mistake('ignored-the-key', pictures),
+        this.mistake('added-instead-of-multiplied', pictures, per)
+      ],
+      solution: [
+        this.step(`Count the stars in the ${animal} row: there are ${pictures}`),
+        this.step(`Each star means ${per}, so skip count by ${per}s`, `${pictures} × ${per} = ${pictures * per}`)
+      ]
+    })
+  }
+
+  genBarGraphs(grade) {
+    // 📊 Bar Graphs: compare two bars
+    const sports = ['hockey', 'soccer', 'basketball', 'swimming']
+    const values = this.shuffle(Array.from({ length: grade >= 8 ? 40 : 12 }, (_, i) => i + 2)).slice(0, sports.length)
+    const first = Math.floor(this.random() * sports.length)
+    const second = (first + Math.floor(this.random() * (sports.length - 1)) + 1) % sports.length
+    const [a, b] = values[first] >= values[second] ? [first, second] : [second, first]
+    return this.createProblem(`The bar graph shows favourite sports. How many more students chose ${sports[a]} than ${sports[b]}?`, values[a] - values[b], 'Bar Graphs', grade, true, null, {
+      figure: { type: 'bar-chart', title: 'Favourite sports', labels: sports, values },
+      distractors: [
+        this.mistake('added-instead-of-subtracted', values[a], values[b])
+      ],
+      solution: [
+        this.step('Read the two bars', `${sports[a]} = ${values[a]}, ${sports[b]} = ${values[b]}`),
+        this.step('"How many more" means find the difference', `${values[a]} - ${values[b]} = ${values[a] - values[b]}`)
+      ]
+    })
+  }
+
+  genInterpretingGraphs(grade) {
+    // 🔎 Interpreting Graphs: which is most or least popular
+    const snacks = ['popcorn', 'apples', 'crackers', 'yogurt']
+    const values = this.shuffle([3, 4, 5, 7, 8, 9, 11]).slice(0, 4).map(v => v + (grade >= 6 ? 10 : 0))
+    const most = this.random() < 0.5
+    const target = most ? Math.max(...values) : Math.min(...values)
+    const answer = snacks[values.indexOf(target)]
+    return this.createProblem(
+      `The bar graph shows favourite snacks. Which snack was chosen the ${most ? 'most' : 'least'}?`,
+      answer,
+      'Interpreting Graphs',
+      grade,
+      true,
+      snacks,
+      {
+        figure: { type: 'bar-chart', title: 'Favourite snacks', labels: snacks, values },
+        solution: [
+          this.step(`Find the ${most ? 'tallest' : 'shortest'} bar (the ${most ? 'biggest' : 'smallest'} number)`, `${target}`),
+          this.step(`That bar is ${answer}`)
+        ]
+      }
+    )
   }
 
   // Grade 3
   genAddSubTo1000(grade) {
-    const a = Math.floor(Math.random() * 500) + 200
-    const b = Math.floor(Math.random() * 300) + 100
-    return this.createProblem(`${a} + ${b} = ?`, a + b, 'Addition to 1000', grade)
+    const a = Math.floor(this.random() * this.scaled(200, 500, 600)) + 200
+    const b = Math.floor(this.random() * 300) + 100
+    // Asked plainly, or as a story
+    const told = this.random() < 0.3 ? this.story('join', { start: a, more: b }, grade) : null
+    return this.createProblem(told ? told.question : `${a} + ${b} = ?`, a + b, 'Addition to 1000', grade, false, null, {
+      story: told?.story,
+      distractors: [
+        this.mistake('forgot-to-carry', a, b)
+      ],
+      solution: this.columnAdditionSteps(a, b)
+    })
   }
 
   genMultiplicationFacts(grade) {
     // ═══════════════════════════════════════════════════════════════
     // ✖️ GRADE 3: Multiplication Facts
     // ═══════════════════════════════════════════════════════════════
-    const problemType = Math.floor(Math.random() * 5) + 1
+    const problemType = Math.floor(this.random() * 5) + 1
 
     if (problemType === 1) {
-      // Basic multiplication
-      const a = Math.floor(Math.random() * 10) + 1
-      const b = Math.floor(Math.random() * 10) + 1
-      return this.createProblem(`${a} × ${b} = ?`, a * b, 'Multiplication Facts', grade, grade <= 4)
+      return this.genTimesTables(grade)
 
     } else if (problemType === 2) {
-      // Word problem
-      const groups = Math.floor(Math.random() * 6) + 2
-      const perGroup = Math.floor(Math.random() * 8) + 2
-      return this.createProblem(`There are ${groups} bags with ${perGroup} apples each. How many apples in total?`, groups * perGroup, 'Multiplication Word Problem', grade, true)
+      // 📖 Word problem: equal groups
+      const groups = Math.floor(this.random() * 6) + 2
+      const each = Math.floor(this.random() * 8) + 2
+      const { question, story } = this.story('groups', { groups, each }, grade)
+      return this.createProblem(question, groups * each, 'Multiplication Word Problem', grade, true, null, {
+        story,
+        distractors: [
+          this.mistake('added-instead-of-multiplied', groups, each)
+        ],
+        solution: [
+          this.step(`There are ${groups} equal groups of ${each}, so multiply`),
+          this.step('Multiply the number of groups by how many are in each group', `${groups} × ${each} = ${groups * each}`)
+        ]
+      })
 
     } else if (problemType === 3) {
       // Array/rows and columns
-      const rows = Math.floor(Math.random() * 5) + 2
-      const cols = Math.floor(Math.random() * 5) + 2
-      return this.createProblem(`${rows} rows × ${cols} columns = how many squares?`, rows * cols, 'Arrays', grade, true)
+      const rows = Math.floor(this.random() * 5) + 2
+      const cols = Math.floor(this.random() * 5) + 2
+      return this.createProblem(`${rows} rows × ${cols} columns = how many squares?`, rows * cols, 'Arrays', grade, true, null, {
+        distractors: [
+          this.mistake('added-instead-of-multiplied', rows, cols)
+        ],
+        solution: [
+          this.step(`Each row has ${cols} squares and there are ${rows} rows`),
+          this.step('Multiply rows by columns', `${rows} × ${cols} = ${rows * cols}`)
+        ]
+      })
 
     } else if (problemType === 4) {
-      // Related division
-      const a = Math.floor(Math.random() * 10) + 2
-      const b = Math.floor(Math.random() * 10) + 2
-      return this.createProblem(`${a * b} ÷ ${a} = ?`, b, 'Division Facts', grade, true)
+      return this.genDivisionFacts(grade)
 
     } else {
       // Skip counting
-      const by = [2, 5, 10][Math.floor(Math.random() * 3)]
-      const times = Math.floor(Math.random() * 8) + 3
-      return this.createProblem(`Count by ${by}s: What is the ${times}th number?`, by * times, 'Skip Counting', grade, true)
+      const by = [2, 5, 10][Math.floor(this.random() * 3)]
+      const times = Math.floor(this.random() * 8) + 3
+      return this.createProblem(`Count by ${by}s: What is the ${times}th number?`, by * times, 'Skip Counting', grade, true, null, {
+        distractors: [
+          this.mistake('off-by-one', by * times, by),
+          this.mistake('off-by-one', by * times, -by)
+        ],
+        solution: [
+          this.step(`Count by ${by}s`, Array.from({ length: times }, (_, i) => by * (i + 1)).join(', ')),
+          this.step(`Number ${times} in the count is ${by * times}`, `${by} × ${times} = ${by * times}`)
+        ]
+      })
     }
   }
 
@@ -420,238 +1787,1092 @@ export class ProblemGenerator {
     // ═══════════════════════════════════════════════════════════════
     // 📐 GRADE 3: Parallel & Perpendicular Lines
     // ═══════════════════════════════════════════════════════════════
-    const questionType = Math.floor(Math.random() * 3)
+    const questionType = Math.floor(this.random() * 3)
 
     if (questionType === 0) {
-      return this.createProblem(
-        'Lines that NEVER meet (even if extended forever) are called...?',
-        'parallel',
-        'Geometry Lines',
-        grade,
-        true,
-        ['parallel', 'perpendicular', 'intersecting', 'diagonal']
-      )
+      return this.genParallelLines(grade)
     } else if (questionType === 1) {
+      return this.genPerpendicularLines(grade)
+    } else {
       return this.createProblem(
-        'Lines that meet at exactly 90° (a right angle) are called...?',
-        'perpendicular',
+        'Two lines that cross each other are called...?',
+        'intersecting',
         'Geometry Lines',
         grade,
         true,
-        ['perpendicular', 'parallel', 'slanted', 'curved']
-      )
-    } else {
-      return this.createProblem(
-        'Two lines that cross each other are called...?',
-        'intersecting',
-        'Geometry Lines',
-        grade,
-        true,
-        ['intersecting', 'parallel', 'perpendicular', 'adjacent']
+        ['intersecting', 'parallel', 'perpendicular', 'adjacent'],
+        {
+          solution: [
+            this.step('"Intersect" means to cross or meet'),
+            this.step('Lines that cross each other are intersecting lines')
+          ]
+        }
       )
     }
   }
 
   genMetricMeasurement(grade) {
-    const meters = Math.floor(Math.random() * 10) + 1
-    return this.createProblem(`How many centimeters are in ${meters} meter(s)?`, meters * 100, 'Metric Measurement', grade)
+    const meters = Math.floor(this.random() * 10) + 1
+    return this.createProblem(`How many centimeters are in ${meters} meter(s)?`, `${meters * 100} cm`, 'Metric Measurement', grade, false, null, {
+      answerType: 'quantity',
+      unitRequired: true,
+      distractors: [
+        this.mistake('wrong-conversion-factor', meters, 10),
+        this.mistake('wrong-conversion-factor', meters, 1000)
+      ],
+      solution: [
+        this.step('There are 100 centimeters in 1 meter', '1 m = 100 cm'),
+        this.step(`Multiply ${meters} by 100`, `${meters} × 100 = ${meters * 100}`)
+      ]
+    })
   }
 
   genTellingTime(grade) {
     // ═══════════════════════════════════════════════════════════════
     // ⏰ GRADE 3: Telling Time
     // ═══════════════════════════════════════════════════════════════
-    const questionType = Math.floor(Math.random() * 4)
+    const questionType = Math.floor(this.random() * 4)
 
     if (questionType === 0) {
+      return this.genDigitalClocks(grade)
+    } else if (questionType === 1) {
+      return this.genElapsedTime(grade)
+    } else if (questionType === 2) {
+      return this.genMinutes(grade)
+    } else {
+      return this.genAnalogClocks(grade)
+    }
+  }
+
+  // Grade 3 - topic generators
+  genSubtractingTo1000(grade) {
+    const a = Math.floor(this.random() * 600) + 350
+    const b = Math.floor(this.random() * (a - 200)) + 100
+    // Asked plainly, or as a story
+    const told = this.random() < 0.3 ? this.story('separate', { start: a, gone: b }, grade) : null
+    return this.createProblem(told ? told.question : `${a} - ${b} = ?`, a - b, 'Subtraction to 1000', grade, false, null, {
+      story: told?.story,
+      distractors: [
+        this.mistake('subtracted-smaller-digit', a, b),
+        this.mistake('added-instead-of-subtracted', a, b)
+      ],
+      solution: this.columnSubtractionSteps(a, b)
+    })
+  }
+
+  genTimesTables(grade) {
+    // Basic multiplication (up to 12 × 12 on hard levels)
+    const max = this.scaled(5, 10, 12)
+    const a = Math.floor(this.random() * max) + 1
+    const b = Math.floor(this.random() * max) + 1
+    return this.createProblem(`${a} × ${b} = ?`, a * b, 'Multiplication Facts', grade, grade <= 4, null, {
+      distractors: [
+        this.mistake('added-instead-of-multiplied', a, b),
+        this.mistake('off-by-one', a * b, b)
+      ],
+      solution: [
+        this.step(`${a} × ${b} means ${a} groups of ${b}`),
+        this.step(`Skip count by ${b}, ${a} times`, Array.from({ length: a }, (_, i) => b * (i + 1)).join(', ')),
+        this.step('The last number is the answer', `${a} × ${b} = ${a * b}`)
+      ]
+    })
+  }
+
+  genDivisionFacts(grade) {
+    const a = Math.floor(this.random() * 10) + 2
+    const b = Math.floor(this.random() * 10) + 2
+
+    if (this.random() < 0.4) {
+      // 📖 Word problem: sharing equally
+      const { question, story } = this.story('share', { total: a * b, shares: a }, grade)
+      return this.createProblem(question, b, 'Division Word Problem', grade, true, null, {
+        story,
+        distractors: [
+          this.mistake('multiplied-instead-of-divided', a * b, a),
+          this.mistake('off-by-one', b)
+        ],
+        solution: [
+          this.step(`Sharing ${a * b} equally into ${a} groups means we divide`),
+          this.step(`Think: ${a} times what number makes ${a * b}?`, `${a * b} ÷ ${a} = ${b}`)
+        ]
+      })
+    }
+
+    // Related division
+    return this.createProblem(`${a * b} ÷ ${a} = ?`, b, 'Division Facts', grade, true, null, {
+      distractors: [
+        this.mistake('off-by-one', b),
+        this.mistake('off-by-one', b, -1)
+      ],
+      solution: [
+        this.step(`Think: ${a} times what number makes ${a * b}?`, `${a} × ? = ${a * b}`),
+        this.step(`${a} × ${b} = ${a * b}, so the answer is ${b}`, `${a * b} ÷ ${a} = ${b}`)
+      ]
+    })
+  }
+
+  genParallelLines(grade) {
+    if (this.random() < 0.5) {
+      return this.createProblem(
+        'Lines that NEVER meet (even if extended forever) are called...?',
+        'parallel',
+        'Geometry Lines',
+        grade,
+        true,
+        ['parallel', 'perpendicular', 'intersecting', 'diagonal'],
+        {
+          solution: [
+            this.step('Parallel lines stay the same distance apart, like train tracks'),
+            this.step('Because they never get closer, they never meet - they are parallel')
+          ]
+        }
+      )
+    }
+
+    // Pairs of parallel sides in a shape
+    const shapes = [
+      { name: 'square', pairs: 2, why: 'top and bottom, left and right' },
+      { name: 'rectangle', pairs: 2, why: 'top and bottom, left and right' },
+      { name: 'trapezoid', pairs: 1, why: 'only the top and bottom are parallel' },
+      { name: 'triangle', pairs: 0, why: 'every side meets both of the others' },
+      { name: 'regular hexagon', pairs: 3, why: 'each side is parallel to the side across from it' }
+    ]
+    const shape = shapes[Math.floor(this.random() * shapes.length)]
+    return this.createProblem(`How many pairs of parallel sides does a ${shape.name} have?`, shape.pairs, 'Parallel Lines', grade, true, [0, 1, 2, 3], {
+      solution: [
+        this.step('Parallel sides point the same way and never meet'),
+        this.step(`A ${shape.name} has ${shape.pairs}: ${shape.why}`)
+      ]
+    })
+  }
+
+  genPerpendicularLines(grade) {
+    if (this.random() < 0.5) {
+      return this.createProblem(
+        'Lines that meet at exactly 90° (a right angle) are called...?',
+        'perpendicular',
+        'Geometry Lines',
+        grade,
+        true,
+        ['perpendicular', 'parallel', 'slanted', 'curved'],
+        {
+          solution: [
+            this.step('A 90° angle is a square corner, like the corner of a page'),
+            this.step('Lines that meet at a square corner are perpendicular')
+          ]
+        }
+      )
+    }
+
+    // Letters made of perpendicular lines
+    const letter = ['L', 'T', 'H', 'E'][Math.floor(this.random() * 4)]
+    const others = this.shuffle(['O', 'V', 'S', 'C', 'Z']).slice(0, 3)
+    return this.createProblem('Which capital letter has perpendicular lines?', letter, 'Perpendicular Lines', grade, true, [letter, ...others], {
+      solution: [
+        this.step('Perpendicular lines meet at a square corner (90°)'),
+        this.step(`In ${letter} the straight up-and-down line meets a side-to-side line at a square corner`),
+        this.step(`${others.join(', ')} are curved or meet at slanted angles`)
+      ]
+    })
+  }
+
+  genEqualSides(grade) {
+    // 📏 Equal Sides
+    if (this.random() < 0.5) {
+      const shapes = [
+        { name: 'square', equal: 4 },
+        { name: 'equilateral triangle', equal: 3 },
+        { name: 'isosceles triangle', equal: 2 },
+        { name: 'regular hexagon', equal: 6 },
+        { name: 'regular pentagon', equal: 5 }
+      ]
+      const shape = shapes[Math.floor(this.random() * shapes.length)]
+      return this.createProblem(`How many equal sides does ${this.article(shape.name)} ${shape.name} have?`, shape.equal, 'Equal Sides', grade, true, null, {
+        distractors: [
+          this.mistake('off-by-one', shape.equal)
+        ],
+        solution: [
+          this.step(shape.name.startsWith('regular') || shape.name === 'square' || shape.name === 'equilateral triangle'
+            ? 'All the sides of this shape are the same length'
+            : 'An isosceles triangle has exactly 2 sides the same length'),
+          this.step(`So ${this.article(shape.name)} ${shape.name} has ${shape.equal} equal sides`)
+        ]
+      })
+    }
+
+    const shapes = [['square', 4], ['regular pentagon', 5], ['regular hexagon', 6], ['equilateral triangle', 3]]
+    const [name, sides] = shapes[Math.floor(this.random() * shapes.length)]
+    const side = Math.floor(this.random() * 9) + 2
+    return this.createProblem(`A ${name} has one side that is ${side} cm long. What is the total length of all its sides?`, `${side * sides} cm`, 'Equal Sides', grade, true, null, {
+      answerType: 'quantity',
+      distractors: [
+        this.mistake('off-by-one', side * sides, -side)
+      ],
+      solution: [
+        this.step(`All ${sides} sides of ${this.article(name)} ${name} are equal, so each side is ${side} cm`),
+        this.step('Add the sides (or multiply)', `${sides} × ${side} = ${side * sides}`)
+      ]
+    })
+  }
+
+  genShapeProperties(grade) {
+    // ✅ Shape Properties: does this shape have this property?
+    const shapes = {
+      'square': { 'parallel sides': true, 'square corners (right angles)': true, 'all sides equal': true },
+      'rectangle': { 'parallel sides': true, 'square corners (right angles)': true, 'all sides equal': false },
+      'rhombus': { 'parallel sides': true, 'square corners (right angles)': false, 'all sides equal': true },
+      'trapezoid': { 'parallel sides': true, 'square corners (right angles)': false, 'all sides equal': false },
+      'equilateral triangle': { 'parallel sides': false, 'square corners (right angles)': false, 'all sides equal': true }
+    }
+    const names = Object.keys(shapes)
+    const name = names[Math.floor(this.random() * names.length)]
+    const properties = Object.keys(shapes[name])
+    const property = properties[Math.floor(this.random() * properties.length)]
+    const has = shapes[name][property]
+    return this.createProblem(`Does ${this.article(name)} ${name} have ${property}?`, has ? 'yes' : 'no', 'Shape Properties', grade, true, ['yes', 'no'], {
+      solution: [
+        this.step(`Picture ${this.article(name)} ${name} and check for ${property}`),
+        this.step(`A ${name} ${has ? 'has' : 'does not have'} ${property}`)
+      ]
+    })
+  }
+
+  genKilometers(grade) {
+    // 🛣️ Kilometers
+    const km = Math.floor(this.random() * 9) + 1
+    if (this.random() < 0.5) {
+      // Asked plainly, or as a hike
+      const hike = this.random() < 0.5 ? this.story('convert', { amount: km }, grade, { units: ['km', 'm'] }) : null
+      return this.createProblem(hike ? hike.question : `How many meters are in ${km} kilometer(s)?`, `${km * 1000} m`, 'Kilometers', grade, false, null, {
+        story: hike?.story,
+        answerType: 'quantity',
+        unitRequired: true,
+        distractors: [
+          this.mistake('wrong-conversion-factor', km, 100)
+        ],
+        solution: [
+          this.step('There are 1000 meters in 1 kilometer', '1 km = 1000 m'),
+          this.step(`Multiply ${km} by 1000`, `${km} × 1000 = ${km * 1000}`)
+        ]
+      })
+    }
+
+    // 📖 A walk, a run or a ski trail measured in meters
+    const { question, story } = this.story('convert', { amount: km * 1000 }, grade, { units: ['m', 'km'] })
+    return this.createProblem(question, `${km} km`, 'Kilometers', grade, false, null, {
+      story,
+      answerType: 'quantity',
+      unitRequired: true,
+      distractors: [
+        this.mistake('wrong-conversion-factor', km * 1000, 0.01)
+      ],
+      solution: [
+        this.step('Every 1000 meters makes 1 kilometer', '1000 m = 1 km'),
+        this.step(`Divide ${km * 1000} by 1000`, `${km * 1000} ÷ 1000 = ${km}`)
+      ]
+    })
+  }
+
+  genMetricUnits(grade) {
+    // 📐 Metric Units: pick the best unit for the job
+    const things = [
+      { what: 'the length of an ant', unit: 'mm' },
+      { what: 'the length of a pencil', unit: 'cm' },
+      { what: 'the height of a classroom door', unit: 'm' },
+      { what: 'the distance from Calgary to Edmonton', unit: 'km' },
+      { what: 'the width of your fingernail', unit: 'mm' },
+      { what: 'the length of a hockey rink', unit: 'm' }
+    ]
+    const chosen = things[Math.floor(this.random() * things.length)]
+    return this.createProblem(`Which unit is best for measuring ${chosen.what}?`, chosen.unit, 'Metric Units', grade, true, ['mm', 'cm', 'm', 'km'], {
+      solution: [
+        this.step('mm for tiny things, cm for small things, m for big things, km for long distances'),
+        this.step(`For ${chosen.what}, use ${chosen.unit}`)
+      ]
+    })
+  }
+
+  genDigitalClocks(grade) {
+    if (this.random() < 0.5) {
       // Reading a time
-      const hours = Math.floor(Math.random() * 11) + 1
-      const minutes = [0, 15, 30, 45][Math.floor(Math.random() * 4)]
+      const hours = Math.floor(this.random() * 11) + 1
+      const minutes = [0, 15, 30, 45][Math.floor(this.random() * 4)]
       return this.createProblem(
         `A clock shows ${hours} o'clock and ${minutes} minutes. What time is it?`,
         `${hours}:${minutes.toString().padStart(2, '0')}`,
         'Telling Time',
-        grade
+        grade,
+        false,
+        null,
+        {
+          solution: [
+            this.step('Write the hour first, then a colon, then the minutes'),
+            this.step('Minutes always use two digits', `${hours}:${minutes.toString().padStart(2, '0')}`)
+          ]
+        }
       )
+    }
 
-    } else if (questionType === 1) {
+    // Minutes until the next hour
+    const hours = Math.floor(this.random() * 11) + 1
+    const minutes = (Math.floor(this.random() * 11) + 1) * 5
+    return this.createProblem(
+      `A digital clock shows ${hours}:${minutes.toString().padStart(2, '0')}. How many minutes until ${hours + 1}:00?`,
+      60 - minutes,
+      'Digital Clocks',
+      grade,
+      true,
+      null,
+      {
+        solution: [
+          this.step('There are 60 minutes in an hour'),
+          this.step(`Count on from ${minutes} minutes to 60 minutes`, `60 - ${minutes} = ${60 - minutes}`)
+        ]
+      }
+    )
+  }
+
+  genElapsedTime(grade) {
+    if (this.random() < 0.5) {
       // Elapsed time
-      const startHour = Math.floor(Math.random() * 10) + 1
-      const elapsedHours = Math.floor(Math.random() * 3) + 1
+      const startHour = Math.floor(this.random() * 10) + 1
+      const elapsedHours = Math.floor(this.random() * 3) + 1
       const endHour = startHour + elapsedHours
       return this.createProblem(
         `It's ${startHour}:00. In ${elapsedHours} hour(s), what time will it be?`,
         `${endHour}:00`,
         'Elapsed Time',
-        grade
+        grade,
+        false,
+        null,
+        {
+          solution: [
+            this.step(`Start at ${startHour}:00 and move the hour hand forward ${elapsedHours} hour(s)`),
+            this.step('Add the hours', `${startHour} + ${elapsedHours} = ${endHour}`),
+            this.step(`The time will be ${endHour}:00`)
+          ]
+        }
       )
+    }
 
-    } else if (questionType === 2) {
+    // How long between two times in the same hour
+    const hour = Math.floor(this.random() * 11) + 1
+    const start = Math.floor(this.random() * 6) * 5
+    const end = start + (Math.floor(this.random() * 6) + 1) * 5
+    return this.createProblem(
+      `Recess starts at ${hour}:${start.toString().padStart(2, '0')} and ends at ${hour}:${end.toString().padStart(2, '0')}. How many minutes long is recess?`,
+      end - start,
+      'Elapsed Time',
+      grade,
+      true,
+      null,
+      {
+        distractors: [
+          this.mistake('added-instead-of-subtracted', end, start)
+        ],
+        solution: [
+          this.step('The hour stays the same, so compare the minutes'),
+          this.step('Count on from the start to the end', `${end} - ${start} = ${end - start}`)
+        ]
+      }
+    )
+  }
+
+  genMinutes(grade) {
+    if (this.random() < 0.5) {
       // Minutes in an hour
       return this.createProblem(
         'How many minutes are in 1 hour?',
         60,
         'Time Facts',
-        grade
+        grade,
+        false,
+        null,
+        {
+          solution: [
+            this.step('The minute hand goes all the way around the clock in 1 hour'),
+            this.step('One trip around is 60 minutes', '1 hour = 60 minutes')
+          ]
+        }
       )
+    }
 
-    } else {
-      // Half past / quarter past
-      const hours = Math.floor(Math.random() * 11) + 1
-      const phrases = [
-        { phrase: 'half past', minutes: 30 },
-        { phrase: 'quarter past', minutes: 15 },
-        { phrase: 'quarter to', minutes: 45 }
-      ]
-      const chosen = phrases[Math.floor(Math.random() * phrases.length)]
-      const displayHour = chosen.phrase === 'quarter to' ? (hours % 12) + 1 : hours
-      return this.createProblem(
-        `What time is "${chosen.phrase} ${displayHour}"?`,
-        `${hours}:${chosen.minutes.toString().padStart(2, '0')}`,
-        'Telling Time',
-        grade
-      )
+    const hours = Math.floor(this.random() * 4) + 2
+    return this.createProblem(`How many minutes are in ${hours} hours?`, `${hours * 60} min`, 'Minutes', grade, false, null, {
+      answerType: 'quantity',
+      unitRequired: true,
+      distractors: [
+        this.mistake('wrong-conversion-factor', hours, 100)
+      ],
+      solution: [
+        this.step('Every hour has 60 minutes', '1 h = 60 min'),
+        this.step(`Multiply ${hours} by 60`, `${hours} × 60 = ${hours * 60}`)
+      ]
+    })
+  }
+
+  genHours(grade) {
+    // 🕐 Hours
+    if (this.random() < 0.5) {
+      return this.createProblem('How many hours are in one day?', 24, 'Hours', grade, true, [24, 12, 60, 7], {
+        solution: [
+          this.step('The hour hand goes around the clock twice in a day - once for a.m. and once for p.m.'),
+          this.step('12 hours twice is 24 hours', '12 × 2 = 24')
+        ]
+      })
+    }
+
+    const start = Math.floor(this.random() * 4) + 7
+    const end = Math.floor(this.random() * 5) + 1
+    const hours = 12 - start + end
+    return this.createProblem(`School starts at ${start}:00 in the morning. Soccer practice starts at ${end}:00 in the afternoon. How many hours apart are they?`, hours, 'Hours', grade, true, null, {
+      distractors: [
+        this.mistake('off-by-one', hours)
+      ],
+      solution: [
+        this.step(`From ${start}:00 to 12:00 noon`, `12 - ${start} = ${12 - start} hours`),
+        this.step(`From 12:00 noon to ${end}:00`, `${end} hours`),
+        this.step('Add the two parts', `${12 - start} + ${end} = ${hours}`)
+      ]
+    })
+  }
+
+  genAnalogClocks(grade) {
+    const questionType = Math.floor(this.random() * 4)
+
+    if (questionType === 0) {
+      // 🕐 Where is the minute hand pointing?
+      const hour = Math.floor(this.random() * 12) + 1
+      const number = Math.floor(this.random() * 11) + 1
+      return this.createProblem('How many minutes past the hour does the clock show?', number * 5, 'Analog Clocks', grade, true, null, {
+        figure: { type: 'clock', hour, minute: number * 5 },
+        distractors: [
+          this.mistake('read-clock-number-as-minutes', number)
+        ],
+        solution: [
+          this.step(`The long minute hand points to the ${number}`),
+          this.step('Each number on the clock is 5 minutes for the minute hand'),
+          this.step(`Count by 5s up to ${number}`, `${number} × 5 = ${number * 5}`)
+        ]
+      })
+    }
+
+    if (questionType === 1) {
+      // 🕐 Read the whole time: hours and half hours first, then 5 minutes, then any minute
+      const hour = Math.floor(this.random() * 12) + 1
+      const minuteStep = this.activeDifficulty <= 2 ? 30 : this.activeDifficulty <= 7 ? 5 : 1
+      const minute = Math.floor(this.random() * (60 / minuteStep)) * minuteStep
+      const time = `${hour}:${minute.toString().padStart(2, '0')}`
+      const distractors = [this.mistake('swapped-clock-hands', hour, minute)]
+      if (minute >= 30) {
+        distractors.push(this.mistake('read-next-hour', hour, minute))
+      }
+      return this.createProblem('What time does the clock show?', time, 'Analog Clocks', grade, false, null, {
+        answerType: 'time',
+        figure: { type: 'clock', hour, minute },
+        distractors: minute % 5 === 0 ? distractors : distractors.slice(1),
+        solution: [
+          this.step(minute === 0
+            ? `The short hour hand points right at the ${hour}, so the hour is ${hour}`
+            : `The short hour hand has passed the ${hour} but not the next number, so the hour is ${hour}`),
+          this.step('The long minute hand counts minutes: 5 for each number', `${minute} minutes`),
+          this.step('Put the hour and minutes together', time)
+        ]
+      })
+    }
+
+    if (questionType === 2) {
+      // 🕐 Set the hands yourself
+      const hour = Math.floor(this.random() * 12) + 1
+      const minuteStep = this.activeDifficulty <= 3 ? 15 : 5
+      const minute = Math.floor(this.random() * (60 / minuteStep)) * minuteStep
+      const time = `${hour}:${minute.toString().padStart(2, '0')}`
+      return this.createProblem(`Set the clock to ${time}.`, time, 'Analog Clocks', grade, false, null, {
+        answerType: 'time',
+        interaction: { type: 'set-clock', step: minuteStep },
+        distractors: [
+          this.mistake('swapped-clock-hands', hour, minute)
+        ],
+        solution: [
+          this.step(`Point the long minute hand at ${minute === 0 ? 'the 12' : `${minute} minutes (the ${minute / 5})`}`),
+          this.step(`Point the short hour hand at the ${hour}${minute === 0 ? '' : ' (it moves a little past as the minutes go by)'}`)
+        ]
+      })
     }
+
+    // Half past / quarter past
+    const hours = Math.floor(this.random() * 11) + 1
+    const phrases = [
+      { phrase: 'half past', minutes: 30 },
+      { phrase: 'quarter past', minutes: 15 },
+      { phrase: 'quarter to', minutes: 45 }
+    ]
+    const chosen = phrases[Math.floor(this.random() * phrases.length)]
+    const displayHour = chosen.phrase === 'quarter to' ? (hours % 12) + 1 : hours
+    return this.createProblem(
+      `What time is "${chosen.phrase} ${displayHour}"?`,
+      `${hours}:${chosen.minutes.toString().padStart(2, '0')}`,
+      'Telling Time',
+      grade,
+      false,
+      null,
+      {
+        answerType: 'time',
+        distractors: chosen.phrase === 'quarter to'
+          ? [this.mistake('quarter-to-as-quarter-past', displayHour), this.mistake('quarter-to-as-quarter-past', hours)]
+          : [],
+        solution: chosen.phrase === 'quarter to'
+          ? [
+            this.step(`"Quarter to ${displayHour}" means 15 minutes before ${displayHour}:00`),
+            this.step(`15 minutes before the hour is 45 minutes past the hour before`, `${hours}:45`)
+          ]
+          : [
+            this.step(`"${chosen.phrase}" means ${chosen.minutes} minutes after the hour`),
+            this.step(`So it is ${chosen.minutes} minutes after ${hours}:00`, `${hours}:${chosen.minutes.toString().padStart(2, '0')}`)
+          ]
+      }
+    )
   }
 
   // Grade 4
   genOperationsTo10000(grade) {
-    const a = Math.floor(Math.random() * 5000) + 1000
-    const b = Math.floor(Math.random() * 3000) + 500
-    return this.createProblem(`${a} + ${b} = ?`, a + b, 'Operations to 10,000', grade)
+    const a = Math.floor(this.random() * this.scaled(2000, 5000, 5000)) + 1000
+    const b = Math.floor(this.random() * this.scaled(1000, 3000, 3500)) + 500
+    return this.createProblem(`${a} + ${b} = ?`, a + b, 'Operations to 10,000', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-to-carry', a, b)
+      ],
+      solution: this.columnAdditionSteps(a, b)
+    })
   }
 
   genMultDiv(grade) {
-    const a = Math.floor(Math.random() * 90) + 10
-    const b = Math.floor(Math.random() * 9) + 2
-    return this.createProblem(`${a} × ${b} = ?`, a * b, 'Multiplication & Division', grade)
+    // 2-digit numbers usually, 3-digit ones on hard levels
+    const a = Math.floor(this.random() * this.scaled(40, 90, 900)) + 10
+    const b = Math.floor(this.random() * this.scaled(4, 9, 9)) + 2
+    const tens = a - a % 10
+    const ones = a % 10
+    // Asked plainly, or as b equal groups of a
+    const told = this.random() < 0.3 ? this.story('groups', { groups: b, each: a }, grade) : null
+    return this.createProblem(told ? told.question : `${a} × ${b} = ?`, a * b, 'Multiplication & Division', grade, false, null, {
+      story: told?.story,
+      distractors: [
+        this.mistake('added-instead-of-multiplied', a, b),
+        this.mistake('off-by-one', a * b, -ones * b)
+      ],
+      solution: [
+        this.step(`Split ${a} into tens and ones`, `${a} = ${tens} + ${ones}`),
+        this.step('Multiply the tens', `${tens} × ${b} = ${tens * b}`),
+        this.step('Multiply the ones', `${ones} × ${b} = ${ones * b}`),
+        this.step('Add the two parts', `${tens * b} + ${ones * b} = ${a * b}`)
+      ]
+    })
   }
 
   genClassifyShapes(grade) {
     // ═══════════════════════════════════════════════════════════════
     // 📐 GRADE 4: Classifying Angles & Triangles
     // ═══════════════════════════════════════════════════════════════
-    const questionType = Math.floor(Math.random() * 3)
+    const questionType = Math.floor(this.random() * 3)
 
     if (questionType === 0) {
+      return this.genAngleMeasurement(grade)
+    } else if (questionType === 1) {
+      return this.genTriangles(grade)
+    } else {
+      return this.genQuadrilaterals(grade)
+    }
+  }
+
+  genAreaRectangles(grade) {
+    const l = Math.floor(this.random() * 12) + 2
+    const w = Math.floor(this.random() * 8) + 2
+    return this.createProblem(`Area of rectangle: length=${l}, width=${w}`, l * w, 'Area of Rectangles', grade, false, null, {
+      distractors: [
+        this.mistake('perimeter-instead-of-area', l, w)
+      ],
+      solution: [
+        this.step('Area of a rectangle = length × width', 'A = l × w'),
+        this.step('Substitute the length and width', `A = ${l} × ${w} = ${l * w}`)
+      ]
+    })
+  }
+
+  genDataRepresentation(grade) {
+    const values = [Math.floor(this.random() * 20) + 5, Math.floor(this.random() * 20) + 5, Math.floor(this.random() * 20) + 5]
+    const total = values.reduce((a, b) => a + b, 0)
+    return this.createProblem(`Bar graph shows: ${values[0]}, ${values[1]}, ${values[2]}. Total?`, total, 'Data Representation', grade, false, null, {
+      solution: [
+        this.step('Read the height of each bar', values.join(', ')),
+        this.step('Add all the bars together', `${values.join(' + ')} = ${total}`)
+      ]
+    })
+  }
+
+  // Grade 4 - topic generators
+  genSubtractingTo10000(grade) {
+    const a = Math.floor(this.random() * 6000) + 3500
+    const b = Math.floor(this.random() * (a - 2000)) + 1000
+    // Asked plainly, or as "how many more"
+    const told = this.random() < 0.3 ? this.story('compare', { big: a, small: b }, grade) : null
+    return this.createProblem(told ? told.question : `${a} - ${b} = ?`, a - b, 'Subtraction to 10,000', grade, false, null, {
+      story: told?.story,
+      distractors: [
+        this.mistake('subtracted-smaller-digit', a, b),
+        this.mistake('added-instead-of-subtracted', a, b)
+      ],
+      solution: this.columnSubtractionSteps(a, b)
+    })
+  }
+
+  genDecimalsAddition(grade) {
+    // ➕ Adding decimals (tenths and hundredths)
+    const a = (Math.floor(this.random() * 900) + 100) / 100
+    const b = (Math.floor(this.random() * 90) + 10) / 10
+    const sum = Math.round((a + b) * 100) / 100
+    return this.createProblem(`${a} + ${b} = ?`, sum, 'Adding Decimals', grade, false, null, {
+      solution: [
+        this.step('Line up the decimal points, so tenths add to tenths and hundredths to hundredths'),
+        this.step('Write a 0 so both numbers have the same number of decimal places', `${a.toFixed(2)} + ${b.toFixed(2)}`),
+        this.step('Add like whole numbers and keep the decimal point in line', `${a.toFixed(2)} + ${b.toFixed(2)} = ${sum.toFixed(2)}`)
+      ]
+    })
+  }
+
+  genDecimalsSubtraction(grade) {
+    // ➖ Subtracting decimals (tenths and hundredths)
+    const a = (Math.floor(this.random() * 900) + 500) / 100
+    const b = (Math.floor(this.random() * (a * 10 - 10)) + 5) / 10
+    const difference = Math.round((a - b) * 100) / 100
+    return this.createProblem(`${a} - ${b} = ?`, difference, 'Subtracting Decimals', grade, false, null, {
+      distractors: [
+        this.mistake('added-instead-of-subtracted', a, b)
+      ],
+      solution: [
+        this.step('Line up the decimal points, so tenths are under tenths and hundredths under hundredths'),
+        this.step('Write a 0 so both numbers have the same number of decimal places', `${a.toFixed(2)} - ${b.toFixed(2)}`),
+        this.step('Subtract like whole numbers and keep the decimal point in line', `${a.toFixed(2)} - ${b.toFixed(2)} = ${difference.toFixed(2)}`)
+      ]
+    })
+  }
+
+  genMultiply3Digit(grade) {
+    // ✖️ 3-digit × 1-digit with partial products
+    const a = Math.floor(this.random() * 900) + 100
+    const b = Math.floor(this.random() * 8) + 2
+    const parts = [a - a % 100, a % 100 - a % 10, a % 10].filter(part => part > 0)
+    return this.createProblem(`${a} × ${b} = ?`, a * b, 'Multiplying 3-Digit Numbers', grade, false, null, {
+      distractors: [
+        this.mistake('added-instead-of-multiplied', a, b)
+      ],
+      solution: [
+        this.step(`Split ${a} by place value`, `${a} = ${parts.join(' + ')}`),
+        ...parts.map(part => this.step(`Multiply ${part} by ${b}`, `${part} × ${b} = ${part * b}`)),
+        this.step('Add the partial products', `${parts.map(part => part * b).join(' + ')} = ${a * b}`)
+      ]
+    })
+  }
+
+  genDivide3Digit(grade) {
+    // ➗ 3-digit ÷ 1-digit, sharing out hundreds, tens and ones
+    const divisor = Math.floor(this.random() * 8) + 2
+    const quotient = Math.floor(this.random() * Math.floor(999 / divisor - 100 / divisor)) + Math.ceil(100 / divisor)
+    const dividend = divisor * quotient
+    const chunks = []
+    let left = dividend
+    for (const place of [100, 10, 1]) {
+      const times = Math.floor(left / (divisor * place)) * place
+      if (times > 0) {
+        chunks.push(times)
+        left -= times * divisor
+      }
+    }
+    // Asked plainly, or as sharing equally
+    const told = this.random() < 0.3 ? this.story('share', { total: dividend, shares: divisor }, grade) : null
+    return this.createProblem(told ? told.question : `${dividend} ÷ ${divisor} = ?`, quotient, 'Dividing 3-Digit Numbers', grade, false, null, {
+      story: told?.story,
+      distractors: [
+        this.mistake('multiplied-instead-of-divided', dividend, divisor)
+      ],
+      solution: [
+        this.step(`Split ${dividend} into parts that ${divisor} divides easily`, chunks.map(c => c * divisor).join(' + ')),
+        ...chunks.map(c => this.step(`Divide ${c * divisor} by ${divisor}`, `${c * divisor} ÷ ${divisor} = ${c}`)),
+        this.step('Add the answers', `${chunks.join(' + ')} = ${quotient}`)
+      ]
+    })
+  }
+
+  genDivisionWithRemainder(grade) {
+    // ➗ One-digit divisor with a remainder
+    const divisor = Math.floor(this.random() * 8) + 2
+    const quotient = Math.floor(this.random() * 20) + 10
+    const remainder = Math.floor(this.random() * (divisor - 1)) + 1
+    const dividend = divisor * quotient + remainder
+    return this.createProblem(
+      `${dividend} ÷ ${divisor} = ? Give the quotient and the remainder (like "5, 2").`,
+      `${quotient}, ${remainder}`,
+      'One-Digit Divisor',
+      grade,
+      false,
+      null,
+      {
+        answerSet: { values: [quotient, remainder], ordered: true },
+        solution: [
+          this.step(`Find the biggest multiple of ${divisor} that fits into ${dividend}`, `${divisor} × ${quotient} = ${divisor * quotient}`),
+          this.step('What is left over is the remainder', `${dividend} - ${divisor * quotient} = ${remainder}`),
+          this.step('The remainder must be less than the divisor', `${remainder} < ${divisor}`),
+          this.step(`So ${dividend} ÷ ${divisor} = ${quotient} R${remainder}`)
+        ]
+      }
+    )
+  }
+
+  genAngleMeasurement(grade) {
+    if (this.random() < 0.5) {
       // Angle classification
       const angleValues = [30, 45, 60, 85, 90, 100, 120, 150]
-      const angle = angleValues[Math.floor(Math.random() * angleValues.length)]
+      const angle = angleValues[Math.floor(this.random() * angleValues.length)]
       let correct = angle < 90 ? 'acute' : angle === 90 ? 'right' : 'obtuse'
       return this.createProblem(
         `An angle measuring ${angle}° is classified as...?`,
         correct,
         'Classifying Angles',
-        grade
+        grade,
+        false,
+        null,
+        {
+          solution: [
+            this.step('Acute angles are less than 90°, right angles are exactly 90°, obtuse angles are more than 90°'),
+            this.step(`${angle}° is ${angle < 90 ? 'less than' : angle === 90 ? 'exactly' : 'more than'} 90°, so it is ${correct}`)
+          ]
+        }
       )
-    } else if (questionType === 1) {
+    }
+
+    // Angle between clock hands on the hour
+    const hour = [1, 2, 3, 4, 5, 6][Math.floor(this.random() * 6)]
+    return this.createProblem(`At ${hour}:00, what angle do the hands of a clock make?`, `${hour * 30}°`, 'Angle Measurement', grade, true, [hour * 30, ...this.shuffle([30, 60, 90, 120, 150, 180].filter(a => a !== hour * 30)).slice(0, 3)].map(a => `${a}°`), {
+      solution: [
+        this.step('A full turn is 360° and the clock has 12 numbers', '360° ÷ 12 = 30°'),
+        this.step(`At ${hour}:00 the hands are ${hour} number(s) apart`, `${hour} × 30° = ${hour * 30}°`)
+      ]
+    })
+  }
+
+  genTriangles(grade) {
+    if (this.random() < 0.5) {
       // Triangle by sides
       const types = [
         { name: 'equilateral', desc: 'all 3 sides are EQUAL' },
         { name: 'isosceles', desc: 'exactly 2 sides are EQUAL' },
         { name: 'scalene', desc: 'NO sides are equal' }
       ]
-      const chosen = types[Math.floor(Math.random() * types.length)]
+      const chosen = types[Math.floor(this.random() * types.length)]
       return this.createProblem(
         `A triangle where ${chosen.desc} is called...?`,
         chosen.name,
         'Classifying Triangles',
-        grade
-      )
-    } else {
-      // Quadrilateral identification
-      const quads = [
-        { name: 'square', desc: '4 equal sides AND 4 right angles' },
-        { name: 'rectangle', desc: 'opposite sides equal AND 4 right angles' },
-        { name: 'rhombus', desc: '4 equal sides but angles are NOT 90°' },
-        { name: 'trapezoid', desc: 'exactly ONE pair of parallel sides' }
-      ]
-      const chosen = quads[Math.floor(Math.random() * quads.length)]
-      return this.createProblem(
-        `A quadrilateral with ${chosen.desc} is called...?`,
-        chosen.name,
-        'Classifying Quadrilaterals',
-        grade
+        grade,
+        false,
+        null,
+        {
+          solution: [
+            this.step('Equilateral = 3 equal sides, isosceles = 2 equal sides, scalene = no equal sides'),
+            this.step(`This triangle has ${chosen.desc.toLowerCase()}, so it is ${chosen.name}`)
+          ]
+        }
       )
     }
+
+    // Triangle by angles
+    const types = [
+      { name: 'right', desc: 'one angle is exactly 90°' },
+      { name: 'obtuse', desc: 'one angle is more than 90°' },
+      { name: 'acute', desc: 'all three angles are less than 90°' }
+    ]
+    const chosen = types[Math.floor(this.random() * types.length)]
+    return this.createProblem(`A triangle where ${chosen.desc} is called a(n) ___ triangle.`, chosen.name, 'Classifying Triangles', grade, true, types.map(t => t.name), {
+      solution: [
+        this.step('Triangles can also be named by their biggest angle'),
+        this.step('Right = one 90° angle, obtuse = one angle over 90°, acute = every angle under 90°'),
+        this.step(`So it is a(n) ${chosen.name} triangle`)
+      ]
+    })
   }
 
-  genAreaRectangles(grade) {
-    const l = Math.floor(Math.random() * 12) + 2
-    const w = Math.floor(Math.random() * 8) + 2
-    return this.createProblem(`Area of rectangle: length=${l}, width=${w}`, l * w, 'Area of Rectangles', grade)
+  genQuadrilaterals(grade) {
+    // Quadrilateral identification
+    const quads = [
+      { name: 'square', desc: '4 equal sides AND 4 right angles' },
+      { name: 'rectangle', desc: 'opposite sides equal AND 4 right angles' },
+      { name: 'rhombus', desc: '4 equal sides but angles are NOT 90°' },
+      { name: 'trapezoid', desc: 'exactly ONE pair of parallel sides' },
+      { name: 'parallelogram', desc: 'TWO pairs of parallel sides, no right angles, and sides NOT all equal' }
+    ]
+    const chosen = quads[Math.floor(this.random() * quads.length)]
+    return this.createProblem(
+      `A quadrilateral with ${chosen.desc} is called...?`,
+      chosen.name,
+      'Classifying Quadrilaterals',
+      grade,
+      false,
+      null,
+      {
+        solution: [
+          this.step('Check the sides, the angles and the parallel sides'),
+          this.step(`A quadrilateral with ${chosen.desc.toLowerCase()} is a ${chosen.name}`)
+        ]
+      }
+    )
   }
 
-  genDataRepresentation(grade) {
-    const values = [Math.floor(Math.random() * 20) + 5, Math.floor(Math.random() * 20) + 5, Math.floor(Math.random() * 20) + 5]
-    const total = values.reduce((a, b) => a + b, 0)
-    return this.createProblem(`Bar graph shows: ${values[0]}, ${values[1]}, ${values[2]}. Total?`, total, 'Data Representation', grade)
+  genSideMeasurement(grade) {
+    // 📏 Side Measurement: find a missing side from the perimeter
+    const a = Math.floor(this.random() * 8) + 3
+    const b = Math.floor(this.random() * 8) + 3
+    const c = Math.floor(this.random() * (a + b - Math.abs(a - b) - 1)) + Math.abs(a - b) + 1
+    const perimeter = a + b + c
+    return this.createProblem(`A triangle has sides of ${a} cm and ${b} cm. Its perimeter is ${perimeter} cm. How long is the third side?`, `${c} cm`, 'Side Measurement', grade, false, null, {
+      answerType: 'quantity',
+      distractors: [
+        this.mistake('added-instead-of-subtracted', perimeter, a + b)
+      ],
+      solution: [
+        this.step('The perimeter is all three sides added together'),
+        this.step('Add the two sides you know', `${a} + ${b} = ${a + b}`),
+        this.step('Take that away from the perimeter', `${perimeter} - ${a + b} = ${c}`)
+      ]
+    })
+  }
+
+  genRectangles(grade) {
+    // ▭ Rectangles: find a missing side from the area
+    const length = Math.floor(this.random() * 9) + 3
+    const width = Math.floor(this.random() * 8) + 2
+    const area = length * width
+    return this.createProblem(`A rectangle has an area of ${area} cm² and a length of ${length} cm. How wide is it?`, `${width} cm`, 'Rectangles', grade, false, null, {
+      answerType: 'quantity',
+      distractors: [
+        this.mistake('multiplied-instead-of-divided', area, length)
+      ],
+      solution: [
+        this.step('Area of a rectangle = length × width', 'A = l × w'),
+        this.step('Fill in what you know', `${area} = ${length} × w`),
+        this.step('Divide the area by the length', `w = ${area} ÷ ${length} = ${width}`)
+      ]
+    })
+  }
+
+  genSquareUnits(grade) {
+    // 🟦 Square Units: count the unit squares in a grid
+    const rows = Math.floor(this.random() * 6) + 2
+    const columns = Math.floor(this.random() * 6) + 2
+    return this.createProblem(`A rectangle is covered by ${rows} rows of 1 cm × 1 cm squares, with ${columns} squares in each row. What is its area?`, `${rows * columns} cm²`, 'Square Units', grade, false, null, {
+      answerType: 'quantity',
+      distractors: [
+        this.mistake('wrong-kind-of-unit', `${rows * columns} cm`),
+        this.mistake('perimeter-instead-of-area', rows, columns)
+      ],
+      solution: [
+        this.step('Each square is 1 square centimeter (1 cm²)'),
+        this.step('Count the squares: rows × squares in each row', `${rows} × ${columns} = ${rows * columns}`),
+        this.step('Area is measured in square units', `${rows * columns} cm²`)
+      ]
+    })
+  }
+
+  genMeasuringArea(grade) {
+    // 📐 Measuring Area: choose the right square unit
+    const things = [
+      { what: 'a sticky note', unit: 'cm²' },
+      { what: 'a page of a notebook', unit: 'cm²' },
+      { what: 'the classroom floor', unit: 'm²' },
+      { what: 'a soccer field', unit: 'm²' },
+      { what: 'Banff National Park', unit: 'km²' }
+    ]
+    const chosen = things[Math.floor(this.random() * things.length)]
+    return this.createProblem(`Which unit is best for measuring the area of ${chosen.what}?`, chosen.unit, 'Measuring Area', grade, true, ['cm²', 'm²', 'km²', 'cm'], {
+      distractors: [
+        this.mistake('wrong-kind-of-unit', 'cm')
+      ],
+      solution: [
+        this.step('Area is measured in SQUARE units'),
+        this.step('cm² for small things, m² for rooms and fields, km² for huge places'),
+        this.step(`For ${chosen.what}, use ${chosen.unit}`)
+      ]
+    })
+  }
+
+  genLinePlots(grade) {
+    // ✖️ Line Plots: each X is one student
+    const counts = [0, 1, 2, 3, 4].map(() => Math.floor(this.random() * 5) + 1)
+    const plot = counts.map((count, pets) => `${pets}: ${'X'.repeat(count)}`).join(' | ')
+    const atLeast = Math.floor(this.random() * 3) + 2
+    const answer = counts.slice(atLeast).reduce((sum, n) => sum + n, 0)
+    return this.createProblem(`A line plot shows how many pets students have: ${plot}. How many students have ${atLeast} or more pets?`, answer, 'Line Plots', grade, true, null, {
+      distractors: [
+        this.mistake('off-by-one', answer, -counts[atLeast]),
+        this.mistake('off-by-one', answer, counts[atLeast - 1])
+      ],
+      solution: [
+        this.step('Each X is one student, sitting above how many pets they have'),
+        this.step(`Count the X's for ${atLeast} pets and more`, `${counts.slice(atLeast).join(' + ')} = ${answer}`)
+      ]
+    })
   }
 
   // Grade 5
   genOperationsMillion(grade) {
-    const a = Math.floor(Math.random() * 50000) + 10000
-    const b = Math.floor(Math.random() * 30000) + 5000
-    return this.createProblem(`${a.toLocaleString()} + ${b.toLocaleString()} = ?`, a + b, 'Large Number Operations', grade)
+    const a = Math.floor(this.random() * this.scaled(20000, 50000, 500000)) + 10000
+    const b = Math.floor(this.random() * this.scaled(10000, 30000, 300000)) + 5000
+    return this.createProblem(`${a.toLocaleString()} + ${b.toLocaleString()} = ?`, a + b, 'Large Number Operations', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-to-carry', a, b)
+      ],
+      solution: this.columnAdditionSteps(a, b)
+    })
   }
 
   genMultiDigitMult(grade) {
-    const a = Math.floor(Math.random() * 90) + 10
-    const b = Math.floor(Math.random() * 90) + 10
-    return this.createProblem(`${a} × ${b} = ?`, a * b, 'Multi-digit Multiplication', grade)
+    const a = Math.floor(this.random() * this.scaled(40, 90, 900)) + 10
+    const b = Math.floor(this.random() * 90) + 10
+    const bTens = b - b % 10
+    const bOnes = b % 10
+    return this.createProblem(`${a} × ${b} = ?`, a * b, 'Multi-digit Multiplication', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-placeholder-zero', a, b)
+      ],
+      solution: [
+        this.step(`Split ${b} into tens and ones`, `${b} = ${bTens} + ${bOnes}`),
+        this.step(`Multiply ${a} by the ones`, `${a} × ${bOnes} = ${a * bOnes}`),
+        this.step(`Multiply ${a} by the tens`, `${a} × ${bTens} = ${a * bTens}`),
+        this.step('Add the partial products', `${a * bOnes} + ${a * bTens} = ${a * b}`)
+      ]
+    })
   }
 
   genFractions(grade) {
     // 🍕 GRADE 5: Fractions
-    const problemType = Math.floor(Math.random() * 6) + 1
+    const problemType = Math.floor(this.random() * 6) + 1
 
     if (problemType === 1) {
-      // Adding fractions with same denominator
-      const denom = [2, 3, 4, 5, 6][Math.floor(Math.random() * 5)]
-      const n1 = Math.floor(Math.random() * (denom - 1)) + 1
-      const n2 = Math.floor(Math.random() * (denom - n1)) + 1
-      return this.createProblem(`${n1}/${denom} + ${n2}/${denom} = ?`, `${n1 + n2}/${denom}`, 'Adding Fractions', grade)
+      return this.genAddingFractions(grade)
 
     } else if (problemType === 2) {
       // Comparing fractions
-      const denom = [4, 6, 8][Math.floor(Math.random() * 3)]
-      const n1 = Math.floor(Math.random() * (denom - 1)) + 1
-      const n2 = Math.floor(Math.random() * (denom - 1)) + 1
+      const denom = [4, 6, 8][Math.floor(this.random() * 3)]
+      const n1 = Math.floor(this.random() * (denom - 1)) + 1
+      const n2 = Math.floor(this.random() * (denom - 1)) + 1
       const bigger = n1 > n2 ? `${n1}/${denom}` : `${n2}/${denom}`
-      return this.createProblem(`Which is bigger: ${n1}/${denom} or ${n2}/${denom}?`, bigger, 'Comparing Fractions', grade)
+      return this.createProblem(`Which is bigger: ${n1}/${denom} or ${n2}/${denom}?`, bigger, 'Comparing Fractions', grade, false, null, {
+        solution: [
+          this.step(`Both fractions have ${denom} equal parts, so compare the numerators`),
+          this.step(`${Math.max(n1, n2)} parts is more than ${Math.min(n1, n2)} parts`, `${bigger} is bigger`)
+        ]
+      })
 
     } else if (problemType === 3) {
-      // Equivalent fractions
-      const baseDenom = [2, 3, 4][Math.floor(Math.random() * 3)]
-      const baseNum = Math.floor(Math.random() * (baseDenom - 1)) + 1
-      const multiplier = Math.floor(Math.random() * 3) + 2
-      return this.createProblem(`${baseNum}/${baseDenom} = ?/${baseDenom * multiplier}`, baseNum * multiplier, 'Equivalent Fractions', grade)
+      return this.genEquivalentFractions(grade)
 
     } else if (problemType === 4) {
       // Fraction of a whole number
-      const whole = [12, 15, 20, 24, 30][Math.floor(Math.random() * 5)]
-      const denom = [2, 3, 4, 5][Math.floor(Math.random() * 4)]
-      return this.createProblem(`What is 1/${denom} of ${whole}?`, whole / denom, 'Fraction of Whole', grade)
+      const whole = [12, 15, 20, 24, 30][Math.floor(this.random() * 5)]
+      const denom = [2, 3, 4, 5][Math.floor(this.random() * 4)]
+      // Asked plainly, or as a story
+      const told = this.random() < 0.5 ? this.story('fraction-of', { n: 1, d: denom, whole }, grade) : null
+      return this.createProblem(told ? told.question : `What is 1/${denom} of ${whole}?`, whole / denom, 'Fraction of Whole', grade, false, null, {
+        story: told?.story,
+        distractors: [
+          this.mistake('multiplied-instead-of-divided', whole, denom)
+        ],
+        solution: [
+          this.step(`1/${denom} of a number means splitting it into ${denom} equal parts`),
+          this.step(`Divide ${whole} by ${denom}`, `${whole} ÷ ${denom} = ${whole / denom}`)
+        ]
+      })
 
     } else if (problemType === 5) {
-      // Subtracting fractions
-      const denom = [4, 5, 6, 8][Math.floor(Math.random() * 4)]
-      const n1 = Math.floor(Math.random() * 3) + Math.floor(denom / 2)
-      const n2 = Math.floor(Math.random() * Math.floor(denom / 2)) + 1
-      return this.createProblem(`${n1}/${denom} - ${n2}/${denom} = ?`, `${n1 - n2}/${denom}`, 'Subtracting Fractions', grade)
+      return this.genSubtractingFractions(grade)
 
     } else {
-      // Word problem
-      const pizza = Math.floor(Math.random() * 6) + 2
-      const ate = Math.floor(Math.random() * (pizza - 1)) + 1
-      return this.createProblem(`A pizza is cut into ${pizza} slices. You eat ${ate} slices. What fraction did you eat?`, `${ate}/${pizza}`, 'Fraction Word Problem', grade)
+      // 📖 Word problem: part of a whole
+      const whole = Math.floor(this.random() * 6) + 2
+      const part = Math.floor(this.random() * (whole - 1)) + 1
+      const { question, story } = this.story('part-of-whole', { part, whole }, grade)
+      return this.createProblem(question, `${part}/${whole}`, 'Fraction Word Problem', grade, false, null, {
+        story,
+        acceptedForms: ['fraction'],
+        distractors: [
+          this.mistake('part-to-part', part, whole),
+          this.mistake('flipped-fraction', part, whole)
+        ],
+        solution: [
+          this.step(`The whole is ${whole} equal parts - that is the denominator`),
+          this.step(`The question asks about ${part} of them - that is the numerator`),
+          this.step('Write part over whole', `${part}/${whole}`)
+        ]
+      })
     }
   }
 
+  genFractionsOnNumberLine(grade) {
+    // 📍 Click where a fraction goes on the number line
+    const denominators = [2, 4, 3, 8, 6, 5, 10].slice(0, this.scaled(2, 6, 7))
+    const denom = denominators[Math.floor(this.random() * denominators.length)]
+    // Harder problems go past 1, so improper fractions come up too
+    const wholes = this.activeDifficulty >= 7 ? 2 : 1
+    const num = Math.floor(this.random() * (denom * wholes - 1)) + 1
+    return this.createProblem(`Click where ${num}/${denom} goes on the number line.`, `${num}/${denom}`, 'Fractions on a Number Line', grade, false, null, {
+      interaction: { type: 'number-line', min: 0, max: wholes, ticks: denom },
+      distractors: [
+        this.mistake('counted-the-marks', num, denom)
+      ],
+      solution: [
+        this.step(`The space from 0 to 1 is split into ${denom} equal parts, so each part is 1/${denom}`),
+        this.step(`Start at 0 and count ${num} part${num === 1 ? '' : 's'} to the right`, `${num} × 1/${denom} = ${num}/${denom}`)
+      ]
+    })
+  }
+
+  genOrderingFractions(grade) {
+    // ↔️ Drag fractions into order from least to greatest
+    const count = this.scaled(3, 4, 5)
+    const fractions = []
+    while (fractions.length < count) {
+      const denom = [2, 3, 4, 5, 6, 8][Math.floor(this.random() * 6)]
+      const num = Math.floor(this.random() * (denom - 1)) + 1
+      if (!fractions.some(([n, d]) => n * denom === num * d)) fractions.push([num, denom])
+    }
+    const pairs = [...fractions].sort(([n1, d1], [n2, d2]) => n1 / d1 - n2 / d2)
+    const sorted = pairs.map(([n, d]) => `${n}/${d}`)
+    let items = this.shuffle(sorted)
+    if (items.join() === sorted.join()) items = [...sorted].reverse()
+    return this.createProblem('Drag the fractions into order from least to greatest.', sorted.join(', '), 'Ordering Fractions', grade, false, null, {
+      interaction: { type: 'order', items },
+      answerSet: { values: sorted, ordered: true },
+      distractors: [
+        this.mistake('ordered-by-denominator', sorted)
+      ],
+      solution: [
+        this.step('Change each fraction to a decimal to compare their sizes', pairs.map(([n, d]) => `${n}/${d} ≈ ${Math.round(n / d * 100) / 100}`).join(', ')),
+        this.step('Put them from least to greatest', sorted.join(' < '))
+      ]
+    })
+  }
+
   genAlgebraicExpressions(grade) {
-    const a = Math.floor(Math.random() * 5) + 2
-    const x = Math.floor(Math.random() * 10) + 1
-    return this.createProblem(`If x = ${x}, what is ${a}x?`, a * x, 'Algebraic Expressions', grade)
+    const a = Math.floor(this.random() * 5) + 2
+    const x = Math.floor(this.random() * 10) + 1
+    return this.createProblem(`If x = ${x}, what is ${a}x?`, a * x, 'Algebraic Expressions', grade, false, null, {
+      distractors: [
+        this.mistake('coefficient-as-digit', a, x),
+        this.mistake('added-instead-of-multiplied', a, x)
+      ],
+      solution: [
+        this.step(`${a}x means ${a} × x`),
+        this.step(`Substitute x = ${x}`, `${a} × ${x} = ${a * x}`)
+      ]
+    })
   }
 
   genSymmetry(grade) {
@@ -664,565 +2885,4962 @@ export class ProblemGenerator {
       { name: 'regular hexagon', lines: 6 },
       { name: 'regular pentagon', lines: 5 }
     ]
-    const shape = shapes[Math.floor(Math.random() * shapes.length)]
-    return this.createProblem(`How many lines of symmetry does a ${shape.name} have?`, shape.lines, 'Symmetry', grade)
+    const shape = shapes[Math.floor(this.random() * shapes.length)]
+    return this.createProblem(`How many lines of symmetry does a ${shape.name} have?`, shape.lines, 'Symmetry', grade, false, null, {
+      solution: [
+        this.step('A line of symmetry folds the shape into two matching halves'),
+        this.step(`Count every fold line that works for a ${shape.name}`, `${shape.lines} line(s)`)
+      ]
+    })
   }
 
   genPerimeterArea(grade) {
-    const l = Math.floor(Math.random() * 10) + 3
-    const w = Math.floor(Math.random() * 8) + 2
-    return this.createProblem(`Perimeter of rectangle: length=${l}, width=${w}`, 2 * (l + w), 'Perimeter & Area', grade)
+    const l = Math.floor(this.random() * 10) + 3
+    const w = Math.floor(this.random() * 8) + 2
+    return this.createProblem('What is the perimeter of this rectangle?', 2 * (l + w), 'Perimeter & Area', grade, false, null, {
+      figure: { type: 'polygon', vertices: [[0, 0], [l, 0], [l, w], [0, w]], sideLabels: [l, w, null, null] },
+      distractors: [
+        this.mistake('area-instead-of-perimeter', l, w),
+        this.mistake('forgot-to-double', 2 * (l + w))
+      ],
+      solution: [
+        this.step('Perimeter is the distance all the way around', 'P = 2 × (l + w)'),
+        this.step('Add the length and width', `${l} + ${w} = ${l + w}`),
+        this.step('Double it for both pairs of sides', `2 × ${l + w} = ${2 * (l + w)}`)
+      ]
+    })
   }
 
-  genFourOperations(grade) {
-    // 🧠 GRADE 6: Order of Operations (BEDMAS/PEMDAS)
-    const questionType = Math.floor(Math.random() * 3)
-
-    if (questionType === 0) {
-      // Basic BEDMAS: addition and multiplication
-      const a = Math.floor(Math.random() * 10) + 2
-      const b = Math.floor(Math.random() * 6) + 2
-      const c = Math.floor(Math.random() * 6) + 2
-      return this.createProblem(`${a} + ${b} × ${c} = ?`, a + (b * c), 'BEDMAS', grade)
-    } else if (questionType === 1) {
-      // With brackets
-      const a = Math.floor(Math.random() * 5) + 2
-      const b = Math.floor(Math.random() * 5) + 2
-      const c = Math.floor(Math.random() * 4) + 2
-      return this.createProblem(`(${a} + ${b}) × ${c} = ?`, (a + b) * c, 'BEDMAS', grade)
-    } else {
-      // Division and subtraction
-      const a = Math.floor(Math.random() * 30) + 20
-      const divisor = Math.floor(Math.random() * 4) + 2
-      const dividend = divisor * (Math.floor(Math.random() * 5) + 2)
-      return this.createProblem(`${a} - ${dividend} ÷ ${divisor} = ?`, a - (dividend / divisor), 'BEDMAS', grade)
+  // Grade 5 - topic generators
+  genLargeNumbers(grade) {
+    // 🔢 Place value up to the millions
+    const places = [
+      { name: 'ones', value: 1 }, { name: 'tens', value: 10 }, { name: 'hundreds', value: 100 },
+      { name: 'thousands', value: 1000 }, { name: 'ten thousands', value: 10000 },
+      { name: 'hundred thousands', value: 100000 }, { name: 'millions', value: 1000000 }
+    ]
+    const digits = Array.from({ length: 7 }, (_, i) => i === 6 ? Math.floor(this.random() * 9) + 1 : Math.floor(this.random() * 10))
+    const number = digits.reduce((sum, digit, i) => sum + digit * places[i].value, 0)
+
+    if (this.random() < 0.5) {
+      const candidates = digits.map((digit, i) => i).filter(i => digits[i] > 0 && digits.indexOf(digits[i]) === i && digits.lastIndexOf(digits[i]) === i)
+      const index = candidates.length > 0 ? candidates[Math.floor(this.random() * candidates.length)] : 6
+      const digit = digits[index]
+      const others = places.filter((p, i) => i !== index).map(p => digit * p.value)
+      return this.createProblem(`What is the value of the digit ${digit} in ${number.toLocaleString('en-US')}?`, digit * places[index].value, 'Large Numbers', grade, true,
+        [digit * places[index].value, ...this.shuffle(others).slice(0, 3)],
+        {
+          solution: [
+            this.step(`The ${digit} is in the ${places[index].name} place`),
+            this.step(`So its value is ${digit} × ${places[index].value.toLocaleString('en-US')}`, `${(digit * places[index].value).toLocaleString('en-US')}`)
+          ]
+        }
+      )
     }
-  }
 
-  genMultiplyingFractions(grade) {
-    const n = Math.floor(Math.random() * 5) + 1
-    const d = Math.floor(Math.random() * 4) + 2
-    const w = Math.floor(Math.random() * 5) + 2
-    return this.createProblem(`${n}/${d} × ${w} = ?`, `${n * w}/${d}`, 'Multiplying Fractions', grade)
+    const parts = digits.map((digit, i) => digit * places[i].value).filter(part => part > 0).reverse()
+    return this.createProblem(`Write as one number: ${parts.map(part => part.toLocaleString('en-US')).join(' + ')}`, number, 'Large Numbers', grade, false, null, {
+      solution: [
+        this.step('Each part fills one place value'),
+        this.step('Write a 0 in any place that has no part', number.toLocaleString('en-US'))
+      ]
+    })
   }
 
-  genAreaVolume(grade) {
-    const l = Math.floor(Math.random() * 6) + 2
-    const w = Math.floor(Math.random() * 5) + 2
-    const h = Math.floor(Math.random() * 4) + 2
-    return this.createProblem(`Volume: length=${l}, width=${w}, height=${h}`, l * w * h, 'Volume', grade)
+  genSubtractingMillions(grade) {
+    const a = Math.floor(this.random() * 800000) + 150000
+    const b = Math.floor(this.random() * (a - 100000)) + 50000
+    return this.createProblem(`${a.toLocaleString('en-US')} - ${b.toLocaleString('en-US')} = ?`, a - b, 'Large Number Operations', grade, false, null, {
+      distractors: [
+        this.mistake('subtracted-smaller-digit', a, b)
+      ],
+      solution: this.columnSubtractionSteps(a, b)
+    })
   }
 
-  genAlgebraicEquations(grade) {
-    const x = Math.floor(Math.random() * 10) + 1
-    const a = Math.floor(Math.random() * 5) + 2
-    return this.createProblem(`Solve: ${a}x = ${a * x}`, x, 'Algebraic Equations', grade)
-  }
+  genDecimalOperations(grade) {
+    // 🔟 Decimals to thousandths: add, subtract, or multiply by 10 / 100 / 1000
+    const type = Math.floor(this.random() * 3)
+    const a = (Math.floor(this.random() * 9000) + 1000) / 1000
+    const b = (Math.floor(this.random() * 900) + 100) / 100
 
-  genDataInterpretation(grade) {
-    const values = [10, 15, 20, 25, 30]
-    const avg = 20
-    return this.createProblem(`Mean of: 10, 15, 20, 25, 30 = ?`, avg, 'Mean (Average)', grade)
+    if (type === 0) {
+      const sum = Math.round((a + b) * 1000) / 1000
+      return this.createProblem(`${a} + ${b} = ?`, sum, 'Decimal Operations', grade, false, null, {
+        tolerance: { type: 'absolute', value: 0.0005 },
+        solution: [
+          this.step('Line up the decimal points and fill empty places with 0', `${a.toFixed(3)} + ${b.toFixed(3)}`),
+          this.step('Add like whole numbers', `${a.toFixed(3)} + ${b.toFixed(3)} = ${sum.toFixed(3)}`)
+        ]
+      })
+    } else if (type === 1) {
+      const [big, small] = a > b ? [a, b] : [b, a]
+      const difference = Math.round((big - small) * 1000) / 1000
+      return this.createProblem(`${big} - ${small} = ?`, difference, 'Decimal Operations', grade, false, null, {
+        tolerance: { type: 'absolute', value: 0.0005 },
+        distractors: [
+          this.mistake('added-instead-of-subtracted', big, small)
+        ],
+        solution: [
+          this.step('Line up the decimal points and fill empty places with 0', `${big.toFixed(3)} - ${small.toFixed(3)}`),
+          this.step('Subtract like whole numbers', `${big.toFixed(3)} - ${small.toFixed(3)} = ${difference.toFixed(3)}`)
+        ]
+      })
+    }
+
+    const power = [10, 100, 1000][Math.floor(this.random() * 3)]
+    const product = Math.round(a * power * 1000) / 1000
+    const zeros = String(power).length - 1
+    return this.createProblem(`${a} × ${power} = ?`, product, 'Decimal Operations', grade, false, null, {
+      tolerance: { type: 'absolute', value: 0.0005 },
+      distractors: [
+        this.mistake('wrong-conversion-factor', a, power / 10)
+      ],
+      solution: [
+        this.step(`Multiplying by ${power} moves every digit ${zeros} place${zeros === 1 ? '' : 's'} to the left`),
+        this.step(`So the decimal point moves ${zeros} place${zeros === 1 ? '' : 's'} to the right`, `${a} × ${power} = ${product}`)
+      ]
+    })
   }
 
-  // Grade 7
-  genIntegerOperations(grade) {
-    const a = Math.floor(Math.random() * 20) - 10
-    const b = Math.floor(Math.random() * 20) - 10
-    const ops = ['+', '-', '×']
-    const op = ops[Math.floor(Math.random() * ops.length)]
-    let ans
-    if (op === '+') ans = a + b
-    else if (op === '-') ans = a - b
-    else ans = a * b
-    return this.createProblem(`(${a}) ${op} (${b}) = ?`, ans, 'Integer Operations', grade)
+  genMultiply3By2(grade) {
+    const a = Math.floor(this.random() * 900) + 100
+    const b = Math.floor(this.random() * 90) + 10
+    const bTens = b - b % 10
+    const bOnes = b % 10
+    return this.createProblem(`${a} × ${b} = ?`, a * b, 'Multi-digit Multiplication', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-placeholder-zero', a, b)
+      ],
+      solution: [
+        this.step(`Split ${b} into tens and ones`, `${b} = ${bTens} + ${bOnes}`),
+        this.step(`Multiply ${a} by the ones`, `${a} × ${bOnes} = ${a * bOnes}`),
+        this.step(`Multiply ${a} by the tens (write a 0 in the ones place first)`, `${a} × ${bTens} = ${a * bTens}`),
+        this.step('Add the partial products', `${a * bOnes} + ${a * bTens} = ${a * b}`)
+      ]
+    })
   }
 
-  genFractionOperations(grade) {
-    const n1 = Math.floor(Math.random() * 3) + 1
-    const n2 = Math.floor(Math.random() * 3) + 1
-    const answer = `${n1 * n2}/6`
-    return this.createProblem(
-      `${n1}/2 × ${n2}/3 = ?`,
-      answer,
-      'Fraction Operations',
-      grade,
-      true,
-      [answer, `${n1 + n2}/5`, `${n1 * n2}/5`, `${n1}/6`]
-    )
+  genCommonDenominators(grade) {
+    // 🍰 Lowest common denominator of two fractions
+    const pairs = [[2, 3], [2, 4], [3, 4], [4, 6], [2, 5], [3, 6], [4, 8], [6, 8], [3, 5], [4, 10], [6, 9]]
+    const [d1, d2] = pairs[Math.floor(this.random() * pairs.length)]
+    const gcd = (x, y) => y === 0 ? x : gcd(y, x % y)
+    const lcd = d1 * d2 / gcd(d1, d2)
+    const n1 = Math.floor(this.random() * (d1 - 1)) + 1
+    const n2 = Math.floor(this.random() * (d2 - 1)) + 1
+    const multiplesOf = (d) => Array.from({ length: lcd / d }, (_, i) => d * (i + 1)).join(', ')
+    return this.createProblem(`What is the lowest common denominator of ${n1}/${d1} and ${n2}/${d2}?`, lcd, 'Common Denominators', grade, true, null, {
+      distractors: [
+        this.mistake('not-lowest-common-denominator', d1, d2),
+        this.mistake('added-instead-of-multiplied', d1, d2)
+      ],
+      solution: [
+        this.step(`List the multiples of ${d1}`, multiplesOf(d1)),
+        this.step(`List the multiples of ${d2}`, multiplesOf(d2)),
+        this.step('The first number on both lists is the lowest common denominator', `${lcd}`),
+        this.step('Rewrite both fractions with it', `${n1}/${d1} = ${n1 * lcd / d1}/${lcd}, ${n2}/${d2} = ${n2 * lcd / d2}/${lcd}`)
+      ]
+    })
   }
 
-  genTwoSidedEquations(grade) {
-    const x = Math.floor(Math.random() * 10) + 1
-    const a = Math.floor(Math.random() * 3) + 2
-    const b = Math.floor(Math.random() * 10) + 1
-    return this.createProblem(`Solve: ${a}x + ${b} = ${a * x + b}`, x, 'Two-sided Equations', grade)
+  genAddingFractions(grade) {
+    // Adding fractions with same denominator (bigger denominators on hard levels)
+    const denominators = [2, 3, 4, 5, 6, 8, 10, 12].slice(0, this.scaled(3, 5, 8))
+    const denom = denominators[Math.floor(this.random() * denominators.length)]
+    const n1 = Math.floor(this.random() * (denom - 1)) + 1
+    const n2 = Math.floor(this.random() * (denom - n1)) + 1
+    return this.createProblem(`${n1}/${denom} + ${n2}/${denom} = ?`, `${n1 + n2}/${denom}`, 'Adding Fractions', grade, false, null, {
+      distractors: [
+        this.mistake('added-denominators', n1 + n2, denom, denom)
+      ],
+      solution: [
+        this.step(`The denominators are the same (${denom}), so keep the denominator`),
+        this.step('Add the numerators', `${n1} + ${n2} = ${n1 + n2}`),
+        this.step('Write the sum over the denominator', `${n1}/${denom} + ${n2}/${denom} = ${n1 + n2}/${denom}`)
+      ]
+    })
   }
 
-  genCirclesCylinders(grade) {
-    const r = Math.floor(Math.random() * 5) + 2
-    return this.createProblem(`Circumference of circle with radius ${r}? (Use π=3.14, round to 1 decimal)`, Math.round(2 * 3.14 * r * 10) / 10, 'Circles', grade)
+  genSubtractingFractions(grade) {
+    // Subtracting fractions
+    const denom = [4, 5, 6, 8][Math.floor(this.random() * 4)]
+    const n2 = Math.floor(this.random() * Math.floor(denom / 2)) + 1
+    const n1 = n2 + Math.floor(this.random() * (denom - n2 - 1)) + 1
+    return this.createProblem(`${n1}/${denom} - ${n2}/${denom} = ?`, `${n1 - n2}/${denom}`, 'Subtracting Fractions', grade, false, null, {
+      solution: [
+        this.step(`The denominators are the same (${denom}), so keep the denominator`),
+        this.step('Subtract the numerators', `${n1} - ${n2} = ${n1 - n2}`),
+        this.step('Write the difference over the denominator', `${n1}/${denom} - ${n2}/${denom} = ${n1 - n2}/${denom}`)
+      ]
+    })
   }
 
-  genFunctionsIntro(grade) {
-    const x = Math.floor(Math.random() * 5) + 1
-    const m = Math.floor(Math.random() * 3) + 2
-    const b = Math.floor(Math.random() * 5)
-    return this.createProblem(`If f(x) = ${m}x + ${b}, find f(${x})`, m * x + b, 'Functions', grade)
+  genEquivalentFractions(grade) {
+    // Equivalent fractions
+    const baseDenom = [2, 3, 4][Math.floor(this.random() * 3)]
+    const baseNum = Math.floor(this.random() * (baseDenom - 1)) + 1
+    const multiplier = Math.floor(this.random() * 3) + 2
+    return this.createProblem(`${baseNum}/${baseDenom} = ?/${baseDenom * multiplier}`, baseNum * multiplier, 'Equivalent Fractions', grade, false, null, {
+      distractors: [
+        this.mistake('added-to-top-and-bottom', baseNum, baseDenom, baseDenom * multiplier)
+      ],
+      solution: [
+        this.step('Find what the denominator was multiplied by', `${baseDenom} × ${multiplier} = ${baseDenom * multiplier}`),
+        this.step('Multiply the numerator by the same number', `${baseNum} × ${multiplier} = ${baseNum * multiplier}`),
+        this.step('So the fractions are equivalent', `${baseNum}/${baseDenom} = ${baseNum * multiplier}/${baseDenom * multiplier}`)
+      ]
+    })
   }
 
-  genProbability(grade) {
-    const total = Math.floor(Math.random() * 8) + 4
-    const favorable = Math.floor(Math.random() * (total - 1)) + 1
-    return this.createProblem(`P(red) if ${favorable} red out of ${total} total? Answer as fraction.`, `${favorable}/${total}`, 'Probability', grade)
+  genWritingExpressions(grade) {
+    // ✍️ Writing Expressions from words
+    const k = Math.floor(this.random() * 8) + 2
+    const phrases = [
+      { words: `${k} more than a number n`, expression: `n + ${k}`, steps: '"More than" means add' },
+      { words: `${k} less than a number n`, expression: `n - ${k}`, steps: `"${k} less than n" means start at n and take ${k} away`, wrong: this.mistake('reversed-subtraction', 'n', k) },
+      { words: `${k} times a number n`, expression: `${k}n`, steps: '"Times" means multiply, and we write the number in front of the letter' },
+      { words: `a number n divided by ${k}`, expression: `n/${k}`, steps: `"Divided by" means n is shared into ${k} equal groups` },
+      { words: `double a number n, then add ${k}`, expression: `2n + ${k}`, steps: '"Double" means multiply by 2, then add' }
+    ]
+    const chosen = phrases[Math.floor(this.random() * phrases.length)]
+    return this.createProblem(`Write an expression for: ${chosen.words}`, chosen.expression, 'Writing Expressions', grade, false, null, {
+      answerType: 'expression',
+      distractors: chosen.wrong ? [chosen.wrong] : [],
+      solution: [
+        this.step('Use the letter n for the number'),
+        this.step(chosen.steps, chosen.expression)
+      ]
+    })
   }
 
-  // Grade 8
-  genRationalNumbers(grade) {
-    const a = (Math.floor(Math.random() * 10) + 1) / 2
-    const b = (Math.floor(Math.random() * 10) + 1) / 2
-    return this.createProblem(`${a} + ${b} = ?`, a + b, 'Rational Numbers', grade)
+  genRotationalSymmetry(grade) {
+    // 🔄 Rotational Symmetry
+    const shapes = [
+      { name: 'square', order: 4 },
+      { name: 'rectangle', order: 2 },
+      { name: 'equilateral triangle', order: 3 },
+      { name: 'regular hexagon', order: 6 },
+      { name: 'parallelogram', order: 2 },
+      { name: 'regular pentagon', order: 5 }
+    ]
+    const shape = shapes[Math.floor(this.random() * shapes.length)]
+    if (this.random() < 0.5) {
+      return this.createProblem(`What is the order of rotational symmetry of ${this.article(shape.name)} ${shape.name}?`, shape.order, 'Rotational Symmetry', grade, true, null, {
+        distractors: [
+          this.mistake('off-by-one', shape.order)
+        ],
+        solution: [
+          this.step('Turn the shape one full turn and count how many times it looks exactly the same'),
+          this.step(`A ${shape.name} matches itself ${shape.order} times in one full turn`, `order ${shape.order}`)
+        ]
+      })
+    }
+
+    return this.createProblem(`A ${shape.name} has rotational symmetry of order ${shape.order}. What is the smallest turn that makes it look the same?`, `${360 / shape.order}°`, 'Rotational Symmetry', grade, true,
+      [...new Set([360 / shape.order, 90, 180, 60, 120, 72].map(a => `${a}°`))].slice(0, 4),
+      {
+        solution: [
+          this.step('A full turn is 360°, shared equally between the matching positions'),
+          this.step(`Divide 360° by the order`, `360° ÷ ${shape.order} = ${360 / shape.order}°`)
+        ]
+      }
+    )
   }
 
-  genPolynomialsIntro(grade) {
-    const a = Math.floor(Math.random() * 5) + 1
-    const b = Math.floor(Math.random() * 5) + 1
-    const answer = `${a + b}x`
+  genSymmetryPatterns(grade) {
+    // 🔤 Symmetry Patterns in capital letters
+    const vertical = ['A', 'H', 'M', 'O', 'T', 'U', 'V', 'W', 'X', 'Y']
+    const horizontal = ['B', 'C', 'D', 'E', 'H', 'I', 'K', 'O', 'X']
+    const none = ['F', 'G', 'J', 'L', 'N', 'P', 'Q', 'R', 'S', 'Z']
+    const useVertical = this.random() < 0.5
+    const list = useVertical ? vertical : horizontal
+    const letter = list[Math.floor(this.random() * list.length)]
+    const others = this.shuffle(none).slice(0, 3)
     return this.createProblem(
-      `Simplify: ${a}x + ${b}x = ?`,
-      answer,
-      'Polynomials',
+      `Which capital letter has a ${useVertical ? 'vertical (up and down)' : 'horizontal (side to side)'} line of symmetry?`,
+      letter,
+      'Symmetry Patterns',
       grade,
       true,
-      [answer, `${a * b}x`, `${a + b}x²`, `${a}x + ${b}`]
+      [letter, ...others],
+      {
+        solution: [
+          this.step(`Imagine folding each letter along a ${useVertical ? 'vertical' : 'horizontal'} line`),
+          this.step(`${letter} folds into two matching halves`),
+          this.step(`${others.join(', ')} have no line of symmetry at all`)
+        ]
+      }
     )
   }
 
-  genLinearEquations(grade) {
-    const x = Math.floor(Math.random() * 10) - 5
-    const a = Math.floor(Math.random() * 5) + 2
-    const b = Math.floor(Math.random() * 10) - 5
-    return this.createProblem(`Solve: ${a}x + ${b} = ${a * x + b}`, x, 'Linear Equations', grade)
-  }
-
-  genSurfaceArea(grade) {
-    const l = Math.floor(Math.random() * 5) + 2
-    const w = Math.floor(Math.random() * 4) + 2
-    const h = Math.floor(Math.random() * 3) + 2
-    const sa = 2 * (l * w + w * h + l * h)
-    return this.createProblem(`Surface area of box: ${l}×${w}×${h}`, sa, 'Surface Area', grade)
-  }
-
-  genSlopeOfLines(grade) {
-    const m = Math.floor(Math.random() * 10) - 5
-    const b = Math.floor(Math.random() * 10) - 5
-    return this.createProblem(`Slope of y = ${m}x ${b >= 0 ? '+' : ''}${b}?`, m, 'Slope', grade)
-  }
-
-  genDataDistributions(grade) {
-    // ═══════════════════════════════════════════════════════════════
-    // 📊 GRADE 8: Histograms and Data Analysis
-    // ═══════════════════════════════════════════════════════════════
-    const questionType = Math.floor(Math.random() * 3)
-
-    if (questionType === 0) {
-      return this.createProblem(
-        'In a histogram, the HEIGHT of each bar represents...?',
-        'frequency',
-        'Histograms',
-        grade,
-        true,
-        ['frequency', 'mean', 'range', 'mode']
-      )
-    } else if (questionType === 1) {
-      return this.createProblem(
-        'Which graph is best for showing continuous data (like heights)?',
-        'histogram',
-        'Data Representation',
-        grade,
-        true,
-        ['histogram', 'pie chart', 'pictograph', 'bar graph']
-      )
-    } else {
+  genCompositeShapes(grade) {
+    // 🏠 Composite Shapes: split into simpler shapes and add the areas
+    if (grade >= 6 && this.random() < 0.5) {
+      // Rectangle with a triangle roof
+      const width = (Math.floor(this.random() * 5) + 2) * 2
+      const height = Math.floor(this.random() * 6) + 3
+      const roof = Math.floor(this.random() * 5) + 2
+      const area = width * height + width * roof / 2
       return this.createProblem(
-        'The SHAPE of a distribution can be described as...?',
-        'skewed or symmetric',
-        'Distribution Shape',
+        `A house shape is a ${width} cm by ${height} cm rectangle with a triangle roof on top. The roof has a base of ${width} cm and a height of ${roof} cm. What is the total area?`,
+        `${area} cm²`,
+        'Composite Figures',
         grade,
-        true,
-        ['skewed or symmetric', 'tall or short', 'wide or narrow', 'positive or negative']
+        false,
+        null,
+        {
+          answerType: 'quantity',
+          distractors: [
+            this.mistake('forgot-to-double', 2 * width * roof)
+          ],
+          solution: [
+            this.step('Split the shape into a rectangle and a triangle'),
+            this.step('Area of the rectangle', `${width} × ${height} = ${width * height}`),
+            this.step('Area of the triangle is half of base × height', `${width} × ${roof} ÷ 2 = ${width * roof / 2}`),
+            this.step('Add the two areas', `${width * height} + ${width * roof / 2} = ${area}`)
+          ]
+        }
       )
     }
+
+    // L-shape made of two rectangles
+    const l1 = Math.floor(this.random() * 6) + 4
+    const w1 = Math.floor(this.random() * 4) + 2
+    const l2 = Math.floor(this.random() * 3) + 2
+    const w2 = Math.floor(this.random() * 4) + 2
+    const area = l1 * w1 + l2 * w2
+    return this.createProblem(
+      `An L-shaped garden is made of a ${l1} m by ${w1} m rectangle and a ${l2} m by ${w2} m rectangle. What is its total area?`,
+      `${area} m²`,
+      'Composite Shapes',
+      grade,
+      false,
+      null,
+      {
+        answerType: 'quantity',
+        distractors: [
+          this.mistake('wrong-kind-of-unit', `${area} m`)
+        ],
+        solution: [
+          this.step('Split the L-shape into its two rectangles'),
+          this.step('Area of the first rectangle', `${l1} × ${w1} = ${l1 * w1}`),
+          this.step('Area of the second rectangle', `${l2} × ${w2} = ${l2 * w2}`),
+          this.step('Add the areas', `${l1 * w1} + ${l2 * w2} = ${area}`)
+        ]
+      }
+    )
   }
 
-  // Grade 9
-  genRealNumbers(grade) {
-    // ═══════════════════════════════════════════════════════════════
-    // 🔢 GRADE 9: Rational vs Irrational Numbers
-    // ═══════════════════════════════════════════════════════════════
-    const questionType = Math.floor(Math.random() * 3)
+  genFourOperations(grade) {
+    // 🧠 GRADE 6: Order of Operations (BEDMAS/PEMDAS)
+    const questionType = Math.floor(this.random() * 3)
 
     if (questionType === 0) {
-      // Perfect squares are rational
-      const perfectSquares = [4, 9, 16, 25, 36, 49, 64, 81, 100]
-      const num = perfectSquares[Math.floor(Math.random() * perfectSquares.length)]
-      return this.createProblem(
-        `Is √${num} a rational or irrational number?`,
-        'rational',
-        'Real Numbers',
-        grade,
-        true,
-        ['rational', 'irrational', 'integer', 'whole number']
-      )
+      // Basic BEDMAS: addition and multiplication
+      const a = Math.floor(this.random() * 10) + 2
+      const b = Math.floor(this.random() * 6) + 2
+      const c = Math.floor(this.random() * 6) + 2
+
+      if (this.activeDifficulty >= 7) {
+        // Harder levels add a fourth number, so there's one more step
+        const d = Math.floor(this.random() * 9) + 1
+        const answer = a + b * c - d
+        return this.createProblem(`${a} + ${b} × ${c} - ${d} = ?`, answer, 'BEDMAS', grade, false, null, {
+          distractors: [
+            this.mistake('ignored-order-of-operations', a, '+', b, '×', c, '-', d)
+          ],
+          solution: [
+            this.step('BEDMAS: multiply first, then add and subtract from left to right'),
+            this.step('Multiply first', `${b} × ${c} = ${b * c}`),
+            this.step('Then add', `${a} + ${b * c} = ${a + b * c}`),
+            this.step('Then subtract', `${a + b * c} - ${d} = ${answer}`)
+          ]
+        })
+      }
+
+      return this.createProblem(`${a} + ${b} × ${c} = ?`, a + (b * c), 'BEDMAS', grade, false, null, {
+        distractors: [
+          this.mistake('ignored-order-of-operations', a, '+', b, '×', c)
+        ],
+        solution: [
+          this.step('BEDMAS: multiply before you add'),
+          this.step('Multiply first', `${b} × ${c} = ${b * c}`),
+          this.step('Then add', `${a} + ${b * c} = ${a + b * c}`)
+        ]
+      })
     } else if (questionType === 1) {
-      // Non-perfect squares are irrational
-      const nonPerfect = [2, 3, 5, 7, 10, 11, 13, 17, 19, 23]
-      const num = nonPerfect[Math.floor(Math.random() * nonPerfect.length)]
-      return this.createProblem(
-        `Is √${num} a rational or irrational number?`,
-        'irrational',
-        'Real Numbers',
-        grade,
-        true,
-        ['irrational', 'rational', 'integer', 'natural number']
-      )
+      // With brackets
+      const a = Math.floor(this.random() * 5) + 2
+      const b = Math.floor(this.random() * 5) + 2
+      const c = Math.floor(this.random() * 4) + 2
+      return this.createProblem(`(${a} + ${b}) × ${c} = ?`, (a + b) * c, 'BEDMAS', grade, false, null, {
+        distractors: [
+          this.mistake('ignored-brackets', a, b, c)
+        ],
+        solution: [
+          this.step('BEDMAS: brackets come first'),
+          this.step('Work out the brackets', `${a} + ${b} = ${a + b}`),
+          this.step('Then multiply', `${a + b} × ${c} = ${(a + b) * c}`)
+        ]
+      })
     } else {
-      // Estimation
-      const num = Math.floor(Math.random() * 20) + 30 // 30-49 (not perfect)
-      const lower = Math.floor(Math.sqrt(num))
-      const upper = lower + 1
-      return this.createProblem(
-        `√${num} is between which two consecutive integers?`,
-        `${lower} and ${upper}`,
-        'Estimating Roots',
-        grade,
-        true,
-        [`${lower} and ${upper}`, `${lower - 1} and ${lower}`, `${upper} and ${upper + 1}`, `${lower} and ${upper + 1}`]
-      )
+      // Division and subtraction
+      const a = Math.floor(this.random() * 30) + 20
+      const divisor = Math.floor(this.random() * 4) + 2
+      const dividend = divisor * (Math.floor(this.random() * 5) + 2)
+      return this.createProblem(`${a} - ${dividend} ÷ ${divisor} = ?`, a - (dividend / divisor), 'BEDMAS', grade, false, null, {
+        distractors: [
+          this.mistake('ignored-order-of-operations', a, '-', dividend, '÷', divisor)
+        ],
+        solution: [
+          this.step('BEDMAS: divide before you subtract'),
+          this.step('Divide first', `${dividend} ÷ ${divisor} = ${dividend / divisor}`),
+          this.step('Then subtract', `${a} - ${dividend / divisor} = ${a - dividend / divisor}`)
+        ]
+      })
     }
   }
 
-  genPolynomialOperations(grade) {
-    const a = Math.floor(Math.random() * 4) + 1
-    const b = Math.floor(Math.random() * 4) + 1
-    return this.createProblem(`Expand: (x+${a})(x+${b}). Coefficient of x?`, a + b, 'Polynomial Operations (FOIL)', grade)
+  genMultiplyingFractions(grade) {
+    const n = Math.floor(this.random() * 5) + 1
+    const d = Math.floor(this.random() * 4) + 2
+    const w = Math.floor(this.random() * 5) + 2
+
+    if (this.random() < 0.3) {
+      // 📖 Word problem: a fraction of an amount
+      const part = Math.floor(this.random() * (d - 1)) + 1
+      const whole = d * (Math.floor(this.random() * this.scaled(10, 40, 80)) + 2)
+      const answer = whole / d * part
+      const { question, story } = this.story('fraction-of', { n: part, d, whole }, grade)
+      return this.createProblem(question, answer, 'Multiplying Fractions', grade, false, null, {
+        story,
+        distractors: [
+          this.mistake('found-only-one-part', whole, d)
+        ],
+        solution: [
+          this.step(`${part}/${d} of ${whole} means ${part}/${d} × ${whole}`),
+          this.step(`Divide by ${d} to find 1/${d} of ${whole}`, `${whole} ÷ ${d} = ${whole / d}`),
+          ...(part > 1 ? [this.step(`Multiply by ${part} to get ${part}/${d}`, `${whole / d} × ${part} = ${answer}`)] : [])
+        ]
+      })
+    }
+
+    if (n * w > d && (n * w) % d !== 0 && this.random() < 0.4) {
+      // Same question, but the answer must be a mixed number in simplest form
+      const answer = NumberFormats.formatMixed(n * w, d)
+      const whole = Math.floor(n * w / d)
+      return this.createProblem(`${n}/${d} × ${w} = ? (Write it as a mixed number in simplest form)`, answer, 'Multiplying Fractions', grade, false, null, {
+        acceptedForms: ['mixed', 'integer'],
+        simplestForm: true,
+        distractors: [
+          this.mistake('multiplied-both-parts', n, d, w)
+        ],
+        solution: [
+          this.step('Multiply the numerator by the whole number', `${n}/${d} × ${w} = ${n * w}/${d}`),
+          this.step(`How many whole ${d}s fit in ${n * w}?`, `${n * w} ÷ ${d} = ${whole} remainder ${n * w - whole * d}`),
+          this.step('Write the wholes, then the leftover part in lowest terms', `${n * w}/${d} = ${answer}`)
+        ]
+      })
+    }
+
+    return this.createProblem(`${n}/${d} × ${w} = ?`, `${n * w}/${d}`, 'Multiplying Fractions', grade, false, null, {
+      distractors: [
+        this.mistake('multiplied-both-parts', n, d, w)
+      ],
+      solution: [
+        this.step(`Write ${w} as a fraction`, `${w} = ${w}/1`),
+        this.step('Multiply the numerators', `${n} × ${w} = ${n * w}`),
+        this.step('Multiply the denominators', `${d} × 1 = ${d}`),
+        this.step('Write the result', `${n}/${d} × ${w} = ${n * w}/${d}`)
+      ]
+    })
   }
 
-  genLinearInequalities(grade) {
-    const a = Math.floor(Math.random() * 4) + 2
-    const b = Math.floor(Math.random() * 20) + 5
-    const maxX = Math.floor(b / a) - (b % a === 0 ? 1 : 0)
-    return this.createProblem(`Largest integer x where ${a}x < ${b}?`, maxX, 'Linear Inequalities', grade)
+  genAreaVolume(grade) {
+    const l = Math.floor(this.random() * 6) + 2
+    const w = Math.floor(this.random() * 5) + 2
+    const h = Math.floor(this.random() * 4) + 2
+    return this.createProblem(`Volume: length=${l} cm, width=${w} cm, height=${h} cm`, `${l * w * h} cm³`, 'Volume', grade, false, null, {
+      answerType: 'quantity',
+      distractors: [
+        this.mistake('added-instead-of-multiplied', l, w, h)
+      ],
+      solution: [
+        this.step('Volume of a rectangular prism = length × width × height', 'V = l × w × h'),
+        this.step('Multiply the length and width (the base)', `${l} × ${w} = ${l * w}`),
+        this.step('Multiply by the height', `${l * w} × ${h} = ${l * w * h}`),
+        this.step('cm × cm × cm gives cubic centimeters', `V = ${l * w * h} cm³`)
+      ]
+    })
   }
 
-  genQuadraticIntro(grade) {
-    const r = Math.floor(Math.random() * 6) + 1
-    return this.createProblem(`Solve: x² - ${r * 2}x + ${r * r} = 0`, r, 'Quadratic Equations Intro', grade)
+  genAlgebraicEquations(grade) {
+    const x = Math.floor(this.random() * this.scaled(5, 10, 20)) + 1
+    const a = Math.floor(this.random() * this.scaled(3, 5, 8)) + 2
+    return this.createProblem(`Solve: ${a}x = ${a * x}`, x, 'Algebraic Equations', grade, false, null, {
+      distractors: [
+        this.mistake('multiplied-instead-of-divided', a * x, a)
+      ],
+      solution: [
+        this.step(`Divide both sides by ${a} to get x by itself`, `${a}x ÷ ${a} = ${a * x} ÷ ${a}`),
+        this.step('Simplify', `x = ${x}`),
+        this.step('Check', `${a} × ${x} = ${a * x}`)
+      ]
+    })
   }
 
-  genFunctionNotation(grade) {
-    const m = Math.floor(Math.random() * 4) + 2
-    const b = Math.floor(Math.random() * 5)
-    const x = Math.floor(Math.random() * 5) + 1
-    return this.createProblem(`f(x) = ${m}x + ${b}. Find f(${x}).`, m * x + b, 'Function Notation', grade)
+  genDataInterpretation(grade) {
+    const type = Math.floor(this.random() * 3)
+    if (type === 0) {
+      return this.genMean(grade)
+    } else if (type === 1) {
+      return this.genMedian(grade)
+    } else {
+      return this.genMode(grade)
+    }
   }
 
-  genBoxPlots(grade) {
-    // ═══════════════════════════════════════════════════════════════
-    // 📦 GRADE 9: Box Plots (5-Number Summary)
-    // ═══════════════════════════════════════════════════════════════
-    const questionType = Math.floor(Math.random() * 4)
+  // Grade 6 - topic generators
+  genSimplifyingFractions(grade) {
+    // ✂️ Simplifying Fractions: divide top and bottom by the greatest common factor
+    const gcd = (x, y) => y === 0 ? x : gcd(y, x % y)
+    let numerator
+    let denominator
+    do {
+      denominator = Math.floor(this.random() * 10) + 2
+      numerator = Math.floor(this.random() * (denominator - 1)) + 1
+    } while (gcd(numerator, denominator) !== 1)
+    const factor = Math.floor(this.random() * 5) + 2
+    const [n, d] = [numerator * factor, denominator * factor]
+    return this.createProblem(`Write ${n}/${d} in simplest form`, `${numerator}/${denominator}`, 'Simplifying Fractions', grade, false, null, {
+      acceptedForms: ['fraction'],
+      simplestForm: true,
+      solution: [
+        this.step(`Find the greatest common factor of ${n} and ${d}`, `GCF = ${factor}`),
+        this.step('Divide the numerator and denominator by it', `${n} ÷ ${factor} = ${numerator}, ${d} ÷ ${factor} = ${denominator}`),
+        this.step('The only common factor left is 1, so it is in simplest form', `${n}/${d} = ${numerator}/${denominator}`)
+      ]
+    })
+  }
 
-    if (questionType === 0) {
-      return this.createProblem(
-        'In a box plot, the LINE inside the box represents...?',
-        'median',
-        'Box Plots',
-        grade,
-        true,
-        ['median', 'mean', 'mode', 'range']
-      )
-    } else if (questionType === 1) {
-      return this.createProblem(
-        'The LEFT edge of the box in a box plot represents...?',
-        'Q1 (first quartile)',
-        'Box Plots',
-        grade,
-        true,
-        ['Q1 (first quartile)', 'minimum', 'median', 'Q3 (third quartile)']
-      )
-    } else if (questionType === 2) {
-      return this.createProblem(
-        'The WHISKERS on a box plot extend to...?',
-        'minimum and maximum',
-        'Box Plots',
-        grade,
-        true,
-        ['minimum and maximum', 'Q1 and Q3', 'mean and median', 'outliers only']
-      )
-    } else {
-      return this.createProblem(
-        'The Interquartile Range (IQR) is calculated as...?',
-        'Q3 - Q1',
-        'Box Plots',
-        grade,
-        true,
-        ['Q3 - Q1', 'Max - Min', 'Mean - Median', 'Q2 - Q1']
-      )
+  genAreaTrianglesParallelograms(grade) {
+    // 📐 Area of triangles and parallelograms
+    const base = Math.floor(this.random() * 10) + 3
+    const height = Math.floor(this.random() * 8) + 2
+
+    if (this.random() < 0.5) {
+      return this.createProblem(`A parallelogram has a base of ${base} cm and a height of ${height} cm. What is its area?`, `${base * height} cm²`, 'Area of Parallelograms', grade, false, null, {
+        answerType: 'quantity',
+        solution: [
+          this.step('Cut the triangle off one end and move it to the other - it makes a rectangle'),
+          this.step('So the area is base × height', 'A = b × h'),
+          this.step('Substitute', `A = ${base} × ${height} = ${base * height}`)
+        ]
+      })
     }
+
+    const evenBase = base % 2 === 0 || height % 2 === 0 ? base : base + 1
+    const area = evenBase * height / 2
+    return this.createProblem(`A triangle has a base of ${evenBase} cm and a height of ${height} cm. What is its area?`, `${area} cm²`, 'Area of Triangles', grade, false, null, {
+      answerType: 'quantity',
+      distractors: [
+        this.mistake('forgot-to-halve', evenBase * height)
+      ],
+      solution: [
+        this.step('A triangle is half of a parallelogram with the same base and height', 'A = b × h ÷ 2'),
+        this.step('Multiply the base and height', `${evenBase} × ${height} = ${evenBase * height}`),
+        this.step('Take half', `${evenBase * height} ÷ 2 = ${area}`)
+      ]
+    })
   }
 
-  genProbabilityEvents(grade) {
-    // ═══════════════════════════════════════════════════════════════
-    // 🎲 GRADE 9: Compound Probability
-    // ═══════════════════════════════════════════════════════════════
-    const p1 = (Math.floor(Math.random() * 4) + 1) / 10  // 0.1 to 0.4
-    const p2 = (Math.floor(Math.random() * 4) + 1) / 10  // 0.1 to 0.4
-    const sumP = Math.round((p1 + p2) * 10) / 10
+  genBalancingEquations(grade) {
+    // ⚖️ Balancing Equations: both sides of = have the same value
+    const a = Math.floor(this.random() * 12) + 3
+    const b = Math.floor(this.random() * 12) + 3
+    const c = Math.floor(this.random() * (a + b - 2)) + 1
+    const answer = a + b - c
+    return this.createProblem(`What number makes this true? ${a} + ${b} = □ + ${c}`, answer, 'Balancing Equations', grade, true, null, {
+      distractors: [
+        this.mistake('equals-means-answer', a, b)
+      ],
+      solution: [
+        this.step('The = sign means both sides must have the same value'),
+        this.step('Work out the left side', `${a} + ${b} = ${a + b}`),
+        this.step(`What plus ${c} makes ${a + b}?`, `${a + b} - ${c} = ${answer}`),
+        this.step('Check', `${answer} + ${c} = ${a + b}`)
+      ]
+    })
+  }
 
-    const questionType = Math.floor(Math.random() * 2)
+  genGraphingData(grade) {
+    // 📈 Graphing Data: choose the best kind of graph
+    const situations = [
+      { data: 'the temperature outside every hour for a day', graph: 'line graph', why: 'Line graphs show how something changes over time' },
+      { data: 'how many students chose each favourite sport', graph: 'bar graph', why: 'Bar graphs compare amounts in different categories' },
+      { data: 'what fraction of a budget goes to food, rent and fun', graph: 'circle graph', why: 'Circle graphs show the parts of one whole' },
+      { data: 'the number of pets each student in a small class has', graph: 'line plot', why: 'Line plots show how often each value appears in a small set of numbers' }
+    ]
+    const chosen = situations[Math.floor(this.random() * situations.length)]
+    return this.createProblem(`Which graph would best show ${chosen.data}?`, chosen.graph, 'Graphing Data', grade, true, situations.map(s => s.graph), {
+      solution: [
+        this.step('Think about what the data shows: change over time, categories, parts of a whole, or single values'),
+        this.step(chosen.why),
+        this.step(`So use a ${chosen.graph}`)
+      ]
+    })
+  }
 
-    if (questionType === 0) {
-      return this.createProblem(
-        `P(A) = ${p1}, P(B) = ${p2}. If A and B are MUTUALLY EXCLUSIVE, P(A or B) = ?`,
-        sumP,
-        'Probability Events',
-        grade,
-        true
-      )
-    } else {
-      return this.createProblem(
-        'Two events that CANNOT happen at the same time are called...?',
-        'mutually exclusive',
-        'Probability Events',
-        grade,
-        true,
-        ['mutually exclusive', 'independent', 'dependent', 'complementary']
-      )
-    }
+  genMean(grade) {
+    // 🧮 Mean: total shared equally
+    const count = Math.floor(this.random() * 3) + 4
+    const mean = Math.floor(this.random() * 15) + 5
+    let values
+    do {
+      // Pick all but the last value, then the last one makes the total work out
+      values = Array.from({ length: count - 1 }, () => mean + Math.floor(this.random() * 11) - 5)
+      values.push(mean * count - values.reduce((sum, n) => sum + n, 0))
+    } while (values[count - 1] < 1)
+    const total = mean * count
+    return this.createProblem(`Find the mean of: ${values.join(', ')}`, mean, 'Mean (Average)', grade, false, null, {
+      distractors: [
+        this.mistake('used-sum-instead-of-mean', ...values)
+      ],
+      solution: [
+        this.step('Add all the values', `${values.join(' + ')} = ${total}`),
+        this.step(`Divide by how many values there are (${count})`, `${total} ÷ ${count} = ${mean}`)
+      ]
+    })
   }
 
-  // Grade 10-1
-  genMeasurementConversions(grade) {
-    // ═══════════════════════════════════════════════════════════════
-    // 📏 MATH 10-1: Metric and Imperial Conversions
-    // ═══════════════════════════════════════════════════════════════
-    const questionType = Math.floor(Math.random() * 4)
+  genMedian(grade) {
+    // 📍 Median: the middle value once the data is in order
+    const count = grade >= 9 && this.random() < 0.5 ? 6 : [5, 7][Math.floor(this.random() * 2)]
+    const values = Array.from({ length: count }, () => Math.floor(this.random() * 40) + 1)
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(count / 2)
+    const median = count % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+    return this.createProblem(`Find the median of: ${values.join(', ')}`, median, 'Median', grade, false, null, {
+      distractors: [
+        this.mistake('median-without-sorting', ...values)
+      ],
+      solution: [
+        this.step('Put the values in order', sorted.join(', ')),
+        count % 2 === 1
+          ? this.step(`With ${count} values, the middle one is value number ${middle + 1}`, `median = ${median}`)
+          : this.step('With an even number of values, take the mean of the two middle values', `(${sorted[middle - 1]} + ${sorted[middle]}) ÷ 2 = ${median}`)
+      ]
+    })
+  }
 
-    if (questionType === 0) {
-      // Feet to inches
-      const feet = Math.floor(Math.random() * 10) + 1
-      return this.createProblem(`${feet} feet = ? inches`, feet * 12, 'Unit Conversions', grade, true)
-    } else if (questionType === 1) {
-      // Meters to centimeters
-      const meters = Math.floor(Math.random() * 5) + 1
-      return this.createProblem(`${meters} meters = ? centimeters`, meters * 100, 'Unit Conversions', grade, true)
-    } else if (questionType === 2) {
-      // Kilometers to meters
-      const km = Math.floor(Math.random() * 5) + 1
-      return this.createProblem(`${km} kilometers = ? meters`, km * 1000, 'Unit Conversions', grade, true)
+  genMode(grade) {
+    // 🔁 Mode: the value that appears most often
+    const pool = this.shuffle(Array.from({ length: 20 }, (_, i) => i + 1))
+    const mode = pool[0]
+    const values = this.shuffle([mode, mode, mode, pool[1], pool[1], pool[2], pool[3], pool[4]].slice(0, Math.floor(this.random() * 3) + 6))
+    return this.createProblem(`Find the mode of: ${values.join(', ')}`, mode, 'Mode', grade, true, [mode, pool[1], pool[2], Math.max(...values)], {
+      solution: [
+        this.step('Count how many times each value appears'),
+        this.step(`${mode} appears ${values.filter(v => v === mode).length} times - more than any other value`, `mode = ${mode}`)
+      ]
+    })
+  }
+
+  // Grade 7
+  genIntegerOperations(grade) {
+    const ops = ['+', '-', '×']
+    const op = ops[Math.floor(this.random() * ops.length)]
+    if (op === '+') {
+      return this.genAddingIntegers(grade)
+    } else if (op === '-') {
+      return this.genSubtractingIntegers(grade)
     } else {
-      // Approximate: inches to cm (1 inch ≈ 2.54 cm)
-      const inches = Math.floor(Math.random() * 10) + 5
-      const answer = Math.round(inches * 2.54 * 10) / 10
-      return this.createProblem(`${inches} inches ≈ ? cm (use 1 inch = 2.54 cm)`, answer, 'Unit Conversions', grade, true)
+      return this.genMultiplyingIntegers(grade)
     }
   }
 
-  genFactoringPolynomials(grade) {
-    const a = Math.floor(Math.random() * 5) + 1
-    const b = Math.floor(Math.random() * 5) + 1
-    const answer = `${a}, ${b}`
+  genFractionOperations(grade) {
+    // Two proper fractions (bigger denominators on hard levels)
+    const d1 = Math.floor(this.random() * this.scaled(2, 4, 8)) + 2
+    const d2 = Math.floor(this.random() * this.scaled(2, 4, 8)) + 2
+    const n1 = Math.floor(this.random() * (d1 - 1)) + 1
+    const n2 = Math.floor(this.random() * (d2 - 1)) + 1
+    const answer = `${n1 * n2}/${d1 * d2}`
+    // Wrong options that happen to equal the answer (or each other) are left out
+    const wrong = [this.mistake('added-denominators', n1 + n2, d1, d2), this.mistake('added-denominators', n1 * n2, d1, d2), `${n1}/${d1 * d2}`]
+      .filter((option, i, all) => !this.validateAnswer({ answer }, String(option.value ?? option)) &&
+        all.findIndex(other => String(other.value ?? other) === String(option.value ?? option)) === i)
     return this.createProblem(
-      `Factor x² + ${a + b}x + ${a * b}. The factors are (x+?)(x+?)`,
+      `${n1}/${d1} × ${n2}/${d2} = ?`,
       answer,
-      'Factoring Polynomials',
+      'Fraction Operations',
       grade,
       true,
-      [answer, `${a + 1}, ${b}`, `${a}, ${b + 1}`, `${a * b}, 1`]
+      [answer, ...wrong],
+      {
+        solution: [
+          this.step('To multiply fractions, multiply straight across'),
+          this.step('Multiply the numerators', `${n1} × ${n2} = ${n1 * n2}`),
+          this.step('Multiply the denominators', `${d1} × ${d2} = ${d1 * d2}`),
+          this.step('Write the result', `${n1}/${d1} × ${n2}/${d2} = ${answer}`)
+        ]
+      }
     )
   }
 
-  genLinearRelations(grade) {
-    const m = Math.floor(Math.random() * 6) - 3
-    const b = Math.floor(Math.random() * 10) - 5
-    return this.createProblem(`y-intercept of y = ${m}x ${b >= 0 ? '+' : ''}${b}?`, b, 'Linear Relations', grade)
+  genTwoSidedEquations(grade) {
+    let x = Math.floor(this.random() * 10) + 1
+    const a = Math.floor(this.random() * this.scaled(2, 3, 6)) + 2
+    const b = Math.floor(this.random() * 10) + 1
+    // Harder levels can have a negative solution
+    if (this.activeDifficulty >= 7 && this.random() < 0.5) x = -x
+    return this.createProblem(`Solve: ${a}x + ${b} = ${a * x + b}`, x, 'Two-sided Equations', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-to-divide', a, x)
+      ],
+      solution: [
+        this.step(`Subtract ${b} from both sides to keep the equation balanced`, `${a}x + ${b} - ${b} = ${a * x + b} - ${b}`),
+        this.step('Simplify both sides', `${a}x = ${a * x}`),
+        this.step(`Divide both sides by ${a}`, `${a}x ÷ ${a} = ${a * x} ÷ ${a}`),
+        this.step('Simplify', `x = ${x}`),
+        this.step('Check by substituting back', `${a}(${x}) + ${b} = ${a * x + b}`)
+      ]
+    })
   }
 
-  genSystemsOfEquations(grade) {
-    const x = Math.floor(Math.random() * 5) + 1
-    const y = Math.floor(Math.random() * 5) + 1
-    return this.createProblem(`x + y = ${x + y}, x - y = ${x - y}. Find x.`, x, 'Systems of Equations', grade)
+  genCirclesCylinders(grade) {
+    const r = Math.floor(this.random() * 5) + 2
+
+    if (this.random() < 0.3) {
+      // Exact answer, in terms of π
+      return this.createProblem(`Circumference of circle with radius ${r}? (Exact answer, in terms of π)`, `${2 * r}π`, 'Circles', grade, false, null, {
+        acceptedForms: ['pi'],
+        solution: [
+          this.step('Circumference = 2 × π × radius', 'C = 2πr'),
+          this.step(`Substitute r = ${r} and leave π as a symbol`, `C = 2 × ${r} × π = ${2 * r}π`)
+        ]
+      })
+    }
+    const circumference = Math.round(2 * 3.14 * r * 10) / 10
+    return this.createProblem(`Circumference of circle with radius ${r}? (Use π=3.14, round to 1 decimal)`, circumference, 'Circles', grade, false, null, {
+      tolerance: { type: 'decimals', value: 1, exact: 2 * 3.14 * r },
+      distractors: [
+        this.mistake('area-instead-of-circumference', r),
+        this.mistake('forgot-to-double', circumference)
+      ],
+      solution: [
+        this.step('Circumference = 2 × π × radius', 'C = 2πr'),
+        this.step(`Substitute r = ${r} and π = 3.14`, `C = 2 × 3.14 × ${r}`),
+        this.step('Multiply and round to 1 decimal', `C ≈ ${circumference}`)
+      ]
+    })
   }
 
-  genRightTriangleTrig(grade) {
-    const angles = [30, 45, 60]
-    const funcs = ['sin', 'cos', 'tan']
-    const angle = angles[Math.floor(Math.random() * angles.length)]
-    const func = funcs[Math.floor(Math.random() * funcs.length)]
-    const values = {
-      'sin30': 0.5, 'sin45': 0.71, 'sin60': 0.87,
-      'cos30': 0.87, 'cos45': 0.71, 'cos60': 0.5,
-      'tan30': 0.58, 'tan45': 1, 'tan60': 1.73
+  genFunctionsIntro(grade) {
+    const x = Math.floor(this.random() * 5) + 1
+    const m = Math.floor(this.random() * 3) + 2
+    const b = Math.floor(this.random() * 5)
+    return this.createProblem(`If f(x) = ${m}x + ${b}, find f(${x})`, m * x + b, 'Functions', grade, false, null, {
+      distractors: [
+        this.mistake('coefficient-as-digit', m, x, b)
+      ],
+      solution: [
+        this.step(`Replace x with ${x}`, `f(${x}) = ${m}(${x}) + ${b}`),
+        this.step('Multiply', `f(${x}) = ${m * x} + ${b}`),
+        this.step('Add', `f(${x}) = ${m * x + b}`)
+      ]
+    })
+  }
+
+  genProbability(grade) {
+    const total = Math.floor(this.random() * 8) + 4
+    const favorable = Math.floor(this.random() * (total - 1)) + 1
+    return this.createProblem(`P(red) if ${favorable} red out of ${total} total? Answer as fraction.`, `${favorable}/${total}`, 'Probability', grade, false, null, {
+      acceptedForms: ['fraction'],
+      distractors: [
+        this.mistake('part-to-part', favorable, total),
+        this.mistake('flipped-fraction', favorable, total)
+      ],
+      solution: [
+        this.step('Probability = favourable outcomes ÷ total outcomes'),
+        this.step(`There are ${favorable} red out of ${total}`, `P(red) = ${favorable}/${total}`)
+      ]
+    })
+  }
+
+  // Grade 7 - topic generators
+  genAddingIntegers(grade) {
+    const size = this.scaled(5, 10, 25)
+    const a = Math.floor(this.random() * 2 * size) - size
+    const b = Math.floor(this.random() * 2 * size) - size
+    const ans = a + b
+    return this.createProblem(`(${a}) + (${b}) = ?`, ans, 'Integer Operations', grade, false, null, {
+      distractors: [this.mistake('sign-error', ans)],
+      solution: [
+        this.step(b >= 0 ? `Adding ${b} moves ${b} to the right on the number line` : `Adding ${b} moves ${-b} to the left on the number line`),
+        this.step(`Start at ${a} and move`, `(${a}) + (${b}) = ${ans}`)
+      ]
+    })
+  }
+
+  genSubtractingIntegers(grade) {
+    const size = this.scaled(5, 10, 25)
+    const a = Math.floor(this.random() * 2 * size) - size
+    const b = Math.floor(this.random() * 2 * size) - size
+    const ans = a - b
+    return this.createProblem(`(${a}) - (${b}) = ?`, ans, 'Integer Operations', grade, false, null, {
+      distractors: [this.mistake('added-instead-of-subtracted', a, b), this.mistake('sign-error', ans)],
+      solution: [
+        this.step('Subtracting a number is the same as adding its opposite', `(${a}) - (${b}) = (${a}) + (${-b})`),
+        this.step('Add', `(${a}) + (${-b}) = ${ans}`)
+      ]
+    })
+  }
+
+  genMultiplyingIntegers(grade) {
+    const size = this.scaled(5, 10, 25)
+    const a = Math.floor(this.random() * 2 * size) - size
+    const b = Math.floor(this.random() * 2 * size) - size
+    const ans = a * b
+    return this.createProblem(`(${a}) × (${b}) = ?`, ans, 'Integer Operations', grade, false, null, {
+      distractors: [this.mistake('sign-error', ans)],
+      solution: [
+        this.step(`Multiply the sizes`, `${Math.abs(a)} × ${Math.abs(b)} = ${Math.abs(ans)}`),
+        this.step(ans === 0 ? 'Anything times zero is zero' : (a < 0) === (b < 0) ? 'Same signs give a positive answer' : 'Different signs give a negative answer', `(${a}) × (${b}) = ${ans}`)
+      ]
+    })
+  }
+
+  genDividingIntegers(grade) {
+    const b = (Math.floor(this.random() * 9) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const ans = (Math.floor(this.random() * 10) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const a = b * ans
+    return this.createProblem(`(${a}) ÷ (${b}) = ?`, ans, 'Integer Operations', grade, false, null, {
+      distractors: [this.mistake('sign-error', ans)],
+      solution: [
+        this.step('Divide the sizes', `${Math.abs(a)} ÷ ${Math.abs(b)} = ${Math.abs(ans)}`),
+        this.step((a < 0) === (b < 0) ? 'Same signs give a positive answer' : 'Different signs give a negative answer', `(${a}) ÷ (${b}) = ${ans}`)
+      ]
+    })
+  }
+
+  genNegativeNumbers(grade) {
+    // 🌡️ Negative Numbers: temperatures below zero
+    if (this.random() < 0.5) {
+      const start = Math.floor(this.random() * 15) - 5
+      const drop = Math.floor(this.random() * 12) + 4
+      const end = start - drop
+      return this.createProblem(`It is ${start}°C in Edmonton. Overnight the temperature drops ${drop} degrees. What is the new temperature (in °C)?`, end, 'Negative Numbers', grade, false, null, {
+        distractors: [
+          this.mistake('sign-error', end),
+          this.mistake('added-instead-of-subtracted', start, drop)
+        ],
+        solution: [
+          this.step('A drop in temperature means subtract'),
+          this.step(`Start at ${start} and count down ${drop}`, `${start} - ${drop} = ${end}`)
+        ]
+      })
+    }
+
+    const a = -(Math.floor(this.random() * 20) + 1)
+    let b = -(Math.floor(this.random() * 20) + 1)
+    if (a === b) b -= 3
+    const colder = Math.min(a, b)
+    return this.createProblem(`Which is colder: ${a}°C or ${b}°C?`, colder, 'Negative Numbers', grade, true, [a, b], {
+      solution: [
+        this.step('On a number line, numbers get smaller as you go left'),
+        this.step(`${colder} is further below zero than ${Math.max(a, b)}`, `${colder} < ${Math.max(a, b)}`),
+        this.step(`So ${colder}°C is colder`)
+      ]
+    })
+  }
+
+  genIntegersOnNumberLine(grade) {
+    // 📍 Click where an integer sum lands on the number line
+    const size = this.scaled(5, 8, 10)
+    const a = Math.floor(this.random() * (2 * size + 1)) - size
+    // Pick b so the answer stays on the line
+    const low = -size - a
+    const high = size - a
+    let b = low + Math.floor(this.random() * (high - low + 1))
+    if (b === 0) b = high > 0 ? 1 : -1
+    const ans = a + b
+    return this.createProblem(`Click where (${a}) + (${b}) lands on the number line.`, ans, 'Integers on a Number Line', grade, false, null, {
+      interaction: { type: 'number-line', min: -size, max: size, ticks: 1 },
+      distractors: [
+        this.mistake('moved-wrong-way', a, b),
+        this.mistake('sign-error', ans)
+      ],
+      solution: [
+        this.step(`Start at ${a}`),
+        this.step(b > 0 ? `Adding ${b} moves ${b} to the right` : `Adding ${b} moves ${-b} to the left`, `(${a}) + (${b}) = ${ans}`)
+      ]
+    })
+  }
+
+  genOrderingIntegers(grade) {
+    // ↔️ Drag integers into order from least to greatest
+    const size = this.scaled(10, 20, 50)
+    const count = this.scaled(4, 5, 6)
+    const values = []
+    while (values.length < count) {
+      const value = Math.floor(this.random() * (2 * size + 1)) - size
+      if (!values.includes(value)) values.push(value)
+    }
+    // Make sure there's a negative number to trip over
+    if (values.every(value => value >= 0)) values[0] = -values[0] || -1
+    const sorted = [...values].sort((x, y) => x - y)
+    let items = this.shuffle(values)
+    if (items.join() === sorted.join()) items = [...sorted].reverse()
+    return this.createProblem('Drag the numbers into order from least to greatest.', sorted.join(', '), 'Ordering Integers', grade, false, null, {
+      interaction: { type: 'order', items },
+      answerSet: { values: sorted, ordered: true },
+      distractors: [
+        this.mistake('ordered-ignoring-signs', sorted)
+      ],
+      solution: [
+        this.step('On a number line, numbers get bigger as you go right'),
+        this.step('Negative numbers come first - the one furthest from zero is the least'),
+        this.step('Read them from left to right', sorted.join(' < '))
+      ]
+    })
+  }
+
+  genDividingFractions(grade) {
+    // ➗ Dividing Fractions: multiply by the reciprocal
+    const gcd = (x, y) => y === 0 ? x : gcd(y, x % y)
+    const d1 = Math.floor(this.random() * 7) + 2
+    const n1 = Math.floor(this.random() * (d1 - 1)) + 1
+    const d2 = Math.floor(this.random() * 7) + 2
+    const n2 = Math.floor(this.random() * (d2 - 1)) + 1
+    const num = n1 * d2
+    const den = d1 * n2
+    const common = gcd(num, den)
+    const answer = den / common === 1 ? `${num / common}` : `${num / common}/${den / common}`
+    return this.createProblem(`${n1}/${d1} ÷ ${n2}/${d2} = ?`, answer, 'Dividing Fractions', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-to-flip', n1, d1, n2, d2)
+      ],
+      solution: [
+        this.step('Dividing by a fraction is the same as multiplying by its reciprocal'),
+        this.step(`Flip the second fraction and multiply`, `${n1}/${d1} × ${d2}/${n2}`),
+        this.step('Multiply straight across', `${num}/${den}`),
+        ...(common > 1 ? [this.step(`Simplify by dividing top and bottom by ${common}`, answer)] : [])
+      ]
+    })
+  }
+
+  genReciprocals(grade) {
+    // 🔃 Reciprocals: flip the fraction
+    const type = Math.floor(this.random() * 3)
+    const d = Math.floor(this.random() * 8) + 2
+    const n = Math.floor(this.random() * (d - 1)) + 1
+
+    if (type === 0) {
+      return this.createProblem(`What is the reciprocal of ${n}/${d}?`, n === 1 ? `${d}` : `${d}/${n}`, 'Reciprocals', grade, false, null, {
+        acceptedForms: ['fraction', 'mixed', 'integer'],
+        solution: [
+          this.step('The reciprocal swaps the numerator and denominator'),
+          this.step('Check: a number times its reciprocal is 1', `${n}/${d} × ${d}/${n} = 1`)
+        ]
+      })
+    } else if (type === 1) {
+      return this.createProblem(`What is the reciprocal of ${d}?`, `1/${d}`, 'Reciprocals', grade, false, null, {
+        acceptedForms: ['fraction'],
+        solution: [
+          this.step(`Write ${d} as a fraction`, `${d} = ${d}/1`),
+          this.step('Swap the numerator and denominator', `1/${d}`)
+        ]
+      })
+    }
+
+    const whole = Math.floor(this.random() * 3) + 1
+    const improper = whole * d + n
+    return this.createProblem(`What is the reciprocal of ${whole} ${n}/${d}?`, `${d}/${improper}`, 'Reciprocals', grade, false, null, {
+      acceptedForms: ['fraction'],
+      distractors: [
+        this.mistake('flipped-only-the-fraction', whole, n, d)
+      ],
+      solution: [
+        this.step('Change the mixed number to an improper fraction first', `${whole} ${n}/${d} = ${improper}/${d}`),
+        this.step('Swap the numerator and denominator', `${d}/${improper}`)
+      ]
+    })
+  }
+
+  genVariablesBothSides(grade) {
+    // ⚖️ Variables on both sides
+    const x = Math.floor(this.random() * 13) - 4
+    const c = Math.floor(this.random() * 4) + 1
+    const a = c + Math.floor(this.random() * 4) + 1
+    const b = Math.floor(this.random() * 15) - 7
+    const d = a * x + b - c * x
+    const right = `${c === 1 ? '' : c}x ${d < 0 ? '-' : '+'} ${Math.abs(d)}`
+    const left = `${a}x ${b < 0 ? '-' : '+'} ${Math.abs(b)}`
+    return this.createProblem(`Solve: ${left} = ${right}`, x, 'Variables on Both Sides', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-to-divide', a - c, x)
+      ],
+      solution: [
+        this.step(`Subtract ${c === 1 ? '' : c}x from both sides so x is on one side only`, `${a - c === 1 ? '' : a - c}x ${b < 0 ? '-' : '+'} ${Math.abs(b)} = ${d}`),
+        this.step(`${b < 0 ? 'Add' : 'Subtract'} ${Math.abs(b)} ${b < 0 ? 'to' : 'from'} both sides`, `${a - c === 1 ? '' : a - c}x = ${d - b}`),
+        ...(a - c === 1 ? [] : [this.step(`Divide both sides by ${a - c}`, `x = ${x}`)]),
+        this.step('Check by substituting back', `${a}(${x}) ${b < 0 ? '-' : '+'} ${Math.abs(b)} = ${a * x + b} and ${c}(${x}) ${d < 0 ? '-' : '+'} ${Math.abs(d)} = ${c * x + d}`)
+      ]
+    })
+  }
+
+  genAlgebraicManipulation(grade) {
+    // 🔧 Algebraic Manipulation: expand and collect like terms
+    const a = Math.floor(this.random() * 5) + 2
+    const b = Math.floor(this.random() * 6) + 1
+    const c = Math.floor(this.random() * 5) + 1
+    const answer = this.formatPolynomial([a + c, a * b])
+    return this.createProblem(`Simplify: ${a}(x + ${b}) + ${c}x`, answer, 'Algebraic Manipulation', grade, false, null, {
+      answerType: 'expression',
+      distractors: [
+        this.mistake('distributed-to-first-term-only', a + c, b)
+      ],
+      solution: [
+        this.step(`Multiply ${a} by BOTH terms in the brackets`, `${a}(x + ${b}) = ${a}x + ${a * b}`),
+        this.step('Collect the like terms', `${a}x + ${c}x = ${a + c}x`),
+        this.step('Write the simplified expression', answer)
+      ]
+    })
+  }
+
+  genAreaOfCircles(grade) {
+    // ⭕ Area of a circle
+    const r = Math.floor(this.random() * 9) + 2
+    const area = Math.round(3.14 * r * r * 10) / 10
+    return this.createProblem(`Area of a circle with radius ${r} cm? (Use π=3.14, round to 1 decimal)`, area, 'Area of Circles', grade, false, null, {
+      tolerance: { type: 'decimals', value: 1, exact: 3.14 * r * r },
+      distractors: [
+        this.mistake('doubled-instead-of-squared', r)
+      ],
+      solution: [
+        this.step('Area of a circle = π × radius × radius', 'A = πr²'),
+        this.step(`Square the radius`, `${r}² = ${r * r}`),
+        this.step('Multiply by π and round', `A = 3.14 × ${r * r} ≈ ${area}`)
+      ]
+    })
+  }
+
+  genPrismVolume(grade) {
+    // 🔺 Volume of a triangular prism
+    const base = (Math.floor(this.random() * 5) + 2) * 2
+    const height = Math.floor(this.random() * 6) + 2
+    const length = Math.floor(this.random() * 8) + 3
+    const baseArea = base * height / 2
+    return this.createProblem(
+      `A triangular prism has a triangle base ${base} cm wide and ${height} cm tall. The prism is ${length} cm long. What is its volume?`,
+      `${baseArea * length} cm³`,
+      'Volume of Prisms',
+      grade,
+      false,
+      null,
+      {
+        answerType: 'quantity',
+        distractors: [
+          this.mistake('forgot-to-halve', base * height * length)
+        ],
+        solution: [
+          this.step('Volume of a prism = area of the base × length', 'V = A × l'),
+          this.step('The base is a triangle: half of base × height', `${base} × ${height} ÷ 2 = ${baseArea}`),
+          this.step('Multiply by the length', `${baseArea} × ${length} = ${baseArea * length}`)
+        ]
+      }
+    )
+  }
+
+  genCylinderVolume(grade) {
+    // 🥫 Volume of a cylinder
+    const r = Math.floor(this.random() * 6) + 2
+    const h = Math.floor(this.random() * 10) + 3
+    const volume = Math.round(3.14 * r * r * h * 10) / 10
+    return this.createProblem(`Volume of a cylinder with radius ${r} cm and height ${h} cm? (Use π=3.14, round to 1 decimal)`, volume, 'Volume of Cylinders', grade, false, null, {
+      tolerance: { type: 'decimals', value: 1, exact: 3.14 * r * r * h },
+      distractors: [
+        this.mistake('doubled-instead-of-squared', r, h)
+      ],
+      solution: [
+        this.step('Volume of a cylinder = area of the circle base × height', 'V = πr²h'),
+        this.step('Area of the base', `3.14 × ${r}² = ${Math.round(3.14 * r * r * 100) / 100}`),
+        this.step('Multiply by the height and round', `${Math.round(3.14 * r * r * 100) / 100} × ${h} ≈ ${volume}`)
+      ]
+    })
+  }
+
+  genDomain(grade) {
+    // 📥 Domain: every input (x) of a relation
+    const { pairs } = this.linearRelation()
+    const xs = pairs.map(([x]) => x)
+    return this.createProblem(`What is the domain of {${pairs.map(([x, y]) => `(${x}, ${y})`).join(', ')}}?`, `{${xs.join(', ')}}`, 'Domain', grade, false, null, {
+      answerSet: { values: xs },
+      distractors: [
+        this.mistake('domain-range-swapped', pairs.map(([, y]) => y))
+      ],
+      solution: [
+        this.step('The domain is the set of all first numbers (x-values, the inputs)'),
+        this.step('List each x once', `{${xs.join(', ')}}`)
+      ]
+    })
+  }
+
+  genRange(grade) {
+    // 📤 Range: every output (y) of a relation
+    const { pairs } = this.linearRelation()
+    const ys = pairs.map(([, y]) => y)
+    return this.createProblem(`What is the range of {${pairs.map(([x, y]) => `(${x}, ${y})`).join(', ')}}?`, `{${ys.join(', ')}}`, 'Range', grade, false, null, {
+      answerSet: { values: ys },
+      distractors: [
+        this.mistake('domain-range-swapped', pairs.map(([x]) => x))
+      ],
+      solution: [
+        this.step('The range is the set of all second numbers (y-values, the outputs)'),
+        this.step('List each y once', `{${ys.join(', ')}}`)
+      ]
+    })
+  }
+
+  genInputOutput(grade) {
+    // 🔄 Input/Output tables: find the rule, then use it
+    const { m, b, pairs } = this.linearRelation()
+    const input = pairs[pairs.length - 1][0] + Math.floor(this.random() * 4) + 2
+    const output = m * input + b
+    const table = pairs.slice(0, 3).map(([x, y]) => `${x} → ${y}`).join(', ')
+    return this.createProblem(`An input/output machine gives: ${table}. What is the output for ${input}?`, output, 'Input Output', grade, false, null, {
+      distractors: [
+        this.mistake('off-by-one', output, -b)
+      ],
+      solution: [
+        this.step(`Each time the input goes up by 1, the output goes up by ${m} - so multiply by ${m}`),
+        this.step(`Then ${b >= 0 ? 'add' : 'subtract'} ${Math.abs(b)} to match the table`, `output = ${m} × input ${b >= 0 ? '+' : '-'} ${Math.abs(b)}`),
+        this.step(`Use the rule with ${input}`, `${m} × ${input} ${b >= 0 ? '+' : '-'} ${Math.abs(b)} = ${output}`)
+      ]
+    })
+  }
+
+  genExperimentalProbability(grade) {
+    // 🎲 Experimental Probability: what actually happened in trials
+    if (this.random() < 0.5) {
+      const trials = [20, 25, 40, 50][Math.floor(this.random() * 4)]
+      const heads = Math.floor(this.random() * (trials / 2)) + Math.floor(trials / 4)
+      return this.createProblem(`A coin was flipped ${trials} times and landed on heads ${heads} times. What is the experimental probability of heads?`, `${heads}/${trials}`, 'Experimental Probability', grade, false, null, {
+        distractors: [
+          this.mistake('part-to-part', heads, trials)
+        ],
+        solution: [
+          this.step('Experimental probability = times it happened ÷ total trials'),
+          this.step('Fill in the results', `P(heads) = ${heads}/${trials}`),
+          this.step('The theoretical probability is 1/2, but real results are usually a little different')
+        ]
+      })
+    }
+
+    const spins = 40
+    const red = [8, 10, 12, 16, 20][Math.floor(this.random() * 5)]
+    const future = [100, 200, 400][Math.floor(this.random() * 3)]
+    return this.createProblem(`A spinner landed on red ${red} times in ${spins} spins. About how many reds would you expect in ${future} spins?`, red * future / spins, 'Experimental Probability', grade, true, null, {
+      solution: [
+        this.step('Find the experimental probability of red', `${red}/${spins}`),
+        this.step(`Multiply by the number of spins`, `${red}/${spins} × ${future} = ${red * future / spins}`)
+      ]
+    })
+  }
+
+  genSampleSpace(grade) {
+    // 🧩 Sample Space: count every possible outcome
+    const events = [
+      { text: 'flip a coin and roll a 6-sided die', a: 2, b: 6 },
+      { text: 'spin a spinner with 4 colours and flip a coin', a: 4, b: 2 },
+      { text: 'pick one of 3 shirts and one of 4 pairs of pants', a: 3, b: 4 },
+      { text: 'roll two 6-sided dice', a: 6, b: 6 },
+      { text: 'pick one of 5 sandwiches and one of 3 drinks', a: 5, b: 3 }
+    ]
+    const chosen = events[Math.floor(this.random() * events.length)]
+    return this.createProblem(`You ${chosen.text}. How many outcomes are in the sample space?`, chosen.a * chosen.b, 'Sample Space', grade, true, null, {
+      distractors: [
+        this.mistake('added-instead-of-multiplied', chosen.a, chosen.b)
+      ],
+      solution: [
+        this.step('Make a table: each outcome of the first event pairs with every outcome of the second'),
+        this.step('Multiply the number of outcomes', `${chosen.a} × ${chosen.b} = ${chosen.a * chosen.b}`)
+      ]
+    })
+  }
+
+  // Grade 8
+  genRationalNumbers(grade) {
+    const a = (Math.floor(this.random() * 10) + 1) / 2
+    let b = (Math.floor(this.random() * 10) + 1) / 2
+    // Harder levels bring in negative numbers
+    if (this.activeDifficulty >= 7 && this.random() < 0.5) b = -b
+    const shownB = b < 0 ? `(${b})` : `${b}`
+    return this.createProblem(`${a} + ${shownB} = ?`, a + b, 'Rational Numbers', grade, false, null, {
+      solution: [
+        this.step('Line up the decimal points'),
+        this.step(b < 0 ? 'Adding a negative number is the same as subtracting' : 'Add the whole parts and the halves', `${a} + ${shownB} = ${a + b}`)
+      ]
+    })
+  }
+
+  genPolynomialsIntro(grade) {
+    const a = Math.floor(this.random() * 5) + 1
+    const b = Math.floor(this.random() * 5) + 1
+    const answer = `${a + b}x`
+    return this.createProblem(
+      `Simplify: ${a}x + ${b}x = ?`,
+      answer,
+      'Polynomials',
+      grade,
+      true,
+      [answer, this.mistake('multiplied-like-terms', a, b), this.mistake('added-exponents-when-adding', a, b), `${a}x + ${b}`],
+      {
+        answerType: 'expression',
+        solution: [
+          this.step(`${a}x and ${b}x are like terms (both have x), so they can be combined`),
+          this.step('Add the coefficients and keep the x', `${a} + ${b} = ${a + b}`),
+          this.step('Write the result', `${a}x + ${b}x = ${answer}`)
+        ]
+      }
+    )
+  }
+
+  genLinearEquations(grade) {
+    const size = this.scaled(3, 5, 10)
+    const x = Math.floor(this.random() * 2 * size) - size
+    const a = Math.floor(this.random() * this.scaled(3, 5, 8)) + 2
+    const b = Math.floor(this.random() * 10) - 5
+    return this.createProblem(`Solve: ${a}x + ${b} = ${a * x + b}`, x, 'Linear Equations', grade, false, null, {
+      distractors: [
+        this.mistake('sign-error', x),
+        this.mistake('forgot-to-divide', a, x)
+      ],
+      solution: [
+        this.step(b >= 0 ? `Subtract ${b} from both sides` : `Add ${-b} to both sides`, `${a}x = ${a * x + b} ${b >= 0 ? '-' : '+'} ${Math.abs(b)}`),
+        this.step('Simplify', `${a}x = ${a * x}`),
+        this.step(`Divide both sides by ${a}`, `x = ${a * x} ÷ ${a} = ${x}`)
+      ]
+    })
+  }
+
+  genSurfaceArea(grade) {
+    const l = Math.floor(this.random() * 5) + 2
+    const w = Math.floor(this.random() * 4) + 2
+    const h = Math.floor(this.random() * 3) + 2
+    const sa = 2 * (l * w + w * h + l * h)
+    return this.createProblem(`Surface area of box: ${l} m × ${w} m × ${h} m`, `${sa} m²`, 'Surface Area', grade, false, null, {
+      answerType: 'quantity',
+      distractors: [
+        this.mistake('forgot-to-double', sa)
+      ],
+      solution: [
+        this.step('A box has 3 pairs of matching faces', 'SA = 2(lw + wh + lh)'),
+        this.step('Find the area of each kind of face', `lw = ${l * w}, wh = ${w * h}, lh = ${l * h}`),
+        this.step('Add them up', `${l * w} + ${w * h} + ${l * h} = ${l * w + w * h + l * h}`),
+        this.step('Double it for both faces of each pair', `2 × ${l * w + w * h + l * h} = ${sa}`),
+        this.step('Area is measured in square units', `SA = ${sa} m²`)
+      ]
+    })
+  }
+
+  genSlopeOfLines(grade) {
+    const m = Math.floor(this.random() * 10) - 5
+    const b = Math.floor(this.random() * 10) - 5
+    return this.createProblem(`Slope of y = ${m}x ${b >= 0 ? '+' : ''}${b}?`, m, 'Slope', grade, false, null, {
+      distractors: [
+        this.mistake('swapped-slope-intercept', b),
+        this.mistake('sign-error', m)
+      ],
+      solution: [
+        this.step('In y = mx + b, the slope is m (the number in front of x)'),
+        this.step(`Here the number in front of x is ${m}`, `m = ${m}`)
+      ]
+    })
+  }
+
+  genGraphingEquations(grade) {
+    // 📈 Graph a line from its equation by clicking on the grid
+    const m = (Math.floor(this.random() * this.scaled(2, 3, 3)) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const b = Math.floor(this.random() * 9) - 4
+    const rule = this.formatPolynomial([m, b])
+
+    if (this.random() < 0.5) {
+      // Just the y-intercept: one point
+      return this.createProblem(`Plot the y-intercept of y = ${rule}.`, `(0, ${b})`, 'Graphing Lines', grade, false, null, {
+        answerType: 'point',
+        interaction: { type: 'plot-point', range: 6 },
+        distractors: [
+          this.mistake('swapped-slope-intercept', `(0, ${m})`),
+          this.mistake('swapped-coordinates', 0, b)
+        ],
+        solution: [
+          this.step('In y = mx + b, b is where the line crosses the y-axis', `b = ${b}`),
+          this.step('The y-axis is where x = 0', `(0, ${b})`)
+        ]
+      })
+    }
+
+    // The whole line: plot the y-intercept, then use the slope to find a second point
+    const run = Math.abs(m * 1 + b) <= 6 ? 1 : -1
+    return this.createProblem(`Graph y = ${rule}: click two points on the line.`, rule, 'Graphing Lines', grade, false, null, {
+      answerType: 'line',
+      interaction: { type: 'plot-line', range: 6 },
+      distractors: [
+        this.mistake('swapped-slope-intercept', this.formatPolynomial([b, m]))
+      ],
+      solution: [
+        this.step('Start at the y-intercept', `(0, ${b})`),
+        this.step(`The slope is ${m}: go ${run > 0 ? 'right' : 'left'} 1 and ${m * run > 0 ? 'up' : 'down'} ${Math.abs(m)}`, `(${run}, ${m * run + b})`),
+        this.step('Those two points are on the line')
+      ]
+    })
+  }
+
+  genDataDistributions(grade) {
+    // ═══════════════════════════════════════════════════════════════
+    // 📊 GRADE 8: Histograms and Data Analysis
+    // ═══════════════════════════════════════════════════════════════
+    const questionType = Math.floor(this.random() * 3)
+
+    if (questionType === 0 || questionType === 1) {
+      return this.genHistograms(grade)
+    } else {
+      return this.genDistributionShape(grade)
+    }
+  }
+
+  // Grade 8 - topic generators
+  genDecimals(grade) {
+    // 🔟 Positive and negative decimals
+    const a = (Math.floor(this.random() * 200) - 100) / 10
+    const b = (Math.floor(this.random() * 200) - 100) / 10
+    if (this.random() < 0.5) {
+      const sum = Math.round((a + b) * 10) / 10
+      return this.createProblem(`(${a}) + (${b}) = ?`, sum, 'Decimals', grade, false, null, {
+        distractors: [
+          this.mistake('sign-error', sum)
+        ],
+        solution: [
+          (a < 0) === (b < 0)
+            ? this.step('Same signs: add the sizes and keep the sign', `${Math.abs(a)} + ${Math.abs(b)} = ${Math.round((Math.abs(a) + Math.abs(b)) * 10) / 10}`)
+            : this.step('Different signs: subtract the sizes and keep the sign of the bigger one', `${Math.max(Math.abs(a), Math.abs(b))} - ${Math.min(Math.abs(a), Math.abs(b))} = ${Math.round(Math.abs(Math.abs(a) - Math.abs(b)) * 10) / 10}`),
+          this.step('Write the answer', `(${a}) + (${b}) = ${sum}`)
+        ]
+      })
+    }
+
+    const c = (Math.floor(this.random() * 9) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const product = Math.round(a * c * 10) / 10
+    return this.createProblem(`(${a}) × (${c}) = ?`, product, 'Decimals', grade, false, null, {
+      distractors: [
+        this.mistake('sign-error', product)
+      ],
+      solution: [
+        this.step('Multiply the sizes as if there were no decimal point, then put it back', `${Math.abs(a)} × ${Math.abs(c)} = ${Math.round(Math.abs(a * c) * 10) / 10}`),
+        this.step((a < 0) === (c < 0) ? 'Same signs give a positive answer' : 'Different signs give a negative answer', `(${a}) × (${c}) = ${product}`)
+      ]
+    })
+  }
+
+  genRationalFractions(grade) {
+    // ➕ Adding and subtracting positive and negative fractions
+    const gcd = (x, y) => y === 0 ? Math.abs(x) : gcd(y, x % y)
+    const d1 = [2, 3, 4, 5, 6][Math.floor(this.random() * 5)]
+    const d2 = [2, 3, 4, 6, 8][Math.floor(this.random() * 5)]
+    const n1 = (Math.floor(this.random() * (d1 - 1)) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const n2 = Math.floor(this.random() * (d2 - 1)) + 1
+    const op = this.random() < 0.5 ? '+' : '-'
+    const lcd = d1 * d2 / gcd(d1, d2)
+    const top = n1 * lcd / d1 + (op === '+' ? 1 : -1) * n2 * lcd / d2
+    const common = gcd(top, lcd) || 1
+    const answer = top === 0 ? '0' : lcd / common === 1 ? `${top / common}` : `${top / common}/${lcd / common}`
+    return this.createProblem(`${n1}/${d1} ${op} ${n2}/${d2} = ?`, answer, 'Rational Numbers', grade, false, null, {
+      distractors: [
+        this.mistake('added-denominators', n1 + (op === '+' ? n2 : -n2), d1, d2)
+      ],
+      solution: [
+        this.step('Find a common denominator', `${lcd}`),
+        this.step('Rewrite both fractions', `${n1 * lcd / d1}/${lcd} ${op} ${n2 * lcd / d2}/${lcd}`),
+        this.step(`${op === '+' ? 'Add' : 'Subtract'} the numerators and keep the denominator`, `${top}/${lcd}`),
+        ...(common > 1 && top !== 0 ? [this.step('Simplify', answer)] : [])
+      ]
+    })
+  }
+
+  genRationalBedmas(grade) {
+    // 🧠 BEDMAS with negative numbers
+    const a = Math.floor(this.random() * 19) - 9
+    const b = (Math.floor(this.random() * 6) + 2) * (this.random() < 0.5 ? -1 : 1)
+    const divisor = (Math.floor(this.random() * 4) + 2) * (this.random() < 0.5 ? -1 : 1)
+    const c = divisor * (Math.floor(this.random() * 9) - 4)
+    const answer = a * b + c / divisor
+    return this.createProblem(`(${a}) × (${b}) + (${c}) ÷ (${divisor}) = ?`, answer, 'BEDMAS', grade, false, null, {
+      distractors: [
+        this.mistake('ignored-order-of-operations', a, '×', b, '+', c, '÷', divisor)
+      ],
+      solution: [
+        this.step('BEDMAS: multiply and divide before you add'),
+        this.step('Multiply', `(${a}) × (${b}) = ${a * b}`),
+        this.step('Divide', `(${c}) ÷ (${divisor}) = ${c / divisor}`),
+        this.step('Add', `${a * b} + (${c / divisor}) = ${answer}`)
+      ]
+    })
+  }
+
+  genClassifyingPolynomials(grade) {
+    // 🏷️ Classifying Polynomials by number of terms or degree
+    const polynomials = [
+      { text: '7x', terms: 1, degree: 1 },
+      { text: '-4x²', terms: 1, degree: 2 },
+      { text: '3x + 5', terms: 2, degree: 1 },
+      { text: '2x² - 9', terms: 2, degree: 2 },
+      { text: 'x² + 4x - 1', terms: 3, degree: 2 },
+      { text: '5 - 2x + 3x²', terms: 3, degree: 2 },
+      { text: '8', terms: 1, degree: 0 }
+    ]
+    const names = { 1: 'monomial', 2: 'binomial', 3: 'trinomial' }
+    const chosen = polynomials[Math.floor(this.random() * polynomials.length)]
+
+    if (this.random() < 0.5) {
+      return this.createProblem(`Classify ${chosen.text} by its number of terms`, names[chosen.terms], 'Classifying Polynomials', grade, true, Object.values(names), {
+        solution: [
+          this.step('Terms are separated by + and - signs'),
+          this.step(`${chosen.text} has ${chosen.terms} term${chosen.terms === 1 ? '' : 's'}`, `${chosen.terms} term${chosen.terms === 1 ? '' : 's'} = ${names[chosen.terms]}`)
+        ]
+      })
+    }
+
+    return this.createProblem(`What is the degree of ${chosen.text}?`, chosen.degree, 'Classifying Polynomials', grade, true, [0, 1, 2, 3], {
+      distractors: chosen.terms !== chosen.degree ? [this.mistake('counted-terms-for-degree', ...Array(chosen.terms).fill(chosen.text))] : [],
+      solution: [
+        this.step('The degree is the highest exponent on the variable (a constant has degree 0)'),
+        this.step(`The highest power of x in ${chosen.text} is ${chosen.degree}`, `degree ${chosen.degree}`)
+      ]
+    })
+  }
+
+  genSimplifyingPolynomials(grade) {
+    // ➕ Adding and subtracting polynomials
+    const pick = () => (Math.floor(this.random() * 9) + 1) * (this.random() < 0.3 ? -1 : 1)
+    const [a, b, c] = [pick(), pick(), pick()]
+    const [d, e, f] = [Math.floor(this.random() * 5) + 1, pick(), pick()]
+    const subtract = this.random() < 0.5
+    const sign = subtract ? -1 : 1
+    const answer = this.formatPolynomial([a + sign * d, b + sign * e, c + sign * f])
+    const first = this.formatPolynomial([a, b, c])
+    const second = this.formatPolynomial([d, e, f])
+    return this.createProblem(`Simplify: (${first}) ${subtract ? '-' : '+'} (${second})`, answer, 'Simplifying Polynomials', grade, false, null, {
+      answerType: 'expression',
+      distractors: subtract ? [this.mistake('subtracted-only-first-term', this.formatPolynomial([a - d, b + e, c + f]))] : [],
+      solution: [
+        subtract
+          ? this.step('Subtracting a polynomial means subtracting EVERY term - change all the signs in the second bracket', `${first} + (${this.formatPolynomial([-d, -e, -f])})`)
+          : this.step('Remove the brackets', `${first} + ${second}`),
+        this.step('Collect the like terms', `x²: ${a} ${subtract ? '-' : '+'} ${d}, x: ${b} ${subtract ? '-' : '+'} (${e}), numbers: ${c} ${subtract ? '-' : '+'} (${f})`),
+        this.step('Write the simplified polynomial', answer)
+      ]
+    })
+  }
+
+  genRationalCoefficients(grade) {
+    // ½ Equations with fraction or decimal coefficients
+    const x = (Math.floor(this.random() * 8) + 1) * (this.random() < 0.3 ? -1 : 1)
+    if (this.random() < 0.5) {
+      const a = Math.floor(this.random() * 4) + 2
+      const b = Math.floor(this.random() * 10) - 5
+      const right = x + b
+      const xValue = a * x
+      return this.createProblem(`Solve: x/${a} ${b < 0 ? '-' : '+'} ${Math.abs(b)} = ${right}`, xValue, 'Rational Coefficients', grade, false, null, {
+        distractors: [
+          this.mistake('divided-instead-of-multiplied', right - b, a)
+        ],
+        solution: [
+          this.step(b < 0 ? `Add ${-b} to both sides` : `Subtract ${b} from both sides`, `x/${a} = ${right - b}`),
+          this.step(`Multiply both sides by ${a} to undo the division`, `x = ${right - b} × ${a} = ${xValue}`)
+        ]
+      })
+    }
+
+    const coefficient = [0.5, 0.25, 1.5, 2.5][Math.floor(this.random() * 4)]
+    const xValue = x * 4
+    const right = coefficient * xValue
+    return this.createProblem(`Solve: ${coefficient}x = ${right}`, xValue, 'Rational Coefficients', grade, false, null, {
+      distractors: [
+        this.mistake('multiplied-instead-of-divided', right, coefficient)
+      ],
+      solution: [
+        this.step(`Divide both sides by ${coefficient}`, `x = ${right} ÷ ${coefficient}`),
+        this.step('Simplify', `x = ${xValue}`)
+      ]
+    })
+  }
+
+  genMultiStepEquations(grade) {
+    // 🪜 Multi-step equations with brackets
+    const x = Math.floor(this.random() * 15) - 5
+    const a = Math.floor(this.random() * 4) + 2
+    const b = (Math.floor(this.random() * 6) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const c = Math.floor(this.random() * 9) - 4
+    const right = a * (x + b) + c
+    const inner = `x ${b < 0 ? '-' : '+'} ${Math.abs(b)}`
+    return this.createProblem(`Solve: ${a}(${inner}) ${c < 0 ? '-' : '+'} ${Math.abs(c)} = ${right}`, x, 'Multi-step Equations', grade, false, null, {
+      distractors: [
+        this.mistake('sign-error', x)
+      ],
+      solution: [
+        this.step(`Multiply ${a} by both terms in the brackets`, `${a}x ${a * b < 0 ? '-' : '+'} ${Math.abs(a * b)} ${c < 0 ? '-' : '+'} ${Math.abs(c)} = ${right}`),
+        this.step('Combine the numbers on the left', `${a}x ${a * b + c < 0 ? '-' : '+'} ${Math.abs(a * b + c)} = ${right}`),
+        this.step(`${a * b + c < 0 ? 'Add' : 'Subtract'} ${Math.abs(a * b + c)} on both sides`, `${a}x = ${right - a * b - c}`),
+        this.step(`Divide both sides by ${a}`, `x = ${x}`)
+      ]
+    })
+  }
+
+  genNets(grade) {
+    // 📦 Nets: which solid does the net fold into?
+    const nets = [
+      { net: '6 equal squares', solid: 'cube' },
+      { net: '2 circles and 1 rectangle', solid: 'cylinder' },
+      { net: '1 square and 4 triangles', solid: 'square pyramid' },
+      { net: '2 triangles and 3 rectangles', solid: 'triangular prism' },
+      { net: '6 rectangles, in 3 matching pairs', solid: 'rectangular prism' },
+      { net: '4 equal triangles', solid: 'triangular pyramid' }
+    ]
+    const chosen = nets[Math.floor(this.random() * nets.length)]
+    const others = this.shuffle(nets.filter(n => n !== chosen)).slice(0, 3).map(n => n.solid)
+    return this.createProblem(`A net is made of ${chosen.net}. What 3D shape does it fold into?`, chosen.solid, 'Nets', grade, true, [chosen.solid, ...others], {
+      solution: [
+        this.step('Each shape in the net becomes one face of the solid'),
+        this.step(`A ${chosen.solid} has faces made of ${chosen.net}`)
+      ]
+    })
+  }
+
+  genCylinderSurfaceArea(grade) {
+    // 🥫 Surface area of a cylinder
+    const r = Math.floor(this.random() * 5) + 2
+    const h = Math.floor(this.random() * 8) + 3
+    const ends = 2 * 3.14 * r * r
+    const side = 2 * 3.14 * r * h
+    const sa = Math.round((ends + side) * 10) / 10
+    return this.createProblem(`Surface area of a cylinder with radius ${r} cm and height ${h} cm? (Use π=3.14, round to 1 decimal)`, sa, 'Surface Area of Cylinders', grade, false, null, {
+      tolerance: { type: 'decimals', value: 1, exact: ends + side },
+      distractors: [
+        this.mistake('forgot-a-circle', Math.round((ends / 2 + side) * 10) / 10)
+      ],
+      solution: [
+        this.step('A cylinder unrolls into 2 circles and a rectangle', 'SA = 2πr² + 2πrh'),
+        this.step('Area of the two circles', `2 × 3.14 × ${r}² = ${Math.round(ends * 100) / 100}`),
+        this.step('The rectangle is as long as the circumference and as tall as the cylinder', `2 × 3.14 × ${r} × ${h} = ${Math.round(side * 100) / 100}`),
+        this.step('Add and round', `SA ≈ ${sa}`)
+      ]
+    })
+  }
+
+  genRiseOverRun(grade) {
+    // 📐 Rise over Run between two points
+    const gcd = (x, y) => y === 0 ? Math.abs(x) : gcd(y, x % y)
+    const x1 = Math.floor(this.random() * 11) - 5
+    const y1 = Math.floor(this.random() * 11) - 5
+    const run = Math.floor(this.random() * 5) + 1
+    const rise = (Math.floor(this.random() * 6) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const [x2, y2] = [x1 + run, y1 + rise]
+    const common = gcd(rise, run)
+    const slope = run / common === 1 ? `${rise / common}` : `${rise / common}/${run / common}`
+    return this.createProblem(`What is the slope of the line through (${x1}, ${y1}) and (${x2}, ${y2})?`, slope, 'Rise over Run', grade, false, null, {
+      distractors: [
+        this.mistake('run-over-rise', rise, run)
+      ],
+      solution: [
+        this.step('Slope = rise ÷ run = change in y ÷ change in x', 'm = (y₂ - y₁) / (x₂ - x₁)'),
+        this.step('Find the rise', `${y2} - (${y1}) = ${rise}`),
+        this.step('Find the run', `${x2} - (${x1}) = ${run}`),
+        this.step('Divide', `m = ${rise}/${run}${common > 1 ? ` = ${slope}` : ''}`)
+      ]
+    })
+  }
+
+  genLinearFunctionTable(grade) {
+    // 📋 Linear functions from a table of values
+    const { m, b, pairs } = this.linearRelation()
+    const rule = this.formatPolynomial([m, b])
+    return this.createProblem(`A table of values shows ${pairs.map(([x, y]) => `x = ${x}, y = ${y}`).join('; ')}. Complete the rule: y = ?`, rule, 'Linear Functions', grade, false, null, {
+      answerType: 'expression',
+      distractors: [
+        this.mistake('swapped-slope-intercept', this.formatPolynomial([b, m]))
+      ],
+      solution: [
+        this.step('Each time x goes up by 1, y goes up by the same amount - that is the slope', `m = ${m}`),
+        this.step('Find y when x = 0 (work back from the table) - that is the y-intercept', `b = ${b}`),
+        this.step('Put them into y = mx + b', `y = ${rule}`)
+      ]
+    })
+  }
+
+  genRateOfChange(grade) {
+    // 🚀 Rate of Change (a growing sunflower, a filling trough, a bike ride, falling snow)
+    const rate = Math.floor(this.random() * 9) + 2
+    const time = Math.floor(this.random() * 5) + 2
+    const a = Math.floor(this.random() * 20) + 5
+    const b = a + rate * time
+    const { question, story, units: [unit, per] } = this.story('rate-of-change', { from: a, to: b, time }, grade)
+    return this.createProblem(question, rate, 'Rate of Change', grade, false, null, {
+      story,
+      distractors: [
+        this.mistake('forgot-to-divide', time, rate)
+      ],
+      solution: [
+        this.step('Rate of change = change in amount ÷ change in time'),
+        this.step('Change in amount', `${b} - ${a} = ${b - a}`),
+        this.step(`Divide by the ${time} ${per}s`, `${b - a} ÷ ${time} = ${rate} ${unit} per ${per}`)
+      ]
+    })
+  }
+
+  genHistograms(grade) {
+    if (this.random() < 0.5) {
+      return this.createProblem(
+        'In a histogram, the HEIGHT of each bar represents...?',
+        'frequency',
+        'Histograms',
+        grade,
+        true,
+        ['frequency', 'mean', 'range', 'mode'],
+        {
+          solution: [
+            this.step('Each bar of a histogram covers a range of values'),
+            this.step('Its height shows how many data values fall in that range - the frequency')
+          ]
+        }
+      )
+    }
+
+    return this.createProblem(
+      'Which graph is best for showing continuous data (like heights)?',
+      'histogram',
+      'Data Representation',
+      grade,
+      true,
+      ['histogram', 'pie chart', 'pictograph', 'bar graph'],
+      {
+        solution: [
+          this.step('Continuous data can take any value in a range, like 152.3 cm'),
+          this.step('A histogram groups the values into touching intervals, so it suits continuous data')
+        ]
+      }
+    )
+  }
+
+  genDistributionShape(grade) {
+    if (this.random() < 0.5) {
+      return this.createProblem(
+        'The SHAPE of a distribution can be described as...?',
+        'skewed or symmetric',
+        'Distribution Shape',
+        grade,
+        true,
+        ['skewed or symmetric', 'tall or short', 'wide or narrow', 'positive or negative'],
+        {
+          solution: [
+            this.step('Look at whether the two sides of the graph match'),
+            this.step('If they match it is symmetric; if one side has a long tail it is skewed')
+          ]
+        }
+      )
+    }
+
+    const shapes = [
+      { picture: 'the tallest bars are on the left and a long tail stretches to the right', shape: 'skewed right' },
+      { picture: 'the tallest bars are on the right and a long tail stretches to the left', shape: 'skewed left' },
+      { picture: 'the tallest bar is in the middle and both sides match', shape: 'symmetric' }
+    ]
+    const chosen = shapes[Math.floor(this.random() * shapes.length)]
+    return this.createProblem(`In a histogram, ${chosen.picture}. How is the distribution shaped?`, chosen.shape, 'Distribution Shape', grade, true, shapes.map(s => s.shape), {
+      solution: [
+        this.step('A skewed distribution is named after the side its long tail points to'),
+        this.step(`Here the data is ${chosen.shape}`)
+      ]
+    })
+  }
+
+  // Grade 9
+  genRealNumbers(grade) {
+    // ═══════════════════════════════════════════════════════════════
+    // 🔢 GRADE 9: Rational vs Irrational Numbers
+    // ═══════════════════════════════════════════════════════════════
+    const questionType = Math.floor(this.random() * 3)
+
+    if (questionType === 0) {
+      // Perfect squares are rational
+      const perfectSquares = [4, 9, 16, 25, 36, 49, 64, 81, 100]
+      const num = perfectSquares[Math.floor(this.random() * perfectSquares.length)]
+      return this.createProblem(
+        `Is √${num} a rational or irrational number?`,
+        'rational',
+        'Real Numbers',
+        grade,
+        true,
+        ['rational', 'irrational', 'integer', 'whole number'],
+        {
+          solution: [
+            this.step(`${num} is a perfect square`, `${Math.sqrt(num)} × ${Math.sqrt(num)} = ${num}`),
+            this.step(`So √${num} = ${Math.sqrt(num)}, which can be written as a fraction - it is rational`)
+          ]
+        }
+      )
+    } else if (questionType === 1) {
+      // Non-perfect squares are irrational
+      const nonPerfect = [2, 3, 5, 7, 10, 11, 13, 17, 19, 23]
+      const num = nonPerfect[Math.floor(this.random() * nonPerfect.length)]
+      return this.createProblem(
+        `Is √${num} a rational or irrational number?`,
+        'irrational',
+        'Real Numbers',
+        grade,
+        true,
+        ['irrational', 'rational', 'integer', 'natural number'],
+        {
+          solution: [
+            this.step(`${num} is not a perfect square, so √${num} is not a whole number`),
+            this.step('Its decimal goes on forever without repeating - it is irrational', `√${num} ≈ ${Math.sqrt(num).toFixed(4)}...`)
+          ]
+        }
+      )
+    } else {
+      // Estimation
+      // 30-48, skipping 36: the root of a perfect square isn't between two integers
+      const pick = Math.floor(this.random() * 18) + 30
+      const num = pick >= 36 ? pick + 1 : pick
+      const lower = Math.floor(Math.sqrt(num))
+      const upper = lower + 1
+      return this.createProblem(
+        `√${num} is between which two consecutive integers?`,
+        `${lower} and ${upper}`,
+        'Estimating Roots',
+        grade,
+        true,
+        [`${lower} and ${upper}`, `${lower - 1} and ${lower}`, `${upper} and ${upper + 1}`, `${lower} and ${upper + 1}`],
+        {
+          solution: [
+            this.step(`Find the perfect squares on either side of ${num}`, `${lower}² = ${lower * lower}, ${upper}² = ${upper * upper}`),
+            this.step(`${lower * lower} < ${num} < ${upper * upper}`, `${lower} < √${num} < ${upper}`)
+          ]
+        }
+      )
+    }
+  }
+
+  genPolynomialOperations(grade) {
+    // Bigger numbers and more negatives on hard levels (none on the easiest)
+    const size = this.scaled(3, 4, 9)
+    const a = Math.floor(this.random() * size) + 1
+    const b = (Math.floor(this.random() * size) + 1) * (this.random() < this.scaled(0, 50, 70) / 100 ? -1 : 1)
+    const answer = this.formatPolynomial([1, a + b, a * b])
+    const sign = (n) => n < 0 ? '-' : '+'
+    return this.createProblem(`Expand: ${this.formatFactor(a)}${this.formatFactor(b)}`, answer, 'Polynomial Operations (FOIL)', grade, false, null, {
+      answerType: 'expression',
+      distractors: [
+        this.mistake('forgot-middle-term', a, b)
+      ],
+      solution: [
+        this.step('FOIL: First, Outer, Inner, Last', `x² ${sign(b)} ${Math.abs(b)}x + ${a}x ${sign(a * b)} ${Math.abs(a * b)}`),
+        this.step('Combine the like terms in the middle', answer)
+      ]
+    })
+  }
+
+  genLinearInequalities(grade) {
+    if (this.random() < 0.5) {
+      // Solve, then write the whole solution set
+      const x0 = Math.floor(this.random() * 11) - 5
+      const coef = (Math.floor(this.random() * 3) + 2) * (this.random() < 0.5 ? -1 : 1)
+      const c = Math.floor(this.random() * 9) - 4
+      const op = ['<', '≤', '>', '≥'][Math.floor(this.random() * 4)]
+      const rhs = coef * x0 + c
+      // Dividing by a negative flips the sign
+      const solvedOp = coef < 0 ? SolutionSets.flip(op) : op
+      const notation = this.random() < 0.5 ? 'interval' : 'inequality'
+      const solutionSet = SolutionSets.fromComparison(solvedOp, x0)
+      const answer = notation === 'interval' ? SolutionSets.formatInterval(solutionSet) : SolutionSets.formatInequality(solutionSet)
+      const steps = []
+      if (c !== 0) {
+        steps.push(this.step(`${c > 0 ? 'Subtract' : 'Add'} ${Math.abs(c)} ${c > 0 ? 'from' : 'to'} both sides`, `${coef}x ${op} ${rhs - c}`))
+      }
+      steps.push(this.step(
+        coef < 0 ? `Divide both sides by ${coef} - it's negative, so flip the sign` : `Divide both sides by ${coef}`,
+        `x ${solvedOp} ${x0}`
+      ))
+      if (notation === 'interval') {
+        steps.push(this.step(`${solvedOp === '≤' || solvedOp === '≥' ? 'The end IS included, so use [ ]' : 'The end is NOT included, so use ( )'}; the other side goes on forever`, answer))
+      }
+      return this.createProblem(
+        `Solve: ${this.formatPolynomial([coef, c])} ${op} ${rhs}. Write the answer ${notation === 'interval' ? 'in interval notation' : 'as an inequality'}.`,
+        answer, 'Linear Inequalities', grade, false, null, {
+          answerType: notation,
+          distractors: coef < 0 ? [this.mistake('flipped-inequality', solvedOp, x0, notation)] : [],
+          solution: steps
+        }
+      )
+    }
+
+    const a = Math.floor(this.random() * 4) + 2
+    const b = Math.floor(this.random() * 20) + 5
+    const maxX = Math.floor(b / a) - (b % a === 0 ? 1 : 0)
+    return this.createProblem(`Largest integer x where ${a}x < ${b}?`, maxX, 'Linear Inequalities', grade, false, null, {
+      distractors: [
+        this.mistake('included-the-boundary', a, b)
+      ],
+      solution: [
+        this.step(`Divide both sides by ${a}`, `x < ${b}/${a}`),
+        this.step(`${b}/${a} = ${Math.round(b / a * 100) / 100}`, `x < ${Math.round(b / a * 100) / 100}`),
+        this.step(b % a === 0 ? `x must be less than ${b / a}, so the largest integer is ${maxX}` : `The largest integer below ${Math.round(b / a * 100) / 100} is ${maxX}`)
+      ]
+    })
+  }
+
+  genQuadraticIntro(grade) {
+    const r = Math.floor(this.random() * this.scaled(3, 6, 12)) + 1
+    return this.createProblem(`Solve: x² - ${r * 2}x + ${r * r} = 0`, r, 'Quadratic Equations Intro', grade, false, null, {
+      distractors: [
+        this.mistake('sign-error', r)
+      ],
+      solution: [
+        this.step(`Look for two numbers that multiply to ${r * r} and add to -${r * 2}`, `(-${r}) × (-${r}) = ${r * r}, (-${r}) + (-${r}) = -${r * 2}`),
+        this.step('Factor (it is a perfect square)', `(x - ${r})² = 0`),
+        this.step('Set the factor to zero', `x - ${r} = 0 → x = ${r}`)
+      ]
+    })
+  }
+
+  genFunctionNotation(grade) {
+    const m = Math.floor(this.random() * 4) + 2
+    const b = Math.floor(this.random() * 5)
+    const x = Math.floor(this.random() * 5) + 1
+    return this.createProblem(`f(x) = ${m}x + ${b}. Find f(${x}).`, m * x + b, 'Function Notation', grade, false, null, {
+      distractors: [
+        this.mistake('coefficient-as-digit', m, x, b)
+      ],
+      solution: [
+        this.step(`f(${x}) means replace x with ${x}`, `f(${x}) = ${m}(${x}) + ${b}`),
+        this.step('Evaluate', `f(${x}) = ${m * x} + ${b} = ${m * x + b}`)
+      ]
+    })
+  }
+
+  genBoxPlots(grade) {
+    // ═══════════════════════════════════════════════════════════════
+    // 📦 GRADE 9: Box Plots (5-Number Summary)
+    // ═══════════════════════════════════════════════════════════════
+    const questionType = Math.floor(this.random() * 6)
+
+    if (questionType === 5) {
+      // 📦 Read the 5-number summary off a drawn box plot
+      const gap = () => Math.floor(this.random() * this.scaled(3, 5, 8)) + 1
+      const min = Math.floor(this.random() * 10) + 1
+      const q1 = min + gap()
+      const median = q1 + gap()
+      const q3 = median + gap()
+      const max = q3 + gap()
+      const figure = { type: 'box-plot', min, q1, median, q3, max }
+      const asked = ['median', 'IQR', 'range'][Math.floor(this.random() * 3)]
+
+      if (asked === 'median') {
+        // The middle of the whole line is a tempting wrong answer
+        const middleOfLine = Math.round((min + max) / 2)
+        return this.createProblem('What is the median of the data in this box plot?', median, 'Box Plots', grade, true, [median, q1, q3, middleOfLine === median ? max : middleOfLine], {
+          figure,
+          solution: [
+            this.step('The line inside the box marks the median'),
+            this.step('Read where it sits on the number line', `median = ${median}`)
+          ]
+        })
+      }
+      if (asked === 'IQR') {
+        return this.createProblem('What is the interquartile range (IQR) of the data in this box plot?', q3 - q1, 'Box Plots', grade, true, null, {
+          figure,
+          distractors: [
+            this.mistake('range-instead-of-iqr', max, min)
+          ],
+          solution: [
+            this.step('The box runs from Q1 to Q3', `Q1 = ${q1}, Q3 = ${q3}`),
+            this.step('Subtract Q1 from Q3', `IQR = ${q3} - ${q1} = ${q3 - q1}`)
+          ]
+        })
+      }
+      return this.createProblem('What is the range of the data in this box plot?', max - min, 'Box Plots', grade, true, null, {
+        figure,
+        solution: [
+          this.step('The whiskers reach the minimum and maximum', `min = ${min}, max = ${max}`),
+          this.step('Subtract the minimum from the maximum', `range = ${max} - ${min} = ${max - min}`)
+        ]
+      })
+    }
+
+    if (questionType === 4) {
+      // 🧩 Three parts from one data set: Q1, then Q3, then the IQR
+      const count = this.activeDifficulty >= 7 ? 11 : 7
+      const values = []
+      let value = Math.floor(this.random() * 5) + 1
+      for (let i = 0; i < count; i++) {
+        values.push(value)
+        value += Math.floor(this.random() * this.scaled(3, 5, 9)) + 1
+      }
+      // Quartiles are the middles of the lower and upper halves (the median is left out)
+      const half = (count - 1) / 2
+      const q1 = values[(half - 1) / 2]
+      const q3 = values[half + 1 + (half - 1) / 2]
+      const min = values[0]
+      const max = values[count - 1]
+
+      // Harder problems give the data out of order
+      const shown = this.activeDifficulty >= 7 ? this.shuffle(values) : values
+      return this.createMultiPartProblem(`Data: ${shown.join(', ')}`, 'Box Plots', grade, [
+        this.part('Find Q1 (the first quartile).', q1, false, null, {
+          solution: [
+            this.step('Put the data in order', values.join(', ')),
+            this.step(`The median is the middle value, ${values[half]}. The lower half is the values before it`, values.slice(0, half).join(', ')),
+            this.step('Q1 is the middle of the lower half', `Q1 = ${q1}`)
+          ]
+        }),
+        this.part('Find Q3 (the third quartile).', q3, false, null, {
+          solution: [
+            this.step('The upper half is the values after the median', values.slice(half + 1).join(', ')),
+            this.step('Q3 is the middle of the upper half', `Q3 = ${q3}`)
+          ]
+        }),
+        this.part('Find the interquartile range (IQR).', q3 - q1, false, null, {
+          distractors: [
+            this.mistake('range-instead-of-iqr', max, min)
+          ],
+          solution: [
+            this.step('Subtract Q1 from Q3', `IQR = ${q3} - ${q1} = ${q3 - q1}`)
+          ]
+        })
+      ])
+    }
+
+    if (questionType === 0) {
+      return this.createProblem(
+        'In a box plot, the LINE inside the box represents...?',
+        'median',
+        'Box Plots',
+        grade,
+        true,
+        ['median', 'mean', 'mode', 'range'],
+        {
+          solution: [
+            this.step('A box plot shows the 5-number summary: min, Q1, median, Q3, max'),
+            this.step('The line inside the box marks the middle value - the median')
+          ]
+        }
+      )
+    } else if (questionType === 1) {
+      return this.createProblem(
+        'The LEFT edge of the box in a box plot represents...?',
+        'Q1 (first quartile)',
+        'Box Plots',
+        grade,
+        true,
+        ['Q1 (first quartile)', 'minimum', 'median', 'Q3 (third quartile)'],
+        {
+          solution: [
+            this.step('The box holds the middle 50% of the data'),
+            this.step('It starts at the first quartile (Q1) and ends at the third quartile (Q3)')
+          ]
+        }
+      )
+    } else if (questionType === 2) {
+      return this.createProblem(
+        'The WHISKERS on a box plot extend to...?',
+        'minimum and maximum',
+        'Box Plots',
+        grade,
+        true,
+        ['minimum and maximum', 'Q1 and Q3', 'mean and median', 'outliers only'],
+        {
+          solution: [
+            this.step('The whiskers show the spread outside the box'),
+            this.step('They reach out to the smallest and largest values - the minimum and maximum')
+          ]
+        }
+      )
+    } else {
+      return this.createProblem(
+        'The Interquartile Range (IQR) is calculated as...?',
+        'Q3 - Q1',
+        'Box Plots',
+        grade,
+        true,
+        ['Q3 - Q1', 'Max - Min', 'Mean - Median', 'Q2 - Q1'],
+        {
+          solution: [
+            this.step('The IQR measures the spread of the middle 50% of the data'),
+            this.step('Subtract the lower quartile from the upper quartile', 'IQR = Q3 - Q1')
+          ]
+        }
+      )
+    }
+  }
+
+  genProbabilityEvents(grade) {
+    // ═══════════════════════════════════════════════════════════════
+    // 🎲 GRADE 9: Compound Probability
+    // ═══════════════════════════════════════════════════════════════
+    const p1 = (Math.floor(this.random() * 4) + 1) / 10  // 0.1 to 0.4
+    const p2 = (Math.floor(this.random() * 4) + 1) / 10  // 0.1 to 0.4
+    const sumP = Math.round((p1 + p2) * 10) / 10
+
+    const questionType = Math.floor(this.random() * 2)
+
+    if (questionType === 0) {
+      return this.createProblem(
+        `P(A) = ${p1}, P(B) = ${p2}. If A and B are MUTUALLY EXCLUSIVE, P(A or B) = ?`,
+        sumP,
+        'Probability Events',
+        grade,
+        true,
+        null,
+        {
+          distractors: [
+            this.mistake('multiplied-instead-of-added', p1, p2)
+          ],
+          solution: [
+            this.step('Mutually exclusive events cannot both happen, so there is no overlap to remove'),
+            this.step('Add the probabilities', `P(A or B) = ${p1} + ${p2} = ${sumP}`)
+          ]
+        }
+      )
+    } else {
+      return this.createProblem(
+        'Two events that CANNOT happen at the same time are called...?',
+        'mutually exclusive',
+        'Probability Events',
+        grade,
+        true,
+        ['mutually exclusive', 'independent', 'dependent', 'complementary'],
+        {
+          solution: [
+            this.step('"Exclusive" means they shut each other out'),
+            this.step('Events that cannot happen together are mutually exclusive', 'P(A and B) = 0')
+          ]
+        }
+      )
+    }
+  }
+
+  // Grade 9 - topic generators
+  genNumberSets(grade) {
+    // 🗂️ Number Sets: natural, whole, integer, rational, irrational
+    const sets = ['natural numbers', 'whole numbers', 'integers', 'rational numbers', 'irrational numbers']
+    const numbers = [
+      { text: `${Math.floor(this.random() * 20) + 1}`, set: 'natural numbers', why: 'It is a counting number (1, 2, 3, ...)' },
+      { text: '0', set: 'whole numbers', why: 'Zero is not a counting number, but it is a whole number' },
+      { text: `-${Math.floor(this.random() * 20) + 1}`, set: 'integers', why: 'Negative whole numbers are integers' },
+      { text: `${Math.floor(this.random() * 4) + 1}/${Math.floor(this.random() * 3) + 5}`, set: 'rational numbers', why: 'It is a fraction of two integers' },
+      { text: `-${Math.floor(this.random() * 9) + 1}.${Math.floor(this.random() * 9) + 1}`, set: 'rational numbers', why: 'A terminating decimal can be written as a fraction' },
+      { text: `√${[2, 3, 5, 7, 11][Math.floor(this.random() * 5)]}`, set: 'irrational numbers', why: 'The root of a non-perfect square never ends or repeats' },
+      { text: 'π', set: 'irrational numbers', why: 'π never ends or repeats' }
+    ]
+    const chosen = numbers[Math.floor(this.random() * numbers.length)]
+    const others = this.shuffle(sets.filter(s => s !== chosen.set)).slice(0, 3)
+    return this.createProblem(`What is the SMALLEST number set that contains ${chosen.text}?`, chosen.set, 'Number Sets', grade, true, [chosen.set, ...others], {
+      solution: [
+        this.step('Natural ⊂ Whole ⊂ Integers ⊂ Rational; irrational numbers are the real numbers that are not rational'),
+        this.step(chosen.why, `${chosen.text} is in the ${chosen.set}`)
+      ]
+    })
+  }
+
+  genDistributiveProperty(grade) {
+    // 🎁 Distributive Property: multiply the outside by EVERY term inside
+    const a = Math.floor(this.random() * 5) + 2
+    const b = Math.floor(this.random() * 5) + 1
+    const c = (Math.floor(this.random() * 9) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const answer = this.formatPolynomial([a * b, a * c])
+    return this.createProblem(`Expand: ${a}(${this.formatPolynomial([b, c])})`, answer, 'Distributive Property', grade, false, null, {
+      answerType: 'expression',
+      distractors: c > 0 ? [this.mistake('distributed-to-first-term-only', a * b, c)] : [],
+      solution: [
+        this.step(`Multiply ${a} by the first term`, `${a} × ${this.formatPolynomial([b, 0])} = ${this.formatPolynomial([a * b, 0])}`),
+        this.step(`Multiply ${a} by the second term`, `${a} × (${c}) = ${a * c}`),
+        this.step('Write the expanded expression', answer)
+      ]
+    })
+  }
+
+  genCommonFactors(grade) {
+    // 🔍 Factoring out the Greatest Common Factor
+    const g = Math.floor(this.random() * 5) + 2
+    const b = Math.floor(this.random() * 4) + 2
+    let c = Math.floor(this.random() * 8) + 1
+    while (c % b === 0 || b % c === 0) c = Math.floor(this.random() * 8) + 1
+    const gcd = (x, y) => y === 0 ? x : gcd(y, x % y)
+    const common = g * gcd(b, c)
+    const [inner1, inner2] = [g * b / common, g * c / common]
+    const answer = `${common}x(${this.formatPolynomial([inner1, inner2])})`
+    return this.createProblem(`Factor completely: ${this.formatPolynomial([g * b, g * c, 0])}`, answer, 'Common Factors', grade, false, null, {
+      answerType: 'expression',
+      form: 'factored',
+      solution: [
+        this.step('Find the greatest factor both terms share', `GCF of ${g * b}x² and ${g * c}x = ${common}x`),
+        this.step('Divide each term by the GCF', `${g * b}x² ÷ ${common}x = ${this.formatPolynomial([inner1, 0])}, ${g * c}x ÷ ${common}x = ${inner2}`),
+        this.step('Write the GCF outside the brackets', answer)
+      ]
+    })
+  }
+
+  genGraphingInequalities(grade) {
+    // 📈 Reading an inequality off a number line
+    const value = Math.floor(this.random() * 13) - 6
+    const closed = this.random() < 0.5
+    const right = this.random() < 0.5
+    const op = right ? (closed ? '≥' : '>') : (closed ? '≤' : '<')
+    const options = ['<', '≤', '>', '≥'].map(o => `x ${o} ${value}`)
+    return this.createProblem(
+      `A number line has ${closed ? 'a closed (filled-in)' : 'an open'} circle at ${value} and an arrow pointing ${right ? 'right' : 'left'}. Which inequality does it show?`,
+      `x ${op} ${value}`, 'Graphing Inequalities', grade, true, options, {
+        answerType: 'inequality',
+        solution: [
+          this.step(closed ? 'A closed circle means the number itself is included: use ≤ or ≥' : 'An open circle means the number itself is NOT included: use < or >'),
+          this.step(right ? 'The arrow points right, toward bigger numbers: x is greater' : 'The arrow points left, toward smaller numbers: x is less', `x ${op} ${value}`)
+        ]
+      }
+    )
+  }
+
+  genNumberLine(grade) {
+    // 📏 Drawing an inequality on a number line
+    const value = Math.floor(this.random() * 13) - 6
+    const op = ['<', '≤', '>', '≥'][Math.floor(this.random() * 4)]
+    const circle = op === '≤' || op === '≥' ? 'closed circle' : 'open circle'
+    const direction = op === '>' || op === '≥' ? 'arrow right' : 'arrow left'
+    return this.createProblem(
+      `To graph x ${op} ${value} on a number line, what do you draw at ${value}?`,
+      `${circle}, ${direction}`, 'Number Line', grade, true,
+      ['closed circle, arrow right', 'closed circle, arrow left', 'open circle, arrow right', 'open circle, arrow left'],
+      {
+        solution: [
+          this.step(circle === 'closed circle' ? `${op} includes ${value}, so fill in the circle` : `${op} leaves ${value} out, so leave the circle open`),
+          this.step(direction === 'arrow right' ? 'x is greater, so shade to the right' : 'x is less, so shade to the left')
+        ]
+      }
+    )
+  }
+
+  genZeroProduct(grade) {
+    // 0️⃣ Zero Product Property: if ab = 0, then a = 0 or b = 0
+    let r1 = Math.floor(this.random() * 13) - 6
+    let r2 = Math.floor(this.random() * 13) - 6
+    while (r2 === r1) r2 = Math.floor(this.random() * 13) - 6
+    // A lone x factor reads best in front: x(x + 3)
+    if (r2 === 0) [r1, r2] = [r2, r1]
+    return this.createProblem(`Solve: ${this.formatFactor(-r1)}${this.formatFactor(-r2)} = 0. Give both solutions.`, `${r1}, ${r2}`, 'Zero Product Property', grade, false, null, {
+      answerSet: { values: [r1, r2] },
+      distractors: [
+        this.mistake('flipped-root-signs', r1, r2)
+      ],
+      solution: [
+        this.step('If two factors multiply to 0, one of them must be 0'),
+        this.step('Set the first factor to zero', `${this.formatFactor(-r1).replace(/^\(|\)$/g, '')} = 0 → x = ${r1}`),
+        this.step('Set the second factor to zero', `${this.formatFactor(-r2).replace(/^\(|\)$/g, '')} = 0 → x = ${r2}`)
+      ]
+    })
+  }
+
+  genSetBuilder(grade) {
+    // 📝 Set-builder notation to interval notation
+    const op = ['<', '≤', '>', '≥'][Math.floor(this.random() * 4)]
+    const value = Math.floor(this.random() * 19) - 9
+    const answer = SolutionSets.formatInterval(SolutionSets.fromComparison(op, value))
+    return this.createProblem(`Write { x | x ${op} ${value}, x ∈ R } in interval notation.`, answer, 'Set-builder Notation', grade, false, null, {
+      answerType: 'interval',
+      solution: [
+        this.step('Read it as "all real numbers x such that x ' + op + ' ' + value + '"'),
+        this.step(op === '≤' || op === '≥' ? `${value} is included, so use a square bracket` : `${value} is not included, so use a round bracket`),
+        this.step(op === '>' || op === '≥' ? 'It keeps going up forever, to ∞' : 'It keeps going down forever, to -∞', answer)
+      ]
+    })
+  }
+
+  genFunctionAnalysis(grade) {
+    // 🔎 Analysing a linear function
+    const m = (Math.floor(this.random() * 5) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const b = Math.floor(this.random() * 11) - 5
+    const rule = this.formatPolynomial([m, b])
+
+    if (this.random() < 0.5) {
+      const behaviour = m > 0 ? 'increasing' : 'decreasing'
+      return this.createProblem(`Is f(x) = ${rule} increasing, decreasing or constant?`, behaviour, 'Function Analysis', grade, true, ['increasing', 'decreasing', 'constant'], {
+        solution: [
+          this.step('Look at the slope (the number in front of x)', `m = ${m}`),
+          this.step(m > 0 ? 'A positive slope goes up from left to right' : 'A negative slope goes down from left to right', behaviour)
+        ]
+      })
+    }
+
+    const x = Math.floor(this.random() * 11) - 5
+    const target = m * x + b
+    return this.createProblem(`f(x) = ${rule}. For what value of x is f(x) = ${target}?`, x, 'Function Analysis', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-to-divide', m, x)
+      ],
+      solution: [
+        this.step('Set the rule equal to the output', `${rule} = ${target}`),
+        this.step(b < 0 ? `Add ${-b} to both sides` : `Subtract ${b} from both sides`, `${m}x = ${target - b}`),
+        this.step(`Divide both sides by ${m}`, `x = ${x}`)
+      ]
+    })
+  }
+
+  genQuartiles(grade) {
+    // 📦 Quartiles: the medians of the lower and upper halves
+    const sorted = []
+    let value = Math.floor(this.random() * 10) + 1
+    for (let i = 0; i < 7; i++) {
+      sorted.push(value)
+      value += Math.floor(this.random() * 6) + 1
+    }
+    const data = this.shuffle(sorted)
+    const upper = this.random() < 0.5
+    const answer = upper ? sorted[5] : sorted[1]
+    const half = upper ? sorted.slice(4) : sorted.slice(0, 3)
+    return this.createProblem(`Data: ${data.join(', ')}. Find ${upper ? 'Q3 (the third quartile)' : 'Q1 (the first quartile)'}.`, answer, 'Quartiles', grade, false, null, {
+      distractors: [
+        this.mistake('median-without-sorting', ...data.slice(upper ? 4 : 0, upper ? 7 : 3))
+      ],
+      solution: [
+        this.step('Put the data in order', sorted.join(', ')),
+        this.step('The median is the middle value', `${sorted[3]}`),
+        this.step(`Take the ${upper ? 'upper' : 'lower'} half (not counting the median)`, half.join(', ')),
+        this.step(`Its middle value is ${upper ? 'Q3' : 'Q1'}`, `${answer}`)
+      ]
+    })
+  }
+
+  genDataSpread(grade) {
+    // ↔️ Spread of data: range and interquartile range
+    const min = Math.floor(this.random() * 10) + 1
+    const q1 = min + Math.floor(this.random() * 8) + 2
+    const median = q1 + Math.floor(this.random() * 8) + 2
+    const q3 = median + Math.floor(this.random() * 8) + 2
+    const max = q3 + Math.floor(this.random() * 8) + 2
+    const summary = `min = ${min}, Q1 = ${q1}, median = ${median}, Q3 = ${q3}, max = ${max}`
+
+    if (this.random() < 0.5) {
+      return this.createProblem(`A box plot shows ${summary}. What is the interquartile range (IQR)?`, q3 - q1, 'Data Spread', grade, false, null, {
+        distractors: [
+          this.mistake('found-only-one-part', max - min)
+        ],
+        solution: [
+          this.step('The IQR is the spread of the middle half of the data', 'IQR = Q3 - Q1'),
+          this.step('Subtract', `${q3} - ${q1} = ${q3 - q1}`)
+        ]
+      })
+    }
+
+    return this.createProblem(`A box plot shows ${summary}. What is the range?`, max - min, 'Data Spread', grade, false, null, {
+      distractors: [
+        this.mistake('found-only-one-part', q3 - q1)
+      ],
+      solution: [
+        this.step('The range is the spread of ALL the data', 'range = max - min'),
+        this.step('Subtract', `${max} - ${min} = ${max - min}`)
+      ]
+    })
+  }
+
+  genOutliers(grade) {
+    // 🚩 Outliers: values far away from the rest
+    const pool = this.shuffle(Array.from({ length: 11 }, (_, i) => i + 10))
+    const cluster = pool.slice(0, 6)
+    const outlier = Math.floor(this.random() * 30) + 45
+    const data = this.shuffle([...cluster, outlier])
+    const sorted = [...data].sort((a, b) => a - b)
+    const [q1, q3] = [sorted[1], sorted[5]]
+    const fence = q3 + 1.5 * (q3 - q1)
+    const others = this.shuffle(cluster).slice(0, 3)
+    return this.createProblem(`Data: ${data.join(', ')}. Which value is an outlier?`, outlier, 'Outliers', grade, true, [outlier, ...others], {
+      solution: [
+        this.step('Put the data in order', sorted.join(', ')),
+        this.step('Find the quartiles and the IQR', `Q1 = ${q1}, Q3 = ${q3}, IQR = ${q3 - q1}`),
+        this.step('A value more than 1.5 × IQR above Q3 is an outlier', `${q3} + 1.5 × ${q3 - q1} = ${fence}`),
+        this.step(`${outlier} is above ${fence}, so it is an outlier`)
+      ]
+    })
+  }
+
+  genNonMutuallyExclusive(grade) {
+    // 🔀 P(A or B) when the events can happen together
+    const pA = (Math.floor(this.random() * 4) + 3) / 10
+    const pB = (Math.floor(this.random() * 4) + 2) / 10
+    const pBoth = (Math.floor(this.random() * Math.min(pA, pB) * 10 - 1) + 1) / 10
+    const answer = Math.round((pA + pB - pBoth) * 10) / 10
+    return this.createProblem(`P(A) = ${pA}, P(B) = ${pB} and P(A and B) = ${pBoth}. Find P(A or B).`, answer, 'Non-mutually Exclusive Events', grade, false, null, {
+      distractors: [
+        this.mistake('counted-overlap-twice', pA, pB)
+      ],
+      solution: [
+        this.step('A and B can happen together, so the overlap gets counted twice if you just add'),
+        this.step('Subtract the overlap once', 'P(A or B) = P(A) + P(B) - P(A and B)'),
+        this.step('Substitute', `${pA} + ${pB} - ${pBoth} = ${answer}`)
+      ]
+    })
+  }
+
+  genCompoundEvents(grade) {
+    // 🎡🎲 Independent events: spin a spinner AND roll a die
+    const gcd = (x, y) => y === 0 ? x : gcd(y, x % y)
+    const sections = Math.floor(this.random() * 4) + 3
+    const events = [
+      { text: 'an even number', count: 3 },
+      { text: 'a number greater than 4', count: 2 },
+      { text: 'a 6', count: 1 },
+      { text: 'a number less than 5', count: 4 }
+    ]
+    const event = events[Math.floor(this.random() * events.length)]
+    const top = event.count
+    const bottom = sections * 6
+    const common = gcd(top, bottom)
+    const answer = `${top / common}/${bottom / common}`
+    return this.createProblem(
+      `A spinner has ${sections} equal sections and one is red. You spin it and roll a die. What is P(red AND ${event.text})?`,
+      answer, 'Compound Events', grade, false, null, {
+        distractors: [
+          this.mistake('added-denominators', 1 + event.count, sections, 6)
+        ],
+        solution: [
+          this.step('The spin does not change the roll, so the events are independent: multiply', 'P(A and B) = P(A) × P(B)'),
+          this.step('Find each probability', `P(red) = 1/${sections}, P(${event.text}) = ${event.count}/6`),
+          this.step('Multiply', `1/${sections} × ${event.count}/6 = ${top}/${bottom}${common > 1 ? ` = ${answer}` : ''}`)
+        ]
+      }
+    )
+  }
+
+  genProbabilityRules(grade) {
+    // 📜 Probability rules: everything adds up to 1
+    if (this.random() < 0.5) {
+      const p = (Math.floor(this.random() * 98) + 1) / 100
+      const answer = Math.round((1 - p) * 100) / 100
+      return this.createProblem(`P(rain) = ${p}. What is P(no rain)?`, answer, 'Probability Rules', grade, false, null, {
+        solution: [
+          this.step('An event and its complement add up to 1', 'P(not A) = 1 - P(A)'),
+          this.step('Subtract', `1 - ${p} = ${answer}`)
+        ]
+      })
+    }
+
+    const red = (Math.floor(this.random() * 4) + 1) / 10
+    const blue = (Math.floor(this.random() * 4) + 1) / 10
+    const green = Math.round((1 - red - blue) * 10) / 10
+    return this.createProblem(`A bag has only red, blue and green marbles. P(red) = ${red} and P(blue) = ${blue}. What is P(green)?`, green, 'Probability Rules', grade, false, null, {
+      distractors: [
+        this.mistake('multiplied-instead-of-added', red, blue)
+      ],
+      solution: [
+        this.step('The probabilities of all the outcomes add up to 1'),
+        this.step('Subtract the ones you know from 1', `1 - ${red} - ${blue} = ${green}`)
+      ]
+    })
+  }
+
+  // Math 10C
+  genMeasurementConversions(grade) {
+    // ═══════════════════════════════════════════════════════════════
+    // 📏 MATH 10C: Metric and Imperial Conversions
+    // ═══════════════════════════════════════════════════════════════
+    const questionType = Math.floor(this.random() * 4)
+
+    if (questionType === 1 || questionType === 2) {
+      return this.genMetricConversions(grade)
+    } else {
+      return this.genImperialConversions(grade)
+    }
+  }
+
+  genFactoringPolynomials(grade) {
+    const a = Math.floor(this.random() * this.scaled(3, 5, 9)) + 1
+    const b = Math.floor(this.random() * this.scaled(3, 5, 9)) + 1
+    const answer = `${this.formatFactor(a)}${this.formatFactor(b)}`
+
+    if (this.random() < 0.3) {
+      // Fill in the blanks: the two numbers can go in either order
+      return this.createProblem(`${this.formatPolynomial([1, a + b, a * b])} = (x + ?)(x + ?). What are the two numbers?`, `${a}, ${b}`, 'Factoring Polynomials', grade, false, null, {
+        answerSet: { values: [a, b] },
+        distractors: [
+          this.mistake('sum-only-factor-pair', a + b, true),
+          this.mistake('product-only-factor-pair', a * b, true)
+        ],
+        solution: this.factorPairSteps(a + b, a * b)
+      })
+    }
+
+    return this.createProblem(`Factor: ${this.formatPolynomial([1, a + b, a * b])}`, answer, 'Factoring Polynomials', grade, false, null, {
+      answerType: 'expression',
+      form: 'factored',
+      distractors: [
+        this.mistake('sum-only-factor-pair', a + b),
+        this.mistake('product-only-factor-pair', a * b)
+      ],
+      solution: this.factorPairSteps(a + b, a * b)
+    })
+  }
+
+  genLinearRelations(grade) {
+    const m = Math.floor(this.random() * 6) - 3
+    const b = Math.floor(this.random() * 10) - 5
+    return this.createProblem(`y-intercept of y = ${m}x ${b >= 0 ? '+' : ''}${b}?`, b, 'Linear Relations', grade, false, null, {
+      distractors: [
+        this.mistake('swapped-slope-intercept', m),
+        this.mistake('sign-error', b)
+      ],
+      solution: [
+        this.step('The y-intercept is where the line crosses the y-axis, when x = 0'),
+        this.step('Substitute x = 0', `y = ${m}(0) ${b >= 0 ? '+' : ''}${b} = ${b}`)
+      ]
+    })
+  }
+
+  genSystemsOfEquations(grade) {
+    const x = Math.floor(this.random() * this.scaled(3, 5, 10)) + 1
+    const y = Math.floor(this.random() * this.scaled(3, 5, 10)) + 1
+
+    if (this.random() < 0.4) {
+      // The whole solution, as the point where the lines cross
+      return this.createProblem(`x + y = ${x + y}, x - y = ${x - y}. Solve and give the point (x, y).`, `(${x}, ${y})`, 'Systems of Equations', grade, false, null, {
+        answerType: 'point',
+        distractors: [
+          this.mistake('swapped-coordinates', x, y)
+        ],
+        solution: [
+          this.step('Add the two equations so the y terms cancel', `2x = ${2 * x}, so x = ${x}`),
+          this.step('Put x back into the first equation', `${x} + y = ${x + y}, so y = ${y}`),
+          this.step('Write the solution as a point', `(${x}, ${y})`)
+        ]
+      })
+    }
+
+    if (this.random() < 0.5) {
+      // 🧩 Two parts: find x, then use it to find y
+      return this.createMultiPartProblem(`Solve the system: x + y = ${x + y}, x - y = ${x - y}`, 'Systems of Equations', grade, [
+        this.part('Find x.', x, false, null, {
+          distractors: [
+            this.mistake('solved-for-wrong-variable', y),
+            this.mistake('forgot-to-divide', 2, x)
+          ],
+          solution: [
+            this.step('Add the two equations so the y terms cancel', `2x = ${2 * x}`),
+            this.step('Divide both sides by 2', `x = ${x}`)
+          ]
+        }),
+        this.part('Now find y.', y, false, null, {
+          distractors: [
+            this.mistake('solved-for-wrong-variable', x)
+          ],
+          solution: [
+            this.step('Put x back into the first equation', `${x} + y = ${x + y}`),
+            this.step(`Subtract ${x} from both sides`, `y = ${y}`)
+          ]
+        })
+      ])
+    }
+
+    return this.createProblem(`x + y = ${x + y}, x - y = ${x - y}. Find x.`, x, 'Systems of Equations', grade, false, null, {
+      distractors: [
+        this.mistake('solved-for-wrong-variable', y),
+        this.mistake('forgot-to-divide', 2, x)
+      ],
+      solution: [
+        this.step('Add the two equations so the y terms cancel', `(x + y) + (x - y) = ${x + y} + ${x - y}`),
+        this.step('Simplify', `2x = ${2 * x}`),
+        this.step('Divide both sides by 2', `x = ${x}`)
+      ]
+    })
+  }
+
+  genRightTriangleTrig(grade) {
+    const questionType = Math.floor(this.random() * 5)
+
+    if (questionType === 4) {
+      // 🧩 Three parts: the hypotenuse, then a ratio, then the angle
+      const triples = [[3, 4, 5], [5, 12, 13], [8, 15, 17], [7, 24, 25]]
+      const [a, b, c] = triples[Math.floor(this.random() * this.scaled(1, 2, 4))]
+      const k = Math.floor(this.random() * this.scaled(1, 3, 5)) + 1
+      const [opposite, adjacent, hypotenuse] = [a * k, b * k, c * k]
+      const sine = Math.round(opposite / hypotenuse * 100) / 100
+      const exactAngle = Math.atan(opposite / adjacent) * 180 / Math.PI
+      const angle = Math.round(exactAngle)
+
+      return this.createMultiPartProblem(
+        `Triangle ABC has a right angle at C. The side opposite angle A is BC = ${opposite}, and AC = ${adjacent}.`,
+        'Trigonometry',
+        grade,
+        [
+          this.part('Find the hypotenuse AB.', hypotenuse, false, null, {
+            distractors: [
+              this.mistake('forgot-square-root', hypotenuse * hypotenuse)
+            ],
+            solution: [
+              this.step('Use the Pythagorean theorem', `AB² = ${opposite}² + ${adjacent}² = ${hypotenuse * hypotenuse}`),
+              this.step('Take the square root', `AB = ${hypotenuse}`)
+            ]
+          }),
+          this.part('Find sin A (2 decimals).', sine, false, null, {
+            tolerance: { type: 'decimals', value: 2, exact: opposite / hypotenuse },
+            distractors: [
+              this.mistake('swapped-sin-and-cos', Math.round(adjacent / hypotenuse * 100) / 100)
+            ],
+            solution: [
+              this.step('SOH: sine = opposite ÷ hypotenuse', `sin A = ${opposite} ÷ ${hypotenuse} ≈ ${sine}`)
+            ]
+          }),
+          this.part('Find angle A to the nearest degree.', angle, false, null, {
+            tolerance: { type: 'decimals', value: 0, exact: exactAngle },
+            distractors: [
+              this.mistake('flipped-tangent', 90 - angle)
+            ],
+            solution: [
+              this.step('TOA: tan A = opposite ÷ adjacent', `tan A = ${opposite} ÷ ${adjacent}`),
+              this.step('Use the inverse tangent and round', `A = tan⁻¹(${opposite} ÷ ${adjacent}) ≈ ${angle}°`)
+            ]
+          })
+        ]
+      )
+    }
+
+    if (questionType === 1) {
+      return this.genSine(grade)
+    } else if (questionType === 2) {
+      return this.genCosine(grade)
+    } else if (questionType === 3) {
+      return this.genTangent(grade)
+    }
+
+    // Special angles: 30°, 45° and 60°
+    const angles = [30, 45, 60]
+    const funcs = ['sin', 'cos', 'tan']
+    const angle = angles[Math.floor(this.random() * angles.length)]
+    const func = funcs[Math.floor(this.random() * funcs.length)]
+    const values = {
+      'sin30': 0.5, 'sin45': 0.71, 'sin60': 0.87,
+      'cos30': 0.87, 'cos45': 0.71, 'cos60': 0.5,
+      'tan30': 0.58, 'tan45': 1, 'tan60': 1.73
+    }
+    const ratios = {
+      sin: 'opposite ÷ hypotenuse',
+      cos: 'adjacent ÷ hypotenuse',
+      tan: 'opposite ÷ adjacent'
+    }
+    const cofunctions = { sin: 'cos', cos: 'sin' }
+    const specialTriangle = angle === 45
+      ? 'In a 45-45-90 triangle the sides are 1, 1, √2'
+      : 'In a 30-60-90 triangle the sides are 1, √3, 2'
+    return this.createProblem(`${func}(${angle}°) = ? (2 decimals)`, values[`${func}${angle}`], 'Trigonometry', grade, false, null, {
+      tolerance: { type: 'decimals', value: 2, exact: Math[func](angle * Math.PI / 180) },
+      distractors: cofunctions[func] ? [this.mistake('swapped-sin-and-cos', values[`${cofunctions[func]}${angle}`])] : [],
+      solution: [
+        this.step(`SOH CAH TOA: ${func} = ${ratios[func]}`),
+        this.step(specialTriangle),
+        this.step('Divide the sides and round to 2 decimals', `${func}(${angle}°) ≈ ${values[`${func}${angle}`]}`)
+      ]
+    })
+  }
+
+  // Math 10C - topic generators
+  genMetricConversions(grade) {
+    if (this.random() < 0.5) {
+      // Meters to centimeters
+      const meters = Math.floor(this.random() * 5) + 1
+      return this.createProblem(`${meters} meters = ? centimeters`, `${meters * 100} cm`, 'Unit Conversions', grade, true, null, {
+        answerType: 'quantity',
+        unitRequired: true,
+        distractors: [
+          this.mistake('wrong-conversion-factor', meters, 10),
+          this.mistake('wrong-conversion-factor', meters, 1000)
+        ],
+        solution: [
+          this.step('There are 100 centimeters in 1 meter', '1 m = 100 cm'),
+          this.step(`Multiply ${meters} by 100`, `${meters} × 100 = ${meters * 100}`)
+        ]
+      })
+    }
+
+    // Kilometers to meters
+    const km = Math.floor(this.random() * 5) + 1
+    return this.createProblem(`${km} kilometers = ? meters`, `${km * 1000} m`, 'Unit Conversions', grade, true, null, {
+      answerType: 'quantity',
+      unitRequired: true,
+      distractors: [
+        this.mistake('wrong-conversion-factor', km, 100),
+        this.mistake('wrong-conversion-factor', km, 10000)
+      ],
+      solution: [
+        this.step('There are 1000 meters in 1 kilometer', '1 km = 1000 m'),
+        this.step(`Multiply ${km} by 1000`, `${km} × 1000 = ${km * 1000}`)
+      ]
+    })
+  }
+
+  genImperialConversions(grade) {
+    if (this.random() < 0.5) {
+      // Feet to inches
+      const feet = Math.floor(this.random() * 10) + 1
+      return this.createProblem(`${feet} feet = ? inches`, `${feet * 12} in`, 'Unit Conversions', grade, true, null, {
+        answerType: 'quantity',
+        unitRequired: true,
+        distractors: [
+          this.mistake('wrong-conversion-factor', feet, 10),
+          this.mistake('wrong-conversion-factor', feet, 3)
+        ],
+        solution: [
+          this.step('There are 12 inches in 1 foot', '1 ft = 12 in'),
+          this.step(`Multiply ${feet} by 12`, `${feet} × 12 = ${feet * 12}`)
+        ]
+      })
+    }
+
+    // Approximate: inches to cm (1 inch ≈ 2.54 cm)
+    const inches = Math.floor(this.random() * 10) + 5
+    const answer = Math.round(inches * 2.54 * 10) / 10
+    return this.createProblem(`${inches} inches ≈ ? cm (use 1 inch = 2.54 cm)`, `${answer} cm`, 'Unit Conversions', grade, true, null, {
+      answerType: 'quantity',
+      unitRequired: true,
+      // Rounded or not (30.5 or 30.48), anything within 1% is a good conversion
+      tolerance: { type: 'relative', value: 0.01 },
+      distractors: [
+        this.mistake('wrong-conversion-factor', inches, 1 / 2.54),
+        this.mistake('wrong-conversion-factor', inches, 2.5)
+      ],
+      solution: [
+        this.step('Each inch is 2.54 cm', '1 in = 2.54 cm'),
+        this.step(`Multiply ${inches} by 2.54`, `${inches} × 2.54 = ${Math.round(inches * 254) / 100}`),
+        this.step('Round to 1 decimal', `≈ ${answer} cm`)
+      ]
+    })
+  }
+
+  genSurfaceAreaOfSolids(grade) {
+    // 🌐 Surface area of spheres, cones and square pyramids
+    const solids = [
+      () => {
+        const r = Math.floor(this.random() * 9) + 2
+        const exact = 4 * Math.PI * r * r
+        return {
+          question: `a sphere with radius ${r} cm`,
+          exact,
+          steps: [
+            this.step('Surface area of a sphere', 'SA = 4πr²'),
+            this.step('Substitute', `SA = 4π(${r})² = ${4 * r * r}π`)
+          ]
+        }
+      },
+      () => {
+        const r = Math.floor(this.random() * 6) + 2
+        const s = r + Math.floor(this.random() * 8) + 2
+        const exact = Math.PI * r * r + Math.PI * r * s
+        return {
+          question: `a cone with radius ${r} cm and slant height ${s} cm`,
+          exact,
+          steps: [
+            this.step('A cone is a circle base plus a curved side', 'SA = πr² + πrs'),
+            this.step('Substitute', `SA = π(${r})² + π(${r})(${s}) = ${r * r + r * s}π`)
+          ]
+        }
+      },
+      () => {
+        const b = Math.floor(this.random() * 8) + 3
+        const s = b + Math.floor(this.random() * 6) + 1
+        const exact = b * b + 2 * b * s
+        return {
+          question: `a square pyramid with base side ${b} cm and slant height ${s} cm`,
+          exact,
+          steps: [
+            this.step('A square base plus 4 triangles, each ½ × base × slant height', 'SA = b² + 4(½bs) = b² + 2bs'),
+            this.step('Substitute', `SA = ${b}² + 2(${b})(${s}) = ${b * b} + ${2 * b * s}`)
+          ]
+        }
+      }
+    ]
+    const { question, exact, steps } = solids[Math.floor(this.random() * solids.length)]()
+    const answer = Math.round(exact * 10) / 10
+    return this.createProblem(`Find the surface area of ${question}. (Round to 1 decimal)`, answer, 'Surface Area', grade, false, null, {
+      tolerance: { type: 'decimals', value: 1, exact },
+      solution: [
+        ...steps,
+        this.step('Work it out and round', `SA ≈ ${answer} cm²`)
+      ]
+    })
+  }
+
+  genVolumeOfSolids(grade) {
+    // 🍦 Volume of cones, spheres and pyramids
+    const solids = [
+      () => {
+        const r = Math.floor(this.random() * 6) + 2
+        const h = Math.floor(this.random() * 10) + 3
+        return {
+          question: `a cone with radius ${r} cm and height ${h} cm`,
+          exact: Math.PI * r * r * h / 3,
+          steps: [
+            this.step('A cone holds one third of the cylinder around it', 'V = ⅓πr²h'),
+            this.step('Substitute', `V = ⅓π(${r})²(${h})`)
+          ]
+        }
+      },
+      () => {
+        const b = Math.floor(this.random() * 8) + 3
+        const h = Math.floor(this.random() * 10) + 3
+        return {
+          question: `a square pyramid with base side ${b} cm and height ${h} cm`,
+          exact: b * b * h / 3,
+          steps: [
+            this.step('A pyramid holds one third of the prism around it', 'V = ⅓ × base area × h'),
+            this.step('Substitute', `V = ⅓ × ${b}² × ${h} = ⅓ × ${b * b * h}`)
+          ]
+        }
+      },
+      () => {
+        const r = Math.floor(this.random() * 8) + 2
+        return {
+          question: `a sphere with radius ${r} cm`,
+          exact: 4 / 3 * Math.PI * r ** 3,
+          steps: [
+            this.step('Volume of a sphere', 'V = ⁴⁄₃πr³'),
+            this.step('Substitute', `V = ⁴⁄₃π(${r})³ = ⁴⁄₃π(${r ** 3})`)
+          ]
+        }
+      }
+    ]
+    const chosen = Math.floor(this.random() * solids.length)
+    const { question, exact, steps } = solids[chosen]()
+    const answer = Math.round(exact * 10) / 10
+    return this.createProblem(`Find the volume of ${question}. (Round to 1 decimal)`, answer, 'Volume', grade, false, null, {
+      tolerance: { type: 'decimals', value: 1, exact },
+      distractors: chosen < 2 ? [this.mistake('forgot-one-third', exact)] : [],
+      solution: [
+        ...steps,
+        this.step('Work it out and round', `V ≈ ${answer} cm³`)
+      ]
+    })
+  }
+
+  genDifferenceOfSquares(grade) {
+    // ➖ Difference of Squares: a² - b² = (a + b)(a - b)
+    const a = this.random() < 0.6 ? 1 : Math.floor(this.random() * 3) + 2
+    const b = Math.floor(this.random() * 9) + 1
+    const first = a === 1 ? 'x' : `${a}x`
+    const answer = `(${first} + ${b})(${first} - ${b})`
+    return this.createProblem(`Factor: ${this.formatPolynomial([a * a, 0, -b * b])}`, answer, 'Difference of Squares', grade, false, null, {
+      answerType: 'expression',
+      form: 'factored',
+      distractors: [
+        this.mistake('difference-as-perfect-square', first, b)
+      ],
+      solution: [
+        this.step('Both terms are perfect squares with a minus between them', `${this.formatPolynomial([a * a, 0, 0])} = (${first})², ${b * b} = ${b}²`),
+        this.step('A difference of squares factors into a sum times a difference', 'a² - b² = (a + b)(a - b)'),
+        this.step('Write the factors', answer)
+      ]
+    })
+  }
+
+  genFactorCompletely(grade) {
+    // 🧩 Factor Completely: take out the common factor first, then factor the trinomial
+    const k = Math.floor(this.random() * 4) + 2
+    const p = Math.floor(this.random() * 5) + 1
+    const q = (Math.floor(this.random() * 5) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const answer = `${k}${this.formatFactor(p)}${this.formatFactor(q)}`
+    const trinomial = this.formatPolynomial([1, p + q, p * q])
+    return this.createProblem(`Factor completely: ${this.formatPolynomial([k, k * (p + q), k * p * q])}`, answer, 'Factor Completely', grade, false, null, {
+      answerType: 'expression',
+      form: 'factored',
+      distractors: [
+        this.mistake('forgot-common-factor', this.formatFactor(p) + this.formatFactor(q))
+      ],
+      solution: [
+        this.step('Every term shares a factor - take it out first', `${k}(${trinomial})`),
+        this.step(`Find two numbers that multiply to ${p * q} and add to ${p + q}`, `${p} and ${q}`),
+        this.step('Factor the trinomial and keep the common factor in front', answer)
+      ]
+    })
+  }
+
+  genSlopeIntercept(grade) {
+    // 📉 Slope-Intercept Form: y = mx + b
+    if (this.random() < 0.5) {
+      const a = (Math.floor(this.random() * 5) + 1) * (this.random() < 0.5 ? -1 : 1)
+      const b = Math.floor(this.random() * 5) + 2
+      const c = b * (Math.floor(this.random() * 9) - 4)
+      const slope = this.formatFraction(-a, b)
+      return this.createProblem(`What is the slope of the line ${this.formatPolynomial([a, 0])} + ${b}y = ${c}?`, slope, 'Slope-Intercept Form', grade, false, null, {
+        distractors: [
+          this.mistake('sign-error', this.formatFraction(a, b))
+        ],
+        solution: [
+          this.step(`Get y by itself: move the x term to the other side`, `${b}y = ${this.formatPolynomial([-a, c])}`),
+          this.step(`Divide everything by ${b}`, `y = ${this.formatFraction(-a, b)}x ${c / b < 0 ? '-' : '+'} ${Math.abs(c / b)}`),
+          this.step('The slope is the number in front of x', `m = ${slope}`)
+        ]
+      })
+    }
+
+    const m = (Math.floor(this.random() * 4) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const x = Math.floor(this.random() * 7) - 3
+    const b = Math.floor(this.random() * 11) - 5
+    const y = m * x + b
+    const answer = this.formatPolynomial([m, b])
+    return this.createProblem(`A line has slope ${m} and passes through (${x}, ${y}). Complete its equation: y = ?`, answer, 'Slope-Intercept Form', grade, false, null, {
+      answerType: 'expression',
+      distractors: [
+        this.mistake('swapped-slope-intercept', this.formatPolynomial([b, m]))
+      ],
+      solution: [
+        this.step('Put the slope and the point into y = mx + b', `${y} = ${m}(${x}) + b`),
+        this.step('Solve for b', `b = ${y} - (${m * x}) = ${b}`),
+        this.step('Write the equation', `y = ${answer}`)
+      ]
+    })
+  }
+
+  genGraphingLines(grade) {
+    // 📍 Which point is on the line?
+    const m = (Math.floor(this.random() * 3) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const b = Math.floor(this.random() * 9) - 4
+
+    if (this.random() < 0.5) {
+      // 📈 Read the equation off a line drawn on a grid (two grid points are marked)
+      const run = [1, -1].find(step => Math.abs(m * step + b) <= 6)
+      const rule = this.formatPolynomial([m, b])
+      return this.createProblem('What is the equation of the line on the grid? y = ?', rule, 'Graphing Lines', grade, false, null, {
+        answerType: 'expression',
+        figure: { type: 'coordinate-grid', range: 6, lines: [{ slope: m, intercept: b }], points: [{ x: 0, y: b }, { x: run, y: m * run + b }] },
+        distractors: [
+          this.mistake('swapped-slope-intercept', this.formatPolynomial([b, m]))
+        ],
+        solution: [
+          this.step('The line crosses the y-axis at the y-intercept', `b = ${b}`),
+          this.step(`From (0, ${b}) to (${run}, ${m * run + b}): rise over run`, `m = ${m * run}/${run} = ${m}`),
+          this.step('Put them into y = mx + b', `y = ${rule}`)
+        ]
+      })
+    }
+
+    const x = Math.floor(this.random() * 7) - 3
+    const y = m * x + b
+    const onLine = ([px, py]) => py === m * px + b
+    const wrong = [[y, x], [x, y + 1], [x + 1, y], [-x, y], [x, b - m * x], [x, y - 2]]
+      .filter(point => !onLine(point))
+      .map(([px, py]) => `(${px}, ${py})`)
+      .filter((point, index, all) => all.indexOf(point) === index && point !== `(${x}, ${y})`)
+    return this.createProblem(`Which point is on the line y = ${this.formatPolynomial([m, b])}?`, `(${x}, ${y})`, 'Graphing Lines', grade, true, [`(${x}, ${y})`, ...this.shuffle(wrong).slice(0, 3)], {
+      answerType: 'point',
+      solution: [
+        this.step('A point is on the line if its x and y make the equation true'),
+        this.step(`Try (${x}, ${y})`, `${this.formatPolynomial([m, 0]).replace('x', `(${x})`)} ${b < 0 ? '-' : '+'} ${Math.abs(b)} = ${y} ✓`)
+      ]
+    })
+  }
+
+  genParallelSlopes(grade) {
+    // 🛤️ Parallel lines have the same slope
+    const top = (Math.floor(this.random() * 5) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const bottom = Math.floor(this.random() * 4) + 2
+    const b = Math.floor(this.random() * 11) - 5
+    const slope = this.formatFraction(top, bottom)
+    const slopeTerm = slope.includes('/') ? `(${slope})x` : this.formatPolynomial([top / bottom, 0])
+    return this.createProblem(`What is the slope of any line parallel to y = ${slopeTerm} ${b < 0 ? '-' : '+'} ${Math.abs(b)}?`, slope, 'Parallel Lines', grade, false, null, {
+      distractors: [
+        this.mistake('used-perpendicular-slope', this.formatFraction(-bottom, top))
+      ],
+      solution: [
+        this.step('Parallel lines never meet, so they rise at exactly the same rate'),
+        this.step('Parallel lines have EQUAL slopes', `m = ${slope}`)
+      ]
+    })
+  }
+
+  genPerpendicularSlopes(grade) {
+    // ⊥ Perpendicular lines have negative reciprocal slopes
+    const top = (Math.floor(this.random() * 5) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const bottom = Math.floor(this.random() * 4) + 2
+    const slope = this.formatFraction(top, bottom)
+    const answer = this.formatFraction(-bottom, top)
+    return this.createProblem(`A line has slope ${slope}. What is the slope of a line perpendicular to it?`, answer, 'Perpendicular Lines', grade, false, null, {
+      distractors: [
+        this.mistake('reciprocal-without-sign', this.formatFraction(bottom, top)),
+        this.mistake('sign-error', slope)
+      ],
+      solution: [
+        this.step('Perpendicular slopes are negative reciprocals: flip the fraction AND change the sign'),
+        this.step('Flip it', `${slope} → ${this.formatFraction(bottom, top)}`),
+        this.step('Change the sign', `m = ${answer}`)
+      ]
+    })
+  }
+
+  genSubstitution(grade) {
+    // 🔄 Solving a system by substitution
+    const x = Math.floor(this.random() * 9) - 4
+    const y = Math.floor(this.random() * 9) - 4
+    const m = (Math.floor(this.random() * 3) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const b = y - m * x
+    const a = Math.floor(this.random() * 3) + 1
+    const c = a * x + y
+    const first = this.formatPolynomial([m, b])
+    return this.createProblem(`Solve by substitution: y = ${first} and ${this.formatPolynomial([a, 0])} + y = ${c}. Give the point (x, y).`, `(${x}, ${y})`, 'Substitution', grade, false, null, {
+      answerType: 'point',
+      distractors: x !== y ? [this.mistake('swapped-coordinates', x, y)] : [],
+      solution: [
+        this.step('Replace y in the second equation with the first equation', `${this.formatPolynomial([a, 0])} + (${first}) = ${c}`),
+        this.step('Collect the x terms and solve', `${this.formatPolynomial([a + m, b])} = ${c} → x = ${x}`),
+        this.step('Put x back into the first equation', `y = ${m}(${x}) ${b < 0 ? '-' : '+'} ${Math.abs(b)} = ${y}`),
+        this.step('Write the solution as a point', `(${x}, ${y})`)
+      ]
+    })
+  }
+
+  genGraphingSystems(grade) {
+    // ✖️ The solution of a system is where the two lines cross
+    const x = Math.floor(this.random() * 9) - 4
+    const y = Math.floor(this.random() * 9) - 4
+    const m1 = Math.floor(this.random() * 3) + 1
+    const m2 = -(Math.floor(this.random() * 3) + 1)
+    const line1 = this.formatPolynomial([m1, y - m1 * x])
+    const line2 = this.formatPolynomial([m2, y - m2 * x])
+    return this.createProblem(`The lines y = ${line1} and y = ${line2} are graphed. At what point do they cross?`, `(${x}, ${y})`, 'Graphing Systems', grade, false, null, {
+      answerType: 'point',
+      distractors: x !== y ? [this.mistake('swapped-coordinates', x, y)] : [],
+      solution: [
+        this.step('Where the lines cross, both have the same y - set them equal', `${line1} = ${line2}`),
+        this.step('Solve for x', `${m1 - m2}x = ${(y - m2 * x) - (y - m1 * x)} → x = ${x}`),
+        this.step('Find y from either line', `y = ${y}`),
+        this.step('The lines cross at', `(${x}, ${y})`)
+      ]
+    })
+  }
+
+  genSolutionTypes(grade) {
+    // 🔢 How many solutions does a system have?
+    const m = (Math.floor(this.random() * 4) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const b = Math.floor(this.random() * 9) - 4
+    const k = Math.floor(this.random() * 3) + 2
+    const kind = Math.floor(this.random() * 3)
+    const first = `y = ${this.formatPolynomial([m, b])}`
+    const second = [
+      `y = ${this.formatPolynomial([m === 1 ? 2 : -m, b])}`,
+      `y = ${this.formatPolynomial([m, b + k])}`,
+      `${k}y = ${this.formatPolynomial([k * m, k * b])}`
+    ][kind]
+    const answers = ['one solution', 'no solution', 'infinitely many solutions']
+    const reasons = [
+      'The slopes are different, so the lines cross exactly once',
+      'The slopes are the same but the y-intercepts are different: the lines are parallel and never meet',
+      `Divide the second equation by ${k}: it is the same line, so every point on it is a solution`
+    ]
+    return this.createProblem(`How many solutions does the system ${first} and ${second} have?`, answers[kind], 'Solution Types', grade, true, answers, {
+      solution: [
+        this.step('Compare the slopes and y-intercepts of the two lines'),
+        this.step(reasons[kind], answers[kind])
+      ]
+    })
+  }
+
+  genSine(grade) {
+    return this.trigRatioProblem(grade, 'sin')
+  }
+
+  genCosine(grade) {
+    return this.trigRatioProblem(grade, 'cos')
+  }
+
+  genTangent(grade) {
+    return this.trigRatioProblem(grade, 'tan')
+  }
+
+  genRightTriangles(grade) {
+    // 📐 Pythagorean Theorem: a² + b² = c²
+    const [a, b, c] = this.pythagoreanTriple()
+
+    if (this.random() < 0.5) {
+      return this.createProblem(`A right triangle has legs ${a} cm and ${b} cm. How long is the hypotenuse?`, c, 'Right Triangles', grade, false, null, {
+        distractors: [
+          this.mistake('forgot-square-root', c * c)
+        ],
+        solution: [
+          this.step('Pythagorean Theorem', 'c² = a² + b²'),
+          this.step('Substitute', `c² = ${a}² + ${b}² = ${a * a} + ${b * b} = ${c * c}`),
+          this.step('Take the square root', `c = √${c * c} = ${c} cm`)
+        ]
+      })
+    }
+
+    return this.createProblem(`A right triangle has a hypotenuse of ${c} cm and one leg of ${a} cm. How long is the other leg?`, b, 'Right Triangles', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-square-root', b * b)
+      ],
+      solution: [
+        this.step('The hypotenuse is the longest side, so subtract to find a leg', 'b² = c² - a²'),
+        this.step('Substitute', `b² = ${c}² - ${a}² = ${c * c} - ${a * a} = ${b * b}`),
+        this.step('Take the square root', `b = √${b * b} = ${b} cm`)
+      ]
+    })
+  }
+
+  genSolvingTriangles(grade) {
+    // 🔺 Solving right triangles with trig ratios
+    if (this.random() < 0.5) {
+      const angle = Math.floor(this.random() * 51) + 20
+      const hypotenuse = Math.floor(this.random() * 16) + 5
+      const func = this.random() < 0.5 ? 'sin' : 'cos'
+      const side = func === 'sin' ? 'opposite' : 'adjacent'
+      const exact = hypotenuse * Math[func](angle * Math.PI / 180)
+      const other = hypotenuse * Math[func === 'sin' ? 'cos' : 'sin'](angle * Math.PI / 180)
+      const answer = Math.round(exact * 10) / 10
+      return this.createProblem(`In a right triangle, one angle is ${angle}° and the hypotenuse is ${hypotenuse} cm. Find the side ${side} the ${angle}° angle. (1 decimal)`, answer, 'Solving Triangles', grade, false, null, {
+        tolerance: { type: 'decimals', value: 1, exact },
+        distractors: [
+          this.mistake('swapped-sin-and-cos', Math.round(other * 10) / 10)
+        ],
+        solution: [
+          this.step(`The ${side} side and the hypotenuse are known or wanted, so use ${func === 'sin' ? 'SOH' : 'CAH'}`, `${func}(${angle}°) = ${side} ÷ ${hypotenuse}`),
+          this.step(`Multiply both sides by ${hypotenuse}`, `${side} = ${hypotenuse} × ${func}(${angle}°)`),
+          this.step('Use a calculator and round', `${side} ≈ ${answer} cm`)
+        ]
+      })
+    }
+
+    const opposite = Math.floor(this.random() * 12) + 3
+    const adjacent = Math.floor(this.random() * 12) + 3
+    const exact = Math.atan(opposite / adjacent) * 180 / Math.PI
+    const answer = Math.round(exact)
+    return this.createProblem(`A right triangle has sides ${opposite} cm opposite angle A and ${adjacent} cm adjacent to angle A. Find angle A to the nearest degree.`, answer, 'Solving Triangles', grade, false, null, {
+      tolerance: { type: 'decimals', value: 0, exact },
+      distractors: [
+        this.mistake('flipped-tangent', Math.round(90 - exact))
+      ],
+      solution: [
+        this.step('Opposite and adjacent are known, so use TOA', `tan A = ${opposite} ÷ ${adjacent}`),
+        this.step('Use the inverse tangent', `A = tan⁻¹(${opposite}/${adjacent})`),
+        this.step('Round to the nearest degree', `A ≈ ${answer}°`)
+      ]
+    })
+  }
+
+  // Math 20-1
+  genAbsoluteValue(grade) {
+    const size = this.scaled(8, 15, 100)
+    const a = Math.floor(this.random() * 2 * size) - size
+    return this.createProblem(`|${a}| = ?`, Math.abs(a), 'Absolute Value', grade, false, null, {
+      distractors: [
+        this.mistake('sign-error', Math.abs(a))
+      ],
+      solution: [
+        this.step('Absolute value is the distance from 0, so it is never negative'),
+        this.step(`${a} is ${Math.abs(a)} steps from 0`, `|${a}| = ${Math.abs(a)}`)
+      ]
+    })
+  }
+
+  genRadicals(grade) {
+    if (this.random() < 0.4) {
+      return this.genSimplifyingRadicals(grade)
+    }
+
+    const perfect = [4, 9, 16, 25, 36, 49, 64, 81, 100][Math.floor(this.random() * 9)]
+    return this.createProblem(`√${perfect} = ?`, Math.sqrt(perfect), 'Radicals', grade, false, null, {
+      distractors: [
+        this.mistake('halved-instead-of-square-root', perfect)
+      ],
+      solution: [
+        this.step(`Find the number that multiplies by itself to make ${perfect}`),
+        this.step(`${Math.sqrt(perfect)} × ${Math.sqrt(perfect)} = ${perfect}`, `√${perfect} = ${Math.sqrt(perfect)}`)
+      ]
+    })
+  }
+
+  genRationalExpressions(grade) {
+    const questionType = Math.floor(this.random() * 3)
+
+    if (questionType === 0) {
+      // Cancel a number
+      const a = Math.floor(this.random() * 5) + 2
+      return this.createProblem(`Simplify: ${a}x/${a}`, 'x', 'Rational Expressions', grade, false, null, {
+        answerType: 'expression',
+        solution: [
+          this.step(`The numerator and denominator share a factor of ${a}`, `${a}x/${a} = (${a} · x)/${a}`),
+          this.step(`Cancel the common factor (${a}/${a} = 1)`, 'x')
+        ]
+      })
+    } else if (questionType === 1) {
+      // Difference of squares over one of its factors
+      const k = Math.floor(this.random() * 6) + 1
+      const answer = `x + ${k}`
+      return this.createProblem(`Simplify: (${this.formatPolynomial([1, 0, -k * k])})/(x - ${k})`, answer, 'Rational Expressions', grade, false, null, {
+        answerType: 'expression',
+        solution: [
+          this.step('Factor the numerator as a difference of squares', `x² - ${k * k} = (x + ${k})(x - ${k})`),
+          this.step(`Cancel the common factor (x - ${k}), remembering x ≠ ${k}`, `(x + ${k})(x - ${k})/(x - ${k}) = ${answer}`)
+        ]
+      })
+    } else {
+      // Trinomial over one of its factors
+      const p = Math.floor(this.random() * 5) + 1
+      const q = (Math.floor(this.random() * 5) + 1) * (this.random() < 0.5 ? -1 : 1)
+      const numerator = this.formatPolynomial([1, p + q, p * q])
+      const answer = this.formatPolynomial([1, q])
+      return this.createProblem(`Simplify: (${numerator})/(x + ${p})`, answer, 'Rational Expressions', grade, false, null, {
+        answerType: 'expression',
+        solution: [
+          this.step(`Factor the numerator: find two numbers that multiply to ${p * q} and add to ${p + q}`, `${numerator} = ${this.formatFactor(p)}${this.formatFactor(q)}`),
+          this.step(`Cancel the common factor (x + ${p}), remembering x ≠ ${-p}`, `${this.formatFactor(p)}${this.formatFactor(q)}/(x + ${p}) = ${answer}`)
+        ]
+      })
+    }
+  }
+
+  genQuadraticEquations(grade) {
+    const r1 = Math.floor(this.random() * 6) - 3
+    const r2 = Math.floor(this.random() * 6) - 3
+    const b = -(r1 + r2)
+    const c = r1 * r2
+    const roots = r1 === r2 ? `${r1}` : `${r1}, ${r2}`
+    // Either ask for one root (any root is right) or for all of them
+    const askForAll = this.random() < 0.5
+    const ask = askForAll ? 'Find all roots (separate with commas).' : 'Find one root.'
+    return this.createProblem(`${this.formatPolynomial([1, b, c])} = 0. ${ask}`, roots, 'Quadratic Equations', grade, false, null, {
+      answerSet: { values: [r1, r2], match: askForAll ? 'all' : 'any' },
+      distractors: [
+        askForAll ? this.mistake('flipped-root-signs', r1, r2) : this.mistake('flipped-root-signs', r1)
+      ],
+      solution: [
+        this.step(`Find two numbers that multiply to ${c} and add to ${b}`, `${-r1} × ${-r2} = ${c}, ${-r1} + ${-r2} = ${b}`),
+        this.step('Factor', `${this.formatFactor(-r1)}${this.formatFactor(-r2)} = 0`),
+        this.step('Set each factor to zero', r1 === r2 ? `x = ${r1}` : `x = ${r1} or x = ${r2}`)
+      ]
+    })
+  }
+
+  genSequencesSeries(grade) {
+    const a1 = Math.floor(this.random() * 5) + 1
+    const d = Math.floor(this.random() * 4) + 1
+    const n = Math.floor(this.random() * 5) + 5
+
+    if (this.random() < 0.3) {
+      // Next few terms, in order
+      const next = [3, 4, 5].map(i => a1 + i * d)
+      return this.createProblem(`Arithmetic: ${a1}, ${a1 + d}, ${a1 + 2 * d}... What are the next 3 terms?`, next.join(', '), 'Sequences', grade, false, null, {
+        answerSet: { values: next, ordered: true },
+        solution: [
+          this.step('Find the common difference', `d = ${a1 + d} - ${a1} = ${d}`),
+          this.step(`Keep adding ${d}`, `${a1 + 2 * d} + ${d} = ${next[0]}, ${next[0]} + ${d} = ${next[1]}, ${next[1]} + ${d} = ${next[2]}`)
+        ]
+      })
+    }
+
+    return this.createProblem(`Arithmetic: ${a1}, ${a1 + d}, ${a1 + 2 * d}... Term ${n}?`, a1 + (n - 1) * d, 'Sequences', grade, false, null, {
+      distractors: [
+        this.mistake('used-n-instead-of-n-minus-1', a1, d, n)
+      ],
+      solution: [
+        this.step('Find the common difference', `d = ${a1 + d} - ${a1} = ${d}`),
+        this.step('Use the general term formula', 'tₙ = t₁ + (n - 1)d'),
+        this.step(`Substitute n = ${n}`, `t${n} = ${a1} + (${n} - 1)(${d}) = ${a1 + (n - 1) * d}`)
+      ]
+    })
+  }
+
+  genGeometricSequence(grade) {
+    const a1 = Math.floor(this.random() * 3) + 1
+    const r = 2
+    const n = Math.floor(this.random() * 3) + 3
+    return this.createProblem(`Geometric: ${a1}, ${a1 * r}, ${a1 * r * r}... Term ${n}?`, a1 * Math.pow(r, n - 1), 'Geometric Sequences', grade, false, null, {
+      distractors: [
+        this.mistake('used-n-instead-of-n-minus-1', a1, r, n, true)
+      ],
+      solution: [
+        this.step('Find the common ratio', `r = ${a1 * r} ÷ ${a1} = ${r}`),
+        this.step('Use the general term formula', 'tₙ = t₁ · rⁿ⁻¹'),
+        this.step(`Substitute n = ${n}`, `t${n} = ${a1} · ${r}^${n - 1} = ${a1 * Math.pow(r, n - 1)}`)
+      ]
+    })
+  }
+
+  genUnitCircleTrig(grade) {
+    const angles = [0, 30, 45, 60, 90, 180, 270]
+    const angle = angles[Math.floor(this.random() * angles.length)]
+    const sinVals = { 0: 0, 30: 0.5, 45: 0.71, 60: 0.87, 90: 1, 180: 0, 270: -1 }
+    const cosVals = { 0: 1, 30: 0.87, 45: 0.71, 60: 0.5, 90: 0, 180: -1, 270: 0 }
+    return this.createProblem(`sin(${angle}°) = ?`, sinVals[angle], 'Unit Circle', grade, false, null, {
+      distractors: [
+        this.mistake('swapped-sin-and-cos', cosVals[angle])
+      ],
+      solution: [
+        this.step('On the unit circle, sin(θ) is the y-coordinate of the point at angle θ'),
+        this.step(`Find the point at ${angle}° and read its y-coordinate`, `sin(${angle}°) ${Number.isInteger(sinVals[angle]) ? '=' : '≈'} ${sinVals[angle]}`)
+      ]
+    })
+  }
+
+  // Math 20-1 - topic generators
+  genAbsoluteValueEquations(grade) {
+    // 📏 |ax - m| = b has two solutions: ax - m = b or ax - m = -b
+    const a = this.random() < 0.6 ? 1 : 2
+    const r2 = Math.floor(this.random() * 11) - 8
+    const r1 = r2 + (Math.floor(this.random() * 5) + 1) * (a === 1 ? 2 : 1)
+    const m = a * (r1 + r2) / 2
+    const b = a * (r1 - r2) / 2
+    const inside = this.formatPolynomial([a, -m])
+    return this.createProblem(`Solve: |${inside}| = ${b}. Give both solutions.`, `${r1}, ${r2}`, 'Absolute Value Equations', grade, false, null, {
+      answerSet: { values: [r1, r2] },
+      distractors: [
+        this.mistake('forgot-negative-case', r1)
+      ],
+      solution: [
+        this.step('The inside is either the positive or the negative of the right side'),
+        this.step('Positive case', `${inside} = ${b} → x = ${r1}`),
+        this.step('Negative case', `${inside} = -${b} → x = ${r2}`)
+      ]
+    })
+  }
+
+  genAbsoluteValueInequalities(grade) {
+    // ↔️ |x - c| < b means x is within b of c
+    const c = Math.floor(this.random() * 13) - 6
+    const b = Math.floor(this.random() * 6) + 1
+    const closed = this.random() < 0.5
+    const op = closed ? '≤' : '<'
+    const answer = `${c - b} ${op} x ${op} ${c + b}`
+    return this.createProblem(`Solve: |${this.formatPolynomial([1, -c])}| ${op} ${b}. Write the answer as an inequality.`, answer, 'Absolute Value Inequalities', grade, false, null, {
+      answerType: 'inequality',
+      distractors: [
+        this.mistake('open-or-closed-end', `${c - b} ${closed ? '<' : '≤'} x ${closed ? '<' : '≤'} ${c + b}`)
+      ],
+      solution: [
+        this.step(`|x - a| ${op} b means x is at most b away from a`, `-${b} ${op} ${this.formatPolynomial([1, -c])} ${op} ${b}`),
+        this.step(c < 0 ? `Subtract ${-c} from all three parts` : `Add ${c} to all three parts`, answer)
+      ]
+    })
+  }
+
+  genDistanceOnNumberLine(grade) {
+    // 📍 Distance between two numbers is the absolute value of their difference
+    const a = Math.floor(this.random() * 21) - 15
+    let b = Math.floor(this.random() * 21) - 5
+    if (b === a) b += 3
+    const distance = Math.abs(b - a)
+    return this.createProblem(`What is the distance between ${a} and ${b} on a number line?`, distance, 'Distance', grade, false, null, {
+      solution: [
+        this.step('Distance = |difference|, so it is never negative', `d = |${b} - (${a})|`),
+        this.step('Subtract and take the absolute value', `d = |${b - a}| = ${distance}`)
+      ]
+    })
+  }
+
+  genSimplifyingRadicals(grade) {
+    // ✂️ Simplify a root by pulling out a square factor: √12 = 2√3
+    const outside = Math.floor(this.random() * 4) + 2
+    const inside = [2, 3, 5, 6, 7][Math.floor(this.random() * 5)]
+    const radicand = outside * outside * inside
+    return this.createProblem(`Simplify: √${radicand}`, `${outside}√${inside}`, 'Radicals', grade, false, null, {
+      acceptedForms: ['radical'],
+      simplestForm: true,
+      solution: [
+        this.step(`Find the biggest perfect square that divides ${radicand}`, `${radicand} = ${outside * outside} × ${inside}`),
+        this.step('Split the root', `√${radicand} = √${outside * outside} × √${inside}`),
+        this.step(`√${outside * outside} = ${outside}`, `√${radicand} = ${outside}√${inside}`)
+      ]
+    })
+  }
+
+  genRadicalOperations(grade) {
+    // ➕✖️ Adding and multiplying radicals
+    if (this.random() < 0.5) {
+      const n = [2, 3, 5, 6, 7][Math.floor(this.random() * 5)]
+      const a = Math.floor(this.random() * 8) + 2
+      const b = Math.floor(this.random() * 8) + 1
+      const subtract = this.random() < 0.4 && a !== b
+      const total = subtract ? a - b : a + b
+      const answer = total === 1 ? `√${n}` : total === -1 ? `-√${n}` : `${total}√${n}`
+      return this.createProblem(`Simplify: ${a}√${n} ${subtract ? '-' : '+'} ${b}√${n}`, answer, 'Radical Operations', grade, false, null, {
+        acceptedForms: ['radical'],
+        distractors: [
+          this.mistake('added-the-radicands', subtract ? total : a + b, n)
+        ],
+        solution: [
+          this.step(`Both terms have √${n}, so they are like terms`),
+          this.step(`${subtract ? 'Subtract' : 'Add'} the numbers in front and keep √${n}`, `(${a} ${subtract ? '-' : '+'} ${b})√${n} = ${answer}`)
+        ]
+      })
+    }
+
+    const [p, q] = this.shuffle([2, 3, 5, 7]).slice(0, 2)
+    const answer = `${q}√${p}`
+    return this.createProblem(`Simplify: √${p * q} × √${q}`, answer, 'Radical Operations', grade, false, null, {
+      acceptedForms: ['radical'],
+      simplestForm: true,
+      solution: [
+        this.step('Multiply under one root', `√${p * q} × √${q} = √${p * q * q}`),
+        this.step('Pull out the perfect square', `√${p * q * q} = √${q * q} × √${p} = ${answer}`)
+      ]
+    })
+  }
+
+  genRationalizing(grade) {
+    // 🧹 Rationalizing the denominator: no roots on the bottom
+    const gcd = (x, y) => y === 0 ? x : gcd(y, x % y)
+    const n = [2, 3, 5, 6, 7][Math.floor(this.random() * 5)]
+    const a = Math.floor(this.random() * 9) + 1
+    const common = gcd(a, n)
+    const [top, bottom] = [a / common, n / common]
+    const answer = `${top === 1 ? '' : top}√${n}${bottom === 1 ? '' : `/${bottom}`}`
+    return this.createProblem(`Rationalize the denominator: ${a}/√${n}`, answer, 'Rationalizing Denominators', grade, false, null, {
+      acceptedForms: ['radical'],
+      simplestForm: true,
+      solution: [
+        this.step(`Multiply the top and bottom by √${n}`, `${a}/√${n} × √${n}/√${n} = ${a}√${n}/${n}`),
+        ...(common > 1 ? [this.step(`Simplify ${a}/${n}`, answer)] : [])
+      ]
+    })
+  }
+
+  genMultiplyingRationals(grade) {
+    // ✖️ Multiplying rational expressions: factor, then cancel
+    const a = Math.floor(this.random() * 6) + 1
+    const b = Math.floor(this.random() * 6) + 1
+    const answer = `x + ${a}`
+    return this.createProblem(`Simplify: (${this.formatPolynomial([1, 0, -a * a])})/(x + ${b}) × (x + ${b})/(x - ${a})`, answer, 'Multiplying Rational Expressions', grade, false, null, {
+      answerType: 'expression',
+      solution: [
+        this.step('Factor everything you can', `(x + ${a})(x - ${a})/(x + ${b}) × (x + ${b})/(x - ${a})`),
+        this.step(`Cancel the common factors, remembering x ≠ ${a}, ${-b}`, answer)
+      ]
+    })
+  }
+
+  genDividingRationals(grade) {
+    // ➗ Dividing rational expressions: multiply by the reciprocal
+    const a = Math.floor(this.random() * 6) + 1
+    const b = Math.floor(this.random() * 6) + 1
+    let c = Math.floor(this.random() * 6) + 1
+    if (c === b) c++
+    const answer = `(x + ${c})/(x - ${b})`
+    return this.createProblem(`Simplify: (x + ${a})/(x - ${b}) ÷ (x + ${a})/(x + ${c})`, answer, 'Dividing Rational Expressions', grade, false, null, {
+      answerType: 'expression',
+      solution: [
+        this.step('Dividing is multiplying by the reciprocal: flip the second fraction', `(x + ${a})/(x - ${b}) × (x + ${c})/(x + ${a})`),
+        this.step(`Cancel (x + ${a}), remembering x ≠ ${b}, ${-a}, ${-c}`, answer)
+      ]
+    })
+  }
+
+  genAddingRationals(grade) {
+    // ➕ Adding rational expressions: find a common denominator
+    const a = Math.floor(this.random() * 6) + 1
+    const b = Math.floor(this.random() * 6) + 1
+    const k = Math.floor(this.random() * 3) + 2
+    const answer = `${a * k + b}/(${k}x)`
+    return this.createProblem(`Simplify: ${a}/x + ${b}/(${k}x)`, answer, 'Adding Rational Expressions', grade, false, null, {
+      answerType: 'expression',
+      solution: [
+        this.step(`The common denominator is ${k}x`),
+        this.step(`Multiply the top and bottom of ${a}/x by ${k}`, `${a * k}/(${k}x) + ${b}/(${k}x)`),
+        this.step('Add the numerators (x ≠ 0)', answer)
+      ]
+    })
+  }
+
+  genVertexForm(grade) {
+    // ⛰️ Vertex form y = a(x - p)² + q has its vertex at (p, q)
+    const a = [-3, -2, -1, 1, 2, 3][Math.floor(this.random() * 6)]
+    const p = Math.floor(this.random() * 13) - 6
+    const q = Math.floor(this.random() * 13) - 6
+    const leading = a === 1 ? '' : a === -1 ? '-' : `${a}`
+    const square = p === 0 ? 'x²' : `${this.formatFactor(-p)}²`
+    const tail = q === 0 ? '' : ` ${q < 0 ? '-' : '+'} ${Math.abs(q)}`
+    return this.createProblem(`What is the vertex of y = ${leading}${square}${tail}?`, `(${p}, ${q})`, 'Vertex Form', grade, false, null, {
+      answerType: 'point',
+      distractors: p !== 0 ? [this.mistake('shifted-the-wrong-way', p, q)] : [],
+      solution: [
+        this.step('In vertex form y = a(x - p)² + q, the vertex is (p, q)'),
+        this.step('The number inside the brackets has the opposite sign', `p = ${p}`),
+        this.step('The number added at the end is q', `q = ${q}`),
+        this.step('Vertex', `(${p}, ${q})`)
+      ]
+    })
+  }
+
+  genQuadraticFormula(grade) {
+    // 🧮 Quadratic formula: x = (-b ± √(b² - 4ac)) / 2a
+    const r = Math.floor(this.random() * 9) - 4
+    const k = (Math.floor(this.random() * 4) * 2 + 1) * (this.random() < 0.5 ? -1 : 1)
+    const [a, b, c] = [2, -(k + 2 * r), k * r]
+    const discriminant = b * b - 4 * a * c
+    const root = Math.sqrt(discriminant)
+    return this.createProblem(`Use the quadratic formula to solve ${this.formatPolynomial([a, b, c])} = 0. Give both solutions.`, `${r}, ${k / 2}`, 'Quadratic Formula', grade, false, null, {
+      answerSet: { values: [r, k / 2] },
+      solution: [
+        this.step('Quadratic formula', 'x = (-b ± √(b² - 4ac)) / 2a'),
+        this.step('Find the discriminant', `b² - 4ac = (${b})² - 4(${a})(${c}) = ${discriminant}`),
+        this.step('Substitute', `x = (${-b} ± ${root}) / ${2 * a}`),
+        this.step('Work out both signs', `x = ${(-b + root) / (2 * a)} or x = ${(-b - root) / (2 * a)}`)
+      ]
+    })
+  }
+
+  genDiscriminant(grade) {
+    // 🔎 The discriminant tells how many real roots there are
+    const kind = Math.floor(this.random() * 3)
+    const a = Math.floor(this.random() * 3) + 1
+    let b, c
+    if (kind === 0) {
+      b = Math.floor(this.random() * 9) - 4
+      c = -(Math.floor(this.random() * 6) + 1)
+    } else if (kind === 1) {
+      const r = Math.floor(this.random() * 4) + 1
+      b = 2 * a * r * (this.random() < 0.5 ? -1 : 1)
+      c = a * r * r
+    } else {
+      b = Math.floor(this.random() * 5) - 2
+      c = Math.floor(b * b / (4 * a)) + Math.floor(this.random() * 5) + 1
+    }
+    const discriminant = b * b - 4 * a * c
+    const answers = ['2 real roots', '1 real root', 'no real roots']
+    const reasons = ['positive, so there are two real roots', 'zero, so there is exactly one real root', 'negative, so there are no real roots']
+    const steps = [
+      this.step('The discriminant is the part under the root in the quadratic formula', 'D = b² - 4ac'),
+      this.step('Substitute', `D = (${b})² - 4(${a})(${c}) = ${discriminant}`)
+    ]
+
+    if (this.random() < 0.5) {
+      return this.createProblem(`Find the discriminant of ${this.formatPolynomial([a, b, c])} = 0.`, discriminant, 'Discriminant', grade, false, null, {
+        solution: steps
+      })
+    }
+
+    return this.createProblem(`How many real roots does ${this.formatPolynomial([a, b, c])} = 0 have?`, answers[kind], 'Discriminant', grade, true, answers, {
+      solution: [
+        ...steps,
+        this.step(`The discriminant is ${reasons[kind]}`, answers[kind])
+      ]
+    })
+  }
+
+  genCompletingSquare(grade) {
+    // 🟦 Completing the square to find the vertex
+    const h = (Math.floor(this.random() * 5) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const c = Math.floor(this.random() * 15) - 7
+    const q = c - h * h
+    const p = -h
+    return this.createProblem(`Complete the square to find the vertex of y = ${this.formatPolynomial([1, 2 * h, c])}.`, `(${p}, ${q})`, 'Completing the Square', grade, false, null, {
+      answerType: 'point',
+      distractors: [
+        this.mistake('shifted-the-wrong-way', p, q)
+      ],
+      solution: [
+        this.step(`Take half of ${2 * h} and square it`, `(${2 * h} ÷ 2)² = ${h * h}`),
+        this.step('Add and subtract it', `y = x² ${2 * h < 0 ? '-' : '+'} ${Math.abs(2 * h)}x + ${h * h} - ${h * h} ${c < 0 ? '-' : '+'} ${Math.abs(c)}`),
+        this.step('The first three terms make a perfect square', `y = ${this.formatFactor(h)}² ${q < 0 ? '-' : '+'} ${Math.abs(q)}`),
+        this.step('Read the vertex (opposite sign inside the brackets)', `(${p}, ${q})`)
+      ]
+    })
+  }
+
+  genArithmeticSeries(grade) {
+    // ➕ Sum of an arithmetic series: Sₙ = n/2 (2t₁ + (n - 1)d)
+    const t1 = Math.floor(this.random() * 10) + 1
+    const d = Math.floor(this.random() * 6) + 1
+    const n = Math.floor(this.random() * 8) + 5
+    const last = t1 + (n - 1) * d
+    const sum = n * (t1 + last) / 2
+    return this.createProblem(`Find the sum of the first ${n} terms of ${t1} + ${t1 + d} + ${t1 + 2 * d} + ...`, sum, 'Arithmetic Series', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-to-halve', n * (t1 + last))
+      ],
+      solution: [
+        this.step('Find the last term', `t${n} = ${t1} + (${n} - 1)(${d}) = ${last}`),
+        this.step('Sum = number of terms × average of the first and last term', `S${n} = ${n}(${t1} + ${last}) / 2`),
+        this.step('Work it out', `S${n} = ${sum}`)
+      ]
+    })
+  }
+
+  genSummation(grade) {
+    // Σ Sigma notation: add up the terms
+    const a = Math.floor(this.random() * 4) + 1
+    const b = Math.floor(this.random() * 9) - 4
+    const n = Math.floor(this.random() * 3) + 4
+    const terms = Array.from({ length: n }, (_, i) => a * (i + 1) + b)
+    const sum = terms.reduce((total, term) => total + term, 0)
+    const rule = this.formatPolynomial([a, b], 'k')
+    return this.createProblem(`Evaluate: Σ (${rule}) for k = 1 to ${n}`, sum, 'Summation', grade, false, null, {
+      solution: [
+        this.step(`Put k = 1, 2, ... ${n} into ${rule}`, terms.join(', ')),
+        this.step('Add them up', `${terms.join(' + ')} = ${sum}`.replace(/\+ -/g, '- '))
+      ]
+    })
+  }
+
+  genNthTerm(grade) {
+    // 🔢 General term of an arithmetic sequence: tₙ = dn + (t₁ - d)
+    const t1 = Math.floor(this.random() * 15) - 5
+    const d = (Math.floor(this.random() * 6) + 1) * (this.random() < 0.3 ? -1 : 1)
+    const answer = this.formatPolynomial([d, t1 - d], 'n')
+    return this.createProblem(`Write the general term tₙ for ${t1}, ${t1 + d}, ${t1 + 2 * d}, ${t1 + 3 * d}, ... (in terms of n)`, answer, 'General Term', grade, false, null, {
+      answerType: 'expression',
+      solution: [
+        this.step('Find the common difference', `d = ${t1 + d} - (${t1}) = ${d}`),
+        this.step('Use tₙ = t₁ + (n - 1)d', `tₙ = ${t1} + (n - 1)(${d})`),
+        this.step('Expand and simplify', `tₙ = ${answer}`)
+      ]
+    })
+  }
+
+  genStandardPosition(grade) {
+    // 🧭 Angles in standard position
+    let angle = Math.floor(this.random() * 358) + 1
+    if (angle % 90 === 0) angle += 15
+    const quadrants = ['Quadrant I', 'Quadrant II', 'Quadrant III', 'Quadrant IV']
+
+    if (this.random() < 0.5) {
+      const quadrant = quadrants[Math.floor(angle / 90)]
+      return this.createProblem(`An angle of ${angle}° is drawn in standard position. Where does its terminal arm lie?`, quadrant, 'Angles in Standard Position', grade, true, quadrants, {
+        solution: [
+          this.step('Start on the positive x-axis and turn counterclockwise', 'I: 0°-90°, II: 90°-180°, III: 180°-270°, IV: 270°-360°'),
+          this.step(`${angle}° ends in ${quadrant}`)
+        ]
+      })
+    }
+
+    return this.createProblem(`What positive angle less than 360° is coterminal with -${angle}°?`, 360 - angle, 'Angles in Standard Position', grade, false, null, {
+      distractors: [
+        this.mistake('added-instead-of-subtracted', 360, angle)
+      ],
+      solution: [
+        this.step('Coterminal angles share the same terminal arm - they differ by 360°'),
+        this.step('Add 360°', `-${angle}° + 360° = ${360 - angle}°`)
+      ]
+    })
+  }
+
+  genReferenceAngles(grade) {
+    // 📐 Reference angle: the acute angle to the x-axis
+    const quadrant = Math.floor(this.random() * 3) + 1
+    const reference = Math.floor(this.random() * 89) + 1
+    const angle = [180 - reference, 180 + reference, 360 - reference][quadrant - 1]
+    const rules = ['180° - θ', 'θ - 180°', '360° - θ']
+    return this.createProblem(`What is the reference angle of ${angle}°?`, reference, 'Reference Angles', grade, false, null, {
+      solution: [
+        this.step(`${angle}° is in Quadrant ${['II', 'III', 'IV'][quadrant - 1]}`),
+        this.step(`The reference angle is the angle to the nearest x-axis: ${rules[quadrant - 1]}`, `${rules[quadrant - 1].replace('θ', `${angle}°`)} = ${reference}°`)
+      ]
+    })
+  }
+
+  genTrigFunctions(grade) {
+    // 📍 Trig ratios from a point on the terminal arm
+    const [a, b, r] = this.pythagoreanTriple()
+    const x = a * (this.random() < 0.5 ? -1 : 1)
+    const y = b * (this.random() < 0.5 ? -1 : 1)
+    const func = ['sin', 'cos', 'tan'][Math.floor(this.random() * 3)]
+    const [top, bottom] = { sin: [y, r], cos: [x, r], tan: [y, x] }[func]
+    const answer = this.formatFraction(top, bottom)
+    return this.createProblem(`The point (${x}, ${y}) is on the terminal arm of angle θ. Find ${func} θ as a fraction.`, answer, 'Trigonometric Functions', grade, false, null, {
+      distractors: [
+        this.mistake('sign-error', answer)
+      ],
+      solution: [
+        this.step('Find r, the distance from the origin', `r = √(${x}² + ${y}²) = ${r}`),
+        this.step('sin θ = y/r, cos θ = x/r, tan θ = y/x'),
+        this.step('Substitute (keep the signs of x and y)', `${func} θ = ${top}/${bottom} = ${answer}`)
+      ]
+    })
+  }
+
+  genCastRule(grade) {
+    // ✅ CAST rule: which ratios are positive in each quadrant
+    const positive = { I: ['sin', 'cos', 'tan'], II: ['sin'], III: ['tan'], IV: ['cos'] }
+    const quadrantNames = ['I', 'II', 'III', 'IV']
+
+    if (this.random() < 0.5) {
+      const quadrant = quadrantNames[Math.floor(this.random() * 4)]
+      const func = ['sin', 'cos', 'tan'][Math.floor(this.random() * 3)]
+      const answer = positive[quadrant].includes(func) ? 'positive' : 'negative'
+      return this.createProblem(`Angle θ ends in Quadrant ${quadrant}. Is ${func} θ positive or negative?`, answer, 'CAST Rule', grade, true, ['positive', 'negative'], {
+        solution: [
+          this.step('CAST, counterclockwise from Quadrant IV: Cos, All, Sin, Tan are positive'),
+          this.step(`In Quadrant ${quadrant}, ${positive[quadrant].length === 3 ? 'all three are' : `only ${positive[quadrant][0]} is`} positive`, `${func} θ is ${answer}`)
+        ]
+      })
+    }
+
+    const quadrant = quadrantNames[Math.floor(this.random() * 3) + 1]
+    const only = positive[quadrant][0]
+    const others = ['sin', 'cos', 'tan'].filter(f => f !== only)
+    return this.createProblem(`${only} θ > 0 but ${others[0]} θ < 0 and ${others[1]} θ < 0. Which quadrant is θ in?`, `Quadrant ${quadrant}`, 'CAST Rule', grade, true, quadrantNames.map(q => `Quadrant ${q}`), {
+      solution: [
+        this.step('CAST, counterclockwise from Quadrant IV: Cos, All, Sin, Tan are positive'),
+        this.step(`Only ${only} is positive in Quadrant ${quadrant}`)
+      ]
+    })
+  }
+
+  // Math 30-1
+  genFunctionTransformations(grade) {
+    const h = Math.floor(this.random() * 5) + 1
+    const k = Math.floor(this.random() * 5) + 1
+    const answer = `(${h}, ${k})`
+    return this.createProblem(`f(x) = x². Vertex of f(x-${h}) + ${k}? Answer as a point (x, y).`, answer, 'Function Transformations', grade, false, null, {
+      answerType: 'point',
+      distractors: [
+        this.mistake('shifted-the-wrong-way', h, k),
+        this.mistake('swapped-coordinates', h, k)
+      ],
+      solution: [
+        this.step('The vertex of y = x² is (0, 0)'),
+        this.step(`x - ${h} inside the function shifts the graph ${h} units right`, `(0 + ${h}, 0)`),
+        this.step(`+ ${k} outside the function shifts the graph ${k} units up`, `(${h}, 0 + ${k}) = ${answer}`)
+      ]
+    })
+  }
+
+  genExponentialFunctions(grade) {
+    const base = [2, 3, 5][Math.floor(this.random() * 3)]
+    const exp = Math.floor(this.random() * 4) + 2
+    const factors = Array(exp).fill(base).join(' × ')
+    return this.createProblem(`${base}^${exp} = ?`, Math.pow(base, exp), 'Exponential Functions', grade, false, null, {
+      distractors: [
+        this.mistake('multiplied-base-by-exponent', base, exp)
+      ],
+      solution: [
+        this.step(`The exponent ${exp} means multiply ${base} by itself ${exp} times`, `${base}^${exp} = ${factors}`),
+        this.step('Multiply', `${factors} = ${Math.pow(base, exp)}`)
+      ]
+    })
+  }
+
+  genLogarithmicFunctions(grade) {
+    const base = [2, 10][Math.floor(this.random() * 2)]
+    const exp = Math.floor(this.random() * 4) + 1
+    const value = Math.pow(base, exp)
+    const q = base === 10 ? `log(${value})` : `log₂(${value})`
+    return this.createProblem(`${q} = ?`, exp, 'Logarithmic Functions', grade, false, null, {
+      distractors: [
+        this.mistake('log-as-division', value, base)
+      ],
+      solution: [
+        this.step(`A logarithm asks: what power of ${base} gives ${value}?`),
+        this.step(`${base} to the power of ${exp} is ${value}`, `${base}^${exp} = ${value}`),
+        this.step('So the logarithm is the exponent', `${q} = ${exp}`)
+      ]
+    })
+  }
+
+  genLogLaws(grade) {
+    const a = Math.floor(this.random() * 5) + 2
+    const b = Math.floor(this.random() * 5) + 2
+    return this.createProblem(`log(${a}) + log(${b}) = log(?)`, a * b, 'Log Laws', grade, false, null, {
+      distractors: [
+        this.mistake('added-instead-of-multiplied', a, b)
+      ],
+      solution: [
+        this.step('Product law: adding logs multiplies what is inside', 'log(a) + log(b) = log(a × b)'),
+        this.step('Multiply', `log(${a}) + log(${b}) = log(${a} × ${b}) = log(${a * b})`)
+      ]
+    })
+  }
+
+  genPolynomialFunctions(grade) {
+    // Degree 2-3 on easy levels, up to 5 on hard ones, with some powers left out
+    const degree = Math.floor(this.random() * this.scaled(2, 3, 4)) + 2
+    const terms = []
+    for (let power = degree; power >= 0; power--) {
+      if (power < degree && this.random() < 0.4) continue
+      const size = Math.floor(this.random() * 9) + 1
+      const coefficient = power === degree || this.random() < 0.6 ? size : -size
+      terms.push(this.formatPolynomial([coefficient, ...Array(power).fill(0)]))
+    }
+    // Sometimes the highest power isn't written first
+    const ordered = this.random() < 0.5 ? terms : this.shuffle(terms)
+    const polynomial = ordered.map((term, i) => i === 0 ? term : term.startsWith('-') ? `- ${term.slice(1)}` : `+ ${term}`).join(' ')
+    return this.createProblem(`Degree of ${polynomial}?`, degree, 'Polynomial Functions', grade, false, null, {
+      distractors: [
+        this.mistake('counted-terms-for-degree', ...terms)
+      ],
+      solution: [
+        this.step('The degree is the highest power of x in the polynomial'),
+        this.step(`The highest power of x in ${polynomial} is ${degree}`, `degree = ${degree}`)
+      ]
+    })
+  }
+
+  genTrigEquations(grade) {
+    // The exact values at the special angles
+    const exact = {
+      sin: { 30: '1/2', 45: '√2/2', 60: '√3/2' },
+      cos: { 30: '√3/2', 45: '√2/2', 60: '1/2' },
+      tan: { 30: '1/√3', 45: '1', 60: '√3' }
+    }
+    const fn = ['sin', 'cos', 'tan'][Math.floor(this.random() * 3)]
+    const angle = [30, 45, 60][Math.floor(this.random() * 3)]
+    const value = exact[fn][angle]
+
+    if (this.activeDifficulty <= 3 || this.random() < 0.4) {
+      // One answer, between 0° and 90°
+      return this.createProblem(`Solve: ${fn}(x) = ${value} for 0° ≤ x ≤ 90°`, angle, 'Trigonometric Equations', grade, false, null, {
+        distractors: fn === 'tan' ? [] : [
+          this.mistake('swapped-sin-and-cos', 90 - angle)
+        ],
+        solution: [
+          this.step(`Take ${fn}⁻¹ of both sides`, `x = ${fn}⁻¹(${value})`),
+          this.step('Remember the exact values at 30°, 45° and 60°', `${fn}(${angle}°) = ${value}`),
+          this.step(`${angle}° is between 0° and 90°`, `x = ${angle}°`)
+        ]
+      })
+    }
+
+    // Both answers from 0° to 360°: the reference angle, placed in the two quadrants with the right sign (CAST)
+    const negative = this.random() < 0.5
+    const quadrantsFor = (sign) => ({ sin: [['I', 'II'], ['III', 'IV']], cos: [['I', 'IV'], ['II', 'III']], tan: [['I', 'III'], ['II', 'IV']] })[fn][sign ? 1 : 0]
+    const placed = { I: [angle, `${angle}°`], II: [180 - angle, `180° - ${angle}° = ${180 - angle}°`], III: [180 + angle, `180° + ${angle}° = ${180 + angle}°`], IV: [360 - angle, `360° - ${angle}° = ${360 - angle}°`] }
+    const quadrants = quadrantsFor(negative)
+    const answers = quadrants.map(q => placed[q][0])
+    return this.createProblem(`Solve: ${fn}(x) = ${negative ? '-' : ''}${value} for 0° ≤ x < 360°. Give both solutions.`, answers.join(', '), 'Trigonometric Equations', grade, false, null, {
+      answerSet: { values: answers },
+      distractors: negative ? [
+        this.mistake('ignored-negative-sign', ...quadrantsFor(false).map(q => placed[q][0]))
+      ] : [],
+      solution: [
+        this.step(`Find the reference angle: ${fn}(${angle}°) = ${value}`),
+        this.step('CAST, counterclockwise from Quadrant IV: Cos, All, Sin, Tan are positive', `${fn} is ${negative ? 'negative' : 'positive'} in Quadrants ${quadrants[0]} and ${quadrants[1]}`),
+        this.step(`Put ${angle}° in those quadrants`, quadrants.map(q => placed[q][1]).join(', '))
+      ]
+    })
+  }
+
+  genPermutationsCombinations(grade) {
+    const choice = this.random() > 0.5 ? 'perm' : 'comb'
+    if (choice === 'perm') {
+      return this.genPermutations(grade)
+    } else {
+      return this.genCombinations(grade)
+    }
+  }
+
+  genPermutations(grade) {
+    const n = Math.floor(this.random() * 3) + 4
+    const r = Math.floor(this.random() * 2) + 2
+    const factorial = (x) => x <= 1 ? 1 : x * factorial(x - 1)
+    const ans = factorial(n) / factorial(n - r)
+    const picks = Array.from({ length: r }, (_, i) => n - i)
+    return this.createProblem(`P(${n},${r}) = Arrange ${r} from ${n} items?`, ans, 'Permutations', grade, false, null, {
+      distractors: [
+        this.mistake('combination-for-permutation', n, r)
+      ],
+      solution: [
+        this.step('Order matters, so use the permutation formula', 'P(n, r) = n! ÷ (n - r)!'),
+        this.step(`There are ${n} choices for the first spot, ${n - 1} for the next, and so on for ${r} spots`, picks.join(' × ')),
+        this.step('Multiply', `${picks.join(' × ')} = ${ans}`)
+      ]
+    })
+  }
+
+  genCombinations(grade) {
+    const n = Math.floor(this.random() * 4) + 4
+    const r = Math.floor(this.random() * 2) + 2
+    const factorial = (x) => x <= 1 ? 1 : x * factorial(x - 1)
+    const ans = factorial(n) / (factorial(r) * factorial(n - r))
+    const arrangements = factorial(n) / factorial(n - r)
+    return this.createProblem(`C(${n},${r}) = Choose ${r} from ${n} items?`, ans, 'Combinations', grade, false, null, {
+      distractors: [
+        this.mistake('permutation-for-combination', n, r)
+      ],
+      solution: [
+        this.step('Order does not matter, so use the combination formula', 'C(n, r) = n! ÷ (r!(n - r)!)'),
+        this.step(`Count the ordered arrangements first`, `P(${n},${r}) = ${arrangements}`),
+        this.step(`Divide by the ${factorial(r)} ways to order each group of ${r}`, `${arrangements} ÷ ${factorial(r)} = ${ans}`)
+      ]
+    })
+  }
+
+  genBinomial(grade) {
+    const n = Math.floor(this.random() * 3) + 3
+    const factorial = (x) => x <= 1 ? 1 : x * factorial(x - 1)
+    const coeff = factorial(n) / (factorial(2) * factorial(n - 2))
+    return this.createProblem(`(x+1)^${n}: coefficient of x²?`, coeff, 'Binomial Theorem', grade, false, null, {
+      distractors: [
+        this.mistake('used-power-as-coefficient', n)
+      ],
+      solution: [
+        this.step('By the binomial theorem, the coefficient of x^k in (x + 1)^n is C(n, k)'),
+        this.step(`Use n = ${n} and k = 2`, `C(${n},2) = ${n}! ÷ (2! × ${n - 2}!)`),
+        this.step('Simplify', `C(${n},2) = ${coeff}`)
+      ]
+    })
+  }
+
+  // Math 30-1 - topic generators
+  genReflections(grade) {
+    // 🪞 Reflections: y = -f(x) flips over the x-axis, y = f(-x) over the y-axis
+    const x = (Math.floor(this.random() * 6) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const y = (Math.floor(this.random() * 6) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const overX = this.random() < 0.5
+    const answer = overX ? `(${x}, ${-y})` : `(${-x}, ${y})`
+    return this.createProblem(`The point (${x}, ${y}) is on y = f(x). What point is on y = ${overX ? '-f(x)' : 'f(-x)'}?`, answer, 'Reflections', grade, false, null, {
+      answerType: 'point',
+      distractors: [
+        this.mistake('reflected-in-wrong-axis', overX ? `(${-x}, ${y})` : `(${x}, ${-y})`)
+      ],
+      solution: [
+        this.step(overX ? 'The minus sign is OUTSIDE f, so it changes the y-values: a reflection in the x-axis' : 'The minus sign is INSIDE with x, so it changes the x-values: a reflection in the y-axis', overX ? '(x, y) → (x, -y)' : '(x, y) → (-x, y)'),
+        this.step('Apply it to the point', `(${x}, ${y}) → ${answer}`)
+      ]
+    })
+  }
+
+  genStretches(grade) {
+    // ↕️ Vertical stretch: y = a·f(x) multiplies every y-value by a
+    const a = Math.floor(this.random() * 4) + 2
+    const x = Math.floor(this.random() * 13) - 6
+    const y = Math.floor(this.random() * 13) - 6
+    const answer = `(${x}, ${a * y})`
+    return this.createProblem(`The point (${x}, ${y}) is on y = f(x). What point is on y = ${a}f(x)?`, answer, 'Stretches', grade, false, null, {
+      answerType: 'point',
+      distractors: x !== 0 ? [this.mistake('stretched-the-wrong-way', `(${a * x}, ${y})`)] : [],
+      solution: [
+        this.step(`${a} is outside f, so it is a vertical stretch by a factor of ${a}`, `(x, y) → (x, ${a}y)`),
+        this.step('Apply it to the point', `(${x}, ${y}) → ${answer}`)
+      ]
+    })
+  }
+
+  genCompressions(grade) {
+    // ↔️ Horizontal compression: y = f(bx) divides every x-value by b
+    const b = Math.floor(this.random() * 3) + 2
+    const x = b * (Math.floor(this.random() * 3) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const y = Math.floor(this.random() * 13) - 6
+    const answer = `(${x / b}, ${y})`
+    return this.createProblem(`The point (${x}, ${y}) is on y = f(x). What point is on y = f(${b}x)?`, answer, 'Compressions', grade, false, null, {
+      answerType: 'point',
+      distractors: [
+        this.mistake('stretched-the-wrong-way', `(${b * x}, ${y})`)
+      ],
+      solution: [
+        this.step(`${b} is inside with x, so it is a horizontal compression by a factor of 1/${b}`, `(x, y) → (x/${b}, y)`),
+        this.step('Apply it to the point', `(${x}, ${y}) → ${answer}`)
+      ]
+    })
+  }
+
+  genInverseFunctions(grade) {
+    // 🔁 Inverse functions swap x and y
+    const a = Math.floor(this.random() * 4) + 2
+    const b = (Math.floor(this.random() * 9) + 1) * (this.random() < 0.5 ? -1 : 1)
+
+    if (this.random() < 0.5) {
+      const x = Math.floor(this.random() * 11) - 5
+      const y = a * x + b
+      return this.createProblem(`f(x) = ${this.formatPolynomial([a, b])}. Find f⁻¹(${y}).`, x, 'Inverse Functions', grade, false, null, {
+        distractors: [
+          this.mistake('inverse-as-reciprocal', y, a, b)
+        ],
+        solution: [
+          this.step(`f⁻¹(${y}) is the x that makes f(x) = ${y}`, `${this.formatPolynomial([a, b])} = ${y}`),
+          this.step(b < 0 ? `Add ${-b} to both sides` : `Subtract ${b} from both sides`, `${a}x = ${y - b}`),
+          this.step(`Divide by ${a}`, `x = ${x}`)
+        ]
+      })
+    }
+
+    const answer = `(x ${b < 0 ? '+' : '-'} ${Math.abs(b)})/${a}`
+    return this.createProblem(`f(x) = ${this.formatPolynomial([a, b])}. Find f⁻¹(x).`, answer, 'Inverse Functions', grade, false, null, {
+      answerType: 'expression',
+      solution: [
+        this.step('Write y = f(x), then swap x and y', `x = ${this.formatPolynomial([a, b], 'y')}`),
+        this.step('Solve for y', `${a}y = x ${b < 0 ? '+' : '-'} ${Math.abs(b)}`),
+        this.step(`Divide by ${a}`, `f⁻¹(x) = ${answer}`)
+      ]
+    })
+  }
+
+  genExponentialGrowth(grade) {
+    // 🦠 Exponential growth: doubling every so often
+    const start = (Math.floor(this.random() * 9) + 1) * 50
+    const doublingTime = Math.floor(this.random() * 4) + 2
+    const doublings = Math.floor(this.random() * 4) + 2
+    const hours = doublingTime * doublings
+    const answer = start * 2 ** doublings
+    return this.createProblem(`A culture starts with ${start} bacteria and doubles every ${doublingTime} hours. How many are there after ${hours} hours?`, answer, 'Exponential Growth', grade, false, null, {
+      distractors: [
+        this.mistake('multiplied-base-by-exponent', 2, doublings),
+        this.mistake('linear-instead-of-exponential', start, doublings)
+      ],
+      solution: [
+        this.step('Growth model', 'N = N₀(2)^(t/d)'),
+        this.step('Count the doublings', `${hours} ÷ ${doublingTime} = ${doublings}`),
+        this.step('Substitute', `N = ${start}(2)^${doublings} = ${start} × ${2 ** doublings} = ${answer}`)
+      ]
+    })
+  }
+
+  genExponentialDecay(grade) {
+    // ☢️ Exponential decay: half-life
+    const halvings = Math.floor(this.random() * 4) + 1
+    const remaining = Math.floor(this.random() * 9) + 2
+    const start = remaining * 2 ** halvings
+    const halfLife = Math.floor(this.random() * 10) + 2
+    const time = halfLife * halvings
+    return this.createProblem(`A ${start} mg sample has a half-life of ${halfLife} days. How many mg are left after ${time} days?`, remaining, 'Exponential Decay', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-to-halve', remaining * 2)
+      ],
+      solution: [
+        this.step('Decay model', 'A = A₀(½)^(t/h)'),
+        this.step('Count the half-lives', `${time} ÷ ${halfLife} = ${halvings}`),
+        this.step('Substitute', `A = ${start}(½)^${halvings} = ${start} ÷ ${2 ** halvings} = ${remaining} mg`)
+      ]
+    })
+  }
+
+  genCompoundInterest(grade) {
+    // 💰 Compound interest: A = P(1 + i)ⁿ
+    const principal = (Math.floor(this.random() * 20) + 1) * 500
+    const rate = Math.floor(this.random() * 8) + 2
+    const years = Math.floor(this.random() * 9) + 2
+    const exact = principal * (1 + rate / 100) ** years
+    const answer = Math.round(exact * 100) / 100
+    return this.createProblem(`$${principal} is invested at ${rate}% per year, compounded annually. What is it worth after ${years} years? (Nearest cent)`, answer, 'Compound Interest', grade, false, null, {
+      tolerance: { type: 'decimals', value: 2, exact },
+      distractors: [
+        this.mistake('used-simple-interest', principal, rate / 100, years)
+      ],
+      solution: [
+        this.step('Compound interest formula', 'A = P(1 + i)ⁿ'),
+        this.step('Substitute', `A = ${principal}(1 + ${rate / 100})^${years}`),
+        this.step('Work it out and round to the cent', `A ≈ $${answer.toFixed(2)}`)
+      ]
+    })
+  }
+
+  genLogEquations(grade) {
+    // 🔓 Logarithmic equations: rewrite in exponential form
+    const base = [2, 3, 5][Math.floor(this.random() * 3)]
+    const exponent = Math.floor(this.random() * 3) + 2
+    const shift = Math.floor(this.random() * 11) - 5
+    const answer = base ** exponent - shift
+    return this.createProblem(`Solve: ${this.logName(base)}(${this.formatPolynomial([1, shift])}) = ${exponent}`, answer, 'Logarithmic Equations', grade, false, null, {
+      solution: [
+        this.step('Rewrite in exponential form', `${this.formatPolynomial([1, shift])} = ${base}^${exponent}`),
+        this.step('Work out the power', `${this.formatPolynomial([1, shift])} = ${base ** exponent}`),
+        this.step('Solve for x', `x = ${answer}`)
+      ]
+    })
+  }
+
+  genNaturalLog(grade) {
+    // 🌿 The natural logarithm: ln is log base e
+    if (this.random() < 0.5) {
+      const k = Math.floor(this.random() * 9) + 2
+      return this.createProblem(`ln(e^${k}) = ?`, k, 'Natural Logarithm', grade, false, null, {
+        solution: [
+          this.step('ln is the logarithm with base e, so it undoes e^x'),
+          this.step('ln(e^k) = k', `ln(e^${k}) = ${k}`)
+        ]
+      })
+    }
+
+    const value = Math.floor(this.random() * 45) + 5
+    const exact = Math.log(value)
+    const answer = Math.round(exact * 100) / 100
+    return this.createProblem(`Solve: e^x = ${value} (2 decimals)`, answer, 'Natural Logarithm', grade, false, null, {
+      tolerance: { type: 'decimals', value: 2, exact },
+      distractors: [
+        this.mistake('log-as-division', value, Math.E)
+      ],
+      solution: [
+        this.step('Take ln of both sides', `x = ln(${value})`),
+        this.step('Use a calculator and round', `x ≈ ${answer}`)
+      ]
+    })
+  }
+
+  genChangeOfBase(grade) {
+    // 🔄 Change of base: log_b(a) = log(a) ÷ log(b)
+    const base = Math.floor(this.random() * 8) + 2
+    let value = Math.floor(this.random() * 90) + 10
+    if (Number.isInteger(Math.log(value) / Math.log(base))) value++
+    const exact = Math.log(value) / Math.log(base)
+    const answer = Math.round(exact * 100) / 100
+    return this.createProblem(`Evaluate ${this.logName(base)}(${value}) using change of base. (2 decimals)`, answer, 'Change of Base', grade, false, null, {
+      tolerance: { type: 'decimals', value: 2, exact },
+      distractors: [
+        this.mistake('log-as-division', value, base)
+      ],
+      solution: [
+        this.step('Change of base', `${this.logName(base)}(${value}) = log(${value}) ÷ log(${base})`),
+        this.step('Use a calculator', `${Math.log10(value).toFixed(4)} ÷ ${Math.log10(base).toFixed(4)}`),
+        this.step('Round', `≈ ${answer}`)
+      ]
+    })
+  }
+
+  genEndBehavior(grade) {
+    // 🏁 End behaviour comes from the leading term
+    const degree = Math.floor(this.random() * 4) + 2
+    const leading = (Math.floor(this.random() * 4) + 1) * (this.random() < 0.5 ? -1 : 1)
+    const rest = [Math.floor(this.random() * 7) - 3, Math.floor(this.random() * 9) - 4]
+    const coefficients = [leading, ...Array(degree - 2).fill(0), ...rest]
+    const odd = degree % 2 === 1
+    const answer = odd
+      ? (leading > 0 ? 'Quadrant III to Quadrant I' : 'Quadrant II to Quadrant IV')
+      : (leading > 0 ? 'Quadrant II to Quadrant I' : 'Quadrant III to Quadrant IV')
+    return this.createProblem(`Describe the end behaviour of y = ${this.formatPolynomial(coefficients)}.`, answer, 'End Behaviour', grade, true,
+      ['Quadrant III to Quadrant I', 'Quadrant II to Quadrant IV', 'Quadrant II to Quadrant I', 'Quadrant III to Quadrant IV'], {
+        solution: [
+          this.step('Only the leading term matters at the ends', `${this.formatPolynomial([leading, ...Array(degree).fill(0)])}`),
+          this.step(`The degree ${degree} is ${odd ? 'odd, so the ends go opposite ways' : 'even, so both ends go the same way'}`),
+          this.step(`The leading coefficient is ${leading > 0 ? 'positive, so the right end goes up' : 'negative, so the right end goes down'}`, answer)
+        ]
+      }
+    )
+  }
+
+  genPolynomialZeros(grade) {
+    // 🎯 Zeros of a factored polynomial
+    const roots = this.shuffle([-5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5]).slice(0, 3)
+    const factored = [...roots].sort((a, b) => a - b).map(r => this.formatFactor(-r)).join('')
+    return this.createProblem(`Find all the zeros of P(x) = ${factored}.`, roots.join(', '), 'Polynomial Zeros', grade, false, null, {
+      answerSet: { values: roots },
+      distractors: [
+        this.mistake('flipped-root-signs', ...roots)
+      ],
+      solution: [
+        this.step('P(x) = 0 when any factor is 0'),
+        this.step('Set each factor to zero', roots.map(r => `x = ${r}`).join(', '))
+      ]
+    })
+  }
+
+  genFactorTheorem(grade) {
+    // 🔑 Factor theorem: (x - a) is a factor when P(a) = 0
+    const roots = this.shuffle([-4, -3, -2, -1, 1, 2, 3, 4]).slice(0, 3)
+    const [b, c, d] = [-(roots[0] + roots[1] + roots[2]), roots[0] * roots[1] + roots[0] * roots[2] + roots[1] * roots[2], -roots[0] * roots[1] * roots[2]]
+    const root = roots[0]
+    const wrong = [-4, -3, -2, -1, 1, 2, 3, 4].filter(r => !roots.includes(r))
+    const options = [this.formatFactor(-root), ...this.shuffle(wrong).slice(0, 3).map(r => this.formatFactor(-r))]
+    return this.createProblem(`Which is a factor of P(x) = ${this.formatPolynomial([1, b, c, d])}?`, this.formatFactor(-root), 'Factor Theorem', grade, true, options, {
+      solution: [
+        this.step('(x - a) is a factor exactly when P(a) = 0'),
+        this.step(`Test x = ${root}`, `P(${root}) = 0 ✓`),
+        this.step(`So ${this.formatFactor(-root)} is a factor`)
+      ]
+    })
+  }
+
+  genRemainderTheorem(grade) {
+    // ➗ Remainder theorem: dividing P(x) by (x - a) leaves P(a)
+    const coefficients = [1, Math.floor(this.random() * 7) - 3, Math.floor(this.random() * 7) - 3, Math.floor(this.random() * 11) - 5]
+    let a = Math.floor(this.random() * 7) - 3
+    if (a === 0) a = 2
+    const P = (x) => coefficients.reduce((total, c) => total * x + c, 0)
+    const remainder = P(a)
+    return this.createProblem(`Find the remainder when P(x) = ${this.formatPolynomial(coefficients)} is divided by ${this.formatFactor(-a)}.`, remainder, 'Remainder Theorem', grade, false, null, {
+      distractors: [
+        this.mistake('substituted-wrong-sign', P(-a))
+      ],
+      solution: [
+        this.step(`Dividing by ${this.formatFactor(-a)} leaves the remainder P(${a})`),
+        this.step('Substitute', `P(${a}) = (${a})³ ${coefficients.slice(1).map((c, i) => `${c < 0 ? '-' : '+'} ${Math.abs(c)}${i < 2 ? `(${a})${i === 0 ? '²' : ''}` : ''}`).join(' ')}`),
+        this.step('Work it out', `P(${a}) = ${remainder}`)
+      ]
+    })
+  }
+
+  genGeneralSolutions(grade) {
+    // ♾️ General solutions of basic trig equations
+    const equations = [
+      { equation: 'sin x = 0', answer: 'x = πn, n ∈ I', why: 'sin x = 0 at 0, π, 2π, ... - every π' },
+      { equation: 'sin x = 1', answer: 'x = π/2 + 2πn, n ∈ I', why: 'sin x = 1 only at π/2 in each full turn' },
+      { equation: 'sin x = -1', answer: 'x = 3π/2 + 2πn, n ∈ I', why: 'sin x = -1 only at 3π/2 in each full turn' },
+      { equation: 'cos x = 0', answer: 'x = π/2 + πn, n ∈ I', why: 'cos x = 0 at π/2, 3π/2, ... - every π' },
+      { equation: 'cos x = 1', answer: 'x = 2πn, n ∈ I', why: 'cos x = 1 only at 0 in each full turn' },
+      { equation: 'cos x = -1', answer: 'x = π + 2πn, n ∈ I', why: 'cos x = -1 only at π in each full turn' }
+    ]
+    const chosen = equations[Math.floor(this.random() * equations.length)]
+    const others = this.shuffle(equations.filter(e => e !== chosen)).slice(0, 3).map(e => e.answer)
+    return this.createProblem(`What is the general solution of ${chosen.equation}?`, chosen.answer, 'General Solutions', grade, true, [chosen.answer, ...others], {
+      solution: [
+        this.step('Find the solutions in one turn of the unit circle, then add whole turns'),
+        this.step(chosen.why, chosen.answer)
+      ]
+    })
+  }
+
+  genTrigIdentities(grade) {
+    // 🧩 Simplify with the basic identities
+    const identities = [
+      { expression: 'sin²x + cos²x', answer: '1', why: 'Pythagorean identity' },
+      { expression: 'tan x · cos x', answer: 'sin x', why: 'tan x = sin x / cos x, and the cos x cancels' },
+      { expression: 'sin x / tan x', answer: 'cos x', why: 'Dividing by sin x / cos x is multiplying by cos x / sin x' },
+      { expression: '1 - cos²x', answer: 'sin²x', why: 'Rearrange sin²x + cos²x = 1' },
+      { expression: '1 - sin²x', answer: 'cos²x', why: 'Rearrange sin²x + cos²x = 1' },
+      { expression: 'sin x / cos x', answer: 'tan x', why: 'Quotient identity' }
+    ]
+    const chosen = identities[Math.floor(this.random() * identities.length)]
+    const others = this.shuffle(identities.filter(i => i.answer !== chosen.answer)).slice(0, 3).map(i => i.answer)
+    return this.createProblem(`Simplify: ${chosen.expression}`, chosen.answer, 'Trigonometric Identities', grade, true, [chosen.answer, ...others], {
+      solution: [
+        this.step(chosen.why),
+        this.step(`${chosen.expression} = ${chosen.answer}`)
+      ]
+    })
+  }
+
+  genProvingIdentities(grade) {
+    // ✍️ Proving identities: know which substitution to make
+    const facts = [
+      { question: 'tan x', answer: 'sin x / cos x' },
+      { question: '1 / cos x', answer: 'sec x' },
+      { question: '1 / sin x', answer: 'csc x' },
+      { question: 'cot x', answer: 'cos x / sin x' },
+      { question: '1 + tan²x', answer: 'sec²x' },
+      { question: '1 + cot²x', answer: 'csc²x' }
+    ]
+    const chosen = facts[Math.floor(this.random() * facts.length)]
+    const others = this.shuffle(facts.filter(f => f !== chosen)).slice(0, 3).map(f => f.answer)
+    return this.createProblem(`When proving an identity, ${chosen.question} can be replaced with...?`, chosen.answer, 'Proving Identities', grade, true, [chosen.answer, ...others], {
+      solution: [
+        this.step('To prove an identity, rewrite one side in sines and cosines until it matches the other'),
+        this.step(`${chosen.question} = ${chosen.answer}`)
+      ]
+    })
+  }
+
+  genFactorial(grade) {
+    // ❗ Factorials: n! = n × (n - 1) × ... × 1
+    const n = Math.floor(this.random() * 6) + 5
+    const k = Math.floor(this.random() * 2) + 2
+    const factors = Array.from({ length: k }, (_, i) => n - i)
+    const answer = factors.reduce((product, f) => product * f, 1)
+    return this.createProblem(`Simplify: ${n}! ÷ ${n - k}!`, answer, 'Factorial', grade, false, null, {
+      distractors: [
+        this.mistake('divided-the-factorials', n, n - k)
+      ],
+      solution: [
+        this.step(`Write ${n}! so that ${n - k}! shows`, `${n}! = ${factors.join(' × ')} × ${n - k}!`),
+        this.step(`Cancel the ${n - k}!`, `${factors.join(' × ')} = ${answer}`)
+      ]
+    })
+  }
+
+  genCountingPrinciple(grade) {
+    // 🧮 Fundamental counting principle: multiply the choices
+    const shirts = Math.floor(this.random() * 5) + 2
+    const pants = Math.floor(this.random() * 4) + 2
+    const shoes = Math.floor(this.random() * 3) + 2
+    const answer = shirts * pants * shoes
+    return this.createProblem(`You have ${shirts} shirts, ${pants} pairs of pants and ${shoes} pairs of shoes. How many different outfits can you make?`, answer, 'Counting Principle', grade, false, null, {
+      distractors: [
+        this.mistake('added-instead-of-multiplied', shirts, pants, shoes)
+      ],
+      solution: [
+        this.step('Each choice can go with every other choice, so multiply'),
+        this.step('Multiply the choices', `${shirts} × ${pants} × ${shoes} = ${answer}`)
+      ]
+    })
+  }
+
+  // Math 20-2 - topic generators
+  genInductiveReasoning(grade) {
+    // 🔍 Inductive reasoning: spot a pattern, make a conjecture, then use it
+    const kind = Math.floor(this.random() * 3)
+
+    if (kind === 0) {
+      // The sum of the first n odd numbers is n²
+      const n = Math.floor(this.random() * this.scaled(5, 15, 40)) + 6
+      const shown = [1, 2, 3, 4].map(k => `${Array.from({ length: k }, (_, i) => 2 * i + 1).join(' + ')} = ${k * k}`)
+      return this.createProblem(`Look at the pattern: ${shown.join(', ')}. Use it to find the sum of the first ${n} odd numbers.`, n * n, 'Inductive Reasoning', grade, false, null, {
+        distractors: [
+          this.mistake('multiplied-base-by-exponent', n, 2)
+        ],
+        solution: [
+          this.step('Each sum is a square: 1², 2², 3², 4²'),
+          this.step('Conjecture: the sum of the first n odd numbers is n²'),
+          this.step(`Use the conjecture with n = ${n}`, `${n}² = ${n * n}`)
+        ]
+      })
+    }
+
+    if (kind === 1) {
+      // 1 × 9 + 2 = 11, 12 × 9 + 3 = 111, 123 × 9 + 4 = 1111...
+      const n = Math.floor(this.random() * 5) + 4
+      const digits = (k) => Array.from({ length: k }, (_, i) => i + 1).join('')
+      const shown = [1, 2, 3].map(k => `${digits(k)} × 9 + ${k + 1} = ${'1'.repeat(k + 1)}`)
+      const answer = Number('1'.repeat(n + 1))
+      return this.createProblem(`Look at the pattern: ${shown.join(', ')}. Use it to find ${digits(n)} × 9 + ${n + 1}.`, answer, 'Inductive Reasoning', grade, false, null, {
+        solution: [
+          this.step('Each answer is a row of 1s, one more 1 than the number of digits multiplied by 9'),
+          this.step(`${digits(n)} has ${n} digits, so the answer has ${n + 1} ones`, `${digits(n)} × 9 + ${n + 1} = ${answer}`)
+        ]
+      })
+    }
+
+    // A tile pattern that grows by the same amount each time
+    const first = Math.floor(this.random() * 6) + 2
+    const change = Math.floor(this.random() * 4) + 2
+    const figure = Math.floor(this.random() * this.scaled(5, 15, 40)) + 10
+    const answer = first + (figure - 1) * change
+    const shown = [0, 1, 2, 3].map(i => first + i * change)
+    return this.createProblem(`The first four figures of a tile pattern have ${shown.join(', ')} tiles. How many tiles are in figure ${figure}?`, answer, 'Inductive Reasoning', grade, false, null, {
+      distractors: [
+        this.mistake('used-n-instead-of-n-minus-1', first, change, figure)
+      ],
+      solution: [
+        this.step(`Each figure has ${change} more tiles than the one before`),
+        this.step(`Conjecture: figure n has ${first} + ${change}(n - 1) tiles`),
+        this.step(`Use the conjecture with n = ${figure}`, `${first} + ${change} × ${figure - 1} = ${answer}`)
+      ]
+    })
+  }
+
+  genCounterexamples(grade) {
+    // ❌ Counterexamples: one example that breaks a conjecture shows it's false
+    const k = [2, 3, 5][Math.floor(this.random() * 3)]
+    const smallestFactor = (n) => [3, 5, 7].find(f => n % f === 0)
+    const conjectures = [
+      {
+        statement: 'Every odd number greater than 1 is prime.',
+        breaks: [9, 15, 21, 25, 27, 33, 35, 39, 45, 49],
+        fits: [3, 5, 7, 11, 13, 17, 19, 23, 29, 31],
+        reason: (n) => `${n} = ${smallestFactor(n)} × ${n / smallestFactor(n)}, so ${n} is odd but not prime`
+      },
+      {
+        statement: `Every number divisible by ${k} is also divisible by ${2 * k}.`,
+        breaks: [1, 3, 5, 7, 9].map(m => k * m),
+        fits: [1, 2, 3, 4, 5, 6].map(m => 2 * k * m),
+        reason: (n) => `${n} is divisible by ${k} but not by ${2 * k}`
+      },
+      {
+        statement: 'The square of a whole number is always greater than the number.',
+        breaks: [0, 1],
+        fits: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+        reason: (n) => `${n}² = ${n * n}, which is not greater than ${n}`
+      },
+      {
+        statement: 'Every number that ends in 4 is divisible by 4.',
+        breaks: [14, 34, 54, 74, 94],
+        fits: [24, 44, 64, 84, 104],
+        reason: (n) => `${n} ends in 4, but ${n} ÷ 4 = ${n / 4}`
+      }
+    ]
+    const conjecture = conjectures[Math.floor(this.random() * conjectures.length)]
+    const answer = conjecture.breaks[Math.floor(this.random() * conjecture.breaks.length)]
+    const fits = this.shuffle(conjecture.fits).slice(0, 3)
+
+    return this.createProblem(`Conjecture: ${conjecture.statement} Which number is a counterexample?`, answer, 'Counterexamples', grade, true, [
+      answer,
+      ...fits.map(n => this.mistake('example-not-counterexample', n))
+    ], {
+      solution: [
+        this.step('A counterexample fits the conjecture\'s starting condition but not its conclusion'),
+        this.step(conjecture.reason(answer)),
+        this.step('One counterexample is enough to show the conjecture is false')
+      ]
+    })
+  }
+
+  genDeductiveReasoning(grade) {
+    // 🧠 Deductive reasoning: prove a number trick works for every number
+    const add = Math.floor(this.random() * 9) + 2
+    const times = Math.floor(this.random() * 4) + 2
+    const take = times * (Math.floor(this.random() * 12) + 1)
+    const answer = add - take / times
+    return this.createProblem(`Pick any number n. Add ${add}, multiply by ${times}, subtract ${take}, divide by ${times}, then subtract n. Deductive reasoning shows you always end with the same number. What is it?`, answer, 'Deductive Reasoning', grade, false, null, {
+      distractors: [
+        this.mistake('sign-error', answer)
+      ],
+      solution: [
+        this.step('Follow the steps with n instead of a number', `n + ${add}`),
+        this.step(`Multiply by ${times}`, this.formatPolynomial([times, times * add], 'n')),
+        this.step(`Subtract ${take}`, this.formatPolynomial([times, times * add - take], 'n')),
+        this.step(`Divide by ${times}`, this.formatPolynomial([1, answer], 'n')),
+        this.step('Subtract n: the n is gone, so every number ends the same way', `${answer}`)
+      ]
+    })
+  }
+
+  genUnitRates(grade) {
+    // 🚗 Unit rates: how much for one (hour, kilometre, item...)
+    if (this.random() < 0.5) {
+      const speed = (Math.floor(this.random() * 26) + 30) * 2
+      const hours = (Math.floor(this.random() * 6) + 4) / 2
+      const distance = speed * hours
+      return this.createProblem(`A car travels ${distance} km in ${hours} hours. What is its average speed in km/h?`, speed, 'Unit Rates', grade, false, null, {
+        distractors: [
+          this.mistake('multiplied-instead-of-divided', distance, hours)
+        ],
+        solution: [
+          this.step('Speed is the distance for one hour: divide the distance by the time'),
+          this.step('Divide', `${distance} ÷ ${hours} = ${speed} km/h`)
+        ]
+      })
+    }
+
+    // Two jobs: the one that pays more in total isn't always the better rate
+    const [rateA, rateB] = this.shuffle([15, 16, 17, 18, 19, 20, 21, 22, 24, 25]).slice(0, 2)
+    const hoursA = Math.floor(this.random() * 15) + 20
+    const hoursB = Math.floor(this.random() * 15) + 10
+    const payA = rateA * hoursA
+    const payB = rateB * hoursB
+    const answer = Math.abs(rateA - rateB)
+    return this.createProblem(`Job A pays $${payA} for ${hoursA} hours. Job B pays $${payB} for ${hoursB} hours. How many dollars more per hour does the better-paying job pay?`, answer, 'Unit Rates', grade, false, null, {
+      distractors: [
+        this.mistake('compared-totals-not-rates', Math.abs(payA - payB))
+      ],
+      solution: [
+        this.step('Find each hourly rate: divide the pay by the hours'),
+        this.step('Job A', `$${payA} ÷ ${hoursA} = $${rateA} per hour`),
+        this.step('Job B', `$${payB} ÷ ${hoursB} = $${rateB} per hour`),
+        this.step('Subtract the rates', `$${Math.max(rateA, rateB)} - $${Math.min(rateA, rateB)} = $${answer}`)
+      ]
+    })
+  }
+
+  genScaleFactors(grade) {
+    // 📐 Scale factors: lengths change by k, areas by k², volumes by k³
+    const k = Math.floor(this.random() * this.scaled(2, 3, 5)) + 2
+    const kind = Math.floor(this.random() * 3)
+
+    if (kind === 0) {
+      const area = Math.floor(this.random() * 20) + 4
+      const answer = area * k * k
+      return this.createProblem(`A rectangle with an area of ${area} cm² is enlarged by a scale factor of ${k}. What is the area of the new rectangle in cm²?`, answer, 'Scale Factors', grade, false, null, {
+        distractors: [
+          this.mistake('scaled-area-like-length', area, k)
+        ],
+        solution: [
+          this.step('Every length is multiplied by k, so the area is multiplied by k²', `${k}² = ${k * k}`),
+          this.step('Multiply the area', `${area} × ${k * k} = ${answer} cm²`)
+        ]
+      })
+    }
+
+    if (kind === 1) {
+      const volume = Math.floor(this.random() * 12) + 2
+      const answer = volume * k ** 3
+      return this.createProblem(`A box with a volume of ${volume} cm³ is enlarged by a scale factor of ${k}. What is the volume of the new box in cm³?`, answer, 'Scale Factors', grade, false, null, {
+        distractors: [
+          this.mistake('scaled-area-like-length', volume, k),
+          this.mistake('scaled-area-like-length', volume, k * k)
+        ],
+        solution: [
+          this.step('Length, width and height are all multiplied by k, so the volume is multiplied by k³', `${k}³ = ${k ** 3}`),
+          this.step('Multiply the volume', `${volume} × ${k ** 3} = ${answer} cm³`)
+        ]
+      })
+    }
+
+    const small = Math.floor(this.random() * 15) + 2
+    const big = small * k * k
+    return this.createProblem(`Two similar triangles have a scale factor of ${k}. The bigger one has an area of ${big} cm². What is the area of the smaller one in cm²?`, small, 'Scale Factors', grade, false, null, {
+      distractors: [
+        this.mistake('scaled-area-like-length', small, k)
+      ],
+      solution: [
+        this.step('Areas of similar shapes differ by k²', `${k}² = ${k * k}`),
+        this.step('Divide the bigger area', `${big} ÷ ${k * k} = ${small} cm²`)
+      ]
+    })
+  }
+
+  // Math 20-3 - topic generators
+  genUnitPricing(grade) {
+    // 🛒 Unit pricing: divide each price by its size, then compare
+    const [centsA, centsB] = this.shuffle([35, 40, 45, 55, 60, 65, 75, 80, 85, 95]).slice(0, 2)
+    const [sizeA, sizeB] = this.shuffle([2, 3, 4, 5, 6, 8, 10, 12]).slice(0, 2)
+    const priceA = centsA * sizeA / 100
+    const priceB = centsB * sizeB / 100
+    const answer = Math.min(centsA, centsB) / 100
+    const money = (amount) => amount.toFixed(2)
+
+    const rice = this.random() < 0.5
+    const question = rice
+      ? `Store A sells ${sizeA} kg of rice for $${money(priceA)}. Store B sells ${sizeB} kg of rice for $${money(priceB)}. What is the lower price per kilogram? (Nearest cent)`
+      : `A pack of ${sizeA} granola bars costs $${money(priceA)} and a pack of ${sizeB} granola bars costs $${money(priceB)}. What is the lower price per bar? (Nearest cent)`
+    return this.createProblem(question, answer, 'Unit Pricing', grade, false, null, {
+      tolerance: { type: 'decimals', value: 2, exact: answer },
+      distractors: [
+        this.mistake('compared-totals-not-rates', Math.min(priceA, priceB))
+      ],
+      solution: [
+        this.step('Divide each price by its size to get the unit price'),
+        this.step('First', `$${money(priceA)} ÷ ${sizeA} = $${money(centsA / 100)}`),
+        this.step('Second', `$${money(priceB)} ÷ ${sizeB} = $${money(centsB / 100)}`),
+        this.step('The lower unit price is the better buy', `$${money(answer)}`)
+      ]
+    })
+  }
+
+  genGrossAndNetPay(grade) {
+    // 💵 Gross and net pay: what you earn, and what you take home after deductions
+    const hours = Math.floor(this.random() * 21) + 20
+    const wage = (Math.floor(this.random() * 20) + 32) / 2
+    const deductionRate = [10, 12, 15, 18, 20][Math.floor(this.random() * 5)]
+    const gross = hours * wage
+    const deductions = gross * deductionRate / 100
+    const exact = gross - deductions
+    const answer = Math.round(exact * 100) / 100
+    return this.createProblem(`You work ${hours} hours at $${wage.toFixed(2)} an hour. ${deductionRate}% of your gross pay is taken off for deductions. What is your net pay? (Nearest cent)`, answer, 'Gross and Net Pay', grade, false, null, {
+      tolerance: { type: 'decimals', value: 2, exact },
+      distractors: [
+        this.mistake('gave-gross-pay', gross)
+      ],
+      solution: [
+        this.step('Gross pay = hours × hourly wage', `${hours} × $${wage.toFixed(2)} = $${gross.toFixed(2)}`),
+        this.step('Work out the deductions', `${deductionRate}% × $${gross.toFixed(2)} = $${deductions.toFixed(2)}`),
+        this.step('Net pay = gross pay - deductions', `$${gross.toFixed(2)} - $${deductions.toFixed(2)} = $${answer.toFixed(2)}`)
+      ]
+    })
+  }
+
+  genBudgets(grade) {
+    // 📒 Budgets: where the money goes, and how much is left to save
+    const income = (Math.floor(this.random() * 16) + 20) * 100
+    const savedPercent = [5, 10, 15, 20, 25][Math.floor(this.random() * 5)]
+    const saved = income * savedPercent / 100
+    const spending = income - saved
+    const rent = Math.round(spending * (0.45 + this.random() * 0.1) / 10) * 10
+    const food = Math.round((spending - rent) * (0.4 + this.random() * 0.2) / 10) * 10
+    const transportation = spending - rent - food
+    return this.createProblem(`Your monthly income is $${income}. You spend $${rent} on rent, $${food} on food and $${transportation} on transportation, and save the rest. What percent of your income do you save?`, savedPercent, 'Budgets', grade, false, null, {
+      distractors: [
+        this.mistake('gave-amount-not-percent', saved)
+      ],
+      solution: [
+        this.step('Add up the spending', `$${rent} + $${food} + $${transportation} = $${spending}`),
+        this.step('The savings are what is left', `$${income} - $${spending} = $${saved}`),
+        this.step('Write the savings as a percent of the income', `${saved} ÷ ${income} × 100 = ${savedPercent}%`)
+      ]
+    })
+  }
+
+  // Math 30-2 - topic generators
+  genSetsAndSubsets(grade) {
+    // 🗂️ Subsets: each element is either in or out, so a set of n elements has 2ⁿ subsets
+    const n = Math.floor(this.random() * this.scaled(2, 3, 5)) + 2
+    const set = `{${'abcdefgh'.slice(0, n).split('').join(', ')}}`
+    const total = 2 ** n
+
+    if (this.random() < 0.5) {
+      return this.createProblem(`How many subsets does the set ${set} have?`, total, 'Sets and Subsets', grade, false, null, {
+        distractors: [
+          this.mistake('doubled-for-subsets', n)
+        ],
+        solution: [
+          this.step('Each element is either in a subset or not: 2 choices per element'),
+          this.step(`The set has ${n} elements`, `2^${n} = ${total}`)
+        ]
+      })
+    }
+
+    return this.createProblem(`How many proper subsets does the set ${set} have?`, total - 1, 'Sets and Subsets', grade, false, null, {
+      distractors: [
+        this.mistake('doubled-for-subsets', n),
+        this.mistake('off-by-one', total - 1)
+      ],
+      solution: [
+        this.step('Each element is either in a subset or not: 2 choices per element'),
+        this.step(`The set has ${n} elements`, `2^${n} = ${total}`),
+        this.step('A proper subset can\'t be the whole set, so take that one away', `${total} - 1 = ${total - 1}`)
+      ]
+    })
+  }
+
+  genUnionAndIntersection(grade) {
+    // ∪∩ Union (in A or B) and intersection (in A and B)
+    const size = this.scaled(20, 30, 60)
+    // Pairs where neither set is inside the other
+    const [a, b] = this.shuffle([[2, 3], [2, 5], [3, 4], [3, 5], [4, 5], [4, 6], [6, 8]])[0]
+    const gcd = (x, y) => y === 0 ? x : gcd(y, x % y)
+    const lcm = a * b / gcd(a, b)
+    const countA = Math.floor(size / a)
+    const countB = Math.floor(size / b)
+    const countBoth = Math.floor(size / lcm)
+    const setup = `U = {1, 2, 3, ..., ${size}}. A is the set of multiples of ${a} in U and B is the set of multiples of ${b} in U.`
+
+    if (this.random() < 0.5) {
+      return this.createProblem(`${setup} What is n(A ∩ B)?`, countBoth, 'Union and Intersection', grade, false, null, {
+        solution: [
+          this.step(`A ∩ B holds the numbers that are multiples of both ${a} and ${b}: the multiples of ${lcm}`),
+          this.step(`Count the multiples of ${lcm} up to ${size}`, `n(A ∩ B) = ${countBoth}`)
+        ]
+      })
+    }
+
+    const answer = countA + countB - countBoth
+    return this.createProblem(`${setup} What is n(A ∪ B)?`, answer, 'Union and Intersection', grade, false, null, {
+      distractors: [
+        this.mistake('counted-overlap-twice', countA, countB)
+      ],
+      solution: [
+        this.step('Count each set', `n(A) = ${countA}, n(B) = ${countB}`),
+        this.step(`The multiples of ${lcm} are in both sets`, `n(A ∩ B) = ${countBoth}`),
+        this.step('Take away the overlap so it is only counted once', `n(A ∪ B) = ${countA} + ${countB} - ${countBoth} = ${answer}`)
+      ]
+    })
+  }
+
+  genVennDiagrams(grade) {
+    // ⭕⭕ Venn diagrams: fill in the overlap first, then the rest
+    const [first, second] = this.shuffle(['hockey', 'soccer', 'basketball', 'volleyball']).slice(0, 2)
+    const total = Math.floor(this.random() * 8) + 28
+    const both = Math.floor(this.random() * 4) + 2
+    const countFirst = Math.floor(this.random() * 7) + 8
+    const countSecond = Math.floor(this.random() * 7) + 6
+    const onlyFirst = countFirst - both
+    const onlySecond = countSecond - both
+    const setup = `In a class of ${total} students, ${countFirst} play ${first}, ${countSecond} play ${second} and ${both} play both.`
+    const overlapSteps = [
+      this.step('Start with the overlap', `Both: ${both}`),
+      this.step(`Only ${first}`, `${countFirst} - ${both} = ${onlyFirst}`),
+      this.step(`Only ${second}`, `${countSecond} - ${both} = ${onlySecond}`)
+    ]
+
+    if (this.random() < 0.5) {
+      const answer = total - onlyFirst - onlySecond - both
+      return this.createProblem(`${setup} How many play neither?`, answer, 'Venn Diagrams', grade, false, null, {
+        distractors: [
+          this.mistake('counted-overlap-twice', total - countFirst, -countSecond)
+        ],
+        solution: [
+          ...overlapSteps,
+          this.step('Neither is everyone outside the circles', `${total} - ${onlyFirst} - ${onlySecond} - ${both} = ${answer}`)
+        ]
+      })
     }
-    return this.createProblem(`${func}(${angle}°) = ? (2 decimals)`, values[`${func}${angle}`], 'Trigonometry', grade)
-  }
 
-  // Grade 20-1
-  genAbsoluteValue(grade) {
-    const a = Math.floor(Math.random() * 30) - 15
-    return this.createProblem(`|${a}| = ?`, Math.abs(a), 'Absolute Value', grade)
+    const answer = onlyFirst + onlySecond
+    return this.createProblem(`${setup} How many play only one of the two sports?`, answer, 'Venn Diagrams', grade, false, null, {
+      distractors: [
+        this.mistake('counted-overlap-twice', countFirst, countSecond)
+      ],
+      solution: [
+        ...overlapSteps,
+        this.step('Add the two "only" parts', `${onlyFirst} + ${onlySecond} = ${answer}`)
+      ]
+    })
   }
 
-  genRadicals(grade) {
-    const perfect = [4, 9, 16, 25, 36, 49, 64, 81, 100][Math.floor(Math.random() * 9)]
-    return this.createProblem(`√${perfect} = ?`, Math.sqrt(perfect), 'Radicals', grade)
+  genComplements(grade) {
+    // 🔲 Complements: A′ is everything in U that is NOT in A
+    const size = Math.floor(this.random() * this.scaled(10, 30, 70)) + 20
+    const k = Math.floor(this.random() * 5) + 2
+    const inA = Math.floor(size / k)
+    const answer = size - inA
+    return this.createProblem(`U = {1, 2, 3, ..., ${size}} and A is the set of multiples of ${k} in U. What is n(A′)?`, answer, 'Complements', grade, false, null, {
+      distractors: [
+        this.mistake('counted-set-not-complement', inA)
+      ],
+      solution: [
+        this.step(`Count the multiples of ${k} up to ${size}`, `n(A) = ${inA}`),
+        this.step('A′ is everything in U that is not in A', `n(A′) = n(U) - n(A) = ${size} - ${inA} = ${answer}`)
+      ]
+    })
   }
 
-  genRationalExpressions(grade) {
-    const a = Math.floor(Math.random() * 5) + 2
-    return this.createProblem(
-      `Simplify: ${a}x/${a} = ?`,
-      'x',
-      'Rational Expressions',
-      grade,
-      true,
-      ['x', `${a}x`, '1', `x/${a}`]
-    )
-  }
+  genConditionalStatements(grade) {
+    // 🔁 Converse, inverse and contrapositive of "If p, then q."
+    const statements = this.conditionalStatements()
+    const statement = statements[Math.floor(this.random() * statements.length)]
+    const write = (x, y) => `If ${statement.subject} ${x}, then it ${y}.`
+    const [p, notP] = statement.p
+    const [q, notQ] = statement.q
+    const forms = {
+      original: write(p, q),
+      converse: write(q, p),
+      inverse: write(notP, notQ),
+      contrapositive: write(notQ, notP)
+    }
+    const how = {
+      converse: 'The converse swaps the two parts',
+      inverse: 'The inverse negates both parts',
+      contrapositive: 'The contrapositive swaps the two parts and negates both'
+    }
+    const asked = ['converse', 'inverse', 'contrapositive'][Math.floor(this.random() * 3)]
+    const answer = forms[asked]
 
-  genQuadraticEquations(grade) {
-    const r1 = Math.floor(Math.random() * 6) - 3
-    const r2 = Math.floor(Math.random() * 6) - 3
-    const b = -(r1 + r2)
-    const c = r1 * r2
-    return this.createProblem(`x² ${b >= 0 ? '+' : ''}${b}x ${c >= 0 ? '+' : ''}${c} = 0. Find one root.`, r1, 'Quadratic Equations', grade)
+    return this.createProblem(`Statement: ${forms.original} What is its ${asked}?`, answer, 'Conditional Statements', grade, true, [
+      answer,
+      ...Object.keys(forms).filter(form => form !== asked).map(form => this.mistake('mixed-up-statement-forms', forms[form]))
+    ], {
+      solution: [
+        this.step(`"If p, then q." Here p: it ${p}; q: it ${q}`),
+        this.step(how[asked], answer)
+      ]
+    })
   }
 
-  genSequencesSeries(grade) {
-    const a1 = Math.floor(Math.random() * 5) + 1
-    const d = Math.floor(Math.random() * 4) + 1
-    const n = Math.floor(Math.random() * 5) + 5
-    return this.createProblem(`Arithmetic: ${a1}, ${a1 + d}, ${a1 + 2 * d}... Term ${n}?`, a1 + (n - 1) * d, 'Sequences', grade)
+  genBiconditionals(grade) {
+    // ⇔ A biconditional ("if and only if") needs the statement AND its converse to be true
+    const statements = this.conditionalStatements()
+    const withConverse = statements.filter(s => s.converse)
+    const without = this.shuffle(statements.filter(s => !s.converse)).slice(0, 3)
+    const right = withConverse[Math.floor(this.random() * withConverse.length)]
+    const write = (s) => `If ${s.subject} ${s.p[0]}, then it ${s.q[0]}.`
+    const subject = right.subject[0].toUpperCase() + right.subject.slice(1)
+    const answer = write(right)
+
+    return this.createProblem('Which statement has a true converse, so it can be written as a biconditional ("if and only if")?', answer, 'Biconditional Statements', grade, true, [
+      answer,
+      ...without.map(s => this.mistake('assumed-converse-true', write(s)))
+    ], {
+      solution: [
+        this.step('Write the converse of each statement and check if it is always true'),
+        this.step('Only one converse holds', `If ${right.subject} ${right.q[0]}, then it ${right.p[0]}.`),
+        this.step('So it can be written as a biconditional', `${subject} ${right.p[0]} if and only if it ${right.q[0]}.`)
+      ]
+    })
   }
 
-  genGeometricSequence(grade) {
-    const a1 = Math.floor(Math.random() * 3) + 1
-    const r = 2
-    const n = Math.floor(Math.random() * 3) + 3
-    return this.createProblem(`Geometric: ${a1}, ${a1 * r}, ${a1 * r * r}... Term ${n}?`, a1 * Math.pow(r, n - 1), 'Geometric Sequences', grade)
+  genSimpleInterest(grade) {
+    // 🏦 Simple interest: I = Prt, interest on the starting amount only
+    const principal = (Math.floor(this.random() * 46) + 5) * 100
+    const rate = [2, 2.5, 3, 3.5, 4, 4.5, 5][Math.floor(this.random() * 7)]
+    const years = Math.floor(this.random() * 7) + 2
+    const interest = principal * rate / 100 * years
+    const formula = [
+      this.step('Simple interest formula', 'I = Prt'),
+      this.step('Substitute', `I = ${principal} × ${rate / 100} × ${years} = $${interest.toFixed(2)}`)
+    ]
+
+    if (this.random() < 0.5) {
+      return this.createProblem(`You invest $${principal} at ${rate}% simple interest per year. How much interest do you earn in ${years} years? (Nearest cent)`, interest, 'Simple Interest', grade, false, null, {
+        tolerance: { type: 'decimals', value: 2, exact: interest },
+        distractors: [
+          this.mistake('used-compound-interest', principal, rate / 100, years, true)
+        ],
+        solution: formula
+      })
+    }
+
+    const answer = principal + interest
+    return this.createProblem(`You invest $${principal} at ${rate}% simple interest per year. What is the investment worth after ${years} years? (Nearest cent)`, answer, 'Simple Interest', grade, false, null, {
+      tolerance: { type: 'decimals', value: 2, exact: answer },
+      distractors: [
+        this.mistake('used-compound-interest', principal, rate / 100, years, false)
+      ],
+      solution: [
+        ...formula,
+        this.step('Add the interest to the amount invested', `A = ${principal} + ${interest.toFixed(2)} = $${answer.toFixed(2)}`)
+      ]
+    })
   }
 
-  genUnitCircleTrig(grade) {
-    const angles = [0, 30, 45, 60, 90, 180, 270]
-    const angle = angles[Math.floor(Math.random() * angles.length)]
-    const sinVals = { 0: 0, 30: 0.5, 45: 0.71, 60: 0.87, 90: 1, 180: 0, 270: -1 }
-    return this.createProblem(`sin(${angle}°) = ?`, sinVals[angle], 'Unit Circle', grade)
+  genDepreciation(grade) {
+    // 🚙 Depreciation: losing the same PERCENT of the value each year
+    const price = (Math.floor(this.random() * 26) + 15) * 1000
+    const rate = [10, 12, 15, 18, 20][Math.floor(this.random() * 5)]
+    const years = Math.floor(this.random() * 5) + 2
+    const exact = price * (1 - rate / 100) ** years
+    const answer = Math.round(exact)
+    return this.createProblem(`A car bought for $${price} loses ${rate}% of its value each year. What is it worth after ${years} years? (Nearest dollar)`, answer, 'Depreciation', grade, false, null, {
+      tolerance: { type: 'decimals', value: 0, exact },
+      distractors: [
+        this.mistake('depreciated-linearly', price, rate / 100, years)
+      ],
+      solution: [
+        this.step(`Each year the car keeps ${100 - rate}% of its value`, `1 - ${rate / 100} = ${1 - rate / 100}`),
+        this.step('Depreciation formula', 'A = P(1 - i)ⁿ'),
+        this.step('Substitute', `A = ${price}(${1 - rate / 100})^${years}`),
+        this.step('Work it out and round to the dollar', `A ≈ $${answer}`)
+      ]
+    })
   }
 
-  // Grade 30-1
-  genFunctionTransformations(grade) {
-    const h = Math.floor(Math.random() * 5) + 1
-    const k = Math.floor(Math.random() * 5) + 1
-    const answer = `(${h}, ${k})`
-    return this.createProblem(
-      `f(x) = x². Vertex of f(x-${h}) + ${k}?`,
-      answer,
-      'Function Transformations',
-      grade,
-      true,
-      [answer, `(${-h}, ${k})`, `(${h}, ${-k})`, `(0, ${k})`]
-    )
+  // Math 31 - topic generators
+  genLimitBySubstitution(grade) {
+    // ➡️ Limits of polynomials: just substitute
+    const a = Math.floor(this.random() * 5) - 2 || 1
+    const b = Math.floor(this.random() * 11) - 5
+    const c = Math.floor(this.random() * 11) - 5
+    const range = this.scaled(2, 3, 5)
+    const x = Math.floor(this.random() * (2 * range + 1)) - range
+    const answer = a * x * x + b * x + c
+    const expression = this.formatPolynomial([a, b, c])
+    return this.createProblem(`Find the limit of ${expression} as x → ${x}.`, answer, 'Limits by Substitution', grade, false, null, {
+      solution: [
+        this.step('A polynomial has no breaks, so its limit is its value: substitute'),
+        this.step(`Substitute x = ${x}`, `${expression.replace(/x/g, `(${x})`)} = ${answer}`)
+      ]
+    })
   }
 
-  genExponentialFunctions(grade) {
-    const base = [2, 3, 5][Math.floor(Math.random() * 3)]
-    const exp = Math.floor(Math.random() * 4) + 2
-    return this.createProblem(`${base}^${exp} = ?`, Math.pow(base, exp), 'Exponential Functions', grade)
+  genLimitByFactoring(grade) {
+    // ✂️ 0/0 means a common factor: factor, cancel, then substitute
+    const a = this.shuffle([-4, -3, -2, -1, 1, 2, 3, 4, 5])[0]
+    const r = this.shuffle([-5, -4, -3, -2, -1, 1, 2, 3, 4, 5].filter(n => n !== a))[0]
+    const answer = a - r
+    const numerator = this.formatPolynomial([1, -(a + r), a * r])
+    return this.createProblem(`Find the limit of (${numerator})/${this.formatFactor(-a)} as x → ${a}.`, answer, 'Limits by Factoring', grade, false, null, {
+      distractors: [
+        this.mistake('zero-over-zero-is-zero')
+      ],
+      solution: [
+        this.step(`Substituting x = ${a} gives 0/0, so factor the top`, `${numerator} = ${this.formatFactor(-a)}${this.formatFactor(-r)}`),
+        this.step(`Cancel the common factor ${this.formatFactor(-a)}`, this.formatPolynomial([1, -r])),
+        this.step(`Substitute x = ${a}`, `${a} - ${r < 0 ? `(${r})` : r} = ${answer}`)
+      ]
+    })
   }
 
-  genLogarithmicFunctions(grade) {
-    const base = [2, 10][Math.floor(Math.random() * 2)]
-    const exp = Math.floor(Math.random() * 4) + 1
-    const value = Math.pow(base, exp)
-    const q = base === 10 ? `log(${value})` : `log₂(${value})`
-    return this.createProblem(`${q} = ?`, exp, 'Logarithmic Functions', grade)
+  genLimitAtInfinity(grade) {
+    // ♾️ Limits at infinity: only the highest powers matter
+    const top = Math.floor(this.random() * 8) + 1
+    const bottom = Math.floor(this.random() * 5) + 2
+    const constantTop = Math.floor(this.random() * 9) + 1
+    const constantBottom = Math.floor(this.random() * 9) + 1
+    const numerator = this.formatPolynomial([top, Math.floor(this.random() * 7) - 3, constantTop])
+
+    if (this.random() < 0.3) {
+      // The bottom grows faster, so the fraction shrinks to 0
+      const denominator = this.formatPolynomial([bottom, 0, 1, constantBottom])
+      return this.createProblem(`Find the limit of (${numerator})/(${denominator}) as x → ∞.`, 0, 'Limits at Infinity', grade, false, null, {
+        distractors: [
+          this.mistake('used-the-constant-terms', this.formatFraction(constantTop, constantBottom))
+        ],
+        solution: [
+          this.step('Divide the top and bottom by the highest power of x, x³'),
+          this.step('Every term on top shrinks to 0, but the bottom goes to the leading coefficient', `0/${bottom} = 0`)
+        ]
+      })
+    }
+
+    const denominator = this.formatPolynomial([bottom, Math.floor(this.random() * 7) - 3, constantBottom])
+    const answer = this.formatFraction(top, bottom)
+    return this.createProblem(`Find the limit of (${numerator})/(${denominator}) as x → ∞.`, answer, 'Limits at Infinity', grade, false, null, {
+      distractors: [
+        this.mistake('used-the-constant-terms', this.formatFraction(constantTop, constantBottom))
+      ],
+      solution: [
+        this.step('Divide the top and bottom by the highest power of x, x²'),
+        this.step('Every term but the leading ones shrinks to 0', `${top}/${bottom}${answer === `${top}/${bottom}` ? '' : ` = ${answer}`}`)
+      ]
+    })
   }
 
-  genLogLaws(grade) {
-    const a = Math.floor(Math.random() * 5) + 2
-    const b = Math.floor(Math.random() * 5) + 2
-    return this.createProblem(`log(${a}) + log(${b}) = log(?)`, a * b, 'Log Laws', grade)
+  genPowerRule(grade) {
+    // ⚡ Power rule: the derivative of xⁿ is nxⁿ⁻¹
+    const degree = this.scaled(2, 3, 3)
+    const coefficients = Array.from({ length: degree + 1 }, () => Math.floor(this.random() * 11) - 5)
+    coefficients[0] = coefficients[0] || 2
+    const derivative = coefficients.slice(0, -1).map((c, i) => c * (degree - i))
+    const x = Math.floor(this.random() * 7) - 3
+    const evaluate = (coeffs) => coeffs.reduce((total, c) => total * x + c, 0)
+    const answer = evaluate(derivative)
+    return this.createProblem(`f(x) = ${this.formatPolynomial(coefficients)}. Find f′(${x}).`, answer, 'Power Rule', grade, false, null, {
+      distractors: [
+        this.mistake('found-value-not-derivative', evaluate(coefficients))
+      ],
+      solution: [
+        this.step('Power rule: bring the power down, then take one off it'),
+        this.step('Differentiate each term', `f′(x) = ${this.formatPolynomial(derivative)}`),
+        this.step(`Substitute x = ${x}`, `f′(${x}) = ${answer}`)
+      ]
+    })
   }
 
-  genPolynomialFunctions(grade) {
-    const a = Math.floor(Math.random() * 3) + 1
-    return this.createProblem(`Degree of x³ + ${a}x² - x + 5?`, 3, 'Polynomial Functions', grade)
+  genTangentSlope(grade) {
+    // 📈 The slope of the tangent at a point is the derivative there
+    const a = Math.floor(this.random() * 7) - 3 || 1
+    const b = Math.floor(this.random() * 11) - 5
+    const c = Math.floor(this.random() * 11) - 5
+    const x = Math.floor(this.random() * 9) - 4
+    const answer = 2 * a * x + b
+    return this.createProblem(`What is the slope of the tangent to y = ${this.formatPolynomial([a, b, c])} at the point where x = ${x}?`, answer, 'Slope of a Tangent', grade, false, null, {
+      distractors: [
+        this.mistake('found-value-not-derivative', a * x * x + b * x + c)
+      ],
+      solution: [
+        this.step('The slope of the tangent is the derivative at that point'),
+        this.step('Differentiate', `y′ = ${this.formatPolynomial([2 * a, b])}`),
+        this.step(`Substitute x = ${x}`, `y′ = ${answer}`)
+      ]
+    })
   }
 
-  genTrigEquations(grade) {
-    return this.createProblem(`Solve: sin(x) = 0.5 for 0° ≤ x ≤ 90°`, 30, 'Trigonometric Equations', grade)
+  genProductRule(grade) {
+    // ✖️ Product rule: (fg)′ = f′g + fg′
+    const a = Math.floor(this.random() * 3) + 1
+    const b = Math.floor(this.random() * 9) - 4
+    const c = Math.floor(this.random() * 3) + 1
+    const d = Math.floor(this.random() * 9) - 4
+    const x = Math.floor(this.random() * 5) - 2 || 1
+    const f = a * x + b
+    const g = c * x * x + d
+    const answer = a * g + f * 2 * c * x
+    const first = this.formatPolynomial([a, b])
+    const second = this.formatPolynomial([c, 0, d])
+    return this.createProblem(`f(x) = (${first})(${second}). Use the product rule to find f′(${x}).`, answer, 'Product Rule', grade, false, null, {
+      distractors: [
+        this.mistake('multiplied-the-derivatives', a * 2 * c * x)
+      ],
+      solution: [
+        this.step('Product rule', '(fg)′ = f′g + fg′'),
+        this.step('Differentiate each factor', `(${first})′ = ${a}, (${second})′ = ${this.formatPolynomial([2 * c, 0])}`),
+        this.step(`Substitute x = ${x}`, `${a}(${g}) + (${f})(${2 * c * x}) = ${answer}`)
+      ]
+    })
   }
 
-  genPermutationsCombinations(grade) {
-    const choice = Math.random() > 0.5 ? 'perm' : 'comb'
-    if (choice === 'perm') {
-      return this.genPermutations(grade)
-    } else {
-      return this.genCombinations(grade)
-    }
+  genChainRule(grade) {
+    // ⛓️ Chain rule: derivative of the outside, times the derivative of the inside
+    const n = Math.floor(this.random() * 3) + 2
+    const a = Math.floor(this.random() * 2) + 2
+    const b = Math.floor(this.random() * 7) - 3
+    const x = Math.floor(this.random() * 3) - 1
+    const inside = a * x + b
+    const answer = n * inside ** (n - 1) * a
+    const power = ['', '', '²', '³', '⁴'][n]
+    const lower = ['', '', '', '²', '³'][n] // One power lower
+    const expression = this.formatPolynomial([a, b])
+    return this.createProblem(`f(x) = (${expression})${power}. Use the chain rule to find f′(${x}).`, answer, 'Chain Rule', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-inner-derivative', n, a, b, x)
+      ],
+      solution: [
+        this.step('Chain rule: differentiate the outside, then multiply by the derivative of the inside'),
+        this.step('Differentiate', `f′(x) = ${n}(${expression})${lower} × ${a}`),
+        this.step(`Substitute x = ${x}`, `${n}(${inside})${lower} × ${a} = ${answer}`)
+      ]
+    })
   }
 
-  genPermutations(grade) {
-    const n = Math.floor(Math.random() * 3) + 4
-    const r = Math.floor(Math.random() * 2) + 2
-    const factorial = (x) => x <= 1 ? 1 : x * factorial(x - 1)
-    const ans = factorial(n) / factorial(n - r)
-    return this.createProblem(`P(${n},${r}) = Arrange ${r} from ${n} items?`, ans, 'Permutations', grade)
+  genAntiderivatives(grade) {
+    // ↩️ Antiderivatives: undo the power rule, then use the given point to find C
+    const a = (Math.floor(this.random() * 3) + 1) * 3
+    const b = (Math.floor(this.random() * 7) - 3) * 2
+    const c = Math.floor(this.random() * 11) - 5
+    const constant = Math.floor(this.random() * 19) - 9 || 4
+    const x = Math.floor(this.random() * 5) - 2 || 3
+    const antiderivative = [a / 3, b / 2, c, constant]
+    const answer = antiderivative.reduce((total, k) => total * x + k, 0)
+    return this.createProblem(`F′(x) = ${this.formatPolynomial([a, b, c])} and F(0) = ${constant}. Find F(${x}).`, answer, 'Antiderivatives', grade, false, null, {
+      distractors: [
+        this.mistake('forgot-constant-of-integration', answer, constant)
+      ],
+      solution: [
+        this.step('Add one to each power, then divide by the new power', `F(x) = ${this.formatPolynomial([a / 3, b / 2, c, 0])} + C`),
+        this.step('F(0) is the constant of integration', `C = ${constant}`),
+        this.step(`Substitute x = ${x}`, `F(${x}) = ${answer}`)
+      ]
+    })
   }
 
-  genCombinations(grade) {
-    const n = Math.floor(Math.random() * 4) + 4
-    const r = Math.floor(Math.random() * 2) + 2
-    const factorial = (x) => x <= 1 ? 1 : x * factorial(x - 1)
-    const ans = factorial(n) / (factorial(r) * factorial(n - r))
-    return this.createProblem(`C(${n},${r}) = Choose ${r} from ${n} items?`, ans, 'Combinations', grade)
+  genDefiniteIntegrals(grade) {
+    // ∫ Definite integrals: F(b) - F(a)
+    const a = (Math.floor(this.random() * 3)) * 3
+    const b = (Math.floor(this.random() * 7) - 3) * 2
+    const c = Math.floor(this.random() * 11) - 5 || 2
+    const from = Math.floor(this.random() * 4) - 2
+    const to = from + Math.floor(this.random() * 3) + 1
+    const antiderivative = [a / 3, b / 2, c, 0]
+    const F = (x) => antiderivative.reduce((total, k) => total * x + k, 0)
+    const answer = F(to) - F(from)
+    const integrand = this.formatPolynomial([a, b, c])
+    return this.createProblem(`Evaluate ∫ from ${from} to ${to} of (${integrand}) dx.`, answer, 'Definite Integrals', grade, false, null, {
+      distractors: [
+        this.mistake('subtracted-limits-backwards', answer)
+      ],
+      solution: [
+        this.step('Find an antiderivative', `F(x) = ${this.formatPolynomial(antiderivative)}`),
+        this.step('Subtract the value at the lower limit from the value at the upper limit', `F(${to}) - F(${from}) = ${F(to)} - ${F(from) < 0 ? `(${F(from)})` : F(from)} = ${answer}`)
+      ]
+    })
   }
 
-  genBinomial(grade) {
-    const n = Math.floor(Math.random() * 3) + 3
-    const factorial = (x) => x <= 1 ? 1 : x * factorial(x - 1)
-    const coeff = factorial(n) / (factorial(2) * factorial(n - 2))
-    return this.createProblem(`(x+1)^${n}: coefficient of x²?`, coeff, 'Binomial Theorem', grade)
+  genAreaUnderCurve(grade) {
+    // 🟦 Area under a curve: the definite integral of a curve that stays above the x-axis
+    const a = [3, 6][Math.floor(this.random() * 2)]
+    const c = Math.floor(this.random() * 6) + 1
+    const from = Math.floor(this.random() * 3)
+    const to = from + Math.floor(this.random() * 3) + 1
+    const antiderivative = [a / 3, 0, c, 0]
+    const F = (x) => antiderivative.reduce((total, k) => total * x + k, 0)
+    const answer = F(to) - F(from)
+    const curve = this.formatPolynomial([a, 0, c])
+    return this.createProblem(`Find the area between y = ${curve} and the x-axis from x = ${from} to x = ${to}.`, answer, 'Area Under a Curve', grade, false, null, {
+      solution: [
+        this.step(`y = ${curve} is above the x-axis the whole way, so the area is the definite integral`),
+        this.step('Find an antiderivative', `F(x) = ${this.formatPolynomial(antiderivative)}`),
+        this.step('Subtract', `F(${to}) - F(${from}) = ${F(to)} - ${F(from)} = ${answer}`)
+      ]
+    })
   }
 
   // Fallback generators
   genAddition(grade) {
-    const max = grade <= 2 ? 20 : grade <= 4 ? 100 : 1000
-    const a = Math.floor(Math.random() * max) + 1
-    const b = Math.floor(Math.random() * (max - a)) + 1
-    return this.createProblem(`${a} + ${b} = ?`, a + b, 'Addition', grade, grade <= 3)
+    const usual = grade <= 2 ? 20 : grade <= 4 ? 100 : 1000
+    const max = this.scaled(usual / 2, usual, usual * 5)
+    const a = Math.floor(this.random() * max) + 1
+    const b = Math.floor(this.random() * (max - a)) + 1
+    return this.createProblem(`${a} + ${b} = ?`, a + b, 'Addition', grade, grade <= 3, null, {
+      distractors: [
+        this.mistake('forgot-to-carry', a, b)
+      ],
+      solution: a + b >= 20 ? this.columnAdditionSteps(a, b) : [
+        this.step(`Start at ${a} and count up ${b}`, `${a} + ${b} = ${a + b}`)
+      ]
+    })
   }
 
   genSubtraction(grade) {
-    const max = grade <= 2 ? 20 : grade <= 4 ? 100 : 1000
-    const a = Math.floor(Math.random() * max) + Math.floor(max / 2)
-    const b = Math.floor(Math.random() * Math.floor(max / 2)) + 1
-    return this.createProblem(`${a} - ${b} = ?`, a - b, 'Subtraction', grade, grade <= 3)
+    const usual = grade <= 2 ? 20 : grade <= 4 ? 100 : 1000
+    const max = this.scaled(usual / 2, usual, usual * 5)
+    const a = Math.floor(this.random() * max) + Math.floor(max / 2)
+    const b = Math.floor(this.random() * Math.floor(max / 2)) + 1
+    return this.createProblem(`${a} - ${b} = ?`, a - b, 'Subtraction', grade, grade <= 3, null, {
+      distractors: [
+        this.mistake('subtracted-smaller-digit', a, b),
+        this.mistake('added-instead-of-subtracted', a, b)
+      ],
+      solution: [
+        this.step(`Start at ${a} and count back ${b}`, `${a} - ${b} = ${a - b}`),
+        this.step('Check by adding back', `${a - b} + ${b} = ${a}`)
+      ]
+    })
   }
 
   genMultiplication(grade) {
-    const max = grade <= 4 ? 10 : 12
-    const a = Math.floor(Math.random() * max) + 1
-    const b = Math.floor(Math.random() * max) + 1
-    return this.createProblem(`${a} × ${b} = ?`, a * b, 'Multiplication', grade, grade <= 4)
+    const max = this.scaled(5, grade <= 4 ? 10 : 12, grade <= 4 ? 12 : 20)
+    const a = Math.floor(this.random() * max) + 1
+    const b = Math.floor(this.random() * max) + 1
+    return this.createProblem(`${a} × ${b} = ?`, a * b, 'Multiplication', grade, grade <= 4, null, {
+      distractors: [
+        this.mistake('added-instead-of-multiplied', a, b)
+      ],
+      solution: [
+        this.step(`${a} × ${b} means ${b} groups of ${a}`),
+        this.step('Skip count or use your times tables', `${a} × ${b} = ${a * b}`)
+      ]
+    })
   }
 
   genDivision(grade) {
-    const max = 12
-    const b = Math.floor(Math.random() * max) + 1
-    const ans = Math.floor(Math.random() * max) + 1
-    return this.createProblem(`${b * ans} ÷ ${b} = ?`, ans, 'Division', grade, grade <= 4)
+    const max = this.scaled(5, 12, 15)
+    const b = Math.floor(this.random() * max) + 1
+    const ans = Math.floor(this.random() * max) + 1
+    return this.createProblem(`${b * ans} ÷ ${b} = ?`, ans, 'Division', grade, grade <= 4, null, {
+      distractors: [
+        this.mistake('off-by-one', ans),
+        this.mistake('off-by-one', ans, -1)
+      ],
+      solution: [
+        this.step(`Think: what times ${b} makes ${b * ans}?`, `${b} × ? = ${b * ans}`),
+        this.step('Use the matching times fact', `${b} × ${ans} = ${b * ans}, so ${b * ans} ÷ ${b} = ${ans}`)
+      ]
+    })
   }
 
   // ══════════════════════════════════════════════════════════════════════════
@@ -1234,41 +7852,478 @@ export class ProblemGenerator {
   //   topic          = The topic name (for display)
   //   grade          = The grade level
   //   multipleChoice = true/false for multiple choice
-  //   customOptions  = (OPTIONAL) Array of custom options (INCLUDING the correct answer)
+  //   customOptions  = (OPTIONAL) Array of custom options (INCLUDING the correct answer).
+  //                    Wrong options can be tagged mistakes from this.mistake()
+  //   details        = (OPTIONAL) Extra info about the problem:
+  //                      solution    = ordered worked-solution steps, each { text, math }
+  //                      distractors = common mistakes from this.mistake(), used as the
+  //                                    wrong options and to explain wrong typed answers
+  //                      answerType  = how the answer is checked ('expression' = any
+  //                                    algebraically equivalent expression is correct;
+  //                                    'quantity' = a measurement like '150 cm', any
+  //                                    equal amount is correct, like '1.5 m')
+  //                      unitRequired = true if a quantity must be given in the answer's unit
+  //                      form        = required form of an expression ('factored')
+  //                      answerSet   = several accepted values { values, ordered, match }
+  //                                    (match 'all' = give every value, 'any' = give one)
+  //                      acceptedForms = number forms allowed, like ['mixed', 'integer']
+  //                                      (see NumberFormats.FORMS; any form if left out)
+  //                      simplestForm  = true if the number must be fully simplified
+  //                      tolerance   = how close a number must be { type, value, exact }
+  //                                    type 'absolute', 'relative', 'decimals' or 'sigfigs';
+  //                                    exact = the unrounded value, to spot rounding slips
+  //                                    (left out: whole numbers exact, others within 0.01)
+  //                      figure      = a picture the question is about, drawn under it
+  //                                    { type: 'clock' | 'polygon' | 'bar-chart' | 'pictograph'
+  //                                    | 'box-plot' | 'coordinate-grid', ... } (see FigureRenderer)
+  //                      interaction = answered by clicking or dragging instead of typing
+  //                                    (the problem's type becomes 'interactive'):
+  //                                    { type: 'number-line', min, max, ticks }  ticks = marks per 1
+  //                                    { type: 'plot-point', range }   answer like '(3, -2)'
+  //                                    { type: 'plot-line', range }    answerType 'line'
+  //                                    { type: 'order', items }        answerSet with ordered: true
+  //                                    { type: 'set-clock', step }     answerType 'time'
+  //                      story       = the word problem the question was told with (from this.story()),
+  //                                    so it can be told again in another language
   //
   // If customOptions is provided, those will be used instead of auto-generating distractors.
   // This fixes the "Option 2" bug for text-based questions!
 
-  createProblem(question, answer, topic, grade, multipleChoice = false, customOptions = null) {
+  createProblem(question, answer, topic, grade, multipleChoice = false, customOptions = null, details = {}) {
     const problem = {
+      id: this.createProblemId(question, answer, details.figure),
       question,
       answer,
       topic,
-      difficulty: grade,
+      grade,
+      difficulty: this.activeDifficulty,
       type: multipleChoice ? 'multiple-choice' : 'fill-in-blank'
     }
 
+    if (details.answerType) {
+      problem.answerType = details.answerType
+    }
+    if (details.form) {
+      problem.form = details.form
+    }
+    if (details.answerSet) {
+      problem.answerType = 'set'
+      problem.answerSet = { ordered: false, match: 'all', ...details.answerSet }
+    }
+    if (details.acceptedForms) {
+      problem.acceptedForms = details.acceptedForms
+    }
+    if (details.simplestForm) {
+      problem.simplestForm = true
+    }
+    if (details.tolerance) {
+      problem.tolerance = details.tolerance
+    }
+    if (details.unitRequired) {
+      problem.unitRequired = true
+    }
+    if (details.figure) {
+      problem.figure = details.figure
+    }
+    if (details.interaction) {
+      problem.type = 'interactive'
+      problem.interaction = details.interaction
+    }
+    if (details.story) {
+      problem.story = details.story
+    }
+
+    if (details.solution && details.solution.length > 0) {
+      problem.solution = details.solution.map(s => typeof s === 'string' ? this.step(s) : s)
+    }
+
+    // Remember every tagged mistake so a wrong answer can be explained
+    const taggedOptions = (customOptions || []).filter(opt => opt !== null && typeof opt === 'object')
+    let mistakes = [...(details.distractors || []), ...taggedOptions]
+    if (problem.answerType === 'quantity') {
+      // A mistake worked out as a plain number is in the same unit as the answer
+      const { unit } = Units.parse(String(answer))
+      mistakes = mistakes.map(m => typeof m.value === 'number' ? { ...m, value: `${m.value} ${unit}` } : m)
+    }
+    const distractors = DistractorEngine.clean(mistakes, problem)
+    if (distractors.length > 0) {
+      problem.distractors = distractors
+    }
+
     if (multipleChoice) {
       // If custom options were provided, use them!
       if (customOptions && Array.isArray(customOptions) && customOptions.length >= 2) {
         problem.options = this.formatCustomOptions(customOptions, answer)
       } else {
-        // Otherwise, auto-generate distractors (works best for numbers)
-        problem.options = this.generateMultipleChoiceOptions(answer, 4)
+        // Otherwise, build options from the common mistakes (plus nearby numbers)
+        problem.options = this.generateMultipleChoiceOptions(answer, 4, distractors)
+      }
+
+      // Not enough real options to choose from? Ask for a typed answer instead
+      if (problem.options.length < 2) {
+        problem.type = 'fill-in-blank'
+        delete problem.options
       }
     }
 
     return problem
   }
 
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🧩 HELPER: Create a MULTI-PART problem ("find x, then find y")
+  // ══════════════════════════════════════════════════════════════════════════
+  //   question = The shared setup ("x + y = 7, x - y = 1")
+  //   topic    = The topic name (for display)
+  //   grade    = The grade level
+  //   parts    = The parts in order, each from this.part()
+  //   details  = (OPTIONAL) solution = worked steps for the whole problem
+  //                                    (default: every part's steps, in order)
+  //                         figure   = a picture every part is about (see createProblem)
+  //
+  // Each part is a full problem of its own (with its own options, answer type
+  // and solution), checked on its own, so a student can get some parts right.
+  // The whole answer is every part's answer, separated by "; ".
+
+  createMultiPartProblem(question, topic, grade, parts, details = {}) {
+    const builtParts = parts.map(p => this.createProblem(p.question, p.answer, topic, grade, p.multipleChoice, p.customOptions, p.details))
+    const answers = builtParts.map(p => p.answer)
+
+    const problem = {
+      id: this.createProblemId(question, answers, details.figure),
+      question,
+      answer: answers.join('; '),
+      topic,
+      grade,
+      difficulty: this.activeDifficulty,
+      type: 'multi-part',
+      parts: builtParts
+    }
+    if (details.figure) {
+      problem.figure = details.figure
+    }
+
+    const solution = details.solution || builtParts.flatMap(p => p.solution || [])
+    if (solution.length > 0) {
+      problem.solution = solution.map(s => typeof s === 'string' ? this.step(s) : s)
+    }
+    return problem
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🧩 HELPER: One part of a multi-part problem
+  // ══════════════════════════════════════════════════════════════════════════
+  // Takes the same arguments as createProblem, minus topic and grade
+  // (those come from the whole problem).
+
+  part(question, answer, multipleChoice = false, customOptions = null, details = {}) {
+    return { question, answer, multipleChoice, customOptions, details }
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 📝 HELPER: One step of a worked solution
+  // ══════════════════════════════════════════════════════════════════════════
+  //   text = What we do in this step ("Subtract 3 from both sides")
+  //   math = (OPTIONAL) The math for this step ("2x = 8")
+
+  step(text, math = null) {
+    return math === null ? { text } : { text, math }
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🪤 HELPER: A wrong answer made by a common mistake
+  // ══════════════════════════════════════════════════════════════════════════
+  //   misconception = ID from the MISCONCEPTIONS catalog ('forgot-to-carry')
+  //   args          = The problem's numbers the mistake is applied to
+  //
+  // Returns { value, misconception }, usable in details.distractors or customOptions.
+
+  mistake(misconception, ...args) {
+    return DistractorEngine.make(misconception, ...args)
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 📖 HELPER: Tell a problem's numbers as a story (a word problem)
+  // ══════════════════════════════════════════════════════════════════════════
+  //   kind   = What the numbers do: 'join', 'separate', 'compare', 'groups', 'share',
+  //            'part-of-whole', 'fraction-of', 'rate-of-change' or 'convert'
+  //   values = The numbers the story needs, like { start: 7, more: 5 } for 'join'
+  //            (WordProblemEngine.KINDS lists them)
+  //   grade  = The grade level (picks how hard the story is to read)
+  //   filter = (OPTIONAL) { units: ['m', 'km'] } to only use stories in those units
+  //
+  // Returns { question, story, units }. Pass story on as details.story.
+  //
+  //   const { question, story } = this.story('join', { start: 7, more: 5 }, grade)
+  //   → "Maya has 7 pucks. She gets 5 more. How many pucks does Maya have now?"
+
+  story(kind, values, grade, filter = {}) {
+    return this.wordProblems.tell(kind, values, grade, () => this.random(), filter)
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🎚️ HELPER: A number that grows with the difficulty level
+  // ══════════════════════════════════════════════════════════════════════════
+  //   easy   = Value at difficulty 1
+  //   normal = Value at difficulty 5 (the grade's usual numbers)
+  //   hard   = Value at difficulty 10
+  //
+  //   scaled(10, 20, 50) → 10 at level 1, 20 at level 5, 50 at level 10 (rounded in between)
+  //   For on/off changes (negatives, extra steps) check this.activeDifficulty directly.
+
+  scaled(easy, normal, hard) {
+    const level = this.activeDifficulty
+    const value = level <= DEFAULT_DIFFICULTY
+      ? easy + (normal - easy) * (level - DIFFICULTY_RANGE[0]) / (DEFAULT_DIFFICULTY - DIFFICULTY_RANGE[0])
+      : normal + (hard - normal) * (level - DEFAULT_DIFFICULTY) / (DIFFICULTY_RANGE[1] - DEFAULT_DIFFICULTY)
+    return Math.round(value)
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🔤 HELPER: Write polynomials and factors the way a textbook would
+  // ══════════════════════════════════════════════════════════════════════════
+  //   formatPolynomial([1, -3, 2]) → 'x² - 3x + 2'   (coefficients, highest power first)
+  //   formatFactor(-4)             → '(x - 4)'
+
+  formatPolynomial(coefficients, variable = 'x') {
+    const powers = ['', variable, `${variable}²`, `${variable}³`]
+    const degree = coefficients.length - 1
+    const terms = []
+
+    coefficients.forEach((coefficient, index) => {
+      if (coefficient === 0) return
+      const power = degree - index
+      const size = Math.abs(coefficient)
+      const body = power === 0 ? `${size}` : `${size === 1 ? '' : size}${powers[power] || `${variable}^${power}`}`
+      if (terms.length === 0) {
+        terms.push(coefficient < 0 ? `-${body}` : body)
+      } else {
+        terms.push(`${coefficient < 0 ? '-' : '+'} ${body}`)
+      }
+    })
+
+    return terms.length > 0 ? terms.join(' ') : '0'
+  }
+
+  formatFactor(constant, variable = 'x') {
+    if (constant === 0) return variable
+    return `(${variable} ${constant < 0 ? '-' : '+'} ${Math.abs(constant)})`
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // ➕ HELPER: Worked steps for adding in columns (ones, tens, hundreds...)
+  // ══════════════════════════════════════════════════════════════════════════
+
+  columnAdditionSteps(a, b) {
+    const places = ['ones', 'tens', 'hundreds', 'thousands', 'ten thousands', 'hundred thousands', 'millions']
+    const digitsA = String(a).split('').reverse().map(Number)
+    const digitsB = String(b).split('').reverse().map(Number)
+    const steps = [this.step('Line the numbers up by place value and add one column at a time, starting with the ones')]
+    let carry = 0
+
+    for (let i = 0; i < Math.max(digitsA.length, digitsB.length); i++) {
+      const top = digitsA[i] || 0
+      const bottom = digitsB[i] || 0
+      const total = top + bottom + carry
+      const parts = carry > 0 ? `${top} + ${bottom} + ${carry} (carried)` : `${top} + ${bottom}`
+      const text = total >= 10
+        ? `Add the ${places[i]}: write ${total % 10} and carry 1`
+        : `Add the ${places[i]}`
+      steps.push(this.step(text, `${parts} = ${total}`))
+      carry = total >= 10 ? 1 : 0
+    }
+
+    if (carry > 0) {
+      steps.push(this.step('Write the last carried 1 at the front'))
+    }
+    steps.push(this.step('Read the answer', `${a} + ${b} = ${a + b}`))
+    return steps
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // ➖ HELPER: Worked steps for column subtraction with borrowing
+  // ══════════════════════════════════════════════════════════════════════════
+
+  columnSubtractionSteps(a, b) {
+    const places = ['ones', 'tens', 'hundreds', 'thousands', 'ten thousands', 'hundred thousands', 'millions']
+    const digitsA = String(a).split('').reverse().map(Number)
+    const digitsB = String(b).split('').reverse().map(Number)
+    const steps = [this.step('Line the numbers up by place value and subtract one column at a time, starting with the ones')]
+    let borrow = 0
+
+    for (let i = 0; i < digitsA.length; i++) {
+      const top = digitsA[i] - borrow
+      const bottom = digitsB[i] || 0
+      if (top < bottom) {
+        steps.push(this.step(`Subtract the ${places[i]}: ${top} is less than ${bottom}, so borrow 1 from the ${places[i + 1]}`, `${top + 10} - ${bottom} = ${top + 10 - bottom}`))
+        borrow = 1
+      } else {
+        steps.push(this.step(`Subtract the ${places[i]}`, `${top} - ${bottom} = ${top - bottom}`))
+        borrow = 0
+      }
+    }
+
+    steps.push(this.step('Read the answer', `${a} - ${b} = ${a - b}`))
+    return steps
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🔍 HELPER: Worked steps for factoring x² + (sum)x + (product)
+  // ══════════════════════════════════════════════════════════════════════════
+
+  factorPairSteps(sum, product) {
+    const pairs = []
+    for (let p = 1; p * p <= product; p++) {
+      if (product % p === 0) pairs.push([p, product / p])
+    }
+    const [p, q] = pairs.find(([x, y]) => x + y === sum)
+
+    return [
+      this.step(`Find two numbers that multiply to ${product} and add to ${sum}`),
+      this.step(`List the factor pairs of ${product}`, pairs.map(([x, y]) => `${x} × ${y}`).join(', ')),
+      this.step(`Check the sums: ${p} + ${q} = ${sum}`),
+      this.step('Write the factors', `(x + ${p})(x + ${q})`)
+    ]
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 📈 HELPER: A random linear relation y = mx + b and a few of its points
+  // ══════════════════════════════════════════════════════════════════════════
+  linearRelation(count = 4) {
+    const m = Math.floor(this.random() * 4) + 2
+    const b = Math.floor(this.random() * 11) - 5
+    const start = Math.floor(this.random() * 4)
+    const pairs = Array.from({ length: count }, (_, i) => [start + i, m * (start + i) + b])
+    return { m, b, pairs }
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // ½ HELPER: A fraction in lowest terms, sign in front ("-2/3", or "4" if it's whole)
+  // ══════════════════════════════════════════════════════════════════════════
+  formatFraction(numerator, denominator) {
+    const gcd = (x, y) => y === 0 ? x : gcd(y, x % y)
+    const common = gcd(Math.abs(numerator), Math.abs(denominator)) || 1
+    const sign = numerator * denominator < 0 ? '-' : ''
+    const [top, bottom] = [Math.abs(numerator) / common, Math.abs(denominator) / common]
+    return bottom === 1 ? `${sign}${top}` : `${sign}${top}/${bottom}`
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 📐 HELPER: A random whole-number right triangle [leg, leg, hypotenuse]
+  // ══════════════════════════════════════════════════════════════════════════
+  pythagoreanTriple() {
+    const triples = [[3, 4, 5], [5, 12, 13], [8, 15, 17], [7, 24, 25], [20, 21, 29]]
+    const [a, b, c] = triples[Math.floor(this.random() * triples.length)]
+    const scale = c < 10 ? Math.floor(this.random() * 3) + 1 : 1
+    return this.random() < 0.5 ? [a * scale, b * scale, c * scale] : [b * scale, a * scale, c * scale]
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🔁 HELPER: Conditional statements "If p, then q." to reason about
+  // ══════════════════════════════════════════════════════════════════════════
+  // Each has p and q with their negations ([statement, negation]), and
+  // whether its converse is true too (so it could be a biconditional).
+
+  conditionalStatements() {
+    return [
+      { subject: 'a number', p: ['is a multiple of 4', 'is not a multiple of 4'], q: ['is even', 'is not even'], converse: false },
+      { subject: 'a number', p: ['is even', 'is not even'], q: ['is divisible by 2', 'is not divisible by 2'], converse: true },
+      { subject: 'a number', p: ['ends in 0', 'does not end in 0'], q: ['is divisible by 10', 'is not divisible by 10'], converse: true },
+      { subject: 'a number', p: ['is a multiple of 6', 'is not a multiple of 6'], q: ['is a multiple of 3', 'is not a multiple of 3'], converse: false },
+      { subject: 'a polygon', p: ['is a square', 'is not a square'], q: ['has four sides', 'does not have four sides'], converse: false },
+      { subject: 'a polygon', p: ['is a triangle', 'is not a triangle'], q: ['has exactly three sides', 'does not have exactly three sides'], converse: true },
+      { subject: 'an angle', p: ['is a right angle', 'is not a right angle'], q: ['measures 90°', 'does not measure 90°'], converse: true },
+      { subject: 'an angle', p: ['measures 30°', 'does not measure 30°'], q: ['is acute', 'is not acute'], converse: false },
+      { subject: 'an animal', p: ['is a dog', 'is not a dog'], q: ['is a mammal', 'is not a mammal'], converse: false }
+    ]
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 📐 HELPER: SOH CAH TOA - find one trig ratio of a right triangle
+  // ══════════════════════════════════════════════════════════════════════════
+  trigRatioProblem(grade, func) {
+    const [opposite, adjacent, hypotenuse] = this.pythagoreanTriple()
+    const sides = {
+      sin: [opposite, hypotenuse, 'SOH: sine = opposite ÷ hypotenuse'],
+      cos: [adjacent, hypotenuse, 'CAH: cosine = adjacent ÷ hypotenuse'],
+      tan: [opposite, adjacent, 'TOA: tangent = opposite ÷ adjacent']
+    }
+    const [top, bottom, rule] = sides[func]
+    const answer = this.formatFraction(top, bottom)
+    const distractors = func === 'tan'
+      ? [this.mistake('flipped-tangent', this.formatFraction(adjacent, opposite))]
+      : [this.mistake('swapped-sin-and-cos', this.formatFraction(func === 'sin' ? adjacent : opposite, hypotenuse))]
+    return this.createProblem(
+      `Right triangle ABC has ∠C = 90°. From angle A, the opposite side is ${opposite}, the adjacent side is ${adjacent} and the hypotenuse is ${hypotenuse}. Find ${func} A as a fraction.`,
+      answer, 'Trigonometry', grade, false, null, {
+        distractors,
+        solution: [
+          this.step(rule),
+          this.step('Substitute the sides', `${func} A = ${top}/${bottom}`),
+          ...(answer !== `${top}/${bottom}` ? [this.step('Simplify', `${func} A = ${answer}`)] : [])
+        ]
+      }
+    )
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 📝 HELPER: Write a logarithm's name: log(...) for base 10, log₃(...) otherwise
+  // ══════════════════════════════════════════════════════════════════════════
+  logName(base) {
+    const subscripts = '₀₁₂₃₄₅₆₇₈₉'
+    return base === 10 ? 'log' : `log${String(base).split('').map(digit => subscripts[digit]).join('')}`
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🔤 HELPER: "a" or "an" to go in front of a word ("an equilateral triangle")
+  // ══════════════════════════════════════════════════════════════════════════
+  article(word) {
+    return /^[aeiou]/i.test(word) ? 'an' : 'a'
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🔷 HELPER: Corners of a shape to draw, as [x, y] points (for a polygon figure)
+  // ══════════════════════════════════════════════════════════════════════════
+  // Rectangles are 5 × 3; the others are regular shapes sitting flat on the bottom.
+  shapeVertices(shape) {
+    if (shape === 'rectangle') return [[0, 0], [5, 0], [5, 3], [0, 3]]
+
+    const sides = { 'triangle': 3, 'square': 4, 'pentagon': 5, 'hexagon': 6, 'octagon': 8 }[shape]
+    const start = Math.PI / 2 + (sides % 2 === 0 ? Math.PI / sides : 0)
+    return Array.from({ length: sides }, (_, i) => {
+      const angle = start + i * 2 * Math.PI / sides
+      return [Math.round(Math.cos(angle) * 100) / 100, Math.round(Math.sin(angle) * 100) / 100]
+    })
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // 🔀 HELPER: Shuffle a list (returns a new list, the original is left alone)
+  // ══════════════════════════════════════════════════════════════════════════
+  shuffle(items) {
+    const shuffled = [...items]
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+    }
+    return shuffled
+  }
+
   // ══════════════════════════════════════════════════════════════════════════
   // 🎯 HELPER: Format custom options into the expected structure
   // ══════════════════════════════════════════════════════════════════════════
   formatCustomOptions(options, correctAnswer) {
+    // Two mistakes can land on the same value - keep only the first of each
+    const seen = new Set()
+    const unique = options.filter(opt => {
+      const key = String(opt !== null && typeof opt === 'object' ? opt.value : opt)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+
     // Shuffle the options so the correct answer isn't always first
-    const shuffled = [...options]
+    const shuffled = [...unique]
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.random() * (i + 1));
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
     }
 
@@ -1276,111 +8331,117 @@ export class ProblemGenerator {
     const finalOptions = shuffled.slice(0, 4)
 
     // Format into the expected structure with labels A, B, C, D
-    return finalOptions.map((opt, index) => ({
-      label: String.fromCharCode(65 + index), // A, B, C, D
-      value: opt
-    }))
+    // (tagged mistakes keep their misconception)
+    return finalOptions.map((opt, index) => this.formatOption(opt, index))
+  }
+
+  /**
+   * Turn a plain value or a tagged mistake into a lettered option
+   * @param {any} opt - Option value, or { value, misconception }
+   * @param {number} index - Position of the option (0 = A)
+   * @returns {{ label: string, value: any, misconception?: string }}
+   */
+  formatOption(opt, index) {
+    const label = String.fromCharCode(65 + index) // A, B, C, D
+    if (opt !== null && typeof opt === 'object') {
+      return opt.misconception
+        ? { label, value: opt.value, misconception: opt.misconception }
+        : { label, value: opt.value }
+    }
+    return { label, value: opt }
   }
 
   /**
    * Generate multiple choice options
+   * Common mistakes come first; numeric answers are topped up with nearby numbers.
+   * Text answers with no mistakes declared get fewer options rather than filler.
+   * @param {any} correctAnswer - The correct answer
+   * @param {number} [numOptions] - How many options to make
+   * @param {Array} [distractors] - Tagged mistakes ({ value, misconception })
    */
-  generateMultipleChoiceOptions(correctAnswer, numOptions = 4) {
-    const options = [correctAnswer]
+  generateMultipleChoiceOptions(correctAnswer, numOptions = 4, distractors = []) {
+    const options = [{ value: correctAnswer }]
     const used = new Set([String(correctAnswer)])
 
-    while (options.length < numOptions) {
-      let distractor
-      if (typeof correctAnswer === 'number') {
-        const variance = Math.max(3, Math.abs(correctAnswer) * 0.3)
-        distractor = Math.round(correctAnswer + (Math.random() > 0.5 ? 1 : -1) * (Math.random() * variance + 1))
-        if (correctAnswer >= 0 && distractor < 0) distractor = Math.abs(distractor)
-      } else {
-        distractor = `Option ${options.length + 1}`
+    // Pick a random handful of the mistakes
+    const mistakes = [...distractors]
+    for (let i = mistakes.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [mistakes[i], mistakes[j]] = [mistakes[j], mistakes[i]]
+    }
+    for (const mistake of mistakes) {
+      if (options.length >= numOptions) break
+      if (!used.has(String(mistake.value))) {
+        options.push(mistake)
+        used.add(String(mistake.value))
       }
+    }
+
+    // Harder levels put the made-up options closer to the answer
+    const spread = this.scaled(50, 30, 10) / 100
+    const minimumVariance = this.scaled(4, 3, 2)
+    while (typeof correctAnswer === 'number' && options.length < numOptions) {
+      const variance = Math.max(minimumVariance, Math.abs(correctAnswer) * spread)
+      let distractor = Math.round(correctAnswer + (this.random() > 0.5 ? 1 : -1) * (this.random() * variance + 1))
+      if (correctAnswer >= 0 && distractor < 0) distractor = Math.abs(distractor)
 
       if (!used.has(String(distractor))) {
-        options.push(distractor)
+        options.push({ value: distractor })
         used.add(String(distractor))
       }
     }
 
     // Shuffle
     for (let i = options.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.random() * (i + 1));
       [options[i], options[j]] = [options[j], options[i]]
     }
 
-    return options.map((opt, index) => ({
-      label: String.fromCharCode(65 + index),
-      value: opt
-    }))
+    return options.map((opt, index) => this.formatOption(opt, index))
   }
 
   /**
    * Generate a problem based on grade and topic
+   * @param {number|string} grade - Grade ID
+   * @param {string} topic - Topic name
+   * @param {Object} [options] - { seed } to regenerate a specific problem, { rng } to override the PRNG,
+   *   { difficulty } for a level from 1 to 10 (default 5), { locale } for another language
+   * @throws {NoGeneratorError} If no generator covers the topic
+   */
+  generateProblem(grade, topic, options = {}) {
+    return this.withSeed(options, () => this.pickTopicProblem(grade, topic))
+  }
+
+  /**
+   * Pick a generator for a topic and run it with the active PRNG
+   * @throws {NoGeneratorError} If no generator covers the topic
    */
-  generateProblem(grade, topic) {
+  pickTopicProblem(grade, topic) {
     console.log(`=== ProblemGenerator ===`)
     console.log(`Grade: ${grade}, Topic: "${topic}"`)
-
-    // First try to match by topic keyword
-    const topicLower = topic.toLowerCase().trim()
-
-    // Check topic generators first
-    if (this.topicGenerators[topicLower]) {
-      console.log(`Found topic generator for: ${topicLower}`)
-      return this.topicGenerators[topicLower](grade)
-    }
-
-    // Check for partial matches in topic generators
-    for (const key of Object.keys(this.topicGenerators)) {
-      if (topicLower.includes(key) || key.includes(topicLower)) {
-        console.log(`Found partial topic match: ${key}`)
-        return this.topicGenerators[key](grade)
-      }
-    }
-
-    // Fallback based on grade level
-    console.log(`No match found, using grade-based fallback for grade ${grade}`)
-    if (grade >= 20) {
-      return this.genLogarithmicFunctions(grade)
-    } else if (grade >= 10) {
-      return this.genFactoringPolynomials(grade)
-    } else if (grade >= 7) {
-      return this.genLinearEquations(grade)
-    } else if (grade >= 4) {
-      return this.genMultiplication(grade)
-    } else {
-      return this.genAddition(grade)
-    }
+    return this.runGenerator(this.registry.require({ grade, topic, difficulty: this.activeDifficulty }), grade)
   }
 
   /**
    * Generate problem by unit name (primary method)
+   * @param {number|string} grade - Grade ID
+   * @param {string} unitName - Unit name from the curriculum
+   * @param {Object} [options] - { seed } to regenerate a specific problem, { rng } to override the PRNG,
+   *   { difficulty } for a level from 1 to 10 (default 5), { locale } for another language
+   * @throws {NoGeneratorError} If no generator covers the unit
+   */
+  generateProblemByUnit(grade, unitName, options = {}) {
+    return this.withSeed(options, () => this.pickUnitProblem(grade, unitName))
+  }
+
+  /**
+   * Pick a generator for a unit and run it with the active PRNG
+   * @throws {NoGeneratorError} If no generator covers the unit
    */
-  generateProblemByUnit(grade, unitName) {
+  pickUnitProblem(grade, unitName) {
     console.log(`=== ProblemGenerator (by Unit) ===`)
     console.log(`Grade: ${grade}, Unit: "${unitName}"`)
-
-    const unitLower = unitName.toLowerCase().trim()
-
-    // Check unit generators
-    if (this.unitGenerators[unitLower]) {
-      console.log(`Found unit generator for: ${unitLower}`)
-      return this.unitGenerators[unitLower](grade)
-    }
-
-    // Check for partial matches
-    for (const key of Object.keys(this.unitGenerators)) {
-      if (unitLower.includes(key) || key.includes(unitLower)) {
-        console.log(`Found partial unit match: ${key}`)
-        return this.unitGenerators[key](grade)
-      }
-    }
-
-    console.log(`No unit match, falling back to topic search`)
-    return this.generateProblem(grade, unitName)
+    return this.runGenerator(this.registry.require({ grade, unit: unitName, difficulty: this.activeDifficulty }), grade)
   }
 
   /**
@@ -1389,4 +8450,15 @@ export class ProblemGenerator {
   validateAnswer(problem, answer) {
     return AnswerValidator.validate(problem, answer)
   }
+
+  /**
+   * Explain a wrong answer as a known misconception
+   * @param {Object} problem - Problem object
+   * @param {string|number} answer - The wrong answer
+   * @returns {{ id: string, name: string, feedback: string }|null}
+   */
+  findMisconception(problem, answer) {
+    const misconception = DistractorEngine.findMisconception(problem, answer)
+    return problem?.locale ? ProblemTranslator.localizeMisconception(misconception, problem.locale) : misconception
+  }
 }
@@ -0,0 +1,83 @@
+/**
+ * Seeded Random
+ * A small, fast pseudo-random number generator (mulberry32) that can be
+ * seeded so the exact same sequence of numbers comes out every time.
+ * Used by the ProblemGenerator so any problem can be regenerated from its seed.
+ */
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} 32-bit unsigned hash
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Turn any seed value (number or string) into a 32-bit unsigned integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} Normalized seed
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0
+  }
+  return hashString(String(seed))
+}
+
+export class SeededRandom {
+  /**
+   * @param {number|string} [seed] - Starting seed (random if not given)
+   */
+  constructor(seed) {
+    this.seed = seed === undefined || seed === null
+      ? Math.floor(Math.random() * 0x100000000)
+      : normalizeSeed(seed)
+    this.state = this.seed
+  }
+
+  /**
+   * Get the next random number
+   * @returns {number} Float in the range [0, 1), like Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * Get a random integer between min and max (both included)
+   * @param {number} min - Smallest value
+   * @param {number} max - Largest value
+   * @returns {number}
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min
+  }
+
+  /**
+   * Pick a random item from an array
+   * @param {Array} items - Items to pick from
+   * @returns {any}
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)]
+  }
+
+  /**
+   * Draw a fresh 32-bit seed, used to give each problem its own seed
+   * @returns {number}
+   */
+  nextSeed() {
+    return Math.floor(this.next() * 0x100000000)
+  }
+}
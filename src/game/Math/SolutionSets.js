@@ -0,0 +1,193 @@
+import { NumberFormats } from './NumberFormats'
+
+/**
+ * Solution Sets
+ * Reads points like "(3, -2)", intervals like "[2, ∞)" and inequalities like
+ * "x > 3", "3 < x" or "-1 ≤ x < 3".
+ *
+ * Intervals and inequalities both become the same shape, so "x ≥ 2" and
+ * "[2, ∞)" can be compared:
+ *   { low, high, lowClosed, highClosed, variable }
+ * (low = -Infinity / high = Infinity when that side has no end)
+ */
+
+// Ways to type each comparison, longest first
+const OPERATORS = [
+  ['<=', '≤'], ['=<', '≤'], ['≤', '≤'], ['⩽', '≤'],
+  ['>=', '≥'], ['=>', '≥'], ['≥', '≥'], ['⩾', '≥'],
+  ['<', '<'], ['>', '>']
+]
+
+// "3 < x" says the same as "x > 3"
+const FLIPPED = { '<': '>', '≤': '≥', '>': '<', '≥': '≤' }
+
+const INFINITIES = ['∞', 'inf', 'infinity', 'oo']
+
+/**
+ * Read one end of an interval (a number or ±∞)
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseEnd(text) {
+  const clean = text.trim().toLowerCase().replace(/\s+/g, '').replace('−', '-')
+  const sign = clean.startsWith('-') ? -1 : 1
+  if (INFINITIES.includes(clean.replace(/^[+-]/, ''))) return sign * Infinity
+  return NumberFormats.parse(clean)?.value ?? null
+}
+
+/**
+ * Write a number for an interval end
+ * @param {number} value
+ * @returns {string}
+ */
+function formatEnd(value) {
+  if (value === Infinity) return '∞'
+  if (value === -Infinity) return '-∞'
+  return `${value}`
+}
+
+/**
+ * Solution Sets
+ */
+export class SolutionSets {
+  /**
+   * The same comparison read the other way round ("<" → ">")
+   * @param {string} op - One of < ≤ > ≥
+   * @returns {string}
+   */
+  static flip(op) {
+    return FLIPPED[op]
+  }
+
+  /**
+   * Read a point like "(3, -2)", "3, -2" or "x = 3, y = -2"
+   * @param {string|Array} text - What the student typed
+   * @returns {number[]|null} The coordinates, or null if it isn't a point
+   */
+  static parsePoint(text) {
+    if (Array.isArray(text)) return text.map(Number)
+    const inner = String(text).trim().replace(/^\((.*)\)$/, '$1')
+    const parts = inner.split(/\s*(?:,|;|\band\b)\s*/i)
+    if (parts.length < 2) return null
+
+    const coordinates = parts.map(part => NumberFormats.parse(part.replace(/^[a-z]\s*=\s*/i, ''))?.value ?? null)
+    return coordinates.includes(null) ? null : coordinates
+  }
+
+  /**
+   * Read interval notation like "[2, ∞)", "(-∞, 3]" or "(-1, 4)"
+   * A reversed bracket also works for an open end: "]2, 5]" means (2, 5]
+   * @param {string} text - What the student typed
+   * @returns {Object|null} The interval, or null if it isn't one
+   */
+  static parseInterval(text) {
+    const match = String(text).trim().match(/^([[(\]])\s*([^,;]+?)\s*[,;]\s*([^,;]+?)\s*([\])[])$/)
+    if (!match) return null
+
+    const low = parseEnd(match[2])
+    const high = parseEnd(match[3])
+    if (low === null || high === null || low > high) return null
+
+    const interval = { low, high, lowClosed: match[1] === '[', highClosed: match[4] === ']', variable: null }
+    // Infinity is never reached, so it can't be a closed end
+    if ((interval.lowClosed && low === -Infinity) || (interval.highClosed && high === Infinity)) return null
+    return interval
+  }
+
+  /**
+   * Read an inequality like "x > 3", "3 < x", "x ≤ -1" or "-1 ≤ x < 3"
+   * @param {string} text - What the student typed
+   * @returns {Object|null} The interval it describes, or null if it isn't one
+   */
+  static parseInequality(text) {
+    // Split into values and operators: "-1 ≤ x < 3" → ['-1', '≤', 'x', '<', '3']
+    const parts = []
+    let rest = String(text).trim()
+    let current = ''
+    while (rest.length > 0) {
+      const operator = OPERATORS.find(([typed]) => rest.startsWith(typed))
+      if (operator) {
+        parts.push(current.trim(), operator[1])
+        current = ''
+        rest = rest.slice(operator[0].length)
+      } else {
+        current += rest[0]
+        rest = rest.slice(1)
+      }
+    }
+    parts.push(current.trim())
+
+    const isVariable = (part) => /^[a-z]$/i.test(part)
+    const isGreater = (op) => op === '>' || op === '≥'
+
+    if (parts.length === 3) {
+      // x > 3, or 3 < x (read as x > 3)
+      let [left, op, right] = parts
+      if (isVariable(right) && !isVariable(left)) {
+        [left, op, right] = [right, FLIPPED[op], left]
+      }
+      const value = parseEnd(right)
+      if (!isVariable(left) || value === null || !Number.isFinite(value)) return null
+      return this.fromComparison(op, value, left)
+    }
+
+    if (parts.length === 5) {
+      // -1 ≤ x < 3, or 3 > x ≥ -1 (read as -1 ≤ x < 3)
+      if (isGreater(parts[1]) !== isGreater(parts[3])) return null
+      const [low, lowOp, variable, highOp, high] = isGreater(parts[1])
+        ? [parts[4], FLIPPED[parts[3]], parts[2], FLIPPED[parts[1]], parts[0]]
+        : parts
+      const lowValue = parseEnd(low)
+      const highValue = parseEnd(high)
+      if (!isVariable(variable) || lowValue === null || highValue === null || lowValue > highValue) return null
+      return { low: lowValue, high: highValue, lowClosed: lowOp === '≤', highClosed: highOp === '≤', variable }
+    }
+
+    return null
+  }
+
+  /**
+   * Read either interval notation or an inequality
+   * @param {string} text
+   * @returns {Object|null} The interval, or null if it's neither
+   */
+  static parse(text) {
+    return this.parseInterval(text) ?? this.parseInequality(text)
+  }
+
+  /**
+   * The interval for "variable op value", like x ≥ 2
+   * @param {string} op - One of < ≤ > ≥
+   * @param {number} value - The boundary
+   * @param {string} variable - The letter (default 'x')
+   * @returns {Object} The interval
+   */
+  static fromComparison(op, value, variable = 'x') {
+    if (op === '<' || op === '≤') {
+      return { low: -Infinity, high: value, lowClosed: false, highClosed: op === '≤', variable }
+    }
+    return { low: value, high: Infinity, lowClosed: op === '≥', highClosed: false, variable }
+  }
+
+  /**
+   * Write an interval in interval notation: "[2, ∞)"
+   * @param {Object} interval
+   * @returns {string}
+   */
+  static formatInterval({ low, high, lowClosed, highClosed }) {
+    return `${lowClosed ? '[' : '('}${formatEnd(low)}, ${formatEnd(high)}${highClosed ? ']' : ')'}`
+  }
+
+  /**
+   * Write an interval as an inequality: "x ≥ 2" or "-1 ≤ x < 3"
+   * @param {Object} interval
+   * @returns {string}
+   */
+  static formatInequality({ low, high, lowClosed, highClosed, variable }) {
+    const name = variable || 'x'
+    if (low === -Infinity && high === Infinity) return `-∞ < ${name} < ∞`
+    if (low === -Infinity) return `${name} ${highClosed ? '≤' : '<'} ${high}`
+    if (high === Infinity) return `${name} ${lowClosed ? '≥' : '>'} ${low}`
+    return `${low} ${lowClosed ? '≤' : '<'} ${name} ${highClosed ? '≤' : '<'} ${high}`
+  }
+}
@@ -0,0 +1,258 @@
+import { DistractorEngine } from './DistractorEngine'
+import { ExpressionParser } from './ExpressionParser'
+
+/**
+ * Template Engine
+ * Builds problems from JSON templates in src/data/problems/*.json, so new
+ * question types can be added without writing JavaScript.
+ *
+ * A template looks like:
+ * {
+ *   "id": "fraction-of-a-set",
+ *   "topic": "Fraction of Whole",
+ *   "grades": [5],
+ *   "units": ["fractions"],                 curriculum units it's used for
+ *   "topics": ["fraction of a number"],     topic keywords it's used for (units or topics needed)
+ *   "difficultyRange": [1, 4],              optional, easiest and hardest difficulty (1-10)
+ *   "params": {
+ *     "d": { "min": 2, "max": 5 },          whole numbers from min to max (optional "step", "exclude")
+ *     "n": { "choose": [1, 2, 3] },          one of a list
+ *     "w": "d * k"                           worked out from the params above it
+ *   },
+ *   "constraints": ["n < d"],               formulas compared with == != < <= > >=
+ *   "question": "What is {n}/{d} of {w}?",  {formula} is replaced by its value
+ *   "answer": "{n * k}",                     just one {formula} gives a number, otherwise text
+ *   "multipleChoice": true,
+ *   "distractors": [
+ *     { "misconception": "multiplied-instead-of-divided", "args": ["w", "d"] },
+ *     { "misconception": "off-by-one", "value": "{n * k + 1}" }
+ *   ],
+ *   "solution": [{ "text": "Divide {w} by {d}", "math": "{w} ÷ {d} = {k}" }]
+ * }
+ *
+ * Params are single lowercase letters, and formulas can use + - * / ^,
+ * brackets, sqrt, abs and the other ExpressionParser functions.
+ * Any other createProblem detail (answerType, acceptedForms, tolerance,
+ * answerSet...) can be added too, and {formulas} inside it are filled in.
+ */
+
+// How many random picks to try before giving up on the constraints
+const MAX_ATTEMPTS = 200
+
+const COMPARISONS = {
+  '==': (a, b) => Math.abs(a - b) < 1e-9,
+  '!=': (a, b) => Math.abs(a - b) >= 1e-9,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b
+}
+
+// Template keys the engine handles itself; everything else is passed on as a problem detail
+const TEMPLATE_KEYS = ['id', 'topic', 'grades', 'units', 'topics', 'difficultyRange', 'params',
+  'constraints', 'question', 'answer', 'multipleChoice', 'distractors', 'solution']
+
+/**
+ * Thrown when a template is missing something or can't be used
+ */
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'TemplateError'
+  }
+}
+
+/**
+ * Work out a formula with the chosen params
+ * @param {string|number} formula - Like "n * k"
+ * @param {Object} values - Chosen params
+ * @returns {number}
+ */
+function evaluate(formula, values) {
+  if (typeof formula === 'number') return formula
+  const value = ExpressionParser.evaluate(ExpressionParser.parse(formula), values)
+  if (!Number.isFinite(value)) {
+    throw new TemplateError(`"${formula}" has no value (is a param missing?)`)
+  }
+  // Clear floating point noise (0.1 * 3 = 0.30000000000000004)
+  return Number(value.toPrecision(12))
+}
+
+/**
+ * Replace each {formula} in text with its value
+ * @param {string} text - Like "What is {n}/{d} of {w}?"
+ * @param {Object} values - Chosen params
+ * @returns {string|number} A number if the text is just one {formula}
+ */
+function fill(text, values) {
+  const whole = text.match(/^\{([^{}]+)\}$/)
+  if (whole) return evaluate(whole[1], values)
+  return text.replace(/\{([^{}]+)\}/g, (match, formula) => `${evaluate(formula, values)}`)
+}
+
+/**
+ * Fill in every {formula} in a detail, however deeply it's nested
+ * @param {any} value - String, array, object or plain value
+ * @param {Object} values - Chosen params
+ * @returns {any}
+ */
+function fillAll(value, values) {
+  if (typeof value === 'string') return fill(value, values)
+  if (Array.isArray(value)) return value.map(item => fillAll(item, values))
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillAll(item, values)]))
+  }
+  return value
+}
+
+/**
+ * Load every template from src/data/problems (a file can hold one template or a list)
+ * @returns {Array} Usable templates
+ */
+function loadTemplates() {
+  const files = import.meta.glob('../../data/problems/*.json', { eager: true, import: 'default' })
+  const templates = []
+  for (const [file, data] of Object.entries(files)) {
+    for (const template of Array.isArray(data) ? data : [data]) {
+      try {
+        TemplateEngine.check(template)
+        templates.push(template)
+      } catch (error) {
+        console.warn(`Skipping problem template in ${file}: ${error.message}`)
+      }
+    }
+  }
+  return templates
+}
+
+/**
+ * Template Engine
+ */
+export class TemplateEngine {
+  /**
+   * @param {Array} [templates] - Templates to use (default: every file in src/data/problems)
+   */
+  constructor(templates = loadTemplates()) {
+    this.templates = templates
+  }
+
+  /**
+   * Make sure a template has everything it needs
+   * @param {Object} template
+   * @throws {TemplateError} If something is missing or malformed
+   */
+  static check(template) {
+    const name = template?.id ? `"${template.id}"` : 'A template'
+    for (const key of ['id', 'topic', 'question', 'answer']) {
+      if (template?.[key] === undefined) throw new TemplateError(`${name} has no "${key}"`)
+    }
+    if (!template.units?.length && !template.topics?.length) {
+      throw new TemplateError(`${name} needs "units" or "topics" to say where it's used`)
+    }
+    for (const [param, spec] of Object.entries(template.params || {})) {
+      if (!/^[a-z]$/.test(param)) {
+        throw new TemplateError(`${name}: param "${param}" must be one lowercase letter`)
+      }
+      const isRange = typeof spec === 'object' && spec !== null && 'min' in spec && 'max' in spec
+      const isChoice = Array.isArray(spec?.choose) && spec.choose.length > 0
+      if (typeof spec !== 'string' && !isRange && !isChoice) {
+        throw new TemplateError(`${name}: param "${param}" needs min and max, a "choose" list, or a formula`)
+      }
+    }
+    for (const constraint of template.constraints || []) {
+      if (!this.splitConstraint(constraint)) {
+        throw new TemplateError(`${name}: can't read constraint "${constraint}"`)
+      }
+    }
+    for (const distractor of template.distractors || []) {
+      if (!DistractorEngine.describe(distractor.misconception)) {
+        throw new TemplateError(`${name}: unknown misconception "${distractor.misconception}"`)
+      }
+    }
+  }
+
+  /**
+   * Split "a + b <= 20" into its two sides and comparison
+   * @param {string} constraint
+   * @returns {{ left: string, op: string, right: string }|null}
+   */
+  static splitConstraint(constraint) {
+    const match = String(constraint).match(/^(.+?)\s*(==|!=|<=|>=|<|>)\s*(.+)$/)
+    return match ? { left: match[1], op: match[2], right: match[3] } : null
+  }
+
+  /**
+   * Pick values for every param that satisfy the constraints
+   * @param {Object} template
+   * @param {Function} random - Returns a float in [0, 1)
+   * @returns {Object} Chosen params, like { d: 4, n: 3 }
+   * @throws {TemplateError} If no values fit the constraints
+   */
+  chooseParams(template, random) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const values = {}
+      for (const [param, spec] of Object.entries(template.params || {})) {
+        values[param] = this.pickValue(spec, values, random)
+      }
+      const fits = (template.constraints || []).every(constraint => {
+        const { left, op, right } = TemplateEngine.splitConstraint(constraint)
+        return COMPARISONS[op](evaluate(left, values), evaluate(right, values))
+      })
+      if (fits) return values
+    }
+    throw new TemplateError(`"${template.id}" couldn't find params that fit its constraints`)
+  }
+
+  /**
+   * Pick one param value
+   * @param {Object|string} spec - Range, choice list or formula
+   * @param {Object} values - Params chosen so far
+   * @param {Function} random
+   * @returns {number}
+   */
+  pickValue(spec, values, random) {
+    if (typeof spec === 'string') return evaluate(spec, values)
+    if (spec.choose) return spec.choose[Math.floor(random() * spec.choose.length)]
+
+    const step = spec.step || 1
+    const count = Math.floor((spec.max - spec.min) / step + 1e-9) + 1
+    const allowed = []
+    for (let i = 0; i < count; i++) {
+      const value = Number((spec.min + i * step).toPrecision(12))
+      if (!(spec.exclude || []).includes(value)) allowed.push(value)
+    }
+    return allowed[Math.floor(random() * allowed.length)]
+  }
+
+  /**
+   * Build a problem from a template
+   * @param {Object} template
+   * @param {Object} generator - ProblemGenerator (for its PRNG and createProblem)
+   * @param {number|string} grade - Grade ID
+   * @returns {Object} Problem object
+   */
+  build(template, generator, grade) {
+    const values = this.chooseParams(template, () => generator.random())
+
+    const details = {}
+    for (const [key, value] of Object.entries(template)) {
+      if (!TEMPLATE_KEYS.includes(key)) details[key] = fillAll(value, values)
+    }
+    details.distractors = (template.distractors || []).map(d => 'value' in d
+      ? DistractorEngine.make(d.misconception, fillAll(d.value, values))
+      : DistractorEngine.make(d.misconception, ...(d.args || []).map(arg => evaluate(arg, values))))
+    details.solution = (template.solution || []).map(step => typeof step === 'string'
+      ? generator.step(fill(step, values))
+      : generator.step(fill(step.text, values), step.math === undefined ? null : fill(step.math, values)))
+
+    return generator.createProblem(
+      fill(template.question, values),
+      fillAll(template.answer, values),
+      template.topic,
+      grade,
+      Boolean(template.multipleChoice),
+      null,
+      details
+    )
+  }
+}
@@ -0,0 +1,134 @@
+import { NumberFormats } from './NumberFormats'
+
+/**
+ * Units
+ * Reads quantities with units like "150 cm", "1.5 m", "24 cm²" or
+ * "3 square feet", and converts between units of the same kind.
+ *
+ * Kinds (dimensions): length, area, volume, mass, time - metric and imperial.
+ * Every unit stores how many base units it's worth (m, m², m³, kg, s).
+ */
+
+// Length units, in metres. Area and volume units are built from these.
+// Names include the French ones, so "12 po" or "3 mètres" read the same as "12 in" or "3 meters".
+const LENGTHS = {
+  mm: { factor: 0.001, names: ['millimeter', 'millimeters', 'millimetre', 'millimetres', 'millimètre', 'millimètres'] },
+  cm: { factor: 0.01, names: ['centimeter', 'centimeters', 'centimetre', 'centimetres', 'centimètre', 'centimètres'] },
+  m: { factor: 1, names: ['meter', 'meters', 'metre', 'metres', 'mètre', 'mètres'] },
+  km: { factor: 1000, names: ['kilometer', 'kilometers', 'kilometre', 'kilometres', 'kilomètre', 'kilomètres'] },
+  in: { factor: 0.0254, names: ['inch', 'inches', '"', 'po', 'pouce', 'pouces'] },
+  ft: { factor: 0.3048, names: ['foot', 'feet', '\'', 'pi', 'pied', 'pieds'] },
+  yd: { factor: 0.9144, names: ['yard', 'yards', 'vg', 'verge', 'verges'] },
+  mi: { factor: 1609.344, names: ['mile', 'miles', 'mille', 'milles'] }
+}
+
+// Units that aren't a length squared or cubed
+const OTHER_UNITS = {
+  ha: { dimension: 'area', factor: 10000, names: ['hectare', 'hectares'] },
+  acre: { dimension: 'area', factor: 4046.8564224, names: ['acres'] },
+  mL: { dimension: 'volume', factor: 0.000001, names: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+  L: { dimension: 'volume', factor: 0.001, names: ['l', 'liter', 'liters', 'litre', 'litres'] },
+  gal: { dimension: 'volume', factor: 0.003785411784, names: ['gallon', 'gallons'] },
+  mg: { dimension: 'mass', factor: 0.000001, names: ['milligram', 'milligrams', 'milligramme', 'milligrammes'] },
+  g: { dimension: 'mass', factor: 0.001, names: ['gram', 'grams', 'gramme', 'grammes'] },
+  kg: { dimension: 'mass', factor: 1, names: ['kilogram', 'kilograms', 'kilogramme', 'kilogrammes'] },
+  t: { dimension: 'mass', factor: 1000, names: ['tonne', 'tonnes'] },
+  oz: { dimension: 'mass', factor: 0.028349523125, names: ['ounce', 'ounces', 'once', 'onces'] },
+  lb: { dimension: 'mass', factor: 0.45359237, names: ['lbs', 'pound', 'pounds', 'livre', 'livres'] },
+  s: { dimension: 'time', factor: 1, names: ['sec', 'secs', 'second', 'seconds', 'seconde', 'secondes'] },
+  min: { dimension: 'time', factor: 60, names: ['mins', 'minute', 'minutes'] },
+  h: { dimension: 'time', factor: 3600, names: ['hr', 'hrs', 'hour', 'hours', 'heure', 'heures'] },
+  d: { dimension: 'time', factor: 86400, names: ['day', 'days', 'j', 'jour', 'jours'] },
+  wk: { dimension: 'time', factor: 604800, names: ['week', 'weeks', 'sem', 'semaine', 'semaines'] }
+}
+
+/**
+ * Build the table of units and the lookup of every way to write them
+ * @returns {{ units: Object, aliases: Map<string, string> }}
+ */
+function buildUnits() {
+  const units = {}
+  const aliases = new Map()
+  const add = (symbol, dimension, factor, names) => {
+    units[symbol] = { symbol, dimension, factor }
+    for (const alias of [symbol, ...names]) aliases.set(alias.toLowerCase(), symbol)
+  }
+
+  for (const [symbol, { factor, names }] of Object.entries(LENGTHS)) {
+    const words = names.filter(name => /^[a-z]/.test(name))
+    add(symbol, 'length', factor, names)
+    add(`${symbol}²`, 'area', factor ** 2, [
+      `${symbol}^2`, `${symbol}2`, `sq ${symbol}`, ...words.map(name => `square ${name}`), ...words.map(name => `sq ${name}`)
+    ])
+    add(`${symbol}³`, 'volume', factor ** 3, [
+      `${symbol}^3`, `${symbol}3`, `cu ${symbol}`, ...words.map(name => `cubic ${name}`)
+    ])
+  }
+  for (const [symbol, { dimension, factor, names }] of Object.entries(OTHER_UNITS)) {
+    add(symbol, dimension, factor, names)
+  }
+  return { units, aliases }
+}
+
+const { units: UNITS, aliases: ALIASES } = buildUnits()
+
+// Longest first, so "min" is found before "in" and "cm" before "m"
+const ALIASES_BY_LENGTH = [...ALIASES.keys()].sort((a, b) => b.length - a.length)
+
+/**
+ * Units
+ */
+export class Units {
+  /**
+   * Look up a unit by any of its names ("cm", "centimetres", "sq cm"...)
+   * @param {string} name - Unit as written
+   * @returns {{ symbol: string, dimension: string, factor: number }|null}
+   */
+  static find(name) {
+    const symbol = ALIASES.get(String(name).trim().toLowerCase().replace(/\s+/g, ' '))
+    return symbol ? UNITS[symbol] : null
+  }
+
+  /**
+   * Read a quantity like "150 cm", "1 1/2 m" or "24 cm²"
+   * @param {string|number} text - What the student typed
+   * @returns {{ value: number, unit: string, dimension: string }|null} null if there's no number and unit
+   */
+  static parse(text) {
+    if (typeof text !== 'string') return null
+    const clean = text.trim().replace(/\s+/g, ' ')
+    const lower = clean.toLowerCase()
+
+    for (const alias of ALIASES_BY_LENGTH) {
+      if (!lower.endsWith(alias)) continue
+      const numberPart = clean.slice(0, clean.length - alias.length).trim()
+      // "5 kin" isn't 5 in - the unit must start a new word
+      if (/[a-z]$/i.test(numberPart) && /^[a-z]/i.test(alias)) continue
+
+      const number = NumberFormats.parse(numberPart)
+      if (number === null) continue
+      const unit = UNITS[ALIASES.get(alias)]
+      return { value: number.value, unit: unit.symbol, dimension: unit.dimension }
+    }
+    return null
+  }
+
+  /**
+   * Convert a value between two units of the same kind
+   * @param {number} value - Amount in the `from` unit
+   * @param {string} from - Unit it's in
+   * @param {string} to - Unit wanted
+   * @returns {number} Amount in the `to` unit
+   */
+  static convert(value, from, to) {
+    const fromUnit = this.find(from)
+    const toUnit = this.find(to)
+    if (!fromUnit || !toUnit) {
+      throw new Error(`Unknown unit: ${!fromUnit ? from : to}`)
+    }
+    if (fromUnit.dimension !== toUnit.dimension) {
+      throw new Error(`Can't convert ${fromUnit.dimension} (${from}) to ${toUnit.dimension} (${to})`)
+    }
+    return value * fromUnit.factor / toUnit.factor
+  }
+}
@@ -0,0 +1,303 @@
+import { Localization, DEFAULT_LOCALE } from '../Localization/Localization'
+import wordProblemData from '../../data/wordProblems/scenarios.json'
+
+/**
+ * Word Problem Engine
+ * Tells a generator's numbers as a short story:
+ *   "Maya has 7 pucks. She gets 5 more. How many pucks does Maya have now?"
+ *
+ * The generator works out the math (the numeric core) and says what kind of
+ * story it is ("join": start + more). The engine picks a scenario of that kind,
+ * a name and the words to fill it, and writes the question. Scenarios are in
+ * src/data/wordProblems/scenarios.json, with their text in every language:
+ * {
+ *   "id": "hockey-collection",
+ *   "kind": "join",                                 what the numbers do (see KINDS)
+ *   "words": { "item": ["puck", "hockey-card"] },    each slot gets one of these words
+ *   "text": {
+ *     "1": { "en": "{name} has {start item}. ...", "fr": "..." }   text for each readability level
+ *   },
+ *   "units": ["m", "km"],                           optional, the units the numbers are in
+ *   "fits": { "start": [1, 15] }                    optional, the numbers the story makes sense for
+ * }
+ *
+ * In the text:
+ *   {name} {other}                 two different people
+ *   {They} {they} {their} {them}   the first person's pronouns (only {they} in French)
+ *   {start} {$start}               a number, or an amount of money
+ *   {start item}                   a number with its word agreeing: "1 puck", "4 pucks"
+ *   {item} {item+s}                the slot's word, singular or plural
+ *   {a item}                       the word with "a" or "an" ("un" or "une")
+ *   {de item+s} {de name}          French "de" or "d’" in front ("d’œufs", "d’Amira"); nothing in English
+ *
+ * The words (with their plurals, and the gender of French nouns) and the names
+ * are listed in the same file.
+ *
+ * Each grade gets a readability level: short sentences for grades 1-2, longer
+ * ones for 3-5, and the longest after that. A scenario's English text is
+ * checked against its level's longest sentence when the game loads.
+ */
+
+// The kinds of story and the numbers each one is told with
+export const KINDS = {
+  'join': ['start', 'more'], // start + more
+  'separate': ['start', 'gone'], // start - gone
+  'compare': ['big', 'small'], // big - small
+  'groups': ['groups', 'each'], // groups × each
+  'share': ['total', 'shares'], // total ÷ shares
+  'part-of-whole': ['part', 'whole'], // part/whole
+  'fraction-of': ['n', 'd', 'whole'], // n/d of whole
+  'rate-of-change': ['from', 'to', 'time'], // (to - from) ÷ time, in units[0] per units[1]
+  'convert': ['amount'] // amount in units[0], asked for in units[1]
+}
+
+// Readability levels: the grades they're for, the longest sentence (in words) and the most sentences
+export const READABILITY = {
+  1: { grades: [1, 2], maxWords: 10, maxSentences: 3 },
+  2: { grades: [3, 4, 5], maxWords: 18, maxSentences: 4 },
+  3: { grades: [6, 7, 8, 9, '10C', '20-1', '20-2', '20-3', '30-1', '30-2', '31'], maxWords: 26, maxSentences: 4 }
+}
+
+// Pronouns for each locale, by the person's gender
+const PRONOUNS = {
+  en: {
+    f: { they: 'she', them: 'her', their: 'her' },
+    m: { they: 'he', them: 'him', their: 'his' }
+  },
+  fr: {
+    f: { they: 'elle' },
+    m: { they: 'il' }
+  }
+}
+
+// How each locale writes articles, plurals, numbers and money
+const GRAMMAR = {
+  en: {
+    article: (word) => `${/^[aeiou]/i.test(word) ? 'an' : 'a'} ${word}`,
+    de: (word) => word,
+    isPlural: (count) => count !== 1,
+    number: (value) => String(value),
+    money: (value) => `$${Number.isInteger(value) ? value : value.toFixed(2)}`
+  },
+  fr: {
+    article: (word, gender) => `${gender === 'f' ? 'une' : 'un'} ${word}`,
+    de: (word) => /^[aeiouyhàâéèêîôœû]/i.test(word) ? `d’${word}` : `de ${word}`,
+    // French counts 0 and 1.5 as singular ("1,5 kilomètre")
+    isPlural: (count) => Math.abs(count) >= 2,
+    number: (value) => Localization.formatNumber(value, 'fr'),
+    money: (value) => `${Localization.formatNumber(Number.isInteger(value) ? value : value.toFixed(2), 'fr')} $`
+  }
+}
+
+/**
+ * Thrown when a scenario is missing something or no scenario can tell a story
+ */
+export class WordProblemError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'WordProblemError'
+  }
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1)
+
+/**
+ * Split a story into sentences
+ * @param {string} text
+ * @returns {string[]}
+ */
+function sentences(text) {
+  return text.split(/(?<=[.?!])\s+(?=[A-Z{])/)
+}
+
+/**
+ * Word Problem Engine
+ */
+export class WordProblemEngine {
+  /**
+   * @param {Object} [data] - { names, words, scenarios } (default: src/data/wordProblems/scenarios.json)
+   */
+  constructor(data = wordProblemData) {
+    this.names = data.names
+    this.words = data.words
+    this.scenarios = []
+    for (const scenario of data.scenarios || []) {
+      try {
+        this.addScenario(scenario)
+      } catch (error) {
+        console.warn(`Skipping word problem scenario: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Add a scenario to the pool
+   * @param {Object} scenario - See the top of this file
+   * @returns {Object} The scenario
+   * @throws {WordProblemError} If it can't be told
+   */
+  addScenario(scenario) {
+    this.check(scenario)
+    this.scenarios.push(scenario)
+    return scenario
+  }
+
+  /**
+   * Make sure a scenario has everything it needs, and that its English is easy
+   * enough to read for its level
+   * @param {Object} scenario
+   * @throws {WordProblemError} If something is missing or a sentence is too long
+   */
+  check(scenario) {
+    const name = scenario?.id ? `"${scenario.id}"` : 'A scenario'
+    if (!scenario?.id) throw new WordProblemError(`${name} has no "id"`)
+    if (!KINDS[scenario.kind]) throw new WordProblemError(`${name} has an unknown kind "${scenario.kind}"`)
+    for (const [slot, ids] of Object.entries(scenario.words || {})) {
+      const unknown = ids.find(id => !this.words[id]?.[DEFAULT_LOCALE])
+      if (ids.length === 0 || unknown) throw new WordProblemError(`${name}: no word "${unknown}" for {${slot}}`)
+    }
+
+    const levels = Object.entries(scenario.text || {})
+    if (levels.length === 0) throw new WordProblemError(`${name} has no "text"`)
+    for (const [level, texts] of levels) {
+      const readability = READABILITY[level]
+      if (!readability) throw new WordProblemError(`${name}: there's no readability level ${level}`)
+      if (!texts[DEFAULT_LOCALE]) throw new WordProblemError(`${name}: level ${level} has no English text`)
+
+      // Tell it once in every language, to find any {token} that can't be filled
+      const sample = {
+        text: texts,
+        values: Object.fromEntries(KINDS[scenario.kind].map(value => [value, 2])),
+        names: this.names.slice(0, 2),
+        words: Object.fromEntries(Object.entries(scenario.words || {}).map(([slot, ids]) => [slot, this.words[ids[0]]]))
+      }
+      for (const locale of Object.keys(texts)) {
+        try {
+          WordProblemEngine.render(sample, locale)
+        } catch (error) {
+          throw new WordProblemError(`${name}: level ${level} (${locale}) ${error.message}`)
+        }
+      }
+
+      const told = sentences(texts[DEFAULT_LOCALE])
+      if (told.length > readability.maxSentences) {
+        throw new WordProblemError(`${name}: level ${level} allows ${readability.maxSentences} sentences, not ${told.length}`)
+      }
+      const long = told.find(sentence => sentence.split(/\s+/).length > readability.maxWords)
+      if (long) {
+        throw new WordProblemError(`${name}: "${long}" is too long for level ${level} (${readability.maxWords} words at most)`)
+      }
+    }
+  }
+
+  /**
+   * The readability level for a grade
+   * @param {number|string} grade - Grade ID
+   * @returns {number} 1, 2 or 3 (grades not listed get the hardest level)
+   */
+  static readabilityFor(grade) {
+    const level = Object.keys(READABILITY).find(key => READABILITY[key].grades.includes(grade))
+    return Number(level ?? Math.max(...Object.keys(READABILITY).map(Number)))
+  }
+
+  /**
+   * Check a story's numbers are in the ranges its scenario makes sense for
+   * @param {Object} scenario
+   * @param {Object} values
+   * @returns {boolean}
+   */
+  fits(scenario, values) {
+    return Object.entries(scenario.fits || {}).every(([value, [min, max]]) => !(value in values) || (values[value] >= min && values[value] <= max))
+  }
+
+  /**
+   * Tell some numbers as a story
+   * @param {string} kind - One of KINDS ('join', 'share'...)
+   * @param {Object} values - The numbers the kind is told with ({ start, more } for 'join')
+   * @param {number|string} grade - Picks the readability level
+   * @param {Function} random - Returns a float in [0, 1)
+   * @param {Object} [filter] - { units: ['m', 'km'] } to only use scenarios in those units
+   * @returns {{ question: string, story: Object, units: string[]|null }} The English question,
+   *   the story (to tell it again in another language) and the scenario's units
+   * @throws {WordProblemError} If a number is missing or no scenario is that kind
+   */
+  tell(kind, values, grade, random, filter = {}) {
+    if (!KINDS[kind]) throw new WordProblemError(`There's no "${kind}" kind of word problem`)
+    const missing = KINDS[kind].filter(value => typeof values[value] !== 'number')
+    if (missing.length > 0) throw new WordProblemError(`A "${kind}" word problem needs ${missing.join(', ')}`)
+
+    const candidates = this.scenarios.filter(s => s.kind === kind &&
+      (!filter.units || filter.units.join() === (s.units || []).join()))
+    if (candidates.length === 0) {
+      throw new WordProblemError(`No "${kind}" word problem${filter.units ? ` in ${filter.units.join(', ')}` : ''}`)
+    }
+
+    // The grade's level if there's one, otherwise the nearest easier one, otherwise the nearest harder one
+    const wanted = WordProblemEngine.readabilityFor(grade)
+    const levels = [...new Set(candidates.flatMap(s => Object.keys(s.text).map(Number)))].sort((a, b) => a - b)
+    const level = levels.filter(l => l <= wanted).pop() ?? levels[0]
+
+    // Stories that don't fit these numbers are only used when nothing else can tell them
+    const told = candidates.filter(s => s.text[level])
+    const fitting = told.filter(s => this.fits(s, values))
+    const pickOne = (list) => list[Math.floor(random() * list.length)]
+    const scenario = pickOne(fitting.length > 0 ? fitting : told)
+
+    const person = pickOne(this.names)
+    const story = {
+      scenario: scenario.id,
+      level,
+      text: scenario.text[level],
+      values: { ...values },
+      names: [person, pickOne(this.names.filter(other => other !== person))],
+      words: Object.fromEntries(Object.entries(scenario.words || {}).map(([slot, ids]) => [slot, this.words[pickOne(ids)]]))
+    }
+    return { question: WordProblemEngine.render(story), story, units: scenario.units || null }
+  }
+
+  /**
+   * Write a story out in a language
+   * @param {Object} story - From tell(): { text, values, names, words }
+   * @param {string} [locale] - Default: English
+   * @returns {string|null} The question, or null if the story has no text in that language
+   * @throws {WordProblemError} If the text has a {token} the story can't fill
+   */
+  static render(story, locale = DEFAULT_LOCALE) {
+    const text = story.text[locale]
+    if (!text) return null
+    const grammar = GRAMMAR[locale] || GRAMMAR[DEFAULT_LOCALE]
+    const [person, other] = story.names
+    const pronouns = PRONOUNS[locale]?.[person.gender] || {}
+
+    const forms = (slot) => {
+      const word = story.words[slot]?.[locale]
+      if (!word) throw new WordProblemError(`has no word for {${slot}}`)
+      return word
+    }
+    const word = (slot) => slot.endsWith('+s') ? forms(slot.slice(0, -2))[1] ?? forms(slot.slice(0, -2))[0] : forms(slot)[0]
+    const number = (value) => {
+      if (typeof story.values[value] !== 'number') throw new WordProblemError(`has no number for {${value}}`)
+      return story.values[value]
+    }
+
+    // A token with nothing in front of it: {name}, {they}, {$start}, {start}, {item+s}
+    const say = (token) => {
+      if (token === 'name') return person.name
+      if (token === 'other') return other.name
+      const pronoun = pronouns[token.toLowerCase()]
+      if (pronoun) return token === token.toLowerCase() ? pronoun : capitalize(pronoun)
+      if (token.startsWith('$')) return grammar.money(number(token.slice(1)))
+      if (token in story.values) return grammar.number(story.values[token])
+      return word(token)
+    }
+
+    return text.replace(/\{([^{}]+)\}/g, (token, inside) => {
+      const [first, second] = inside.split(' ')
+      if (second === undefined) return say(inside)
+      if (first === 'a' || first === 'an') return grammar.article(forms(second)[0], forms(second)[2])
+      if (first === 'de') return grammar.de(say(second))
+      const count = number(first)
+      return `${grammar.number(count)} ${word(grammar.isPlural(count) ? `${second}+s` : second)}`
+    })
+  }
+}
@@ -0,0 +1,275 @@
+import { AnswerValidator } from './AnswerValidator'
+import curriculum from './CurriculumData'
+import { DEFAULT_DIFFICULTY } from './GeneratorRegistry'
+import { ProblemGenerator } from './ProblemGenerator'
+import { FigureRenderer, PRINT_COLORS } from '../Visualization/FigureRenderer'
+import { Localization } from '../Localization/Localization'
+import { ProblemTranslator } from '../Localization/ProblemTranslator'
+
+/**
+ * Worksheet Exporter
+ * Makes a printable worksheet from a unit's problems, so the same practice
+ * can be sent home on paper: numbered questions with their figures and room
+ * to work, then an answer key on its own page with the worked solutions.
+ *
+ * build() makes the problems with the ProblemGenerator and toHTML() writes
+ * them as a complete HTML page. Printing that page (or "Save as PDF" in the
+ * print dialog) gives the PDF. The worksheet's seed is printed on it, so
+ * build() with the same seed makes the same worksheet again.
+ *
+ * Problems answered on screen become paper tasks: mark the number line, plot
+ * on the grid, draw the clock hands, or write the cards in order.
+ */
+
+// Most problems a worksheet can have
+export const MAX_PROBLEMS = 50
+
+// Tries per problem to find one that isn't already on the worksheet
+const ATTEMPTS_PER_PROBLEM = 5
+
+// Size figures are drawn at (CSS pixels; the image is twice that for sharp printing)
+const FIGURE_SIZE = { width: 360, height: 220 }
+
+// What to draw for a problem answered on screen, and the paper instruction (worksheet.paper.<key>)
+const PAPER_TASKS = {
+  'number-line': { key: 'numberLine', figure: ({ min, max, ticks }) => ({ type: 'number-line', min, max, ticks }) },
+  'plot-point': { key: 'plotPoint', figure: ({ range }) => ({ type: 'coordinate-grid', range }) },
+  'plot-line': { key: 'plotLine', figure: ({ range }) => ({ type: 'coordinate-grid', range }) },
+  'set-clock': { key: 'setClock', figure: () => ({ type: 'clock' }) },
+  'order': { key: 'order', figure: () => null }
+}
+
+const STYLE = `
+  body { font-family: Arial, sans-serif; color: #000; margin: 0 auto; max-width: 760px; padding: 24px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .details { color: #555; font-size: 13px; margin-bottom: 16px; }
+  .student { display: flex; gap: 40px; margin-bottom: 24px; font-size: 14px; }
+  .student span { flex: 1; border-bottom: 1px solid #000; padding-bottom: 2px; }
+  ol.problems > li { margin-bottom: 24px; break-inside: avoid; page-break-inside: avoid; }
+  .question { margin: 0 0 8px; line-height: 1.5; }
+  .task { font-style: italic; color: #333; margin: 0 0 8px; }
+  .options { margin: 0 0 8px; padding-left: 24px; }
+  .parts { padding-left: 24px; }
+  .parts > li { margin-bottom: 12px; }
+  .work { height: 60px; }
+  img.figure { display: block; width: ${FIGURE_SIZE.width}px; height: ${FIGURE_SIZE.height}px; margin: 8px 0; }
+  .figure-missing { width: ${FIGURE_SIZE.width}px; height: ${FIGURE_SIZE.height}px; border: 1px dashed #999; color: #999; display: flex; align-items: center; justify-content: center; margin: 8px 0; }
+  .answer-key { break-before: page; page-break-before: always; }
+  .answer-key ol.problems > li { margin-bottom: 14px; }
+  .steps { margin: 4px 0 0; padding-left: 20px; font-size: 13px; color: #333; }
+  .math { font-family: monospace; color: #117a65; }
+  @media print { body { padding: 0; } }
+`
+
+/**
+ * Escape text for HTML
+ * @param {any} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Worksheet Exporter
+ */
+export class WorksheetExporter {
+  /**
+   * Make a worksheet's problems
+   * @param {Object} options
+   * @param {number|string} options.grade - Grade ID
+   * @param {string} options.unit - Unit name from the curriculum
+   * @param {number} [options.difficulty] - Level from 1 to 10 (default 5)
+   * @param {number} [options.count] - How many problems (default 10, at most MAX_PROBLEMS)
+   * @param {number|string} [options.seed] - Seed for the same worksheet every time (random if left out)
+   * @param {string} [options.locale] - Language to write it in (default: the game's locale)
+   * @returns {{ grade: number|string, unit: string, difficulty: number, seed: number, locale: string, problems: Array }}
+   * @throws {NoGeneratorError} If no generator covers the unit
+   */
+  static build({ grade, unit, difficulty = DEFAULT_DIFFICULTY, count = 10, seed, locale = Localization.getLocale() }) {
+    const generator = new ProblemGenerator({ seed, locale })
+    const wanted = Math.min(MAX_PROBLEMS, Math.max(1, Math.round(count) || 1))
+    const problems = []
+    const ids = new Set()
+
+    // A unit with only a few different problems gets repeats rather than a short worksheet
+    for (let attempt = 0; problems.length < wanted; attempt++) {
+      const problem = generator.generateProblemByUnit(grade, unit, { difficulty })
+      if (!ids.has(problem.id) || attempt >= wanted * ATTEMPTS_PER_PROBLEM) {
+        ids.add(problem.id)
+        problems.push(problem)
+      }
+    }
+
+    return { grade, unit, difficulty, seed: generator.rng.seed, locale, problems }
+  }
+
+  /**
+   * Write a worksheet as a complete, print-ready HTML page
+   * @param {Object} worksheet - From build()
+   * @param {Object} [options]
+   * @param {boolean} [options.answerKey] - Add the answer key on its own page (default true)
+   * @param {boolean} [options.solutions] - Add worked solutions to the answer key (default true)
+   * @returns {string} HTML
+   */
+  static toHTML(worksheet, { answerKey = true, solutions = true } = {}) {
+    const { locale, problems } = worksheet
+    const t = (key, params) => Localization.t(key, params, locale)
+    const title = this.title(worksheet)
+    const details = t('worksheet.details', {
+      difficulty: worksheet.difficulty,
+      count: problems.length,
+      seed: String(worksheet.seed)
+    })
+
+    const questions = problems.map(problem => `<li>${this.questionHTML(problem, t)}</li>`).join('\n')
+    let html = `<!DOCTYPE html>
+<html lang="${escapeHTML(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="details">${escapeHTML(details)}</div>
+<div class="student"><span>${escapeHTML(t('worksheet.name'))}</span><span>${escapeHTML(t('worksheet.date'))}</span></div>
+<ol class="problems">
+${questions}
+</ol>
+`
+    if (answerKey) {
+      const answers = problems.map(problem => `<li>${this.answerHTML(problem, solutions, t)}</li>`).join('\n')
+      html += `<section class="answer-key">
+<h1>${escapeHTML(t('worksheet.answerKey'))}</h1>
+<div class="details">${escapeHTML(title)} · ${escapeHTML(details)}</div>
+<ol class="problems">
+${answers}
+</ol>
+</section>
+`
+    }
+    return `${html}</body>
+</html>
+`
+  }
+
+  /**
+   * The worksheet's title: grade and unit, in its language
+   * @param {Object} worksheet - From build()
+   * @returns {string}
+   */
+  static title({ grade, unit, locale }) {
+    const gradeName = curriculum.getGrade(grade)?.name || `Grade ${grade}`
+    return Localization.t('worksheet.heading', {
+      grade: ProblemTranslator.translateName(gradeName, locale),
+      unit: ProblemTranslator.translateName(unit, locale)
+    }, locale)
+  }
+
+  /**
+   * One problem as it's printed on the worksheet
+   * @param {Object} problem
+   * @param {Function} t - Message lookup in the worksheet's language
+   * @returns {string} HTML
+   */
+  static questionHTML(problem, t) {
+    const parts = [`<p class="question">${escapeHTML(problem.question)}</p>`]
+    const task = problem.interaction && PAPER_TASKS[problem.interaction.type]
+
+    const figure = problem.figure || task?.figure(problem.interaction)
+    if (figure) parts.push(this.figureHTML(figure, t))
+    if (task) {
+      const items = (problem.interaction.items || []).join(' · ')
+      parts.push(`<p class="task">${escapeHTML(t(`worksheet.paper.${task.key}`, { items }))}</p>`)
+    }
+
+    if (problem.type === 'multi-part') {
+      const questions = problem.parts.map(part => `<li><p class="question">${escapeHTML(part.question)}</p>${this.optionsHTML(part)}</li>`)
+      parts.push(`<ol class="parts" type="a">${questions.join('')}</ol>`)
+    } else {
+      parts.push(this.optionsHTML(problem))
+    }
+
+    // Room to show the work (not needed to pick a letter)
+    if (problem.type !== 'multiple-choice') parts.push('<div class="work"></div>')
+    return parts.filter(Boolean).join('\n')
+  }
+
+  /**
+   * A multiple-choice problem's options, lettered A-D
+   * @param {Object} problem
+   * @returns {string} HTML (empty for other problems)
+   */
+  static optionsHTML(problem) {
+    if (!problem.options) return ''
+    const options = problem.options.map(option => `<li>${escapeHTML(option.value)}</li>`)
+    return `<ol class="options" type="A">${options.join('')}</ol>`
+  }
+
+  /**
+   * One problem's answer (and worked solution) for the answer key
+   * @param {Object} problem
+   * @param {boolean} solutions - Add the worked solution
+   * @param {Function} t - Message lookup in the worksheet's language
+   * @returns {string} HTML
+   */
+  static answerHTML(problem, solutions, t) {
+    const answer = problem.type === 'multi-part'
+      ? problem.parts.map((part, i) => `${String.fromCharCode(97 + i)}) ${this.answerText(part)}`).join('; ')
+      : this.answerText(problem)
+    const html = [`<strong>${escapeHTML(t('worksheet.answer', { answer }))}</strong>`]
+
+    if (solutions && problem.solution?.length > 0) {
+      const steps = problem.solution.map(step =>
+        `<li>${escapeHTML(step.text)}${step.math ? `<div class="math">${escapeHTML(step.math)}</div>` : ''}</li>`)
+      html.push(`<ol class="steps">${steps.join('')}</ol>`)
+    }
+    return html.join('\n')
+  }
+
+  /**
+   * A problem's answer as written in the key, with its letter for multiple choice ("B) 42")
+   * @param {Object} problem - A problem or one part of a multi-part problem
+   * @returns {string}
+   */
+  static answerText(problem) {
+    const right = problem.options?.find(option => AnswerValidator.validate(problem, String(option.value)))
+    return right ? `${right.label}) ${right.value}` : String(problem.answer)
+  }
+
+  /**
+   * A figure as an image for the page, drawn in print colors
+   * @param {Object} figure - Figure spec (see FigureRenderer)
+   * @param {Function} t - Message lookup in the worksheet's language
+   * @returns {string} HTML (a placeholder box where there's no canvas to draw on)
+   */
+  static figureHTML(figure, t) {
+    const image = this.figureImage(figure)
+    return image
+      ? `<img class="figure" src="${image}" alt="">`
+      : `<div class="figure-missing">${escapeHTML(t('worksheet.figureMissing'))}</div>`
+  }
+
+  /**
+   * Draw a figure onto a new canvas and read it back as a PNG
+   * @param {Object} figure - Figure spec (see FigureRenderer)
+   * @returns {string|null} Data URL, or null outside a browser
+   */
+  static figureImage(figure) {
+    if (typeof document === 'undefined') return null
+    const canvas = document.createElement('canvas')
+    canvas.width = FIGURE_SIZE.width * 2
+    canvas.height = FIGURE_SIZE.height * 2
+    const ctx = canvas.getContext('2d')
+    if (!ctx) return null
+    ctx.scale(2, 2)
+
+    const renderer = new FigureRenderer(canvas, FIGURE_SIZE.width, FIGURE_SIZE.height, PRINT_COLORS)
+    return renderer.draw(figure) ? canvas.toDataURL('image/png') : null
+  }
+}
@@ -14,6 +14,8 @@
 // ║                                                                             ║
 // ╚════════════════════════════════════════════════════════════════════════════╝
 
+import { t } from '../Localization/Localization'
+
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🗡️ ALL THE WEAPONS YOU CAN BUY
@@ -25,6 +27,9 @@
 // - damageBonus: Extra damage added to every attack
 // - description: A fun description of the weapon
 // - emoji: An icon for the weapon
+//
+// The shop shows each weapon's name and description from the message
+// catalog (weapons.<id>), so they read in the player's language.
 
 export const ALL_WEAPONS = [
 
@@ -146,7 +151,7 @@ export class WeaponShop {
         if (!weapon) {
             return {
                 success: false,
-                message: "That weapon doesn't exist!"
+                message: t('shop.noSuchWeapon')
             }
         }
 
@@ -159,7 +164,7 @@ export class WeaponShop {
             const needMore = weapon.price - playerGold
             return {
                 success: false,
-                message: `Not enough gold! You need ${needMore} more.`
+                message: t('shop.notEnoughGold', { needMore })
             }
         }
 
@@ -181,7 +186,7 @@ export class WeaponShop {
 
         return {
             success: true,
-            message: `You bought the ${weapon.name}! +${weapon.damageBonus} damage!`,
+            message: t('shop.bought', { weapon: t(`weapons.${weapon.id}.name`), bonus: weapon.damageBonus }),
             weapon: weapon
         }
     }
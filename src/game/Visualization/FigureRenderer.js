@@ -0,0 +1,371 @@
+/**
+ * Figure Renderer
+ * Draws a problem's figure spec (problem.figure) onto a canvas, so the
+ * picture is the question: read the clock, measure the shape, read the graph.
+ *
+ * Figure specs:
+ *   { type: 'clock', hour, minute }
+ *       leave out hour and minute for a blank clock face
+ *   { type: 'polygon', vertices: [[x, y], ...], sideLabels: [...], vertexLabels: [...] }
+ *       side i runs from vertex i to vertex i + 1; null labels are left blank
+ *   { type: 'bar-chart', title, labels: [...], values: [...] }
+ *   { type: 'pictograph', title, labels: [...], values: [...], symbol: '⭐', key: 2 }
+ *       each symbol stands for `key`, so a value of 6 with key 2 is 3 symbols
+ *   { type: 'box-plot', min, q1, median, q3, max }
+ *   { type: 'coordinate-grid', range: 6, lines: [{ slope, intercept }], points: [{ x, y, label }] }
+ *   { type: 'number-line', min, max, ticks: 4 }
+ *       ticks = marks for each 1, with the whole numbers labeled
+ *
+ * Figures are drawn in the game's colors; pass PRINT_COLORS for paper.
+ */
+
+const COLORS = {
+  background: '#1a1a2e',
+  line: '#4a90e2',
+  accent: '#4ecdc4',
+  highlight: '#f7dc6f',
+  grid: 'rgba(255, 255, 255, 0.12)',
+  text: '#fff',
+  faded: '#aaa'
+}
+
+// Dark ink on white, for printed worksheets
+export const PRINT_COLORS = {
+  background: '#fff',
+  line: '#1f4e8c',
+  accent: '#117a65',
+  highlight: '#a04000',
+  grid: 'rgba(0, 0, 0, 0.15)',
+  text: '#000',
+  faded: '#555'
+}
+
+const PADDING = 24
+
+/**
+ * Figure Renderer
+ */
+export class FigureRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {number} width - Drawing width (CSS pixels)
+   * @param {number} height - Drawing height (CSS pixels)
+   * @param {Object} [colors] - Palette to draw with (default: the game's colors)
+   */
+  constructor(canvas, width, height, colors = COLORS) {
+    this.canvas = canvas
+    this.ctx = canvas.getContext('2d')
+    this.width = width
+    this.height = height
+    this.colors = colors
+  }
+
+  /**
+   * Every figure type that can be drawn
+   * @returns {string[]}
+   */
+  static get TYPES() {
+    return ['clock', 'polygon', 'bar-chart', 'pictograph', 'box-plot', 'coordinate-grid', 'number-line']
+  }
+
+  /**
+   * Clear the canvas and draw a figure
+   * @param {Object} figure - Figure spec (see the list at the top of this file)
+   * @returns {boolean} false if the figure type isn't known
+   */
+  draw(figure) {
+    this.ctx.fillStyle = this.colors.background
+    this.ctx.fillRect(0, 0, this.width, this.height)
+
+    const drawers = {
+      'clock': () => this.drawClock(figure),
+      'polygon': () => this.drawPolygon(figure),
+      'bar-chart': () => this.drawBarChart(figure),
+      'pictograph': () => this.drawPictograph(figure),
+      'box-plot': () => this.drawBoxPlot(figure),
+      'coordinate-grid': () => this.drawCoordinateGrid(figure),
+      'number-line': () => this.drawNumberLine(figure)
+    }
+    const drawer = drawers[figure?.type]
+    if (!drawer) return false
+    drawer()
+    return true
+  }
+
+  /**
+   * Write text
+   * @param {string} text
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} [style] - { size, color, align, baseline, bold }
+   */
+  text(text, x, y, { size = 12, color = this.colors.text, align = 'center', baseline = 'middle', bold = false } = {}) {
+    this.ctx.fillStyle = color
+    this.ctx.font = `${bold ? 'bold ' : ''}${size}px Arial`
+    this.ctx.textAlign = align
+    this.ctx.textBaseline = baseline
+    this.ctx.fillText(`${text}`, x, y)
+  }
+
+  /**
+   * Draw a straight line
+   */
+  line(x1, y1, x2, y2, color = this.colors.line, width = 2) {
+    this.ctx.strokeStyle = color
+    this.ctx.lineWidth = width
+    this.ctx.beginPath()
+    this.ctx.moveTo(x1, y1)
+    this.ctx.lineTo(x2, y2)
+    this.ctx.stroke()
+  }
+
+  /**
+   * Analog clock with hour and minute hands (no hands if hour is left out)
+   * @param {Object} figure - { hour, minute }
+   */
+  drawClock({ hour, minute }) {
+    const cx = this.width / 2
+    const cy = this.height / 2
+    const radius = Math.min(this.width, this.height) / 2 - PADDING / 2
+
+    this.ctx.strokeStyle = this.colors.line
+    this.ctx.lineWidth = 3
+    this.ctx.beginPath()
+    this.ctx.arc(cx, cy, radius, 0, Math.PI * 2)
+    this.ctx.stroke()
+
+    // Numbers 1-12 and the minute ticks
+    for (let tick = 0; tick < 60; tick++) {
+      const angle = tick / 60 * Math.PI * 2 - Math.PI / 2
+      const inner = tick % 5 === 0 ? radius * 0.88 : radius * 0.94
+      this.line(cx + Math.cos(angle) * inner, cy + Math.sin(angle) * inner,
+        cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius, this.colors.faded, tick % 5 === 0 ? 2 : 1)
+    }
+    for (let number = 1; number <= 12; number++) {
+      const angle = number / 12 * Math.PI * 2 - Math.PI / 2
+      this.text(number, cx + Math.cos(angle) * radius * 0.74, cy + Math.sin(angle) * radius * 0.74, { size: Math.max(10, radius / 6) })
+    }
+
+    if (hour === undefined) return
+
+    // The hour hand moves a little as the minutes go by
+    const hourAngle = ((hour % 12) + minute / 60) / 12 * Math.PI * 2 - Math.PI / 2
+    const minuteAngle = minute / 60 * Math.PI * 2 - Math.PI / 2
+    this.line(cx, cy, cx + Math.cos(hourAngle) * radius * 0.5, cy + Math.sin(hourAngle) * radius * 0.5, this.colors.text, 5)
+    this.line(cx, cy, cx + Math.cos(minuteAngle) * radius * 0.8, cy + Math.sin(minuteAngle) * radius * 0.8, this.colors.accent, 3)
+
+    this.ctx.fillStyle = this.colors.text
+    this.ctx.beginPath()
+    this.ctx.arc(cx, cy, 4, 0, Math.PI * 2)
+    this.ctx.fill()
+  }
+
+  /**
+   * Polygon with labeled sides (and optionally labeled corners)
+   * @param {Object} figure - { vertices, sideLabels, vertexLabels }
+   */
+  drawPolygon({ vertices, sideLabels = [], vertexLabels = [] }) {
+    // Fit the shape in the canvas, keeping its proportions (y goes up)
+    const xs = vertices.map(([x]) => x)
+    const ys = vertices.map(([, y]) => y)
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)]
+    const scale = Math.min((this.width - PADDING * 3) / (maxX - minX || 1), (this.height - PADDING * 3) / (maxY - minY || 1))
+    const offsetX = (this.width - (maxX - minX) * scale) / 2
+    const offsetY = (this.height - (maxY - minY) * scale) / 2
+    const points = vertices.map(([x, y]) => [offsetX + (x - minX) * scale, this.height - offsetY - (y - minY) * scale])
+    const center = [points.reduce((sum, [x]) => sum + x, 0) / points.length, points.reduce((sum, [, y]) => sum + y, 0) / points.length]
+
+    this.ctx.fillStyle = 'rgba(74, 144, 226, 0.15)'
+    this.ctx.strokeStyle = this.colors.line
+    this.ctx.lineWidth = 3
+    this.ctx.beginPath()
+    points.forEach(([x, y], i) => i === 0 ? this.ctx.moveTo(x, y) : this.ctx.lineTo(x, y))
+    this.ctx.closePath()
+    this.ctx.fill()
+    this.ctx.stroke()
+
+    // Side labels sit just outside the middle of each side
+    points.forEach(([x1, y1], i) => {
+      const label = sideLabels[i]
+      if (label === null || label === undefined) return
+      const [x2, y2] = points[(i + 1) % points.length]
+      const [mx, my] = [(x1 + x2) / 2, (y1 + y2) / 2]
+      const [dx, dy] = [mx - center[0], my - center[1]]
+      const distance = Math.hypot(dx, dy) || 1
+      this.text(label, mx + dx / distance * 16, my + dy / distance * 16, { color: this.colors.highlight, bold: true })
+    })
+
+    points.forEach(([x, y], i) => {
+      const label = vertexLabels[i]
+      if (!label) return
+      const [dx, dy] = [x - center[0], y - center[1]]
+      const distance = Math.hypot(dx, dy) || 1
+      this.text(label, x + dx / distance * 14, y + dy / distance * 14, { color: this.colors.faded })
+    })
+  }
+
+  /**
+   * Axes with a labeled value scale, shared by the bar chart
+   * @returns {Object} { left, right, top, bottom, toY } where toY turns a value into a y position
+   */
+  drawValueAxes(maxValue, title) {
+    const left = PADDING * 1.6
+    const right = this.width - PADDING / 2
+    const top = title ? PADDING * 1.2 : PADDING / 2
+    const bottom = this.height - PADDING
+
+    if (title) this.text(title, this.width / 2, PADDING / 2, { bold: true })
+
+    // A tidy step for the gridlines: 1, 2, 5, 10, 20, 50...
+    const steps = [1, 2, 5, 10, 20, 50, 100, 200, 500]
+    const step = steps.find(s => maxValue / s <= 6) || 1000
+    const topValue = Math.ceil(maxValue / step) * step
+    const toY = (value) => bottom - value / topValue * (bottom - top)
+
+    for (let value = 0; value <= topValue; value += step) {
+      this.line(left, toY(value), right, toY(value), this.colors.grid, 1)
+      this.text(value, left - 6, toY(value), { size: 10, color: this.colors.faded, align: 'right' })
+    }
+    this.line(left, top, left, bottom, this.colors.faded, 1)
+    this.line(left, bottom, right, bottom, this.colors.faded, 1)
+    return { left, right, top, bottom, toY }
+  }
+
+  /**
+   * Bar chart
+   * @param {Object} figure - { title, labels, values }
+   */
+  drawBarChart({ title, labels, values }) {
+    const { left, right, bottom, toY } = this.drawValueAxes(Math.max(...values, 1), title)
+    const slot = (right - left) / values.length
+    values.forEach((value, i) => {
+      const x = left + slot * i + slot * 0.2
+      this.ctx.fillStyle = i % 2 === 0 ? this.colors.line : this.colors.accent
+      this.ctx.fillRect(x, toY(value), slot * 0.6, bottom - toY(value))
+      this.text(labels[i], left + slot * (i + 0.5), bottom + 10, { size: 10 })
+    })
+  }
+
+  /**
+   * Pictograph: one row of symbols per category, plus the key
+   * @param {Object} figure - { title, labels, values, symbol, key }
+   */
+  drawPictograph({ title, labels, values, symbol = '⭐', key = 1 }) {
+    const top = title ? PADDING * 1.4 : PADDING / 2
+    const keyHeight = 22
+    const rowHeight = Math.min(36, (this.height - top - keyHeight - PADDING / 2) / labels.length)
+    const labelWidth = 80
+    const size = Math.max(12, rowHeight * 0.7)
+
+    if (title) this.text(title, this.width / 2, PADDING / 2, { bold: true })
+
+    labels.forEach((label, i) => {
+      const y = top + rowHeight * (i + 0.5)
+      this.text(label, PADDING / 2, y, { align: 'left' })
+      const count = values[i] / key
+      for (let s = 0; s < Math.floor(count); s++) {
+        this.text(symbol, PADDING / 2 + labelWidth + s * size * 1.1, y, { size, align: 'left' })
+      }
+      this.line(PADDING / 2, top + rowHeight * (i + 1), this.width - PADDING / 2, top + rowHeight * (i + 1), this.colors.grid, 1)
+    })
+
+    this.text(`Key: ${symbol} = ${key}`, this.width - PADDING / 2, this.height - keyHeight / 2, { align: 'right', color: this.colors.highlight })
+  }
+
+  /**
+   * Box plot on a number line
+   * @param {Object} figure - { min, q1, median, q3, max }
+   */
+  drawBoxPlot({ min, q1, median, q3, max }) {
+    const left = PADDING
+    const right = this.width - PADDING
+    const axisY = this.height - PADDING * 1.5
+    const middle = (PADDING + axisY) / 2
+    const boxHeight = Math.min(60, axisY - PADDING * 1.5)
+
+    // Number line with a tidy step, a little wider than the data
+    const steps = [1, 2, 5, 10, 20, 50, 100]
+    const step = steps.find(s => (max - min) / s <= 12) || 200
+    const low = Math.floor(min / step) * step
+    const high = Math.ceil(max / step) * step
+    const toX = (value) => left + (value - low) / (high - low || 1) * (right - left)
+
+    this.line(left, axisY, right, axisY, this.colors.faded, 1)
+    for (let value = low; value <= high; value += step) {
+      this.line(toX(value), axisY - 4, toX(value), axisY + 4, this.colors.faded, 1)
+      this.text(value, toX(value), axisY + 14, { size: 10, color: this.colors.faded })
+    }
+
+    // Whiskers, box and median line
+    this.line(toX(min), middle, toX(q1), middle)
+    this.line(toX(q3), middle, toX(max), middle)
+    this.line(toX(min), middle - boxHeight / 4, toX(min), middle + boxHeight / 4)
+    this.line(toX(max), middle - boxHeight / 4, toX(max), middle + boxHeight / 4)
+    this.ctx.fillStyle = 'rgba(74, 144, 226, 0.2)'
+    this.ctx.fillRect(toX(q1), middle - boxHeight / 2, toX(q3) - toX(q1), boxHeight)
+    this.ctx.strokeStyle = this.colors.line
+    this.ctx.lineWidth = 2
+    this.ctx.strokeRect(toX(q1), middle - boxHeight / 2, toX(q3) - toX(q1), boxHeight)
+    this.line(toX(median), middle - boxHeight / 2, toX(median), middle + boxHeight / 2, this.colors.highlight, 3)
+  }
+
+  /**
+   * Coordinate grid with lines and points
+   * @param {Object} figure - { range, lines, points }
+   */
+  drawCoordinateGrid({ range = 6, lines = [], points = [] }) {
+    const size = Math.min(this.width, this.height) - PADDING
+    const left = (this.width - size) / 2
+    const top = (this.height - size) / 2
+    const unit = size / (range * 2)
+    const toX = (x) => left + (x + range) * unit
+    const toY = (y) => top + (range - y) * unit
+
+    for (let i = -range; i <= range; i++) {
+      this.line(toX(i), toY(-range), toX(i), toY(range), this.colors.grid, 1)
+      this.line(toX(-range), toY(i), toX(range), toY(i), this.colors.grid, 1)
+    }
+    this.line(toX(-range), toY(0), toX(range), toY(0), this.colors.faded, 1.5)
+    this.line(toX(0), toY(-range), toX(0), toY(range), this.colors.faded, 1.5)
+    this.text('x', toX(range) - 6, toY(0) - 10, { size: 11, color: this.colors.faded })
+    this.text('y', toX(0) + 10, toY(range) + 6, { size: 11, color: this.colors.faded })
+
+    // Lines are clipped to the grid
+    this.ctx.save()
+    this.ctx.beginPath()
+    this.ctx.rect(toX(-range), toY(range), size, size)
+    this.ctx.clip()
+    for (const { slope, intercept } of lines) {
+      this.line(toX(-range), toY(slope * -range + intercept), toX(range), toY(slope * range + intercept), this.colors.accent, 2.5)
+    }
+    this.ctx.restore()
+
+    for (const { x, y, label } of points) {
+      this.ctx.fillStyle = this.colors.highlight
+      this.ctx.beginPath()
+      this.ctx.arc(toX(x), toY(y), 4, 0, Math.PI * 2)
+      this.ctx.fill()
+      if (label) this.text(label, toX(x) + 8, toY(y) - 8, { size: 11, color: this.colors.highlight, align: 'left' })
+    }
+  }
+
+  /**
+   * Empty number line with tick marks
+   * @param {Object} figure - { min, max, ticks }
+   */
+  drawNumberLine({ min, max, ticks = 1 }) {
+    const left = PADDING
+    const right = this.width - PADDING
+    const axisY = this.height / 2
+    const marks = (max - min) * ticks
+    const toX = (value) => left + (value - min) / (max - min || 1) * (right - left)
+
+    this.line(left, axisY, right, axisY, this.colors.line, 2)
+    for (let i = 0; i <= marks; i++) {
+      const value = min + i / ticks
+      const whole = i % ticks === 0
+      this.line(toX(value), axisY - (whole ? 10 : 6), toX(value), axisY + (whole ? 10 : 6), this.colors.faded, whole ? 2 : 1)
+      if (whole) this.text(value, toX(value), axisY + 24, { size: 12 })
+    }
+  }
+}
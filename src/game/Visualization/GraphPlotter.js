@@ -37,6 +37,14 @@ export class GraphPlotter {
     return { x: screenX, y: screenY }
   }
 
+  // And back the other way: which graph point is under a spot on the screen?
+  // (Used to find where a student clicked.)
+  screenToWorld(screenX, screenY) {
+    const x = this.xMin + (screenX / this.width) * (this.xMax - this.xMin)
+    const y = this.yMin + ((this.height - screenY) / this.height) * (this.yMax - this.yMin)
+    return { x, y }
+  }
+
   /**
    * Render axes and grid
    */
@@ -158,6 +166,20 @@ export class GraphPlotter {
     this.ctx.stroke()
   }
 
+  /**
+   * Plot a single point as a dot
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {string} color - Dot color
+   */
+  plotPoint(x, y, color = '#f7dc6f') {
+    const screen = this.worldToScreen(x, y)
+    this.ctx.fillStyle = color
+    this.ctx.beginPath()
+    this.ctx.arc(screen.x, screen.y, 5, 0, Math.PI * 2)
+    this.ctx.fill()
+  }
+
   /**
    * Clear and render the graph
    */
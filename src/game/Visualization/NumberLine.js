@@ -2,6 +2,10 @@
  * Number Line Visualization
  * Renders an interactive number line for arithmetic problems
  */
+
+// Space at each end of the line
+const PADDING = 40
+
 export class NumberLine {
   constructor(canvas, width, height) {
     this.canvas = canvas
@@ -10,25 +14,43 @@ export class NumberLine {
     this.height = height
     this.min = -10
     this.max = 10
+    this.ticks = 1
     this.value = 0
+    this.label = null
   }
 
   /**
    * Set the range of the number line
    * @param {number} min - Minimum value
    * @param {number} max - Maximum value
+   * @param {number} [ticks=1] - Tick marks for each 1 (4 = quarters)
    */
-  setRange(min, max) {
+  setRange(min, max, ticks = 1) {
     this.min = min
     this.max = max
+    this.ticks = ticks
   }
 
   /**
    * Set the current value to highlight
-   * @param {number} value - Value to highlight
+   * @param {number|null} value - Value to highlight (null for none)
+   * @param {string} [label] - Text over the marker (the value itself if left out)
    */
-  setValue(value) {
+  setValue(value, label = null) {
     this.value = value
+    this.label = label
+  }
+
+  /**
+   * Find the value under a spot on the line, snapped to the nearest tick
+   * @param {number} x - Distance from the left edge of the canvas
+   * @returns {number} The value (kept between min and max)
+   */
+  valueAt(x) {
+    const lineWidth = this.width - (PADDING * 2)
+    const value = this.min + ((x - PADDING) / lineWidth) * (this.max - this.min)
+    const snapped = Math.round(value * this.ticks) / this.ticks
+    return Math.min(this.max, Math.max(this.min, snapped))
   }
 
   // This draws the basic number line on the screen
@@ -37,7 +59,7 @@ export class NumberLine {
     this.ctx.clearRect(0, 0, this.width, this.height)
 
     const centerY = this.height / 2
-    const padding = 40
+    const padding = PADDING
     const lineWidth = this.width - (padding * 2)
     const range = this.max - this.min
 
@@ -50,9 +72,9 @@ export class NumberLine {
     this.ctx.stroke()
 
     // 2. Draw the "tick marks" (the little vertical lines for each number)
-    const numTicks = Math.min(21, range + 1)
+    const numTicks = Math.min(21, range * this.ticks + 1)
     for (let i = 0; i < numTicks; i++) {
-      const value = this.min + (i / (numTicks - 1)) * range
+      const value = Math.round((this.min + (i / (numTicks - 1)) * range) * 1e9) / 1e9
       const x = padding + (i / (numTicks - 1)) * lineWidth
 
       // Draw the tick mark
@@ -73,7 +95,7 @@ export class NumberLine {
     }
 
     // Highlight current value
-    if (this.value >= this.min && this.value <= this.max) {
+    if (this.value !== null && this.value >= this.min && this.value <= this.max) {
       const valueX = padding + ((this.value - this.min) / range) * lineWidth
 
       // Draw marker
@@ -85,7 +107,7 @@ export class NumberLine {
       // Draw value label
       this.ctx.fillStyle = '#4a90e2'
       this.ctx.font = 'bold 14px Arial'
-      this.ctx.fillText(this.value.toString(), valueX, centerY - 15)
+      this.ctx.fillText(this.label ?? this.value.toString(), valueX, centerY - 15)
     }
   }
 